@@ -0,0 +1,50 @@
+// Print the upcoming daily words and check the curation files
+// Usage: npm run schedule -- [days] [start day YYYY-MM-DD] [language]
+// Exits with an error if any day or curation entry needs attention
+
+import { DEFAULT_WORD_LENGTH, getBoardSize } from '../src/board-sizes.js';
+import { DEFAULT_LANGUAGE, LANGUAGES, getLanguagePack, isSupportedLanguage } from '../src/language-packs.js';
+import { DailyWordGenerator } from '../src/daily-word.js';
+import { dayClock } from '../src/clock.js';
+
+const [countArg = '14', startArg, language = DEFAULT_LANGUAGE] = process.argv.slice(2);
+const count = Number(countArg);
+if (!Number.isInteger(count) || count < 1) {
+  console.error(`Expected a number of days, got "${countArg}"`);
+  process.exit(1);
+}
+
+if (!isSupportedLanguage(language)) {
+  console.error(`Expected one of ${LANGUAGES.join(', ')}, got "${language}"`);
+  process.exit(1);
+}
+
+// Same lists and schedule the game uses for that language
+const pack = getLanguagePack(language);
+const { answers } = getBoardSize(DEFAULT_WORD_LENGTH, language);
+const generator = new DailyWordGenerator(answers, pack.legacyAnswers || answers, pack.curation, pack.schedule);
+const startDay = startArg ? generator.getDayNumberForDate(startArg) : generator.getCurrentDayNumber() + 1;
+
+const { days, curation } = generator.getScheduleReport(startDay, count);
+let problems = 0;
+
+console.log(`${pack.name} daily words from ${dayClock.getDayKeyForNumber(startDay)} (day ${startDay}):\n`);
+days.forEach(({ dayNumber, dayKey, word, overridden, warnings }) => {
+  const marker = overridden ? ' (override)' : '';
+  const warningText = warnings.length > 0 ? `  ⚠ ${warnings.join(', ')}` : '';
+  console.log(`  #${dayNumber}  ${dayKey}  ${word}${marker}${warningText}`);
+  problems += warnings.length;
+});
+
+console.log('');
+if (curation.passed) {
+  console.log(`Curation files OK: ${curation.details}`);
+} else {
+  curation.issues.forEach(issue => console.log(`⚠ ${issue}`));
+  problems += curation.issues.length;
+}
+
+if (problems > 0) {
+  console.log(`\n${problems} warning${problems === 1 ? '' : 's'}`);
+  process.exit(1);
+}
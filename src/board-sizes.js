@@ -0,0 +1,115 @@
+// Board sizes for Word Up
+// Each word length has its own dictionary and default number of guesses,
+// and each language pack has its own set of word lengths
+
+import { BRITISH_SPELLINGS } from './dictionaries/spelling-variants.js';
+import { DEFAULT_LANGUAGE, getLanguagePack } from './language-packs.js';
+import { dictionaryLoader } from './dictionary-loader.js';
+import { Lexicon } from './lexicon.js';
+
+// The classic daily puzzle size
+export const DEFAULT_WORD_LENGTH = 5;
+
+// Allowed range for the number of guesses on any board
+export const MIN_ROWS = 4;
+export const MAX_ROWS = 10;
+
+// British form of a known American spelling, e.g. COLOR -> COLOUR (null otherwise)
+export function getBritishSpelling(word) {
+  const upperWord = String(word).toUpperCase();
+  return Object.prototype.hasOwnProperty.call(BRITISH_SPELLINGS, upperWord) ? BRITISH_SPELLINGS[upperWord] : null;
+}
+
+// Prefix for dictionary report names, e.g. "es/answers-5" (none for the default pack)
+function getListPrefix(language) {
+  return language === DEFAULT_LANGUAGE ? '' : `${language}/`;
+}
+
+// Build a board size from a pack's raw word lists
+// Lists go through the dictionary loader so every word is uppercase, unique and the right length,
+// then the pack's own filters apply (e.g. en-GB leaves out American spellings).
+function createBoardSize(language, wordLength) {
+  const pack = getLanguagePack(language);
+  const { defaultRows, answers, validGuesses } = pack.wordLists[wordLength];
+  const prefix = getListPrefix(language);
+  const keepAnswer = pack.keepAnswer || (() => true);
+  const keepGuess = pack.keepGuess || (() => true);
+
+  return {
+    wordLength,
+    defaultRows,
+    language,
+    answers: dictionaryLoader.load(`${prefix}answers-${wordLength}`, answers, wordLength, pack.alphabet).words.filter(keepAnswer),
+    validGuesses: dictionaryLoader.load(`${prefix}guesses-${wordLength}`, validGuesses, wordLength, pack.alphabet).words.filter(keepGuess)
+  };
+}
+
+// Board sizes for every pack, built the first time each pack is used
+const boardSizes = new Map();
+
+function getPackBoardSizes(language) {
+  if (!boardSizes.has(language)) {
+    const wordLengths = Object.keys(getLanguagePack(language).wordLists).map(Number);
+    boardSizes.set(language, Object.fromEntries(wordLengths.map(wordLength => (
+      [wordLength, createBoardSize(language, wordLength)]
+    ))));
+  }
+  return boardSizes.get(language);
+}
+
+// Board sizes of the default pack
+export const BOARD_SIZES = getPackBoardSizes(DEFAULT_LANGUAGE);
+
+// Indexed lookups for each pack and word length, built on first use and shared by every game
+// answers: possible solutions; guesses: every accepted guess (answers included)
+const lexicons = new Map();
+
+export function getLexicons(wordLength = DEFAULT_WORD_LENGTH, language = DEFAULT_LANGUAGE) {
+  const key = `${language}:${wordLength}`;
+  if (!lexicons.has(key)) {
+    const { answers, validGuesses } = getBoardSize(wordLength, language);
+    lexicons.set(key, {
+      answers: new Lexicon(answers),
+      guesses: new Lexicon([...answers, ...validGuesses])
+    });
+  }
+  return lexicons.get(key);
+}
+
+// Multi-board puzzles: every guess is played on all boards at once,
+// so they get extra rows (five-letter words only)
+export const MULTI_BOARDS = {
+  2: { boardCount: 2, rows: 7, label: 'Duo' },
+  4: { boardCount: 4, rows: 9, label: 'Quad' }
+};
+
+// Check a multi-board count is supported
+export function isSupportedBoardCount(boardCount) {
+  return Object.prototype.hasOwnProperty.call(MULTI_BOARDS, boardCount);
+}
+
+// Word lengths players can choose from in the default pack
+export const WORD_LENGTHS = Object.keys(BOARD_SIZES).map(Number);
+
+// Word lengths a pack offers
+export function getWordLengths(language = DEFAULT_LANGUAGE) {
+  return Object.keys(getPackBoardSizes(language)).map(Number);
+}
+
+// Check a word length is supported (by the default pack unless a language is given)
+export function isSupportedWordLength(wordLength, language = DEFAULT_LANGUAGE) {
+  return Object.prototype.hasOwnProperty.call(getPackBoardSizes(language), wordLength);
+}
+
+// Check a row count is within the allowed range
+export function isValidRowCount(rows) {
+  return Number.isInteger(rows) && rows >= MIN_ROWS && rows <= MAX_ROWS;
+}
+
+// Get the board size for a word length (throws for unsupported lengths)
+export function getBoardSize(wordLength = DEFAULT_WORD_LENGTH, language = DEFAULT_LANGUAGE) {
+  if (!isSupportedWordLength(wordLength, language)) {
+    throw new Error(`Unsupported word length: ${wordLength}`);
+  }
+  return getPackBoardSizes(language)[wordLength];
+}
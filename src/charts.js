@@ -0,0 +1,86 @@
+// SVG charts for Word Up
+// Each function returns markup for an inline <svg> that scales with its container;
+// colours come from CSS classes so high contrast and dark mode apply
+
+import { escapeHtml } from './html.js';
+
+const LABEL_HEIGHT = 16;
+
+// Round for display: whole numbers stay whole, the rest get one decimal place
+function formatValue(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+// Horizontal bars, one row per item: [{ label, value, detail }]
+// detail is extra text shown after the value, e.g. a win rate
+export function createBarChart(items, { className = 'chart-bar', rowHeight = 22, labelWidth = 60 } = {}) {
+  const width = 300;
+  const barSpace = width - labelWidth - 90;
+  const max = Math.max(1, ...items.map(item => item.value));
+  const height = items.length * rowHeight;
+
+  const rows = items.map((item, index) => {
+    const y = index * rowHeight;
+    const barWidth = Math.max(2, (item.value / max) * barSpace);
+    const label = escapeHtml(item.label);
+    const text = escapeHtml(item.detail ? `${formatValue(item.value)} · ${item.detail}` : formatValue(item.value));
+    return `
+      <g class="chart-row">
+        <text class="chart-label" x="${labelWidth - 6}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle">${label}</text>
+        <rect class="${className}" x="${labelWidth}" y="${y + 3}" width="${barWidth}" height="${rowHeight - 6}" rx="2"><title>${label}: ${text}</title></rect>
+        <text class="chart-value" x="${labelWidth + barWidth + 6}" y="${y + rowHeight / 2}" dominant-baseline="middle">${text}</text>
+      </g>`;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${rows}
+    </svg>`;
+}
+
+// Vertical columns for each label, with series side by side or stacked
+// series: [{ name, className, values }] with one value per label
+// Stacked charts show each series as a share of the column (values are counts)
+export function createColumnChart(labels, series, { stacked = false, height = 120, columnWidth = 14 } = {}) {
+  const seriesWidth = stacked ? columnWidth : columnWidth * series.length;
+  const slot = seriesWidth + 6;
+  const width = Math.max(slot * labels.length, 1);
+  const plotHeight = height - LABEL_HEIGHT;
+  const max = Math.max(1, ...labels.map((_, index) => (stacked
+    ? series.reduce((sum, { values }) => sum + values[index], 0)
+    : Math.max(...series.map(({ values }) => values[index])))));
+
+  const columns = labels.map((rawLabel, index) => {
+    const label = escapeHtml(rawLabel);
+    const x = index * slot + 3;
+    const total = series.reduce((sum, { values }) => sum + values[index], 0);
+    let offset = 0;
+
+    const bars = series.map(({ name, className, values }, seriesIndex) => {
+      const value = values[index];
+      const barHeight = stacked
+        ? (total > 0 ? (value / total) * plotHeight : 0)
+        : (value / max) * plotHeight;
+      const barX = stacked ? x : x + seriesIndex * columnWidth;
+      const barY = plotHeight - offset - barHeight;
+      if (stacked) {
+        offset += barHeight;
+      }
+      const share = stacked && total > 0 ? ` (${Math.round((value / total) * 100)}%)` : '';
+      return `<rect class="${className}" x="${barX}" y="${barY}" width="${columnWidth - 1}" height="${barHeight}"><title>${label} ${name}: ${formatValue(value)}${share}</title></rect>`;
+    }).join('');
+
+    return `
+      <g class="chart-column">${bars}
+        <text class="chart-label" x="${x + seriesWidth / 2}" y="${height - 3}" text-anchor="middle">${label}</text>
+      </g>`;
+  }).join('');
+
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img">${columns}
+    </svg>`;
+}
+
+// Legend for a chart's series
+export function createChartLegend(series) {
+  return `<div class="chart-legend">${series.map(({ name, className }) => (
+    `<span><svg width="10" height="10"><rect class="${className}" width="10" height="10" rx="2"></rect></svg>${name}</span>`
+  )).join('')}</div>`;
+}
@@ -0,0 +1,150 @@
+// Day boundary service for Word Up
+// Single source of truth for which puzzle day it is, shared by game, statistics and timer
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// When a new daily word becomes available:
+// - { type: 'local-midnight' } resets at midnight in the player's timezone
+// - { type: 'fixed-utc', hour, minute } resets everyone at the same UTC time
+export const DAY_RESET_POLICY = { type: 'local-midnight' };
+
+export class DayClock {
+  constructor(policy = DAY_RESET_POLICY) {
+    // Day key of puzzle #0
+    this.EPOCH_KEY = '2024-01-01';
+    this.setPolicy(policy);
+  }
+
+  // Change the reset policy
+  setPolicy(policy) {
+    if (!policy || policy.type === 'local-midnight') {
+      this.policy = { type: 'local-midnight' };
+      return;
+    }
+
+    if (policy.type === 'fixed-utc') {
+      const hour = policy.hour ?? 0;
+      const minute = policy.minute ?? 0;
+      if (!Number.isInteger(hour) || hour < 0 || hour > 23 || !Number.isInteger(minute) || minute < 0 || minute > 59) {
+        throw new Error(`Invalid reset time: ${hour}:${minute}`);
+      }
+      this.policy = { type: 'fixed-utc', hour, minute };
+      return;
+    }
+
+    throw new Error(`Unknown day reset policy: ${policy.type}`);
+  }
+
+  // Get the active reset policy
+  getPolicy() {
+    return { ...this.policy };
+  }
+
+  // Current time (kept separate so it is easy to stub)
+  now() {
+    return new Date();
+  }
+
+  // Format calendar parts as a YYYY-MM-DD day key
+  formatDayKey(year, monthIndex, day) {
+    const month = String(monthIndex + 1).padStart(2, '0');
+    return `${year}-${month}-${String(day).padStart(2, '0')}`;
+  }
+
+  // Split a day key into numeric parts
+  parseDayKey(dayKey) {
+    if (!DAY_KEY_PATTERN.test(dayKey)) {
+      throw new Error(`Invalid day key: ${dayKey}`);
+    }
+    const [year, month, day] = dayKey.split('-').map(Number);
+    return { year, month, day };
+  }
+
+  // Check if a value is already a day key
+  isDayKey(value) {
+    return typeof value === 'string' && DAY_KEY_PATTERN.test(value);
+  }
+
+  // Get the puzzle day key for a moment in time
+  getDayKey(date = this.now()) {
+    const moment = new Date(date);
+
+    if (this.policy.type === 'fixed-utc') {
+      const offset = (this.policy.hour * 60 + this.policy.minute) * 60 * 1000;
+      const shifted = new Date(moment.getTime() - offset);
+      return this.formatDayKey(shifted.getUTCFullYear(), shifted.getUTCMonth(), shifted.getUTCDate());
+    }
+
+    return this.formatDayKey(moment.getFullYear(), moment.getMonth(), moment.getDate());
+  }
+
+  // Normalise a day key, date string or Date into a day key
+  toDayKey(value) {
+    return this.isDayKey(value) ? value : this.getDayKey(value);
+  }
+
+  // Whole days from one day key to another
+  // Calendar arithmetic in UTC so DST changes never produce 23 or 25 hour days
+  daysBetween(fromKey, toKey) {
+    const from = this.parseDayKey(fromKey);
+    const to = this.parseDayKey(toKey);
+    const fromTime = Date.UTC(from.year, from.month - 1, from.day);
+    const toTime = Date.UTC(to.year, to.month - 1, to.day);
+    return Math.round((toTime - fromTime) / MS_PER_DAY);
+  }
+
+  // Move a day key forwards or backwards by whole days
+  addDays(dayKey, days) {
+    const { year, month, day } = this.parseDayKey(dayKey);
+    const moved = new Date(Date.UTC(year, month - 1, day + days));
+    return this.formatDayKey(moved.getUTCFullYear(), moved.getUTCMonth(), moved.getUTCDate());
+  }
+
+  // Get today's day key
+  getTodayKey() {
+    return this.getDayKey();
+  }
+
+  // Get the puzzle number for a moment in time
+  getDayNumber(date = this.now()) {
+    return this.daysBetween(this.EPOCH_KEY, this.getDayKey(date));
+  }
+
+  // Get the day key for a puzzle number
+  getDayKeyForNumber(dayNumber) {
+    return this.addDays(this.EPOCH_KEY, dayNumber);
+  }
+
+  // Local Date for showing a day key to the player
+  getDisplayDate(dayKey) {
+    const { year, month, day } = this.parseDayKey(dayKey);
+    return new Date(year, month - 1, day);
+  }
+
+  // Moment the next puzzle becomes available
+  getNextReset(date = this.now()) {
+    const nextKey = this.addDays(this.getDayKey(date), 1);
+    const { year, month, day } = this.parseDayKey(nextKey);
+
+    if (this.policy.type === 'fixed-utc') {
+      return new Date(Date.UTC(year, month - 1, day, this.policy.hour, this.policy.minute));
+    }
+
+    return new Date(year, month - 1, day, 0, 0, 0, 0);
+  }
+
+  // Time remaining until the next puzzle
+  getTimeUntilNextReset(date = this.now()) {
+    const milliseconds = Math.max(0, this.getNextReset(date).getTime() - new Date(date).getTime());
+
+    return {
+      hours: Math.floor(milliseconds / (1000 * 60 * 60)),
+      minutes: Math.floor((milliseconds % (1000 * 60 * 60)) / (1000 * 60)),
+      milliseconds
+    };
+  }
+}
+
+// Create global day clock instance
+export const dayClock = new DayClock();
\ No newline at end of file
@@ -0,0 +1,109 @@
+// CSV export for Word Up statistics
+// Game history as a spreadsheet: one row per game or one row per guess, plus an
+// optional summary sheet of the headline figures
+
+// Letters for each tile colour in guess patterns, e.g. CPAAC
+const PATTERN_LETTERS = { correct: 'C', present: 'P', absent: 'A' };
+
+// Byte order mark so spreadsheets read the file as UTF-8 (Ñ, accented words)
+const BOM = '\uFEFF';
+
+// Quote a value when it contains a separator, quote or line break
+// Text starting with = + - @ gets an apostrophe so spreadsheets don't run it as a formula
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of cells to CSV text (RFC 4180 line endings)
+export function toCsv(rows) {
+  return BOM + rows.map(row => row.map(formatCell).join(',')).join('\r\n') + '\r\n';
+}
+
+const formatBoolean = value => (value ? 'TRUE' : 'FALSE');
+
+// Columns shared by the game and guess sheets
+function describeGame(game) {
+  return [
+    game.date,
+    game.gameMode || 'daily',
+    game.dayNumber ?? '',
+    game.boardCount || 1,
+    game.wordLength || 5,
+    game.maxRows || 6,
+    game.targetWord,
+    formatBoolean(game.won)
+  ];
+}
+
+const GAME_HEADERS = ['Date', 'Mode', 'Day', 'Boards', 'Word length', 'Max rows', 'Answer', 'Won'];
+
+// One row per game, oldest first (history is stored newest first)
+export function createGamesCsv(history) {
+  const rows = [...history].reverse().map(game => [
+    ...describeGame(game),
+    game.guessCount ?? '',
+    formatBoolean(game.hardMode),
+    game.hintsUsed || 0,
+    (game.guesses || []).map(guess => guess.word).join(' ')
+  ]);
+  return toCsv([[...GAME_HEADERS, 'Guesses', 'Hard mode', 'Hints used', 'Guess words'], ...rows]);
+}
+
+// Colours of a guess; multi-board guesses hold null for boards already solved
+function getGuessStates(guess) {
+  return (guess.boards || []).find(Array.isArray) || guess.result;
+}
+
+// One row per guess, oldest game first; games saved without their guesses are left out
+// Multi-board guesses use the colours of the first board still open
+export function createGuessesCsv(history) {
+  const rows = [...history].reverse().flatMap(game => (game.guesses || []).map((guess, index) => {
+    const states = getGuessStates(guess);
+    const count = state => states.filter(result => result === state).length;
+    return [
+      ...describeGame(game),
+      index + 1,
+      guess.word,
+      states.map(state => PATTERN_LETTERS[state] || '').join(''),
+      count('correct'),
+      count('present'),
+      count('absent')
+    ];
+  }));
+  return toCsv([[...GAME_HEADERS, 'Guess number', 'Guess', 'Pattern', 'Correct', 'Present', 'Absent'], ...rows]);
+}
+
+// Headline figures as Metric, Value rows
+export function createSummaryCsv(stats, exportDate = new Date().toISOString()) {
+  const winRate = stats.totalGames > 0 ? Math.round((stats.totalWins / stats.totalGames) * 100) : 0;
+  const rows = [
+    ['Exported', exportDate],
+    ['Games recorded', stats.gameHistory.length],
+    ['Daily played', stats.totalGames],
+    ['Daily won', stats.totalWins],
+    ['Win %', winRate],
+    ['Current streak', stats.currentStreak],
+    ['Max streak', stats.maxStreak],
+    ['Average guesses', stats.averageGuesses],
+    ['Hard mode wins', stats.hardModeWins],
+    ['Hinted wins', stats.hintedWins],
+    ...stats.guessDistribution.map((count, index) => [`Won in ${index + 1}`, count]),
+    ['Practice played', stats.practiceStats.played],
+    ['Practice won', stats.practiceStats.won],
+    ['Practice max streak', stats.practiceStats.maxStreak],
+    ...Object.entries(stats.multiStats).flatMap(([boardCount, multi]) => [
+      [`${boardCount} boards played`, multi.played],
+      [`${boardCount} boards won`, multi.won]
+    ]),
+    ['Archive puzzles played', Object.keys(stats.archiveStats).length],
+    ['Archive puzzles won', Object.values(stats.archiveStats).filter(result => result.won).length]
+  ];
+  return toCsv([['Metric', 'Value'], ...rows]);
+}
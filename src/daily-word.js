@@ -2,30 +2,97 @@
 // Generates consistent daily words using date-based seeding
 
 import { ANSWERS } from './dictionaries/answers.js';
+import { dayClock } from './clock.js';
+import { DEFAULT_LANGUAGE, getLanguagePack } from './language-packs.js';
+
+const WORD_PATTERN = /^\p{Lu}+$/u;
+
+// Curation files and schedule salts of the default language pack
+export const DEFAULT_CURATION = getLanguagePack(DEFAULT_LANGUAGE).curation;
+export const DEFAULT_SCHEDULE = getLanguagePack(DEFAULT_LANGUAGE).schedule;
 
 export class DailyWordGenerator {
-  constructor(answers) {
+  // legacyAnswers is the answer list as it shipped, before dictionary cleanup
+  // curation holds the blocked and retired words and per-day overrides
+  // schedule holds the language pack's salts and schedule versions
+  constructor(answers, legacyAnswers = answers, curation = DEFAULT_CURATION, schedule = DEFAULT_SCHEDULE) {
     // Game epoch - when Word Up daily words started
-    this.GAME_EPOCH = new Date('2024-01-01').getTime();
+    this.GAME_EPOCH = new Date(dayClock.EPOCH_KEY).getTime();
     
     // Salt for additional randomness (change this to reset all daily words)
-    this.SEED_SALT = 'WORDUP_DAILY_2024';
+    this.SEED_SALT = schedule.seedSalt;
+
+    // Versioned word schedules. Each version applies from its start day until
+    // the next one begins, so puzzles before a cutover stay frozen.
+    // hash: per-day hash (words can repeat)
+    // permutation: seeded shuffle of the answer list, reshuffled every full cycle
+    this.SCHEDULE_VERSIONS = schedule.versions;
+
+    // Salt for multi-board puzzles (each board adds its own suffix)
+    this.MULTI_BOARD_SALT = schedule.multiBoardSalt;
 
     this.answers = answers;
+
+    // The legacy hash schedule indexes into the original list so past puzzles keep their words
+    this.legacyAnswers = legacyAnswers;
+
+    // Cache of shuffled cycles, keyed by "version:cycle"
+    this.permutationCache = new Map();
+
+    // Cache of shuffled cycles after curation, keyed the same way
+    this.curatedCycleCache = new Map();
+
+    this.setCuration(curation);
+  }
+
+  // Load curation lists; blocked and retired words become "excluded from day N"
+  setCuration({ blocked = [], retired = [], overrides = {} } = {}) {
+    this.curation = { blocked, retired, overrides };
+    this.exclusions = new Map();
+
+    [...blocked, ...retired].forEach(entry => {
+      const word = String(entry?.word || '').toUpperCase();
+      const fromDay = this.parseCurationDay(entry?.from);
+      if (!word || fromDay === null) return;
+      // The earliest start wins if a word is listed twice
+      if (!this.exclusions.has(word) || fromDay < this.exclusions.get(word)) {
+        this.exclusions.set(word, fromDay);
+      }
+    });
+
+    this.overrides = new Map();
+    Object.entries(overrides).forEach(([day, word]) => {
+      this.overrides.set(Number(day), String(word).toUpperCase());
+    });
+
+    this.curatedCycleCache.clear();
+  }
+
+  // Day number for a curation start day (YYYY-MM-DD), or null if it isn't valid
+  parseCurationDay(dayKey) {
+    try {
+      const dayNumber = this.getDayNumberForDate(dayKey);
+      // Reject keys that only parse by rolling over, e.g. 2026-13-01
+      return dayClock.getDayKeyForNumber(dayNumber) === dayKey ? dayNumber : null;
+    } catch {
+      return null;
+    }
+  }
+
+  // Check if curation keeps a word out of a day's puzzle
+  isExcluded(word, dayNumber) {
+    const fromDay = this.exclusions.get(word);
+    return fromDay !== undefined && dayNumber >= fromDay;
   }
 
   // Get current day number since game epoch
   getCurrentDayNumber() {
-    const now = new Date();
-    const daysSinceEpoch = Math.floor((now.getTime() - this.GAME_EPOCH) / (1000 * 60 * 60 * 24));
-    return daysSinceEpoch;
+    return dayClock.getDayNumber();
   }
 
-  // Get day number for a specific date
+  // Get day number for a specific date (day key or anything Date accepts)
   getDayNumberForDate(date) {
-    const targetDate = new Date(date);
-    const daysSinceEpoch = Math.floor((targetDate.getTime() - this.GAME_EPOCH) / (1000 * 60 * 60 * 24));
-    return daysSinceEpoch;
+    return dayClock.daysBetween(dayClock.EPOCH_KEY, dayClock.toDayKey(date));
   }
 
   // Simple seeded random number generator (Linear Congruential Generator)
@@ -45,10 +112,23 @@ export class DailyWordGenerator {
     return next / m;
   }
 
+  // Seeded random sequence (mulberry32) for shuffling
+  // Returns a function producing values between 0 and 1
+  seededSequence(seed) {
+    let state = seed >>> 0;
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
   // Create a seed from day number and salt
-  createSeed(dayNumber) {
+  createSeed(dayNumber, salt = this.SEED_SALT) {
     // Combine day number with salt to create unique seed
-    const combined = `${this.SEED_SALT}_${dayNumber}`;
+    const combined = `${salt}_${dayNumber}`;
     
     // Simple hash function to convert string to number
     let hash = 0;
@@ -62,6 +142,114 @@ export class DailyWordGenerator {
     return Math.abs(hash);
   }
 
+  // Get the schedule version that applies to a day number
+  getScheduleVersion(dayNumber) {
+    let active = this.SCHEDULE_VERSIONS[0];
+    for (const schedule of this.SCHEDULE_VERSIONS) {
+      if (dayNumber >= schedule.startDay) {
+        active = schedule;
+      }
+    }
+    return active;
+  }
+
+  // Get the shuffled answer order for one cycle of a permutation schedule
+  getCyclePermutation(schedule, cycle) {
+    const cacheKey = `${schedule.version}:${cycle}`;
+    if (this.permutationCache.has(cacheKey)) {
+      return this.permutationCache.get(cacheKey);
+    }
+
+    // Fisher-Yates shuffle seeded by the schedule salt and cycle number
+    const random = this.seededSequence(this.createSeed(`cycle_${cycle}`, schedule.salt));
+    const order = [...this.answers];
+    for (let i = order.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    // Avoid the same word on consecutive days across a cycle boundary
+    if (cycle > 0 && order.length > 1) {
+      const previous = this.getCyclePermutation(schedule, cycle - 1);
+      if (order[0] === previous[previous.length - 1]) {
+        [order[0], order[1]] = [order[1], order[0]];
+      }
+    }
+
+    this.permutationCache.set(cacheKey, order);
+    return order;
+  }
+
+  // Get the shuffled order for a cycle with excluded words replaced
+  // Each excluded day takes the last unused word of the cycle, so no word repeats
+  // until the cycle runs out. Only earlier days of the cycle affect a day's word,
+  // and those are unaffected by exclusions that start later, so played puzzles never change.
+  getCuratedCycle(schedule, cycle) {
+    const cacheKey = `${schedule.version}:${cycle}`;
+    if (this.curatedCycleCache.has(cacheKey)) {
+      return this.curatedCycleCache.get(cacheKey);
+    }
+
+    const order = this.getCyclePermutation(schedule, cycle);
+    if (this.exclusions.size === 0) {
+      return order;
+    }
+
+    const cycleStart = schedule.startDay + cycle * order.length;
+    const used = new Set();
+    const curated = [];
+    let tail = order.length - 1;
+    let reuse = 0;
+
+    order.forEach((word, position) => {
+      const dayNumber = cycleStart + position;
+      let chosen = used.has(word) || this.isExcluded(word, dayNumber) ? null : word;
+
+      // Take replacements from the end of the cycle
+      while (!chosen && tail >= 0) {
+        const candidate = order[tail--];
+        if (!used.has(candidate) && !this.isExcluded(candidate, dayNumber)) {
+          chosen = candidate;
+        }
+      }
+
+      // Every word has been used: reuse the cycle's words from its first day on
+      while (!chosen && reuse < curated.length) {
+        const candidate = curated[reuse++];
+        if (!this.isExcluded(candidate, dayNumber)) {
+          chosen = candidate;
+        }
+      }
+
+      chosen = chosen || word;
+      used.add(chosen);
+      curated.push(chosen);
+    });
+
+    this.curatedCycleCache.set(cacheKey, curated);
+    return curated;
+  }
+
+  // Get the answer index for a day under the legacy hash schedule
+  // Excluded words step forward to the next allowed answer
+  getHashedWord(schedule, dayNumber) {
+    const seed = this.createSeed(dayNumber, schedule.salt);
+    const randomValue = this.seededRandom(seed);
+    let index = Math.floor(randomValue * this.legacyAnswers.length);
+    for (let step = 0; step < this.legacyAnswers.length && this.isExcluded(this.legacyAnswers[index], dayNumber); step++) {
+      index = (index + 1) % this.legacyAnswers.length;
+    }
+    return this.legacyAnswers[index];
+  }
+
+  // Get the word for a day under a permutation schedule
+  getPermutedWord(schedule, dayNumber) {
+    const offset = dayNumber - schedule.startDay;
+    const cycle = Math.floor(offset / this.answers.length);
+    const position = offset % this.answers.length;
+    return this.getCuratedCycle(schedule, cycle)[position];
+  }
+
   // Get today's word
   getTodaysWord() {
     const dayNumber = this.getCurrentDayNumber();
@@ -70,17 +258,77 @@ export class DailyWordGenerator {
 
   // Get word for a specific day number
   getWordForDay(dayNumber) {
-    const seed = this.createSeed(dayNumber);
-    const randomValue = this.seededRandom(seed);
-    const wordIndex = Math.floor(randomValue * this.answers.length);
+    const schedule = this.getScheduleVersion(dayNumber);
+    const override = this.overrides.get(dayNumber);
+    let word = override;
+    if (!word) {
+      word = schedule.type === 'permutation'
+        ? this.getPermutedWord(schedule, dayNumber)
+        : this.getHashedWord(schedule, dayNumber);
+    }
     
     return {
-      word: this.answers[wordIndex],
+      word,
       dayNumber: dayNumber,
-      date: new Date(this.GAME_EPOCH + dayNumber * 24 * 60 * 60 * 1000).toDateString()
+      scheduleVersion: schedule.version,
+      overridden: Boolean(override),
+      date: this.getDateForDay(dayNumber).toDateString()
     };
   }
 
+  // Get today's words for a multi-board puzzle
+  getTodaysWords(boardCount) {
+    return this.getWordsForDay(this.getCurrentDayNumber(), boardCount);
+  }
+
+  // Get the words for a multi-board puzzle on a specific day
+  // Every board has its own seed; words never repeat within a puzzle
+  // and never match that day's classic word, so one can't spoil the other
+  getWordsForDay(dayNumber, boardCount) {
+    const used = new Set([this.getWordForDay(dayNumber).word]);
+    const words = [];
+
+    for (let board = 0; board < boardCount; board++) {
+      const seed = this.createSeed(dayNumber, `${this.MULTI_BOARD_SALT}_${boardCount}_${board}`);
+      let index = Math.floor(this.seededRandom(seed) * this.answers.length);
+      for (let step = 0; step < this.answers.length
+        && (used.has(this.answers[index]) || this.isExcluded(this.answers[index], dayNumber)); step++) {
+        index = (index + 1) % this.answers.length;
+      }
+      used.add(this.answers[index]);
+      words.push(this.answers[index]);
+    }
+
+    return {
+      words,
+      dayNumber,
+      boardCount,
+      date: this.getDateForDay(dayNumber).toDateString()
+    };
+  }
+
+  // Get the calendar date a day number falls on
+  getDateForDay(dayNumber) {
+    return dayClock.getDisplayDate(dayClock.getDayKeyForNumber(dayNumber));
+  }
+
+  // List every past puzzle since the epoch, most recent first
+  // Words are left out so the archive list doesn't spoil answers
+  getArchiveDays() {
+    const todayNumber = this.getCurrentDayNumber();
+    const days = [];
+
+    for (let dayNumber = todayNumber - 1; dayNumber >= 0; dayNumber--) {
+      days.push({
+        dayNumber,
+        date: this.getDateForDay(dayNumber).toDateString(),
+        isoDate: dayClock.getDayKeyForNumber(dayNumber)
+      });
+    }
+
+    return days;
+  }
+
   // Get word for a specific date (YYYY-MM-DD format)
   getWordForDate(dateString) {
     const dayNumber = this.getDayNumberForDate(dateString);
@@ -101,35 +349,17 @@ export class DailyWordGenerator {
 
   // Check if a date is today
   isToday(dateString) {
-    const today = new Date();
-    const targetDate = new Date(dateString);
-    
-    return today.getFullYear() === targetDate.getFullYear() &&
-           today.getMonth() === targetDate.getMonth() &&
-           today.getDate() === targetDate.getDate();
+    return dayClock.toDayKey(dateString) === dayClock.getTodayKey();
   }
 
   // Get game statistics for the current day
   getDayStats() {
     const todaysWord = this.getTodaysWord();
-    const now = new Date();
-    
-    // Calculate time until next word (midnight)
-    const tomorrow = new Date(now);
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    const timeUntilNext = tomorrow.getTime() - now.getTime();
-    
-    const hours = Math.floor(timeUntilNext / (1000 * 60 * 60));
-    const minutes = Math.floor((timeUntilNext % (1000 * 60 * 60)) / (1000 * 60));
     
+    // Time until the next word, using the same boundary as the day number
     return {
       ...todaysWord,
-      timeUntilNext: {
-        hours,
-        minutes,
-        milliseconds: timeUntilNext
-      }
+      timeUntilNext: dayClock.getTimeUntilNextReset()
     };
   }
 
@@ -163,10 +393,154 @@ export class DailyWordGenerator {
       details: `Word ${word5.word} is in dictionary: ${this.answers.includes(word5.word)}`
     });
     
+    // Test 4: The current schedule cycle should not repeat any word
+    tests.push(this.validateScheduleCycle());
+
+    // Test 5: Multi-board puzzles should use distinct words
+    const quad = this.getWordsForDay(100, 4);
+    tests.push({
+      name: 'Multi-board test',
+      passed: new Set(quad.words).size === 4 && !quad.words.includes(word1.word),
+      details: `Day 100 boards: ${quad.words.join(', ')}`
+    });
+
+    // Test 6: Curation files should be well formed and refer to real answers
+    tests.push(this.validateCuration());
+    
     return {
       allPassed: tests.every(test => test.passed),
       tests
     };
   }
 
+  // Check the blocklist, retired list and overrides for mistakes
+  // Exclusions move later words along, so each entry has to start after the day it
+  // was added. Comparing with that day rather than today keeps active entries valid.
+  validateCuration() {
+    const issues = [];
+    const knownWords = new Set([...this.answers, ...this.legacyAnswers]);
+    const listed = new Map();
+
+    const checkList = (entries, listName) => {
+      entries.forEach((entry, index) => {
+        const word = String(entry?.word || '').toUpperCase();
+        const label = `${listName}[${index}]`;
+        if (!WORD_PATTERN.test(word)) {
+          issues.push(`${label}: "${entry?.word}" is not a word`);
+          return;
+        }
+        const fromDay = this.parseCurationDay(entry.from);
+        const addedDay = this.parseCurationDay(entry.added);
+        if (fromDay === null) {
+          issues.push(`${label}: ${word} has an invalid start day "${entry.from}"`);
+        }
+        if (addedDay === null) {
+          issues.push(`${label}: ${word} has an invalid added day "${entry.added}"`);
+        } else if (fromDay !== null && fromDay <= addedDay) {
+          issues.push(`${label}: ${word} starts on ${entry.from}, which had already begun when it was added on ${entry.added}`);
+        }
+        if (!knownWords.has(word)) {
+          issues.push(`${label}: ${word} is not in the answer list`);
+        }
+        if (listed.has(word)) {
+          issues.push(`${label}: ${word} is already listed in ${listed.get(word)}`);
+        }
+        listed.set(word, listName);
+      });
+    };
+    checkList(this.curation.blocked, 'blocklist');
+    checkList(this.curation.retired, 'retired');
+
+    Object.entries(this.curation.overrides).forEach(([day, rawWord]) => {
+      const dayNumber = Number(day);
+      const word = String(rawWord).toUpperCase();
+      if (!Number.isInteger(dayNumber) || dayNumber < 0) {
+        issues.push(`overrides: "${day}" is not a day number`);
+        return;
+      }
+      if (!knownWords.has(word)) {
+        issues.push(`overrides: day ${dayNumber} uses ${word}, which is not in the answer list`);
+      } else if (this.isExcluded(word, dayNumber)) {
+        issues.push(`overrides: day ${dayNumber} uses ${word}, which is blocked or retired`);
+      }
+    });
+
+    return {
+      name: 'Curation test',
+      passed: issues.length === 0,
+      details: issues.length === 0
+        ? `${this.exclusions.size} excluded words, ${this.overrides.size} overrides`
+        : issues.join('; '),
+      issues
+    };
+  }
+
+  // List the words for a run of days with warnings about conflicts
+  // Repeats are checked against the listed days and the lookback days before them
+  getScheduleReport(startDay, count, lookback = 30) {
+    const lastSeen = new Map();
+    for (let dayNumber = Math.max(0, startDay - lookback); dayNumber < startDay; dayNumber++) {
+      lastSeen.set(this.getWordForDay(dayNumber).word, dayNumber);
+    }
+
+    const days = [];
+    for (let dayNumber = startDay; dayNumber < startDay + count; dayNumber++) {
+      const { word, overridden } = this.getWordForDay(dayNumber);
+      const warnings = [];
+
+      if (this.isExcluded(word, dayNumber)) {
+        warnings.push('blocked or retired');
+      }
+      if (!this.answers.includes(word)) {
+        warnings.push('not in the answer list');
+      }
+      if (lastSeen.has(word)) {
+        warnings.push(`repeats day ${lastSeen.get(word)}`);
+      }
+
+      lastSeen.set(word, dayNumber);
+      days.push({
+        dayNumber,
+        dayKey: dayClock.getDayKeyForNumber(dayNumber),
+        word,
+        overridden,
+        warnings
+      });
+    }
+
+    return { days, curation: this.validateCuration() };
+  }
+
+  // Check that one full cycle of the latest permutation schedule has no repeats
+  validateScheduleCycle() {
+    const schedule = this.SCHEDULE_VERSIONS[this.SCHEDULE_VERSIONS.length - 1];
+    const cycleLength = this.answers.length;
+    const todayNumber = this.getCurrentDayNumber();
+    const cycle = todayNumber > schedule.startDay
+      ? Math.floor((todayNumber - schedule.startDay) / cycleLength)
+      : 0;
+    const cycleStart = schedule.startDay + cycle * cycleLength;
+
+    const seen = new Set();
+    const repeats = [];
+    for (let day = cycleStart; day < cycleStart + cycleLength; day++) {
+      const { word } = this.getWordForDay(day);
+      if (seen.has(word)) {
+        repeats.push(`Day ${day}: ${word}`);
+      }
+      seen.add(word);
+    }
+
+    // Blocked and retired words shorten the cycle, so its last few days have to reuse words
+    const cycleEnd = cycleStart + cycleLength - 1;
+    const excludedCount = new Set(this.answers.filter(word => this.isExcluded(word, cycleEnd))).size;
+
+    return {
+      name: 'Schedule cycle test',
+      passed: repeats.length <= excludedCount,
+      details: repeats.length === 0
+        ? `Cycle ${cycle} (v${schedule.version}): ${cycleLength} days without repeats`
+        : `Repeats in cycle ${cycle} (v${schedule.version}), ${excludedCount} expected from curation: ${repeats.join(', ')}`
+    };
+  }
 }
\ No newline at end of file
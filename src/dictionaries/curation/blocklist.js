@@ -0,0 +1,16 @@
+// Words kept out of future daily puzzles (offensive, obscure or not real words)
+// Each entry applies from its start day (YYYY-MM-DD) onwards, so puzzles that
+// have already been played keep their words. Set added to the day you add the
+// entry and pick a start day after it; the schedule check reports one that isn't.
+// Run `npm run schedule` after editing to check the upcoming words.
+
+export const BLOCKED_WORDS = [
+  { word: 'AMIDS', from: '2026-10-20', added: '2026-10-19', reason: 'obscure spelling' },
+  { word: 'ARTIC', from: '2026-10-20', added: '2026-10-19', reason: 'misspelling of arctic' },
+  { word: 'DIETY', from: '2026-10-20', added: '2026-10-19', reason: 'misspelling of deity' },
+  { word: 'ECCLE', from: '2026-10-20', added: '2026-10-19', reason: 'not a standalone word' },
+  { word: 'JOYST', from: '2026-10-20', added: '2026-10-19', reason: 'obsolete spelling' },
+  { word: 'JUZZY', from: '2026-10-20', added: '2026-10-19', reason: 'not a word' },
+  { word: 'RARIN', from: '2026-10-20', added: '2026-10-19', reason: 'needs an apostrophe' },
+  { word: 'YEPPS', from: '2026-10-20', added: '2026-10-19', reason: 'not a word' }
+];
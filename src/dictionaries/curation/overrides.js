@@ -0,0 +1,8 @@
+// Hand-picked daily words, keyed by day number (day 0 is 2024-01-01)
+// An override replaces the scheduled word for that day only. It must not use a
+// blocked or retired word (npm run schedule reports it). Only override days that
+// haven't been played yet.
+
+export const WORD_OVERRIDES = {
+  // 1100: 'MERRY'
+};
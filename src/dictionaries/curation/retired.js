@@ -0,0 +1,7 @@
+// Words retired from future daily puzzles (e.g. used too recently or too often)
+// Same format as the blocklist: each entry applies from its start day onwards
+// and has to start after the day it was added.
+
+export const RETIRED_WORDS = [
+  // { word: 'CRANE', from: '2027-01-01', added: '2026-12-01', reason: 'used in a promotion' }
+];
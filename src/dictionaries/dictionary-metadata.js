@@ -0,0 +1,3006 @@
+// Definitions for the daily answers in Word Up
+// Part of speech, a short definition and (where available) an example for each answer.
+// Inflected answers carry their base word, e.g. ACHES -> ACHE.
+// Loaded on demand (see word-info.js), so it stays out of the main bundle.
+//
+// Definitions and examples are from WordNet 3.1 (Copyright 2011 Princeton University,
+// used under the WordNet licence), with British spellings applied. Answers WordNet lacks
+// (informal, dialect and American-spelt words) have hand-written entries.
+
+export const WORD_METADATA = {
+  ABACK: { pos: 'adverb', definition: 'having the wind against the forward side of the sails', example: 'the ship came up into the wind with all yards aback' },
+  ABAFT: { pos: 'adverb', definition: 'at or near or towards the stern of a ship or tail of an aeroplane', example: 'stow the luggage aft' },
+  ABASH: { pos: 'verb', definition: 'cause to be embarrassed' },
+  ABATE: { pos: 'verb', definition: 'become less in amount or intensity', example: 'The storm abated' },
+  ABBEY: { pos: 'noun', definition: 'a church associated with a monastery or convent' },
+  ABBOT: { pos: 'noun', definition: 'the superior of an abbey of monks' },
+  ABODE: { pos: 'noun', definition: 'any address at which you dwell more than temporarily', example: 'a person can have several residences' },
+  ABORT: { pos: 'noun', definition: 'the act of terminating a project or procedure before it is completed', example: 'I wasted a year of my life working on an abort' },
+  ABOUT: { pos: 'adverb', definition: '(of quantities) imprecise but fairly close to correct', example: 'lasted approximately an hour' },
+  ABOVE: { pos: 'adverb', definition: '(in writing) at an earlier place', example: 'see above' },
+  ABUSE: { pos: 'verb', definition: 'treat badly', example: 'This boss abuses his workers' },
+  ABYSS: { pos: 'noun', definition: 'a bottomless gulf or pit' },
+  ACHES: { pos: 'verb', definition: 'feel physical pain', example: 'Were you hurting after the accident?', base: 'ACHE' },
+  ACIDS: { pos: 'noun', definition: 'any of various water-soluble compounds having a sour taste and capable of turning litmus red and reacting with a base to form a salt', base: 'ACID' },
+  ACORN: { pos: 'noun', definition: 'fruit of the oak tree: a smooth thin-walled nut in a woody cup-shaped base' },
+  ACRES: { pos: 'noun', definition: 'extensive landed property (especially in the country) retained by the owner for his own use', example: 'the family owned a large estate on Long Island' },
+  ACTED: { pos: 'verb', definition: 'perform an action, or work out or perform (an action)', example: 'think before you act', base: 'ACT' },
+  ACTOR: { pos: 'noun', definition: 'a person who acts and gets things done', example: 'he\'s a principal actor in this affair' },
+  ACUTE: { pos: 'adjective', definition: 'having or experiencing a rapid onset and short but severe course', example: 'acute appendicitis' },
+  ADAGE: { pos: 'noun', definition: 'a condensed but memorable saying embodying some important fact of experience that is taken as true by many people' },
+  ADAPT: { pos: 'verb', definition: 'make fit for, or change to suit a new purpose', example: 'Adapt our native cuisine to the available food resources of the new country' },
+  ADDED: { pos: 'verb', definition: 'make an addition (to)', example: 'We added two students to that dorm room', base: 'ADD' },
+  ADMIN: { pos: 'noun', definition: 'the administration of a business or organisation; paperwork', example: 'I spent the morning catching up on admin' },
+  ADMIT: { pos: 'verb', definition: 'declare to be true or admit the existence or reality or truth of', example: 'He admitted his errors' },
+  ADOBE: { pos: 'noun', definition: 'the clay from which adobe bricks are made' },
+  ADOPT: { pos: 'verb', definition: 'choose and follow', example: 'She followed the feminist movement' },
+  ADORE: { pos: 'verb', definition: 'love intensely', example: 'he just adored his wife' },
+  ADULT: { pos: 'noun', definition: 'a fully developed person from maturity onward' },
+  AFAR: { pos: 'adverb', definition: 'at or from a great distance', example: 'news of the storm reached us from afar' },
+  AFTER: { pos: 'adverb', definition: 'happening at a time subsequent to a reference time', example: 'he apologized subsequently' },
+  AGAIN: { pos: 'adverb', definition: 'anew', example: 'she tried again' },
+  AGENT: { pos: 'noun', definition: 'an active and efficient cause', example: 'their research uncovered new disease agents' },
+  AGILE: { pos: 'adjective', definition: 'moving quickly and lightly', example: 'sleek and agile as a gymnast' },
+  AGING: { pos: 'noun', definition: 'American spelling of ageing; the process of growing old' },
+  AGONY: { pos: 'noun', definition: 'intense feelings of suffering', example: 'an agony of doubt' },
+  AGREE: { pos: 'verb', definition: 'be in accord', example: 'We agreed on the terms of the settlement' },
+  AHEAD: { pos: 'adverb', definition: 'at or in the front', example: 'I see the lights of a town ahead' },
+  AIDED: { pos: 'verb', definition: 'give help or assistance', example: 'Everyone helped out during the earthquake', base: 'AID' },
+  AIMED: { pos: 'verb', definition: 'point or cause to go (blows, weapons, or objects such as photographic equipment) towards', example: 'Please don\'t aim at your little brother!', base: 'AIM' },
+  AISLE: { pos: 'noun', definition: 'a long narrow passage (as in a cave or woods)' },
+  ALARM: { pos: 'noun', definition: 'fear resulting from the awareness of danger' },
+  ALBUM: { pos: 'noun', definition: 'one or more recordings issued together' },
+  ALERT: { pos: 'verb', definition: 'warn or arouse to a sense of danger or call to a state of preparedness', example: 'The empty house alarmed him' },
+  ALIAS: { pos: 'noun', definition: 'a name that has been assumed temporarily' },
+  ALIBI: { pos: 'noun', definition: 'a defence of some offensive behaviour or some failure to keep a promise etc.', example: 'he kept finding excuses to stay' },
+  ALIEN: { pos: 'adjective', definition: 'not contained in or deriving from the essential nature of something', example: 'an economic theory alien to the spirit of capitalism' },
+  ALIGN: { pos: 'verb', definition: 'place in a line or arrange so as to be parallel or straight', example: 'align the car with the curb' },
+  ALIKE: { pos: 'adjective', definition: 'having the same or similar characteristics', example: 'all politicians are alike' },
+  ALIVE: { pos: 'adjective', definition: 'possessing life', example: 'the happiest person alive' },
+  ALLEY: { pos: 'noun', definition: 'a narrow street with walls on both sides' },
+  ALLOW: { pos: 'verb', definition: 'make it possible through a specific action or lack of action for something to happen', example: 'This permits the water to rush in' },
+  ALLOY: { pos: 'noun', definition: 'a mixture containing two or more metallic elements or metallic and nonmetallic elements usually fused together or dissolving into each other when molten', example: 'brass is an alloy of zinc and copper' },
+  ALONE: { pos: 'adjective', definition: 'isolated from others', example: 'could be alone in a crowded room' },
+  ALONG: { pos: 'adverb', definition: 'with a forward motion', example: 'we drove along admiring the view' },
+  ALOOF: { pos: 'adjective', definition: 'remote in manner', example: 'stood apart with aloof dignity' },
+  ALOUD: { pos: 'adverb', definition: 'using the voice', example: 'please read the passage aloud' },
+  ALPHA: { pos: 'noun', definition: 'the beginning of a series or sequence', example: 'the Alpha and Omega, the first and the last, the beginning and the end' },
+  ALTAR: { pos: 'noun', definition: 'the table in Christian churches where communion is given' },
+  ALTER: { pos: 'verb', definition: 'cause to change', example: 'The advent of the automobile may have altered the growth pattern of the city' },
+  AMBER: { pos: 'noun', definition: 'a deep yellow colour', example: 'an amber light illuminated the room' },
+  AMEND: { pos: 'verb', definition: 'make amendments to', example: 'amend the document' },
+  AMIDS: { pos: 'noun', definition: 'amides; organic compounds derived from ammonia (a rare spelling)', base: 'AMID' },
+  AMONG: { pos: 'preposition', definition: 'in the middle of or surrounded by', example: 'a house among the trees' },
+  AMPLE: { pos: 'adjective', definition: 'more than enough in size or scope or capacity', example: 'had ample food for the party' },
+  AMUSE: { pos: 'verb', definition: 'occupy in an agreeable, entertaining or pleasant fashion', example: 'The play amused the ladies' },
+  ANGEL: { pos: 'noun', definition: 'spiritual being attendant upon God' },
+  ANGER: { pos: 'noun', definition: 'a strong emotion' },
+  ANGLE: { pos: 'noun', definition: 'the space between two lines or planes that intersect' },
+  ANGRY: { pos: 'adjective', definition: 'feeling or showing anger', example: 'angry at the weather' },
+  ANKLE: { pos: 'noun', definition: 'a gliding joint between the distal ends of the tibia and fibula and the proximal end of the talus' },
+  ANNEX: { pos: 'noun', definition: 'an addition that extends a main building' },
+  ANTIC: { pos: 'adjective', definition: 'ludicrously odd', example: 'Hamlet\'s assumed antic disposition' },
+  APART: { pos: 'adverb', definition: 'separated or at a distance in place or position or time', example: 'These towns are many miles apart' },
+  APPLE: { pos: 'noun', definition: 'fruit with red or yellow or green skin and sweet to tart crisp whitish flesh' },
+  APPLY: { pos: 'verb', definition: 'put into service', example: 'use your head!' },
+  APRIL: { pos: 'noun', definition: 'the month following March and preceding May' },
+  APRON: { pos: 'noun', definition: 'a garment of cloth or leather or plastic that is tied about the waist and worn to protect your clothing' },
+  ARBOR: { pos: 'noun', definition: 'American spelling of arbour; a shady garden alcove with sides and roof of climbing plants' },
+  ARGUE: { pos: 'verb', definition: 'present reasons and arguments' },
+  ARISE: { pos: 'verb', definition: 'come into existence', example: 'A new religious movement originated in that country' },
+  ARMED: { pos: 'verb', definition: 'prepare oneself for a military confrontation', example: 'The U.S. is girding for a conflict in the Middle East', base: 'ARM' },
+  ARMOR: { pos: 'noun', definition: 'American spelling of armour; protective covering worn in battle, such as metal plates' },
+  AROMA: { pos: 'noun', definition: 'any property detected by the olfactory system' },
+  ARRAY: { pos: 'noun', definition: 'an orderly arrangement', example: 'an array of troops in battle order' },
+  ARROW: { pos: 'noun', definition: 'a mark to indicate a direction or relation' },
+  ARSON: { pos: 'noun', definition: 'malicious burning to destroy property', example: 'the British term for arson is fire-raising' },
+  ARTIC: { pos: 'noun', definition: 'an articulated lorry (informal); also a common misspelling of arctic', example: 'an artic jack-knifed on the motorway' },
+  ASCOT: { pos: 'noun', definition: 'a cravat with wide square ends' },
+  ASIDE: { pos: 'adverb', definition: 'on or to one side', example: 'step aside' },
+  ASKED: { pos: 'verb', definition: 'make a request or demand for something to somebody', example: 'She asked him for a loan', base: 'ASK' },
+  ASSET: { pos: 'noun', definition: 'a useful or valuable quality' },
+  ATLAS: { pos: 'noun', definition: '(Greek mythology) a Titan who was forced by Zeus to bear the sky on his shoulders' },
+  ATTIC: { pos: 'noun', definition: 'floor consisting of open space at the top of a house just below roof' },
+  AUDIO: { pos: 'noun', definition: 'the audible part of a transmitted signal', example: 'they always raise the audio for commercials' },
+  AUDIT: { pos: 'noun', definition: 'a methodical examination or review of a condition or situation', example: 'he made an audit of all the plants on his property' },
+  AVOID: { pos: 'verb', definition: 'stay clear from', example: 'Her former friends now avoid her' },
+  AWAKE: { pos: 'verb', definition: 'stop sleeping', example: 'She woke up to the sound of the alarm clock' },
+  AWARD: { pos: 'noun', definition: 'a grant made by a law court', example: 'he criticized the awarding of compensation by the court' },
+  AWARE: { pos: 'adjective', definition: '(sometimes followed by `of\') having or showing knowledge or understanding or realization or perception', example: 'was aware of his opponent\'s hostility' },
+  AWFUL: { pos: 'adjective', definition: 'exceptionally bad or displeasing', example: 'atrocious taste' },
+  BADGE: { pos: 'noun', definition: 'an emblem (a small piece of plastic or cloth or metal) that signifies your status (rank or membership or affiliation etc.)', example: 'they checked everyone\'s badge before letting them in' },
+  BADLY: { pos: 'adverb', definition: 'to a severe or serious degree', example: 'fingers so badly frozen they had to be amputated' },
+  BAGEL: { pos: 'noun', definition: '(Yiddish) glazed yeast-raised doughnut-shaped roll with hard crust' },
+  BAKER: { pos: 'noun', definition: 'someone who bakes commercially' },
+  BALLS: { pos: 'noun', definition: 'round object that is hit or thrown or kicked in games', example: 'the ball travelled 90 mph on his serve', base: 'BALL' },
+  BANDS: { pos: 'noun', definition: 'an unofficial association of people or groups', example: 'the smart set goes there', base: 'BAND' },
+  BANKS: { pos: 'noun', definition: 'sloping land (especially the slope beside a body of water)', example: 'they pulled the canoe up on the bank', base: 'BANK' },
+  BARGE: { pos: 'noun', definition: 'a flatbottom boat for carrying heavy loads (especially on canals)' },
+  BARKS: { pos: 'noun', definition: 'tough protective covering of the woody stems and roots of trees and other woody plants', base: 'BARK' },
+  BARNS: { pos: 'noun', definition: 'an outlying farm building for storing grain or animal feed and housing farm animals', base: 'BARN' },
+  BARON: { pos: 'noun', definition: 'a nobleman (in various countries) of varying rank' },
+  BASIC: { pos: 'adjective', definition: 'pertaining to or constituting a base or basis', example: 'a basic fact' },
+  BASIN: { pos: 'noun', definition: 'a bowl-shaped vessel', example: 'she mixed the dough in a large basin' },
+  BASIS: { pos: 'noun', definition: 'a relation that provides the foundation for something', example: 'they were on a friendly footing' },
+  BATCH: { pos: 'noun', definition: '(often followed by `of\') a large number or amount or extent', example: 'a batch of letters' },
+  BATHE: { pos: 'verb', definition: 'cleanse the entire body', example: 'bathe daily' },
+  BATHS: { pos: 'noun', definition: 'a vessel containing liquid in which something is immersed (as to process it or to maintain it at a constant temperature or to lubricate it)', example: 'she soaked the etching in an acid bath', base: 'BATH' },
+  BEACH: { pos: 'noun', definition: 'an area of sand sloping down to the water of a sea or lake' },
+  BEADS: { pos: 'noun', definition: 'a shape that is spherical and small', example: 'he studied the shapes of low-viscosity drops', base: 'BEAD' },
+  BEANS: { pos: 'noun', definition: 'any of various edible seeds of plants of the family Leguminosae used for food', base: 'BEAN' },
+  BEARD: { pos: 'noun', definition: 'the hair growing on the lower part of a man\'s face' },
+  BEARS: { pos: 'verb', definition: 'have', example: 'bear a resemblance', base: 'BEAR' },
+  BEAST: { pos: 'noun', definition: 'a living organism characterized by voluntary movement' },
+  BEATS: { pos: 'verb', definition: 'come out better in a competition, race, or conflict', example: 'Agassi beat Becker in the tennis championship', base: 'BEAT' },
+  BEGAN: { pos: 'verb', definition: 'take the first step or steps in carrying out an action', example: 'We began working at dawn', base: 'BEGIN' },
+  BEGIN: { pos: 'verb', definition: 'take the first step or steps in carrying out an action', example: 'We began working at dawn' },
+  BEING: { pos: 'verb', definition: 'have the quality of being', example: 'John is rich', base: 'BE' },
+  BELLY: { pos: 'noun', definition: 'the region of the body of a vertebrate between the thorax and the pelvis' },
+  BELOW: { pos: 'adverb', definition: '(in writing) at a later place', example: 'see below' },
+  BENCH: { pos: 'noun', definition: 'a long seat for more than one person' },
+  BENDS: { pos: 'verb', definition: 'form a curve', example: 'The stick does not bend', base: 'BEND' },
+  BERRY: { pos: 'noun', definition: 'any of numerous small and pulpy edible fruits' },
+  BIKES: { pos: 'noun', definition: 'a motor vehicle with two wheels and a strong frame', base: 'BIKE' },
+  BILLS: { pos: 'noun', definition: 'a statute in draft before it becomes law', example: 'they held a public hearing on the bill', base: 'BILL' },
+  BINDS: { pos: 'verb', definition: 'stick to firmly', example: 'Will this wallpaper adhere to the wall?', base: 'BIND' },
+  BIRDS: { pos: 'noun', definition: 'warm-blooded egg-laying vertebrates characterized by feathers and forelimbs modified as wings', base: 'BIRD' },
+  BIRTH: { pos: 'noun', definition: 'the time when something begins (especially life)', example: 'they divorced after the birth of the child' },
+  BITES: { pos: 'verb', definition: 'to grip, cut off, or tear with or as if with the teeth or jaws', example: 'Gunny invariably tried to bite her', base: 'BITE' },
+  BLACK: { pos: 'adjective', definition: 'being of the achromatic colour of maximum darkness', example: 'black leather jackets' },
+  BLADE: { pos: 'noun', definition: 'a dashing young man', example: 'gay young blades bragged of their amorous adventures' },
+  BLAME: { pos: 'verb', definition: 'harass with constant criticism', example: 'Don\'t always pick on your little brother' },
+  BLAND: { pos: 'adjective', definition: 'lacking taste or flavour or tang', example: 'a bland diet' },
+  BLANK: { pos: 'adjective', definition: '(of a surface) not written or printed on', example: 'blank pages' },
+  BLAST: { pos: 'verb', definition: 'make a strident sound', example: 'She tended to blast when speaking into a microphone' },
+  BLAZE: { pos: 'noun', definition: 'a strong flame that burns brightly', example: 'the blaze spread rapidly' },
+  BLEAK: { pos: 'adjective', definition: 'offering little or no hope', example: 'the future looked black' },
+  BLEED: { pos: 'verb', definition: 'draw blood', example: 'In the old days, doctors routinely bled patients as part of the treatment' },
+  BLEND: { pos: 'verb', definition: 'combine into one', example: 'blend the nuts and raisins together' },
+  BLESS: { pos: 'verb', definition: 'give a benediction to', example: 'The dying man blessed his son' },
+  BLIND: { pos: 'noun', definition: 'people who have severe visual impairments, considered as a group', example: 'he spent hours reading to the blind' },
+  BLINK: { pos: 'verb', definition: 'briefly shut the eyes', example: 'The TV announcer never seems to blink' },
+  BLISS: { pos: 'noun', definition: 'a state of extreme happiness' },
+  BLOCK: { pos: 'noun', definition: 'a solid piece of something (usually having flat rectangular sides)', example: 'the pyramids were built with large stone blocks' },
+  BLOKE: { pos: 'noun', definition: 'a boy or man', example: 'that chap is your host' },
+  BLOOD: { pos: 'noun', definition: 'the fluid (red in vertebrates) that is pumped through the body by the heart and contains plasma, blood cells, and platelets', example: 'blood carries oxygen and nutrients to the tissues and carries away waste products' },
+  BLOOM: { pos: 'noun', definition: 'the organic process of bearing flowers', example: 'you will stop all bloom if you let the flowers go to seed' },
+  BLOWN: { pos: 'adjective', definition: 'being moved or acted upon by moving air or vapour', example: 'blown clouds of dust choked the riders' },
+  BLOWS: { pos: 'verb', definition: 'exhale hard', example: 'blow on the soup to cool it down', base: 'BLOW' },
+  BLUES: { pos: 'noun', definition: 'blue colour or pigment', example: 'he had eyes of bright blue', base: 'BLUE' },
+  BLUFF: { pos: 'noun', definition: 'pretense that your position is stronger than it really is', example: 'his bluff succeeded in getting him accepted' },
+  BLUNT: { pos: 'adjective', definition: 'having a broad or rounded end', example: 'thick marks made by a blunt pencil' },
+  BLURS: { pos: 'verb', definition: 'become glassy', example: 'Her eyes glazed over from lack of sleep', base: 'BLUR' },
+  BLUSH: { pos: 'verb', definition: 'turn red, as if in embarrassment or shame', example: 'The girl blushed when a young man whistled as she walked by' },
+  BOARD: { pos: 'noun', definition: 'a committee having supervisory powers', example: 'the board has seven members' },
+  BOARS: { pos: 'noun', definition: 'Old World wild swine having a narrow body and prominent tusks from which most domestic swine come', base: 'BOAR' },
+  BOAST: { pos: 'verb', definition: 'wear or display in an ostentatious or proud manner', example: 'she was sporting a new hat' },
+  BOATS: { pos: 'noun', definition: 'a small vessel for travel on water', base: 'BOAT' },
+  BOBBY: { pos: 'noun', definition: 'an informal term for a British policeman' },
+  BODED: { pos: 'verb', definition: 'indicate, as with a sign or an omen', example: 'These signs bode bad news', base: 'BODE' },
+  BOGEY: { pos: 'noun', definition: 'an evil spirit' },
+  BOILS: { pos: 'verb', definition: 'come to the boiling point and change from a liquid to vapour', example: 'Water boils at 100 degrees Celsius', base: 'BOIL' },
+  BOLTS: { pos: 'noun', definition: 'a discharge of lightning accompanied by thunder', base: 'BOLT' },
+  BOMBS: { pos: 'noun', definition: 'an explosive device fused to explode under specific conditions', base: 'BOMB' },
+  BONDS: { pos: 'noun', definition: 'an electrical force linking atoms', base: 'BOND' },
+  BONES: { pos: 'noun', definition: 'rigid connective tissue that makes up the skeleton of vertebrates', base: 'BONE' },
+  BONUS: { pos: 'noun', definition: 'anything that tends to arouse', example: 'his approval was an added fillip' },
+  BOOKS: { pos: 'noun', definition: 'a written work or composition that has been published (printed on pages bound together)', example: 'I am reading a good book on economics', base: 'BOOK' },
+  BOOMS: { pos: 'verb', definition: 'make a resonant sound, like artillery', example: 'His deep voice boomed through the hall', base: 'BOOM' },
+  BOOST: { pos: 'verb', definition: 'increase', example: 'The landlord hiked up the rents' },
+  BOOTH: { pos: 'noun', definition: 'a table (in a restaurant or bar) surrounded by two high-backed benches' },
+  BOOTS: { pos: 'noun', definition: 'compartment in an automobile that carries luggage or shopping or tools', example: 'he put his golf bag in the trunk', base: 'BOOT' },
+  BORED: { pos: 'adjective', definition: 'tired of the world', example: 'bored with life' },
+  BOSSY: { pos: 'adjective', definition: 'offensively self-assured or given to exercising usually unwarranted power', example: 'an autocratic person' },
+  BOUND: { pos: 'adjective', definition: 'confined by bonds', example: 'bound and gagged hostages' },
+  BOWED: { pos: 'verb', definition: 'bend one\'s knee or body, or lower one\'s head', example: 'He bowed before the King', base: 'BOW' },
+  BOWEL: { pos: 'noun', definition: 'the part of the alimentary canal between the stomach and the anus' },
+  BOWER: { pos: 'noun', definition: 'a framework that supports climbing plants', example: 'the arbour provided a shady resting place in the park' },
+  BOWLS: { pos: 'noun', definition: 'a round vessel that is open at the top', base: 'BOWL' },
+  BOXED: { pos: 'adjective', definition: 'enclosed in or set off by a border or box', example: 'boxed sections of the report' },
+  BOXER: { pos: 'noun', definition: 'someone who fights with his fists for sport' },
+  BOXES: { pos: 'noun', definition: 'a (usually rectangular) container', example: 'he rummaged through a box of spare parts', base: 'BOX' },
+  BRAGS: { pos: 'verb', definition: 'show off', base: 'BRAG' },
+  BRAID: { pos: 'noun', definition: 'a hairdo formed by braiding or twisting the hair' },
+  BRAIN: { pos: 'noun', definition: 'mental ability', example: 'he\'s got plenty of brains but no common sense' },
+  BRAKE: { pos: 'noun', definition: 'a restraint used to slow or stop a vehicle' },
+  BRAND: { pos: 'noun', definition: 'a recognizable kind', example: 'there\'s a new brand of hero in the movies now' },
+  BRASS: { pos: 'noun', definition: 'an alloy of copper and zinc' },
+  BRAVE: { pos: 'adjective', definition: 'possessing or displaying courage', example: 'Familiarity with danger makes a brave man braver but less daring' },
+  BRAVO: { pos: 'noun', definition: 'a murderer (especially one who kills a prominent political figure) who kills by a surprise attack and often is hired to do the deed', example: 'his assassins were hunted down like animals' },
+  BREAD: { pos: 'noun', definition: 'food made from dough of flour or meal and usually raised with yeast or baking powder and then baked' },
+  BREAK: { pos: 'verb', definition: 'terminate', example: 'She interrupted her pregnancy' },
+  BREED: { pos: 'verb', definition: 'copulate with a female, used especially of horses', example: 'The horse covers the mare' },
+  BRIBE: { pos: 'noun', definition: 'payment made to a person in a position of trust to corrupt his judgment' },
+  BRICK: { pos: 'noun', definition: 'rectangular block of clay baked by the sun or in a kiln' },
+  BRIDE: { pos: 'noun', definition: 'a woman who has recently been married' },
+  BRIEF: { pos: 'adjective', definition: 'of short duration or distance', example: 'a brief stay in the country' },
+  BRING: { pos: 'verb', definition: 'take something or somebody with oneself somewhere', example: 'Bring me the box from the other room' },
+  BRINK: { pos: 'noun', definition: 'a region marking a boundary' },
+  BRISK: { pos: 'adjective', definition: 'quick and energetic', example: 'a brisk walk in the park' },
+  BROAD: { pos: 'adjective', definition: 'having great (or a certain) extent from one side to the other', example: 'wide roads' },
+  BROIL: { pos: 'verb', definition: 'cook under a broiler', example: 'broil fish' },
+  BROKE: { pos: 'adjective', definition: 'lacking funds', example: '`skint\' is a British slang term' },
+  BROOK: { pos: 'noun', definition: 'a natural stream of water smaller than a river (and often a tributary of a river)', example: 'the creek dried up every summer' },
+  BROWN: { pos: 'noun', definition: 'an orange of low brightness and saturation' },
+  BRUSH: { pos: 'verb', definition: 'rub with a brush, or as if with a brush', example: 'Johnson brushed the hairs from his jacket' },
+  BRUTE: { pos: 'noun', definition: 'a cruelly rapacious person' },
+  BUDDY: { pos: 'noun', definition: 'a close friend who accompanies his buddies in their activities' },
+  BUDGE: { pos: 'verb', definition: 'move very slightly', example: 'He shifted in his seat' },
+  BUFFS: { pos: 'noun', definition: 'an ardent follower and admirer', base: 'BUFF' },
+  BUGGY: { pos: 'noun', definition: 'a small lightweight carriage' },
+  BUILD: { pos: 'verb', definition: 'make by combining materials and parts', example: 'this little pig made his house out of straw' },
+  BUILT: { pos: 'adjective', definition: '(used of soaps or cleaning agents) having a substance (an abrasive or filler) added to increase effectiveness', example: 'the built liquid detergents' },
+  BULGE: { pos: 'noun', definition: 'something that bulges out or is protuberant or projects from its surroundings', example: 'the gun in his pocket made an obvious bulge' },
+  BULKS: { pos: 'noun', definition: 'the property resulting from being or relating to the greater in number of two parts', example: 'the majority of his customers prefer it', base: 'BULK' },
+  BULLS: { pos: 'noun', definition: 'a large and strong and heavyset man', example: 'he was a bull of a man', base: 'BULL' },
+  BUMPS: { pos: 'verb', definition: 'knock against with force or violence', example: 'My car bumped into the tree', base: 'BUMP' },
+  BUNCH: { pos: 'noun', definition: 'a grouping of a number of similar things', example: 'a bunch of trees' },
+  BUNKS: { pos: 'noun', definition: 'a long trough for feeding cattle', base: 'BUNK' },
+  BUNNY: { pos: 'noun', definition: 'a young waitress in a nightclub whose costume includes the tail and ears of a rabbit' },
+  BURNS: { pos: 'verb', definition: 'destroy by fire', example: 'They burned the house and his diaries', base: 'BURN' },
+  BURNT: { pos: 'adjective', definition: 'ruined by overcooking', example: 'she served us underdone bacon and burnt biscuits' },
+  BURST: { pos: 'verb', definition: 'come open suddenly and violently, as if from internal pressure', example: 'The bubble burst' },
+  BUSES: { pos: 'noun', definition: 'a vehicle carrying many passengers', example: 'he always rode the bus to work', base: 'BUS' },
+  BUTCH: { pos: 'noun', definition: '(slang) offensive term for a lesbian who is noticeably masculine' },
+  BUTTE: { pos: 'noun', definition: 'a hill that rises abruptly from the surrounding region' },
+  BUTTY: { pos: 'noun', definition: 'a sandwich', example: 'a bacon butty' },
+  BUYER: { pos: 'noun', definition: 'a person who buys' },
+  BUZZY: { pos: 'adjective', definition: 'lively and exciting, full of activity', example: 'a buzzy little café' },
+  BYLAW: { pos: 'noun', definition: 'a rule adopted by an organization in order to regulate its own affairs and the behaviour of its members' },
+  CABBY: { pos: 'noun', definition: 'someone who drives a taxi for a living' },
+  CABIN: { pos: 'noun', definition: 'small room on a ship or boat where people sleep' },
+  CABLE: { pos: 'noun', definition: 'a telegram sent abroad' },
+  CACHE: { pos: 'noun', definition: 'a hidden storage space (for money or provisions or weapons)' },
+  CADET: { pos: 'noun', definition: 'a military trainee (as at a military academy)' },
+  CAGES: { pos: 'noun', definition: 'an enclosure made or wire or metal bars in which birds or animals can be kept', base: 'CAGE' },
+  CAIRN: { pos: 'noun', definition: 'a mound of stones piled up as a memorial or to mark a boundary or path' },
+  CAKES: { pos: 'noun', definition: 'a block of solid substance (such as soap or wax)', example: 'a bar of chocolate', base: 'CAKE' },
+  CAMEL: { pos: 'noun', definition: 'cud-chewing mammal used as a draft or saddle animal in desert regions' },
+  CAMPS: { pos: 'noun', definition: 'temporary living quarters specially built by the army for soldiers', example: 'wherever he went in the camp the men were grumbling', base: 'CAMP' },
+  CANAL: { pos: 'noun', definition: 'a bodily passage or tube lined with epithelial cells and conveying a secretion or other substance', example: 'the tear duct was obstructed' },
+  CANDY: { pos: 'noun', definition: 'a rich sweet made of flavored sugar and often combined with fruit or nuts' },
+  CANES: { pos: 'verb', definition: 'preserve in a can or tin', example: 'tinned foods are not very tasty', base: 'CAN' },
+  CANOE: { pos: 'noun', definition: 'small and light boat' },
+  CANON: { pos: 'noun', definition: 'a rule or especially body of rules or principles generally established as valid and fundamental in a field of art or philosophy', example: 'the neoclassical canon' },
+  CARDS: { pos: 'noun', definition: 'one of a set of small pieces of stiff paper marked in various ways and used for playing games or for telling fortunes', example: 'he collected cards and traded them with the other boys', base: 'CARD' },
+  CARED: { pos: 'verb', definition: 'feel concern or interest', example: 'I really care about my work', base: 'CARE' },
+  CARGO: { pos: 'noun', definition: 'goods carried by a large vehicle' },
+  CARRY: { pos: 'verb', definition: 'move while supporting, either in a vehicle or in one\'s hands or on one\'s body', example: 'You must carry your camping gear' },
+  CARVE: { pos: 'verb', definition: 'form by carving', example: 'Carve a flower from the ice' },
+  CASES: { pos: 'noun', definition: 'an occurrence of something', example: 'it was a case of bad judgment', base: 'CASE' },
+  CASTE: { pos: 'noun', definition: 'social status or position conferred by a system based on class', example: 'lose caste by doing work beneath one\'s station' },
+  CATCH: { pos: 'verb', definition: 'discover or come upon accidentally, suddenly, or unexpectedly', example: 'She caught her son eating candy' },
+  CAUSE: { pos: 'noun', definition: 'events that provide the generative force that is the origin of something', example: 'they are trying to determine the cause of the crash' },
+  CAVES: { pos: 'noun', definition: 'a geological formation consisting of an underground enclosure with access from the surface of the ground or from the sea', base: 'CAVE' },
+  CEDAR: { pos: 'noun', definition: 'any of numerous trees of the family Cupressaceae that resemble cedars' },
+  CELLS: { pos: 'noun', definition: 'any small compartment', example: 'the cells of a honeycomb', base: 'CELL' },
+  CENTS: { pos: 'noun', definition: 'a fractional monetary unit of several countries', base: 'CENT' },
+  CHAIR: { pos: 'noun', definition: 'a seat for one person, with a support for the back', example: 'he put his coat over the back of the chair and sat down' },
+  CHALK: { pos: 'noun', definition: 'a soft whitish calcite' },
+  CHAMP: { pos: 'noun', definition: 'someone who has won first place in a competition' },
+  CHANT: { pos: 'verb', definition: 'recite with musical intonation', example: 'The rabbi chanted a prayer' },
+  CHAOS: { pos: 'noun', definition: 'a state of extreme confusion and disorder' },
+  CHAPS: { pos: 'noun', definition: 'a boy or man', example: 'that chap is your host', base: 'CHAP' },
+  CHARD: { pos: 'noun', definition: 'beet lacking swollen root' },
+  CHARM: { pos: 'noun', definition: 'attractiveness that interests or pleases or stimulates', example: 'his smile was part of his appeal to her' },
+  CHART: { pos: 'noun', definition: 'a visual display of information' },
+  CHASE: { pos: 'noun', definition: 'the act of pursuing in an effort to overtake or capture', example: 'the culprit started to run and the cop took off in pursuit' },
+  CHEAP: { pos: 'adjective', definition: 'relatively low in price or charging low prices', example: 'it would have been cheap at twice the price' },
+  CHEAT: { pos: 'verb', definition: 'deprive somebody of something by deceit', example: 'The con-man beat me out of $50' },
+  CHECK: { pos: 'verb', definition: 'examine so as to determine accuracy, quality, or condition', example: 'check the brakes' },
+  CHEEK: { pos: 'noun', definition: 'either side of the face below the eyes' },
+  CHEER: { pos: 'verb', definition: 'show approval or good wishes by shouting', example: 'everybody cheered the birthday boy' },
+  CHESS: { pos: 'noun', definition: 'weedy annual native to Europe but widely distributed as a weed especially in wheat' },
+  CHEST: { pos: 'noun', definition: 'the part of the human torso between the neck and the diaphragm or the corresponding part in other vertebrates' },
+  CHEWS: { pos: 'verb', definition: 'chew (food)', example: 'He jawed his bubble gum', base: 'CHEW' },
+  CHIEF: { pos: 'noun', definition: 'a person who is in charge', example: 'the head of the whole operation' },
+  CHILD: { pos: 'noun', definition: 'a young person of either sex', example: 'she writes books for children' },
+  CHILL: { pos: 'noun', definition: 'an almost pleasurable sensation of fright', example: 'a frisson of surprise shot through him' },
+  CHINA: { pos: 'noun', definition: 'a communist nation that covers a vast territory in eastern Asia' },
+  CHIPS: { pos: 'noun', definition: 'a small fragment of something broken off from the whole', example: 'a bit of rock caught him in the eye', base: 'CHIP' },
+  CHOIR: { pos: 'noun', definition: 'a chorus that sings as part of a religious ceremony' },
+  CHOPS: { pos: 'verb', definition: 'cut into pieces', example: 'Chop wood', base: 'CHOP' },
+  CHORD: { pos: 'noun', definition: 'a straight line connecting two points on a curve' },
+  CHORE: { pos: 'noun', definition: 'a specific piece of work required to be done as a duty or for a specific fee', example: 'estimates of the city\'s loss on that job ranged as high as a million dollars' },
+  CHOSE: { pos: 'verb', definition: 'pick out, select, or choose from a number of alternatives', example: 'Take any one of these cards', base: 'CHOOSE' },
+  CHUNK: { pos: 'noun', definition: 'a compact mass', example: 'a ball of mud caught him on the shoulder' },
+  CIDER: { pos: 'noun', definition: 'a beverage made from juice pressed from apples' },
+  CIGAR: { pos: 'noun', definition: 'a roll of tobacco for smoking' },
+  CINCH: { pos: 'noun', definition: 'any undertaking that is easy to do', example: 'marketing this product will be no picnic' },
+  CITED: { pos: 'verb', definition: 'make reference to', example: 'His name was mentioned in connection with the invention', base: 'CITE' },
+  CIVIC: { pos: 'adjective', definition: 'of or relating or belonging to a city', example: 'civic centre' },
+  CIVIL: { pos: 'adjective', definition: 'applying to ordinary citizens as contrasted with the military', example: 'civil authorities' },
+  CLADS: { pos: 'verb', definition: 'covers something with a protective layer of another material', example: 'the builder clads the walls in timber', base: 'CLAD' },
+  CLAIM: { pos: 'noun', definition: 'an assertion of a right (as to money or property)', example: 'his claim asked for damages' },
+  CLAMP: { pos: 'verb', definition: 'fasten or fix with a clamp', example: 'clamp the chair together until the glue has hardened' },
+  CLAMS: { pos: 'noun', definition: 'burrowing marine mollusk living on sand or mud', base: 'CLAM' },
+  CLANK: { pos: 'verb', definition: 'make a clank', example: 'the train clanked through the village' },
+  CLAPS: { pos: 'verb', definition: 'put quickly or forcibly', example: 'The judge clapped him in jail', base: 'CLAP' },
+  CLASH: { pos: 'noun', definition: 'a loud resonant repeating noise', example: 'he could hear the clang of distant bells' },
+  CLASS: { pos: 'noun', definition: 'a collection of things sharing a common attribute', example: 'there are two classes of detergents' },
+  CLAWS: { pos: 'noun', definition: 'sharp curved horny process on the toe of a bird or some mammals or reptiles', base: 'CLAW' },
+  CLAYS: { pos: 'noun', definition: 'a very fine-grained soil that is plastic when moist but hard when fired', base: 'CLAY' },
+  CLEAN: { pos: 'adjective', definition: 'free from dirt or impurities', example: 'children with clean shining faces' },
+  CLEAR: { pos: 'verb', definition: 'rid of obstructions', example: 'Clear your desk' },
+  CLEAT: { pos: 'noun', definition: 'a metal or leather projection (as from the sole of a shoe)' },
+  CLEFS: { pos: 'noun', definition: 'a musical notation written on a staff indicating the pitch of the notes following it', base: 'CLEF' },
+  CLERK: { pos: 'noun', definition: 'an employee who performs clerical work (e.g., keeps records or accounts)' },
+  CLICK: { pos: 'verb', definition: 'move or strike with a noise', example: 'he clicked on the light' },
+  CLIFF: { pos: 'noun', definition: 'a steep high face of rock', example: 'he stood on a high cliff overlooking the town' },
+  CLIMB: { pos: 'verb', definition: 'go upward with gradual or continuous progress', example: 'Did you ever climb up the hill behind your house?' },
+  CLING: { pos: 'verb', definition: 'come or be in close contact with', example: 'The dress clings to her body' },
+  CLINK: { pos: 'verb', definition: 'make a high sound typical of glass', example: 'champagne glasses clinked to make a toast' },
+  CLIPS: { pos: 'noun', definition: 'an instance or single occasion for some event', example: 'this time he succeeded', base: 'CLIP' },
+  CLOAK: { pos: 'noun', definition: 'anything that covers or conceals' },
+  CLOCK: { pos: 'noun', definition: 'a timepiece that shows the time of day' },
+  CLOGS: { pos: 'verb', definition: 'become or cause to become obstructed', example: 'The leaves clog our drains in the Fall', base: 'CLOG' },
+  CLONE: { pos: 'noun', definition: 'a person who is almost identical to another' },
+  CLOSE: { pos: 'adjective', definition: 'at or within a short distance in space or time or having elements near each other', example: 'close to noon' },
+  CLOTH: { pos: 'noun', definition: 'artifact made by weaving or felting or knitting or crocheting natural or synthetic fibres', example: 'the fabric in the curtains was light and semitransparent' },
+  CLOUD: { pos: 'noun', definition: 'any collection of particles (e.g., smoke or dust) or gases that is visible' },
+  CLOUT: { pos: 'noun', definition: 'special advantage or influence', example: 'the chairman\'s nephew has a lot of pull' },
+  CLOWN: { pos: 'noun', definition: 'a rude or vulgar fool' },
+  CLUBS: { pos: 'noun', definition: 'a team of professional baseball players who play and travel together', example: 'each club played six home games with teams in its own division', base: 'CLUB' },
+  CLUCK: { pos: 'noun', definition: 'the sound made by a hen (as in calling her chicks)' },
+  CLUED: { pos: 'verb', definition: 'roll into a ball', base: 'CLUE' },
+  CLUES: { pos: 'noun', definition: 'a slight indication', base: 'CLUE' },
+  CLUMP: { pos: 'noun', definition: 'a grouping of a number of similar things', example: 'a bunch of trees' },
+  CLUNG: { pos: 'verb', definition: 'come or be in close contact with', example: 'The dress clings to her body', base: 'CLING' },
+  CLUNK: { pos: 'noun', definition: 'a heavy dull sound (as made by impact of heavy objects)' },
+  COACH: { pos: 'verb', definition: 'teach and supervise (someone)', example: 'He is training our Olympic team' },
+  COALS: { pos: 'noun', definition: 'fossil fuel consisting of carbonized vegetable matter deposited in the Carboniferous period', base: 'COAL' },
+  COAST: { pos: 'noun', definition: 'a slope down which sleds may coast', example: 'when it snowed they made a coast on the golf course' },
+  COATS: { pos: 'noun', definition: 'a thin layer covering something', example: 'a second coat of paint', base: 'COAT' },
+  COBRA: { pos: 'noun', definition: 'venomous Asiatic and African elapid snakes that can expand the skin of the neck into a hood' },
+  CODES: { pos: 'noun', definition: 'a set of rules or principles or laws (especially written ones)', base: 'CODE' },
+  COINS: { pos: 'noun', definition: 'a flat metal piece (usually a disc) used as money', base: 'COIN' },
+  COLDS: { pos: 'noun', definition: 'a mild viral infection involving the nose and respiratory passages (but not the lungs)', example: 'will they never find a cure for the common cold?', base: 'COLD' },
+  COLON: { pos: 'noun', definition: 'the part of the large intestine between the cecum and the rectum' },
+  COLOR: { pos: 'noun', definition: 'American spelling of colour; the quality of an object produced by the light it reflects, such as red or blue' },
+  COLTS: { pos: 'noun', definition: 'a young male horse under the age of four', base: 'COLT' },
+  COMAS: { pos: 'noun', definition: 'a state of deep and often prolonged unconsciousness', base: 'COMA' },
+  COMBO: { pos: 'noun', definition: 'a small band of jazz musicians' },
+  COMES: { pos: 'verb', definition: 'move towards, travel towards something or somebody or approach something or somebody', example: 'He came singing down the road', base: 'COME' },
+  COMET: { pos: 'noun', definition: '(astronomy) a relatively small extraterrestrial body consisting of a frozen mass that travels around the sun in a highly elliptical orbit' },
+  COMIC: { pos: 'adjective', definition: 'arousing or provoking laughter', example: 'an amusing film with a steady stream of pranks and pratfalls' },
+  CONCH: { pos: 'noun', definition: 'any of various edible tropical marine gastropods of the genus Strombus having a brightly-coloured spiral shell with large outer lip' },
+  CONDO: { pos: 'noun', definition: 'one of the dwelling units in a condominium' },
+  CONES: { pos: 'noun', definition: 'any cone-shaped artifact', base: 'CONE' },
+  CORAL: { pos: 'noun', definition: 'a variable colour averaging a deep pink' },
+  CORDS: { pos: 'noun', definition: 'a line made of twisted fibres or threads', example: 'the bundle was tied with a cord', base: 'CORD' },
+  CORES: { pos: 'noun', definition: 'a small group of indispensable persons or things', example: 'five periodicals make up the core of their publishing program', base: 'CORE' },
+  CORGI: { pos: 'noun', definition: 'either of two Welsh breeds of long-bodied short-legged dogs with erect ears and a fox-like head' },
+  CORNS: { pos: 'noun', definition: 'tall annual cereal grass bearing kernels on large ears: widely cultivated in America in many varieties', base: 'CORN' },
+  CORPS: { pos: 'noun', definition: 'a body of people associated together', example: 'diplomatic corps' },
+  COSTS: { pos: 'noun', definition: 'the property of having material worth (often indicated by the amount of money something would bring if sold)', example: 'the fluctuating monetary value of gold and silver', base: 'COST' },
+  COUCH: { pos: 'noun', definition: 'an upholstered seat for more than one person' },
+  COUGH: { pos: 'verb', definition: 'exhale abruptly, as when one has a chest cold or congestion', example: 'The smoker coughs all day' },
+  COULD: { pos: 'verb', definition: 'used to say that something was possible or allowed', example: 'she could swim before she could walk' },
+  COUNT: { pos: 'verb', definition: 'determine the number or amount of', example: 'Can you count the books on your shelf?' },
+  COUPE: { pos: 'noun', definition: 'a car with two doors and front seats and a luggage compartment' },
+  COURT: { pos: 'noun', definition: 'a room in which a lawcourt sits', example: 'television cameras were admitted in the courtroom' },
+  COVEN: { pos: 'noun', definition: 'an assembly of witches' },
+  COVER: { pos: 'verb', definition: 'provide with a covering or cause to be covered', example: 'cover her face with a handkerchief' },
+  COWED: { pos: 'verb', definition: 'subdue, restrain, or overcome by affecting with a feeling of awe', base: 'COW' },
+  CRABS: { pos: 'noun', definition: 'decapod having eyes on short stalks and a broad flattened carapace with a small abdomen folded under the thorax and pincers', base: 'CRAB' },
+  CRACK: { pos: 'verb', definition: 'become fractured', example: 'The glass cracked when it was heated' },
+  CRAFT: { pos: 'noun', definition: 'the skilled practice of a practical occupation', example: 'he learned his trade as an apprentice' },
+  CRAMP: { pos: 'noun', definition: 'a painful and involuntary muscular contraction' },
+  CRANE: { pos: 'verb', definition: 'stretch (the neck) so as to see better', example: 'The women craned their necks to see the President drive by' },
+  CRANK: { pos: 'noun', definition: 'a bad-tempered person' },
+  CRASH: { pos: 'verb', definition: 'fall or come down violently', example: 'The branch crashed down on my car' },
+  CRASS: { pos: 'adjective', definition: '(of persons) so unrefined as to be lacking in discrimination and sensibility' },
+  CRATE: { pos: 'noun', definition: 'a rugged box (usually made of wood)' },
+  CRAVE: { pos: 'verb', definition: 'have a craving, appetite, or great desire for' },
+  CRAWL: { pos: 'verb', definition: 'move slowly', example: 'The crocodile was crawling along the riverbed' },
+  CRAZE: { pos: 'noun', definition: 'an interest followed with exaggerated zeal', example: 'he always follows the latest fads' },
+  CRAZY: { pos: 'adjective', definition: 'affected with madness or insanity', example: 'a man who had gone mad' },
+  CREAK: { pos: 'verb', definition: 'make a high-pitched, screeching noise', example: 'The door creaked when I opened it slowly' },
+  CREAM: { pos: 'noun', definition: 'the best people or things in a group', example: 'the cream of England\'s young men were killed in the Great War' },
+  CREED: { pos: 'noun', definition: 'any system of principles or beliefs' },
+  CREEK: { pos: 'noun', definition: 'a natural stream of water smaller than a river (and often a tributary of a river)', example: 'the creek dried up every summer' },
+  CREEP: { pos: 'verb', definition: 'move slowly', example: 'The crocodile was crawling along the riverbed' },
+  CREST: { pos: 'noun', definition: 'the top or extreme point of something (usually a mountain or hill)', example: 'the view from the peak was magnificent' },
+  CREWS: { pos: 'noun', definition: 'the men and women who man a vehicle (ship, aircraft, etc.)', base: 'CREW' },
+  CRIBS: { pos: 'noun', definition: 'baby bed with high sides made of slats', base: 'CRIB' },
+  CRIED: { pos: 'verb', definition: 'utter a sudden loud cry', example: 'she cried with pain when the doctor inserted the needle', base: 'CRY' },
+  CRIER: { pos: 'noun', definition: 'a person who weeps' },
+  CRIES: { pos: 'noun', definition: 'a loud utterance', example: 'the speaker was interrupted by loud cries from the rear of the audience', base: 'CRY' },
+  CRIME: { pos: 'noun', definition: '(criminal law) an act punishable by law', example: 'a long record of crimes' },
+  CRIMP: { pos: 'noun', definition: 'an angular or rounded shape made by folding', example: 'a fold in the napkin' },
+  CRISP: { pos: 'noun', definition: 'a thin crisp slice of potato fried in deep fat' },
+  CROAK: { pos: 'verb', definition: 'pass from physical life and lose all bodily attributes and functions necessary to sustain life', example: 'She died from cancer' },
+  CROCK: { pos: 'noun', definition: 'nonsense', example: 'that\'s a crock' },
+  CROPS: { pos: 'noun', definition: 'the yield from plants in a single growing season', base: 'CROP' },
+  CROSS: { pos: 'verb', definition: 'travel across or pass over', example: 'The caravan covered almost 100 miles each day' },
+  CROWD: { pos: 'verb', definition: 'cause to herd, drive, or crowd together', example: 'We herded the children into a spare classroom' },
+  CROWN: { pos: 'noun', definition: 'the Crown (or the reigning monarch) as the symbol of the power and authority of a monarchy', example: 'the colonies revolted against the Crown' },
+  CROWS: { pos: 'verb', definition: 'express pleasure verbally', example: 'She crowed with joy', base: 'CROW' },
+  CRUDE: { pos: 'adjective', definition: 'not carefully or expertly made', example: 'managed to make a crude splint' },
+  CRUEL: { pos: 'adjective', definition: '(of persons or their actions) able or disposed to inflict pain or suffering', example: 'a barbarous crime' },
+  CRUMB: { pos: 'noun', definition: 'a very small quantity of something', example: 'he gave only a crumb of information about his plans' },
+  CRUSH: { pos: 'verb', definition: 'come down on or keep down by unjust use of one\'s authority', example: 'The government oppresses political activists' },
+  CRUST: { pos: 'noun', definition: 'the outer layer of the Earth' },
+  CRYPT: { pos: 'noun', definition: 'a cellar or vault or underground burial chamber (especially beneath a church)' },
+  CUBED: { pos: 'verb', definition: 'cut into cubes', example: 'cube the cheese', base: 'CUBE' },
+  CUBES: { pos: 'noun', definition: 'a hexahedron with six equal squares as faces', base: 'CUBE' },
+  CUFFS: { pos: 'noun', definition: 'the lap consisting of a turned-back hem encircling the end of the sleeve or leg', base: 'CUFF' },
+  CULLS: { pos: 'noun', definition: 'the person or thing that is rejected or set aside as inferior in quality', base: 'CULL' },
+  CURLY: { pos: 'adjective', definition: '(of hair) having curls or waves', example: 'they envied her naturally curly hair' },
+  CURRY: { pos: 'noun', definition: '(East Indian cookery) a pungent dish of vegetables or meats flavored with curry powder and usually eaten with rice' },
+  CURSE: { pos: 'noun', definition: 'profane or obscene expression usually of surprise or anger', example: 'expletives were deleted' },
+  CURVE: { pos: 'noun', definition: 'the trace of a point whose direction of motion changes' },
+  CYCLE: { pos: 'noun', definition: 'an interval during which a recurring sequence of events occurs', example: 'the never-ending cycle of the seasons' },
+  CYNIC: { pos: 'noun', definition: 'someone who is critical of the motives of others' },
+  DADDY: { pos: 'noun', definition: 'an informal term for a father' },
+  DAILY: { pos: 'adverb', definition: 'every day', example: 'he stops by daily' },
+  DAIRY: { pos: 'noun', definition: 'a farm where dairy products are produced' },
+  DAISY: { pos: 'noun', definition: 'any of numerous composite plants having flower heads with well-developed ray flowers usually arranged in a single whorl' },
+  DALLY: { pos: 'verb', definition: 'behave carelessly or indifferently', example: 'Play about with a young girl\'s affection' },
+  DAMES: { pos: 'noun', definition: 'a woman of refinement', example: 'a chauffeur opened the door of the limousine for the grand lady', base: 'DAME' },
+  DAMPS: { pos: 'noun', definition: 'a slight wetness', base: 'DAMP' },
+  DANCE: { pos: 'noun', definition: 'an artistic form of nonverbal communication' },
+  DANDY: { pos: 'noun', definition: 'a man who is much concerned with his dress and appearance' },
+  DARED: { pos: 'verb', definition: 'take upon oneself', example: 'How dare you call my lawyer?', base: 'DARE' },
+  DARES: { pos: 'verb', definition: 'take upon oneself', example: 'How dare you call my lawyer?', base: 'DARE' },
+  DARKS: { pos: 'noun', definition: 'absence of moral or spiritual values', example: 'the powers of darkness', base: 'DARK' },
+  DARTS: { pos: 'verb', definition: 'move along rapidly and lightly', example: 'The hummingbird flitted among the branches', base: 'DART' },
+  DATED: { pos: 'verb', definition: 'go on a date with', example: 'Tonight she is dating a former high school sweetheart', base: 'DATE' },
+  DATES: { pos: 'noun', definition: 'the specified day of the month', example: 'what is the date today?', base: 'DATE' },
+  DATUM: { pos: 'noun', definition: 'an item of factual information derived from measurement or research' },
+  DEALT: { pos: 'verb', definition: 'act on verbally or in some form of artistic expression', example: 'This book deals with incest', base: 'DEAL' },
+  DEANS: { pos: 'noun', definition: 'an administrator in charge of a division of a university or college', base: 'DEAN' },
+  DEARS: { pos: 'noun', definition: 'a beloved person', base: 'DEAR' },
+  DEATH: { pos: 'noun', definition: 'the event of dying or departure from life', example: 'her death came as a terrible shock' },
+  DEBIT: { pos: 'noun', definition: 'an accounting entry acknowledging sums that are owing' },
+  DEBTS: { pos: 'noun', definition: 'the state of owing something (especially money)', example: 'he is badly in debt', base: 'DEBT' },
+  DEBUG: { pos: 'verb', definition: 'locate and correct errors in a computer program code', example: 'debug this program' },
+  DEBUT: { pos: 'verb', definition: 'present for the first time to the public', example: 'The band debuts a new song or two each month' },
+  DECAL: { pos: 'noun', definition: 'either a design that is fixed to some surface or a paper bearing the design which is to be transferred to the surface' },
+  DECAY: { pos: 'noun', definition: 'the process of gradually becoming inferior' },
+  DECKS: { pos: 'noun', definition: 'any of various platforms built into a vessel', base: 'DECK' },
+  DECOR: { pos: 'noun', definition: 'decoration consisting of the layout and furnishings of a livable interior' },
+  DECOY: { pos: 'noun', definition: 'a beguiler who leads someone into danger (usually as part of a plot)' },
+  DEEDS: { pos: 'noun', definition: 'a legal document signed and sealed and delivered to effect a transfer of property and to show the legal right to possess it', example: 'he signed the deed', base: 'DEED' },
+  DEEMS: { pos: 'verb', definition: 'keep in mind or convey as a conviction or view', example: 'take for granted', base: 'DEEM' },
+  DEEPS: { pos: 'noun', definition: 'the central and most intense or profound part', example: 'in the deep of night', base: 'DEEP' },
+  DEFER: { pos: 'verb', definition: 'hold back to a later time', example: 'let\'s postpone the exam' },
+  DEITY: { pos: 'noun', definition: 'any supernatural being worshipped as controlling some part of the world or some aspect of life or who is the personification of a force' },
+  DELAY: { pos: 'verb', definition: 'cause to be slowed down or delayed', example: 'Traffic was delayed by the bad weather' },
+  DELTA: { pos: 'noun', definition: 'a low triangular area of alluvial deposits where a river divides before entering a larger body of water', example: 'the Mississippi River delta' },
+  DELVE: { pos: 'verb', definition: 'turn up, loosen, or remove earth', example: 'Dig we must' },
+  DEMON: { pos: 'noun', definition: 'an evil supernatural being' },
+  DEMOS: { pos: 'noun', definition: 'a visual presentation showing how something works', example: 'the lecture was accompanied by dramatic demonstrations', base: 'DEMO' },
+  DENSE: { pos: 'adjective', definition: 'permitting little if any light to pass through because of denseness of matter', example: 'dense smoke' },
+  DENTS: { pos: 'noun', definition: 'an appreciable consequence (especially a lessening)', example: 'it made a dent in my bank account', base: 'DENT' },
+  DEPOT: { pos: 'noun', definition: 'a depository for goods', example: 'storehouses were built close to the docks' },
+  DEPTH: { pos: 'noun', definition: 'the extent downward or backward or inward', example: 'the depth of the water' },
+  DERBY: { pos: 'noun', definition: 'a felt hat that is round and hard with a narrow brim' },
+  DESKS: { pos: 'noun', definition: 'a piece of furniture with a writing surface and usually drawers or other compartments', base: 'DESK' },
+  DETER: { pos: 'verb', definition: 'try to prevent', example: 'We should discourage this practice among our youth' },
+  DEUCE: { pos: 'noun', definition: 'a tie in tennis or table tennis that requires winning two successive points to win the game' },
+  DEVIL: { pos: 'noun', definition: '(Judeo-Christian and Islamic religions) chief spirit of evil and adversary of God' },
+  DIARY: { pos: 'noun', definition: 'a daily written record of (usually personal) experiences and observations' },
+  DICED: { pos: 'verb', definition: 'cut into cubes', example: 'cube the cheese', base: 'DICE' },
+  DICES: { pos: 'noun', definition: 'a small cube with 1 to 6 spots on the six faces', base: 'DICE' },
+  DIETY: { pos: 'noun', definition: 'a common misspelling of deity; a god or goddess' },
+  DIGIT: { pos: 'noun', definition: 'one of the elements that collectively form a system of numeration', example: '0 and 1 are digits' },
+  DILLS: { pos: 'noun', definition: 'aromatic Old World herb having aromatic threadlike foliage and seeds used as seasoning', base: 'DILL' },
+  DIMES: { pos: 'noun', definition: 'a United States coin worth one tenth of a dollar', base: 'DIME' },
+  DINED: { pos: 'verb', definition: 'make a resonant sound, like artillery', example: 'His deep voice boomed through the hall', base: 'DIN' },
+  DINER: { pos: 'noun', definition: 'a person eating a meal (especially in a restaurant)' },
+  DINES: { pos: 'verb', definition: 'make a resonant sound, like artillery', example: 'His deep voice boomed through the hall', base: 'DIN' },
+  DINGY: { pos: 'adjective', definition: 'thickly covered with ingrained dirt or soot', example: 'a miner\'s begrimed face' },
+  DIODE: { pos: 'noun', definition: 'a thermionic tube having two electrodes' },
+  DIRGE: { pos: 'noun', definition: 'a song or hymn of mourning composed or performed as a memorial to a dead person' },
+  DIRTY: { pos: 'adjective', definition: 'soiled or likely to soil with dirt or grime', example: 'dirty unswept sidewalks' },
+  DISCO: { pos: 'noun', definition: 'popular dance music (especially in the late 1970s)' },
+  DISCS: { pos: 'noun', definition: 'something with a round shape resembling a flat circular plate', example: 'the moon\'s disk hung in a cloudless sky', base: 'DISC' },
+  DITCH: { pos: 'noun', definition: 'a long narrow excavation in the earth' },
+  DITTO: { pos: 'noun', definition: 'a mark used to indicate the word above it should be repeated' },
+  DIVAN: { pos: 'noun', definition: 'a long backless sofa (usually with pillows against a wall)' },
+  DIVED: { pos: 'verb', definition: 'drop steeply', example: 'the stock market plunged', base: 'DIVE' },
+  DIVER: { pos: 'noun', definition: 'someone who works underwater' },
+  DIVES: { pos: 'noun', definition: 'a cheap disreputable nightclub or dance hall', base: 'DIVE' },
+  DIZZY: { pos: 'adjective', definition: 'having or causing a whirling sensation', example: 'had a dizzy spell' },
+  DOCKS: { pos: 'noun', definition: 'an enclosure in a court of law where the defendant sits during the trial', base: 'DOCK' },
+  DODGE: { pos: 'verb', definition: 'make a sudden movement in a new direction so as to avoid', example: 'The child dodged the teacher\'s blow' },
+  DOING: { pos: 'verb', definition: 'engage in', example: 'make love, not war', base: 'DO' },
+  DOLLY: { pos: 'noun', definition: 'conveyance consisting of a wheeled support on which a camera can be mounted' },
+  DOLOR: { pos: 'noun', definition: '(poetry) painful grief' },
+  DOMES: { pos: 'noun', definition: 'a concave shape whose distinguishing characteristic is that the concavity faces downward', base: 'DOME' },
+  DONOR: { pos: 'noun', definition: 'person who makes a gift of property' },
+  DONUT: { pos: 'noun', definition: 'American spelling of doughnut; a small fried cake of sweetened dough, often ring-shaped' },
+  DOOMS: { pos: 'noun', definition: 'an unpleasant or disastrous destiny', example: 'everyone was aware of the approaching doom but was helpless to avoid it', base: 'DOOM' },
+  DOORS: { pos: 'noun', definition: 'a swinging or sliding barrier that will close the entrance to a room or building or vehicle', example: 'he knocked on the door', base: 'DOOR' },
+  DOPED: { pos: 'adjective', definition: 'under the influence of narcotics', example: 'knocked out by doped wine' },
+  DOPES: { pos: 'noun', definition: 'street names for marijuana', base: 'DOPE' },
+  DORKY: { pos: 'adjective', definition: 'socially awkward or unfashionable', example: 'a dorky pair of glasses' },
+  DOSED: { pos: 'adjective', definition: 'treated with some kind of application', example: 'a mustache dosed with bear grease' },
+  DOSES: { pos: 'noun', definition: 'a measured portion of medicine taken at any one time', base: 'DOSE' },
+  DOTED: { pos: 'verb', definition: 'scatter or intersperse like dots or studs', example: 'Hills constellated with lights', base: 'DOT' },
+  DOTES: { pos: 'verb', definition: 'scatter or intersperse like dots or studs', example: 'Hills constellated with lights', base: 'DOT' },
+  DOTTY: { pos: 'adjective', definition: 'informal or slang terms for mentally irregular', example: 'it used to drive my husband balmy' },
+  DOUBT: { pos: 'noun', definition: 'uncertainty about the truth or factuality or existence of something', example: 'the dubiousness of his claim' },
+  DOUGH: { pos: 'noun', definition: 'a flour mixture stiff enough to knead or roll' },
+  DOUSE: { pos: 'verb', definition: 'put out, as of a candle or a light', example: 'Douse the lights' },
+  DOVES: { pos: 'noun', definition: 'any of numerous small pigeons', base: 'DOVE' },
+  DOWDY: { pos: 'noun', definition: 'British marshal of the RAF who commanded the British air defence forces that defeated the Luftwaffe during the Battle of Britain (1882-1970)' },
+  DOWED: { pos: 'verb', definition: 'past tense of dow, an old Scots word meaning to be able or to thrive', base: 'DOW' },
+  DOWNS: { pos: 'verb', definition: 'drink down entirely', example: 'He downed three martinis before dinner', base: 'DOWN' },
+  DOWNY: { pos: 'adjective', definition: 'covered with fine soft hairs or down', example: 'downy milkweed seeds' },
+  DOZED: { pos: 'verb', definition: 'sleep lightly or for a short period of time', base: 'DOZE' },
+  DOZEN: { pos: 'noun', definition: 'the cardinal number that is the sum of eleven and one' },
+  DOZER: { pos: 'noun', definition: 'large powerful tractor' },
+  DOZES: { pos: 'verb', definition: 'sleep lightly or for a short period of time', base: 'DOZE' },
+  DRABS: { pos: 'noun', definition: 'a dull greyish to yellowish or light olive brown', base: 'DRAB' },
+  DRAFT: { pos: 'noun', definition: 'a document ordering the payment of money' },
+  DRAGS: { pos: 'verb', definition: 'pull, as against a resistance', example: 'He dragged the big suitcase behind him', base: 'DRAG' },
+  DRAIN: { pos: 'verb', definition: 'flow off gradually', example: 'The rain water drains into this big vat' },
+  DRAKE: { pos: 'noun', definition: 'English explorer and admiral who was the first Englishman to circumnavigate the globe and who helped to defeat the Spanish Armada (1540-1596)' },
+  DRAMA: { pos: 'noun', definition: 'a dramatic work intended for performance by actors on a stage', example: 'he wrote several plays but only one was produced on Broadway' },
+  DRANK: { pos: 'verb', definition: 'take in liquids', example: 'The patient must drink several litres each day', base: 'DRINK' },
+  DRAPE: { pos: 'verb', definition: 'arrange in a particular way', example: 'drape a cloth' },
+  DRAWL: { pos: 'noun', definition: 'a slow speech pattern with prolonged vowels' },
+  DRAWN: { pos: 'adjective', definition: 'showing the wearing effects of overwork or care or suffering', example: 'looking careworn as she bent over her mending' },
+  DRAWS: { pos: 'verb', definition: 'cause to move by pulling', example: 'draw a wagon', base: 'DRAW' },
+  DRAYS: { pos: 'noun', definition: 'a low heavy horse cart without sides', base: 'DRAY' },
+  DREAD: { pos: 'noun', definition: 'fearful expectation or anticipation', example: 'the student looked around the examination room with apprehension' },
+  DREAM: { pos: 'noun', definition: 'a series of mental images and emotions occurring during sleep', example: 'I had a dream about you last night' },
+  DREAR: { pos: 'adjective', definition: 'causing dejection', example: 'a blue day' },
+  DRESS: { pos: 'verb', definition: 'put on clothes', example: 'we had to dress quickly' },
+  DREWS: { pos: 'noun', definition: 'United States actor (born in Ireland)', base: 'DREW' },
+  DRIED: { pos: 'adjective', definition: 'not still wet', example: 'the ink has dried' },
+  DRIER: { pos: 'adjective', definition: 'free from liquid or moisture', example: 'dry land', base: 'DRY' },
+  DRIES: { pos: 'verb', definition: 'remove the moisture from and make dry', example: 'dry clothes', base: 'DRY' },
+  DRIFT: { pos: 'verb', definition: 'be in motion due to some air or water current', example: 'The leaves were blowing in the wind' },
+  DRILL: { pos: 'verb', definition: 'make a hole, especially with a pointed power or hand tool', example: 'don\'t drill here, there\'s a gas pipe' },
+  DRILY: { pos: 'adverb', definition: 'in a dry laconic manner', example: '`I know that\', he said dryly' },
+  DRINK: { pos: 'verb', definition: 'take in liquids', example: 'The patient must drink several litres each day' },
+  DRIPS: { pos: 'verb', definition: 'fall in drops', example: 'Water is dripping from the faucet', base: 'DRIP' },
+  DRIVE: { pos: 'verb', definition: 'operate or control a vehicle', example: 'drive a car or bus' },
+  DROIT: { pos: 'noun', definition: 'a legal right or due', example: 'the droits of the Admiralty' },
+  DROLL: { pos: 'adjective', definition: 'comical in an odd or whimsical manner', example: 'a droll little man with a quiet tongue-in-cheek kind of humour' },
+  DRONE: { pos: 'noun', definition: 'stingless male bee in a colony of social bees (especially honeybees) whose sole function is to mate with the queen' },
+  DROOL: { pos: 'noun', definition: 'pretentious or silly talk or writing' },
+  DROOP: { pos: 'verb', definition: 'hang loosely or laxly', example: 'His tongue lolled' },
+  DROPS: { pos: 'verb', definition: 'let fall to the ground', example: 'Don\'t drop the dishes', base: 'DROP' },
+  DROSS: { pos: 'noun', definition: 'worthless or dangerous material that should be removed', example: 'there were impurities in the water' },
+  DROVE: { pos: 'noun', definition: 'a group of animals (a herd or flock) moving together' },
+  DROWN: { pos: 'verb', definition: 'cover completely or make imperceptible', example: 'I was drowned in work' },
+  DRUGS: { pos: 'noun', definition: 'a substance that is used as a medicine or narcotic', base: 'DRUG' },
+  DRUMS: { pos: 'noun', definition: 'the sound of a drum', example: 'he could hear the drums before he heard the fifes', base: 'DRUM' },
+  DRUNK: { pos: 'adjective', definition: 'stupefied or excited by a chemical substance (especially alcohol)', example: 'a noisy crowd of intoxicated sailors' },
+  DRYER: { pos: 'adjective', definition: 'free from liquid or moisture', example: 'dry land', base: 'DRY' },
+  DRYLY: { pos: 'adverb', definition: 'in a dry laconic manner', example: '`I know that\', he said dryly' },
+  DUCKS: { pos: 'verb', definition: 'to move (the head or body) quickly downwards or away', example: 'Before he could duck, another stone struck him', base: 'DUCK' },
+  DUDES: { pos: 'noun', definition: 'an informal form of address for a man', example: 'Say, fellow, what are you doing?', base: 'DUDE' },
+  DUELS: { pos: 'noun', definition: 'a prearranged fight with deadly weapons by two people (accompanied by seconds) in order to settle a quarrel over a point of honour', base: 'DUEL' },
+  DUETS: { pos: 'noun', definition: 'two items of the same kind', base: 'DUET' },
+  DULLS: { pos: 'verb', definition: 'make dull in appearance', example: 'Age had dulled the surface', base: 'DULL' },
+  DULLY: { pos: 'adverb', definition: 'without liveliness', example: 'she nodded her head dully' },
+  DUMPS: { pos: 'verb', definition: 'throw away as refuse', example: 'No dumping in these woods!', base: 'DUMP' },
+  DUMPY: { pos: 'adjective', definition: 'short and thick', example: 'some people seem born to be square and chunky' },
+  DUNCE: { pos: 'noun', definition: 'a stupid person' },
+  DUNES: { pos: 'noun', definition: 'a ridge of sand created by the wind', base: 'DUNE' },
+  DUNKS: { pos: 'verb', definition: 'immerse briefly into a liquid so as to wet, coat, or saturate', example: 'dip the garment into the cleaning solution', base: 'DUNK' },
+  DUPED: { pos: 'verb', definition: 'fool or hoax', example: 'The immigrant was duped because he trusted everyone', base: 'DUPE' },
+  DUPES: { pos: 'verb', definition: 'fool or hoax', example: 'The immigrant was duped because he trusted everyone', base: 'DUPE' },
+  DUSKY: { pos: 'adjective', definition: 'lighted by or as if by twilight', example: 'The dusky night rides down the sky/And ushers in the morn' },
+  DUSTY: { pos: 'adjective', definition: 'covered with a layer of dust', example: 'a dusty pile of books' },
+  DUTCH: { pos: 'adjective', definition: 'of or relating to the Netherlands or its people or culture', example: 'Dutch painting' },
+  DUVET: { pos: 'noun', definition: 'a soft quilt usually filled with the down of the eider' },
+  DWARF: { pos: 'noun', definition: 'a person who is markedly small' },
+  DWELL: { pos: 'verb', definition: 'originate (in)', example: 'The problems dwell in the social injustices in this country' },
+  DYING: { pos: 'noun', definition: 'the time when something ends', example: 'it was the death of all his plans' },
+  DYKES: { pos: 'noun', definition: '(slang) offensive term for a lesbian who is noticeably masculine', base: 'DYKE' },
+  EAGER: { pos: 'adjective', definition: 'having or showing keen interest or intense desire or impatient expectancy', example: 'eager to learn' },
+  EAGLE: { pos: 'noun', definition: 'any of various large keen-sighted diurnal birds of prey noted for their broad wings and strong soaring flight' },
+  EARLY: { pos: 'adjective', definition: 'at or near the beginning of a period of time or course of events or before the usual or expected time', example: 'early morning' },
+  EARNS: { pos: 'verb', definition: 'earn on some commercial or business transaction', example: 'How much do you make a month in your new job?', base: 'EARN' },
+  EARTH: { pos: 'noun', definition: 'the 3rd planet from the sun', example: 'the Earth moves around the sun' },
+  EASED: { pos: 'verb', definition: 'move gently or carefully', example: 'He eased himself into the chair', base: 'EASE' },
+  EASEL: { pos: 'noun', definition: 'an upright tripod for displaying something (usually an artist\'s canvas)' },
+  EASES: { pos: 'verb', definition: 'move gently or carefully', example: 'He eased himself into the chair', base: 'EASE' },
+  EATEN: { pos: 'verb', definition: 'take in solid food', example: 'She was eating a banana', base: 'EAT' },
+  EATER: { pos: 'noun', definition: 'any green goods that are good to eat', example: 'these apples are good eaters' },
+  EAVES: { pos: 'noun', definition: 'the overhang at the lower edge of a roof' },
+  EBBED: { pos: 'verb', definition: 'flow back or recede', example: 'the tides ebbed at noon', base: 'EBB' },
+  EBONY: { pos: 'noun', definition: 'a very dark black' },
+  EBOOK: { pos: 'noun', definition: 'a book published in digital form', example: 'I read the ebook on the train' },
+  ECCLE: { pos: 'noun', definition: 'a small cake (from Eccles cake), an old dialect word' },
+  ECHOS: { pos: 'verb', definition: 'to say again or imitate', example: 'followers echoing the cries of their leaders', base: 'ECHO' },
+  EDEMA: { pos: 'noun', definition: 'American spelling of oedema; swelling caused by excess fluid in the body\'s tissues' },
+  EDICT: { pos: 'noun', definition: 'a legally binding command or decision entered on the court record (as if issued by a court or judge)', example: 'a friend in New Mexico said that the order caused no trouble out there' },
+  EDITS: { pos: 'verb', definition: 'prepare for publication or presentation by correcting, revising, or adapting', example: 'Edit a book on lexical semantics', base: 'EDIT' },
+  EERIE: { pos: 'adjective', definition: 'suggestive of the supernatural', example: 'an eerie feeling of deja vu' },
+  EIGHT: { pos: 'adjective', definition: 'being one more than seven' },
+  EJECT: { pos: 'verb', definition: 'put out or expel from a place', example: 'The unruly student was excluded from the game' },
+  ELBOW: { pos: 'noun', definition: 'hinge joint between the forearm and upper arm and the corresponding joint in the forelimb of a quadruped' },
+  ELDER: { pos: 'noun', definition: 'a person who is older than you are' },
+  ELECT: { pos: 'verb', definition: 'select by a vote for an office or membership', example: 'We elected him chairman of the board' },
+  ELFIN: { pos: 'adjective', definition: 'suggestive of an elf in strangeness and otherworldliness', example: 'thunderbolts quivered with elfin flares of heat lightning' },
+  ELIDE: { pos: 'verb', definition: 'leave or strike out', example: 'This vowel is usually elided before a single consonant' },
+  ELITE: { pos: 'noun', definition: 'a group or class of persons enjoying superior intellectual or social or economic status' },
+  ELOPE: { pos: 'verb', definition: 'run away secretly with one\'s beloved', example: 'The young couple eloped and got married in Las Vegas' },
+  ELUDE: { pos: 'verb', definition: 'escape, either physically or mentally', example: 'The thief eluded the police' },
+  ELVES: { pos: 'noun', definition: 'an acronym for emissions of light and very low frequency perturbations due to electromagnetic pulse sources' },
+  EMAIL: { pos: 'noun', definition: '(computer science) a system of world-wide electronic communication in which a computer user can compose a message at one terminal that can be regenerated at the recipient\'s terminal when the recipient logs in', example: 'you cannot send packages by electronic mail' },
+  EMBED: { pos: 'verb', definition: 'fix or set securely or deeply', example: 'He planted a knee in the back of his opponent' },
+  EMBER: { pos: 'noun', definition: 'a hot fragment of wood or coal that is left from a fire and is glowing or smoldering' },
+  EMCEE: { pos: 'noun', definition: 'a person who acts as host at formal occasions (makes an introductory speech and introduces other speakers)' },
+  EMPTY: { pos: 'verb', definition: 'make void or empty of contents', example: 'Empty the box' },
+  ENACT: { pos: 'verb', definition: 'order by virtue of superior authority', example: 'The King ordained the persecution and expulsion of the Jews' },
+  ENDED: { pos: 'verb', definition: 'have an end, in a temporal, spatial, or quantitative sense', example: 'the bronchioles terminate in a capillary bed', base: 'END' },
+  ENEMY: { pos: 'noun', definition: 'an opposing military force', example: 'the enemy attacked at dawn' },
+  ENJOY: { pos: 'verb', definition: 'derive or receive pleasure from', example: 'She relished her fame and basked in her glory' },
+  ENNUI: { pos: 'noun', definition: 'the feeling of being bored by something tedious' },
+  ENSUE: { pos: 'verb', definition: 'issue or terminate (in a specified way, state, etc.)', example: 'result in tragedy' },
+  ENTER: { pos: 'verb', definition: 'to come or go into', example: 'the boat entered an area of shallow marshes' },
+  ENTRY: { pos: 'noun', definition: 'the act of beginning something new', example: 'they looked forward to the debut of their new product line' },
+  ENVOY: { pos: 'noun', definition: 'a diplomat having less authority than an ambassador' },
+  EPOCH: { pos: 'noun', definition: 'a period marked by distinctive character or reckoned from a fixed point or event' },
+  EPOXY: { pos: 'noun', definition: 'a thermosetting resin' },
+  EQUAL: { pos: 'verb', definition: 'be identical or equivalent to', example: 'One dollar equals 1,000 rubles these days!' },
+  EQUIP: { pos: 'verb', definition: 'provide with (something) usually for a specific purpose', example: 'The expedition was equipped with proper clothing, food, and other necessities' },
+  ERASE: { pos: 'verb', definition: 'remove from memory or existence', example: 'The Turks erased the Armenians in 1915' },
+  ERECT: { pos: 'verb', definition: 'construct, build, or erect', example: 'Raise a barn' },
+  ERGOT: { pos: 'noun', definition: 'a plant disease caused by the ergot fungus' },
+  ERROR: { pos: 'noun', definition: 'a wrong action attributable to bad judgment or ignorance or inattention', example: 'he made a bad mistake' },
+  ERUPT: { pos: 'verb', definition: 'start abruptly', example: 'After 1989, peace broke out in the former East Bloc' },
+  ESSAY: { pos: 'noun', definition: 'an analytic or interpretive literary composition' },
+  ESTER: { pos: 'noun', definition: 'organic compound formed by reaction between an acid and an alcohol with elimination of water' },
+  ETHIC: { pos: 'noun', definition: 'the principles of right and wrong that are accepted by an individual or a social group', example: 'the Puritan ethic' },
+  ETHOS: { pos: 'noun', definition: '(anthropology) the distinctive spirit of a culture or an era', example: 'the Greek ethos' },
+  EVADE: { pos: 'verb', definition: 'avoid or try to avoid fulfilling, answering, or performing (duties, questions, or issues)', example: 'He dodged the issue' },
+  EVENS: { pos: 'noun', definition: 'the latter part of the day (the period of decreasing daylight from late afternoon until nightfall)', example: 'he enjoyed the evening light across the lake', base: 'EVEN' },
+  EVENT: { pos: 'noun', definition: 'a special set of circumstances', example: 'in that event, the first possibility is excluded' },
+  EVERY: { pos: 'adjective', definition: '(used of count nouns) each and all of the members of a group considered singly and without exception', example: 'every person is mortal' },
+  EVICT: { pos: 'verb', definition: 'expel or eject without recourse to legal process', example: 'The landlord wanted to evict the tenants so he banged on the pipes every morning at 3 a.m.' },
+  EVILS: { pos: 'noun', definition: 'that which causes harm or destruction or misfortune', example: 'the evil that men do lives after them; the good is oft interred with their bones', base: 'EVIL' },
+  EVOKE: { pos: 'verb', definition: 'call forth (emotions, feelings, and responses)', example: 'arouse pity' },
+  EXACT: { pos: 'adjective', definition: 'marked by strict and particular and complete accordance with fact', example: 'an exact mind' },
+  EXALT: { pos: 'verb', definition: 'praise, glorify, or honour', example: 'extol the virtues of one\'s children' },
+  EXAMS: { pos: 'noun', definition: 'a set of questions or exercises evaluating skill or knowledge', example: 'when the test was stolen the professor had to make a new set of questions', base: 'EXAM' },
+  EXCEL: { pos: 'verb', definition: 'distinguish oneself', example: 'She excelled in math' },
+  EXERT: { pos: 'verb', definition: 'put to use', example: 'exert one\'s power or influence' },
+  EXILE: { pos: 'verb', definition: 'expel from a country', example: 'The poet was exiled because he signed a letter protesting the government\'s actions' },
+  EXIST: { pos: 'verb', definition: 'have an existence, be extant', example: 'Is there a God?' },
+  EXITS: { pos: 'noun', definition: 'an opening that permits escape or release', example: 'he blocked the way out', base: 'EXIT' },
+  EXPAT: { pos: 'noun', definition: 'a person who is voluntarily absent from home or country', example: 'American expatriates' },
+  EXULT: { pos: 'verb', definition: 'to express great joy', example: 'Who cannot exult in Spring?' },
+  FABLE: { pos: 'noun', definition: 'a deliberately false or improbable account' },
+  FACED: { pos: 'verb', definition: 'deal with (something unpleasant) head on', example: 'You must confront your problems', base: 'FACE' },
+  FACER: { pos: 'noun', definition: '(a dated Briticism) a serious difficulty with which one is suddenly faced' },
+  FACES: { pos: 'noun', definition: 'the front of the human head from the forehead to the chin and ear to ear', example: 'he washed his face', base: 'FACE' },
+  FACTS: { pos: 'noun', definition: 'a piece of information about circumstances that exist or events that have occurred', example: 'first you must collect all the facts of the case', base: 'FACT' },
+  FADED: { pos: 'verb', definition: 'become less clearly visible or distinguishable', example: 'The scene begins to fade', base: 'FADE' },
+  FADER: { pos: 'noun', definition: 'a sliding control for adjusting the volume of sound or the brightness of light', example: 'she pushed up the fader on the vocals' },
+  FADES: { pos: 'verb', definition: 'become less clearly visible or distinguishable', example: 'The scene begins to fade', base: 'FADE' },
+  FAILS: { pos: 'verb', definition: 'fail to do something', example: 'She failed to notice that her child was no longer in his crib', base: 'FAIL' },
+  FAINT: { pos: 'adjective', definition: 'deficient in magnitude', example: 'a faint outline' },
+  FAIRY: { pos: 'noun', definition: 'a small being, human in form, playful and having magical powers' },
+  FAITH: { pos: 'noun', definition: 'a strong belief in a supernatural power or powers that control human destiny', example: 'he lost his faith but not his morality' },
+  FALLS: { pos: 'verb', definition: 'descend in free fall under the influence of gravity', example: 'The branch fell from the tree', base: 'FALL' },
+  FALSE: { pos: 'adjective', definition: 'not in accordance with the fact or reality or actuality', example: 'gave false testimony under oath' },
+  FAMED: { pos: 'adjective', definition: 'widely known and esteemed', example: 'a famous actor' },
+  FANCY: { pos: 'noun', definition: 'something many people believe that is false', example: 'they have the illusion that I am very wealthy' },
+  FANGS: { pos: 'noun', definition: 'a Bantu language spoken in Cameroon', base: 'FANG' },
+  FANNY: { pos: 'noun', definition: 'the fleshy part of the human body that you sit on', example: 'he deserves a good kick in the butt' },
+  FARES: { pos: 'noun', definition: 'an agenda of things to do', example: 'they worked rapidly down the menu of reports', base: 'FARE' },
+  FARMS: { pos: 'noun', definition: 'workplace consisting of farm buildings and cultivated land as a unit', example: 'it takes several people to work the farm', base: 'FARM' },
+  FARTS: { pos: 'noun', definition: 'a reflex that expels intestinal gas through the anus', base: 'FART' },
+  FATAL: { pos: 'adjective', definition: 'having momentous consequences', example: 'that fateful meeting of the U.N. when...it declared war on North Korea' },
+  FATED: { pos: 'adjective', definition: '(usually followed by `to\') determined by tragic fate', example: 'doomed to unhappiness' },
+  FATES: { pos: 'noun', definition: 'the ultimate agency regarded as predetermining the course of events (often personified as a woman)', example: 'we are helpless in the face of destiny', base: 'FATE' },
+  FATTY: { pos: 'adjective', definition: 'containing or composed of fat', example: 'fatty food' },
+  FAULT: { pos: 'noun', definition: 'a wrong action attributable to bad judgment or ignorance or inattention', example: 'he made a bad mistake' },
+  FAUNA: { pos: 'noun', definition: 'all the animal life in a particular region or period', example: 'the fauna of China' },
+  FAVOR: { pos: 'noun', definition: 'American spelling of favour; an act of kindness beyond what is due' },
+  FAXED: { pos: 'verb', definition: 'send something via a facsimile machine', example: 'Can you fax me the report right away?', base: 'FAX' },
+  FAXES: { pos: 'noun', definition: 'duplicator that transmits the copy by wire or radio', base: 'FAX' },
+  FAZED: { pos: 'verb', definition: 'disturb the composure of', base: 'FAZE' },
+  FEARS: { pos: 'verb', definition: 'be afraid or feel anxious or apprehensive about a possible or probable situation or event', example: 'I fear she might get aggressive', base: 'FEAR' },
+  FEAST: { pos: 'noun', definition: 'something experienced with great delight', example: 'a feast for the eyes' },
+  FEATS: { pos: 'noun', definition: 'a notable achievement', example: 'he performed a great feat', base: 'FEAT' },
+  FECES: { pos: 'noun', definition: 'American spelling of faeces; waste matter passed from the bowels' },
+  FEEDS: { pos: 'verb', definition: 'provide as food', example: 'Feed the guests the nuts', base: 'FEED' },
+  FEELS: { pos: 'verb', definition: 'undergo an emotional sensation or be in a particular state of mind', example: 'She felt resentful', base: 'FEEL' },
+  FEIGN: { pos: 'verb', definition: 'make believe with the intent to deceive', example: 'He feigned that he was ill' },
+  FEINT: { pos: 'verb', definition: 'deceive by a mock action', example: 'The midfielder feinted to shoot' },
+  FELLA: { pos: 'noun', definition: 'a boy or man', example: 'that chap is your host' },
+  FELLS: { pos: 'verb', definition: 'cause to fall by or as if by delivering a blow', example: 'strike down a tree', base: 'FELL' },
+  FELON: { pos: 'noun', definition: 'someone who has committed a crime or has been legally convicted of a crime' },
+  FELTS: { pos: 'noun', definition: 'a fabric made of compressed matted animal fibres', base: 'FELT' },
+  FENCE: { pos: 'noun', definition: 'a barrier that serves to enclose an area' },
+  FENDS: { pos: 'verb', definition: 'try to manage without help', example: 'The youngsters had to fend for themselves after their parents died', base: 'FEND' },
+  FERNY: { pos: 'adjective', definition: 'abounding in or covered with ferns', example: 'the ferny undergrowth' },
+  FERRY: { pos: 'verb', definition: 'transport from one place to another' },
+  FETAL: { pos: 'adjective', definition: 'of or relating to a fetus', example: 'fetal development' },
+  FETCH: { pos: 'verb', definition: 'go or come after and bring or take back', example: 'Get me those books over there, please' },
+  FETID: { pos: 'adjective', definition: 'offensively malodorous', example: 'a foul odour' },
+  FETUS: { pos: 'noun', definition: 'an unborn or unhatched vertebrate in the later stages of development showing the main recognizable features of the mature animal' },
+  FEVER: { pos: 'noun', definition: 'intense nervous anticipation', example: 'in a fever of resentment' },
+  FEWER: { pos: 'adjective', definition: '(comparative of `few\' used with count nouns) quantifier meaning a smaller number of', example: 'fewer birds came this year' },
+  FIBER: { pos: 'noun', definition: 'American spelling of fibre; a thread or filament from which cloth or tissue is formed' },
+  FIBRO: { pos: 'noun', definition: 'fibro-cement board, or short for fibromyalgia', example: 'a fibro holiday shack' },
+  FICUS: { pos: 'noun', definition: 'large genus of tropical trees or shrubs or climbers including fig trees' },
+  FIELD: { pos: 'noun', definition: 'a piece of land cleared of trees and usually enclosed', example: 'he planted a field of wheat' },
+  FIEND: { pos: 'noun', definition: 'a cruel wicked and inhuman person' },
+  FIERY: { pos: 'adjective', definition: 'characterized by intense emotion', example: 'ardent love' },
+  FIFES: { pos: 'noun', definition: 'a small high-pitched flute similar to a piccolo', base: 'FIFE' },
+  FIFTH: { pos: 'noun', definition: 'position five in a countable series of things', example: 'he was fifth out of several hundred runners' },
+  FIFTY: { pos: 'noun', definition: 'the cardinal number that is the product of ten and five' },
+  FIGHT: { pos: 'verb', definition: 'be engaged in a fight', example: 'the tribesmen fought each other' },
+  FILCH: { pos: 'verb', definition: 'make off with belongings of others' },
+  FILED: { pos: 'verb', definition: 'record in a public office or in a court of law', example: 'file for divorce', base: 'FILE' },
+  FILER: { pos: 'noun', definition: 'a party who files a notice with a law court' },
+  FILES: { pos: 'verb', definition: 'record in a public office or in a court of law', example: 'file for divorce', base: 'FILE' },
+  FILLS: { pos: 'verb', definition: 'make full, also in a metaphorical sense', example: 'fill a container', base: 'FILL' },
+  FILMS: { pos: 'noun', definition: 'a form of entertainment that enacts a story by sound and a sequence of images giving the illusion of continuous movement', example: 'they went to a movie every Saturday night', base: 'FILM' },
+  FILMY: { pos: 'adjective', definition: 'so thin as to transmit light', example: 'a hat with a diaphanous veil' },
+  FILTH: { pos: 'noun', definition: 'any substance considered disgustingly foul or unpleasant' },
+  FINAL: { pos: 'adjective', definition: 'occurring at or forming an end or termination', example: 'his concluding words came as a surprise' },
+  FINDS: { pos: 'verb', definition: 'come upon, as if by accident', example: 'We find this idea in Plato', base: 'FIND' },
+  FINED: { pos: 'verb', definition: 'issue a ticket or a fine to as a penalty', example: 'I was fined for parking on the wrong side of the street', base: 'FINE' },
+  FINER: { pos: 'adjective', definition: 'being satisfactory or in satisfactory condition', example: 'an all-right movie', base: 'FINE' },
+  FINES: { pos: 'noun', definition: 'money extracted as a penalty', base: 'FINE' },
+  FIRED: { pos: 'verb', definition: 'cause to go off', example: 'fire a gun', base: 'FIRE' },
+  FIRES: { pos: 'verb', definition: 'cause to go off', example: 'fire a gun', base: 'FIRE' },
+  FIRMS: { pos: 'noun', definition: 'the members of a business organization that owns or operates one or more establishments', example: 'he worked for a brokerage house', base: 'FIRM' },
+  FIRST: { pos: 'adjective', definition: 'preceding all others in time or space or degree', example: 'the first house on the right' },
+  FISHY: { pos: 'adjective', definition: 'of or relating to or resembling fish', example: 'the soup had a fishy smell' },
+  FISTS: { pos: 'noun', definition: 'a hand with the fingers clenched in the palm (as for hitting)', base: 'FIST' },
+  FITLY: { pos: 'adverb', definition: 'in accordance with what is appropriate or suitable for the circumstances', example: 'he was appropriately dressed' },
+  FIVER: { pos: 'adjective', definition: 'being one more than four', base: 'FIVE' },
+  FIXES: { pos: 'verb', definition: 'restore by replacing a part or putting together what is torn or broken', example: 'She repaired her TV set', base: 'FIX' },
+  FIZZY: { pos: 'adjective', definition: 'hissing and bubbling' },
+  FLAGS: { pos: 'noun', definition: 'emblem usually consisting of a rectangular piece of cloth of distinctive design', base: 'FLAG' },
+  FLAIL: { pos: 'noun', definition: 'an implement consisting of handle with a free swinging stick at the end' },
+  FLAIR: { pos: 'noun', definition: 'a natural talent', example: 'he has a flair for mathematics' },
+  FLAKE: { pos: 'verb', definition: 'form into flakes', example: 'The substances started to flake' },
+  FLAKY: { pos: 'adjective', definition: 'made of or resembling flakes', example: 'flaky soap' },
+  FLAME: { pos: 'noun', definition: 'the process of combustion of inflammable materials producing heat and light and (often) smoke', example: 'fire was one of our ancestors\' first discoveries' },
+  FLANK: { pos: 'noun', definition: 'the side of military or naval formation', example: 'they attacked the enemy\'s right flank' },
+  FLAPS: { pos: 'verb', definition: 'move in a wavy pattern or with a rising and falling motion', example: 'The curtains undulated', base: 'FLAP' },
+  FLARE: { pos: 'noun', definition: 'a shape that spreads outward', example: 'the skirt had a wide flare' },
+  FLASH: { pos: 'verb', definition: 'gleam or glow intermittently', example: 'The lights were flashing' },
+  FLASK: { pos: 'noun', definition: 'bottle that has a narrow neck' },
+  FLATS: { pos: 'noun', definition: 'a level tract of land', example: 'the salt flats of Utah', base: 'FLAT' },
+  FLAWS: { pos: 'noun', definition: 'an imperfection in an object or machine', example: 'a flaw caused the crystal to shatter', base: 'FLAW' },
+  FLEAS: { pos: 'noun', definition: 'any wingless bloodsucking parasitic insect noted for ability to leap', base: 'FLEA' },
+  FLECK: { pos: 'noun', definition: 'a small fragment of something broken off from the whole', example: 'a bit of rock caught him in the eye' },
+  FLEES: { pos: 'verb', definition: 'run away quickly', example: 'He threw down his gun and fled', base: 'FLEE' },
+  FLEET: { pos: 'noun', definition: 'group of aircraft operating together under the same ownership' },
+  FLESH: { pos: 'noun', definition: 'alternative names for the body of a human being', example: 'Leonardo studied the human body' },
+  FLEWS: { pos: 'noun', definition: 'the loose, hanging upper lips of a dog such as a bloodhound', example: 'the hound\'s flews were wet with drool' },
+  FLICK: { pos: 'verb', definition: 'flash intermittently', example: 'The lights flicked on and off' },
+  FLIER: { pos: 'noun', definition: 'someone who travels by air' },
+  FLIES: { pos: 'verb', definition: 'travel through the air', example: 'Man cannot fly', base: 'FLY' },
+  FLING: { pos: 'verb', definition: 'throw with force or recklessness', example: 'fling the frisbee' },
+  FLINT: { pos: 'noun', definition: 'a hard kind of stone' },
+  FLIPS: { pos: 'verb', definition: 'lightly throw to see which side comes up', example: 'I don\'t know what to do--I may as well flip a coin!', base: 'FLIP' },
+  FLIRT: { pos: 'verb', definition: 'talk or behave amorously, without serious intentions', example: 'The guys always try to chat up the new secretaries' },
+  FLOAT: { pos: 'verb', definition: 'be in motion due to some air or water current', example: 'The leaves were blowing in the wind' },
+  FLOCK: { pos: 'noun', definition: 'a church congregation guided by a pastor' },
+  FLOOD: { pos: 'noun', definition: 'the rising of a body of water and its overflowing onto normally dry land', example: 'plains fertilized by annual inundations' },
+  FLOOR: { pos: 'noun', definition: 'the inside lower horizontal surface (as of a room, hallway, tent, or other structure)', example: 'they needed rugs to cover the bare floors' },
+  FLOPS: { pos: 'verb', definition: 'fall loosely', example: 'He flopped into a chair', base: 'FLOP' },
+  FLORA: { pos: 'noun', definition: 'all the plant life in a particular region or period', example: 'Pleistocene vegetation' },
+  FLOSS: { pos: 'noun', definition: 'a soft loosely twisted thread used in embroidery' },
+  FLOUR: { pos: 'noun', definition: 'fine powdery foodstuff obtained by grinding and sifting the meal of a cereal grain' },
+  FLOUT: { pos: 'verb', definition: 'treat with contemptuous disregard', example: 'flout the rules' },
+  FLOWS: { pos: 'noun', definition: 'the motion characteristic of fluids (liquids or gases)', base: 'FLOW' },
+  FLUBS: { pos: 'verb', definition: 'make a mess of, destroy or ruin', example: 'I botched the dinner and we had to eat out', base: 'FLUB' },
+  FLUES: { pos: 'noun', definition: 'flat bladelike projection on the arm of an anchor', base: 'FLUE' },
+  FLUID: { pos: 'noun', definition: 'a substance that is fluid at room temperature and pressure' },
+  FLUKE: { pos: 'noun', definition: 'a stroke of luck' },
+  FLUNG: { pos: 'verb', definition: 'throw with force or recklessness', example: 'fling the frisbee', base: 'FLING' },
+  FLUNK: { pos: 'noun', definition: 'failure to reach a minimum required performance', example: 'his failing the course led to his disqualification' },
+  FLUSH: { pos: 'noun', definition: 'the period of greatest prosperity or productivity' },
+  FLUTE: { pos: 'noun', definition: 'a high-pitched woodwind instrument' },
+  FLYER: { pos: 'noun', definition: 'an advertisement (usually printed on a page or in a leaflet) intended for wide distribution', example: 'he mailed the circular to all subscribers' },
+  FOAMS: { pos: 'noun', definition: 'a mass of small bubbles formed in or on a liquid', example: 'the beer had a thick head of foam', base: 'FOAM' },
+  FOAMY: { pos: 'adjective', definition: 'producing or covered with lathery sweat or saliva from exhaustion or disease', example: 'the rabid animal\'s frothing mouth' },
+  FOCAL: { pos: 'adjective', definition: 'having or localized centrally at a focus', example: 'focal point' },
+  FOCUS: { pos: 'noun', definition: 'the concentration of attention or energy on something', example: 'the focus of activity shifted to molecular biology' },
+  FOGEY: { pos: 'noun', definition: 'someone whose style is out of fashion' },
+  FOGGY: { pos: 'adjective', definition: 'indistinct or hazy in outline', example: 'a landscape of blurred outlines' },
+  FOLDS: { pos: 'noun', definition: 'an angular or rounded shape made by folding', example: 'a fold in the napkin', base: 'FOLD' },
+  FOLKS: { pos: 'noun', definition: 'people in general (often used in the plural)', example: 'they\'re just country folk', base: 'FOLK' },
+  FONTS: { pos: 'noun', definition: 'a specific size and style of type within a type family', base: 'FONT' },
+  FOODS: { pos: 'noun', definition: 'any solid substance (as opposed to liquid) that is used as a source of nourishment', example: 'food and drink', base: 'FOOD' },
+  FOOLS: { pos: 'noun', definition: 'a person who lacks good judgment', base: 'FOOL' },
+  FOOTS: { pos: 'noun', definition: 'the part of the leg of a human being below the ankle joint', example: 'his bare feet projected from his trousers', base: 'FOOT' },
+  FORAY: { pos: 'noun', definition: 'an initial attempt (especially outside your usual areas of competence)', example: 'scientists\' forays into politics' },
+  FORCE: { pos: 'noun', definition: 'a powerful effect or influence', example: 'the force of his eloquence easily persuaded them' },
+  FORDS: { pos: 'noun', definition: 'United States film maker (1896-1973)', base: 'FORD' },
+  FORGE: { pos: 'verb', definition: 'create by hammering', example: 'hammer the silver into a bowl' },
+  FORGO: { pos: 'verb', definition: 'do without or cease to hold or adhere to', example: 'We are dispensing with formalities' },
+  FORMS: { pos: 'noun', definition: 'a category of things distinguished by some common characteristic or quality', example: 'sculpture is a form of art', base: 'FORM' },
+  FORTH: { pos: 'adverb', definition: 'from a particular thing or place or position (`forth\' is obsolete)', example: 'ran away from the lion' },
+  FORTS: { pos: 'noun', definition: 'a fortified military post where troops are stationed', base: 'FORT' },
+  FORTY: { pos: 'adjective', definition: 'being ten more than thirty' },
+  FORUM: { pos: 'noun', definition: 'a public meeting or assembly for open discussion' },
+  FOUND: { pos: 'verb', definition: 'set up or found', example: 'She set up a literacy program' },
+  FOURS: { pos: 'noun', definition: 'the cardinal number that is the sum of three and one', base: 'FOUR' },
+  FOWLS: { pos: 'noun', definition: 'a domesticated gallinaceous bird thought to be descended from the red jungle fowl', base: 'FOWL' },
+  FOXES: { pos: 'noun', definition: 'alert carnivorous mammal with pointed muzzle and ears and a bushy tail', base: 'FOX' },
+  FOYER: { pos: 'noun', definition: 'a large entrance or reception room or area' },
+  FRAME: { pos: 'verb', definition: 'enclose in or as if in a frame', example: 'frame a picture' },
+  FRANK: { pos: 'adjective', definition: 'characterized by directness in manner or speech', example: 'blunt talking and straight shooting' },
+  FRAUD: { pos: 'noun', definition: 'intentional deception resulting in injury to another person' },
+  FRAYS: { pos: 'noun', definition: 'a noisy fight', base: 'FRAY' },
+  FREAK: { pos: 'noun', definition: 'someone who is so ardently devoted to something that it resembles an addiction', example: 'a golf addict' },
+  FREED: { pos: 'verb', definition: 'relieve from', example: 'Rid the house of pests', base: 'FREE' },
+  FREES: { pos: 'verb', definition: 'relieve from', example: 'Rid the house of pests', base: 'FREE' },
+  FRESH: { pos: 'adjective', definition: 'recently made, produced, or harvested', example: 'fresh bread' },
+  FRIAR: { pos: 'noun', definition: 'a male member of a religious order that originally relied solely on alms' },
+  FRIED: { pos: 'verb', definition: 'be excessively hot', example: 'If the children stay out on the beach for another hour, they\'ll be fried', base: 'FRY' },
+  FRIES: { pos: 'verb', definition: 'be excessively hot', example: 'If the children stay out on the beach for another hour, they\'ll be fried', base: 'FRY' },
+  FRISK: { pos: 'noun', definition: 'the act of searching someone for concealed weapons or illegal drugs', example: 'he gave the suspect a quick frisk' },
+  FRITS: { pos: 'noun', definition: 'mixtures of materials partly fused to make glass or glaze', example: 'the potter mixes her own frits', base: 'FRIT' },
+  FRIZZ: { pos: 'noun', definition: 'the condition of being formed into small tight curls', example: 'her hair was in a frizz' },
+  FROCK: { pos: 'noun', definition: 'a long, loose outer garment' },
+  FROGS: { pos: 'noun', definition: 'any of various tailless stout-bodied amphibians with long hind limbs for leaping', base: 'FROG' },
+  FROND: { pos: 'noun', definition: 'compound leaf of a fern or palm or cycad' },
+  FRONT: { pos: 'noun', definition: 'the side that is forward or prominent' },
+  FROST: { pos: 'noun', definition: 'ice crystals forming a white deposit (especially on objects outside)' },
+  FROWN: { pos: 'verb', definition: 'look angry or sullen, wrinkle one\'s forehead, as if to signal disapproval' },
+  FROZE: { pos: 'verb', definition: 'stop moving or become immobilized', example: 'When he saw the police car he froze', base: 'FREEZE' },
+  FRUIT: { pos: 'noun', definition: 'the ripened reproductive body of a seed plant' },
+  FRUMP: { pos: 'noun', definition: 'a dull unattractive unpleasant girl or woman', example: 'she got a reputation as a frump' },
+  FRYER: { pos: 'noun', definition: 'flesh of a medium-sized young chicken suitable for frying' },
+  FUDGE: { pos: 'noun', definition: 'soft creamy candy' },
+  FUELS: { pos: 'noun', definition: 'a substance that can be consumed to produce energy', example: 'more fuel is needed during the winter months', base: 'FUEL' },
+  FUGUE: { pos: 'noun', definition: 'dissociative disorder in which a person forgets who they are and leaves home to create a new life' },
+  FULLY: { pos: 'adverb', definition: 'to the greatest degree or extent', example: 'fully grown' },
+  FUMES: { pos: 'noun', definition: 'gases ejected from an engine as waste products' },
+  FUNDS: { pos: 'noun', definition: 'a supply of something available for future use', example: 'he brought back a large store of Cuban cigars', base: 'FUND' },
+  FUNGI: { pos: 'noun', definition: 'the taxonomic kingdom including yeast, moulds, smuts, mushrooms, and toadstools' },
+  FUNKY: { pos: 'adjective', definition: 'offensively malodorous', example: 'a foul odour' },
+  FUNNY: { pos: 'adjective', definition: 'arousing or provoking laughter', example: 'an amusing film with a steady stream of pranks and pratfalls' },
+  FURRY: { pos: 'adjective', definition: 'covered with a dense coat of fine silky hairs', example: 'furred animals' },
+  FUSED: { pos: 'verb', definition: 'mix together different elements', example: 'The colours blend well', base: 'FUSE' },
+  FUSES: { pos: 'verb', definition: 'mix together different elements', example: 'The colours blend well', base: 'FUSE' },
+  FUSSY: { pos: 'adjective', definition: 'overcrowded or cluttered with detail', example: 'a busy painting' },
+  FUZZY: { pos: 'adjective', definition: 'covering with fine light hairs', example: 'his head fuzzed like a dandelion gone to seed' },
+  GALES: { pos: 'noun', definition: 'a strong wind moving 45-90 knots', base: 'GALE' },
+  GALLS: { pos: 'noun', definition: 'an open sore on the back of a horse caused by ill-fitting or badly adjusted saddle', base: 'GALL' },
+  GAMER: { pos: 'adjective', definition: 'disabled in the feet or legs', example: 'a crippled soldier', base: 'GAME' },
+  GAMES: { pos: 'noun', definition: 'a contest with rules to determine a winner', example: 'you need four people to play this game', base: 'GAME' },
+  GAMMA: { pos: 'noun', definition: 'the 3rd letter of the Greek alphabet' },
+  GANGS: { pos: 'noun', definition: 'an association of criminals', example: 'police tried to break up the gang', base: 'GANG' },
+  GARBS: { pos: 'noun', definition: 'clothing of a distinctive style or for a particular occasion', example: 'formal attire', base: 'GARB' },
+  GASES: { pos: 'noun', definition: 'the state of matter distinguished from the solid and liquid states by: relatively low density and viscosity', base: 'GAS' },
+  GASPS: { pos: 'noun', definition: 'a short laboured intake of breath with the mouth open', example: 'she gave a gasp and fainted', base: 'GASP' },
+  GATED: { pos: 'verb', definition: 'supply with a gate', example: 'The house was gated', base: 'GATE' },
+  GATES: { pos: 'noun', definition: 'a movable barrier in a fence or wall', base: 'GATE' },
+  GATOR: { pos: 'noun', definition: 'either of two amphibious reptiles related to crocodiles but with shorter broader snouts' },
+  GAUDY: { pos: 'adjective', definition: 'tastelessly showy', example: 'a flash car' },
+  GAUGE: { pos: 'noun', definition: 'a measuring instrument for measuring and indicating a quantity such as the thickness of wire or the amount of rain etc.' },
+  GAUNT: { pos: 'adjective', definition: 'very thin especially from disease or hunger or cold', example: 'a nightmare population of gaunt men and skeletal boys' },
+  GAURS: { pos: 'noun', definition: 'wild ox of mountainous areas of eastern India', base: 'GAUR' },
+  GAUSS: { pos: 'noun', definition: 'a unit of magnetic flux density equal to 1 maxwell per square centimeter' },
+  GAVEL: { pos: 'noun', definition: 'a small mallet used by a presiding officer or a judge' },
+  GAWKY: { pos: 'adjective', definition: 'lacking grace in movement or posture', example: 'a gawky lad with long ungainly legs' },
+  GAZED: { pos: 'verb', definition: 'look at with fixed eyes', example: 'The students stared at the teacher with amazement', base: 'GAZE' },
+  GAZER: { pos: 'noun', definition: 'a person who looks steadily at something', example: 'a star gazer with a telescope' },
+  GAZES: { pos: 'noun', definition: 'a long fixed look', example: 'he fixed his paternal gaze on me', base: 'GAZE' },
+  GEARS: { pos: 'noun', definition: 'wheelwork consisting of a connected set of rotating gears by which force is transmitted or motion or torque is changed', example: 'the fool got his tie caught in the geartrain', base: 'GEAR' },
+  GECKO: { pos: 'noun', definition: 'any of various small chiefly tropical and usually nocturnal insectivorous terrestrial lizards typically with immovable eyelids' },
+  GEEKS: { pos: 'noun', definition: 'a carnival performer who does disgusting acts', base: 'GEEK' },
+  GEEKY: { pos: 'adjective', definition: 'showing a keen, often technical, enthusiasm for a subject', example: 'a geeky interest in train timetables' },
+  GEESE: { pos: 'noun', definition: 'web-footed long-necked typically gregarious migratory aquatic birds usually larger and less aquatic than ducks', base: 'GOOSE' },
+  GENES: { pos: 'noun', definition: '(genetics) a segment of DNA that is involved in producing a polypeptide chain', example: 'genes were formerly called factors', base: 'GENE' },
+  GENIE: { pos: 'noun', definition: '(Islam) an invisible spirit mentioned in the Koran and believed by Muslims to inhabit the earth and influence mankind by appearing in the form of humans or animals' },
+  GENRE: { pos: 'noun', definition: 'a kind of literary or artistic work' },
+  GERMS: { pos: 'noun', definition: 'anything that provides inspiration for later work', base: 'GERM' },
+  GHOST: { pos: 'noun', definition: 'a mental representation of some haunting experience', example: 'he looked like he had seen a ghost' },
+  GIANT: { pos: 'noun', definition: 'any creature of exceptional size' },
+  GIDDY: { pos: 'adjective', definition: 'having or causing a whirling sensation', example: 'had a dizzy spell' },
+  GIFTS: { pos: 'noun', definition: 'something acquired without compensation', base: 'GIFT' },
+  GILLS: { pos: 'noun', definition: 'a British imperial capacity unit (liquid or dry) equal to 5 fluid ounces or 142.066 cubic centimeters', base: 'GILL' },
+  GIMPY: { pos: 'adjective', definition: 'disabled in the feet or legs', example: 'a crippled soldier' },
+  GIRDS: { pos: 'verb', definition: 'prepare oneself for a military confrontation', example: 'The U.S. is girding for a conflict in the Middle East', base: 'GIRD' },
+  GIRLS: { pos: 'noun', definition: 'a young female', example: 'a young lady of 18', base: 'GIRL' },
+  GIRLY: { pos: 'adjective', definition: 'characteristic of or suited to a girl', example: 'a girly pink bedroom' },
+  GIRTH: { pos: 'noun', definition: 'the distance around a person\'s body' },
+  GISTS: { pos: 'noun', definition: 'the choicest or most essential or most vital part of some idea or experience', example: 'the gist of the prosecutor\'s argument', base: 'GIST' },
+  GIVEN: { pos: 'adjective', definition: 'acknowledged as a supposition', example: 'given the engine\'s condition, it is a wonder that it started' },
+  GIVER: { pos: 'noun', definition: 'someone who devotes himself completely', example: 'there are no greater givers than those who give themselves' },
+  GIVES: { pos: 'verb', definition: 'cause to have, in the abstract sense or physical sense', example: 'She gave him a black eye', base: 'GIVE' },
+  GIZMO: { pos: 'noun', definition: 'something unspecified whose name is either forgotten or not known', example: 'she eased the ball-shaped doodad back into its socket' },
+  GLADE: { pos: 'noun', definition: 'a tract of land with few or no trees in the middle of a wooded area' },
+  GLAND: { pos: 'noun', definition: 'any of various organs that synthesize substances needed by the body and release it through ducts or directly into the bloodstream' },
+  GLARE: { pos: 'noun', definition: 'a light within the field of vision that is brighter than the brightness to which the eyes are adapted', example: 'a glare of sunlight' },
+  GLASS: { pos: 'noun', definition: 'a brittle transparent solid with irregular atomic structure' },
+  GLAZE: { pos: 'verb', definition: 'coat with a glaze', example: 'the potter glazed the dishes' },
+  GLEAM: { pos: 'verb', definition: 'be shiny, as if wet', example: 'His eyes were glistening' },
+  GLEAN: { pos: 'verb', definition: 'gather, as of natural products', example: 'harvest the grapes' },
+  GLIDE: { pos: 'verb', definition: 'move smoothly and effortlessly' },
+  GLINT: { pos: 'verb', definition: 'be shiny, as if wet', example: 'His eyes were glistening' },
+  GLOBE: { pos: 'noun', definition: 'the 3rd planet from the sun', example: 'the Earth moves around the sun' },
+  GLOOM: { pos: 'noun', definition: 'a state of partial or total darkness', example: 'he struck a match to dispel the gloom' },
+  GLORY: { pos: 'noun', definition: 'a state of high honour', example: 'he valued glory above life itself' },
+  GLOSS: { pos: 'noun', definition: 'an explanation or definition of an obscure word in a text' },
+  GLOVE: { pos: 'noun', definition: 'the handwear used by fielders in playing baseball' },
+  GLOWS: { pos: 'noun', definition: 'an alert and refreshed state', base: 'GLOW' },
+  GLUED: { pos: 'verb', definition: 'join or attach with or as if with glue', example: 'paste the sign on the wall', base: 'GLUE' },
+  GLUES: { pos: 'verb', definition: 'join or attach with or as if with glue', example: 'paste the sign on the wall', base: 'GLUE' },
+  GNOME: { pos: 'noun', definition: 'a legendary creature resembling a tiny old man' },
+  GOADS: { pos: 'verb', definition: 'give heart or courage to', base: 'GOAD' },
+  GOALS: { pos: 'noun', definition: 'the state of affairs that a plan is intended to achieve and that (when achieved) terminates behaviour intended to achieve it', example: 'the ends justify the means', base: 'GOAL' },
+  GOATS: { pos: 'noun', definition: 'any of numerous agile ruminants related to sheep but having a beard and straight horns', base: 'GOAT' },
+  GODLY: { pos: 'adjective', definition: 'showing great reverence for god', example: 'a godly man' },
+  GOING: { pos: 'verb', definition: 'change location', example: 'How fast does your new car go?', base: 'GO' },
+  GOLDS: { pos: 'noun', definition: 'a deep yellow colour', example: 'an amber light illuminated the room', base: 'GOLD' },
+  GOLFS: { pos: 'noun', definition: 'a game played on a large open course with 9 or 18 holes', base: 'GOLF' },
+  GONGS: { pos: 'noun', definition: 'a percussion instrument consisting of a metal plate that is struck with a softheaded drumstick', base: 'GONG' },
+  GONNA: { pos: 'verb', definition: 'informal spelling of "going to"', example: 'it\'s gonna rain' },
+  GOODS: { pos: 'noun', definition: 'benefit', example: 'for your own good', base: 'GOOD' },
+  GOOEY: { pos: 'adjective', definition: 'soft and sticky' },
+  GOOFS: { pos: 'verb', definition: 'commit a faux pas or a fault or make a serious mistake', example: 'I blundered during the job interview', base: 'GOOF' },
+  GOOFY: { pos: 'noun', definition: 'a cartoon character created by Walt Disney' },
+  GOOSE: { pos: 'noun', definition: 'web-footed long-necked typically gregarious migratory aquatic birds usually larger and less aquatic than ducks' },
+  GORED: { pos: 'verb', definition: 'cut into gores', example: 'gore a skirt', base: 'GORE' },
+  GORES: { pos: 'verb', definition: 'cut into gores', example: 'gore a skirt', base: 'GORE' },
+  GORGE: { pos: 'verb', definition: 'overeat or eat immodestly', example: 'She stuffed herself at the dinner' },
+  GOTHS: { pos: 'noun', definition: 'a crude uncouth ill-bred person lacking culture or refinement', base: 'GOTH' },
+  GOTTA: { pos: 'verb', definition: 'informal spelling of "got to"', example: 'I\'ve gotta go' },
+  GOUGE: { pos: 'verb', definition: 'force with the thumb', example: 'gouge out his eyes' },
+  GOULD: { pos: 'noun', definition: 'United States paleontologist and popularizer of science (1941-2002)' },
+  GOWNS: { pos: 'noun', definition: 'the members of a university as distinguished from the other residents of the town in which the university is located', example: 'the relations between town and gown are always sensitive', base: 'GOWN' },
+  GRABS: { pos: 'verb', definition: 'take hold of so as to seize or restrain or stop the motion of', example: 'Catch the ball!', base: 'GRAB' },
+  GRACE: { pos: 'noun', definition: '(Christian theology) a state of sanctification by God', example: 'the conception of grace developed alongside the conception of sin' },
+  GRADE: { pos: 'noun', definition: 'a body of students who are taught together', example: 'early morning classes are always sleepy' },
+  GRADS: { pos: 'noun', definition: 'one-hundredth of a right angle', base: 'GRAD' },
+  GRAFT: { pos: 'noun', definition: '(surgery) tissue or organ transplanted from a donor to a recipient' },
+  GRAIL: { pos: 'noun', definition: 'the object of any prolonged endeavor' },
+  GRAIN: { pos: 'noun', definition: 'a relatively small granular particle of a substance', example: 'a grain of sand' },
+  GRAND: { pos: 'adjective', definition: 'of behaviour that is impressive and ambitious in scale or scope', example: 'an expansive lifestyle' },
+  GRANT: { pos: 'verb', definition: 'let have', example: 'grant permission' },
+  GRAPE: { pos: 'noun', definition: 'any of various juicy fruit of the genus Vitis with green or purple skins' },
+  GRAPH: { pos: 'noun', definition: 'a visual representation of the relations between certain quantities, represented as points, plotted with reference to a set of axes' },
+  GRASP: { pos: 'verb', definition: 'get the meaning of something', example: 'Do you comprehend the meaning of this letter?' },
+  GRASS: { pos: 'noun', definition: 'narrow-leaved green herbage: grown as lawns' },
+  GRATE: { pos: 'noun', definition: 'a frame of iron bars to hold a fire' },
+  GRAVE: { pos: 'noun', definition: 'death of a person', example: 'he went to his grave without forgiving me' },
+  GRAVY: { pos: 'noun', definition: 'a sauce made by adding stock, flour, or other ingredients to the juice and fat that drips from cooking meats' },
+  GRAYS: { pos: 'noun', definition: 'American spelling of greys; shades of colour between black and white' },
+  GRAZE: { pos: 'verb', definition: 'feed as in a meadow or pasture', example: 'the herd was grazing' },
+  GREAT: { pos: 'adjective', definition: 'relatively large in size or number or extent', example: 'a great juicy steak' },
+  GREED: { pos: 'noun', definition: 'excessive desire to acquire or possess more (especially more material wealth) than one needs or deserves' },
+  GREEK: { pos: 'noun', definition: 'the Hellenic branch of the Indo-European family of languages' },
+  GREEN: { pos: 'noun', definition: 'a piece of open land for recreational use in an urban area', example: 'they went for a walk in the park' },
+  GREET: { pos: 'verb', definition: 'express greetings upon meeting someone' },
+  GRIEF: { pos: 'noun', definition: 'something that causes great unhappiness', example: 'her death was a great grief to John' },
+  GRILL: { pos: 'noun', definition: 'a framework of metal bars used as a partition or a grate', example: 'he cooked hamburgers on the grill' },
+  GRIME: { pos: 'noun', definition: 'the state of being covered with unclean things' },
+  GRIMY: { pos: 'adjective', definition: 'thickly covered with ingrained dirt or soot', example: 'a miner\'s begrimed face' },
+  GRIND: { pos: 'verb', definition: 'make a grating or grinding sound by rubbing together', example: 'grate one\'s teeth in anger' },
+  GRINS: { pos: 'noun', definition: 'a facial expression characterized by turning up the corners of the mouth', base: 'GRIN' },
+  GRIPS: { pos: 'noun', definition: 'the act of grasping', example: 'he released his clasp on my arm', base: 'GRIP' },
+  GRIST: { pos: 'noun', definition: 'grain intended to be or that has been ground' },
+  GRITS: { pos: 'noun', definition: 'coarsely ground hulled corn boiled as a breakfast dish in the southern United States' },
+  GROAN: { pos: 'noun', definition: 'an utterance expressing pain or disapproval' },
+  GROIN: { pos: 'noun', definition: 'the crease at the junction of the inner part of the thigh with the trunk together with the adjacent region and often including the external genitals' },
+  GROOM: { pos: 'verb', definition: 'educate for a future role or function', example: 'He is grooming his son to become his successor' },
+  GROPE: { pos: 'verb', definition: 'feel about uncertainly or blindly', example: 'She groped for her glasses in the darkness of the bedroom' },
+  GROSS: { pos: 'adjective', definition: 'before any deductions', example: 'gross income' },
+  GROUP: { pos: 'noun', definition: 'any number of entities (members) considered as a unit' },
+  GROUT: { pos: 'noun', definition: 'a thin mortar that can be poured and used to fill cracks in masonry or brickwork' },
+  GROVE: { pos: 'noun', definition: 'a small growth of trees without underbrush' },
+  GROWL: { pos: 'noun', definition: 'the sound of growling (as made by animals)' },
+  GROWN: { pos: 'adjective', definition: '(of animals) fully developed', example: 'an adult animal' },
+  GROWS: { pos: 'verb', definition: 'pass into a condition gradually, take on a specific property or attribute', example: 'The weather turned nasty', base: 'GROW' },
+  GRUBS: { pos: 'noun', definition: 'informal terms for a meal', base: 'GRUB' },
+  GRUEL: { pos: 'noun', definition: 'a thin porridge (usually oatmeal or cornmeal)' },
+  GRUFF: { pos: 'adjective', definition: 'brusque and surly and forbidding', example: 'crusty remarks' },
+  GRUNT: { pos: 'noun', definition: 'an unskilled or low-ranking soldier or other worker', example: 'infantrymen in Vietnam were called grunts' },
+  GUARD: { pos: 'noun', definition: 'the person who plays that position on a football team', example: 'the left guard was injured on the play' },
+  GUAVA: { pos: 'noun', definition: 'small tropical shrubby tree bearing small yellowish fruit' },
+  GUESS: { pos: 'verb', definition: 'expect, believe, or suppose', example: 'I imagine she earned a lot of money with her new novel' },
+  GUEST: { pos: 'noun', definition: 'a visitor to whom hospitality is extended' },
+  GUIDE: { pos: 'noun', definition: 'someone employed to conduct others' },
+  GUILD: { pos: 'noun', definition: 'a formal association of people with similar interests', example: 'he joined a golf club' },
+  GUILT: { pos: 'noun', definition: 'the state of having committed an offence' },
+  GUISE: { pos: 'noun', definition: 'an artful or simulated semblance', example: 'under the guise of friendship he betrayed them' },
+  GULFS: { pos: 'noun', definition: 'an unbridgeable disparity (as from a failure of understanding)', example: 'he felt a gulf between himself and his former friends', base: 'GULF' },
+  GULLS: { pos: 'verb', definition: 'fool or hoax', example: 'The immigrant was duped because he trusted everyone', base: 'GULL' },
+  GULLY: { pos: 'noun', definition: 'deep ditch cut by running water (especially after a prolonged downpour)' },
+  GULPS: { pos: 'verb', definition: 'to swallow hurriedly or greedily or in one draught', example: 'The men gulped down their beers', base: 'GULP' },
+  GUMMY: { pos: 'adjective', definition: 'having the sticky properties of an adhesive' },
+  GUNKS: { pos: 'noun', definition: 'any thick, viscous matter', base: 'GUNK' },
+  GUNKY: { pos: 'adjective', definition: 'covered in a sticky, messy substance', example: 'the gunky bottom of the pan' },
+  GUPPY: { pos: 'noun', definition: 'small freshwater fish of South America and the West Indies' },
+  GURUS: { pos: 'noun', definition: 'a Hindu or Buddhist religious leader and spiritual teacher', base: 'GURU' },
+  GUSTS: { pos: 'noun', definition: 'a strong current of air', example: 'the tree was bent almost double by the gust', base: 'GUST' },
+  GUSTY: { pos: 'adjective', definition: 'blowing in puffs or short intermittent blasts', example: 'puffy off-shore winds' },
+  GUTSY: { pos: 'adjective', definition: 'marked by courage and determination in the face of difficulties or danger', example: 'you have to admire her; it was a gutsy thing to do' },
+  GYROS: { pos: 'noun', definition: 'a Greek sandwich: sliced roast lamb with onion and tomato stuffed into pita bread', base: 'GYRO' },
+  HABIT: { pos: 'noun', definition: 'an established custom', example: 'it was their habit to dine at 7 every evening' },
+  HACKS: { pos: 'noun', definition: 'one who works hard at boring tasks', base: 'HACK' },
+  HAILS: { pos: 'verb', definition: 'praise vociferously', example: 'The critics hailed the young pianist as a new Rubinstein', base: 'HAIL' },
+  HAIRS: { pos: 'noun', definition: 'a covering for the body (or parts of it) consisting of a dense growth of threadlike structures (as on the human head)', example: 'he combed his hair', base: 'HAIR' },
+  HAIRY: { pos: 'adjective', definition: 'having or covered with hair', example: 'Jacob was a hairy man' },
+  HALAL: { pos: 'noun', definition: '(Islam) meat from animals that have been slaughtered in the prescribed way according to the shariah' },
+  HALES: { pos: 'noun', definition: 'a soldier of the American Revolution who was hanged as a spy by the British', base: 'HALE' },
+  HALLS: { pos: 'noun', definition: 'an interior passage or corridor onto which rooms open', example: 'the elevators were at the end of the hall', base: 'HALL' },
+  HALOS: { pos: 'noun', definition: 'a toroidal shape', example: 'a ring of ships in the harbour', base: 'HALO' },
+  HALTS: { pos: 'noun', definition: 'the state of inactivity following an interruption', example: 'the negotiations were in arrest', base: 'HALT' },
+  HALVE: { pos: 'verb', definition: 'divide by two', example: 'Halve the cake' },
+  HANDS: { pos: 'noun', definition: 'the (prehensile) extremity of the superior limb', example: 'he had the hands of a surgeon', base: 'HAND' },
+  HANDY: { pos: 'adjective', definition: 'easy to reach', example: 'found a handy spot for the can opener' },
+  HANGS: { pos: 'verb', definition: 'be suspended or hanging', example: 'The flag hung on the wall', base: 'HANG' },
+  HANKY: { pos: 'noun', definition: 'a square piece of cloth used for wiping the eyes or nose or as a costume accessory' },
+  HAPPY: { pos: 'adjective', definition: 'enjoying or showing or marked by joy or pleasure', example: 'a happy smile' },
+  HARDY: { pos: 'adjective', definition: 'having rugged physical strength', example: 'hardy explorers of northern Canada' },
+  HARES: { pos: 'noun', definition: 'swift timid long-eared mammal larger than a rabbit having a divided upper lip and long hind legs', base: 'HARE' },
+  HARKS: { pos: 'verb', definition: 'listen', base: 'HARK' },
+  HARMS: { pos: 'noun', definition: 'any physical damage to the body caused by violence or accident or fracture etc.', base: 'HARM' },
+  HARPS: { pos: 'noun', definition: 'a chordophone that has a triangular frame consisting of a sounding board and a pillar and a curved neck', base: 'HARP' },
+  HARSH: { pos: 'adjective', definition: 'unpleasantly stern', example: 'wild and harsh country full of hot sand and cactus' },
+  HASTE: { pos: 'noun', definition: 'overly eager speed (and possible carelessness)', example: 'he soon regretted his haste' },
+  HASTY: { pos: 'adjective', definition: 'excessively quick', example: 'made a hasty exit' },
+  HATCH: { pos: 'verb', definition: 'emerge from the eggs', example: 'young birds, fish, and reptiles hatch' },
+  HATED: { pos: 'adjective', definition: 'treated with dislike or contempt' },
+  HATER: { pos: 'noun', definition: 'a person who hates' },
+  HATES: { pos: 'noun', definition: 'the emotion of intense dislike', base: 'HATE' },
+  HAULS: { pos: 'verb', definition: 'draw slowly or heavily', example: 'haul stones', base: 'HAUL' },
+  HAUNT: { pos: 'verb', definition: 'follow stealthily or recur constantly and spontaneously to', example: 'her ex-boyfriend stalked her' },
+  HAVEN: { pos: 'noun', definition: 'a shelter serving as a place of safety or sanctuary' },
+  HAVER: { pos: 'verb', definition: 'to talk foolishly or hesitate in making a decision', example: 'stop havering and choose one' },
+  HAVES: { pos: 'verb', definition: 'have or possess, either in a concrete or an abstract sense', example: 'She has $1,000 in the bank', base: 'HAVE' },
+  HAVOC: { pos: 'noun', definition: 'violent and needless disturbance' },
+  HAWKS: { pos: 'noun', definition: 'diurnal bird of prey typically having short rounded wings and a long tail', base: 'HAWK' },
+  HAZED: { pos: 'verb', definition: 'become hazy, dull, or cloudy', base: 'HAZE' },
+  HAZEL: { pos: 'adjective', definition: 'of a light brown or yellowish brown colour' },
+  HAZES: { pos: 'noun', definition: 'atmospheric moisture or dust or smoke that causes reduced visibility', base: 'HAZE' },
+  HEADS: { pos: 'noun', definition: 'the upper part of the human body or the front part of the body in animals', example: 'he stuck his head out the window', base: 'HEAD' },
+  HEADY: { pos: 'adjective', definition: 'marked by the exercise of good judgment or common sense in practical matters', example: 'judicious use of one\'s money' },
+  HEALS: { pos: 'verb', definition: 'heal or recover', example: 'My broken leg is mending', base: 'HEAL' },
+  HEAPS: { pos: 'noun', definition: '(often followed by `of\') a large number or amount or extent', example: 'a batch of letters', base: 'HEAP' },
+  HEARD: { pos: 'adjective', definition: 'detected or perceived by the sense of hearing', example: 'a conversation heard through the wall' },
+  HEARS: { pos: 'verb', definition: 'get to know or become aware of, usually accidentally', example: 'I learned that she has two grown-up children', base: 'HEAR' },
+  HEART: { pos: 'noun', definition: 'the locus of feelings and intuitions', example: 'in your heart you know it is true' },
+  HEATS: { pos: 'noun', definition: 'a form of energy that is transferred by a difference in temperature', base: 'HEAT' },
+  HEAVY: { pos: 'adjective', definition: 'of comparatively great physical weight or density', example: 'a heavy load' },
+  HEDGE: { pos: 'noun', definition: 'a fence formed by a row of closely planted shrubs or bushes' },
+  HEEDS: { pos: 'noun', definition: 'paying particular notice (as to children or helpless people)', example: 'his attentiveness to her wishes', base: 'HEED' },
+  HEELS: { pos: 'noun', definition: 'the bottom of a shoe or boot', base: 'HEEL' },
+  HEFTY: { pos: 'adjective', definition: '(of a person) possessing physical strength and weight', example: 'a hefty athlete' },
+  HEIRS: { pos: 'noun', definition: 'a person who is entitled by law or by the terms of a will to inherit the estate of another', base: 'HEIR' },
+  HEIST: { pos: 'verb', definition: 'commit a burglary' },
+  HELIX: { pos: 'noun', definition: 'a structure consisting of something wound in a continuous series of loops', example: 'a coil of rope' },
+  HELLO: { pos: 'noun', definition: 'an expression of greeting', example: 'every morning they exchanged polite hellos' },
+  HELPS: { pos: 'verb', definition: 'give help or assistance', example: 'Everyone helped out during the earthquake', base: 'HELP' },
+  HENCE: { pos: 'adverb', definition: '(used to introduce a logical conclusion) from that fact or reason or as a result', example: 'therefore X must be true' },
+  HENRY: { pos: 'noun', definition: 'a unit of inductance in which an induced electromotive force of one volt is produced when the current is varied at the rate of one ampere per second' },
+  HERBS: { pos: 'noun', definition: 'a plant lacking a permanent woody stem', base: 'HERB' },
+  HERBY: { pos: 'adjective', definition: 'tasting or smelling of herbs', example: 'a herby dressing for the salad' },
+  HERDS: { pos: 'noun', definition: 'a group of cattle or sheep or other domestic mammals all of the same kind that are herded by humans', base: 'HERD' },
+  HERON: { pos: 'noun', definition: 'Greek mathematician and inventor who devised a way to determine the area of a triangle and who described various mechanical devices (first century)' },
+  HERTZ: { pos: 'noun', definition: 'the unit of frequency' },
+  HICKS: { pos: 'noun', definition: 'a person who is not very intelligent or interested in culture', base: 'HICK' },
+  HIDES: { pos: 'noun', definition: 'the dressed skin of an animal (especially a large animal)', base: 'HIDE' },
+  HIGHS: { pos: 'noun', definition: 'a lofty level or position or degree', example: 'summer temperatures reached an all-time high', base: 'HIGH' },
+  HIKER: { pos: 'noun', definition: 'a foot traveler' },
+  HIKES: { pos: 'noun', definition: 'a long walk usually for exercise or pleasure', example: 'she enjoys a hike in her spare time', base: 'HIKE' },
+  HILLS: { pos: 'noun', definition: 'a local and well-defined elevation of the land', example: 'they loved to roam the hills of West Virginia', base: 'HILL' },
+  HILLY: { pos: 'adjective', definition: 'having hills and crags', example: 'hilly terrain' },
+  HILTS: { pos: 'noun', definition: 'the handle of a sword or dagger', base: 'HILT' },
+  HINDS: { pos: 'noun', definition: 'any of several mostly spotted fishes that resemble groupers', base: 'HIND' },
+  HINGE: { pos: 'noun', definition: 'a circumstance upon which subsequent events depend', example: 'his absence is the hinge of our plan' },
+  HINTS: { pos: 'noun', definition: 'an indirect suggestion', example: 'not a breath of scandal ever touched her', base: 'HINT' },
+  HIPPO: { pos: 'noun', definition: 'an ancient Numidian town in northwestern Africa adjoining present-day Annaba in northeastern Algeria' },
+  HIRED: { pos: 'verb', definition: 'engage or hire for work', example: 'They hired two new secretaries in the department', base: 'HIRE' },
+  HIRES: { pos: 'verb', definition: 'engage or hire for work', example: 'They hired two new secretaries in the department', base: 'HIRE' },
+  HITCH: { pos: 'verb', definition: 'to hook or entangle', example: 'One foot caught in the stirrup' },
+  HIVES: { pos: 'noun', definition: 'a teeming multitude', base: 'HIVE' },
+  HOARD: { pos: 'noun', definition: 'a secret store of valuables or money' },
+  HOARY: { pos: 'adjective', definition: 'showing characteristics of age, especially having grey or white hair', example: 'whose beard with age is hoar' },
+  HOBBY: { pos: 'noun', definition: 'an auxiliary activity' },
+  HOCKS: { pos: 'verb', definition: 'leave as a guarantee in return for money', example: 'pawn your grandfather\'s gold watch', base: 'HOCK' },
+  HOGAN: { pos: 'noun', definition: 'United States golfer who won many major golf tournaments (1912-1997)' },
+  HOLDS: { pos: 'verb', definition: 'cause to continue in a certain state, position, or activity', example: 'hold in place', base: 'HOLD' },
+  HOLES: { pos: 'noun', definition: 'an opening into or through something', base: 'HOLE' },
+  HOLLY: { pos: 'noun', definition: 'any tree or shrub of the genus Ilex having red berries and shiny evergreen leaves with prickly edges' },
+  HOMES: { pos: 'noun', definition: 'where you live at a particular time', example: 'deliver the package to my home', base: 'HOME' },
+  HONEY: { pos: 'noun', definition: 'a sweet yellow liquid produced by bees' },
+  HONKS: { pos: 'noun', definition: 'the cry of a goose (or any sound resembling this)', base: 'HONK' },
+  HONOR: { pos: 'noun', definition: 'American spelling of honour; high respect; great esteem' },
+  HOODS: { pos: 'noun', definition: 'an aggressive and violent young criminal', base: 'HOOD' },
+  HOOFS: { pos: 'noun', definition: 'the foot of an ungulate mammal', base: 'HOOF' },
+  HOOKS: { pos: 'verb', definition: 'fasten with a hook', base: 'HOOK' },
+  HOOPS: { pos: 'noun', definition: 'a rigid circular band of metal or wood or other material used for holding or fastening or hanging or pulling', example: 'there was still a rusty iron hoop for tying a horse', base: 'HOOP' },
+  HOOTS: { pos: 'noun', definition: 'a loud raucous cry (as of an owl)', base: 'HOOT' },
+  HOPED: { pos: 'verb', definition: 'expect and wish', example: 'I trust you will behave better from now on', base: 'HOPE' },
+  HOPES: { pos: 'noun', definition: 'a specific instance of feeling hopeful', example: 'it revived their hope of winning the pennant', base: 'HOPE' },
+  HORDE: { pos: 'noun', definition: 'a vast multitude' },
+  HORNS: { pos: 'noun', definition: 'a noisemaker (as at parties or games) that makes a loud noise when you blow through it', base: 'HORN' },
+  HORNY: { pos: 'adjective', definition: 'feeling great sexual desire', example: 'feeling horny' },
+  HORSE: { pos: 'noun', definition: 'solid-hoofed herbivorous quadruped domesticated since prehistoric times' },
+  HOSTS: { pos: 'noun', definition: 'a person who invites guests to a social event (such as a party in his or her own home) and who is responsible for them while they are there', base: 'HOST' },
+  HOTEL: { pos: 'noun', definition: 'a building where travelers can pay for lodging and meals and other services' },
+  HOUND: { pos: 'noun', definition: 'someone who is morally reprehensible', example: 'you dirty dog' },
+  HOURS: { pos: 'noun', definition: 'a period of time equal to 1/24th of a day', example: 'the job will take more than an hour', base: 'HOUR' },
+  HOUSE: { pos: 'noun', definition: 'a dwelling that serves as living quarters for one or more families', example: 'he has a house on Cape Cod' },
+  HOVEL: { pos: 'noun', definition: 'small crude shelter used as a dwelling' },
+  HOVER: { pos: 'verb', definition: 'be undecided about something', example: 'He oscillates between accepting the new position and retirement' },
+  HOWDY: { pos: 'noun', definition: 'an expression of greeting', example: 'every morning they exchanged polite hellos' },
+  HOWLS: { pos: 'noun', definition: 'a long loud emotional utterance', example: 'he gave a howl of pain', base: 'HOWL' },
+  HUBBY: { pos: 'noun', definition: 'a married man' },
+  HUFFS: { pos: 'noun', definition: 'a state of irritation or annoyance', base: 'HUFF' },
+  HUFFY: { pos: 'adjective', definition: 'roused to anger', example: 'stayed huffy a good while' },
+  HULKS: { pos: 'noun', definition: 'a very large person', base: 'HULK' },
+  HULLS: { pos: 'noun', definition: 'dry outer covering of a fruit or seed or nut', base: 'HULL' },
+  HUMAN: { pos: 'adjective', definition: 'characteristic of humanity', example: 'human nature' },
+  HUMID: { pos: 'adjective', definition: 'containing or characterized by a great deal of water vapour', example: 'humid air' },
+  HUMPS: { pos: 'noun', definition: 'something that bulges out or is protuberant or projects from its surroundings', example: 'the gun in his pocket made an obvious bulge', base: 'HUMP' },
+  HUMUS: { pos: 'noun', definition: 'partially decomposed organic matter' },
+  HUNCH: { pos: 'noun', definition: 'an impression that something might be the case', example: 'he had an intuition that something had gone wrong' },
+  HUNKS: { pos: 'noun', definition: 'a large piece of something without definite shape', example: 'a hunk of bread', base: 'HUNK' },
+  HUNTS: { pos: 'verb', definition: 'pursue for food or sport (as of wild animals)', example: 'Goering often hunted wild boars in Poland', base: 'HUNT' },
+  HURLS: { pos: 'verb', definition: 'throw forcefully', base: 'HURL' },
+  HURRY: { pos: 'noun', definition: 'a condition of urgency making it necessary to hurry', example: 'in a hurry to lock the door' },
+  HURTS: { pos: 'verb', definition: 'give trouble or pain to', example: 'This exercise will hurt your back', base: 'HURT' },
+  HUSKY: { pos: 'adjective', definition: 'muscular and heavily built', example: 'a beefy wrestler' },
+  HUSSY: { pos: 'noun', definition: 'a woman adulterer' },
+  HUTCH: { pos: 'noun', definition: 'a cage (usually made of wood and wire mesh) for small animals' },
+  HYENA: { pos: 'noun', definition: 'doglike nocturnal mammal of Africa and southern Asia that feeds chiefly on carrion' },
+  HYPES: { pos: 'noun', definition: 'blatant or sensational promotion', base: 'HYPE' },
+  HYPOS: { pos: 'noun', definition: 'a compound used as a fixing agent in photographic developing', base: 'HYPO' },
+  ICHOR: { pos: 'noun', definition: '(Greek mythology) the rarified fluid said to flow in the veins of the Gods' },
+  ICING: { pos: 'noun', definition: 'the formation of frost or ice on a surface' },
+  ICONS: { pos: 'noun', definition: 'a visual representation (of an object or scene or person or abstraction) produced on a surface', example: 'they showed us the pictures of their wedding', base: 'ICON' },
+  IDEAL: { pos: 'noun', definition: 'the idea of something that is perfect' },
+  IDEAS: { pos: 'noun', definition: 'the content of cognition', example: 'it was not a good idea', base: 'IDEA' },
+  IDIOM: { pos: 'noun', definition: 'the usage or vocabulary that is characteristic of a specific group of people', example: 'the immigrants spoke an odd dialect of English' },
+  IDIOT: { pos: 'noun', definition: 'a person of subnormal intelligence' },
+  IDLED: { pos: 'verb', definition: 'run disconnected or idle', example: 'the engine is idling', base: 'IDLE' },
+  IDLER: { pos: 'adjective', definition: 'not in action or at work', example: 'an idle laborer', base: 'IDLE' },
+  IDLES: { pos: 'verb', definition: 'run disconnected or idle', example: 'the engine is idling', base: 'IDLE' },
+  IDOLS: { pos: 'noun', definition: 'a material effigy that is worshipped', example: 'thou shalt not make unto thee any graven image', base: 'IDOL' },
+  IGLOO: { pos: 'noun', definition: 'an Eskimo hut' },
+  IMAGE: { pos: 'noun', definition: 'an iconic mental representation', example: 'her imagination forced images upon her too awful to contemplate' },
+  IMBED: { pos: 'verb', definition: 'fix or set securely or deeply', example: 'He planted a knee in the back of his opponent' },
+  IMBUE: { pos: 'verb', definition: 'spread or diffuse through', example: 'An atmosphere of distrust has permeated this administration' },
+  IMPEL: { pos: 'verb', definition: 'cause to move forward with force', example: 'Steam propels this ship' },
+  IMPLY: { pos: 'verb', definition: 'express or state indirectly' },
+  INBOX: { pos: 'noun', definition: 'the folder where new email messages arrive', example: 'my inbox is full again' },
+  INCUR: { pos: 'verb', definition: 'make oneself subject to', example: 'People who smoke incur a great danger to their health' },
+  INDEX: { pos: 'noun', definition: 'a numerical scale used to compare variables with one another or with some reference number' },
+  INDIE: { pos: 'noun', definition: 'a pop group not affiliated with a major record company' },
+  INERT: { pos: 'adjective', definition: 'having only a limited ability to react chemically', example: 'inert matter' },
+  INFER: { pos: 'verb', definition: 'reason by deduction' },
+  INKED: { pos: 'verb', definition: 'append one\'s signature to', example: 'They inked the contract', base: 'INK' },
+  INLAY: { pos: 'verb', definition: 'decorate the surface of by inserting wood, stone, and metal' },
+  INLET: { pos: 'noun', definition: 'an arm off of a larger body of water (often between rocky headlands)' },
+  INNER: { pos: 'adjective', definition: 'located inward', example: 'Beethoven\'s manuscript looks like a bloody record of a tremendous inner battle' },
+  INPUT: { pos: 'noun', definition: 'a statement that expresses a personal opinion or belief or adds information', example: 'from time to time she contributed a personal comment on his account' },
+  INSET: { pos: 'noun', definition: 'a small picture inserted within the bounds or a larger one' },
+  INTER: { pos: 'verb', definition: 'place in a grave or tomb', example: 'Stalin was buried behind the Kremlin wall on Red Square' },
+  INTRO: { pos: 'noun', definition: 'formally making a person known to another or to the public' },
+  IONIC: { pos: 'adjective', definition: 'containing or involving or occurring in the form of ions', example: 'ionic charge' },
+  IRISH: { pos: 'noun', definition: 'people of Ireland or of Irish extraction' },
+  IRONS: { pos: 'noun', definition: 'a heavy ductile magnetic metallic element', base: 'IRON' },
+  IRONY: { pos: 'noun', definition: 'witty language used to convey insults or scorn', example: 'he used sarcasm to upset his opponent' },
+  ISLES: { pos: 'noun', definition: 'a small island', base: 'ISLE' },
+  ISSUE: { pos: 'verb', definition: 'prepare and issue for public distribution or sale', example: 'publish a magazine or newspaper' },
+  ITEMS: { pos: 'noun', definition: 'a distinct part that can be specified separately in a group of things that could be enumerated on a list', example: 'he noticed an item in the New York Times', base: 'ITEM' },
+  IVORY: { pos: 'noun', definition: 'a hard smooth ivory coloured dentine that makes up most of the tusks of elephants and walruses' },
+  JADED: { pos: 'adjective', definition: 'exhausted', example: 'my father\'s words had left me jaded and depressed' },
+  JAILS: { pos: 'noun', definition: 'a correctional institution used to detain persons who are in the lawful custody of the government (either accused persons awaiting trial or convicted persons serving a sentence)', base: 'JAIL' },
+  JAKES: { pos: 'noun', definition: 'a small outbuilding with a bench having holes through which a user can defecate' },
+  JAPAN: { pos: 'noun', definition: 'a string of more than 3,000 islands to the east of Asia extending 1,300 miles between the Sea of Japan and the western Pacific Ocean' },
+  JEANS: { pos: 'noun', definition: '(used in the plural) close-fitting trousers of heavy denim for manual work or casual wear' },
+  JEERS: { pos: 'verb', definition: 'laugh at with contempt and derision', example: 'The crowd jeered at the speaker', base: 'JEER' },
+  JELLY: { pos: 'noun', definition: 'an edible jelly (sweet or pungent) made with gelatin and used as a dessert or salad base or a coating for foods' },
+  JERKS: { pos: 'verb', definition: 'pull, or move with a sudden movement', example: 'He turned the handle and jerked the door open', base: 'JERK' },
+  JERKY: { pos: 'noun', definition: 'meat (especially beef) cut in strips and dried in the sun' },
+  JETTY: { pos: 'noun', definition: 'a protective structure of stone or concrete' },
+  JEWEL: { pos: 'noun', definition: 'a precious or semiprecious stone incorporated into a piece of jewellery' },
+  JIFFY: { pos: 'noun', definition: 'a very short time (as the time it takes the eye to blink or the heart to beat)', example: 'if I had the chance I\'d do it in a flash' },
+  JIGGY: { pos: 'adjective', definition: 'excited and lively, especially when dancing (informal)', example: 'everyone got jiggy on the dance floor' },
+  JIMMY: { pos: 'verb', definition: 'to move or force, especially in an effort to get something open', example: 'The burglar jimmied the lock' },
+  JINKS: { pos: 'noun', definition: 'noisy and mischievous merrymaking' },
+  JIVES: { pos: 'verb', definition: 'dance to jive music', base: 'JIVE' },
+  JOCKS: { pos: 'noun', definition: 'a person trained to compete in sports', base: 'JOCK' },
+  JOHNS: { pos: 'noun', definition: 'a room or building equipped with one or more toilets', base: 'JOHN' },
+  JOINS: { pos: 'verb', definition: 'become part of', example: 'He joined the Communist Party as a young man', base: 'JOIN' },
+  JOINT: { pos: 'noun', definition: '(anatomy) the point of connection between two bones or elements of a skeleton (especially if it allows motion)' },
+  JOIST: { pos: 'noun', definition: 'beam used to support floors or roofs' },
+  JOKED: { pos: 'verb', definition: 'tell a joke', example: 'He often jokes even when he appears serious', base: 'JOKE' },
+  JOKER: { pos: 'noun', definition: 'a person who does something thoughtless or annoying', example: 'some joker is blocking the driveway' },
+  JOKES: { pos: 'noun', definition: 'a humorous anecdote or remark intended to provoke laughter', example: 'he told a very funny joke', base: 'JOKE' },
+  JOLLY: { pos: 'adjective', definition: 'full of or showing high-spirited merriment', example: 'when hearts were young and gay' },
+  JOLTS: { pos: 'noun', definition: 'a sudden jarring impact', example: 'the door closed with a jolt', base: 'JOLT' },
+  JONES: { pos: 'noun', definition: 'United States labour leader (born in Ireland) who helped to found the Industrial Workers of the World (1830-1930)' },
+  JOWLS: { pos: 'noun', definition: 'the jaw in vertebrates that is hinged to open the mouth', base: 'JOWL' },
+  JOYST: { pos: 'noun', definition: 'an old spelling of joist; a beam supporting a floor or ceiling' },
+  JUDGE: { pos: 'verb', definition: 'form a critical opinion of', example: 'I cannot judge some works of modern art' },
+  JUICE: { pos: 'noun', definition: 'energetic vitality', example: 'her creative juices were flowing' },
+  JUICY: { pos: 'adjective', definition: 'having strong sexual appeal', example: 'juicy barmaids' },
+  JUMBO: { pos: 'adjective', definition: 'of great mass', example: 'a jumbo jet' },
+  JUMPS: { pos: 'verb', definition: 'move forward by leaps and bounds', example: 'The horse bounded across the meadow', base: 'JUMP' },
+  JUNCO: { pos: 'noun', definition: 'small North American finch seen chiefly in winter' },
+  JUNKS: { pos: 'noun', definition: 'the remains of something that has been destroyed or broken up', base: 'JUNK' },
+  JUNKY: { pos: 'noun', definition: 'someone who is so ardently devoted to something that it resembles an addiction', example: 'a golf addict' },
+  JURAT: { pos: 'noun', definition: 'a magistrate in the Channel Islands, or a statement of when and before whom an affidavit was sworn', example: 'the jurats sat in the Royal Court' },
+  JUROR: { pos: 'noun', definition: 'someone who serves (or waits to be called to serve) on a jury' },
+  JUZZY: { pos: 'adjective', definition: 'a nonce word with no settled meaning' },
+  KAYAK: { pos: 'noun', definition: 'a small canoe consisting of a light frame made watertight with animal skins' },
+  KEBAB: { pos: 'noun', definition: 'cubes of meat marinated and cooked on a skewer usually with vegetables' },
+  KEELS: { pos: 'noun', definition: 'a projection or ridge that suggests a keel', base: 'KEEL' },
+  KEEPS: { pos: 'verb', definition: 'cause to continue in a certain state, position, or activity', example: 'hold in place', base: 'KEEP' },
+  KENDO: { pos: 'noun', definition: 'a Japanese martial art of fencing with bamboo swords', example: 'she practises kendo twice a week' },
+  KERBS: { pos: 'noun', definition: 'an edge between a sidewalk and a roadway consisting of a line of curbstones (usually forming part of a gutter)', base: 'KERB' },
+  KERNS: { pos: 'noun', definition: 'United States composer of musical comedies (1885-1945)', base: 'KERN' },
+  KETCH: { pos: 'noun', definition: 'a sailing vessel with two masts' },
+  KICKS: { pos: 'verb', definition: 'drive or propel with the foot', base: 'KICK' },
+  KIDDO: { pos: 'noun', definition: 'an informal way of addressing a young person', example: 'cheer up, kiddo' },
+  KILLS: { pos: 'verb', definition: 'cause to die', example: 'This man killed several people when he tried to rob a bank', base: 'KILL' },
+  KILNS: { pos: 'noun', definition: 'a furnace for firing or burning or drying such things as porcelain or bricks', base: 'KILN' },
+  KILOS: { pos: 'noun', definition: 'one thousand grams', example: 'a kilogram is approximately 2.2 pounds', base: 'KILO' },
+  KILTS: { pos: 'noun', definition: 'a knee-length pleated tartan skirt worn by men as part of the traditional dress in the Highlands of northern Scotland', base: 'KILT' },
+  KINDS: { pos: 'noun', definition: 'a category of things distinguished by some common characteristic or quality', example: 'sculpture is a form of art', base: 'KIND' },
+  KINGS: { pos: 'noun', definition: 'a male sovereign', base: 'KING' },
+  KINKS: { pos: 'noun', definition: 'a painful muscle spasm especially in the neck or back (`rick\' and `wrick\' are British)', base: 'KINK' },
+  KINKY: { pos: 'adjective', definition: '(used of sexual behaviour) showing or appealing to bizarre or deviant tastes', example: 'kinky sex' },
+  KIOSK: { pos: 'noun', definition: 'small area set off by walls for special use' },
+  KISSY: { pos: 'adjective', definition: 'given to or suggesting kissing (informal)', example: 'a kissy face for the camera' },
+  KITES: { pos: 'noun', definition: 'a bank check that has been fraudulently altered to increase its face value', base: 'KITE' },
+  KITTY: { pos: 'noun', definition: 'the combined stakes of the betters' },
+  KIWIS: { pos: 'noun', definition: 'climbing vine native to China', base: 'KIWI' },
+  KNACK: { pos: 'noun', definition: 'a special way of doing something', example: 'he had a bent for it' },
+  KNEAD: { pos: 'verb', definition: 'make uniform', example: 'knead dough' },
+  KNEEL: { pos: 'verb', definition: 'rest one\'s weight on one\'s knees', example: 'In church you have to kneel during parts of the service' },
+  KNELT: { pos: 'verb', definition: 'rest one\'s weight on one\'s knees', example: 'In church you have to kneel during parts of the service', base: 'KNEEL' },
+  KNIFE: { pos: 'noun', definition: 'edge tool used as a cutting instrument' },
+  KNITS: { pos: 'verb', definition: 'make (textiles) by knitting', example: 'knit a scarf', base: 'KNIT' },
+  KNOBS: { pos: 'noun', definition: 'a circular rounded projection or protuberance', base: 'KNOB' },
+  KNOCK: { pos: 'verb', definition: 'deliver a sharp blow or push', example: 'He knocked the glass clear across the room' },
+  KNOLL: { pos: 'noun', definition: 'a small natural hill' },
+  KNOTS: { pos: 'noun', definition: 'a tight cluster of people or things', example: 'a small knot of women listened to his sermon', base: 'KNOT' },
+  KNOWN: { pos: 'adjective', definition: 'apprehended with certainty', example: 'a known quantity' },
+  KNOWS: { pos: 'verb', definition: 'be cognizant or aware of a fact or a specific piece of information', example: 'I know that the President lied to the people', base: 'KNOW' },
+  KOALA: { pos: 'noun', definition: 'sluggish tailless Australian arboreal marsupial with grey furry ears and coat' },
+  KRAUT: { pos: 'noun', definition: 'offensive term for a person of German descent' },
+  KYOTO: { pos: 'noun', definition: 'a city in central Japan on southern Honshu' },
+  LABEL: { pos: 'noun', definition: 'a brief description given for purposes of identification', example: 'the label modern is applied to many different kinds of architecture' },
+  LABOR: { pos: 'noun', definition: 'American spelling of labour; work, especially hard physical work' },
+  LACED: { pos: 'adjective', definition: 'closed with a lace', example: 'snugly laced shoes' },
+  LACES: { pos: 'verb', definition: 'spin, wind, or twist together', example: 'intertwine the ribbons', base: 'LACE' },
+  LACKS: { pos: 'noun', definition: 'the state of needing something that is absent or unavailable', example: 'there is a serious lack of insight into the problem', base: 'LACK' },
+  LADED: { pos: 'verb', definition: 'remove with or as if with a ladle', example: 'ladle the water out of the bowl', base: 'LADE' },
+  LADEN: { pos: 'adjective', definition: 'filled with a great quantity', example: 'a tray loaded with dishes' },
+  LADLE: { pos: 'noun', definition: 'a spoon-shaped vessel with a long handle' },
+  LAGER: { pos: 'noun', definition: 'a camp defended by a circular formation of wagons' },
+  LAKES: { pos: 'noun', definition: 'a body of (usually fresh) water surrounded by land', base: 'LAKE' },
+  LAMBS: { pos: 'noun', definition: 'young sheep', base: 'LAMB' },
+  LAMED: { pos: 'verb', definition: 'flee', example: 'If you see this man, run!', base: 'LAM' },
+  LAMPS: { pos: 'noun', definition: 'an artificial source of visible illumination', base: 'LAMP' },
+  LANCE: { pos: 'noun', definition: 'a long pointed rod used as a tool or weapon' },
+  LANDS: { pos: 'noun', definition: 'the land on which real estate is located', example: 'he built the house on land leased from the city', base: 'LAND' },
+  LANES: { pos: 'noun', definition: 'a narrow way or road', base: 'LANE' },
+  LAPEL: { pos: 'noun', definition: 'lap at the front of a coat' },
+  LAPSE: { pos: 'verb', definition: 'pass into a specified state or condition', example: 'He sank into nirvana' },
+  LARGE: { pos: 'adjective', definition: 'above average in size or number or quantity or magnitude or extent', example: 'a large city' },
+  LARKS: { pos: 'noun', definition: 'North American songbirds having a yellow breast', base: 'LARK' },
+  LARVA: { pos: 'noun', definition: 'the immature free-living form of most invertebrates and amphibians and fish which at hatching from the egg is fundamentally unlike its parent and must metamorphose' },
+  LASER: { pos: 'noun', definition: 'an acronym for light amplification by stimulated emission of radiation' },
+  LASSO: { pos: 'noun', definition: 'Belgian composer (1532-1594)' },
+  LASTS: { pos: 'noun', definition: 'the temporal end', example: 'the stopping point of each round was signaled by a bell', base: 'LAST' },
+  LATCH: { pos: 'verb', definition: 'fasten with a latch', example: 'latch the door' },
+  LATER: { pos: 'adjective', definition: 'being or occurring at an advanced period of time or after a usual or expected time', example: 'late evening', base: 'LATE' },
+  LATEX: { pos: 'noun', definition: 'a milky exudate from certain plants that coagulates on exposure to air' },
+  LATHE: { pos: 'noun', definition: 'machine tool for shaping metal or wood' },
+  LATIN: { pos: 'noun', definition: 'any dialect of the language of ancient Rome' },
+  LATTE: { pos: 'noun', definition: 'strong espresso coffee with a topping of frothed steamed milk' },
+  LAUGH: { pos: 'noun', definition: 'a facial expression characteristic of a person laughing', example: 'his face wrinkled in a silent laugh of derision' },
+  LAVAS: { pos: 'noun', definition: 'rock that in its molten form (as magma) issues from volcanos', base: 'LAVA' },
+  LAWNS: { pos: 'noun', definition: 'a field of cultivated and mowed grass', base: 'LAWN' },
+  LAXER: { pos: 'adjective', definition: 'lacking in rigour or strictness', example: 'such lax and slipshod ways are no longer acceptable', base: 'LAX' },
+  LAYER: { pos: 'noun', definition: 'single thickness of usually some homogeneous substance', example: 'slices of hard-boiled egg on a bed of spinach' },
+  LEADS: { pos: 'verb', definition: 'take somebody somewhere', example: 'We lead him to our chief', base: 'LEAD' },
+  LEAFY: { pos: 'adjective', definition: 'having or covered with leaves', example: 'leafy trees' },
+  LEAKS: { pos: 'noun', definition: 'an accidental hole that allows something (fluid or light etc.) to enter or escape', example: 'one of the tires developed a leak', base: 'LEAK' },
+  LEAKY: { pos: 'adjective', definition: 'permitting the unwanted passage of fluids or gases', example: 'a leaky roof' },
+  LEANS: { pos: 'verb', definition: 'to incline or bend from a vertical position', example: 'She leaned over the banister', base: 'LEAN' },
+  LEANT: { pos: 'verb', definition: 'to incline or bend from a vertical position', example: 'She leaned over the banister', base: 'LEAN' },
+  LEAPS: { pos: 'noun', definition: 'an abrupt transition', example: 'a successful leap from college to the major leagues', base: 'LEAP' },
+  LEARN: { pos: 'verb', definition: 'gain knowledge or skills', example: 'She learned dancing from her sister' },
+  LEASE: { pos: 'noun', definition: 'property that is leased or rented out or let' },
+  LEASH: { pos: 'noun', definition: 'restraint consisting of a rope (or light chain) used to restrain an animal' },
+  LEAST: { pos: 'adjective', definition: 'the superlative of `little\' that can be used with mass nouns and is usually preceded by `the\'', example: 'didn\'t care the least bit' },
+  LEAVE: { pos: 'verb', definition: 'go away from a place', example: 'At what time does your train leave?' },
+  LEDGE: { pos: 'noun', definition: 'a projecting ridge on a mountain or submerged under water' },
+  LEEKS: { pos: 'noun', definition: 'plant having a large slender white bulb and flat overlapping dark green leaves', base: 'LEEK' },
+  LEERS: { pos: 'verb', definition: 'look suggestively or obliquely', example: 'The men leered at the young women on the beach', base: 'LEER' },
+  LEFTY: { pos: 'noun', definition: 'a person who uses the left hand with greater skill than the right', example: 'their pitcher was a southpaw' },
+  LEGAL: { pos: 'adjective', definition: 'of or relating to jurisprudence', example: 'legal loophole' },
+  LEMON: { pos: 'noun', definition: 'yellow oval fruit with juicy acidic flesh' },
+  LENDS: { pos: 'verb', definition: 'bestow a quality on', example: 'Her presence lends a certain cachet to the company', base: 'LEND' },
+  LEPER: { pos: 'noun', definition: 'a person afflicted with leprosy' },
+  LEVEE: { pos: 'noun', definition: 'a formal reception of visitors or guests (as at a royal court)' },
+  LEVEL: { pos: 'noun', definition: 'a position on a scale of intensity or amount or quality', example: 'a moderate grade of intelligence' },
+  LEVER: { pos: 'noun', definition: 'a rigid bar pivoted about a fulcrum' },
+  LEVIS: { pos: 'noun', definition: 'a popular brand of jeans' },
+  LEWIS: { pos: 'noun', definition: 'United States rock star singer and pianist (born in 1935)' },
+  LIBEL: { pos: 'noun', definition: 'a false and malicious publication printed for the purpose of defaming a living person' },
+  LICKS: { pos: 'verb', definition: 'beat thoroughly and conclusively in a competition or fight', example: 'We licked the other team on Sunday!', base: 'LICK' },
+  LIFTS: { pos: 'verb', definition: 'raise from a lower to a higher position', example: 'Raise your hands', base: 'LIFT' },
+  LIGHT: { pos: 'noun', definition: '(physics) electromagnetic radiation that can produce a visual sensation', example: 'the light was filtered through a soft glass window' },
+  LIKED: { pos: 'verb', definition: 'prefer or wish to do something', example: 'Do you care to try this dish?', base: 'LIKE' },
+  LIKES: { pos: 'verb', definition: 'prefer or wish to do something', example: 'Do you care to try this dish?', base: 'LIKE' },
+  LIMPS: { pos: 'verb', definition: 'walk impeded by some physical limitation or injury', example: 'The old woman hobbles down to the store every day', base: 'LIMP' },
+  LINED: { pos: 'adjective', definition: 'bordered by a line of things', example: 'tree lined streets' },
+  LINEN: { pos: 'noun', definition: 'a fabric woven with fibres from the flax plant' },
+  LINER: { pos: 'noun', definition: '(baseball) a hit that flies straight out from the batter', example: 'the batter hit a liner to the shortstop' },
+  LINES: { pos: 'noun', definition: 'a formation of people or things one beside another', example: 'the line of soldiers advanced with their bayonets fixed', base: 'LINE' },
+  LINGO: { pos: 'noun', definition: 'a characteristic language of a particular group (as among thieves)', example: 'they don\'t speak our lingo' },
+  LINKS: { pos: 'verb', definition: 'make a logical or causal connection', example: 'I cannot connect these two pieces of evidence in my mind', base: 'LINK' },
+  LIONS: { pos: 'noun', definition: 'large gregarious predatory feline of Africa and India having a tawny coat with a shaggy mane in the male', base: 'LION' },
+  LIPID: { pos: 'noun', definition: 'an oily organic compound insoluble in water but soluble in organic solvents' },
+  LISTS: { pos: 'noun', definition: 'the property possessed by a line or surface that departs from the vertical', example: 'the tower had a pronounced tilt', base: 'LIST' },
+  LITER: { pos: 'noun', definition: 'American spelling of litre; a metric unit of volume equal to 1,000 cubic centimetres' },
+  LITHE: { pos: 'adjective', definition: 'gracefully thin and bending and moving with ease' },
+  LIVED: { pos: 'verb', definition: 'be an inhabitant of or reside in', example: 'People lived in Africa millions of years ago', base: 'LIVE' },
+  LIVEN: { pos: 'verb', definition: 'make lively', example: 'let\'s liven up this room a bit' },
+  LIVER: { pos: 'noun', definition: 'large and complicated reddish-brown glandular organ located in the upper right portion of the abdominal cavity' },
+  LIVES: { pos: 'verb', definition: 'be an inhabitant of or reside in', example: 'People lived in Africa millions of years ago', base: 'LIVE' },
+  LLAMA: { pos: 'noun', definition: 'wild or domesticated South American cud-chewing animal related to camels but smaller and lacking a hump' },
+  LOADS: { pos: 'noun', definition: 'a quantity that can be processed or transported at one time', example: 'the system broke down under excessive loads', base: 'LOAD' },
+  LOAFS: { pos: 'noun', definition: 'a quantity of food (other than bread) formed in a particular shape', example: 'meat loaf', base: 'LOAF' },
+  LOANS: { pos: 'noun', definition: 'the temporary provision of money (usually at interest)', base: 'LOAN' },
+  LOBBY: { pos: 'noun', definition: 'a large entrance or reception room or area' },
+  LOBES: { pos: 'noun', definition: '(anatomy) a somewhat rounded subdivision of a bodily organ or part', example: 'ear lobe', base: 'LOBE' },
+  LOCAL: { pos: 'adjective', definition: 'relating to or applicable to or concerned with the administration of a city or town or district rather than a larger area', example: 'local taxes' },
+  LOCKS: { pos: 'verb', definition: 'fasten with a lock', example: 'lock the bike to the fence', base: 'LOCK' },
+  LODGE: { pos: 'verb', definition: 'be a lodger', example: 'Where are you lodging in Paris?' },
+  LOFTS: { pos: 'noun', definition: 'floor consisting of a large unpartitioned space over a factory or warehouse or other commercial space', base: 'LOFT' },
+  LOFTY: { pos: 'adjective', definition: 'of high moral or intellectual value', example: 'an exalted ideal' },
+  LOGIC: { pos: 'noun', definition: 'reasoned and reasonable judgment', example: 'it made a certain kind of logic' },
+  LOGOS: { pos: 'noun', definition: 'the divine word of God' },
+  LOINS: { pos: 'noun', definition: 'the lower part of the abdomen just above the external genital organs' },
+  LOLLY: { pos: 'noun', definition: 'ice cream or water ice on a small wooden stick', example: 'in England a popsicle is called an ice lolly' },
+  LONER: { pos: 'adjective', definition: 'lacking companions or companionship', example: 'he was alone when we met him', base: 'LONE' },
+  LONGS: { pos: 'verb', definition: 'desire strongly or persistently', base: 'LONG' },
+  LOOKS: { pos: 'verb', definition: 'perceive with attention', example: 'She looked over the expanse of land', base: 'LOOK' },
+  LOOMS: { pos: 'verb', definition: 'come into view indistinctly, often threateningly', example: 'Another air plane loomed into the sky', base: 'LOOM' },
+  LOOPS: { pos: 'verb', definition: 'move in loops', example: 'The bicycle looped around the tree', base: 'LOOP' },
+  LOOPY: { pos: 'adjective', definition: 'informal or slang terms for mentally irregular', example: 'it used to drive my husband balmy' },
+  LOOSE: { pos: 'adjective', definition: 'not compact or dense in structure or arrangement', example: 'loose gravel' },
+  LOOTS: { pos: 'noun', definition: 'goods or money obtained illegally', base: 'LOOT' },
+  LORDS: { pos: 'noun', definition: 'terms referring to the Judeo-Christian God', base: 'LORD' },
+  LORES: { pos: 'noun', definition: 'knowledge gained through tradition or anecdote', example: 'early peoples passed on plant and animal lore through legend', base: 'LORE' },
+  LOSER: { pos: 'noun', definition: 'a contestant who loses the contest' },
+  LOSES: { pos: 'verb', definition: 'fail to keep or to maintain', example: 'She lost her purse when she left it unattended on her seat', base: 'LOSE' },
+  LOTUS: { pos: 'noun', definition: 'native to eastern Asia' },
+  LOUPE: { pos: 'noun', definition: 'small magnifying glass (usually set in an eyepiece) used by jewelers and horologists' },
+  LOUSE: { pos: 'noun', definition: 'wingless usually flattened bloodsucking insect parasitic on warm-blooded animals' },
+  LOUSY: { pos: 'adjective', definition: 'very bad', example: 'a lousy play' },
+  LOVED: { pos: 'verb', definition: 'have a great affection or liking for', example: 'I love French food', base: 'LOVE' },
+  LOVER: { pos: 'noun', definition: 'a person who loves someone or is loved by someone' },
+  LOVES: { pos: 'noun', definition: 'a strong positive emotion of regard and affection', example: 'his love for his work', base: 'LOVE' },
+  LOWER: { pos: 'adjective', definition: 'less than normal in degree or intensity or amount', example: 'low prices', base: 'LOW' },
+  LOWLY: { pos: 'adjective', definition: 'low or inferior in station or quality', example: 'a humble cottage' },
+  LOYAL: { pos: 'adjective', definition: 'steadfast in allegiance or duty', example: 'loyal subjects' },
+  LUBED: { pos: 'verb', definition: 'apply a lubricant to', example: 'lubricate my car', base: 'LUBE' },
+  LUBES: { pos: 'noun', definition: 'a substance capable of reducing friction by making surfaces smooth or slippery', base: 'LUBE' },
+  LUCID: { pos: 'adjective', definition: '(of language) transparently clear', example: 'writes in a limpid style' },
+  LUCKS: { pos: 'noun', definition: 'your overall circumstances or condition in life (including everything that happens to you)', example: 'whatever my fortune may be', base: 'LUCK' },
+  LUCKY: { pos: 'adjective', definition: 'occurring by chance', example: 'a lucky escape' },
+  LUMEN: { pos: 'noun', definition: 'a cavity or passage in a tubular organ', example: 'the lumen of the intestine' },
+  LUMPS: { pos: 'noun', definition: 'a compact mass', example: 'a ball of mud caught him on the shoulder', base: 'LUMP' },
+  LUMPY: { pos: 'adjective', definition: 'like or containing small sticky lumps', example: 'the dumplings were chunky pieces of uncooked dough' },
+  LUNAR: { pos: 'adjective', definition: 'of or relating to or associated with the moon', example: 'lunar surface' },
+  LUNCH: { pos: 'noun', definition: 'a midday meal' },
+  LURED: { pos: 'verb', definition: 'provoke someone to do something through (often false or exaggerated) promises or persuasion', example: 'He lured me into temptation', base: 'LURE' },
+  LURES: { pos: 'noun', definition: 'qualities that attract by seeming to promise some kind of reward', base: 'LURE' },
+  LURKS: { pos: 'verb', definition: 'be about', example: 'The high school students like to loiter in the Central Square', base: 'LURK' },
+  LUSTY: { pos: 'adjective', definition: 'endowed with or exhibiting great bodily or mental health', example: 'a hearty glow of health' },
+  LUTES: { pos: 'noun', definition: 'a substance for packing a joint or coating a porous surface to make it impervious to gas or liquid', base: 'LUTE' },
+  LYING: { pos: 'noun', definition: 'the deliberate act of deviating from the truth' },
+  LYMPH: { pos: 'noun', definition: 'a thin coagulable fluid (similar to plasma but) containing white blood cells (lymphocytes) and chyle' },
+  LYNCH: { pos: 'verb', definition: 'kill without legal sanction', example: 'The blood-thirsty mob lynched the alleged killer of the child' },
+  LYRIC: { pos: 'adjective', definition: 'expressing deep emotion', example: 'the dancer\'s lyrical performance' },
+  MACHO: { pos: 'noun', definition: 'a male exhibiting or characterized by machismo' },
+  MACRO: { pos: 'noun', definition: 'a single computer instruction that results in a series of instructions in machine language' },
+  MADLY: { pos: 'adverb', definition: 'in an uncontrolled manner', example: 'she fought back madly' },
+  MAFIA: { pos: 'noun', definition: 'a crime syndicate in the United States' },
+  MAGIC: { pos: 'noun', definition: 'any art that invokes supernatural powers' },
+  MAGNA: { pos: 'adjective', definition: 'great (Latin), as in magna cum laude', example: 'she graduated magna cum laude' },
+  MAIDS: { pos: 'noun', definition: 'a female domestic', base: 'MAID' },
+  MAILS: { pos: 'noun', definition: 'the system whereby messages are transmitted via the post office', example: 'the mail handles billions of items every day', base: 'MAIL' },
+  MAIMS: { pos: 'verb', definition: 'injure or wound seriously and leave permanent disfiguration or mutilation', example: 'people were maimed by the explosion', base: 'MAIM' },
+  MAJOR: { pos: 'adjective', definition: 'of greater importance or stature or rank', example: 'a major artist' },
+  MAKER: { pos: 'noun', definition: 'a person who makes things' },
+  MAKES: { pos: 'verb', definition: 'engage in', example: 'make love, not war', base: 'MAKE' },
+  MALES: { pos: 'noun', definition: 'an animal that produces gametes (spermatozoa) that can fertilize female gametes (ova)', base: 'MALE' },
+  MALLS: { pos: 'noun', definition: 'mercantile establishment consisting of a carefully landscaped complex of shops representing leading merchandisers', example: 'a good plaza should have a movie house', base: 'MALL' },
+  MALTS: { pos: 'noun', definition: 'a milkshake made with malt powder', base: 'MALT' },
+  MALTY: { pos: 'adjective', definition: 'tasting or smelling of malt', example: 'a rich, malty ale' },
+  MAMAS: { pos: 'noun', definition: 'informal terms for a mother', base: 'MAMA' },
+  MAMBO: { pos: 'noun', definition: 'a Latin American dance similar in rhythm to the rumba' },
+  MANGO: { pos: 'noun', definition: 'large evergreen tropical tree cultivated for its large oval fruit' },
+  MANGY: { pos: 'adjective', definition: 'having many worn or threadbare spots in the nap', example: 'a mangy carpet' },
+  MANIA: { pos: 'noun', definition: 'an irrational but irresistible motive for a belief or action' },
+  MANIC: { pos: 'adjective', definition: 'affected with or marked by frenzy or mania uncontrolled by reason', example: 'a frenzied attack' },
+  MANLY: { pos: 'adjective', definition: 'characteristic of a man', example: 'a deep male voice' },
+  MANOR: { pos: 'noun', definition: 'the mansion of a lord or wealthy person' },
+  MAPLE: { pos: 'noun', definition: 'wood of any of various maple trees' },
+  MARCH: { pos: 'verb', definition: 'march in a procession', example: 'They processed into the dining room' },
+  MARES: { pos: 'noun', definition: 'female equine animal', base: 'MARE' },
+  MARIE: { pos: 'noun', definition: 'a plain, round sweet biscuit', example: 'a cup of tea and a Marie biscuit' },
+  MARKS: { pos: 'verb', definition: 'attach a tag or label to', example: 'label these bottles', base: 'MARK' },
+  MARRY: { pos: 'verb', definition: 'perform a marriage ceremony', example: 'The minister married us on Saturday' },
+  MARSH: { pos: 'noun', definition: 'low-lying wet land with grassy vegetation', example: 'thousands of acres of marshland' },
+  MASKS: { pos: 'noun', definition: 'activity that tries to conceal something', example: 'no mask could conceal his ignorance', base: 'MASK' },
+  MASON: { pos: 'noun', definition: 'American Revolutionary leader from Virginia whose objections led to the drafting of the Bill of Rights (1725-1792)' },
+  MATCH: { pos: 'verb', definition: 'be compatible, similar or consistent', example: 'The two stories don\'t agree in many details' },
+  MATED: { pos: 'verb', definition: 'engage in sexual intercourse', example: 'Birds mate in the Spring', base: 'MATE' },
+  MATES: { pos: 'noun', definition: 'a fellow member of a team', example: 'it was his first start against his former teammates', base: 'MATE' },
+  MATHS: { pos: 'noun', definition: 'a science (or group of related sciences) dealing with the logic of quantity and shape and arrangement', base: 'MATH' },
+  MATIN: { pos: 'adjective', definition: 'of or relating to the morning or to matins', example: 'the matin song of the birds' },
+  MATTE: { pos: 'noun', definition: 'a mixture of sulfides that forms when sulfide metal ores are smelted' },
+  MAULS: { pos: 'noun', definition: 'a heavy long-handled hammer used to drive stakes or wedges', base: 'MAUL' },
+  MAXED: { pos: 'verb', definition: 'reached or pushed to the limit', example: 'my credit card is maxed out', base: 'MAX' },
+  MAXES: { pos: 'noun', definition: 'street names for gamma hydroxybutyrate', base: 'MAX' },
+  MAYBE: { pos: 'adverb', definition: 'by chance', example: 'perhaps she will call tomorrow' },
+  MAYOR: { pos: 'noun', definition: 'the head of a city government' },
+  MEADS: { pos: 'noun', definition: 'United States anthropologist noted for her claims about adolescence and sexual behaviour in Polynesian cultures (1901-1978)', base: 'MEAD' },
+  MEALS: { pos: 'noun', definition: 'the food served and eaten at one time', base: 'MEAL' },
+  MEANS: { pos: 'verb', definition: 'mean or intend to express or convey', example: 'You never understand what I mean!', base: 'MEAN' },
+  MEANT: { pos: 'verb', definition: 'mean or intend to express or convey', example: 'You never understand what I mean!', base: 'MEAN' },
+  MEATS: { pos: 'noun', definition: 'the inner and usually edible part of a seed or grain or nut or fruit stone', example: 'black walnut kernels are difficult to get out of the shell', base: 'MEAT' },
+  MEATY: { pos: 'adjective', definition: 'like or containing meat', example: 'enough of vegetarianism; let\'s have a meaty meal' },
+  MECCA: { pos: 'noun', definition: 'a place that attracts many visitors', example: 'New York is a mecca for young artists' },
+  MEDAL: { pos: 'noun', definition: 'an award for winning a championship or commemorating some other event' },
+  MEDIA: { pos: 'noun', definition: 'newspapers, television, radio and the internet considered together', example: 'the story was all over the media' },
+  MEDIC: { pos: 'noun', definition: 'any of several Old World herbs of the genus Medicago having small flowers and trifoliate compound leaves' },
+  MEETS: { pos: 'verb', definition: 'come together', example: 'I\'ll probably see you at the meeting', base: 'MEET' },
+  MELON: { pos: 'noun', definition: 'any of numerous fruits of the gourd family having a hard rind and sweet juicy flesh' },
+  MELTS: { pos: 'verb', definition: 'reduce or cause to be reduced from a solid to a liquid state, usually by heating', example: 'melt butter', base: 'MELT' },
+  MEMOS: { pos: 'noun', definition: 'a written proposal or reminder', base: 'MEMO' },
+  MENDS: { pos: 'verb', definition: 'restore by replacing a part or putting together what is torn or broken', example: 'She repaired her TV set', base: 'MEND' },
+  MENUS: { pos: 'noun', definition: 'a list of dishes available at a restaurant', example: 'the menu was in French', base: 'MENU' },
+  MEOWS: { pos: 'noun', definition: 'the sound made by a cat (or any sound resembling this)', base: 'MEOW' },
+  MERCY: { pos: 'noun', definition: 'leniency and compassion shown towards offenders by a person or agency charged with administering justice', example: 'he threw himself on the mercy of the court' },
+  MERGE: { pos: 'verb', definition: 'become one', example: 'Germany unified officially in 1990' },
+  MERIT: { pos: 'noun', definition: 'any admirable quality or attribute', example: 'work of great merit' },
+  MERRY: { pos: 'adjective', definition: 'full of or showing high-spirited merriment', example: 'when hearts were young and gay' },
+  MESHY: { pos: 'adjective', definition: 'made of or like mesh', example: 'a meshy summer top' },
+  MESSY: { pos: 'adjective', definition: 'dirty and disorderly', example: 'a mussy fussy bedroom' },
+  METAL: { pos: 'noun', definition: 'a mixture containing two or more metallic elements or metallic and nonmetallic elements usually fused together or dissolving into each other when molten', example: 'brass is an alloy of zinc and copper' },
+  METER: { pos: 'noun', definition: 'the basic unit of length adopted under the Systeme International d\'Unites (approximately 1.094 yards)' },
+  METRO: { pos: 'noun', definition: 'an electric railway operating below the surface of the ground (usually in a city)' },
+  MEWED: { pos: 'verb', definition: 'cry like a cat', example: 'the cat meowed', base: 'MEW' },
+  MICRO: { pos: 'adjective', definition: 'extremely small in scale or scope or capability' },
+  MIDST: { pos: 'noun', definition: 'the location of something surrounded by other things', example: 'in the midst of the crowd' },
+  MIENS: { pos: 'noun', definition: 'dignified manner or conduct', base: 'MIEN' },
+  MIGHT: { pos: 'noun', definition: 'physical strength' },
+  MILKS: { pos: 'noun', definition: 'a white nutritious liquid secreted by mammals and used as food by human beings', base: 'MILK' },
+  MILKY: { pos: 'adjective', definition: 'resembling milk in colour', example: 'milky glass' },
+  MILLS: { pos: 'verb', definition: 'grind with a mill', example: 'mill grain', base: 'MILL' },
+  MIMED: { pos: 'verb', definition: 'imitate (a person or manner), especially for satirical effect', example: 'The actor mimicked the President very accurately', base: 'MIME' },
+  MIMES: { pos: 'noun', definition: 'an actor who communicates entirely by gesture and facial expression', base: 'MIME' },
+  MIMIC: { pos: 'noun', definition: 'someone who mimics (especially an actor or actress)' },
+  MINCE: { pos: 'verb', definition: 'make less severe or harsh', example: 'He moderated his tone when the students burst out in tears' },
+  MINCY: { pos: 'adjective', definition: 'walking or behaving in an affectedly dainty way', example: 'a mincy little walk' },
+  MINDS: { pos: 'noun', definition: 'that which is responsible for one\'s thoughts, feelings, and conscious brain functions', example: 'his mind wandered', base: 'MIND' },
+  MINED: { pos: 'verb', definition: 'get from the earth by excavation', example: 'mine ores and metals', base: 'MINE' },
+  MINER: { pos: 'noun', definition: 'laborer who works in a mine' },
+  MINES: { pos: 'noun', definition: 'excavation in the earth from which ores and minerals are extracted', base: 'MINE' },
+  MINTY: { pos: 'adjective', definition: 'relating to or suggestive of mint' },
+  MINUS: { pos: 'noun', definition: 'an arithmetic operation in which the difference between two numbers is calculated', example: 'the subtraction of three from four leaves one' },
+  MIRED: { pos: 'adjective', definition: 'entangled or hindered as if e.g. in mire', example: 'the difficulties in which the question is involved' },
+  MIRES: { pos: 'noun', definition: 'deep soft mud in water or slush', example: 'they waded through the slop', base: 'MIRE' },
+  MIRTH: { pos: 'noun', definition: 'great merriment' },
+  MISTY: { pos: 'adjective', definition: 'filled or abounding with fog or mist', example: 'a brumous October morning' },
+  MITER: { pos: 'noun', definition: 'American spelling of mitre; a tall pointed hat worn by bishops, or a joint between two angled pieces of wood' },
+  MITTS: { pos: 'noun', definition: 'the (prehensile) extremity of the superior limb', example: 'he had the hands of a surgeon', base: 'MITT' },
+  MIXED: { pos: 'verb', definition: 'mix together different elements', example: 'The colours blend well', base: 'MIX' },
+  MIXER: { pos: 'noun', definition: 'a party of people assembled to promote sociability and communal activity' },
+  MIXES: { pos: 'verb', definition: 'mix together different elements', example: 'The colours blend well', base: 'MIX' },
+  MOATS: { pos: 'noun', definition: 'ditch dug as a fortification and usually filled with water', base: 'MOAT' },
+  MOCHA: { pos: 'noun', definition: 'soft suede glove leather from goatskin' },
+  MODAL: { pos: 'adjective', definition: 'relating to or constituting the most frequent value in a distribution', example: 'the modal age at which American novelists reach their peak is 30' },
+  MODEL: { pos: 'noun', definition: 'a hypothetical description of a complex entity or process', example: 'the computer program was based on a model of the circulatory and respiratory systems' },
+  MODEM: { pos: 'noun', definition: '(from a combination of MOdulate and DEModulate) electronic equipment consisting of a device used to connect computers by a telephone line' },
+  MODES: { pos: 'noun', definition: 'how something is done or how it happens', example: 'her dignified manner', base: 'MODE' },
+  MOGUL: { pos: 'noun', definition: 'a bump on a ski slope' },
+  MOIST: { pos: 'adjective', definition: 'slightly wet', example: 'clothes damp with perspiration' },
+  MOLAR: { pos: 'noun', definition: 'grinding tooth with a broad crown' },
+  MOLDS: { pos: 'noun', definition: 'American spelling of moulds; hollow containers used to give shape to molten or soft material' },
+  MOLDY: { pos: 'adjective', definition: 'American spelling of mouldy; covered with a furry growth of fungus' },
+  MOLES: { pos: 'noun', definition: 'the molecular weight of a substance expressed in grams', base: 'MOLE' },
+  MOLTS: { pos: 'verb', definition: 'American spelling of moults; sheds old feathers, hair or skin to make way for new growth' },
+  MOMMY: { pos: 'noun', definition: 'informal terms for a mother' },
+  MONDO: { pos: 'adverb', definition: 'very; extremely (informal slang)', example: 'that film was mondo weird' },
+  MONEY: { pos: 'noun', definition: 'the most common medium of exchange', example: 'we tried to collect the money he owed us' },
+  MONGO: { pos: 'noun', definition: '100 mongo equal 1 tugrik in Mongolia' },
+  MONKS: { pos: 'noun', definition: 'a male religious living in a cloister and devoting himself to contemplation and prayer and work', base: 'MONK' },
+  MONTH: { pos: 'noun', definition: 'one of the twelve divisions of the calendar year', example: 'he paid the bill last month' },
+  MOODS: { pos: 'noun', definition: 'a characteristic (habitual or relatively temporary) state of feeling', example: 'whether he praised or cursed me depended on his temper at the time', base: 'MOOD' },
+  MOODY: { pos: 'noun', definition: 'United States tennis player who dominated women\'s tennis in the 1920s and 1930s (1905-1998)' },
+  MOONS: { pos: 'noun', definition: 'the natural satellite of the Earth', example: 'the average distance to the Moon is 384,400 kilometers', base: 'MOON' },
+  MOORS: { pos: 'noun', definition: 'one of the Muslim people of north Africa', base: 'MOOR' },
+  MOOSE: { pos: 'noun', definition: 'large northern deer with enormous flattened antlers in the male' },
+  MOPED: { pos: 'verb', definition: 'to wash or wipe with or as if with a mop', example: 'Mop the hallway now', base: 'MOP' },
+  MOPES: { pos: 'verb', definition: 'to wash or wipe with or as if with a mop', example: 'Mop the hallway now', base: 'MOP' },
+  MOPEY: { pos: 'adjective', definition: 'low in spirits and listless', example: 'he has been mopey all week' },
+  MORAL: { pos: 'noun', definition: 'the significance of a story or event', example: 'the moral of the story is to love thy neighbour' },
+  MORES: { pos: 'noun', definition: '(sociology) the conventions that embody the fundamental values of a group' },
+  MORNS: { pos: 'noun', definition: 'the time period between dawn and noon', example: 'I spent the morning running errands', base: 'MORN' },
+  MORON: { pos: 'noun', definition: 'a person of subnormal intelligence' },
+  MORSE: { pos: 'noun', definition: 'a telegraph code in which letters and numbers are represented by strings of dots and dashes (short and long signals)' },
+  MOSSY: { pos: 'adjective', definition: '(used pejoratively) out of fashion', example: 'moss-grown ideas about family life' },
+  MOTEL: { pos: 'noun', definition: 'a motor hotel' },
+  MOTHS: { pos: 'noun', definition: 'typically crepuscular or nocturnal insect having a stout body and feathery or hairlike antennae', base: 'MOTH' },
+  MOTIF: { pos: 'noun', definition: 'a design or figure that consists of recurring shapes or colours, as in architecture or decoration' },
+  MOTOR: { pos: 'noun', definition: 'a nonspecific agent that imparts motion', example: 'happiness is the aim of all men and the motor of all action' },
+  MOTTO: { pos: 'noun', definition: 'a favorite saying of a sect or political group' },
+  MOULD: { pos: 'verb', definition: 'form in clay, wax, etc', example: 'model a head with clay' },
+  MOUND: { pos: 'noun', definition: '(baseball) the slight elevation on which the pitcher stands' },
+  MOUNT: { pos: 'verb', definition: 'attach to a support', example: 'They mounted the aerator on a floating' },
+  MOURN: { pos: 'verb', definition: 'feel sadness', example: 'She is mourning her dead child' },
+  MOUSE: { pos: 'noun', definition: 'any of numerous small rodents typically resembling diminutive rats having pointed snouts and small ears on elongated bodies with slender usually hairless tails' },
+  MOUSY: { pos: 'adjective', definition: 'quiet and timid and ineffectual' },
+  MOUTH: { pos: 'noun', definition: 'the opening through which food is taken in and vocalizations emerge', example: 'he stuffed his mouth with candy' },
+  MOVED: { pos: 'verb', definition: 'change location', example: 'How fast does your new car go?', base: 'MOVE' },
+  MOVER: { pos: 'noun', definition: 'workman employed by a moving company', example: 'the movers were very careful with the grand piano' },
+  MOVES: { pos: 'verb', definition: 'change location', example: 'How fast does your new car go?', base: 'MOVE' },
+  MOVIE: { pos: 'noun', definition: 'a form of entertainment that enacts a story by sound and a sequence of images giving the illusion of continuous movement', example: 'they went to a movie every Saturday night' },
+  MOWED: { pos: 'verb', definition: 'cut with a blade or mower', example: 'mow the grass', base: 'MOW' },
+  MOWER: { pos: 'noun', definition: 'garden tool for mowing grass on lawns' },
+  MUCKS: { pos: 'verb', definition: 'remove muck, clear away muck, as in a mine', base: 'MUCK' },
+  MUCKY: { pos: 'adjective', definition: '(of soil) soft and watery', example: 'the ground was boggy under foot' },
+  MUCUS: { pos: 'noun', definition: 'protective secretion of the mucous membranes' },
+  MUDDY: { pos: 'adjective', definition: '(of soil) soft and watery', example: 'the ground was boggy under foot' },
+  MUFFS: { pos: 'noun', definition: 'a warm tubular covering for the hands', base: 'MUFF' },
+  MUGGY: { pos: 'adjective', definition: 'hot or warm and humid', example: 'muggy weather' },
+  MULCH: { pos: 'noun', definition: 'a protective covering of rotting vegetable matter spread to reduce evaporation and soil erosion' },
+  MULES: { pos: 'noun', definition: 'hybrid offspring of a male donkey and a female horse', base: 'MULE' },
+  MUMBO: { pos: 'noun', definition: 'as in mumbo jumbo: meaningless or confusing language', example: 'all that legal mumbo jumbo' },
+  MUMMY: { pos: 'noun', definition: 'informal terms for a mother' },
+  MUMPS: { pos: 'noun', definition: 'an acute contagious viral disease characterized by fever and by swelling of the parotid glands' },
+  MUNCH: { pos: 'noun', definition: 'a large bite', example: 'he tried to talk between munches on the sandwich' },
+  MURAL: { pos: 'noun', definition: 'a painting that is applied to a wall surface' },
+  MURKY: { pos: 'adjective', definition: '(of liquids) clouded as with sediment', example: 'a cloudy liquid' },
+  MUSHY: { pos: 'adjective', definition: 'effusively or insincerely emotional', example: 'a bathetic novel' },
+  MUSIC: { pos: 'noun', definition: 'any agreeable (pleasing and harmonious) sounds', example: 'he fell asleep to the music of the wind chimes' },
+  MUSKY: { pos: 'adjective', definition: 'resembling the smell of musk' },
+  MUSTS: { pos: 'noun', definition: 'a necessary or essential thing', example: 'seat belts are an absolute must', base: 'MUST' },
+  MUSTY: { pos: 'adjective', definition: 'covered with or smelling of mould', example: 'mouldy bread' },
+  MUTED: { pos: 'adjective', definition: 'in a softened tone', example: 'hushed voices' },
+  MUTES: { pos: 'noun', definition: 'a deaf person who is unable to speak', base: 'MUTE' },
+  MUTTS: { pos: 'noun', definition: 'an inferior dog or one of mixed breed', base: 'MUTT' },
+  MUZZY: { pos: 'adjective', definition: 'indistinct or hazy in outline', example: 'a landscape of blurred outlines' },
+  MYNAS: { pos: 'noun', definition: 'tropical Asian starlings', base: 'MYNA' },
+  MYTHS: { pos: 'noun', definition: 'a traditional story accepted as history', base: 'MYTH' },
+  NABOB: { pos: 'noun', definition: 'a governor in India during the Mogul empire' },
+  NACHO: { pos: 'noun', definition: 'a tortilla chip topped with cheese and chilli-pepper and broiled' },
+  NAILS: { pos: 'verb', definition: 'attach something somewhere by means of nails', example: 'nail the board onto the wall', base: 'NAIL' },
+  NAIVE: { pos: 'adjective', definition: 'marked by or showing unaffected simplicity and lack of guile or worldly experience', example: 'a teenager\'s naive ignorance of life' },
+  NAKED: { pos: 'adjective', definition: 'completely unclothed', example: 'bare bodies' },
+  NAMED: { pos: 'verb', definition: 'assign a specified (usually proper) proper name to', example: 'They named their son David', base: 'NAME' },
+  NAMES: { pos: 'verb', definition: 'assign a specified (usually proper) proper name to', example: 'They named their son David', base: 'NAME' },
+  NANNY: { pos: 'noun', definition: 'a woman who is the custodian of children' },
+  NAPES: { pos: 'noun', definition: 'the back side of the neck', base: 'NAPE' },
+  NAPPY: { pos: 'noun', definition: 'garment consisting of a folded cloth drawn up between the legs and fastened at the waist' },
+  NARCS: { pos: 'noun', definition: 'a lawman concerned with narcotics violations', base: 'NARC' },
+  NASTY: { pos: 'adjective', definition: 'offensive or even (of persons) malicious', example: 'in a nasty mood' },
+  NATAL: { pos: 'adjective', definition: 'relating to or accompanying birth', example: 'natal injuries' },
+  NATCH: { pos: 'adverb', definition: 'naturally; of course (informal)', example: 'she got the top mark, natch' },
+  NAVAL: { pos: 'adjective', definition: 'connected with or belonging to or used in a navy', example: 'naval history' },
+  NAVEL: { pos: 'noun', definition: 'a scar where the umbilical cord was attached', example: 'you were not supposed to show your navel on television' },
+  NEARS: { pos: 'verb', definition: 'move towards', example: 'We were approaching our destination', base: 'NEAR' },
+  NEATS: { pos: 'noun', definition: 'cattle (an old word)', example: 'the neats grazed in the meadow', base: 'NEAT' },
+  NECKS: { pos: 'noun', definition: 'the part of an organism (human or animal) that connects the head to the rest of the body', example: 'he admired her long graceful neck', base: 'NECK' },
+  NEEDS: { pos: 'noun', definition: 'a condition requiring relief', example: 'she satisfied his need for affection', base: 'NEED' },
+  NEEDY: { pos: 'noun', definition: 'needy people collectively', example: 'they try to help the needy' },
+  NEIGH: { pos: 'noun', definition: 'the characteristic sounds made by a horse' },
+  NERDS: { pos: 'noun', definition: 'an insignificant student who is ridiculed as being affected or boringly studious', base: 'NERD' },
+  NERDY: { pos: 'adjective', definition: 'very interested in a subject in a way others find unfashionable', example: 'a nerdy love of spreadsheets' },
+  NERVE: { pos: 'noun', definition: 'the courage to carry on', example: 'he kept fighting on pure spunk' },
+  NESTS: { pos: 'noun', definition: 'a kind of gun emplacement', example: 'a machine-gun nest', base: 'NEST' },
+  NETTS: { pos: 'verb', definition: 'catch with a net', example: 'net a fish', base: 'NETT' },
+  NEVER: { pos: 'adverb', definition: 'not ever', example: 'I have never been to China' },
+  NEWLY: { pos: 'adverb', definition: 'very recently', example: 'they are newly married' },
+  NEWSY: { pos: 'adjective', definition: 'full of news', example: 'a newsy letter' },
+  NEWTS: { pos: 'noun', definition: 'small usually bright-coloured semiaquatic salamanders of North America and Europe and northern Asia', base: 'NEWT' },
+  NEXUS: { pos: 'noun', definition: 'the means of connection between things linked in series' },
+  NICHE: { pos: 'noun', definition: 'a position particularly well suited to the person who occupies it', example: 'he found his niche in the academic world' },
+  NICKS: { pos: 'noun', definition: '(British slang) a prison', example: 'he\'s in the nick', base: 'NICK' },
+  NIECE: { pos: 'noun', definition: 'a daughter of your brother or sister' },
+  NIFTY: { pos: 'adjective', definition: 'very good', example: 'he did a bully job' },
+  NIGHT: { pos: 'noun', definition: 'the time after sunset and before sunrise while it is dark outside' },
+  NIHIL: { pos: 'noun', definition: '(Latin) nil', example: 'nihil habet' },
+  NINES: { pos: 'noun', definition: 'a team of professional baseball players who play and travel together', example: 'each club played six home games with teams in its own division', base: 'NINE' },
+  NINJA: { pos: 'noun', definition: 'a member of the ninja who were trained in martial arts and hired for espionage or sabotage or assassinations' },
+  NINTH: { pos: 'noun', definition: 'position nine in a countable series of things', example: 'going into the ninth they were a run ahead' },
+  NIPPY: { pos: 'adjective', definition: 'a sharp biting taste', example: 'a nippy cheese' },
+  NITRO: { pos: 'noun', definition: 'short for nitroglycerine or nitrous oxide', example: 'the car was fitted with nitro' },
+  NIXED: { pos: 'verb', definition: 'command against', example: 'I forbid you to call me late at night', base: 'NIX' },
+  NIXES: { pos: 'noun', definition: 'a quantity of no importance', example: 'it looked like nothing I had ever seen before', base: 'NIX' },
+  NOBLE: { pos: 'adjective', definition: 'impressive in appearance', example: 'a baronial mansion' },
+  NOBLY: { pos: 'adverb', definition: 'in a noble manner', example: 'she has behaved nobly' },
+  NODES: { pos: 'verb', definition: 'express or signify by nodding', example: 'He nodded his approval', base: 'NOD' },
+  NODUS: { pos: 'noun', definition: 'a knotty point or central difficulty', example: 'the nodus of the argument' },
+  NOISE: { pos: 'noun', definition: 'sound of any kind (especially unintelligible or dissonant sound)', example: 'he enjoyed the street noises' },
+  NOISY: { pos: 'adjective', definition: 'full of or characterized by loud and nonmusical sounds', example: 'a noisy cafeteria' },
+  NOMAD: { pos: 'noun', definition: 'a member of a people who have no permanent home but move about according to the seasons' },
+  NONES: { pos: 'noun', definition: 'the fifth of the seven canonical hours' },
+  NOOKS: { pos: 'noun', definition: 'an interior angle formed by two meeting walls', example: 'a piano was in one corner of the room', base: 'NOOK' },
+  NOONS: { pos: 'noun', definition: 'the middle of the day', base: 'NOON' },
+  NOOSE: { pos: 'noun', definition: 'a trap for birds or small mammals' },
+  NORMS: { pos: 'noun', definition: 'a standard or model or pattern regarded as typical', example: 'the current middle-class norm of two children per family', base: 'NORM' },
+  NORTH: { pos: 'noun', definition: 'the United States (especially the northern states during the American Civil War)', example: 'he has visited every state in the Union' },
+  NOSED: { pos: 'verb', definition: 'search or inquire in a meddlesome way', example: 'This guy is always nosing around the office', base: 'NOSE' },
+  NOSES: { pos: 'noun', definition: 'the organ of smell and entrance to the respiratory tract', example: 'he has a cold in the nose', base: 'NOSE' },
+  NOTCH: { pos: 'noun', definition: 'a V-shaped indentation', example: 'mandibular notch' },
+  NOTED: { pos: 'verb', definition: 'make mention of', example: 'She observed that his presentation took up too much time', base: 'NOTE' },
+  NOTES: { pos: 'noun', definition: 'a brief written record', example: 'he made a note of the appointment', base: 'NOTE' },
+  NOVEL: { pos: 'noun', definition: 'a printed and bound book that is an extended work of fiction', example: 'his bookcases were filled with nothing but novels' },
+  NUDES: { pos: 'noun', definition: 'without clothing (especially in the phrase `in the nude\')', example: 'they swam in the nude', base: 'NUDE' },
+  NUDGE: { pos: 'verb', definition: 'to push against gently', example: 'She nudged my elbow when she saw her friend enter the restaurant' },
+  NULLS: { pos: 'noun', definition: 'a quantity of no importance', example: 'it looked like nothing I had ever seen before', base: 'NULL' },
+  NUMBS: { pos: 'verb', definition: 'make numb or insensitive', example: 'The shock numbed her senses', base: 'NUMB' },
+  NURSE: { pos: 'noun', definition: 'one skilled in caring for young children or the sick (usually under the supervision of a physician)' },
+  NUTTY: { pos: 'adjective', definition: 'having the flavour of nuts', example: 'a nutty sherry' },
+  NYLON: { pos: 'noun', definition: 'a thermoplastic polyamide' },
+  NYMPH: { pos: 'noun', definition: '(classical mythology) a minor nature goddess usually depicted as a beautiful maiden', example: 'the ancient Greeks believed that nymphs inhabited forests and bodies of water' },
+  OARED: { pos: 'verb', definition: 'rowed with oars', example: 'they oared across the lake', base: 'OAR' },
+  OASES: { pos: 'noun', definition: 'an association including most countries in the western hemisphere', base: 'OAS' },
+  OASIS: { pos: 'noun', definition: 'a fertile tract in a desert (where the water table approaches the surface)' },
+  OATHS: { pos: 'noun', definition: 'profane or obscene expression usually of surprise or anger', example: 'expletives were deleted', base: 'OATH' },
+  OBESE: { pos: 'adjective', definition: 'excessively fat', example: 'a weighty man' },
+  OBEYS: { pos: 'verb', definition: 'be obedient to', base: 'OBEY' },
+  OCCUR: { pos: 'verb', definition: 'come to pass', example: 'What is happening?' },
+  OCEAN: { pos: 'noun', definition: 'a large body of water constituting a principal part of the hydrosphere' },
+  OCHRE: { pos: 'noun', definition: 'any of various earths containing silica and alumina and ferric oxide' },
+  ODDLY: { pos: 'adverb', definition: 'in a manner differing from the usual or expected', example: 'had a curiously husky voice' },
+  ODORS: { pos: 'noun', definition: 'American spelling of odours; distinctive smells, especially unpleasant ones' },
+  OFFAL: { pos: 'noun', definition: 'viscera and trimmings of a butchered animal often considered inedible by humans' },
+  OFFER: { pos: 'verb', definition: 'make available or accessible, provide or furnish', example: 'The conference centre offers a health spa' },
+  OFTEN: { pos: 'adverb', definition: 'many times at short intervals', example: 'we often met over a cup of coffee' },
+  OGLED: { pos: 'verb', definition: 'look at with amorous intentions', base: 'OGLE' },
+  OGLES: { pos: 'verb', definition: 'look at with amorous intentions', base: 'OGLE' },
+  OGRES: { pos: 'noun', definition: 'a cruel wicked and inhuman person', base: 'OGRE' },
+  OILED: { pos: 'adjective', definition: 'treated with oil', example: 'oiled country roads' },
+  OILER: { pos: 'noun', definition: 'a worker who oils engines or machinery' },
+  OINKS: { pos: 'noun', definition: 'the short low gruff noise of the kind made by hogs', base: 'OINK' },
+  OKAYS: { pos: 'noun', definition: 'an endorsement', example: 'they gave us the O.K. to go ahead', base: 'OKAY' },
+  OLDIE: { pos: 'noun', definition: 'a song that was formerly popular' },
+  OLIVE: { pos: 'adjective', definition: 'of a yellow-green colour similar to that of an unripe olive' },
+  OMEGA: { pos: 'noun', definition: 'the ending of a series or sequence', example: 'the Alpha and the Omega, the first and the last, the beginning and the end' },
+  OMENS: { pos: 'noun', definition: 'a sign of something about to happen', example: 'he looked for an omen before going into battle', base: 'OMEN' },
+  OMITS: { pos: 'verb', definition: 'prevent from being included or considered or accepted', example: 'The bad results were excluded from the report', base: 'OMIT' },
+  ONION: { pos: 'noun', definition: 'the bulb of an onion plant' },
+  ONSET: { pos: 'noun', definition: 'the beginning or early stages', example: 'the onset of pneumonia' },
+  OOHED: { pos: 'verb', definition: 'express admiration and pleasure by uttering `ooh\' or `aah\'', example: 'They oohed and aahed when they unwrapped the presents', base: 'OOH' },
+  OOMPH: { pos: 'noun', definition: 'attractiveness to the opposite sex' },
+  OOZED: { pos: 'verb', definition: 'release (a liquid) in drops or small quantities', example: 'exude sweat through the pores', base: 'OOZE' },
+  OOZES: { pos: 'noun', definition: 'any thick, viscous matter', base: 'OOZE' },
+  OPENS: { pos: 'verb', definition: 'cause to open or to become open', example: 'Mary opened the car door', base: 'OPEN' },
+  OPERA: { pos: 'noun', definition: 'a drama set to music' },
+  OPINE: { pos: 'verb', definition: 'express one\'s opinion openly and without fear or hesitation', example: 'John spoke up at the meeting' },
+  OPIUM: { pos: 'noun', definition: 'an addictive narcotic extracted from seed capsules of the opium poppy' },
+  OPTIC: { pos: 'noun', definition: 'the organ of sight' },
+  ORALS: { pos: 'noun', definition: 'an examination conducted by spoken communication', base: 'ORAL' },
+  ORBIT: { pos: 'noun', definition: 'the (usually elliptical) path described by one celestial body in its revolution about another', example: 'he plotted the orbit of the moon' },
+  ORCAS: { pos: 'noun', definition: 'predatory black-and-white toothed whale with large dorsal fin', base: 'ORCA' },
+  ORDER: { pos: 'noun', definition: '(often plural) a command given by a superior (e.g., a military or law enforcement officer) that must be obeyed', example: 'the British ships dropped anchor and waited for orders from London' },
+  ORGAN: { pos: 'noun', definition: 'a government agency or instrument devoted to the performance of some specific function', example: 'The Census Bureau is an organ of the Commerce Department' },
+  ORIEL: { pos: 'noun', definition: 'a projecting bay window corbeled or cantilevered out from a wall' },
+  OTHER: { pos: 'adjective', definition: 'not the same one or ones already mentioned or implied', example: 'today isn\'t any other day' },
+  OTTER: { pos: 'noun', definition: 'the fur of an otter' },
+  OUGHT: { pos: 'verb', definition: 'used to say what is right or sensible to do', example: 'you ought to get some sleep' },
+  OUNCE: { pos: 'noun', definition: 'a unit of apothecary weight equal to 480 grains or one twelfth of a troy pound' },
+  OUTDO: { pos: 'verb', definition: 'be or do something to a greater degree', example: 'her performance surpasses that of any other student I know' },
+  OUTER: { pos: 'adjective', definition: 'not allowed to continue to bat or run', example: 'he was tagged out at second on a close play', base: 'OUT' },
+  OVARY: { pos: 'noun', definition: 'the organ that bears the ovules of a flower' },
+  OVENS: { pos: 'noun', definition: 'kitchen appliance used for baking or roasting', base: 'OVEN' },
+  OVERS: { pos: 'noun', definition: '(cricket) the division of play during which six balls are bowled at the batsman by one player from the other team from the same end of the pitch', base: 'OVER' },
+  OVINE: { pos: 'adjective', definition: 'of or pertaining to or of the nature of or characteristic of a sheep or sheep' },
+  OVOID: { pos: 'noun', definition: 'an egg-shaped object' },
+  OVULE: { pos: 'noun', definition: 'a small body that contains the female germ cell of a plant' },
+  OWING: { pos: 'verb', definition: 'be indebted to, in an abstract or intellectual sense', example: 'This new theory owes much to Einstein\'s Relativity Theory', base: 'OWE' },
+  OWNED: { pos: 'adjective', definition: 'having an owner', example: 'state-owned railways' },
+  OWNER: { pos: 'noun', definition: '(law) someone who owns (is legal possessor of) a business', example: 'he is the owner of a chain of restaurants' },
+  OXBOW: { pos: 'noun', definition: 'the land inside an oxbow bend in a river' },
+  OXIDE: { pos: 'noun', definition: 'any compound of oxygen with another element or a radical' },
+  OZONE: { pos: 'noun', definition: 'a colorless gas (O3) soluble in alkalis and cold water' },
+  PACED: { pos: 'verb', definition: 'walk with slow or fast paces', example: 'He paced up and down the hall', base: 'PACE' },
+  PACER: { pos: 'noun', definition: 'a horse used to set the pace in racing' },
+  PACES: { pos: 'noun', definition: 'the distance covered by a step', example: 'he stepped off ten paces from the old tree and began to dig', base: 'PACE' },
+  PACKS: { pos: 'verb', definition: 'arrange in a container', example: 'pack the books into the boxes', base: 'PACK' },
+  PACTS: { pos: 'noun', definition: 'a written agreement between two states or sovereigns', base: 'PACT' },
+  PADDY: { pos: 'noun', definition: '(ethnic slur) offensive term for a person of Irish descent' },
+  PAGAN: { pos: 'noun', definition: 'a person who does not acknowledge your god' },
+  PAGED: { pos: 'verb', definition: 'work as a page', example: 'He is paging in Congress this summer', base: 'PAGE' },
+  PAGER: { pos: 'noun', definition: 'an electronic device that generates a series of beeps when the person carrying it is being paged' },
+  PAGES: { pos: 'noun', definition: 'one side of one leaf (of a book or magazine or newspaper or letter etc.) or the written or pictorial matter it contains', base: 'PAGE' },
+  PAILS: { pos: 'noun', definition: 'a roughly cylindrical vessel that is open at the top', base: 'PAIL' },
+  PAINS: { pos: 'noun', definition: 'a symptom of some physical hurt or disorder', example: 'the patient developed severe pain and distension', base: 'PAIN' },
+  PAINT: { pos: 'verb', definition: 'make a painting', example: 'he painted all day in the garden' },
+  PAIRS: { pos: 'noun', definition: 'a set of two similar things considered as a unit', base: 'PAIR' },
+  PALSY: { pos: 'noun', definition: 'loss of the ability to move a body part' },
+  PANDA: { pos: 'noun', definition: 'large black-and-white herbivorous mammal of bamboo forests of China and Tibet' },
+  PANEL: { pos: 'noun', definition: 'sheet that forms a distinct (usually flat and rectangular) section or component of something' },
+  PANGS: { pos: 'noun', definition: 'a sudden sharp feeling', example: 'pangs of regret', base: 'PANG' },
+  PANIC: { pos: 'noun', definition: 'sudden mass fear and anxiety over anticipated events', example: 'panic in the stock market' },
+  PANTS: { pos: 'verb', definition: 'breathe noisily, as when one is exhausted', example: 'The runners reached the finish line, panting heavily', base: 'PANT' },
+  PANTY: { pos: 'noun', definition: 'short underpants for women or children (usually used in the plural)' },
+  PAPAL: { pos: 'adjective', definition: 'proceeding from or ordered by or subject to a pope or the papacy regarded as the successor of the Apostles', example: 'papal dispensation' },
+  PAPER: { pos: 'noun', definition: 'an essay (especially one written as an assignment)', example: 'he got an A on his composition' },
+  PARCH: { pos: 'verb', definition: 'cause to wither or parch from exposure to heat', example: 'The sun parched the earth' },
+  PARED: { pos: 'verb', definition: 'cut small bits or pare shavings from', example: 'whittle a piece of wood', base: 'PARE' },
+  PARER: { pos: 'noun', definition: 'a manicurist who trims the fingernails' },
+  PARES: { pos: 'verb', definition: 'cut small bits or pare shavings from', example: 'whittle a piece of wood', base: 'PARE' },
+  PARKS: { pos: 'noun', definition: 'a large area of land preserved in its natural state as public property', example: 'there are laws that protect the wildlife in this park', base: 'PARK' },
+  PARRY: { pos: 'verb', definition: 'impede the movement of (an opponent or a ball)', example: 'block an attack' },
+  PARSE: { pos: 'verb', definition: 'analyze syntactically by assigning a constituent structure to (a sentence)' },
+  PARTS: { pos: 'noun', definition: 'something determined in relation to something that includes it', example: 'he wanted to feel a part of something bigger than himself', base: 'PART' },
+  PARTY: { pos: 'noun', definition: 'an organization to gain political power', example: 'in 1992 Perot tried to organise a third party at the national level' },
+  PASTA: { pos: 'noun', definition: 'a dish that contains pasta as its main ingredient' },
+  PASTE: { pos: 'noun', definition: 'any mixture of a soft and malleable consistency' },
+  PASTY: { pos: 'adjective', definition: 'resembling paste in colour', example: 'he looked pasty and red-eyed' },
+  PATCH: { pos: 'noun', definition: 'a small contrasting part of something', example: 'a bald spot' },
+  PATED: { pos: 'verb', definition: 'hit lightly', example: 'pat him on the shoulder', base: 'PAT' },
+  PATHS: { pos: 'noun', definition: 'a course of conduct', example: 'the path of virtue', base: 'PATH' },
+  PATIO: { pos: 'noun', definition: 'usually paved outdoor area adjoining a residence' },
+  PATSY: { pos: 'noun', definition: 'a person who is gullible and easy to take advantage of' },
+  PATTY: { pos: 'noun', definition: 'small flat mass of chopped food' },
+  PAUSE: { pos: 'noun', definition: 'a time interval during which there is a temporary cessation of something' },
+  PAVED: { pos: 'adjective', definition: 'covered with a firm surface' },
+  PAVER: { pos: 'noun', definition: 'a flat stone or block used for paving', example: 'the patio was laid with grey pavers' },
+  PAVES: { pos: 'noun', definition: 'a setting with precious stones so closely set that no metal shows', base: 'PAVE' },
+  PAWED: { pos: 'verb', definition: 'scrape with the paws', example: 'The bear pawed the door', base: 'PAW' },
+  PAWNS: { pos: 'noun', definition: 'an article deposited as security', base: 'PAWN' },
+  PAYEE: { pos: 'noun', definition: 'a person to whom money is paid' },
+  PAYER: { pos: 'noun', definition: 'a person who pays money for something' },
+  PEACE: { pos: 'noun', definition: 'harmonious relations', example: 'the roommates lived in peace together' },
+  PEACH: { pos: 'noun', definition: 'cultivated in temperate regions' },
+  PEAKS: { pos: 'noun', definition: 'the most extreme possible amount or value', example: 'voltage peak', base: 'PEAK' },
+  PEAKY: { pos: 'adjective', definition: 'having or as if having especially high-pitched spots', example: 'absence of peaky highs and beefed-up bass' },
+  PEALS: { pos: 'noun', definition: 'a deep prolonged sound (as of thunder or large bells)', base: 'PEAL' },
+  PEARS: { pos: 'noun', definition: 'sweet juicy gritty-textured fruit available in many varieties', base: 'PEAR' },
+  PECAN: { pos: 'noun', definition: 'wood of a pecan tree' },
+  PECKS: { pos: 'verb', definition: 'hit lightly with a picking motion', base: 'PECK' },
+  PEDAL: { pos: 'noun', definition: 'a sustained bass note' },
+  PEERS: { pos: 'noun', definition: 'a person who is of equal standing with another in a group', base: 'PEER' },
+  PEEVE: { pos: 'noun', definition: 'an annoyed or irritated mood' },
+  PELTS: { pos: 'verb', definition: 'cast, hurl, or throw repeatedly with some missile', example: 'They pelted each other with snowballs', base: 'PELT' },
+  PENNY: { pos: 'noun', definition: 'a fractional monetary unit of Ireland and the United Kingdom' },
+  PERCH: { pos: 'noun', definition: 'support consisting of a branch or rod that serves as a resting place (especially for a bird)' },
+  PERKS: { pos: 'noun', definition: 'an incidental benefit awarded for certain types of employment (especially if it is regarded as a right)', example: 'a limousine is one of the fringe benefits of the job', base: 'PERK' },
+  PERKY: { pos: 'adjective', definition: 'characterized by liveliness and lightheartedness', example: 'buoyant spirits' },
+  PERMS: { pos: 'noun', definition: 'a city in the European part of Russia', base: 'PERM' },
+  PESTS: { pos: 'noun', definition: 'a serious (sometimes fatal) infection of rodents caused by Yersinia pestis and accidentally transmitted to humans by the bite of a flea that has bitten an infected animal', base: 'PEST' },
+  PETAL: { pos: 'noun', definition: 'part of the perianth that is usually brightly coloured' },
+  PETTY: { pos: 'noun', definition: 'larceny of property having a value less than some amount (the amount varies by locale)' },
+  PHASE: { pos: 'noun', definition: 'any distinct time period in a sequence of events', example: 'we are in a transitional stage in which many former ideas must be revised or rejected' },
+  PHONE: { pos: 'noun', definition: 'electronic equipment that converts sound into electrical signals that can be transmitted over distances and then converts received signals back into sounds', example: 'I talked to him on the telephone' },
+  PHONY: { pos: 'adjective', definition: 'American spelling of phoney; not genuine; fraudulent' },
+  PHOTO: { pos: 'noun', definition: 'a representation of a person or scene in the form of a print or transparent slide or in digital format' },
+  PIANO: { pos: 'noun', definition: 'a keyboard instrument that is played by depressing keys that cause hammers to strike tuned strings and produce sounds' },
+  PICKS: { pos: 'verb', definition: 'select carefully from a group', example: 'She finally picked her successor', base: 'PICK' },
+  PICKY: { pos: 'adjective', definition: 'exacting especially about details', example: 'a finicky eater' },
+  PICOT: { pos: 'noun', definition: 'an edging of small loops, as on lace or ribbon' },
+  PIECE: { pos: 'noun', definition: 'a separate part of a whole', example: 'an important piece of the evidence' },
+  PIERS: { pos: 'noun', definition: 'a platform built out from the shore into the water and supported by piles', base: 'PIER' },
+  PIETY: { pos: 'noun', definition: 'righteousness by virtue of being pious' },
+  PIGGY: { pos: 'noun', definition: 'a young pig' },
+  PILLS: { pos: 'noun', definition: 'something that resembles a tablet of medicine in shape or size', base: 'PILL' },
+  PILOT: { pos: 'verb', definition: 'operate an aeroplane', example: 'The pilot flew to Cuba' },
+  PINCH: { pos: 'verb', definition: 'squeeze tightly between the fingers', example: 'He pinched her behind' },
+  PINED: { pos: 'verb', definition: 'to hold fast or prevent from moving', example: 'The child was pinned under the fallen tree', base: 'PIN' },
+  PINES: { pos: 'noun', definition: 'a coniferous tree', base: 'PINE' },
+  PINGS: { pos: 'verb', definition: 'hit with a pinging noise', example: 'The bugs pinged the lamp shade', base: 'PING' },
+  PINKY: { pos: 'noun', definition: 'the finger farthest from the thumb' },
+  PINTO: { pos: 'noun', definition: 'a spotted or calico horse or pony' },
+  PIOUS: { pos: 'adjective', definition: 'having or showing or expressing reverence for a deity', example: 'pious readings' },
+  PIPED: { pos: 'verb', definition: 'transport by pipeline', example: 'pipe oil, water, and gas into the desert', base: 'PIPE' },
+  PIPER: { pos: 'noun', definition: 'someone who plays the bagpipe' },
+  PIPES: { pos: 'noun', definition: 'a tube with a small bowl at one end', base: 'PIPE' },
+  PITCH: { pos: 'noun', definition: 'the property of sound that varies with variation in the frequency of vibration' },
+  PITHY: { pos: 'adjective', definition: 'concise and full of meaning', example: 'welcomed her pithy comments' },
+  PIVOT: { pos: 'verb', definition: 'turn on a pivot' },
+  PIXEL: { pos: 'noun', definition: '(computer science) the smallest discrete component of an image or picture on a CRT screen (usually a coloured dot)', example: 'the greater the number of pixels per inch the greater the resolution' },
+  PIZZA: { pos: 'noun', definition: 'Italian open pie made of thin bread dough spread with a spiced mixture of e.g. tomato sauce and cheese' },
+  PLACE: { pos: 'noun', definition: 'a point located with respect to surface features of some region', example: 'this is a nice place for a picnic' },
+  PLAID: { pos: 'noun', definition: 'a cloth having a crisscross design' },
+  PLAIN: { pos: 'adjective', definition: 'clearly revealed to the mind or the senses or judgment', example: 'the effects of the drought are apparent to anyone who sees the parched fields' },
+  PLAIT: { pos: 'noun', definition: 'a hairdo formed by braiding or twisting the hair' },
+  PLANE: { pos: 'noun', definition: 'an aircraft that has a fixed wing and is powered by propellers or jets', example: 'the flight was delayed due to trouble with the aeroplane' },
+  PLANK: { pos: 'noun', definition: 'a stout length of sawn timber' },
+  PLANS: { pos: 'verb', definition: 'have the will and intention to carry out some action', example: 'He plans to be in graduate school next year', base: 'PLAN' },
+  PLANT: { pos: 'verb', definition: 'put or set (seeds, seedlings, or plants) into the ground', example: 'Let\'s plant flowers in the garden' },
+  PLATE: { pos: 'noun', definition: '(baseball) base consisting of a rubber slab where the batter stands', example: 'he ruled that the runner failed to touch home' },
+  PLAYS: { pos: 'verb', definition: 'participate in games or sport', example: 'We played hockey all afternoon', base: 'PLAY' },
+  PLAZA: { pos: 'noun', definition: 'a public square with room for pedestrians', example: 'they met at Elm Plaza' },
+  PLEAD: { pos: 'verb', definition: 'appeal or request earnestly', example: 'I pleaded with him to stop' },
+  PLEAS: { pos: 'noun', definition: 'a humble request for help from someone in authority', base: 'PLEA' },
+  PLEAT: { pos: 'noun', definition: 'any of various types of fold formed by doubling fabric back upon itself and then pressing or stitching into shape' },
+  PLIED: { pos: 'verb', definition: 'give what is desired or needed, especially support, food or sustenance', example: 'The hostess provided lunch for all the guests', base: 'PLY' },
+  PLIES: { pos: 'verb', definition: 'give what is desired or needed, especially support, food or sustenance', example: 'The hostess provided lunch for all the guests', base: 'PLY' },
+  PLODS: { pos: 'verb', definition: 'walk heavily and firmly, as when weary, or through mud', example: 'Mules plodded in a circle around a grindstone', base: 'PLOD' },
+  PLOPS: { pos: 'noun', definition: 'the noise of a rounded object dropping into a liquid without a splash', base: 'PLOP' },
+  PLOTS: { pos: 'noun', definition: 'a secret scheme to do something (especially something underhand or illegal)', example: 'they concocted a plot to discredit the governor', base: 'PLOT' },
+  PLOWS: { pos: 'noun', definition: 'American spelling of ploughs; large farming tools for turning over soil' },
+  PLOYS: { pos: 'noun', definition: 'an opening remark intended to secure an advantage for the speaker', base: 'PLOY' },
+  PLUCK: { pos: 'noun', definition: 'the trait of showing courage and determination in spite of possible loss or injury' },
+  PLUGS: { pos: 'verb', definition: 'fill or close tightly with or as if with a plug', example: 'plug the hole', base: 'PLUG' },
+  PLUMB: { pos: 'verb', definition: 'measure the depth of something' },
+  PLUME: { pos: 'noun', definition: 'anything that resembles a feather in shape or lightness', example: 'a plume of smoke' },
+  PLUMP: { pos: 'adjective', definition: 'sufficiently fat so as to have a pleasing fullness of figure', example: 'a chubby child' },
+  PLUMS: { pos: 'noun', definition: 'any of several trees producing edible oval fruit having a smooth skin and a single hard stone', base: 'PLUM' },
+  PLUNK: { pos: 'verb', definition: 'set (something or oneself) down with or as if with a noise', example: 'He planked the money on the table' },
+  PLUSH: { pos: 'adjective', definition: 'characterized by extravagance and profusion', example: 'a lavish buffet' },
+  POEMS: { pos: 'noun', definition: 'a composition written in metrical feet forming rhythmical lines', base: 'POEM' },
+  POETS: { pos: 'noun', definition: 'a writer of poems (the term is usually reserved for writers of good poetry)', base: 'POET' },
+  POINT: { pos: 'noun', definition: 'a geometric element that has position but no extension', example: 'a point is defined by its coordinates' },
+  POISE: { pos: 'verb', definition: 'be motionless, in suspension', example: 'The bird poised for a few moments before it attacked' },
+  POKER: { pos: 'noun', definition: 'fire iron consisting of a metal rod with a handle' },
+  POKES: { pos: 'verb', definition: 'poke or thrust abruptly', example: 'he jabbed his finger into her ribs', base: 'POKE' },
+  POKEY: { pos: 'noun', definition: 'a correctional institution used to detain persons who are in the lawful custody of the government (either accused persons awaiting trial or convicted persons serving a sentence)' },
+  POLAR: { pos: 'adjective', definition: 'characterized by opposite extremes', example: 'in diametric contradiction to his claims' },
+  POLES: { pos: 'noun', definition: 'a long (usually round) rod of wood or metal or plastic', base: 'POLE' },
+  POLLS: { pos: 'noun', definition: 'the place where people vote' },
+  POLOS: { pos: 'noun', definition: 'Venetian traveler who explored Asia in the 13th century and served Kublai Khan (1254-1324)', base: 'POLO' },
+  POLYP: { pos: 'noun', definition: 'a small vascular growth on the surface of a mucous membrane' },
+  PONDS: { pos: 'noun', definition: 'a small lake', example: 'the pond was too small for sailing', base: 'POND' },
+  PONYS: { pos: 'noun', definition: 'an informal term for a racehorse', example: 'he liked to bet on the ponies', base: 'PONY' },
+  POOCH: { pos: 'verb', definition: 'round one\'s lips as if intending to kiss' },
+  POOLS: { pos: 'noun', definition: 'a small lake', example: 'the pond was too small for sailing', base: 'POOL' },
+  POOPS: { pos: 'noun', definition: 'obscene terms for faeces', base: 'POOP' },
+  POPES: { pos: 'verb', definition: 'bulge outward', example: 'His eyes popped', base: 'POP' },
+  POPPY: { pos: 'noun', definition: 'annual or biennial or perennial herbs having showy flowers' },
+  PORCH: { pos: 'noun', definition: 'a structure attached to the exterior of a building often forming a covered entrance' },
+  PORED: { pos: 'verb', definition: 'direct one\'s attention on something', example: 'Please focus on your studies and not on your hobbies', base: 'PORE' },
+  PORES: { pos: 'noun', definition: 'any tiny hole admitting passage of a liquid (fluid or gas)', base: 'PORE' },
+  PORKY: { pos: 'noun', definition: 'a lie (from rhyming slang "pork pie")', example: 'he was telling porkies again' },
+  PORTS: { pos: 'noun', definition: 'a place (seaport or airport) where people and merchandise can enter or leave a country', base: 'PORT' },
+  POSED: { pos: 'verb', definition: 'introduce', example: 'This poses an interesting question', base: 'POSE' },
+  POSER: { pos: 'noun', definition: 'a person who poses for a photographer or painter or sculptor', example: 'the president didn\'t have time to be a model so the artist worked from photos' },
+  POSES: { pos: 'verb', definition: 'introduce', example: 'This poses an interesting question', base: 'POSE' },
+  POSIT: { pos: 'noun', definition: '(logic) a proposition that is accepted as true in order to provide a basis for logical reasoning' },
+  POSSE: { pos: 'noun', definition: 'a temporary police force' },
+  POSTS: { pos: 'verb', definition: 'affix in a public place or for public notice', example: 'post a warning', base: 'POST' },
+  POTTY: { pos: 'noun', definition: 'a plumbing fixture for defecation and urination' },
+  POUCH: { pos: 'noun', definition: 'an enclosed space', example: 'the trapped miners found a pocket of air' },
+  POUND: { pos: 'verb', definition: 'hit hard with the hand, fist, or some heavy instrument', example: 'the salesman pounded the door knocker' },
+  POURS: { pos: 'verb', definition: 'cause to run', example: 'pour water over the floor', base: 'POUR' },
+  POUTS: { pos: 'noun', definition: 'a disdainful grimace', base: 'POUT' },
+  POWER: { pos: 'noun', definition: 'possession of controlling influence', example: 'the deterrent power of nuclear weapons' },
+  PRAMS: { pos: 'noun', definition: 'a small vehicle with four wheels in which a baby or child is pushed around', base: 'PRAM' },
+  PRANK: { pos: 'noun', definition: 'acting like a clown or buffoon' },
+  PRAYS: { pos: 'verb', definition: 'address a deity, a prophet, a saint or an object of worship', example: 'pray to the Lord', base: 'PRAY' },
+  PREEN: { pos: 'verb', definition: 'clean with one\'s bill', example: 'The birds preened' },
+  PRESS: { pos: 'verb', definition: 'exert pressure or force to or upon', example: 'He pressed down on the boards' },
+  PRICE: { pos: 'noun', definition: 'the property of having material worth (often indicated by the amount of money something would bring if sold)', example: 'the fluctuating monetary value of gold and silver' },
+  PRICK: { pos: 'verb', definition: 'make a small hole into, as with a needle or a thorn', example: 'The nurse pricked my finger to get a small blood sample' },
+  PRIDE: { pos: 'noun', definition: 'satisfaction with your (or another\'s) achievements', example: 'he takes pride in his son\'s success' },
+  PRIED: { pos: 'verb', definition: 'to move or force, especially in an effort to get something open', example: 'The burglar jimmied the lock', base: 'PRY' },
+  PRIES: { pos: 'verb', definition: 'to move or force, especially in an effort to get something open', example: 'The burglar jimmied the lock', base: 'PRY' },
+  PRIME: { pos: 'adjective', definition: 'first in rank or degree', example: 'an architect of premier rank' },
+  PRIMO: { pos: 'noun', definition: 'the principal part of a duet (especially a piano duet)' },
+  PRINT: { pos: 'noun', definition: 'the text appearing in a book, newspaper, or other printed publication', example: 'I want to see it in print' },
+  PRIOR: { pos: 'adjective', definition: 'earlier in time' },
+  PRISM: { pos: 'noun', definition: 'a polyhedron with two congruent and parallel faces (the bases) and whose lateral faces are parallelograms' },
+  PRIVY: { pos: 'noun', definition: 'a room or building equipped with one or more toilets' },
+  PRIZE: { pos: 'noun', definition: 'something given for victory or superiority in a contest or competition or for winning a lottery', example: 'the prize was a free trip to Europe' },
+  PROBE: { pos: 'verb', definition: 'examine physically with or as if with a probe', example: 'probe an anthill' },
+  PROBS: { pos: 'noun', definition: 'problems (informal), as in no probs', example: 'no probs, I can do that', base: 'PROB' },
+  PRODS: { pos: 'verb', definition: 'to push against gently', example: 'She nudged my elbow when she saw her friend enter the restaurant', base: 'PROD' },
+  PRONE: { pos: 'adjective', definition: 'having a tendency (to)', example: 'a child prone to mischief' },
+  PROOF: { pos: 'noun', definition: 'any factual evidence that helps to establish the truth of something', example: 'if you have any proof for what you say, now is the time to produce it' },
+  PROPS: { pos: 'noun', definition: 'any movable articles or objects used on the set of a play or movie', example: 'before every scene he ran down his checklist of props', base: 'PROP' },
+  PROSE: { pos: 'noun', definition: 'ordinary writing as distinguished from verse' },
+  PROUD: { pos: 'adjective', definition: 'feeling self-respect or pleasure in something by which you measure your self-worth', example: 'proud parents' },
+  PROVE: { pos: 'verb', definition: 'be shown or be found to be', example: 'She proved to be right' },
+  PROWL: { pos: 'verb', definition: 'move about in or as if in a predatory manner', example: 'The suspicious stranger prowls the streets of the town' },
+  PRUDE: { pos: 'noun', definition: 'a person excessively concerned about propriety and decorum' },
+  PRUNE: { pos: 'noun', definition: 'dried plum' },
+  PSALM: { pos: 'noun', definition: 'one of the 150 lyrical poems and prayers that comprise the Book of Psalms in the Old Testament' },
+  PUBIC: { pos: 'adjective', definition: 'relating or near the pubis', example: 'pubic bones' },
+  PUFFY: { pos: 'adjective', definition: 'being puffed out', example: 'a bouffant skirt' },
+  PULLS: { pos: 'verb', definition: 'cause to move by pulling', example: 'draw a wagon', base: 'PULL' },
+  PULPS: { pos: 'noun', definition: 'any soft or soggy mass', example: 'he pounded it to a pulp', base: 'PULP' },
+  PULSE: { pos: 'noun', definition: '(electronics) a sharp transient wave in the normal electrical state (or a series of such transients)', example: 'the pulsations seemed to be coming from a star' },
+  PUMPS: { pos: 'verb', definition: 'operate like a pump', example: 'pump the gas pedal', base: 'PUMP' },
+  PUNCH: { pos: 'verb', definition: 'deliver a quick blow to', example: 'he punched me in the stomach' },
+  PUNKS: { pos: 'noun', definition: 'an aggressive and violent young criminal', base: 'PUNK' },
+  PUNNY: { pos: 'adjective', definition: 'making use of puns', example: 'a punny headline' },
+  PUPAL: { pos: 'adjective', definition: 'of the insects in the chrysalis (cocoon) or post larval stage', example: 'the pupal stage' },
+  PUPIL: { pos: 'noun', definition: 'a learner who is enrolled in an educational institution' },
+  PUPPY: { pos: 'noun', definition: 'a young dog' },
+  PURGE: { pos: 'verb', definition: 'oust politically', example: 'Deng Xiao Ping was purged several times throughout his lifetime' },
+  PURLS: { pos: 'verb', definition: 'make a murmuring sound', example: 'the water was purling', base: 'PURL' },
+  PURSE: { pos: 'noun', definition: 'a container used for carrying money and small personal items or accessories (especially by women)', example: 'she reached into her bag and found a comb' },
+  PUSHY: { pos: 'adjective', definition: 'marked by aggressive ambition and energy and initiative', example: 'an aggressive young executive' },
+  PUTTY: { pos: 'noun', definition: 'a dough-like mixture of whiting and boiled linseed oil' },
+  PYGMY: { pos: 'noun', definition: 'an unusually small individual' },
+  QUACK: { pos: 'noun', definition: 'an untrained person who pretends to be a physician and who dispenses medical advice' },
+  QUADS: { pos: 'noun', definition: 'one of four children born at the same time from the same pregnancy', base: 'QUAD' },
+  QUAIL: { pos: 'verb', definition: 'draw back, as with fear or pain', example: 'she flinched when they showed the slaughtering of the calf' },
+  QUAKE: { pos: 'noun', definition: 'shaking and vibration at the surface of the earth resulting from underground movement along a fault plane or from volcanic activity' },
+  QUALM: { pos: 'noun', definition: 'uneasiness about the fitness of an action' },
+  QUART: { pos: 'noun', definition: 'a United States liquid unit equal to 32 fluid ounces' },
+  QUASI: { pos: 'adjective', definition: 'having some resemblance', example: 'a quasi success' },
+  QUEEN: { pos: 'noun', definition: 'the only fertile female in a colony of social insects such as bees and ants and termites' },
+  QUEER: { pos: 'adjective', definition: 'beyond or deviating from the usual or expected', example: 'a curious hybrid accent' },
+  QUELL: { pos: 'verb', definition: 'suppress or crush completely', example: 'squelch any sign of dissent' },
+  QUERY: { pos: 'noun', definition: 'an instance of questioning', example: 'there was a question about my training' },
+  QUEST: { pos: 'noun', definition: 'a search for an alternative that meets cognitive criteria', example: 'the pursuit of love' },
+  QUEUE: { pos: 'noun', definition: 'a line of people or vehicles waiting for something' },
+  QUICK: { pos: 'adjective', definition: 'accomplished rapidly and without delay', example: 'was quick to make friends' },
+  QUIDS: { pos: 'noun', definition: 'the basic unit of money in Great Britain and Northern Ireland', base: 'QUID' },
+  QUIET: { pos: 'adjective', definition: 'characterized by an absence or near absence of agitation or activity', example: 'a quiet life' },
+  QUIFF: { pos: 'noun', definition: 'a prominent forelock (especially one brushed upward from the forehead)' },
+  QUILL: { pos: 'noun', definition: 'pen made from a bird\'s feather' },
+  QUILT: { pos: 'noun', definition: 'bedding made of two layers of cloth filled with stuffing and stitched together' },
+  QUIPS: { pos: 'verb', definition: 'make jokes or quips', example: 'The students were gagging during dinner', base: 'QUIP' },
+  QUIRK: { pos: 'noun', definition: 'a strange attitude or habit' },
+  QUITE: { pos: 'adverb', definition: 'to a degree (not used with a negative)', example: 'quite tasty' },
+  QUITS: { pos: 'verb', definition: 'put an end to a state or an activity', example: 'Quit teasing your little brother', base: 'QUIT' },
+  QUOTA: { pos: 'noun', definition: 'a prescribed number', example: 'all the salesmen met their quota for the month' },
+  QUOTE: { pos: 'verb', definition: 'repeat a passage from', example: 'He quoted the Bible to her' },
+  RABID: { pos: 'adjective', definition: 'marked by excessive enthusiasm for and intense devotion to a cause or idea', example: 'rabid isolationist' },
+  RACED: { pos: 'verb', definition: 'move hurridly', example: 'He rushed down the hall to receive his guests', base: 'RACE' },
+  RACER: { pos: 'noun', definition: 'someone who drives racing cars at high speeds' },
+  RACES: { pos: 'noun', definition: 'any competition', example: 'the race for the presidency', base: 'RACE' },
+  RACKS: { pos: 'verb', definition: 'go at a rack', example: 'the horses single-footed', base: 'RACK' },
+  RADAR: { pos: 'noun', definition: 'measuring instrument in which the echo of a pulse of microwave radiation is used to detect and locate distant objects' },
+  RADIO: { pos: 'noun', definition: 'medium for communication' },
+  RAGGY: { pos: 'adjective', definition: 'ragged or frayed', example: 'a raggy old jumper' },
+  RAIDS: { pos: 'verb', definition: 'search without warning, make a sudden surprise attack on', example: 'The police raided the crack house', base: 'RAID' },
+  RAILS: { pos: 'noun', definition: 'short for railway', example: 'he travelled by rail', base: 'RAIL' },
+  RAINS: { pos: 'noun', definition: 'water falling in drops from vapour condensed in the atmosphere', base: 'RAIN' },
+  RAINY: { pos: 'adjective', definition: '(of weather) wet by periods of rain', example: 'showery weather' },
+  RAISE: { pos: 'verb', definition: 'raise the level or amount of something', example: 'raise my salary' },
+  RAKED: { pos: 'verb', definition: 'move through with or as if with a rake', example: 'She raked her fingers through her hair', base: 'RAKE' },
+  RAKES: { pos: 'verb', definition: 'move through with or as if with a rake', example: 'She raked her fingers through her hair', base: 'RAKE' },
+  RALLY: { pos: 'verb', definition: 'gather', example: 'drum up support' },
+  RAMPS: { pos: 'noun', definition: 'an inclined surface connecting two levels', base: 'RAMP' },
+  RANCH: { pos: 'noun', definition: 'farm consisting of a large tract of land along with facilities needed to raise livestock (especially cattle)' },
+  RANDY: { pos: 'adjective', definition: 'feeling great sexual desire', example: 'feeling horny' },
+  RANGE: { pos: 'noun', definition: 'an area in which something acts or operates or has power or control:', example: 'the range of a supersonic jet' },
+  RANKS: { pos: 'noun', definition: 'a row or line of people (especially soldiers or police) standing abreast of one another', example: 'the entrance was guarded by ranks of policemen', base: 'RANK' },
+  RANTS: { pos: 'noun', definition: 'a loud bombastic declamation expressed with strong emotion', base: 'RANT' },
+  RAPID: { pos: 'adjective', definition: 'done or occurring in a brief period of time', example: 'a rapid rise through the ranks' },
+  RARED: { pos: 'verb', definition: 'stand up on the hind legs, of quadrupeds', example: 'The horse reared in terror', base: 'REAR' },
+  RARES: { pos: 'verb', definition: 'rears up (a dialect spelling)', example: 'the horse rares at the fence', base: 'RARE' },
+  RARIN: { pos: 'adjective', definition: 'eager and impatient, as in rarin\' to go (informal)', example: 'the children were rarin\' to go' },
+  RASPY: { pos: 'adjective', definition: 'unpleasantly harsh or grating in sound', example: 'a gravelly voice' },
+  RATED: { pos: 'verb', definition: 'assign a rank or rating to', example: 'how would you rank these students?', base: 'RATE' },
+  RATES: { pos: 'noun', definition: 'a magnitude or frequency relative to a time unit', example: 'they travelled at a rate of 55 miles per hour', base: 'RATE' },
+  RATIO: { pos: 'noun', definition: 'the relation between things (or parts of things) with respect to their comparative quantity, magnitude, or degree', example: 'an inordinate proportion of the book is given over to quotations' },
+  RAVED: { pos: 'verb', definition: 'participate in an all-night techno dance party', base: 'RAVE' },
+  RAVEN: { pos: 'noun', definition: 'large black bird with a straight bill and long wedge-shaped tail' },
+  RAVER: { pos: 'noun', definition: 'a participant in a rave dancing party' },
+  RAVES: { pos: 'noun', definition: 'a dance party that lasts all night and electronically synthesized music is played', example: 'raves are very popular in Berlin', base: 'RAVE' },
+  RAWER: { pos: 'adjective', definition: '(used especially of commodities) being unprocessed or manufactured using only simple or minimal processes', example: 'natural yoghurt', base: 'RAW' },
+  RAZED: { pos: 'adjective', definition: 'torn down and broken up' },
+  RAZER: { pos: 'noun', definition: 'a person or thing that razes or demolishes' },
+  RAZES: { pos: 'verb', definition: 'tear down so as to make flat with the ground', example: 'The building was levelled', base: 'RAZE' },
+  REACH: { pos: 'verb', definition: 'reach a destination, either real or abstract', example: 'We hit Detroit by noon' },
+  READS: { pos: 'verb', definition: 'interpret something that is written or printed', example: 'read the advertisement', base: 'READ' },
+  READY: { pos: 'adjective', definition: 'completely prepared or in condition for immediate action or use or progress', example: 'get ready' },
+  REALM: { pos: 'noun', definition: 'a domain in which something is dominant', example: 'the untroubled kingdom of reason' },
+  REAMS: { pos: 'noun', definition: 'a large quantity of written matter', example: 'he wrote reams and reams', base: 'REAM' },
+  REAPS: { pos: 'verb', definition: 'gather, as of natural products', example: 'harvest the grapes', base: 'REAP' },
+  REARS: { pos: 'noun', definition: 'the back of a military formation or procession', example: 'infantrymen were in the rear', base: 'REAR' },
+  REBEL: { pos: 'noun', definition: '`Johnny\' was applied as a nickname for Confederate soldiers by the Federal soldiers in the American Civil War' },
+  RECUR: { pos: 'verb', definition: 'happen or occur again', example: 'This is a recurring story' },
+  REEDS: { pos: 'noun', definition: 'tall woody perennial grasses with hollow slender stems especially of the genera Arundo and Phragmites', base: 'REED' },
+  REEDY: { pos: 'adjective', definition: 'having a tone of a reed instrument' },
+  REEFS: { pos: 'noun', definition: 'a submerged ridge of rock or coral near the surface of the water', base: 'REEF' },
+  REEKS: { pos: 'verb', definition: 'have an element suggestive (of something)', example: 'his speeches smacked of racism', base: 'REEK' },
+  REELS: { pos: 'verb', definition: 'walk as if unable to control one\'s movements', example: 'The drunken man staggered into the room', base: 'REEL' },
+  REFER: { pos: 'verb', definition: 'make reference to', example: 'His name was mentioned in connection with the invention' },
+  REFIT: { pos: 'noun', definition: 'outfitting a ship again (by repairing or replacing parts)' },
+  REGAL: { pos: 'adjective', definition: 'belonging to or befitting a supreme ruler', example: 'golden age of imperial splendor' },
+  REIGN: { pos: 'verb', definition: 'have sovereign power', example: 'Henry VIII reigned for a long time' },
+  REINS: { pos: 'noun', definition: 'any means of control', example: 'he took up the reins of government', base: 'REIN' },
+  RELAX: { pos: 'verb', definition: 'become less tense, rest, or take one\'s ease', example: 'He relaxed in the hot tub' },
+  RELAY: { pos: 'noun', definition: 'the act of passing something along from one person or group to another', example: 'the relay was successful' },
+  RELIC: { pos: 'noun', definition: 'an antiquity that has survived from the distant past' },
+  REMIX: { pos: 'noun', definition: 'a new version of a recording with the parts mixed differently', example: 'a dance remix of the single' },
+  REPAY: { pos: 'verb', definition: 'pay back', example: 'Please refund me my money' },
+  REPLY: { pos: 'noun', definition: 'a statement (either spoken or written) that is made to reply to a question or request or criticism or accusation', example: 'I waited several days for his answer' },
+  REPOS: { pos: 'noun', definition: 'plural of repo; repossessed goods or code repositories', example: 'the team keeps its code in several repos', base: 'REPO' },
+  RESET: { pos: 'verb', definition: 'set anew', example: 'They re-set the date on the clock' },
+  RESIN: { pos: 'noun', definition: 'any of a class of solid or semisolid viscous substances obtained either as exudations from certain plants or prepared by polymerization of simple molecules' },
+  RESTS: { pos: 'verb', definition: 'not move', base: 'REST' },
+  RETRO: { pos: 'noun', definition: 'a fashion reminiscent of the past' },
+  REUSE: { pos: 'verb', definition: 'use again after processing', example: 'We must recycle the cardboard boxes' },
+  RHINO: { pos: 'noun', definition: 'massive powerful herbivorous odd-toed ungulate of southeast Asia and Africa having very thick skin and one or two horns on the snout' },
+  RHYME: { pos: 'noun', definition: 'correspondence in the sounds of two or more lines (especially final sounds)' },
+  RICED: { pos: 'verb', definition: 'sieve so that it becomes the consistency of rice', example: 'rice the potatoes', base: 'RICE' },
+  RICES: { pos: 'noun', definition: 'grains used as food either unpolished or more often polished', base: 'RICE' },
+  RIDER: { pos: 'noun', definition: 'a traveler who actively rides an animal (as a horse or camel)' },
+  RIDES: { pos: 'verb', definition: 'sit and travel on the back of animal, usually while controlling its motions', example: 'She never sat a horse!', base: 'RIDE' },
+  RIDGE: { pos: 'noun', definition: 'a long narrow natural elevation or striation' },
+  RIFLE: { pos: 'noun', definition: 'a shoulder firearm with a long barrel and a rifled bore', example: 'he lifted the rifle to his shoulder and fired' },
+  RIGHT: { pos: 'adverb', definition: 'precisely, exactly', example: 'stand right here!' },
+  RIGID: { pos: 'adjective', definition: 'incapable of or resistant to bending', example: 'a rigid strip of metal' },
+  RINGS: { pos: 'verb', definition: 'sound loudly and sonorously', example: 'the bells rang', base: 'RING' },
+  RINKS: { pos: 'noun', definition: 'building that contains a surface for ice skating or roller skating', base: 'RINK' },
+  RINSE: { pos: 'verb', definition: 'wash off soap or remaining dirt' },
+  RIOTS: { pos: 'noun', definition: 'a public act of violence by an unruly mob', base: 'RIOT' },
+  RIPER: { pos: 'adjective', definition: 'fully developed or matured and ready to be eaten or used', example: 'ripe peaches', base: 'RIPE' },
+  RISEN: { pos: 'adjective', definition: '(of e.g. celestial bodies) above the horizon', example: 'the risen sun' },
+  RISER: { pos: 'noun', definition: 'a person who rises (especially from bed)', example: 'he\'s usually a late riser' },
+  RISES: { pos: 'verb', definition: 'move upward', example: 'The fog lifted', base: 'RISE' },
+  RISKS: { pos: 'noun', definition: 'a source of danger', example: 'drinking alcohol is a health hazard', base: 'RISK' },
+  RISKY: { pos: 'adjective', definition: 'involving risk or danger', example: 'skydiving is a hazardous sport' },
+  RITES: { pos: 'noun', definition: 'an established ceremony prescribed by a religion', example: 'the rite of baptism', base: 'RITE' },
+  RIVAL: { pos: 'noun', definition: 'the contestant you hope to defeat', example: 'he had respect for his rivals' },
+  RIVED: { pos: 'verb', definition: 'tear or be torn violently', example: 'The curtain ripped from top to bottom', base: 'RIVE' },
+  RIVER: { pos: 'noun', definition: 'a large natural stream of water (larger than a creek)', example: 'the river was navigable for 50 miles' },
+  RIVES: { pos: 'verb', definition: 'tear or be torn violently', example: 'The curtain ripped from top to bottom', base: 'RIVE' },
+  ROADS: { pos: 'noun', definition: 'a way or means to achieve something', example: 'the road to fame', base: 'ROAD' },
+  ROAMS: { pos: 'verb', definition: 'move about aimlessly or without any destination, often in search of food or employment', example: 'The gypsies roamed the woods', base: 'ROAM' },
+  ROARS: { pos: 'verb', definition: 'make a loud noise, as of wind, water, or vehicles', example: 'The wind was howling in the trees', base: 'ROAR' },
+  ROAST: { pos: 'verb', definition: 'cook with dry heat, usually in an oven', example: 'roast the turkey' },
+  ROBED: { pos: 'verb', definition: 'take something away by force or without the consent of the owner', example: 'The burglars robbed him of all his money', base: 'ROB' },
+  ROBES: { pos: 'noun', definition: 'any loose flowing garment', base: 'ROBE' },
+  ROBIN: { pos: 'noun', definition: 'small Old World songbird with a reddish breast' },
+  ROBOT: { pos: 'noun', definition: 'a mechanism that can move automatically' },
+  ROCKS: { pos: 'noun', definition: 'a lump or mass of hard consolidated mineral matter', example: 'he threw a rock at me', base: 'ROCK' },
+  ROCKY: { pos: 'adjective', definition: 'abounding in rocks or stones', example: 'rocky fields' },
+  ROGUE: { pos: 'noun', definition: 'a deceitful and unreliable scoundrel' },
+  ROLES: { pos: 'noun', definition: 'the actions and activities assigned to or required or expected of a person or group', example: 'the function of a teacher', base: 'ROLE' },
+  ROLLS: { pos: 'verb', definition: 'move by turning over or rotating', example: 'The child rolled down the hill', base: 'ROLL' },
+  ROMAN: { pos: 'adjective', definition: 'relating to or characteristic of people of Rome', example: 'Roman virtues' },
+  ROMPS: { pos: 'noun', definition: 'an easy victory', base: 'ROMP' },
+  ROOFS: { pos: 'noun', definition: 'a protective covering that covers or forms the top of a building', base: 'ROOF' },
+  ROOKS: { pos: 'noun', definition: '(chess) the piece that can move any number of unoccupied squares in a direction parallel to the sides of the chessboard', base: 'ROOK' },
+  ROOMS: { pos: 'noun', definition: 'an area within a building enclosed by walls and floor and ceiling', example: 'the rooms were very small but they had a nice view', base: 'ROOM' },
+  ROOMY: { pos: 'noun', definition: 'an associate who shares a room with you' },
+  ROOST: { pos: 'verb', definition: 'sit, as on a branch', example: 'The birds perched high in the tree' },
+  ROOTS: { pos: 'noun', definition: 'the place where something begins, where it springs into being', example: 'the Italian beginning of the Renaissance', base: 'ROOT' },
+  ROPED: { pos: 'verb', definition: 'catch with a lasso', example: 'rope cows', base: 'ROPE' },
+  ROPES: { pos: 'noun', definition: 'a strong line', base: 'ROPE' },
+  ROSES: { pos: 'noun', definition: 'any of many shrubs of the genus Rosa that bear roses', base: 'ROSE' },
+  ROTOR: { pos: 'noun', definition: 'the rotating armature of a motor or generator' },
+  ROUGE: { pos: 'noun', definition: 'makeup consisting of a pink or red powder applied to the cheeks' },
+  ROUGH: { pos: 'adjective', definition: 'having or caused by an irregular surface', example: 'trees with rough bark' },
+  ROUND: { pos: 'noun', definition: 'an interval during which a recurring sequence of events occurs', example: 'the never-ending cycle of the seasons' },
+  ROUSE: { pos: 'verb', definition: 'become active', example: 'He finally bestirred himself' },
+  ROUTE: { pos: 'noun', definition: 'an established line of travel or access' },
+  ROUTS: { pos: 'verb', definition: 'cause to flee', example: 'rout out the fighters from their caves', base: 'ROUT' },
+  ROWDY: { pos: 'noun', definition: 'a cruel and brutal fellow' },
+  ROWED: { pos: 'verb', definition: 'propel with oars', example: 'row the boat across the lake', base: 'ROW' },
+  ROWER: { pos: 'noun', definition: 'someone who rows a boat' },
+  ROYAL: { pos: 'adjective', definition: 'of or relating to or indicative of or issued or performed by a king or queen or other monarch', example: 'the royal party' },
+  RUGBY: { pos: 'noun', definition: 'a form of football played with an oval ball' },
+  RUINS: { pos: 'noun', definition: 'an irrecoverable state of devastation and destruction', example: 'you have brought ruin on this entire family', base: 'RUIN' },
+  RULED: { pos: 'verb', definition: 'exercise authority over', example: 'Who is governing the country now?', base: 'RULE' },
+  RULER: { pos: 'noun', definition: 'a person who rules or commands', example: 'swayer of the universe' },
+  RULES: { pos: 'noun', definition: 'a principle or condition that customarily governs behaviour', example: 'it was his rule to take a walk before breakfast', base: 'RULE' },
+  RUMBA: { pos: 'noun', definition: 'syncopated music in duple time for dancing the rumba' },
+  RUMOR: { pos: 'noun', definition: 'American spelling of rumour; a story passed around that may or may not be true' },
+  RUMPS: { pos: 'noun', definition: 'the part of an animal that corresponds to the human buttocks', base: 'RUMP' },
+  RUNES: { pos: 'verb', definition: 'move fast by using one\'s feet, with one foot off the ground at any given time', example: 'Don\'t run--you\'ll be out of breath', base: 'RUN' },
+  RUNGS: { pos: 'noun', definition: 'a crosspiece between the legs of a chair', base: 'RUNG' },
+  RUNNY: { pos: 'adjective', definition: 'characteristic of a fluid' },
+  RURAL: { pos: 'adjective', definition: 'living in or characteristic of farming or country life', example: 'rural people' },
+  RUSHY: { pos: 'adjective', definition: 'abounding in rushes', example: 'a rushy marsh' },
+  RUSTS: { pos: 'verb', definition: 'become destroyed by water, air, or a corrosive such as an acid', example: 'The metal corroded', base: 'RUST' },
+  RUSTY: { pos: 'adjective', definition: 'covered with or consisting of rust', example: 'a rusty machine' },
+  SABER: { pos: 'noun', definition: 'American spelling of sabre; a heavy sword with a curved blade' },
+  SABRE: { pos: 'noun', definition: 'a fencing sword with a v-shaped blade and a slightly curved handle' },
+  SACKS: { pos: 'noun', definition: 'an enclosed space', example: 'the trapped miners found a pocket of air', base: 'SACK' },
+  SADLY: { pos: 'adverb', definition: 'in an unfortunate way', example: 'sadly he died before he could see his grandchild' },
+  SAFER: { pos: 'adjective', definition: 'free from danger or the risk of harm', example: 'a safe trip', base: 'SAFE' },
+  SAFES: { pos: 'noun', definition: 'strongbox where valuables can be safely kept', base: 'SAFE' },
+  SAGGY: { pos: 'adjective', definition: 'sinking or hanging down loosely', example: 'a saggy old sofa' },
+  SAINT: { pos: 'noun', definition: 'a person who has died and has been declared a saint by canonization' },
+  SALAD: { pos: 'noun', definition: 'food mixtures either arranged on a plate or tossed and served with a moist dressing' },
+  SALES: { pos: 'noun', definition: 'a particular instance of selling', example: 'he has just made his first sale', base: 'SALE' },
+  SALON: { pos: 'noun', definition: 'gallery where works of art can be displayed' },
+  SALTS: { pos: 'noun', definition: 'a compound formed by replacing hydrogen in an acid by a metal (or a radical that acts like a metal)', base: 'SALT' },
+  SALTY: { pos: 'adjective', definition: 'engagingly stimulating or provocative', example: 'a piquant wit' },
+  SALVE: { pos: 'noun', definition: 'anything that remedies or heals or soothes', example: 'he needed a salve for his conscience' },
+  SANDY: { pos: 'adjective', definition: 'of hair colour', example: 'flaxen locks' },
+  SAPPY: { pos: 'adjective', definition: 'abounding in sap', example: 'sappy maple trees' },
+  SAUCE: { pos: 'noun', definition: 'flavorful relish or dressing or topping served as an accompaniment to food' },
+  SAUCY: { pos: 'adjective', definition: 'characterized by a lightly pert and exuberant quality', example: 'a certain irreverent gaiety and ease of manner' },
+  SAUNA: { pos: 'noun', definition: 'a Finnish steam bath' },
+  SAVED: { pos: 'verb', definition: 'to keep up and reserve for personal or special use', example: 'She saved the old family photographs in a drawer', base: 'SAVE' },
+  SAVER: { pos: 'noun', definition: 'someone who saves something from danger or violence' },
+  SAVES: { pos: 'verb', definition: 'to keep up and reserve for personal or special use', example: 'She saved the old family photographs in a drawer', base: 'SAVE' },
+  SAVVY: { pos: 'verb', definition: 'get the meaning of something', example: 'Do you comprehend the meaning of this letter?' },
+  SAWED: { pos: 'verb', definition: 'cut with a saw', example: 'saw wood for the fireplace', base: 'SAW' },
+  SAXES: { pos: 'noun', definition: 'a Belgian maker of musical instruments who invented the saxophone (1814-1894)', base: 'SAX' },
+  SCALD: { pos: 'noun', definition: 'a burn cause by hot liquid or steam' },
+  SCALE: { pos: 'noun', definition: 'an ordered reference standard', example: 'judging on a scale of 1 to 10' },
+  SCALP: { pos: 'noun', definition: 'the skin that covers the top of the head', example: 'they wanted to take his scalp as a trophy' },
+  SCAMP: { pos: 'noun', definition: 'one who is playfully mischievous' },
+  SCANS: { pos: 'verb', definition: 'examine minutely or intensely', example: 'the surgeon scanned the X-ray', base: 'SCAN' },
+  SCARE: { pos: 'verb', definition: 'cause fear in', example: 'The stranger who hangs around the building frightens me' },
+  SCARF: { pos: 'noun', definition: 'a garment worn around the head or neck or shoulders for warmth or decoration' },
+  SCARY: { pos: 'adjective', definition: 'provoking fear terror', example: 'a scary movie' },
+  SCENE: { pos: 'noun', definition: 'the place where some action occurs', example: 'the police returned to the scene of the crime' },
+  SCENT: { pos: 'noun', definition: 'a distinctive odour that is pleasant' },
+  SCHMO: { pos: 'noun', definition: '(Yiddish) a jerk' },
+  SCOPE: { pos: 'noun', definition: 'an area in which something acts or operates or has power or control:', example: 'the range of a supersonic jet' },
+  SCORE: { pos: 'noun', definition: 'a number or letter indicating quality (especially of a student\'s performance)', example: 'she made good marks in algebra' },
+  SCORN: { pos: 'noun', definition: 'lack of respect accompanied by a feeling of intense dislike', example: 'he was held in contempt' },
+  SCOTS: { pos: 'noun', definition: 'a native or inhabitant of Scotland', base: 'SCOT' },
+  SCOUT: { pos: 'noun', definition: 'a person employed to keep watch for some anticipated event' },
+  SCOWL: { pos: 'noun', definition: 'a facial expression of dislike or displeasure' },
+  SCRAM: { pos: 'verb', definition: 'leave immediately', example: 'Scram!' },
+  SCRAP: { pos: 'noun', definition: 'a small fragment of something broken off from the whole', example: 'a bit of rock caught him in the eye' },
+  SCREE: { pos: 'noun', definition: 'a sloping mass of loose rocks at the base of a cliff' },
+  SCREW: { pos: 'noun', definition: 'someone who guards prisoners' },
+  SCRUB: { pos: 'verb', definition: 'clean with hard rubbing', example: 'She scrubbed his back' },
+  SCUBA: { pos: 'noun', definition: 'a device (trade name Aqua-Lung) that lets divers breathe under water' },
+  SCUFF: { pos: 'verb', definition: 'get or become scuffed', example: 'These patent leather shoes scuffed' },
+  SEALS: { pos: 'verb', definition: 'make tight', example: 'seal the windows', base: 'SEAL' },
+  SEAMS: { pos: 'noun', definition: 'a slight depression or fold in the smoothness of a surface', example: 'his face has many lines', base: 'SEAM' },
+  SEARS: { pos: 'verb', definition: 'make very hot and dry', example: 'The heat scorched the countryside', base: 'SEAR' },
+  SEATS: { pos: 'noun', definition: 'a space reserved for sitting (as in a theatre or on a train or aeroplane)', example: 'he booked their seats in advance', base: 'SEAT' },
+  SECCO: { pos: 'noun', definition: 'painting on dry plaster, as opposed to fresco', example: 'the chapel walls were painted in secco' },
+  SEDAN: { pos: 'noun', definition: 'a car that is closed and that has front and rear seats and two or four doors' },
+  SEEDS: { pos: 'noun', definition: 'a small hard fruit', base: 'SEED' },
+  SEEDY: { pos: 'adjective', definition: 'full of seeds', example: 'as seedy as a fig' },
+  SEEKS: { pos: 'verb', definition: 'try to get or reach', example: 'seek a position', base: 'SEEK' },
+  SEEMS: { pos: 'verb', definition: 'give a certain impression or have a certain outward aspect', example: 'She seems to be sleeping', base: 'SEEM' },
+  SEEPS: { pos: 'verb', definition: 'pass gradually or leak through or as if through small openings', base: 'SEEP' },
+  SELLS: { pos: 'verb', definition: 'exchange or deliver for money or its equivalent', example: 'He sold his house in January', base: 'SELL' },
+  SENDS: { pos: 'verb', definition: 'cause to go somewhere', example: 'The explosion sent the car flying in the air', base: 'SEND' },
+  SENSE: { pos: 'noun', definition: 'a general conscious awareness', example: 'a sense of security' },
+  SEPIA: { pos: 'noun', definition: 'a shade of brown with a tinge of red' },
+  SERVE: { pos: 'verb', definition: 'serve a purpose, role, or function', example: 'The tree stump serves as a table' },
+  SETUP: { pos: 'noun', definition: 'the way something is organised or arranged', example: 'it takes time to learn the setup around here' },
+  SEVEN: { pos: 'noun', definition: 'the cardinal number that is the sum of six and one' },
+  SEVER: { pos: 'verb', definition: 'set or keep apart', example: 'sever a relationship' },
+  SEWED: { pos: 'verb', definition: 'create (clothes) with cloth', example: 'Can the seamstress sew me a suit by next week?', base: 'SEW' },
+  SEWER: { pos: 'noun', definition: 'someone who sews', example: 'a sewer of fine gowns' },
+  SEXES: { pos: 'noun', definition: 'activities associated with sexual intercourse', example: 'they had sex in the back seat', base: 'SEX' },
+  SHACK: { pos: 'noun', definition: 'small crude shelter used as a dwelling' },
+  SHADE: { pos: 'noun', definition: 'relative darkness caused by light rays being intercepted by an opaque body', example: 'it is much cooler in the shade' },
+  SHADY: { pos: 'adjective', definition: 'quiet, dark, or concealed', example: 'her shady past intrigued him' },
+  SHAFT: { pos: 'noun', definition: 'an aggressive remark directed at a person like a missile and intended to have a telling effect', example: 'his parting shot was `drop dead\'' },
+  SHAGS: { pos: 'noun', definition: 'a matted tangle of hair or fibre', example: 'the dog\'s woolly shag', base: 'SHAG' },
+  SHAKE: { pos: 'verb', definition: 'move or cause to move back and forth', example: 'The chemist shook the flask vigorously' },
+  SHAKY: { pos: 'adjective', definition: 'inclined to shake as from weakness or defect', example: 'a rickety table' },
+  SHALE: { pos: 'noun', definition: 'a sedimentary rock formed by the deposition of successive layers of clay' },
+  SHALL: { pos: 'verb', definition: 'used to talk about the future or to make suggestions', example: 'shall we go for a walk?' },
+  SHAME: { pos: 'noun', definition: 'a state of dishonor', example: 'one mistake brought shame to all his family' },
+  SHANK: { pos: 'noun', definition: 'a cut of meat (beef or veal or mutton or lamb) from the upper part of the leg' },
+  SHAPE: { pos: 'noun', definition: 'any spatial attributes (especially as defined by outline)', example: 'he could barely make out their shapes' },
+  SHARD: { pos: 'noun', definition: 'a broken piece of a brittle artifact' },
+  SHARE: { pos: 'verb', definition: 'have in common', example: 'Our children share a love of music' },
+  SHARK: { pos: 'noun', definition: 'any of numerous elongate mostly marine carnivorous fishes with heterocercal caudal fins and tough skin covered with small toothlike scales' },
+  SHARP: { pos: 'adjective', definition: '(of something seen or heard) clearly defined', example: 'a sharp photographic image' },
+  SHAVE: { pos: 'verb', definition: 'cut closely', example: 'trim my beard' },
+  SHAWL: { pos: 'noun', definition: 'cloak consisting of an oblong piece of cloth used to cover the head and shoulders' },
+  SHEDS: { pos: 'verb', definition: 'get rid of', example: 'he shed his image as a pushy boss', base: 'SHED' },
+  SHEEP: { pos: 'noun', definition: 'woolly usually horned ruminant mammal related to the goat' },
+  SHEER: { pos: 'adjective', definition: 'complete and without restriction or qualification', example: 'absolute freedom' },
+  SHEET: { pos: 'noun', definition: 'any broad thin expanse or surface', example: 'a sheet of ice' },
+  SHELF: { pos: 'noun', definition: 'a support that consists of a horizontal surface for holding objects' },
+  SHELL: { pos: 'noun', definition: 'ammunition consisting of a cylindrical metal casing containing an explosive charge and a projectile' },
+  SHIFT: { pos: 'verb', definition: 'make a shift in or exchange of', example: 'First Joe led; then we switched' },
+  SHINE: { pos: 'verb', definition: 'be bright by reflecting or casting light', example: 'Drive carefully--the wet road reflects' },
+  SHINY: { pos: 'adjective', definition: 'reflecting light', example: 'glistening bodies of swimmers' },
+  SHIPS: { pos: 'noun', definition: 'a vessel that carries passengers or freight', base: 'SHIP' },
+  SHIRT: { pos: 'noun', definition: 'a garment worn on the upper half of the body' },
+  SHOCK: { pos: 'noun', definition: 'the feeling of distress and disbelief that you have when something bad happens accidentally', example: 'his mother\'s death left him in a daze' },
+  SHOED: { pos: 'adjective', definition: 'wearing footgear' },
+  SHOES: { pos: 'noun', definition: 'a particular situation', example: 'If you were in my place what would you do?' },
+  SHONE: { pos: 'verb', definition: 'be bright by reflecting or casting light', example: 'Drive carefully--the wet road reflects', base: 'SHINE' },
+  SHOOK: { pos: 'noun', definition: 'a disassembled barrel' },
+  SHOOT: { pos: 'verb', definition: 'hit with a missile from a weapon' },
+  SHOPS: { pos: 'noun', definition: 'a mercantile establishment for the retail sale of goods or services', example: 'he bought it at a shop on Cape Cod', base: 'SHOP' },
+  SHORE: { pos: 'noun', definition: 'the land along the edge of a body of water' },
+  SHORN: { pos: 'adjective', definition: 'having the hair or wool cut or clipped off as if with shears or clippers', example: 'picked up the baby\'s shorn curls from the floor' },
+  SHORT: { pos: 'adjective', definition: 'primarily temporal sense', example: 'a short life' },
+  SHOTS: { pos: 'noun', definition: 'the act of firing a projectile', example: 'his shooting was slow but accurate', base: 'SHOT' },
+  SHOUT: { pos: 'verb', definition: 'utter in a loud voice', example: 'My grandmother is hard of hearing--you\'ll have to shout' },
+  SHOVE: { pos: 'verb', definition: 'come into rough contact with while moving', example: 'The passengers jostled each other in the overcrowded train' },
+  SHOWN: { pos: 'verb', definition: 'give an exhibition of to an interested audience', example: 'She shows her dogs frequently', base: 'SHOW' },
+  SHOWS: { pos: 'verb', definition: 'give an exhibition of to an interested audience', example: 'She shows her dogs frequently', base: 'SHOW' },
+  SHOWY: { pos: 'adjective', definition: 'marked by ostentation but often tasteless', example: 'a cheap showy rhinestone bracelet' },
+  SHRED: { pos: 'noun', definition: 'a tiny or scarcely detectable amount' },
+  SHREW: { pos: 'noun', definition: 'a scolding nagging bad-tempered woman' },
+  SHRUB: { pos: 'noun', definition: 'a low woody perennial plant usually having several major stems' },
+  SHRUG: { pos: 'noun', definition: 'a gesture involving the shoulders' },
+  SHUCK: { pos: 'noun', definition: 'material consisting of seed coverings and small pieces of stem or leaves that have been separated from the seeds' },
+  SHUNS: { pos: 'verb', definition: 'avoid and stay away from deliberately', base: 'SHUN' },
+  SHUSH: { pos: 'verb', definition: 'silence (someone) by uttering `shush!\'' },
+  SHUTS: { pos: 'verb', definition: 'move so that an opening or passage is obstructed', example: 'Close the door', base: 'SHUT' },
+  SIDED: { pos: 'verb', definition: 'take sides for or against', example: 'Who are you siding with?', base: 'SIDE' },
+  SIDES: { pos: 'noun', definition: 'a place within a region identified relative to a centre or reference location', example: 'they always sat on the right side of the church', base: 'SIDE' },
+  SIEGE: { pos: 'noun', definition: 'the action of an armed force that surrounds a fortified place and isolates it while continuing to attack' },
+  SIGHT: { pos: 'noun', definition: 'an instance of visual perception', example: 'the sight of his wife brought him back to reality' },
+  SIGMA: { pos: 'noun', definition: 'the 18th letter of the Greek alphabet' },
+  SIGNS: { pos: 'noun', definition: 'a perceptible indication of something not immediately apparent (as a visible clue that something has happened)', example: 'he showed signs of strain', base: 'SIGN' },
+  SILKS: { pos: 'noun', definition: 'a fabric made from the fine threads produced by certain insect larvae', base: 'SILK' },
+  SILKY: { pos: 'adjective', definition: 'having a smooth, gleaming surface reflecting light', example: 'glossy auburn hair' },
+  SILLY: { pos: 'adjective', definition: 'ludicrous, foolish', example: 'wore a goofy hat' },
+  SILOS: { pos: 'noun', definition: 'a cylindrical tower used for storing silage', base: 'SILO' },
+  SILTS: { pos: 'noun', definition: 'mud or clay or small rocks deposited by a river or lake', base: 'SILT' },
+  SINCE: { pos: 'preposition', definition: 'from a time in the past until now', example: 'I have lived here since 2010' },
+  SINES: { pos: 'verb', definition: 'commit a faux pas or a fault or make a serious mistake', example: 'I blundered during the job interview', base: 'SIN' },
+  SINGS: { pos: 'verb', definition: 'deliver by singing', example: 'Sing Christmas carols', base: 'SING' },
+  SINKS: { pos: 'verb', definition: 'fall or descend to a lower place or level', example: 'He sank to his knees', base: 'SINK' },
+  SINUS: { pos: 'noun', definition: 'an abnormal passage leading from a suppurating cavity to the body surface' },
+  SIRED: { pos: 'verb', definition: 'make (offspring) by reproduction', example: 'Abraham begot Isaac', base: 'SIRE' },
+  SIREN: { pos: 'noun', definition: 'a sea nymph (part woman and part bird) supposed to lure sailors to destruction on the rocks where the nymphs lived', example: 'Odysseus ordered his crew to plug their ears so they would not hear the Siren\'s fatal song' },
+  SIRES: { pos: 'verb', definition: 'make (offspring) by reproduction', example: 'Abraham begot Isaac', base: 'SIRE' },
+  SISSY: { pos: 'noun', definition: 'a timid man or boy considered childish or unassertive' },
+  SITED: { pos: 'verb', definition: 'be around, often idly or without specific purpose', example: 'The object sat in the corner', base: 'SIT' },
+  SITES: { pos: 'verb', definition: 'be around, often idly or without specific purpose', example: 'The object sat in the corner', base: 'SIT' },
+  SIXTH: { pos: 'adjective', definition: 'coming next after the fifth and just before the seventh in position' },
+  SIXTY: { pos: 'adjective', definition: 'being ten more than fifty' },
+  SIZED: { pos: 'adjective', definition: 'having a specified size' },
+  SIZES: { pos: 'noun', definition: 'the physical magnitude of something (how big it is)', example: 'a wolf is about the size of a large dog', base: 'SIZE' },
+  SKATE: { pos: 'noun', definition: 'sports equipment that is worn on the feet to enable the wearer to glide along and to be propelled by the alternate actions of the legs' },
+  SKEWS: { pos: 'verb', definition: 'turn or place at an angle', example: 'the lines on the sheet of paper are skewed', base: 'SKEW' },
+  SKIER: { pos: 'noun', definition: 'someone who skis' },
+  SKIES: { pos: 'noun', definition: 'the atmosphere and outer space as viewed from the earth', base: 'SKY' },
+  SKIFF: { pos: 'noun', definition: 'any of various small boats propelled by oars or by sails or by a motor' },
+  SKILL: { pos: 'noun', definition: 'ability to produce solutions in some problem domain', example: 'the skill of a well-trained boxer' },
+  SKIMP: { pos: 'verb', definition: 'work hastily or carelessly' },
+  SKINS: { pos: 'noun', definition: 'a natural protective body covering and site of the sense of touch', example: 'your skin is the largest organ of your body', base: 'SKIN' },
+  SKIPS: { pos: 'verb', definition: 'bypass', example: 'He skipped a row in the text and so the sentence was incomprehensible', base: 'SKIP' },
+  SKIRT: { pos: 'noun', definition: 'cloth covering that forms the part of a garment below the waist' },
+  SKITS: { pos: 'noun', definition: 'a short theatrical episode', base: 'SKIT' },
+  SKULK: { pos: 'verb', definition: 'lie in wait, lie in ambush, behave in a sneaky and secretive manner' },
+  SKULL: { pos: 'noun', definition: 'the bony skeleton of the head of vertebrates' },
+  SKUNK: { pos: 'noun', definition: 'a person who is deemed to be despicable or contemptible', example: 'only a rotter would do that' },
+  SLABS: { pos: 'noun', definition: 'block consisting of a thick piece of something', base: 'SLAB' },
+  SLACK: { pos: 'adjective', definition: 'not tense or taut', example: 'the old man\'s skin hung loose and grey' },
+  SLAIN: { pos: 'noun', definition: 'people who have been slain (as in battle)' },
+  SLAMS: { pos: 'verb', definition: 'close violently', example: 'He slammed the door shut', base: 'SLAM' },
+  SLANG: { pos: 'noun', definition: 'informal language consisting of words and expressions that are not considered appropriate for formal occasions', example: 'their speech was full of slang expressions' },
+  SLANT: { pos: 'noun', definition: 'degree of deviation from a horizontal plane', example: 'the roof had a steep pitch' },
+  SLASH: { pos: 'verb', definition: 'beat severely with a whip or rod', example: 'The teacher often flogged the students' },
+  SLATE: { pos: 'noun', definition: '(formerly) a writing tablet made of slate' },
+  SLATS: { pos: 'noun', definition: 'a thin strip (wood or metal)', base: 'SLAT' },
+  SLAVE: { pos: 'noun', definition: 'a person who is owned by someone' },
+  SLAYS: { pos: 'verb', definition: 'kill intentionally and with premeditation', example: 'The mafia boss ordered his enemies murdered', base: 'SLAY' },
+  SLEDS: { pos: 'noun', definition: 'a vehicle mounted on runners and pulled by horses or dogs', base: 'SLED' },
+  SLEEK: { pos: 'verb', definition: 'make slick or smooth' },
+  SLEEP: { pos: 'noun', definition: 'a natural and periodic state of rest during which consciousness of the world is suspended', example: 'he didn\'t get enough sleep last night' },
+  SLEET: { pos: 'noun', definition: 'partially melted snow (or a mixture of rain and snow)' },
+  SLEPT: { pos: 'verb', definition: 'be able to accommodate for sleeping', example: 'This tent sleeps six people', base: 'SLEEP' },
+  SLICE: { pos: 'noun', definition: 'a share of something', example: 'a slice of the company\'s revenue' },
+  SLICK: { pos: 'noun', definition: 'a slippery smoothness', example: 'he could feel the slickness of the tiller' },
+  SLIDE: { pos: 'noun', definition: 'a small flat rectangular piece of glass on which specimens can be mounted for microscopic study' },
+  SLIME: { pos: 'verb', definition: 'cover or stain with slime', example: 'The snake slimed his victim' },
+  SLIMY: { pos: 'adjective', definition: 'covered with or resembling slime', example: 'a slimy substance covered the rocks' },
+  SLING: { pos: 'verb', definition: 'hurl as if with a sling' },
+  SLINK: { pos: 'verb', definition: 'walk stealthily', example: 'I saw a cougar slinking towards its prey' },
+  SLIPS: { pos: 'verb', definition: 'move stealthily', example: 'The ship slipped away in the darkness', base: 'SLIP' },
+  SLITS: { pos: 'noun', definition: 'a long narrow opening', base: 'SLIT' },
+  SLOBS: { pos: 'noun', definition: 'a coarse obnoxious person', base: 'SLOB' },
+  SLOPE: { pos: 'noun', definition: 'an elevated geological formation', example: 'he climbed the steep slope' },
+  SLOPS: { pos: 'verb', definition: 'cause or allow (a liquid substance) to run or flow from a container', example: 'spill the milk', base: 'SLOP' },
+  SLOTS: { pos: 'noun', definition: 'a position in a grammatical linguistic construction in which a variety of alternative units are interchangeable', example: 'he developed a version of slot grammar', base: 'SLOT' },
+  SLOWS: { pos: 'verb', definition: 'lose velocity', example: 'The car decelerated', base: 'SLOW' },
+  SLUGS: { pos: 'noun', definition: 'a projectile that is fired from a gun', base: 'SLUG' },
+  SLUMP: { pos: 'verb', definition: 'fall or sink heavily', example: 'He slumped onto the couch' },
+  SLUNG: { pos: 'verb', definition: 'hurl as if with a sling', base: 'SLING' },
+  SLUNK: { pos: 'verb', definition: 'walk stealthily', example: 'I saw a cougar slinking towards its prey', base: 'SLINK' },
+  SLURP: { pos: 'verb', definition: 'eat noisily', example: 'He slurped his soup' },
+  SLUSH: { pos: 'noun', definition: 'partially melted snow' },
+  SLUTS: { pos: 'noun', definition: 'a dirty untidy woman', base: 'SLUT' },
+  SMALL: { pos: 'adjective', definition: 'limited or below average in number or quantity or magnitude or extent', example: 'a little dining room' },
+  SMART: { pos: 'adjective', definition: 'elegant and stylish', example: 'chic elegance' },
+  SMASH: { pos: 'verb', definition: 'hit hard', example: 'He smashed a 3-run homer' },
+  SMEAR: { pos: 'noun', definition: 'slanderous defamation' },
+  SMELL: { pos: 'noun', definition: 'the sensation that results when olfactory receptors in the nose are stimulated by particular chemicals in gaseous form', example: 'she loved the smell of roses' },
+  SMELT: { pos: 'noun', definition: 'small cold-water silvery fish' },
+  SMILE: { pos: 'noun', definition: 'a facial expression characterized by turning up the corners of the mouth' },
+  SMIRK: { pos: 'verb', definition: 'smile affectedly or derisively' },
+  SMITH: { pos: 'noun', definition: 'Rhodesian statesman who declared independence of Zimbabwe from Great Britain (born in 1919)' },
+  SMOCK: { pos: 'noun', definition: 'a loose coverall (coat or frock) reaching down to the ankles' },
+  SMOKE: { pos: 'noun', definition: 'a hot vapour containing fine particles of carbon being produced by combustion', example: 'the fire produced a tower of black smoke that could be seen for miles' },
+  SMOKY: { pos: 'adjective', definition: 'marked by or emitting or filled with smoke', example: 'smoky rafters' },
+  SMOTE: { pos: 'verb', definition: 'affect suddenly with deep feeling', example: 'He was smitten with love for this young girl', base: 'SMITE' },
+  SNACK: { pos: 'noun', definition: 'a light informal meal' },
+  SNAGS: { pos: 'verb', definition: 'catch on a snag', example: 'I snagged my stocking', base: 'SNAG' },
+  SNAIL: { pos: 'noun', definition: 'freshwater or marine or terrestrial gastropod mollusk usually having an external enclosing spiral shell' },
+  SNAKE: { pos: 'noun', definition: 'limbless scaly elongate reptile' },
+  SNAKY: { pos: 'adjective', definition: 'resembling a serpent in form', example: 'a serpentine wall' },
+  SNAPS: { pos: 'verb', definition: 'utter in an angry, sharp, or abrupt tone', example: 'The sales clerk snapped a reply at the angry customer', base: 'SNAP' },
+  SNARE: { pos: 'noun', definition: 'something (often something deceptively attractive) that catches you unawares', example: 'the exam was full of trap questions' },
+  SNARL: { pos: 'noun', definition: 'a vicious angry growl' },
+  SNEAK: { pos: 'verb', definition: 'to go stealthily or furtively', example: '..stead of sneaking around spying on the neighbour\'s house' },
+  SNEER: { pos: 'verb', definition: 'express through a scornful smile', example: 'she sneered her contempt' },
+  SNIDE: { pos: 'adjective', definition: 'expressive of contempt', example: 'curled his lip in a supercilious smile' },
+  SNIFF: { pos: 'verb', definition: 'perceive by inhaling through the nose', example: 'sniff the perfume' },
+  SNIPS: { pos: 'noun', definition: 'a small piece of anything (especially a piece that has been snipped off)', base: 'SNIP' },
+  SNOBS: { pos: 'noun', definition: 'a person regarded as arrogant and annoying', base: 'SNOB' },
+  SNORE: { pos: 'verb', definition: 'breathe noisily during one\'s sleep', example: 'she complained that her husband snores' },
+  SNORT: { pos: 'verb', definition: 'indicate contempt by breathing noisily and forcefully through the nose', example: 'she snorted her disapproval of the proposed bridegroom' },
+  SNOUT: { pos: 'noun', definition: 'a long projecting or anterior elongation of an animal\'s head' },
+  SNOWY: { pos: 'adjective', definition: 'marked by the presence of snow', example: 'a white Christmas' },
+  SNUBS: { pos: 'verb', definition: 'refuse to acknowledge', example: 'She cut him dead at the meeting', base: 'SNUB' },
+  SNUCK: { pos: 'verb', definition: 'to go stealthily or furtively', example: '..stead of sneaking around spying on the neighbour\'s house', base: 'SNEAK' },
+  SNUFF: { pos: 'noun', definition: 'the charred portion of a candlewick' },
+  SNUGS: { pos: 'noun', definition: 'a small secluded room', base: 'SNUG' },
+  SOAPY: { pos: 'adjective', definition: 'resembling or having the qualities of soap', example: 'a soapy consistency' },
+  SOARS: { pos: 'verb', definition: 'rise rapidly', example: 'the dollar soared against the yen', base: 'SOAR' },
+  SOBER: { pos: 'adjective', definition: 'dignified and sombre in manner or character and committed to keeping promises', example: 'a grave God-fearing man' },
+  SOCKS: { pos: 'noun', definition: 'hosiery consisting of a cloth covering for the foot', base: 'SOCK' },
+  SODAS: { pos: 'noun', definition: 'a sweet drink containing carbonated water and flavoring', example: 'in New England they call sodas tonics', base: 'SODA' },
+  SOFAS: { pos: 'noun', definition: 'an upholstered seat for more than one person', base: 'SOFA' },
+  SOLAR: { pos: 'adjective', definition: 'relating to or derived from the sun or utilizing the energies of the sun', example: 'solar eclipse' },
+  SOLED: { pos: 'adjective', definition: 'having a sole or soles especially as specified', example: 'half-soled' },
+  SOLES: { pos: 'noun', definition: 'the underside of footwear or a golf club', base: 'SOLE' },
+  SOLID: { pos: 'adjective', definition: 'characterized by good substantial quality', example: 'solid comfort' },
+  SOLVE: { pos: 'verb', definition: 'find the solution to (a problem or question) or understand the meaning of', example: 'did you solve the problem?' },
+  SONAR: { pos: 'noun', definition: 'a measuring instrument that sends out an acoustic pulse in water and measures distances in terms of the time for the echo of the pulse to return', example: 'sonar is an acronym for sound navigation ranging' },
+  SONGS: { pos: 'noun', definition: 'a short musical composition with words', example: 'a successful musical must have at least three good songs', base: 'SONG' },
+  SONIC: { pos: 'adjective', definition: '(of speed) having or caused by speed approximately equal to that of sound in air at sea level', example: 'a sonic boom' },
+  SOOTY: { pos: 'adjective', definition: 'covered with or as if with soot', example: 'a sooty chimney' },
+  SORRY: { pos: 'adjective', definition: 'feeling or expressing regret or sorrow or a sense of loss over something done or undone', example: 'felt regretful over his vanished youth' },
+  SORTS: { pos: 'noun', definition: 'a category of things distinguished by some common characteristic or quality', example: 'sculpture is a form of art', base: 'SORT' },
+  SOULS: { pos: 'noun', definition: 'a human being', example: 'there was too much for one person to do', base: 'SOUL' },
+  SOUND: { pos: 'noun', definition: 'the particular auditory effect produced by a given cause', example: 'the sound of rain on the roof' },
+  SOUPS: { pos: 'noun', definition: 'liquid food especially of meat or fish or vegetable stock often containing pieces of solid food', base: 'SOUP' },
+  SOUPY: { pos: 'adjective', definition: 'having the consistency and appearance of soup', example: 'a soupy fog' },
+  SOURS: { pos: 'verb', definition: 'go sour or spoil', example: 'The milk has soured', base: 'SOUR' },
+  SOUTH: { pos: 'noun', definition: 'the region of the United States lying to the south of the Mason-Dixon line' },
+  SOWED: { pos: 'verb', definition: 'place (seeds) in or on the ground for future growth', example: 'She sowed sunflower seeds', base: 'SOW' },
+  SPACE: { pos: 'noun', definition: 'the unlimited expanse in which everything is located', example: 'they tested his ability to locate objects in space' },
+  SPADE: { pos: 'noun', definition: 'a playing card in the major suit that has one or more black figures on it', example: 'she led a low spade' },
+  SPAMS: { pos: 'noun', definition: 'a canned meat made largely from pork', base: 'SPAM' },
+  SPANK: { pos: 'noun', definition: 'a slap with the flat of the hand' },
+  SPANS: { pos: 'noun', definition: 'the complete duration of something', example: 'the job was finished in the span of an hour', base: 'SPAN' },
+  SPARE: { pos: 'verb', definition: 'save or relieve from an experience or action', example: 'I\'ll spare you from having to apologize formally' },
+  SPARK: { pos: 'noun', definition: 'merriment expressed by a brightness or gleam or animation of countenance', example: 'he had a sparkle in his eye' },
+  SPARS: { pos: 'noun', definition: 'any of various nonmetallic minerals (calcite or feldspar) that are light in colour and transparent or translucent and cleavable', base: 'SPAR' },
+  SPASM: { pos: 'noun', definition: 'a painful and involuntary muscular contraction' },
+  SPAWN: { pos: 'noun', definition: 'the mass of eggs deposited by fish or amphibians or molluscs' },
+  SPEAK: { pos: 'verb', definition: 'express in speech', example: 'She talks a lot of nonsense' },
+  SPEAR: { pos: 'noun', definition: 'a long pointed rod used as a tool or weapon' },
+  SPECS: { pos: 'noun', definition: '(plural) optical instrument consisting of a frame that holds a pair of lenses for correcting defective vision' },
+  SPEED: { pos: 'verb', definition: 'move hurridly', example: 'He rushed down the hall to receive his guests' },
+  SPELL: { pos: 'noun', definition: 'a time period for working (after which you will be relieved by someone else)', example: 'it\'s my go' },
+  SPEND: { pos: 'verb', definition: 'use up a period of time in a specific way', example: 'how are you spending your summer vacation?' },
+  SPENT: { pos: 'adjective', definition: 'depleted of energy, force, or strength', example: 'impossible to grow tobacco on the exhausted soil' },
+  SPICE: { pos: 'noun', definition: 'aromatic substances of vegetable origin used as a preservative' },
+  SPICY: { pos: 'adjective', definition: 'producing a burning sensation on the taste nerves', example: 'hot salsa' },
+  SPIED: { pos: 'verb', definition: 'catch sight of', base: 'SPY' },
+  SPIES: { pos: 'verb', definition: 'catch sight of', base: 'SPY' },
+  SPIKE: { pos: 'noun', definition: 'sports equipment consisting of a sharp point on the sole of a shoe worn by athletes', example: 'spikes provide greater traction' },
+  SPIKY: { pos: 'adjective', definition: 'having or as if having especially high-pitched spots', example: 'absence of peaky highs and beefed-up bass' },
+  SPILL: { pos: 'verb', definition: 'cause or allow (a liquid substance) to run or flow from a container', example: 'spill the milk' },
+  SPILT: { pos: 'verb', definition: 'cause or allow (a liquid substance) to run or flow from a container', example: 'spill the milk', base: 'SPILL' },
+  SPINE: { pos: 'noun', definition: 'the series of vertebrae forming the axis of the skeleton and protecting the spinal cord', example: 'the fall broke his back' },
+  SPINS: { pos: 'verb', definition: 'revolve quickly and repeatedly around one\'s own axis', example: 'The dervishes whirl around and around without getting dizzy', base: 'SPIN' },
+  SPINY: { pos: 'adjective', definition: 'having spines', example: 'the dorsal fin is spinous' },
+  SPIRE: { pos: 'noun', definition: 'a tall tower that forms the superstructure of a building (usually a church or temple) and that tapers to a point at the top' },
+  SPITS: { pos: 'verb', definition: 'expel or eject (saliva or phlegm or sputum) from the mouth', example: 'The father of the victim spat at the alleged murderer', base: 'SPIT' },
+  SPLIT: { pos: 'verb', definition: 'separate into parts or portions', example: 'divide the cake into three equal parts' },
+  SPOIL: { pos: 'verb', definition: 'make a mess of, destroy or ruin', example: 'I botched the dinner and we had to eat out' },
+  SPOKE: { pos: 'noun', definition: 'support consisting of a radial member of a wheel joining the hub to the rim' },
+  SPOOF: { pos: 'noun', definition: 'a composition that imitates or misrepresents somebody\'s style, usually in a humorous way' },
+  SPOOK: { pos: 'noun', definition: 'a mental representation of some haunting experience', example: 'he looked like he had seen a ghost' },
+  SPOOL: { pos: 'noun', definition: 'a winder around which thread or tape or film or other flexible materials can be wound' },
+  SPOON: { pos: 'noun', definition: 'as much as a spoon will hold', example: 'he added two spoons of sugar' },
+  SPORE: { pos: 'noun', definition: 'a small usually single-celled asexual reproductive body produced by many nonflowering plants and fungi and some bacteria and protozoans and that are capable of developing into a new individual without sexual fusion', example: 'a sexual spore is formed after the fusion of gametes' },
+  SPORT: { pos: 'noun', definition: 'an active diversion requiring physical exertion and competition' },
+  SPOTS: { pos: 'noun', definition: 'a point located with respect to surface features of some region', example: 'this is a nice place for a picnic', base: 'SPOT' },
+  SPOUT: { pos: 'verb', definition: 'gush forth in a sudden stream or jet', example: 'water gushed forth' },
+  SPRAY: { pos: 'noun', definition: 'a quantity of small objects flying through the air', example: 'a spray of bullets' },
+  SPREE: { pos: 'noun', definition: 'a brief indulgence of your impulses' },
+  SPRIG: { pos: 'noun', definition: 'a small branch or division of a branch (especially a terminal division)' },
+  SPUNK: { pos: 'noun', definition: 'the courage to carry on', example: 'he kept fighting on pure spunk' },
+  SPURS: { pos: 'noun', definition: 'a verbalization that encourages you to attempt something', example: 'the ceaseless prodding got on his nerves', base: 'SPUR' },
+  SQUAD: { pos: 'noun', definition: 'a smallest army unit' },
+  SQUAT: { pos: 'verb', definition: 'sit on one\'s heels', example: 'In some cultures, the women give birth while squatting' },
+  SQUIB: { pos: 'noun', definition: 'firework consisting of a tube filled with powder (as a broken firecracker) that burns with a fizzing noise' },
+  STACK: { pos: 'noun', definition: '(often followed by `of\') a large number or amount or extent', example: 'a batch of letters' },
+  STAFF: { pos: 'noun', definition: 'personnel who assist their superior in carrying out an assigned task', example: 'the hospital has an excellent nursing staff' },
+  STAGE: { pos: 'noun', definition: 'any distinct time period in a sequence of events', example: 'we are in a transitional stage in which many former ideas must be revised or rejected' },
+  STAGS: { pos: 'noun', definition: 'a male deer, especially an adult male red deer', base: 'STAG' },
+  STAID: { pos: 'adjective', definition: 'characterized by dignity and propriety' },
+  STAIN: { pos: 'noun', definition: 'a soiled or discolored appearance', example: 'the wine left a dark stain' },
+  STAIR: { pos: 'noun', definition: 'support consisting of a place to rest the foot while ascending or descending a stairway', example: 'he paused on the bottom step' },
+  STAKE: { pos: 'noun', definition: '(law) a right or legal share of something', example: 'they have interests all over the world' },
+  STALE: { pos: 'adjective', definition: 'lacking freshness, palatability, or showing deterioration from age', example: 'stale bread' },
+  STALK: { pos: 'verb', definition: 'follow stealthily or recur constantly and spontaneously to', example: 'her ex-boyfriend stalked her' },
+  STALL: { pos: 'noun', definition: 'a compartment in a stable where a single animal is confined and fed' },
+  STAMP: { pos: 'verb', definition: 'walk heavily', example: 'The men stomped through the snow in their heavy boots' },
+  STAND: { pos: 'verb', definition: 'be standing', example: 'We had to stand for the entire performance!' },
+  STANK: { pos: 'verb', definition: 'be extremely bad in quality or in one\'s performance', example: 'This term paper stinks!', base: 'STINK' },
+  STAPH: { pos: 'noun', definition: 'spherical Gram-positive parasitic bacteria that tend to form irregular colonies' },
+  STARE: { pos: 'verb', definition: 'look at with fixed eyes', example: 'The students stared at the teacher with amazement' },
+  STARK: { pos: 'adjective', definition: 'devoid of any qualifications or disguise or adornment', example: 'the blunt truth' },
+  STARS: { pos: 'noun', definition: '(astronomy) a celestial body of hot gases that radiates energy derived from thermonuclear reactions in the interior', base: 'STAR' },
+  START: { pos: 'verb', definition: 'take the first step or steps in carrying out an action', example: 'We began working at dawn' },
+  STASH: { pos: 'noun', definition: 'a secret store of valuables or money' },
+  STATE: { pos: 'noun', definition: 'the territory occupied by one of the constituent administrative districts of a nation', example: 'his state is in the deep south' },
+  STATS: { pos: 'noun', definition: 'statistics; figures showing facts about something', example: 'check the stats after the match' },
+  STAYS: { pos: 'verb', definition: 'stay the same', example: 'The dress remained wet after repeated attempts to dry it', base: 'STAY' },
+  STEAD: { pos: 'noun', definition: 'the post or function properly or customarily occupied or served by another', example: 'can you go in my stead?' },
+  STEAK: { pos: 'noun', definition: 'a slice of meat cut from the fleshy part of an animal or large fish' },
+  STEAL: { pos: 'verb', definition: 'take without the owner\'s consent', example: 'Someone stole my wallet on the train' },
+  STEAM: { pos: 'verb', definition: 'travel by means of steam power', example: 'The ship steamed off into the Pacific' },
+  STEED: { pos: 'noun', definition: '(literary) a spirited horse for state of war' },
+  STEEL: { pos: 'noun', definition: 'an alloy of iron with small amounts of carbon' },
+  STEEP: { pos: 'verb', definition: 'devote (oneself) fully to', example: 'He immersed himself into his studies' },
+  STEER: { pos: 'verb', definition: 'direct (oneself) somewhere', example: 'Steer clear of him' },
+  STEMS: { pos: 'noun', definition: '(linguistics) the form of a word after all affixes are removed', example: 'thematic vowels are part of the stem', base: 'STEM' },
+  STEPS: { pos: 'noun', definition: 'any maneuver made as part of progress towards a goal', example: 'the situation called for strong measures', base: 'STEP' },
+  STERN: { pos: 'adjective', definition: 'of a stern or strict bearing or demeanor', example: 'an austere expression' },
+  STICK: { pos: 'noun', definition: 'an implement consisting of a length of wood', example: 'he collected dry sticks for a campfire' },
+  STIFF: { pos: 'adjective', definition: 'not moving or operating freely', example: 'a stiff hinge' },
+  STILL: { pos: 'adjective', definition: 'not in physical motion', example: 'the inertia of an object at rest' },
+  STILT: { pos: 'noun', definition: 'one of two stout poles with foot rests in the middle', example: 'he was so tall I thought he was on stilts' },
+  STING: { pos: 'verb', definition: 'cause a sharp or stinging pain or discomfort', example: 'The sun burned his face' },
+  STINK: { pos: 'verb', definition: 'be extremely bad in quality or in one\'s performance', example: 'This term paper stinks!' },
+  STINT: { pos: 'noun', definition: 'an unbroken period of time during which you do something', example: 'there were stretches of boredom' },
+  STIRS: { pos: 'verb', definition: 'move an implement through', example: 'stir the soup', base: 'STIR' },
+  STOCK: { pos: 'noun', definition: 'the capital raised by a corporation through the issue of shares entitling holders to an ownership interest (equity)', example: 'he owns a controlling share of the company\'s stock' },
+  STOIC: { pos: 'noun', definition: 'a member of the ancient Greek school of philosophy founded by Zeno', example: 'a Stoic achieves happiness by submission to destiny' },
+  STOKE: { pos: 'verb', definition: 'stir up or tend' },
+  STOLE: { pos: 'noun', definition: 'a wide scarf worn about their shoulders by women' },
+  STOMP: { pos: 'verb', definition: 'walk heavily', example: 'The men stomped through the snow in their heavy boots' },
+  STONE: { pos: 'noun', definition: 'a lump or mass of hard consolidated mineral matter', example: 'he threw a rock at me' },
+  STONY: { pos: 'adjective', definition: 'abounding in rocks or stones', example: 'rocky fields' },
+  STOOD: { pos: 'verb', definition: 'be standing', example: 'We had to stand for the entire performance!', base: 'STAND' },
+  STOOL: { pos: 'noun', definition: 'a simple seat without a back or arms' },
+  STOOP: { pos: 'noun', definition: 'an inclination of the top half of the body forward and downward' },
+  STOPS: { pos: 'verb', definition: 'come to a halt, stop moving', example: 'the car stopped', base: 'STOP' },
+  STORE: { pos: 'noun', definition: 'a mercantile establishment for the retail sale of goods or services', example: 'he bought it at a shop on Cape Cod' },
+  STORK: { pos: 'noun', definition: 'large mostly Old World wading birds typically having white-and-black plumage' },
+  STORM: { pos: 'noun', definition: 'a violent commotion or disturbance', example: 'the storms that had characterized their relationship had died away' },
+  STORY: { pos: 'noun', definition: 'a message that tells the particulars of an act or occurrence or course of events', example: 'his narrative was interesting' },
+  STOUT: { pos: 'adjective', definition: 'dependable', example: 'the stalwart citizens at Lexington' },
+  STOVE: { pos: 'noun', definition: 'a kitchen appliance used for cooking food', example: 'dinner was already on the stove' },
+  STRAP: { pos: 'noun', definition: 'an elongated leather strip (or a strip of similar material) for binding things together or holding something in position' },
+  STRAW: { pos: 'noun', definition: 'plant fibre used e.g. for making baskets and hats or as fodder' },
+  STRAY: { pos: 'verb', definition: 'move about aimlessly or without any destination, often in search of food or employment', example: 'The gypsies roamed the woods' },
+  STRIP: { pos: 'verb', definition: 'take away possessions from someone', example: 'The Nazis stripped the Jews of all their assets' },
+  STUCK: { pos: 'adjective', definition: 'caught or fixed', example: 'stuck in the mud' },
+  STUDS: { pos: 'verb', definition: 'scatter or intersperse like dots or studs', example: 'Hills constellated with lights', base: 'STUD' },
+  STUFF: { pos: 'noun', definition: 'the tangible substance that goes into the makeup of a physical object', example: 'coal is a hard black material' },
+  STUMP: { pos: 'noun', definition: 'the base part of a tree that remains standing after the tree has been felled' },
+  STUNG: { pos: 'adjective', definition: 'aroused to impatience or anger', example: 'made an irritated gesture' },
+  STUNK: { pos: 'verb', definition: 'be extremely bad in quality or in one\'s performance', example: 'This term paper stinks!', base: 'STINK' },
+  STUNT: { pos: 'noun', definition: 'a difficult or unusual or dangerous feat' },
+  STYLE: { pos: 'noun', definition: 'how something is done or how it happens', example: 'her dignified manner' },
+  SUAVE: { pos: 'adjective', definition: 'having a sophisticated charm', example: 'a debonair gentleman' },
+  SUGAR: { pos: 'noun', definition: 'a white crystalline carbohydrate used as a sweetener and preservative' },
+  SUITE: { pos: 'noun', definition: 'a musical composition of several movements only loosely connected' },
+  SUITS: { pos: 'verb', definition: 'be agreeable or acceptable to', example: 'This suits my needs', base: 'SUIT' },
+  SULKS: { pos: 'noun', definition: 'a mood or display of sullen aloofness or withdrawal', example: 'stayed home in a sulk', base: 'SULK' },
+  SULKY: { pos: 'noun', definition: 'a light two-wheeled vehicle for one person' },
+  SULLY: { pos: 'noun', definition: 'United States painter (born in England) of portraits and historical scenes (1783-1872)' },
+  SUMER: { pos: 'noun', definition: 'an area in the southern region of Babylonia in present-day Iraq' },
+  SUNNY: { pos: 'adjective', definition: 'bright and pleasant', example: 'a cheery hello' },
+  SUPER: { pos: 'adjective', definition: 'of the highest quality', example: 'an ace reporter' },
+  SURGE: { pos: 'verb', definition: 'rise and move, as in waves or billows', example: 'The army surged forward' },
+  SURLY: { pos: 'adjective', definition: 'inclined to anger or bad feelings with overtones of menace', example: 'a surly waiter' },
+  SWABS: { pos: 'verb', definition: 'wash with a swab or a mop', example: 'swab the ship\'s decks', base: 'SWAB' },
+  SWAGS: { pos: 'noun', definition: 'valuable goods', base: 'SWAG' },
+  SWAMP: { pos: 'verb', definition: 'drench or submerge or be drenched or submerged', example: 'The tsunami swamped every boat in the harbour' },
+  SWANS: { pos: 'noun', definition: 'stately heavy-bodied aquatic bird with very long neck and usually white plumage as adult', base: 'SWAN' },
+  SWAPS: { pos: 'verb', definition: 'exchange or give (something) in exchange for', base: 'SWAP' },
+  SWARD: { pos: 'noun', definition: 'surface layer of ground containing a mat of grass and grass roots' },
+  SWARM: { pos: 'noun', definition: 'a group of many things in the air or on the ground', example: 'a swarm of insects obscured the light' },
+  SWATH: { pos: 'noun', definition: 'the space created by the swing of a scythe or the cut of a mowing machine' },
+  SWATS: { pos: 'noun', definition: 'a sharp blow', base: 'SWAT' },
+  SWAYS: { pos: 'verb', definition: 'move back and forth or sideways', example: 'the ship was rocking', base: 'SWAY' },
+  SWEAR: { pos: 'verb', definition: 'utter obscenities or profanities', example: 'The drunken men were cursing loudly in the street' },
+  SWEAT: { pos: 'noun', definition: 'salty fluid secreted by sweat glands', example: 'sweat poured off his brow' },
+  SWEEP: { pos: 'verb', definition: 'sweep across or over', example: 'Her long skirt brushed the floor' },
+  SWEET: { pos: 'adjective', definition: 'having a sweet nature befitting an angel or cherub', example: 'an angelic smile' },
+  SWELL: { pos: 'verb', definition: 'increase in size, magnitude, number, or intensity', example: 'The music swelled to a crescendo' },
+  SWEPT: { pos: 'adjective', definition: 'possessing sweep', example: 'the sleek swept wings of the plane' },
+  SWIFT: { pos: 'adjective', definition: 'moving very fast', example: 'fleet of foot' },
+  SWIGS: { pos: 'noun', definition: 'a large and hurried swallow', example: 'he finished it at a single gulp', base: 'SWIG' },
+  SWIMS: { pos: 'verb', definition: 'travel through water', example: 'We had to swim for 20 minutes to reach the shore', base: 'SWIM' },
+  SWINE: { pos: 'noun', definition: 'stout-bodied short-legged omnivorous animals' },
+  SWING: { pos: 'verb', definition: 'move in a curve or arc, usually with the intent of hitting', example: 'He swung his left fist' },
+  SWIPE: { pos: 'verb', definition: 'strike with a swiping motion' },
+  SWIRL: { pos: 'verb', definition: 'turn in a twisting or spinning motion', example: 'The leaves swirled in the autumn wind' },
+  SWISH: { pos: 'verb', definition: 'move with or cause to move with a whistling or hissing sound', example: 'The bubbles swoshed around in the glass' },
+  SWISS: { pos: 'noun', definition: 'the natives or inhabitants of Switzerland' },
+  SWOON: { pos: 'verb', definition: 'pass out from weakness, physical or emotional distress due to a loss of blood supply to the brain' },
+  SWOOP: { pos: 'noun', definition: '(music) rapid sliding up or down the musical scale', example: 'the violinist was indulgent with his swoops and slides' },
+  SWORD: { pos: 'noun', definition: 'a cutting or thrusting weapon that has a long metal blade and a hilt with a hand guard' },
+  SWORE: { pos: 'verb', definition: 'utter obscenities or profanities', example: 'The drunken men were cursing loudly in the street', base: 'SWEAR' },
+  SWORN: { pos: 'adjective', definition: 'bound by or as if by an oath', example: 'according to an early tradition became his sworn brother' },
+  SYRUP: { pos: 'noun', definition: 'a thick sweet sticky liquid' },
+  TABLE: { pos: 'noun', definition: 'a set of data arranged in rows and columns', example: 'see table 1' },
+  TABOO: { pos: 'adjective', definition: 'excluded from use or mention', example: 'forbidden fruit' },
+  TACIT: { pos: 'adjective', definition: 'implied by or inferred from actions or statements', example: 'gave silent consent' },
+  TACKS: { pos: 'verb', definition: 'fasten with tacks', example: 'tack the notice on the board', base: 'TACK' },
+  TACKY: { pos: 'adjective', definition: '(of a glutinous liquid such as paint) not completely dried and slightly sticky to the touch', example: 'tacky varnish' },
+  TACOS: { pos: 'noun', definition: '(ethnic slur) offensive term for a person of Mexican descent', base: 'TACO' },
+  TAILS: { pos: 'noun', definition: 'the time of the last part of something', example: 'the fag end of this crisis-ridden century', base: 'TAIL' },
+  TAINT: { pos: 'noun', definition: 'the state of being contaminated' },
+  TAKES: { pos: 'verb', definition: 'carry out', example: 'take action', base: 'TAKE' },
+  TALES: { pos: 'noun', definition: 'a message that tells the particulars of an act or occurrence or course of events', example: 'his narrative was interesting', base: 'TALE' },
+  TALKS: { pos: 'verb', definition: 'exchange thoughts', example: 'We often talk business', base: 'TALK' },
+  TALLY: { pos: 'noun', definition: 'a score in baseball made by a runner touching all four bases safely', example: 'the Yankees scored 3 runs in the bottom of the 9th' },
+  TALON: { pos: 'noun', definition: 'a sharp hooked claw especially on a bird of prey' },
+  TAMED: { pos: 'verb', definition: 'make less strong or intense', example: 'Tone down that aggressive letter', base: 'TAME' },
+  TAMER: { pos: 'adjective', definition: 'very restrained or quiet', example: 'a tame Christmas party', base: 'TAME' },
+  TAMES: { pos: 'verb', definition: 'make less strong or intense', example: 'Tone down that aggressive letter', base: 'TAME' },
+  TANKS: { pos: 'noun', definition: 'an enclosed armoured military vehicle', base: 'TANK' },
+  TAPER: { pos: 'verb', definition: 'diminish gradually', example: 'Interested tapered off' },
+  TAPES: { pos: 'verb', definition: 'draw from or dip into to get something', example: 'tap one\'s memory', base: 'TAP' },
+  TARES: { pos: 'noun', definition: 'an adjustment made for the weight of the packaging in order to determine the net weight of the goods', base: 'TARE' },
+  TARNS: { pos: 'noun', definition: 'a mountain lake (especially one formed by glaciers)', base: 'TARN' },
+  TAROT: { pos: 'noun', definition: 'any of a set of (usually 78) cards that include 22 cards representing virtues and vices and death and fortune etc.' },
+  TARPS: { pos: 'noun', definition: 'waterproofed canvas', base: 'TARP' },
+  TARTS: { pos: 'noun', definition: 'a woman who engages in sexual intercourse for money', base: 'TART' },
+  TASKS: { pos: 'noun', definition: 'any piece of work that is undertaken or attempted', example: 'he prepared for great undertakings', base: 'TASK' },
+  TASTE: { pos: 'noun', definition: 'the sensation that results when taste buds in the tongue and throat convey information about the chemical composition of a soluble stimulus', example: 'the candy left him with a bad taste' },
+  TASTY: { pos: 'adjective', definition: 'pleasing to the sense of taste', example: 'a tasty morsel' },
+  TATER: { pos: 'noun', definition: 'an edible tuber native to South America' },
+  TATTY: { pos: 'adjective', definition: 'showing signs of wear and tear', example: 'a ratty old overcoat' },
+  TAUNT: { pos: 'noun', definition: 'aggravation by deriding or mocking or criticizing' },
+  TAXES: { pos: 'noun', definition: 'charge against a citizen\'s person or property or activity for the support of government', base: 'TAX' },
+  TAXIS: { pos: 'noun', definition: 'a car driven by a person whose job is to take passengers where they want to go in exchange for money', base: 'TAXI' },
+  TEACH: { pos: 'verb', definition: 'impart skills or knowledge to', example: 'I taught them French' },
+  TEAMS: { pos: 'noun', definition: 'a cooperative unit (especially in sports)', base: 'TEAM' },
+  TEARS: { pos: 'verb', definition: 'separate or cause to separate abruptly', example: 'The rope snapped', base: 'TEAR' },
+  TEARY: { pos: 'adjective', definition: 'with eyes full of tears' },
+  TEASE: { pos: 'verb', definition: 'annoy persistently', example: 'The children teased the boy because of his stammer' },
+  TECHY: { pos: 'adjective', definition: 'easily irritated or annoyed', example: 'an incorrigibly fractious young man' },
+  TEDDY: { pos: 'noun', definition: 'plaything consisting of a child\'s toy bear (usually plush and stuffed with soft materials)' },
+  TEENS: { pos: 'noun', definition: 'the time of life between the ages of 12 and 20' },
+  TEENY: { pos: 'adjective', definition: '(used informally) very small', example: 'a wee tot' },
+  TEETH: { pos: 'noun', definition: 'the kind and number and arrangement of teeth (collectively) in a person or animal' },
+  TELLS: { pos: 'verb', definition: 'express in words', example: 'He said that he wanted to marry her', base: 'TELL' },
+  TELLY: { pos: 'noun', definition: 'an electronic device that receives television signals and displays them on a screen', example: 'the British call a tv set a telly' },
+  TEMPO: { pos: 'noun', definition: '(music) the speed at which a composition is to be played' },
+  TEMPS: { pos: 'noun', definition: 'a worker (especially in an office) hired on a temporary basis', base: 'TEMP' },
+  TENDS: { pos: 'verb', definition: 'have a tendency or disposition to do or be something', example: 'She tends to be nervous before her lectures', base: 'TEND' },
+  TENET: { pos: 'noun', definition: 'a religious doctrine that is proclaimed as true without proof' },
+  TENOR: { pos: 'noun', definition: 'the adult male singing voice above baritone' },
+  TENSE: { pos: 'noun', definition: 'a grammatical category of verbs used to express distinctions of time' },
+  TENTH: { pos: 'noun', definition: 'a tenth part' },
+  TENTS: { pos: 'noun', definition: 'a portable shelter (usually of canvas stretched over supporting poles and fastened to the ground with ropes and pegs)', example: 'he pitched his tent near the creek', base: 'TENT' },
+  TEPID: { pos: 'adjective', definition: 'moderately warm', example: 'he hates lukewarm coffee' },
+  TERMS: { pos: 'noun', definition: 'a word or expression used for some particular thing', example: 'he learned many medical terms', base: 'TERM' },
+  TERNS: { pos: 'noun', definition: 'small slender gull having narrow wings and a forked tail', base: 'TERN' },
+  TERRY: { pos: 'noun', definition: 'English actress (1847-1928)' },
+  TERSE: { pos: 'adjective', definition: 'brief and to the point', example: 'a crisp retort' },
+  TESTS: { pos: 'noun', definition: 'trying something to find out about it', example: 'a sample for ten days free trial', base: 'TEST' },
+  TEXAS: { pos: 'noun', definition: 'the second largest state' },
+  TEXTS: { pos: 'noun', definition: 'the words of something written', example: 'there were more than a thousand words of text', base: 'TEXT' },
+  THANK: { pos: 'verb', definition: 'express gratitude or show appreciation to' },
+  THAWS: { pos: 'noun', definition: 'the process whereby heat changes something from a solid to a liquid', example: 'the power failure caused a refrigerator melt that was a disaster', base: 'THAW' },
+  THEFT: { pos: 'noun', definition: 'the act of taking something from someone unlawfully', example: 'the thieving is awful at Kennedy International' },
+  THEIR: { pos: 'determiner', definition: 'belonging to or associated with them', example: 'they sold their house' },
+  THEME: { pos: 'noun', definition: 'the subject matter of a conversation or discussion', example: 'he didn\'t want to discuss that subject' },
+  THERE: { pos: 'adverb', definition: 'in or at that place or location', example: 'they have lived there for years' },
+  THESE: { pos: 'determiner', definition: 'used to point to people or things close at hand', example: 'these shoes are new' },
+  THICK: { pos: 'adjective', definition: 'not thin', example: 'an inch thick' },
+  THIEF: { pos: 'noun', definition: 'a criminal who takes property belonging to someone else with the intention of keeping it or selling it' },
+  THIGH: { pos: 'noun', definition: 'the part of the leg between the hip and the knee' },
+  THING: { pos: 'noun', definition: 'a special situation', example: 'this thing has got to end' },
+  THINK: { pos: 'verb', definition: 'judge or regard', example: 'I think he is very smart' },
+  THIRD: { pos: 'noun', definition: 'one of three equal parts of a divisible whole', example: 'it contains approximately a third of the minimum daily requirement' },
+  THOSE: { pos: 'determiner', definition: 'used to point to people or things further away', example: 'those hills are in Wales' },
+  THREE: { pos: 'noun', definition: 'the cardinal number that is the sum of one and one and one' },
+  THREW: { pos: 'verb', definition: 'propel through the air', example: 'throw a frisbee', base: 'THROW' },
+  THROB: { pos: 'verb', definition: 'pulsate or pound with abnormal force', example: 'my head is throbbing' },
+  THROW: { pos: 'verb', definition: 'propel through the air', example: 'throw a frisbee' },
+  THRUM: { pos: 'noun', definition: 'a thrumming sound', example: 'he could hear the thrum of a banjo' },
+  THUDS: { pos: 'verb', definition: 'make a dull sound', example: 'the knocker thudded against the front door', base: 'THUD' },
+  THUGS: { pos: 'noun', definition: 'an aggressive and violent young criminal', base: 'THUG' },
+  THUMB: { pos: 'noun', definition: 'the thick short innermost digit of the forelimb' },
+  THUMP: { pos: 'verb', definition: 'move rhythmically', example: 'Her heart was beating fast' },
+  THUNK: { pos: 'noun', definition: 'a dull hollow sound', example: 'the basketball made a thunk as it hit the rim' },
+  THYME: { pos: 'noun', definition: 'any of various mints of the genus Thymus' },
+  TIARA: { pos: 'noun', definition: 'a jeweled headdress worn by women on formal occasions' },
+  TIBIA: { pos: 'noun', definition: 'the inner and thicker of the two bones of the human leg between the knee and ankle' },
+  TIDAL: { pos: 'adjective', definition: 'of or relating to or caused by tides', example: 'tidal wave' },
+  TIDES: { pos: 'noun', definition: 'something that may increase or decrease (like the tides of the sea)', example: 'a rising tide of popular interest', base: 'TIDE' },
+  TIERS: { pos: 'noun', definition: 'a relative position or degree of value in a graded group', example: 'lumber of the highest grade', base: 'TIER' },
+  TIGER: { pos: 'noun', definition: 'a fierce or audacious person', example: 'he\'s a tiger on the tennis court' },
+  TIGHT: { pos: 'adjective', definition: 'closely constrained or constricted or constricting', example: 'tight skirts' },
+  TILDE: { pos: 'noun', definition: 'a diacritical mark (~) placed over the letter n in Spanish to indicate a palatal nasal sound or over a vowel in Portuguese to indicate nasalization' },
+  TILED: { pos: 'adjective', definition: 'covered or furnished with tiles', example: 'baths with tiled walls' },
+  TILES: { pos: 'noun', definition: 'a flat thin rectangular slab (as of fired clay or rubber or linoleum) used to cover surfaces', base: 'TILE' },
+  TILTS: { pos: 'verb', definition: 'to incline or bend from a vertical position', example: 'She leaned over the banister', base: 'TILT' },
+  TIMED: { pos: 'verb', definition: 'measure the time or duration of an event or action or the person who performs an action in a certain period of time', example: 'he clocked the runners', base: 'TIME' },
+  TIMER: { pos: 'noun', definition: 'a timepiece that measures a time interval and signals its end' },
+  TIMES: { pos: 'noun', definition: 'an instance or single occasion for some event', example: 'this time he succeeded', base: 'TIME' },
+  TIMID: { pos: 'adjective', definition: 'lacking self-confidence', example: 'stood in the doorway diffident and abashed' },
+  TINGE: { pos: 'noun', definition: 'a slight but appreciable amount', example: 'this dish could use a touch of garlic' },
+  TINGS: { pos: 'noun', definition: 'a light clear metallic sound as of a small bell', base: 'TING' },
+  TIPSY: { pos: 'adjective', definition: 'unstable and prone to tip as if intoxicated', example: 'a tipsy boat' },
+  TIRED: { pos: 'verb', definition: 'lose interest or become bored with something or somebody', example: 'I\'m so tired of your mother and her complaints about my food', base: 'TIRE' },
+  TIRES: { pos: 'verb', definition: 'lose interest or become bored with something or somebody', example: 'I\'m so tired of your mother and her complaints about my food', base: 'TIRE' },
+  TITLE: { pos: 'noun', definition: 'a heading that names a statute or legislative bill', example: 'Title 8 provided federal help for schools' },
+  TOADS: { pos: 'noun', definition: 'any of various tailless stout-bodied amphibians with long hind limbs for leaping', base: 'TOAD' },
+  TOAST: { pos: 'verb', definition: 'make brown and crisp by heating', example: 'toast bread' },
+  TODAY: { pos: 'noun', definition: 'the present time or age', example: 'the world of today' },
+  TODDY: { pos: 'noun', definition: 'a mixed drink made of liquor and water with sugar and spices and served hot' },
+  TOKEN: { pos: 'noun', definition: 'an individual instance of a type of symbol', example: 'the word `error\' contains three tokens of `r\'' },
+  TOLLS: { pos: 'noun', definition: 'value measured by what must be given or done or undergone to obtain something', example: 'the cost in human life was enormous', base: 'TOLL' },
+  TOMBS: { pos: 'noun', definition: 'a place for the burial of a corpse (especially beneath the ground and marked by a tombstone)', example: 'he put flowers on his mother\'s grave', base: 'TOMB' },
+  TONED: { pos: 'adjective', definition: 'having or characterized or distinguished by tone or a specific tone', example: 'full-toned' },
+  TONES: { pos: 'noun', definition: 'the quality of a person\'s voice', example: 'he began in a conversational tone', base: 'TONE' },
+  TONGS: { pos: 'noun', definition: 'any of various devices for taking hold of objects' },
+  TOOLS: { pos: 'noun', definition: 'the means whereby some act is accomplished', example: 'my greed was the instrument of my destruction', base: 'TOOL' },
+  TOOTH: { pos: 'noun', definition: 'hard bonelike structures in the jaws of vertebrates' },
+  TOOTS: { pos: 'noun', definition: 'a blast of a horn', base: 'TOOT' },
+  TOPAZ: { pos: 'noun', definition: 'a yellow quartz' },
+  TOPIC: { pos: 'noun', definition: 'the subject matter of a conversation or discussion', example: 'he didn\'t want to discuss that subject' },
+  TORCH: { pos: 'noun', definition: 'a light usually carried in the hand' },
+  TORSO: { pos: 'noun', definition: 'the body excluding the head and neck and limbs', example: 'they moved their arms and legs and bodies' },
+  TOTAL: { pos: 'noun', definition: 'the whole amount' },
+  TOTEM: { pos: 'noun', definition: 'a clan or tribe identified by their kinship to a common totemic object' },
+  TOUCH: { pos: 'verb', definition: 'make physical contact with, come in contact with', example: 'Touch the stone for good luck' },
+  TOUGH: { pos: 'adjective', definition: 'not given to gentleness or sentimentality', example: 'a tough character' },
+  TOURS: { pos: 'noun', definition: 'a journey or route all the way around a particular place or area', example: 'they took an extended tour of Europe', base: 'TOUR' },
+  TOUTS: { pos: 'noun', definition: 'someone who buys tickets to an event in order to resell them at a profit', base: 'TOUT' },
+  TOWEL: { pos: 'noun', definition: 'a rectangular piece of absorbent cloth (or paper) for drying or wiping' },
+  TOWER: { pos: 'noun', definition: 'anything that approximates the shape of a column or tower', example: 'the test tube held a column of white powder' },
+  TOWNS: { pos: 'noun', definition: 'an urban area with a fixed boundary that is smaller than a city', example: 'they drive through town on their way to work', base: 'TOWN' },
+  TOXIC: { pos: 'adjective', definition: 'of or relating to or caused by a toxin or poison', example: 'suffering from exposure to toxic substances' },
+  TRACE: { pos: 'noun', definition: 'a just detectable amount', example: 'he speaks French with a trace of an accent' },
+  TRACK: { pos: 'noun', definition: 'a line or route along which something travels or moves', example: 'the hurricane demolished houses in its path' },
+  TRACT: { pos: 'noun', definition: 'an extended area of land' },
+  TRADE: { pos: 'noun', definition: 'the commercial exchange (buying and selling on domestic or international markets) of goods and services', example: 'Venice was an important centre of trade with the East' },
+  TRAIL: { pos: 'noun', definition: 'a track or mark left by something that has passed', example: 'there as a trail of blood' },
+  TRAIN: { pos: 'verb', definition: 'create by training and teaching', example: 'The old master is training world-class violinists' },
+  TRAIT: { pos: 'noun', definition: 'a distinguishing feature of your personal nature' },
+  TRAMP: { pos: 'noun', definition: 'a vagrant', example: 'a homeless tramp' },
+  TRANS: { pos: 'adjective', definition: 'short for transgender', example: 'a trans rights campaign' },
+  TRAPS: { pos: 'noun', definition: 'a device in which something (usually an animal) can be caught and penned', base: 'TRAP' },
+  TRASH: { pos: 'noun', definition: 'worthless material that is to be disposed of' },
+  TREAT: { pos: 'verb', definition: 'interact in a certain way', example: 'Do right by her' },
+  TREES: { pos: 'noun', definition: 'a figure that branches from a single root', example: 'genealogical tree', base: 'TREE' },
+  TREND: { pos: 'noun', definition: 'a general direction in which something tends to move', example: 'the shoreward tendency of the current' },
+  TRESS: { pos: 'noun', definition: 'a hairdo formed by braiding or twisting the hair' },
+  TRIAD: { pos: 'noun', definition: 'the cardinal number that is the sum of one and one and one' },
+  TRIAL: { pos: 'noun', definition: 'the act of testing something', example: 'in the experimental trials the amount of carbon was measured separately' },
+  TRIBE: { pos: 'noun', definition: 'a social division of (usually preliterate) people' },
+  TRICK: { pos: 'noun', definition: 'a cunning or deceitful action or device', example: 'he played a trick on me' },
+  TRIED: { pos: 'verb', definition: 'make an effort or attempt', example: 'He tried to shake off his fears', base: 'TRY' },
+  TRIES: { pos: 'verb', definition: 'make an effort or attempt', example: 'He tried to shake off his fears', base: 'TRY' },
+  TRIMS: { pos: 'verb', definition: 'remove the edges from and cut down to the desired size', example: 'pare one\'s fingernails', base: 'TRIM' },
+  TRIOS: { pos: 'noun', definition: 'the cardinal number that is the sum of one and one and one', base: 'TRIO' },
+  TRIPS: { pos: 'noun', definition: 'a journey for some purpose (usually including the return)', example: 'he took a trip to the shopping centre', base: 'TRIP' },
+  TRITE: { pos: 'adjective', definition: 'repeated too often', example: 'bromidic sermons' },
+  TROLL: { pos: 'noun', definition: 'a partsong in which voices follow each other', example: 'they enjoyed singing rounds' },
+  TROOP: { pos: 'noun', definition: 'a group of soldiers' },
+  TROPE: { pos: 'noun', definition: 'language used in a figurative or nonliteral sense' },
+  TROTS: { pos: 'verb', definition: 'run at a moderately swift pace', base: 'TROT' },
+  TROUT: { pos: 'noun', definition: 'flesh of any of several primarily freshwater game and food fishes' },
+  TRUCE: { pos: 'noun', definition: 'a state of peace agreed to between opponents so they can discuss peace terms' },
+  TRUCK: { pos: 'noun', definition: 'an automotive vehicle suitable for hauling' },
+  TRUED: { pos: 'verb', definition: 'make level, square, balanced, or concentric', example: 'true up the cylinder of an engine', base: 'TRUE' },
+  TRUER: { pos: 'adjective', definition: 'consistent with fact or reality', example: 'the story is true', base: 'TRUE' },
+  TRUES: { pos: 'noun', definition: 'proper alignment', example: 'out of true', base: 'TRUE' },
+  TRULY: { pos: 'adverb', definition: 'in accordance with truth or fact or reality', example: 'she was now truly American' },
+  TRUMP: { pos: 'noun', definition: 'a playing card in the suit that has been declared trumps', example: 'the ace of trumps is a sure winner' },
+  TRUNK: { pos: 'noun', definition: 'the main stem of a tree' },
+  TRUSS: { pos: 'noun', definition: '(medicine) a bandage consisting of a pad and belt' },
+  TRUST: { pos: 'noun', definition: 'something (as property) held by one party (the trustee) for the benefit of another (the beneficiary)', example: 'he is the beneficiary of a generous trust set up by his father' },
+  TRUTH: { pos: 'noun', definition: 'a fact that has been verified', example: 'at last he knew the truth' },
+  TRYST: { pos: 'noun', definition: 'a date' },
+  TUBAS: { pos: 'noun', definition: 'the lowest brass wind instrument', base: 'TUBA' },
+  TUBED: { pos: 'adjective', definition: 'of a tire' },
+  TUBES: { pos: 'noun', definition: 'conduit consisting of a long hollow object (usually cylindrical) used to hold and conduct objects or liquids or gases', base: 'TUBE' },
+  TUCKS: { pos: 'verb', definition: 'fit snugly into', example: 'insert your ticket into the slot', base: 'TUCK' },
+  TUFTS: { pos: 'noun', definition: 'a bunch of hair or feathers or growing grass', base: 'TUFT' },
+  TULIP: { pos: 'noun', definition: 'any of numerous perennial bulbous herbs having linear or broadly lanceolate leaves and usually a single showy flower' },
+  TUMOR: { pos: 'noun', definition: 'American spelling of tumour; a swelling of part of the body caused by an abnormal growth of tissue' },
+  TUNED: { pos: 'verb', definition: 'adjust for (better) functioning', example: 'tune the engine', base: 'TUNE' },
+  TUNER: { pos: 'noun', definition: 'someone who tunes pianos' },
+  TUNES: { pos: 'noun', definition: 'a succession of notes forming a distinctive sequence', example: 'she was humming an air from Beethoven', base: 'TUNE' },
+  TURBO: { pos: 'noun', definition: 'a turbocharger, or a boost of extra power', example: 'the engine has a turbo' },
+  TURDS: { pos: 'noun', definition: 'obscene terms for faeces', base: 'TURD' },
+  TURFS: { pos: 'noun', definition: 'surface layer of ground containing a mat of grass and grass roots', base: 'TURF' },
+  TURNS: { pos: 'verb', definition: 'change orientation or direction, also in the abstract sense', example: 'Turn towards me', base: 'TURN' },
+  TUSKS: { pos: 'noun', definition: 'a hard smooth ivory coloured dentine that makes up most of the tusks of elephants and walruses', base: 'TUSK' },
+  TUTOR: { pos: 'noun', definition: 'a person who gives private instruction (as in singing, acting, etc.)' },
+  TWANG: { pos: 'noun', definition: 'a sharp vibrating sound (as of a plucked string)' },
+  TWEED: { pos: 'noun', definition: 'thick woolen fabric used for clothing' },
+  TWEET: { pos: 'noun', definition: 'a weak chirping sound as of a small bird' },
+  TWICE: { pos: 'adverb', definition: 'two times', example: 'I called her twice' },
+  TWIGS: { pos: 'noun', definition: 'a small branch or division of a branch (especially a terminal division)', base: 'TWIG' },
+  TWINE: { pos: 'verb', definition: 'spin, wind, or twist together', example: 'intertwine the ribbons' },
+  TWINS: { pos: 'noun', definition: 'either of two offspring born at the same time from the same pregnancy', base: 'TWIN' },
+  TWIRL: { pos: 'verb', definition: 'turn in a twisting or spinning motion', example: 'The leaves swirled in the autumn wind' },
+  TWIST: { pos: 'verb', definition: 'to move in a twisting or contorted motion, (especially when struggling)', example: 'The prisoner writhed in discomfort' },
+  TWITS: { pos: 'noun', definition: 'someone who is regarded as contemptible', base: 'TWIT' },
+  TYPED: { pos: 'verb', definition: 'write by means of a keyboard with types', example: 'type the acceptance letter, please', base: 'TYPE' },
+  TYPES: { pos: 'noun', definition: 'a subdivision of a particular kind of thing', example: 'what type of sculpture do you prefer?', base: 'TYPE' },
+  TYPOS: { pos: 'noun', definition: 'a mistake in printed matter resulting from mechanical failures of some kind', base: 'TYPO' },
+  UDDER: { pos: 'noun', definition: 'mammary gland of bovids (cows and sheep and goats)' },
+  ULTRA: { pos: 'adjective', definition: '(used of opinions and actions) far beyond the norm', example: 'extremist political views' },
+  UMAMI: { pos: 'noun', definition: 'a savoury taste, one of the five basic tastes', example: 'mushrooms add umami to the sauce' },
+  UMBER: { pos: 'noun', definition: 'an earth pigment' },
+  UNCUT: { pos: 'adjective', definition: 'not trimmed', example: 'shaggy untrimmed locks' },
+  UNDER: { pos: 'adjective', definition: 'located below or beneath something else', example: 'nether garments' },
+  UNFED: { pos: 'adjective', definition: 'not given support', example: 'a grudge that remained unfed' },
+  UNFIT: { pos: 'adjective', definition: 'below the required standards for a purpose', example: 'an unfit parent' },
+  UNIFY: { pos: 'verb', definition: 'become one', example: 'Germany unified officially in 1990' },
+  UNION: { pos: 'noun', definition: 'an organization of employees formed to bargain with the employer', example: 'you have to join the union in order to get a job' },
+  UNITE: { pos: 'verb', definition: 'become one', example: 'Germany unified officially in 1990' },
+  UNITS: { pos: 'noun', definition: 'any division of quantity accepted as a standard of measurement or exchange', example: 'the dollar is the United States unit of currency', base: 'UNIT' },
+  UNITY: { pos: 'noun', definition: 'an undivided or unbroken completeness or totality with nothing wanting', example: 'the integrity of the nervous system is required for normal development' },
+  UNLIT: { pos: 'adjective', definition: 'not set afire or burning', example: 'the table was bare, the candles unlighted' },
+  UNMET: { pos: 'adjective', definition: 'not satisfied or fulfilled', example: 'the demand remains unmet' },
+  UNSET: { pos: 'adjective', definition: 'not yet firm or hardened', example: 'the jelly was still unset' },
+  UNTIL: { pos: 'preposition', definition: 'up to the time of', example: 'wait until the rain stops' },
+  UNWED: { pos: 'adjective', definition: 'of someone who has not been married', example: 'unwed mother' },
+  UNZIP: { pos: 'verb', definition: 'open the zipper of', example: 'unzip the bag' },
+  UPEND: { pos: 'verb', definition: 'become turned or set on end', example: 'the aeroplanes upended' },
+  UPPER: { pos: 'adjective', definition: 'being or moving higher in position or greater in some value', example: 'the anchor is up', base: 'UP' },
+  UPSET: { pos: 'verb', definition: 'disturb the balance or stability of', example: 'The hostile talks upset the peaceful relations between the two countries' },
+  URBAN: { pos: 'adjective', definition: 'relating to or concerned with a city or densely populated area', example: 'urban sociology' },
+  URGED: { pos: 'verb', definition: 'force or impel in an indicated direction', example: 'I urged him to finish his studies', base: 'URGE' },
+  URGES: { pos: 'verb', definition: 'force or impel in an indicated direction', example: 'I urged him to finish his studies', base: 'URGE' },
+  URINE: { pos: 'noun', definition: 'liquid excretory product', example: 'there was blood in his urine' },
+  USAGE: { pos: 'noun', definition: 'the act of using', example: 'he warned against the use of narcotic drugs' },
+  USERS: { pos: 'noun', definition: 'a person who makes use of a thing', base: 'USER' },
+  USHER: { pos: 'verb', definition: 'take (someone) to their seats, as in theaters or auditoriums', example: 'The usher showed us to our seats' },
+  USING: { pos: 'verb', definition: 'put into service', example: 'use your head!', base: 'USE' },
+  USUAL: { pos: 'adjective', definition: 'occurring or encountered or experienced or observed frequently or in accordance with regular practice or procedure', example: 'grew the usual vegetables' },
+  USURP: { pos: 'verb', definition: 'seize and take control without authority and possibly with force', example: 'He assumed to himself the right to fill all positions in the town' },
+  UTTER: { pos: 'verb', definition: 'articulate', example: 'She expressed her anger' },
+  VALID: { pos: 'adjective', definition: 'well grounded in logic or truth or having legal force', example: 'a valid inference' },
+  VALUE: { pos: 'noun', definition: 'a numerical quantity measured or assigned or computed', example: 'the value assigned was 16 milliseconds' },
+  VALVE: { pos: 'noun', definition: 'a structure in a hollow organ (like the heart) with a flap to insure one-way flow of fluid through it' },
+  VAPOR: { pos: 'noun', definition: 'American spelling of vapour; a substance spread through the air as tiny drops, such as steam or mist' },
+  VAULT: { pos: 'noun', definition: 'a burial chamber (usually underground)' },
+  VEALS: { pos: 'noun', definition: 'meat from a calf', base: 'VEAL' },
+  VEERS: { pos: 'verb', definition: 'turn sharply', example: 'The car cut to the left at the intersection', base: 'VEER' },
+  VEINS: { pos: 'noun', definition: 'a blood vessel that carries blood from the capillaries towards the heart', example: 'all veins except the pulmonary vein carry unaerated blood', base: 'VEIN' },
+  VENOM: { pos: 'noun', definition: 'toxin secreted by animals' },
+  VENTS: { pos: 'noun', definition: 'a hole for the escape of gas or air', base: 'VENT' },
+  VENUE: { pos: 'noun', definition: 'the scene of any event or action (especially the place of a meeting)' },
+  VENUS: { pos: 'noun', definition: 'the second nearest planet to the sun' },
+  VERBS: { pos: 'noun', definition: 'the word class that serves as the predicate of a sentence', base: 'VERB' },
+  VERGE: { pos: 'noun', definition: 'the limit beyond which something happens or changes', example: 'on the verge of tears' },
+  VERSE: { pos: 'noun', definition: 'literature in metrical form' },
+  VESTS: { pos: 'noun', definition: 'a man\'s sleeveless garment worn underneath a coat', base: 'VEST' },
+  VETCH: { pos: 'noun', definition: 'any of various climbing plants of the genus Vicia having pinnately compound leaves that terminate in tendrils and small variously coloured flowers' },
+  VEXED: { pos: 'verb', definition: 'cause annoyance in', example: 'Mosquitoes buzzing in my ear really bothers me', base: 'VEX' },
+  VEXES: { pos: 'verb', definition: 'cause annoyance in', example: 'Mosquitoes buzzing in my ear really bothers me', base: 'VEX' },
+  VIBES: { pos: 'noun', definition: 'a percussion instrument similar to a xylophone but having metal bars and rotating disks in the resonators that produce a vibrato sound' },
+  VICAR: { pos: 'noun', definition: 'a Roman Catholic priest who acts for another higher-ranking clergyman' },
+  VICES: { pos: 'noun', definition: 'a specific form of evildoing', example: 'vice offends the moral standards of the community', base: 'VICE' },
+  VICHY: { pos: 'noun', definition: 'a town in central France (south of Paris) noted for hot mineral springs' },
+  VIDEO: { pos: 'noun', definition: 'the visible part of a television transmission', example: 'they could still receive the sound but the picture was gone' },
+  VIEWS: { pos: 'noun', definition: 'a way of regarding situations or topics etc.', example: 'consider what follows from the positivist view', base: 'VIEW' },
+  VIGOR: { pos: 'noun', definition: 'American spelling of vigour; physical strength and good health; energy' },
+  VILLA: { pos: 'noun', definition: 'Mexican revolutionary leader (1877-1923)' },
+  VINES: { pos: 'noun', definition: 'a plant with a weak stem that derives support from climbing, twining, or creeping along a surface', base: 'VINE' },
+  VINYL: { pos: 'noun', definition: 'a univalent chemical radical derived from ethylene' },
+  VIOLA: { pos: 'noun', definition: 'any of the numerous plants of the genus Viola' },
+  VIPER: { pos: 'noun', definition: 'venomous Old World snakes characterized by hollow venom-conducting fangs in the upper jaw' },
+  VIRAL: { pos: 'adjective', definition: 'relating to or caused by a virus', example: 'viral infection' },
+  VIRUS: { pos: 'noun', definition: 'a harmful or corrupting agency', example: 'bigotry is a virus that must not be allowed to spread' },
+  VISIT: { pos: 'verb', definition: 'go to see a place, as for entertainment', example: 'We went to see the Eiffel Tower in the morning' },
+  VISOR: { pos: 'noun', definition: 'a brim that projects to the front to shade the eyes', example: 'he pulled down the bill of his cap and trudged ahead' },
+  VISTA: { pos: 'noun', definition: 'the visual percept of a region', example: 'the most desirable feature of the park are the beautiful views' },
+  VITAL: { pos: 'adjective', definition: 'urgently needed', example: 'a critical element of the plan' },
+  VIVID: { pos: 'adjective', definition: 'evoking lifelike images within the mind', example: 'pictorial poetry and prose' },
+  VIXEN: { pos: 'noun', definition: 'a malicious woman with a fierce temper' },
+  VOCAL: { pos: 'adjective', definition: 'relating to or designed for or using the singing voice', example: 'vocal technique' },
+  VODKA: { pos: 'noun', definition: 'unaged colorless liquor originating in Russia' },
+  VOGUE: { pos: 'noun', definition: 'the popular taste at a given time', example: 'leather is the latest vogue' },
+  VOICE: { pos: 'noun', definition: 'the distinctive quality or pitch or condition of a person\'s speech', example: 'A shrill voice sounded behind us' },
+  VOIDS: { pos: 'noun', definition: 'an empty area or space', example: 'the huge desert voids', base: 'VOID' },
+  VOILA: { pos: 'exclamation', definition: 'there it is; used when revealing something', example: 'add the icing and voila, a cake' },
+  VOMIT: { pos: 'verb', definition: 'eject the contents of the stomach through the mouth', example: 'After drinking too much, the students vomited' },
+  VOTED: { pos: 'verb', definition: 'express one\'s preference for a candidate or for a measure or resolution', example: 'He voted for the motion', base: 'VOTE' },
+  VOTER: { pos: 'noun', definition: 'a citizen who has a legal right to vote' },
+  VOTES: { pos: 'noun', definition: 'a choice that is made by counting the number of people in favour of each alternative', example: 'there were only 17 votes in favour of the motion', base: 'VOTE' },
+  VOUCH: { pos: 'verb', definition: 'give personal assurance', example: 'Will he vouch for me?' },
+  VOWED: { pos: 'verb', definition: 'make a vow', example: 'He vowed never to drink alcohol again', base: 'VOW' },
+  VOWEL: { pos: 'noun', definition: 'a speech sound made with the vocal tract open' },
+  WACKY: { pos: 'adjective', definition: 'ludicrous, foolish', example: 'wore a goofy hat' },
+  WADED: { pos: 'verb', definition: 'walk (through relatively shallow water)', example: 'Can we wade across the river to the other side?', base: 'WADE' },
+  WADER: { pos: 'noun', definition: 'any of many long-legged birds that wade in water in search of food' },
+  WADES: { pos: 'verb', definition: 'walk (through relatively shallow water)', example: 'Can we wade across the river to the other side?', base: 'WADE' },
+  WAFTS: { pos: 'verb', definition: 'be driven or carried along, as by the air', example: 'Sounds wafted into the room', base: 'WAFT' },
+  WAGED: { pos: 'verb', definition: 'carry on (wars, battles, or campaigns)', example: 'Napoleon and Hitler waged war against all of Europe', base: 'WAGE' },
+  WAGER: { pos: 'noun', definition: 'the act of gambling', example: 'he did it on a bet' },
+  WAGES: { pos: 'noun', definition: 'a recompense for worthy acts or retribution for wrongdoing', example: 'the wages of sin is death' },
+  WAGON: { pos: 'noun', definition: 'any of various kinds of wheeled vehicles drawn by an animal or a tractor' },
+  WAIFS: { pos: 'noun', definition: 'a homeless child especially one forsaken or orphaned', example: 'street children beg or steal in order to survive', base: 'WAIF' },
+  WAILS: { pos: 'verb', definition: 'emit long loud cries', example: 'wail in self-pity', base: 'WAIL' },
+  WAIST: { pos: 'noun', definition: 'the narrowing of the body between the ribs and hips' },
+  WAITS: { pos: 'verb', definition: 'stay in one place and anticipate or expect something', example: 'I had to wait on line for an hour to get the tickets', base: 'WAIT' },
+  WAKED: { pos: 'verb', definition: 'stop sleeping', example: 'She woke up to the sound of the alarm clock', base: 'WAKE' },
+  WAKER: { pos: 'noun', definition: 'a person who awakes', example: 'an early waker' },
+  WAKES: { pos: 'verb', definition: 'stop sleeping', example: 'She woke up to the sound of the alarm clock', base: 'WAKE' },
+  WALKS: { pos: 'noun', definition: 'the act of travelling by foot', example: 'walking is a healthy form of exercise', base: 'WALK' },
+  WALLS: { pos: 'noun', definition: 'an architectural partition with a height and length greater than its thickness', example: 'the south wall had a small window', base: 'WALL' },
+  WALTZ: { pos: 'noun', definition: 'an assured victory (especially in an election)' },
+  WANDS: { pos: 'noun', definition: 'a thin supple twig or rod', example: 'stems bearing slender wands of flowers', base: 'WAND' },
+  WANES: { pos: 'verb', definition: 'grow smaller', example: 'Interest in the project waned', base: 'WANE' },
+  WANTS: { pos: 'noun', definition: 'the state of needing something that is absent or unavailable', example: 'there is a serious lack of insight into the problem', base: 'WANT' },
+  WARDS: { pos: 'noun', definition: 'a person who is under the protection or in the custody of another', base: 'WARD' },
+  WARES: { pos: 'noun', definition: 'commodities offered for sale', example: 'good business depends on having good merchandise', base: 'WARE' },
+  WARMS: { pos: 'verb', definition: 'get warm or warmer', example: 'The soup warmed slowly on the stove', base: 'WARM' },
+  WARNS: { pos: 'verb', definition: 'notify of danger, potential harm, or risk', example: 'The director warned him that he might be fired', base: 'WARN' },
+  WARPS: { pos: 'verb', definition: 'bend out of shape, as under pressure or from heat', example: 'The highway buckled during the heat wave', base: 'WARP' },
+  WARTS: { pos: 'noun', definition: 'any small rounded protuberance (as on certain plants or animals)', base: 'WART' },
+  WASTE: { pos: 'noun', definition: 'any materials unused and rejected as worthless or unwanted', example: 'they collect the waste once a week' },
+  WATCH: { pos: 'verb', definition: 'look attentively', example: 'watch a basketball game' },
+  WATER: { pos: 'noun', definition: 'the part of the earth\'s surface covered with water (such as a river or lake or ocean)', example: 'they invaded our territorial waters' },
+  WAVED: { pos: 'verb', definition: 'signal with the hands or nod', example: 'She waved to her friends', base: 'WAVE' },
+  WAVER: { pos: 'verb', definition: 'pause or hold back in uncertainty or unwillingness', example: 'Authorities hesitate to quote exact figures' },
+  WAVES: { pos: 'noun', definition: 'a movement like that of a sudden occurrence or increase in a specified phenomenon', example: 'a wave of settlers', base: 'WAVE' },
+  WAXED: { pos: 'verb', definition: 'cover with wax', example: 'wax the car', base: 'WAX' },
+  WAXES: { pos: 'verb', definition: 'cover with wax', example: 'wax the car', base: 'WAX' },
+  WEARY: { pos: 'verb', definition: 'exhaust or get tired through overuse or great strain or stress', example: 'We wore ourselves out on this hike' },
+  WEAVE: { pos: 'verb', definition: 'create a piece of cloth by interlacing strands of fabric, such as wool or cotton', example: 'tissue textiles' },
+  WEBBY: { pos: 'adjective', definition: 'having open interstices or resembling a web' },
+  WEDGE: { pos: 'noun', definition: 'any shape that is triangular in cross section' },
+  WEEDS: { pos: 'noun', definition: 'a black garment (dress) worn by a widow as a sign of mourning' },
+  WEEDY: { pos: 'adjective', definition: 'abounding with or resembling weeds', example: 'a weedy path' },
+  WEEKS: { pos: 'noun', definition: 'any period of seven consecutive days', example: 'it rained for a week', base: 'WEEK' },
+  WEENY: { pos: 'adjective', definition: '(used informally) very small', example: 'a wee tot' },
+  WEEPS: { pos: 'verb', definition: 'shed tears because of sadness, rage, or pain', example: 'She cried bitterly when she heard the news of his death', base: 'WEEP' },
+  WEIGH: { pos: 'verb', definition: 'show consideration for', example: 'You must consider her age' },
+  WEIRD: { pos: 'adjective', definition: 'suggesting the operation of supernatural influences', example: 'an eldritch screech' },
+  WEIRS: { pos: 'noun', definition: 'a low dam built across a stream to raise its level or divert its flow', base: 'WEIR' },
+  WELLS: { pos: 'noun', definition: 'a deep hole or shaft dug or drilled to obtain water or oil or gas or brine', base: 'WELL' },
+  WELSH: { pos: 'noun', definition: 'a native or resident of Wales' },
+  WENCH: { pos: 'noun', definition: 'informal terms for a (young) woman' },
+  WENDS: { pos: 'verb', definition: 'direct one\'s course or way', example: 'wend your way through the crowds', base: 'WEND' },
+  WHEAT: { pos: 'noun', definition: 'annual or biennial grass having erect flower spikes and light brown grains' },
+  WHEEL: { pos: 'verb', definition: 'change directions as if revolving on a pivot', example: 'They wheeled their horses around and left' },
+  WHELM: { pos: 'verb', definition: 'overcome, as with emotions or perceptual stimuli' },
+  WHELP: { pos: 'noun', definition: 'young of any of various canines such as a dog or wolf' },
+  WHERE: { pos: 'adverb', definition: 'in or to what place', example: 'where are you going?' },
+  WHEYS: { pos: 'noun', definition: 'watery part of milk produced when raw milk sours and coagulates', example: 'Little Miss Muffet sat on a tuffet eating some curds and whey', base: 'WHEY' },
+  WHICH: { pos: 'determiner', definition: 'asking for one or more from a known set', example: 'which train do we need?' },
+  WHIFF: { pos: 'noun', definition: 'a short light gust of air' },
+  WHILE: { pos: 'noun', definition: 'a period of indeterminate length (usually short) marked by some action or condition', example: 'he was here for a little while' },
+  WHIMS: { pos: 'noun', definition: 'a sudden desire', example: 'he bought it on an impulse', base: 'WHIM' },
+  WHINE: { pos: 'verb', definition: 'move with a whining sound', example: 'The bullets were whining past us' },
+  WHINY: { pos: 'adjective', definition: 'habitually complaining', example: 'a whiny child' },
+  WHIPS: { pos: 'verb', definition: 'beat severely with a whip or rod', example: 'The teacher often flogged the students', base: 'WHIP' },
+  WHIRL: { pos: 'verb', definition: 'turn in a twisting or spinning motion', example: 'The leaves swirled in the autumn wind' },
+  WHIRR: { pos: 'noun', definition: 'sound of something in rapid motion', example: 'whir of a bird\'s wings' },
+  WHIRS: { pos: 'noun', definition: 'sound of something in rapid motion', example: 'whir of a bird\'s wings', base: 'WHIR' },
+  WHISK: { pos: 'verb', definition: 'move somewhere quickly', example: 'The President was whisked away in his limo' },
+  WHIST: { pos: 'noun', definition: 'a card game for four players who form two partnerships' },
+  WHITE: { pos: 'noun', definition: 'a Caucasian' },
+  WHITS: { pos: 'noun', definition: 'a tiny or scarcely detectable amount', base: 'WHIT' },
+  WHIZZ: { pos: 'noun', definition: 'someone who is dazzlingly skilled in any field' },
+  WHOLE: { pos: 'noun', definition: 'all of something including all its component elements or parts', example: 'Europe considered as a whole' },
+  WHOMP: { pos: 'verb', definition: 'hit with the hand' },
+  WHOOP: { pos: 'verb', definition: 'shout, as if with joy or enthusiasm', example: 'The children whooped when they were led to the picnic table' },
+  WHOPS: { pos: 'verb', definition: 'hit hard', example: 'The teacher whacked the boy', base: 'WHOP' },
+  WHOSE: { pos: 'determiner', definition: 'belonging to or associated with which person', example: 'whose coat is this?' },
+  WIDEN: { pos: 'verb', definition: 'become broader or wider or more extensive', example: 'The road widened' },
+  WIDER: { pos: 'adjective', definition: 'having great (or a certain) extent from one side to the other', example: 'wide roads', base: 'WIDE' },
+  WIDOW: { pos: 'noun', definition: 'a woman whose husband is dead especially one who has not remarried' },
+  WIDTH: { pos: 'noun', definition: 'the extent of something from side to side' },
+  WIELD: { pos: 'verb', definition: 'have and exercise', example: 'wield power and authority' },
+  WIFEY: { pos: 'noun', definition: 'an affectionate word for a wife', example: 'me and the wifey are off on holiday' },
+  WIGHT: { pos: 'noun', definition: 'a human being' },
+  WILDS: { pos: 'noun', definition: 'a wild primitive state untouched by civilization', example: 'he lived in the wild', base: 'WILD' },
+  WILES: { pos: 'noun', definition: 'the use of tricks to deceive someone (usually to extract money from them)', base: 'WILE' },
+  WILLS: { pos: 'noun', definition: 'the capability of conscious choice and decision and intention', example: 'the exercise of their volition we construe as revolt', base: 'WILL' },
+  WILTS: { pos: 'verb', definition: 'lose strength', example: 'My opponent was wilting', base: 'WILT' },
+  WIMPS: { pos: 'noun', definition: 'a person who lacks confidence, is irresolute and wishy-washy', base: 'WIMP' },
+  WIMPY: { pos: 'adjective', definition: 'weak and ineffectual' },
+  WINCE: { pos: 'verb', definition: 'draw back, as with fear or pain', example: 'she flinched when they showed the slaughtering of the calf' },
+  WINCH: { pos: 'noun', definition: 'lifting device consisting of a horizontal cylinder turned by a crank on which a cable or rope winds' },
+  WINDS: { pos: 'noun', definition: 'air moving (sometimes with considerable force) from an area of high pressure to an area of low pressure', example: 'trees bent under the fierce winds', base: 'WIND' },
+  WINDY: { pos: 'adjective', definition: 'abounding in or exposed to the wind or breezes', example: 'blowy weather' },
+  WINED: { pos: 'verb', definition: 'be the winner in a contest or competition', example: 'He won the Gold Medal in skating', base: 'WIN' },
+  WINES: { pos: 'verb', definition: 'be the winner in a contest or competition', example: 'He won the Gold Medal in skating', base: 'WIN' },
+  WINGS: { pos: 'noun', definition: 'a movable organ for flying (one of a pair)', base: 'WING' },
+  WINKS: { pos: 'verb', definition: 'signal by winking', example: 'She winked at him', base: 'WINK' },
+  WIPED: { pos: 'verb', definition: 'rub with a circular motion', example: 'wipe the blackboard', base: 'WIPE' },
+  WIPER: { pos: 'noun', definition: 'a worker who wipes' },
+  WIPES: { pos: 'verb', definition: 'rub with a circular motion', example: 'wipe the blackboard', base: 'WIPE' },
+  WIRED: { pos: 'verb', definition: 'provide with electrical circuits', example: 'wire the addition to the house', base: 'WIRE' },
+  WIRES: { pos: 'noun', definition: 'ligament made of metal and used to fasten things or make cages or fences etc', base: 'WIRE' },
+  WISED: { pos: 'verb', definition: 'became aware or informed, as in wised up', example: 'he finally wised up to the scam', base: 'WISE' },
+  WISER: { pos: 'adjective', definition: 'having or prompted by wisdom or discernment', example: 'a wise leader', base: 'WISE' },
+  WISES: { pos: 'noun', definition: 'a way of doing or being', example: 'in no wise', base: 'WISE' },
+  WISPS: { pos: 'noun', definition: 'a small tuft or lock', example: 'wisps of hair', base: 'WISP' },
+  WISPY: { pos: 'adjective', definition: 'thin and weak', example: 'a wispy little fellow with small hands and feet' },
+  WITCH: { pos: 'noun', definition: 'a female sorcerer or magician' },
+  WIZEN: { pos: 'adjective', definition: 'lean and wrinkled by shrinkage as from age or illness', example: 'the old woman\'s shriveled skin' },
+  WODGE: { pos: 'noun', definition: 'a large piece or amount of something', example: 'a wodge of paper' },
+  WOKEN: { pos: 'verb', definition: 'stop sleeping', example: 'She woke up to the sound of the alarm clock', base: 'WAKE' },
+  WOMAN: { pos: 'noun', definition: 'an adult female person (as opposed to a man)', example: 'the woman kept house while the man hunted' },
+  WOMBS: { pos: 'noun', definition: 'a hollow muscular organ in the pelvic cavity of females', base: 'WOMB' },
+  WOMEN: { pos: 'noun', definition: 'an adult female person (as opposed to a man)', example: 'the woman kept house while the man hunted', base: 'WOMAN' },
+  WOODS: { pos: 'noun', definition: 'the hard fibrous lignified substance under the bark of trees', base: 'WOOD' },
+  WOODY: { pos: 'adjective', definition: 'made of or containing or resembling wood', example: 'woody plants' },
+  WOOED: { pos: 'verb', definition: 'seek someone\'s favour', example: 'China is wooing Russia', base: 'WOO' },
+  WOOER: { pos: 'noun', definition: 'a man who courts a woman', example: 'a suer for the hand of the princess' },
+  WOOFS: { pos: 'noun', definition: 'the yarn woven across the warp yarn in weaving', base: 'WOOF' },
+  WOOLS: { pos: 'noun', definition: 'a fabric made from the hair of sheep', base: 'WOOL' },
+  WOOLY: { pos: 'adjective', definition: 'confused and vague', example: 'muddleheaded ideas' },
+  WOOZY: { pos: 'adjective', definition: 'having or causing a whirling sensation', example: 'had a dizzy spell' },
+  WORDS: { pos: 'noun', definition: 'a unit of language that native speakers can identify', example: 'words are the blocks from which sentences are made', base: 'WORD' },
+  WORDY: { pos: 'adjective', definition: 'using or containing too many words', example: 'long-winded (or windy) speakers' },
+  WORKS: { pos: 'verb', definition: 'exert oneself by doing mental or physical work for a purpose or out of necessity', example: 'I will work hard to improve my grades', base: 'WORK' },
+  WORLD: { pos: 'noun', definition: 'everything that exists anywhere', example: 'they study the evolution of the universe' },
+  WORMS: { pos: 'noun', definition: 'any of numerous relatively small elongated soft-bodied animals especially of the phyla Annelida and Chaetognatha and Nematoda and Nemertea and Platyhelminthes', base: 'WORM' },
+  WORMY: { pos: 'adjective', definition: 'infested with or damaged (as if eaten) by worms' },
+  WORRY: { pos: 'verb', definition: 'be worried, concerned, anxious, troubled, or uneasy', example: 'I worry about my job' },
+  WORSE: { pos: 'noun', definition: 'something inferior in quality or condition or effect', example: 'for better or for worse' },
+  WORST: { pos: 'noun', definition: 'the least favorable outcome', example: 'the worst that could happen' },
+  WORTH: { pos: 'noun', definition: 'an indefinite quantity of something having a specified value', example: '10 dollars worth of gasoline' },
+  WOULD: { pos: 'verb', definition: 'used to talk about imagined situations or to ask politely', example: 'would you like a cup of tea?' },
+  WOUND: { pos: 'noun', definition: 'an injury to living tissue (especially an injury involving a cut or break in the skin)' },
+  WOVEN: { pos: 'adjective', definition: 'made or constructed by interlacing threads or strips of material or other elements into a whole', example: 'woven fabrics' },
+  WOWED: { pos: 'verb', definition: 'impress greatly', example: 'The speaker wowed the audience', base: 'WOW' },
+  WRACK: { pos: 'noun', definition: 'the destruction or collapse of something', example: 'wrack and ruin' },
+  WRAPS: { pos: 'verb', definition: 'arrange or fold as a cover or protection', example: 'wrap the baby before taking her out', base: 'WRAP' },
+  WRATH: { pos: 'noun', definition: 'intense anger (usually on an epic scale)' },
+  WREAK: { pos: 'verb', definition: 'cause to happen or to occur as a consequence', example: 'I cannot work a miracle' },
+  WRECK: { pos: 'noun', definition: 'something or someone that has suffered ruin or dilapidation', example: 'the house was a wreck when they bought it' },
+  WRENS: { pos: 'noun', definition: 'English architect who designed more than fifty London churches (1632-1723)', base: 'WREN' },
+  WREST: { pos: 'verb', definition: 'obtain by seizing forcibly or violently, also metaphorically', example: 'wrest the knife from his hands' },
+  WRICK: { pos: 'noun', definition: 'a painful muscle spasm especially in the neck or back (`rick\' and `wrick\' are British)' },
+  WRING: { pos: 'verb', definition: 'twist and compress, as if in pain or anguish', example: 'Wring one\'s hand' },
+  WRIST: { pos: 'noun', definition: 'a joint between the distal end of the radius and the proximal row of carpal bones' },
+  WRITE: { pos: 'verb', definition: 'produce a literary work', example: 'She composed a poem' },
+  WRITS: { pos: 'noun', definition: '(law) a legal document issued by a court or judicial officer', base: 'WRIT' },
+  WRONG: { pos: 'adjective', definition: 'not correct', example: 'an incorrect calculation' },
+  WROTE: { pos: 'verb', definition: 'produce a literary work', example: 'She composed a poem', base: 'WRITE' },
+  WRUNG: { pos: 'verb', definition: 'twist and compress, as if in pain or anguish', example: 'Wring one\'s hand', base: 'WRING' },
+  WRYER: { pos: 'adjective', definition: 'humorously sarcastic or mocking', example: 'dry humour', base: 'WRY' },
+  WRYLY: { pos: 'adverb', definition: 'in a wry manner', example: '`I see,\' he commented wryly' },
+  XERUS: { pos: 'noun', definition: 'an African ground squirrel', example: 'a xerus darted into its burrow' },
+  YACHT: { pos: 'noun', definition: 'an expensive vessel propelled by sail or power and used for cruising or racing' },
+  YACKS: { pos: 'noun', definition: 'noisy talk', base: 'YACK' },
+  YAGER: { pos: 'noun', definition: 'a German or Austrian rifleman or hunter (also jäger)' },
+  YANKS: { pos: 'noun', definition: 'an American who lives in the North (especially during the American Civil War)', base: 'YANK' },
+  YARDS: { pos: 'noun', definition: 'the enclosed land around a house or other building', example: 'it was a small house with almost no yard', base: 'YARD' },
+  YARNS: { pos: 'noun', definition: 'the act of giving an account describing incidents or a course of events', example: 'his narration was hesitant', base: 'YARN' },
+  YAWED: { pos: 'verb', definition: 'be wide open', example: 'the deep gaping canyon', base: 'YAW' },
+  YAWLS: { pos: 'noun', definition: 'a ship\'s small boat (usually rowed by 4 or 6 oars)', base: 'YAWL' },
+  YAWNS: { pos: 'noun', definition: 'an involuntary intake of breath through a wide open mouth', example: 'he could not suppress a yawn', base: 'YAWN' },
+  YEARS: { pos: 'noun', definition: 'a period of time containing 365 (or 366) days', example: 'she is 4 years old', base: 'YEAR' },
+  YEAST: { pos: 'noun', definition: 'a commercial leavening agent containing yeast cells' },
+  YECCH: { pos: 'exclamation', definition: 'used to express disgust', example: 'yecch, this milk is sour' },
+  YELLS: { pos: 'noun', definition: 'a loud utterance', example: 'the speaker was interrupted by loud cries from the rear of the audience', base: 'YELL' },
+  YELPS: { pos: 'noun', definition: 'a sharp high-pitched cry (especially by a dog)', base: 'YELP' },
+  YEPPS: { pos: 'exclamation', definition: 'a nonstandard form of yep; yes' },
+  YESES: { pos: 'noun', definition: 'an affirmative', example: 'I was hoping for a yes', base: 'YES' },
+  YIELD: { pos: 'verb', definition: 'be the cause or source of', example: 'He gave me a lot of trouble' },
+  YIPES: { pos: 'verb', definition: 'bark in a high-pitched tone', example: 'the puppies yelped', base: 'YIP' },
+  YODEL: { pos: 'noun', definition: 'a songlike cry in which the voice fluctuates rapidly between the normal voice and falsetto' },
+  YOKES: { pos: 'noun', definition: 'an oppressive power', example: 'under the yoke of a tyrant', base: 'YOKE' },
+  YOLKS: { pos: 'noun', definition: 'the yellow spherical part of an egg that is surrounded by the albumen', base: 'YOLK' },
+  YOUNG: { pos: 'adjective', definition: '(used of living things especially persons) in an early period of life or development or growth', example: 'young people' },
+  YOURS: { pos: 'pronoun', definition: 'the one or ones belonging to you', example: 'is this umbrella yours?' },
+  YOUTH: { pos: 'noun', definition: 'young people collectively', example: 'rock music appeals to the young' },
+  YOWLS: { pos: 'noun', definition: 'a very loud utterance (like the sound of an animal)', example: 'his bellow filled the hallway', base: 'YOWL' },
+  YUCCA: { pos: 'noun', definition: 'any of several evergreen plants of the genus Yucca having usually tall stout stems and a terminal cluster of white flowers' },
+  YUCKY: { pos: 'adjective', definition: 'highly offensive', example: 'a disgusting smell' },
+  YULES: { pos: 'noun', definition: 'period extending from Dec. 24 to Jan. 6', base: 'YULE' },
+  YUMMY: { pos: 'adjective', definition: 'extremely pleasing to the sense of taste' },
+  ZAPPY: { pos: 'adjective', definition: 'lively and energetic', example: 'a zappy new advert' },
+  ZEBRA: { pos: 'noun', definition: 'any of several fleet black-and-white striped African equines' },
+  ZEROS: { pos: 'noun', definition: 'a quantity of no importance', example: 'it looked like nothing I had ever seen before', base: 'ZERO' },
+  ZESTS: { pos: 'noun', definition: 'vigorous and enthusiastic enjoyment', base: 'ZEST' },
+  ZESTY: { pos: 'adjective', definition: 'having an agreeably pungent taste' },
+  ZILCH: { pos: 'noun', definition: 'a quantity of no importance', example: 'it looked like nothing I had ever seen before' },
+  ZINCS: { pos: 'noun', definition: 'a bluish-white lustrous metallic element', base: 'ZINC' },
+  ZINGS: { pos: 'noun', definition: 'a brief high-pitched buzzing or humming sound', example: 'the zing of the passing bullet', base: 'ZING' },
+  ZIPPY: { pos: 'adjective', definition: 'quick and energetic', example: 'a brisk walk in the park' },
+  ZONED: { pos: 'verb', definition: 'separate or apportion into sections', example: 'partition a room off', base: 'ZONE' },
+  ZONES: { pos: 'noun', definition: 'a locally circumscribed place characterized by some distinctive features', base: 'ZONE' },
+  ZONKS: { pos: 'verb', definition: 'hits or knocks out; falls deeply asleep (informal)', example: 'he zonks out on the sofa after work', base: 'ZONK' },
+  ZOOMS: { pos: 'verb', definition: 'move along very quickly', base: 'ZOOM' }
+};
@@ -0,0 +1,68 @@
+// Spanish words for Word Up game
+// Common five-letter words for daily puzzles, written without accents (Ñ is its own letter)
+
+export const ANSWERS_ES = [
+  'ABAJO', 'ABEJA', 'ABRIR', 'ACERO', 'ACTOR', 'ADIOS', 'AGOTA', 'AGUJA',
+  'AHORA', 'AIRES', 'AJENO', 'ALAMO', 'ALBUM', 'ALDEA', 'ALGAS', 'ALMAS',
+  'ALTAR', 'ALTOS', 'AMADO', 'AMBOS', 'AMIGA', 'AMIGO', 'ANCHO', 'ANDAR',
+  'ANGEL', 'ANIMO', 'ANTES', 'APODO', 'ARBOL', 'ARCOS', 'ARDER', 'ARENA',
+  'ARMAS', 'ARROZ', 'ASADO', 'ASILO', 'ATLAS', 'ATRAS', 'AUTOR', 'AVION',
+  'AVISO', 'AYUDA', 'AZOTE', 'BAHIA', 'BAILE', 'BAJAR', 'BALAS', 'BALON',
+  'BANCO', 'BANDA', 'BARBA', 'BARCO', 'BARRO', 'BASES', 'BASTA', 'BEBER',
+  'BESOS', 'BICHO', 'BLUSA', 'BOLSA', 'BOMBA', 'BORDE', 'BOTAS', 'BOTON',
+  'BRAVO', 'BRAZO', 'BRISA', 'BROMA', 'BRUJA', 'BUENO', 'BURRO', 'BUSCA',
+  'CABLE', 'CABRA', 'CAJAS', 'CALLE', 'CALMA', 'CALOR', 'CAMPO', 'CANAL',
+  'CANTO', 'CAPAZ', 'CARGA', 'CARNE', 'CARRO', 'CARTA', 'CASAS', 'CAUSA',
+  'CAZAR', 'CEBRA', 'CEDRO', 'CELDA', 'CERCA', 'CERDO', 'CESTA', 'CHICA',
+  'CHICO', 'CIELO', 'CIRCO', 'CITAR', 'CLARO', 'CLASE', 'CLAVE', 'CLIMA',
+  'COBRE', 'COCHE', 'COGER', 'COLOR', 'COMER', 'CONDE', 'COPAS', 'CORAL',
+  'CORTE', 'COSTA', 'CREMA', 'CRUCE', 'CRUDO', 'CUERO', 'CUEVA', 'CULPA',
+  'CURSO', 'CURVA', 'DANZA', 'DARDO', 'DATOS', 'DEBER', 'DEDOS', 'DELTA',
+  'DIETA', 'DIGNO', 'DISCO', 'DOLOR', 'DONDE', 'DRAMA', 'DUCHA', 'DUDAS',
+  'DUELO', 'DULCE', 'DUQUE', 'ECHAR', 'ENANO', 'ENERO', 'ENTRE', 'ENVIO',
+  'ERROR', 'ESTAR', 'ETAPA', 'EXITO', 'EXTRA', 'FALDA', 'FALLO', 'FALSO',
+  'FALTA', 'FAROS', 'FAVOR', 'FECHA', 'FELIZ', 'FERIA', 'FIBRA', 'FIRMA',
+  'FLACO', 'FLOJO', 'FLORA', 'FOCOS', 'FONDO', 'FORMA', 'FOTOS', 'FRASE',
+  'FRENO', 'FRESA', 'FRUTA', 'FUEGO', 'FUERA', 'FUNDA', 'GAFAS', 'GALLO',
+  'GANAR', 'GANAS', 'GARRA', 'GASTO', 'GATOS', 'GENTE', 'GESTO', 'GIRAR',
+  'GLOBO', 'GOLPE', 'GORDO', 'GORRA', 'GOTAS', 'GRANO', 'GRASA', 'GRAVE',
+  'GRIFO', 'GRITO', 'GRUPO', 'GUAPO', 'GUIAR', 'GUSTO', 'HABER', 'HABLA',
+  'HACER', 'HACHA', 'HARTO', 'HASTA', 'HELAR', 'HERIR', 'HIELO', 'HIGOS',
+  'HIJOS', 'HILOS', 'HOGAR', 'HOJAS', 'HONDO', 'HONOR', 'HORNO', 'HOTEL',
+  'HUEVO', 'HUMOR', 'IDEAL', 'IDEAS', 'IGUAL', 'ISLAS', 'JAMON', 'JARRA',
+  'JAULA', 'JEFES', 'JOVEN', 'JUEGO', 'JUGAR', 'JUNIO', 'JUNTO', 'JURAR',
+  'JUSTO', 'LABIO', 'LADOS', 'LAGOS', 'LAPIZ', 'LARGO', 'LATON', 'LAVAR',
+  'LECHE', 'LEJOS', 'LENTO', 'LETRA', 'LIBRE', 'LIBRO', 'LIDER', 'LIMON',
+  'LINEA', 'LISTO', 'LLAMA', 'LLANO', 'LLAVE', 'LLENO', 'LLEVA', 'LOBOS',
+  'LOCAL', 'LUCHA', 'LUGAR', 'LUNES', 'MACHO', 'MADRE', 'MAGIA', 'MALLA',
+  'MANGO', 'MANOS', 'MANTA', 'MARCA', 'MARCO', 'MAREA', 'MASAS', 'MAYOR',
+  'MEDIA', 'MEDIO', 'MELON', 'MENOR', 'MENOS', 'MENTE', 'MESAS', 'METAL',
+  'METRO', 'MIEDO', 'MISMO', 'MITAD', 'MODAS', 'MONJA', 'MONTE', 'MORAL',
+  'MORIR', 'MOSCA', 'MOTOR', 'MUCHO', 'MUDAR', 'MUJER', 'MULTA', 'MUNDO',
+  'MURAL', 'MUSEO', 'MUSLO', 'NACER', 'NADAR', 'NARIZ', 'NAVAL', 'NEGRO',
+  'NIDOS', 'NIEVE', 'NIVEL', 'NIÑAS', 'NIÑOS', 'NOBLE', 'NOCHE', 'NORTE',
+  'NOTAS', 'NOVIO', 'NUBES', 'NUEVE', 'NUEVO', 'NUNCA', 'OBRAS', 'OCASO',
+  'OLIVO', 'OLLAS', 'ONDAS', 'OPERA', 'ORDEN', 'OREJA', 'OSADO', 'OTOÑO',
+  'PADRE', 'PAGAR', 'PALMA', 'PANEL', 'PAPEL', 'PARED', 'PARTE', 'PASAR',
+  'PASEO', 'PASTA', 'PATIO', 'PATOS', 'PAUSA', 'PECES', 'PEDAL', 'PEINE',
+  'PELEA', 'PELOS', 'PENAS', 'PERLA', 'PERRO', 'PESCA', 'PIANO', 'PIEZA',
+  'PILAS', 'PINTA', 'PISTA', 'PLANO', 'PLATO', 'PLAYA', 'PLAZA', 'PLUMA',
+  'POBRE', 'POCOS', 'PODER', 'POEMA', 'POETA', 'POLLO', 'PONER', 'PRADO',
+  'PRESO', 'PRIMO', 'PRISA', 'PUEDE', 'PUNTO', 'QUEDA', 'QUESO', 'QUIEN',
+  'RADIO', 'RAMAS', 'RANGO', 'RAPTO', 'RASGO', 'RATON', 'RAYOS', 'RAZON',
+  'RECTA', 'REGLA', 'REINA', 'REMAR', 'RENTA', 'RESTO', 'REZAR', 'RICOS',
+  'RITMO', 'RIÑON', 'ROBLE', 'ROBOT', 'ROCAS', 'RODAR', 'ROJOS', 'RONDA',
+  'ROPAS', 'ROSAS', 'RUEDA', 'RUIDO', 'RUMBO', 'SABER', 'SABOR', 'SACAR',
+  'SALIR', 'SALSA', 'SALTO', 'SALUD', 'SANTO', 'SAUCE', 'SECAR', 'SELVA',
+  'SERIE', 'SEÑAL', 'SEÑOR', 'SIGLO', 'SIGNO', 'SILLA', 'SITIO', 'SOBRE',
+  'SOLAR', 'SOÑAR', 'SUAVE', 'SUBIR', 'SUCIO', 'SUELO', 'SUEÑO', 'SUMAR',
+  'TABLA', 'TACON', 'TALLA', 'TANGO', 'TARDE', 'TAREA', 'TAXIS', 'TECHO',
+  'TEJER', 'TELAS', 'TEMAS', 'TEMOR', 'TENER', 'TERMO', 'TIBIO', 'TIGRE',
+  'TINTA', 'TIRAR', 'TOCAR', 'TODOS', 'TOMAR', 'TONTO', 'TORRE', 'TOSER',
+  'TRAJE', 'TRAMO', 'TRATO', 'TRIGO', 'TRONO', 'TROPA', 'TUMBA', 'TURNO',
+  'UNICO', 'UNION', 'USADO', 'USUAL', 'VACAS', 'VAGON', 'VALER', 'VALLE',
+  'VALOR', 'VAPOR', 'VASOS', 'VECES', 'VELAS', 'VENTA', 'VERDE', 'VERSO',
+  'VIAJE', 'VIDAS', 'VIDEO', 'VIEJO', 'VINOS', 'VIRUS', 'VISTA', 'VIUDA',
+  'VIVIR', 'VOCES', 'VOLAR', 'VUELO', 'YEGUA', 'YERNO', 'ZANJA', 'ZARZA',
+  'ZONAS', 'ZORRO', 'ZUMOS'
+];
@@ -0,0 +1,1093 @@
+// Full Spanish guess list for Word Up
+// Every 5-letter word players may guess in the Spanish pack, accents removed and Ñ kept.
+// It is large, so it is loaded on demand (see guess-dictionary.js).
+//
+// Built from the MIT-licensed an-array-of-spanish-words package
+// (Copyright 2016 Zeke Sikelianos), leaving out proper nouns.
+
+export const SPANISH_GUESSES = [
+  'ABABA', 'ABACA', 'ABACO', 'ABADA', 'ABADI', 'ABAJA', 'ABAJE', 'ABAJO', 'ABALA', 'ABALE',
+  'ABALO', 'ABANA', 'ABANE', 'ABANO', 'ABASI', 'ABATA', 'ABATE', 'ABATI', 'ABATO', 'ABAÑA',
+  'ABAÑE', 'ABAÑO', 'ABECE', 'ABEJA', 'ABETE', 'ABETO', 'ABIAR', 'ABIAS', 'ABINA', 'ABINE',
+  'ABINO', 'ABISO', 'ABITA', 'ABITE', 'ABITO', 'ABOBA', 'ABOBE', 'ABOBO', 'ABOCA', 'ABOCO',
+  'ABOFA', 'ABOFE', 'ABOFO', 'ABOGA', 'ABOGO', 'ABOLI', 'ABONA', 'ABONE', 'ABONO', 'ABOYA',
+  'ABOYE', 'ABOYO', 'ABOZO', 'ABRAN', 'ABRAS', 'ABREN', 'ABRES', 'ABRIA', 'ABRID', 'ABRIL',
+  'ABRIO', 'ABRIR', 'ABRIS', 'ABSIT', 'ABUBO', 'ABUCE', 'ABUJE', 'ABURA', 'ABURE', 'ABURO',
+  'ABUSA', 'ABUSE', 'ABUSO', 'ABUZA', 'ABUZO', 'ACABA', 'ACABE', 'ACABO', 'ACAMA', 'ACAME',
+  'ACAMO', 'ACANA', 'ACARA', 'ACARE', 'ACARO', 'ACASO', 'ACATA', 'ACATE', 'ACATO', 'ACEBO',
+  'ACECE', 'ACEDA', 'ACEDE', 'ACEDO', 'ACEMA', 'ACEPA', 'ACEPE', 'ACEPO', 'ACERA', 'ACERE',
+  'ACERO', 'ACETA', 'ACETO', 'ACEZA', 'ACEZO', 'ACEÑA', 'ACHIN', 'ACHIS', 'ACIAL', 'ACIAR',
+  'ACIDA', 'ACIDO', 'ACIJE', 'ACILO', 'ACIMO', 'ACION', 'ACLES', 'ACLLA', 'ACMES', 'ACNES',
+  'ACOCA', 'ACOCO', 'ACODA', 'ACODE', 'ACODO', 'ACOGE', 'ACOGI', 'ACOJA', 'ACOJO', 'ACOLA',
+  'ACOLE', 'ACOLO', 'ACOPA', 'ACOPE', 'ACOPO', 'ACORA', 'ACORE', 'ACORO', 'ACOSA', 'ACOSE',
+  'ACOSO', 'ACOTA', 'ACOTE', 'ACOTO', 'ACRES', 'ACROE', 'ACROY', 'ACTAS', 'ACTEA', 'ACTOR',
+  'ACTOS', 'ACTUA', 'ACTUE', 'ACTUO', 'ACUDA', 'ACUDE', 'ACUDI', 'ACUDO', 'ACUEA', 'ACUEO',
+  'ACULA', 'ACULE', 'ACULO', 'ACUNA', 'ACUNE', 'ACUNO', 'ACURE', 'ACUSA', 'ACUSE', 'ACUSO',
+  'ACUTA', 'ACUTI', 'ACUTO', 'ACUYO', 'ACUÑA', 'ACUÑE', 'ACUÑO', 'ADALA', 'ADAMA', 'ADAME',
+  'ADAMO', 'ADAZA', 'ADEMA', 'ADEME', 'ADEMO', 'ADIAD', 'ADIAN', 'ADIAR', 'ADIAS', 'ADIEN',
+  'ADIES', 'ADIOS', 'ADIVA', 'ADIVE', 'ADOBA', 'ADOBE', 'ADOBO', 'ADORA', 'ADORE', 'ADORO',
+  'ADOSA', 'ADOSE', 'ADOSO', 'ADRAD', 'ADRAL', 'ADRAN', 'ADRAR', 'ADRAS', 'ADREN', 'ADRES',
+  'ADUAR', 'ADUCE', 'ADUCI', 'ADUFE', 'ADUJA', 'ADUJE', 'ADUJO', 'ADULA', 'ADULE', 'ADULO',
+  'ADUNA', 'ADUNE', 'ADUNO', 'ADURA', 'ADURE', 'ADURI', 'ADURO', 'ADVEN', 'AEDAS', 'AEDOS',
+  'AEREA', 'AEREO', 'AETAS', 'AFACA', 'AFACE', 'AFAGA', 'AFAGO', 'AFAMA', 'AFAME', 'AFAMO',
+  'AFANA', 'AFANE', 'AFANO', 'AFARA', 'AFARE', 'AFATA', 'AFATE', 'AFATO', 'AFEAD', 'AFEAN',
+  'AFEAR', 'AFEAS', 'AFEEN', 'AFEES', 'AFIAR', 'AFICE', 'AFIJA', 'AFIJO', 'AFILA', 'AFILE',
+  'AFILO', 'AFINA', 'AFINE', 'AFINO', 'AFIZO', 'AFLUI', 'AFOCA', 'AFOCO', 'AFOFA', 'AFOFE',
+  'AFOFO', 'AFOGA', 'AFOGO', 'AFONA', 'AFONO', 'AFORA', 'AFORE', 'AFORO', 'AFOSA', 'AFOSE',
+  'AFOSO', 'AFTAS', 'AFUFA', 'AFUFE', 'AFUFO', 'AFUMA', 'AFUME', 'AFUMO', 'AGACE', 'AGAMI',
+  'AGANA', 'AGANE', 'AGANO', 'AGAPE', 'AGATA', 'AGAVE', 'AGIOS', 'AGITA', 'AGITE', 'AGITO',
+  'AGNUS', 'AGOLA', 'AGOLE', 'AGOLO', 'AGORA', 'AGORE', 'AGORO', 'AGOTA', 'AGOTE', 'AGOTO',
+  'AGRAS', 'AGRAZ', 'AGRES', 'AGRIA', 'AGRIE', 'AGRIO', 'AGROR', 'AGROS', 'AGUAD', 'AGUAI',
+  'AGUAN', 'AGUAR', 'AGUAS', 'AGUAY', 'AGUCE', 'AGUDA', 'AGUDO', 'AGUEN', 'AGUES', 'AGUIN',
+  'AGUIO', 'AGUJA', 'AGUTI', 'AGUZA', 'AGUZO', 'AHAJA', 'AHAJE', 'AHAJO', 'AHIJA', 'AHIJE',
+  'AHIJO', 'AHILA', 'AHILE', 'AHILO', 'AHINA', 'AHITA', 'AHITE', 'AHITO', 'AHOGA', 'AHOGO',
+  'AHORA', 'AHOYA', 'AHOYE', 'AHOYO', 'AHUMA', 'AHUME', 'AHUMO', 'AHUSA', 'AHUSE', 'AHUSO',
+  'AILLO', 'AILLU', 'AINAS', 'AIRAD', 'AIRAN', 'AIRAR', 'AIRAS', 'AIREA', 'AIREE', 'AIREN',
+  'AIREO', 'AIRES', 'AIRON', 'AISAS', 'AISLA', 'AISLE', 'AISLO', 'AITES', 'AJABA', 'AJADA',
+  'AJADO', 'AJAIS', 'AJAJA', 'AJARA', 'AJARE', 'AJASE', 'AJEAD', 'AJEAN', 'AJEAR', 'AJEAS',
+  'AJEBE', 'AJEEN', 'AJEES', 'AJEIS', 'AJENA', 'AJENO', 'AJEOS', 'AJERA', 'AJERO', 'AJETE',
+  'AJICE', 'AJIES', 'AJIPA', 'AJIZA', 'AJIZO', 'AJOBO', 'AJORA', 'AJORE', 'AJORO', 'AJOTA',
+  'AJOTE', 'AJOTO', 'AJUAR', 'AJUMA', 'AJUME', 'AJUMO', 'AJUNA', 'AJUNO', 'ALABA', 'ALABE',
+  'ALABO', 'ALACO', 'ALADA', 'ALADO', 'ALAFA', 'ALAGA', 'ALAGO', 'ALAJU', 'ALALA', 'ALALO',
+  'ALAMA', 'ALAMO', 'ALANA', 'ALANO', 'ALAUI', 'ALAZO', 'ALBAR', 'ALBAS', 'ALBEA', 'ALBEE',
+  'ALBEO', 'ALBIN', 'ALBOR', 'ALBOS', 'ALBUM', 'ALBUR', 'ALCAS', 'ALCEA', 'ALCEN', 'ALCES',
+  'ALCOR', 'ALDEA', 'ALEAD', 'ALEAN', 'ALEAR', 'ALEAS', 'ALECE', 'ALEDA', 'ALEEN', 'ALEES',
+  'ALEFS', 'ALEGA', 'ALEGO', 'ALEJA', 'ALEJE', 'ALEJO', 'ALELA', 'ALELE', 'ALELI', 'ALELO',
+  'ALEMA', 'ALERO', 'ALETA', 'ALETO', 'ALEVE', 'ALEYA', 'ALEZO', 'ALFAD', 'ALFAN', 'ALFAR',
+  'ALFAS', 'ALFEN', 'ALFES', 'ALFIL', 'ALFIZ', 'ALFOZ', 'ALGAR', 'ALGAS', 'ALGOL', 'ALGOS',
+  'ALGUN', 'ALHOZ', 'ALIAD', 'ALIAN', 'ALIAR', 'ALIAS', 'ALICA', 'ALIEN', 'ALIER', 'ALIES',
+  'ALIFA', 'ALIGA', 'ALIGO', 'ALIJA', 'ALIJE', 'ALIJO', 'ALIMO', 'ALIMS', 'ALIOJ', 'ALISA',
+  'ALISE', 'ALISO', 'ALIÑA', 'ALIÑE', 'ALIÑO', 'ALJEZ', 'ALJOR', 'ALLEN', 'ALMAS', 'ALMEA',
+  'ALMEZ', 'ALMOS', 'ALMUD', 'ALNAS', 'ALNOS', 'ALOBA', 'ALOBE', 'ALOBO', 'ALOCA', 'ALOCO',
+  'ALOES', 'ALOJA', 'ALOJE', 'ALOJO', 'ALOLA', 'ALOLE', 'ALOLO', 'ALOMA', 'ALOME', 'ALOMO',
+  'ALONA', 'ALORA', 'ALOSA', 'ALOTA', 'ALOTE', 'ALOTO', 'ALOYA', 'ALPES', 'ALTAR', 'ALTAS',
+  'ALTEA', 'ALTEE', 'ALTEO', 'ALTOR', 'ALTOS', 'ALUAS', 'ALUCE', 'ALUDA', 'ALUDE', 'ALUDI',
+  'ALUDO', 'ALULA', 'ALUNA', 'ALUNE', 'ALUNO', 'ALUZA', 'ALUZO', 'ALVEO', 'ALZAD', 'ALZAN',
+  'ALZAR', 'ALZAS', 'ALZOS', 'AMABA', 'AMADA', 'AMADO', 'AMAGA', 'AMAGO', 'AMAIS', 'AMALA',
+  'AMALE', 'AMALO', 'AMANA', 'AMANE', 'AMANO', 'AMARA', 'AMARE', 'AMARO', 'AMASA', 'AMASE',
+  'AMASO', 'AMATA', 'AMATE', 'AMATO', 'AMAÑA', 'AMAÑE', 'AMAÑO', 'AMBAR', 'AMBAS', 'AMBLA',
+  'AMBLE', 'AMBLO', 'AMBON', 'AMBOS', 'AMEBA', 'AMEIS', 'AMELA', 'AMELE', 'AMELO', 'AMENA',
+  'AMENO', 'AMEOS', 'AMERA', 'AMERE', 'AMERO', 'AMIAS', 'AMIBA', 'AMIBO', 'AMIDA', 'AMIGA',
+  'AMIGO', 'AMINA', 'AMINE', 'AMINO', 'AMIRI', 'AMITO', 'AMOLA', 'AMOLE', 'AMOLO', 'AMOMO',
+  'AMONA', 'AMONE', 'AMONO', 'AMOVE', 'AMOVI', 'AMPAY', 'AMPLA', 'AMPLO', 'AMPON', 'AMPOS',
+  'AMPRA', 'AMPRE', 'AMPRO', 'AMUGA', 'AMUGO', 'AMULA', 'AMULE', 'AMULO', 'AMURA', 'AMURE',
+  'AMURO', 'AMUSO', 'ANABI', 'ANACO', 'ANADE', 'ANAFE', 'ANAMU', 'ANANA', 'ANATA', 'ANCAS',
+  'ANCHA', 'ANCHE', 'ANCHO', 'ANCLA', 'ANCLE', 'ANCLO', 'ANCON', 'ANCUA', 'ANDAD', 'ANDAN',
+  'ANDAR', 'ANDAS', 'ANDEL', 'ANDEN', 'ANDES', 'ANDON', 'ANEAD', 'ANEAN', 'ANEAR', 'ANEAS',
+  'ANEEN', 'ANEES', 'ANEGA', 'ANEGO', 'ANEJA', 'ANEJE', 'ANEJO', 'ANETO', 'ANEXA', 'ANEXE',
+  'ANEXO', 'ANGEL', 'ANGLA', 'ANGLO', 'ANGOR', 'ANGRA', 'ANGUS', 'ANIDA', 'ANIDE', 'ANIDO',
+  'ANIMA', 'ANIME', 'ANIMO', 'ANION', 'ANISA', 'ANISE', 'ANISO', 'ANITO', 'ANIÑA', 'ANIÑE',
+  'ANIÑO', 'ANJEO', 'ANOAS', 'ANODO', 'ANOLA', 'ANOLE', 'ANOLO', 'ANONA', 'ANOTA', 'ANOTE',
+  'ANOTO', 'ANSAR', 'ANSAS', 'ANSIA', 'ANSIE', 'ANSIO', 'ANTAS', 'ANTES', 'ANTIA', 'ANTIS',
+  'ANTRO', 'ANUAL', 'ANUAS', 'ANUDA', 'ANUDE', 'ANUDO', 'ANULA', 'ANULE', 'ANULO', 'ANUOS',
+  'ANURA', 'ANURO', 'AOCAR', 'AOJAD', 'AOJAN', 'AOJAR', 'AOJAS', 'AOJEN', 'AOJES', 'AOJOS',
+  'AONIA', 'AONIO', 'AORTA', 'AOVAD', 'AOVAN', 'AOVAR', 'AOVAS', 'AOVEN', 'AOVES', 'APAGA',
+  'APAGO', 'APALE', 'APARA', 'APARE', 'APARO', 'APAÑA', 'APAÑE', 'APAÑO', 'APEAD', 'APEAN',
+  'APEAR', 'APEAS', 'APEEN', 'APEES', 'APEGA', 'APEGO', 'APELA', 'APELE', 'APELO', 'APENA',
+  'APENE', 'APENO', 'APEOS', 'APERA', 'APERE', 'APERO', 'APESE', 'APICE', 'APILA', 'APILE',
+  'APILO', 'APIOS', 'APIPA', 'APIPE', 'APIPO', 'APIRI', 'APITA', 'APITE', 'APITO', 'APIÑA',
+  'APIÑE', 'APIÑO', 'APNEA', 'APOCA', 'APOCE', 'APOCO', 'APODA', 'APODE', 'APODO', 'APOLA',
+  'APOLE', 'APOLO', 'APONE', 'APOSA', 'APOSE', 'APOSO', 'APOYA', 'APOYE', 'APOYO', 'APOZA',
+  'APOZO', 'APRES', 'APROA', 'APROE', 'APROO', 'APTAR', 'APTAS', 'APTOS', 'APUNA', 'APUNE',
+  'APUNO', 'APURA', 'APURE', 'APURO', 'APUSE', 'APUSO', 'APUÑA', 'APUÑE', 'APUÑO', 'AQUEA',
+  'AQUEL', 'AQUEO', 'ARABA', 'ARABE', 'ARABI', 'ARABO', 'ARADA', 'ARADO', 'ARAIS', 'ARANA',
+  'ARARA', 'ARARE', 'ARASA', 'ARASE', 'ARAZA', 'ARAÑA', 'ARAÑE', 'ARAÑO', 'ARBOL', 'ARBOR',
+  'ARCAD', 'ARCAN', 'ARCAR', 'ARCAS', 'ARCEA', 'ARCEN', 'ARCES', 'ARCHA', 'ARCHI', 'ARCON',
+  'ARCOS', 'ARDAN', 'ARDAS', 'ARDEA', 'ARDED', 'ARDEN', 'ARDER', 'ARDES', 'ARDIA', 'ARDID',
+  'ARDIL', 'ARDIO', 'ARDOR', 'ARDUA', 'ARDUO', 'AREAS', 'ARECA', 'AREIS', 'ARELA', 'ARELE',
+  'ARELO', 'ARENA', 'ARENE', 'ARENO', 'AREPA', 'ARETE', 'ARFAD', 'ARFAN', 'ARFAR', 'ARFAS',
+  'ARFEN', 'ARFES', 'ARFIL', 'ARGAN', 'ARGEL', 'ARGEN', 'ARGON', 'ARGOS', 'ARGOT', 'ARGUE',
+  'ARGUI', 'ARIAS', 'ARICA', 'ARICO', 'ARIDA', 'ARIDO', 'ARIES', 'ARIJA', 'ARIJE', 'ARIJO',
+  'ARILO', 'ARIOS', 'ARLAD', 'ARLAN', 'ARLAR', 'ARLAS', 'ARLEN', 'ARLES', 'ARLOS', 'ARMAD',
+  'ARMAN', 'ARMAR', 'ARMAS', 'ARMEN', 'ARMES', 'ARMON', 'ARMOS', 'ARNAS', 'ARNES', 'AROCA',
+  'AROMA', 'AROME', 'AROMO', 'ARPAD', 'ARPAN', 'ARPAR', 'ARPAS', 'ARPEN', 'ARPEO', 'ARPES',
+  'ARPIA', 'ARPON', 'ARQUE', 'ARRAS', 'ARRAZ', 'ARREA', 'ARREE', 'ARREO', 'ARRES', 'ARRIA',
+  'ARRIE', 'ARRIO', 'ARROZ', 'ARRUA', 'ARRUE', 'ARRUI', 'ARRUO', 'ARTAL', 'ARTAS', 'ARTES',
+  'ARTOS', 'ARULA', 'ARUPO', 'ARUÑA', 'ARUÑE', 'ARUÑO', 'ARZON', 'ASABA', 'ASACA', 'ASACO',
+  'ASADA', 'ASADO', 'ASAIS', 'ASARA', 'ASARE', 'ASARO', 'ASASE', 'ASCAR', 'ASCAS', 'ASCIA',
+  'ASCIO', 'ASCOS', 'ASCUA', 'ASEAD', 'ASEAN', 'ASEAR', 'ASEAS', 'ASEDA', 'ASEDE', 'ASEDO',
+  'ASEEN', 'ASEES', 'ASEIS', 'ASELA', 'ASELE', 'ASELO', 'ASEOS', 'ASESA', 'ASESE', 'ASESO',
+  'ASGAN', 'ASGAS', 'ASIAN', 'ASIAS', 'ASICA', 'ASICO', 'ASIDA', 'ASIDO', 'ASILA', 'ASILE',
+  'ASILO', 'ASINA', 'ASIRA', 'ASIRE', 'ASMAR', 'ASMAS', 'ASNAL', 'ASNAS', 'ASNOS', 'ASOLA',
+  'ASOLE', 'ASOLO', 'ASOMA', 'ASOME', 'ASOMO', 'ASONA', 'ASONE', 'ASONO', 'ASPAD', 'ASPAN',
+  'ASPAR', 'ASPAS', 'ASPEA', 'ASPEE', 'ASPEN', 'ASPEO', 'ASPES', 'ASPIC', 'ASPID', 'ASPRO',
+  'ASTAS', 'ASTER', 'ASTIL', 'ASTRO', 'ASTUR', 'ASUMA', 'ASUME', 'ASUMI', 'ASUMO', 'ASURA',
+  'ASURE', 'ASURO', 'ASUSO', 'ATABA', 'ATABE', 'ATACA', 'ATACO', 'ATADA', 'ATADO', 'ATAIS',
+  'ATAJA', 'ATAJE', 'ATAJO', 'ATAPA', 'ATAPE', 'ATAPO', 'ATARA', 'ATARE', 'ATASE', 'ATAUD',
+  'ATAÑA', 'ATAÑE', 'ATAÑO', 'ATEAR', 'ATEAS', 'ATECE', 'ATEIS', 'ATEJE', 'ATEOS', 'ATERI',
+  'ATESA', 'ATESE', 'ATESO', 'ATETA', 'ATETE', 'ATETO', 'ATEZA', 'ATEZO', 'ATIBA', 'ATIBE',
+  'ATIBO', 'ATICA', 'ATICE', 'ATICO', 'ATINA', 'ATINE', 'ATINO', 'ATIPA', 'ATIPE', 'ATIPO',
+  'ATIZA', 'ATIZO', 'ATLAS', 'ATOAD', 'ATOAN', 'ATOAR', 'ATOAS', 'ATOBA', 'ATOBE', 'ATOBO',
+  'ATOEN', 'ATOES', 'ATOJA', 'ATOJE', 'ATOJO', 'ATOLE', 'ATOMO', 'ATONA', 'ATONO', 'ATORA',
+  'ATORE', 'ATORO', 'ATRAE', 'ATRAS', 'ATRIL', 'ATRIO', 'ATROZ', 'ATUFA', 'ATUFE', 'ATUFO',
+  'ATURA', 'ATURE', 'ATURO', 'ATUSA', 'ATUSE', 'ATUSO', 'ATUVE', 'ATUVO', 'AUCAS', 'AUDAZ',
+  'AUDIO', 'AUGES', 'AUGUR', 'AULAS', 'AULLA', 'AULLE', 'AULLO', 'AUNAD', 'AUNAN', 'AUNAR',
+  'AUNAS', 'AUNEN', 'AUNES', 'AUPAD', 'AUPAN', 'AUPAR', 'AUPAS', 'AUPEN', 'AUPES', 'AURAS',
+  'AUREA', 'AUREO', 'AUSOL', 'AUTAN', 'AUTOR', 'AUTOS', 'AVADA', 'AVADE', 'AVADO', 'AVAHA',
+  'AVAHE', 'AVAHO', 'AVALA', 'AVALE', 'AVALO', 'AVARA', 'AVARO', 'AVATI', 'AVECE', 'AVENA',
+  'AVENE', 'AVENI', 'AVENO', 'AVEZA', 'AVEZO', 'AVIAD', 'AVIAN', 'AVIAR', 'AVIAS', 'AVICA',
+  'AVIDA', 'AVIDO', 'AVIEN', 'AVIES', 'AVINE', 'AVINO', 'AVION', 'AVIOS', 'AVISA', 'AVISE',
+  'AVISO', 'AVIVA', 'AVIVE', 'AVIVO', 'AVOCA', 'AVOCO', 'AVUGO', 'AXIAL', 'AXILA', 'AYACO',
+  'AYATE', 'AYEAD', 'AYEAN', 'AYEAR', 'AYEAS', 'AYEEN', 'AYEES', 'AYORA', 'AYOTE', 'AYUAS',
+  'AYUDA', 'AYUDE', 'AYUDO', 'AYUGA', 'AYUNA', 'AYUNE', 'AYUNO', 'AYUSO', 'AZADA', 'AZAGA',
+  'AZAGO', 'AZALA', 'AZARA', 'AZARE', 'AZARO', 'AZCON', 'AZERI', 'AZIMO', 'AZOAD', 'AZOAN',
+  'AZOAR', 'AZOAS', 'AZOCA', 'AZOCO', 'AZOEN', 'AZOES', 'AZOGA', 'AZOGO', 'AZOLA', 'AZOLE',
+  'AZOLO', 'AZORA', 'AZORE', 'AZORO', 'AZOTA', 'AZOTE', 'AZOTO', 'AZTOR', 'AZUAS', 'AZUCE',
+  'AZUDA', 'AZULA', 'AZULE', 'AZULO', 'AZUTS', 'AZUZA', 'AZUZO', 'AÑADA', 'AÑADE', 'AÑADI',
+  'AÑADO', 'AÑEDA', 'AÑEDE', 'AÑEDI', 'AÑEDO', 'AÑEJA', 'AÑEJE', 'AÑEJO', 'AÑERA', 'AÑERO',
+  'AÑIDA', 'AÑIDE', 'AÑIDI', 'AÑIDO', 'AÑILA', 'AÑILE', 'AÑILO', 'AÑINA', 'AÑINO', 'AÑOJA',
+  'AÑOJO', 'AÑORA', 'AÑORE', 'AÑORO', 'AÑOSA', 'AÑOSO', 'AÑUDA', 'AÑUDE', 'AÑUDO', 'BABAS',
+  'BABEA', 'BABEE', 'BABEL', 'BABEO', 'BABIS', 'BABLE', 'BABOR', 'BACAN', 'BACAS', 'BACHE',
+  'BACIA', 'BACIN', 'BACON', 'BADAL', 'BADAN', 'BADAS', 'BADEA', 'BADEN', 'BADIL', 'BAFLE',
+  'BAGAD', 'BAGAN', 'BAGAR', 'BAGAS', 'BAGOS', 'BAGRE', 'BAGUE', 'BAHAI', 'BAHIA', 'BAIDA',
+  'BAIFA', 'BAIFO', 'BAILA', 'BAILE', 'BAILO', 'BAJAD', 'BAJAN', 'BAJAR', 'BAJAS', 'BAJEA',
+  'BAJEE', 'BAJEL', 'BAJEN', 'BAJEO', 'BAJES', 'BAJEZ', 'BAJIA', 'BAJIN', 'BAJIO', 'BAJON',
+  'BAJOS', 'BALAD', 'BALAJ', 'BALAN', 'BALAR', 'BALAS', 'BALAY', 'BALDA', 'BALDE', 'BALDO',
+  'BALEA', 'BALEE', 'BALEN', 'BALEO', 'BALES', 'BALIN', 'BALON', 'BALOS', 'BALSA', 'BALSO',
+  'BALTA', 'BALTO', 'BAMBA', 'BAMBU', 'BANAL', 'BANAS', 'BANCA', 'BANCE', 'BANCO', 'BANDA',
+  'BANDO', 'BANIR', 'BANJO', 'BANTU', 'BANYO', 'BANZO', 'BAQUE', 'BARBA', 'BARBE', 'BARBO',
+  'BARCA', 'BARCO', 'BARDA', 'BARDE', 'BARDO', 'BARES', 'BARIA', 'BARIL', 'BARIO', 'BARIS',
+  'BARNS', 'BARON', 'BAROS', 'BARRA', 'BARRE', 'BARRI', 'BARRO', 'BARZA', 'BASAD', 'BASAL',
+  'BASAN', 'BASAR', 'BASAS', 'BASCA', 'BASEN', 'BASES', 'BASIS', 'BASNA', 'BASTA', 'BASTE',
+  'BASTO', 'BATAN', 'BATAS', 'BATEA', 'BATEE', 'BATEL', 'BATEN', 'BATEO', 'BATES', 'BATEY',
+  'BATIA', 'BATID', 'BATIN', 'BATIO', 'BATIR', 'BATIS', 'BATON', 'BATOS', 'BATUA', 'BAULA',
+  'BAURE', 'BAUSA', 'BAUZA', 'BAYAL', 'BAYAS', 'BAYON', 'BAYOS', 'BAYUA', 'BAYUS', 'BAZAR',
+  'BAZAS', 'BAZOS', 'BAÑAD', 'BAÑAN', 'BAÑAR', 'BAÑAS', 'BAÑEN', 'BAÑES', 'BAÑIL', 'BAÑOS',
+  'BEATA', 'BEATO', 'BEBAN', 'BEBAS', 'BEBED', 'BEBEN', 'BEBER', 'BEBES', 'BEBIA', 'BEBIO',
+  'BECAD', 'BECAN', 'BECAR', 'BECAS', 'BEDEL', 'BEFAD', 'BEFAN', 'BEFAR', 'BEFAS', 'BEFEN',
+  'BEFES', 'BEFOS', 'BEFRE', 'BEGUM', 'BEIGE', 'BEJIN', 'BELDA', 'BELDE', 'BELDO', 'BELEN',
+  'BELES', 'BELEZ', 'BELFA', 'BELFO', 'BELGA', 'BELIO', 'BELLA', 'BELLO', 'BELUA', 'BEMBA',
+  'BEMBE', 'BEMBO', 'BEMOL', 'BENES', 'BEODA', 'BEODO', 'BEORI', 'BEQUE', 'BERBI', 'BERMA',
+  'BERON', 'BERRA', 'BERRE', 'BERRO', 'BERTA', 'BERZA', 'BESAD', 'BESAN', 'BESAR', 'BESAS',
+  'BESEN', 'BESES', 'BESOS', 'BETAS', 'BETEL', 'BETUN', 'BEUDA', 'BEUDO', 'BEYES', 'BEZAR',
+  'BEZON', 'BEZOS', 'BIAZA', 'BIBIS', 'BICAL', 'BICHA', 'BICHE', 'BICHO', 'BICIS', 'BICOS',
+  'BIDES', 'BIDON', 'BIELA', 'BIFAZ', 'BIFES', 'BIGAS', 'BIJAO', 'BIJAS', 'BIJOL', 'BILAO',
+  'BILES', 'BILIS', 'BILLA', 'BILMA', 'BILME', 'BILMO', 'BIMBA', 'BINAD', 'BINAN', 'BINAR',
+  'BINAS', 'BINEA', 'BINEE', 'BINEN', 'BINEO', 'BINES', 'BINGO', 'BINZA', 'BIOTA', 'BIRAS',
+  'BIRLA', 'BIRLE', 'BIRLI', 'BIRLO', 'BIROS', 'BISAD', 'BISAN', 'BISAR', 'BISAS', 'BISEL',
+  'BISEN', 'BISES', 'BISOS', 'BISTE', 'BITAD', 'BITAN', 'BITAR', 'BITAS', 'BITEN', 'BITER',
+  'BITES', 'BITOR', 'BIZAS', 'BIZCA', 'BIZCO', 'BIZMA', 'BIZME', 'BIZMO', 'BIZNA', 'BLAOS',
+  'BLAVA', 'BLAVO', 'BLEDA', 'BLEDO', 'BLOCA', 'BLOCO', 'BLOCS', 'BLUES', 'BLUSA', 'BOATO',
+  'BOBAS', 'BOBEA', 'BOBEE', 'BOBEO', 'BOBOS', 'BOCAL', 'BOCAS', 'BOCEA', 'BOCEE', 'BOCEL',
+  'BOCEO', 'BOCHA', 'BOCHE', 'BOCHO', 'BOCIN', 'BOCIO', 'BOCON', 'BOCOY', 'BODAS', 'BODES',
+  'BODON', 'BOFAN', 'BOFAR', 'BOFAS', 'BOFEN', 'BOFES', 'BOFIA', 'BOFOS', 'BOGAD', 'BOGAN',
+  'BOGAR', 'BOGAS', 'BOGUE', 'BOHIO', 'BOINA', 'BOIRA', 'BOITE', 'BOJAD', 'BOJAN', 'BOJAR',
+  'BOJAS', 'BOJEA', 'BOJEE', 'BOJEN', 'BOJEO', 'BOJES', 'BOJOS', 'BOLAR', 'BOLAS', 'BOLDO',
+  'BOLEA', 'BOLEE', 'BOLEO', 'BOLES', 'BOLIN', 'BOLIS', 'BOLLA', 'BOLLE', 'BOLLO', 'BOLON',
+  'BOLOS', 'BOLSA', 'BOLSO', 'BOMBA', 'BOMBE', 'BOMBO', 'BONAL', 'BONES', 'BONGA', 'BONGO',
+  'BONOS', 'BONZO', 'BOQUE', 'BOQUI', 'BORAX', 'BORDA', 'BORDE', 'BORDO', 'BOREO', 'BORIA',
+  'BORLA', 'BORNA', 'BORNE', 'BORNI', 'BOROS', 'BORRA', 'BORRE', 'BORRO', 'BORTO', 'BOSAR',
+  'BOSON', 'BOSTA', 'BOTAD', 'BOTAN', 'BOTAR', 'BOTAS', 'BOTEA', 'BOTEE', 'BOTEN', 'BOTEO',
+  'BOTES', 'BOTIN', 'BOTON', 'BOTOR', 'BOTOS', 'BOXEA', 'BOXEE', 'BOXEO', 'BOXER', 'BOXES',
+  'BOYAD', 'BOYAL', 'BOYAN', 'BOYAR', 'BOYAS', 'BOYEN', 'BOYES', 'BOZAL', 'BOZAS', 'BOZON',
+  'BOZOS', 'BRACA', 'BRACO', 'BRAGA', 'BRAMA', 'BRAME', 'BRAMO', 'BRASA', 'BRAVA', 'BRAVO',
+  'BRAZA', 'BRAZO', 'BRAÑA', 'BREAD', 'BREAN', 'BREAR', 'BREAS', 'BRECA', 'BRECE', 'BRECO',
+  'BREEN', 'BREES', 'BREGA', 'BREGO', 'BRETE', 'BREVA', 'BREVE', 'BREZA', 'BREZO', 'BREÑA',
+  'BRIAL', 'BRIBA', 'BRICE', 'BRIDA', 'BRIOL', 'BRIOS', 'BRISA', 'BRISE', 'BRISO', 'BRIZA',
+  'BRIZO', 'BROAS', 'BROCA', 'BROCE', 'BROMA', 'BROME', 'BROMO', 'BROTA', 'BROTE', 'BROTO',
+  'BROZA', 'BROZO', 'BRUCE', 'BRUGO', 'BRUJA', 'BRUJE', 'BRUJI', 'BRUJO', 'BRUMA', 'BRUME',
+  'BRUMO', 'BRUNA', 'BRUNO', 'BRUTA', 'BRUTO', 'BRUTS', 'BRUZA', 'BRUZO', 'BRUÑA', 'BRUÑE',
+  'BRUÑI', 'BRUÑO', 'BUARO', 'BUBAS', 'BUBIS', 'BUBON', 'BUCAL', 'BUCEA', 'BUCEE', 'BUCEN',
+  'BUCEO', 'BUCES', 'BUCHE', 'BUCIO', 'BUCLE', 'BUCOS', 'BUDAS', 'BUDIN', 'BUEGA', 'BUENA',
+  'BUENO', 'BUERA', 'BUFAD', 'BUFAN', 'BUFAR', 'BUFAS', 'BUFEN', 'BUFEO', 'BUFES', 'BUFET',
+  'BUFIA', 'BUFON', 'BUFOS', 'BUGLE', 'BUHIO', 'BUHOS', 'BUIDA', 'BUIDO', 'BUJEO', 'BUJES',
+  'BUJIA', 'BUJOS', 'BULAR', 'BULAS', 'BULBO', 'BULDA', 'BULES', 'BULIN', 'BULIS', 'BULLA',
+  'BULLE', 'BULLI', 'BULLO', 'BULON', 'BULOS', 'BULTO', 'BUNAS', 'BUNIO', 'BUQUE', 'BURAS',
+  'BURDA', 'BURDO', 'BUREL', 'BUREO', 'BURGA', 'BURGO', 'BURIL', 'BURIO', 'BURIS', 'BURLA',
+  'BURLE', 'BURLO', 'BUROS', 'BURRA', 'BURRO', 'BUSCA', 'BUSCO', 'BUSES', 'BUSTO', 'BUTEN',
+  'BUTIA', 'BUYOS', 'BUZAD', 'BUZAN', 'BUZAR', 'BUZAS', 'BUZON', 'BUZOS', 'CABAL', 'CABAS',
+  'CABED', 'CABEN', 'CABER', 'CABES', 'CABIA', 'CABIO', 'CABLE', 'CABOS', 'CABRA', 'CABRE',
+  'CABRO', 'CACAN', 'CACAO', 'CACAS', 'CACEA', 'CACEE', 'CACEN', 'CACEO', 'CACES', 'CACHA',
+  'CACHE', 'CACHO', 'CACHU', 'CACLE', 'CACOS', 'CACTO', 'CACUY', 'CADAS', 'CADIS', 'CADOS',
+  'CAEIS', 'CAENA', 'CAERA', 'CAERE', 'CAFES', 'CAFIZ', 'CAFRE', 'CAGAD', 'CAGAN', 'CAGAR',
+  'CAGAS', 'CAGON', 'CAGUE', 'CAHIZ', 'CAIAN', 'CAIAS', 'CAICO', 'CAIDA', 'CAIDO', 'CAIES',
+  'CAIGA', 'CAIGO', 'CAIMA', 'CAIRE', 'CAITE', 'CAJAS', 'CAJEL', 'CAJIN', 'CAJIS', 'CAJON',
+  'CAJOS', 'CALAD', 'CALAN', 'CALAO', 'CALAR', 'CALAS', 'CALCA', 'CALCE', 'CALCO', 'CALDA',
+  'CALDO', 'CALED', 'CALEN', 'CALER', 'CALES', 'CALIA', 'CALIO', 'CALIS', 'CALIZ', 'CALLA',
+  'CALLE', 'CALLO', 'CALMA', 'CALME', 'CALMO', 'CALON', 'CALOR', 'CALOS', 'CALTA', 'CALVA',
+  'CALVE', 'CALVO', 'CALZA', 'CALZO', 'CAMAL', 'CAMAO', 'CAMAS', 'CAMBA', 'CAMBE', 'CAMBO',
+  'CAMIO', 'CAMON', 'CAMPA', 'CAMPE', 'CAMPO', 'CANAL', 'CANAS', 'CANDA', 'CANDE', 'CANDI',
+  'CANDO', 'CANEA', 'CANEE', 'CANEO', 'CANES', 'CANEY', 'CANEZ', 'CANGA', 'CANGO', 'CANIA',
+  'CANIL', 'CANJE', 'CANOA', 'CANON', 'CANOS', 'CANSA', 'CANSE', 'CANSO', 'CANTA', 'CANTE',
+  'CANTO', 'CANTU', 'CAOBA', 'CAOBO', 'CAPAD', 'CAPAN', 'CAPAR', 'CAPAS', 'CAPAZ', 'CAPEA',
+  'CAPEE', 'CAPEL', 'CAPEN', 'CAPEO', 'CAPES', 'CAPIA', 'CAPIN', 'CAPIO', 'CAPIS', 'CAPON',
+  'CAPOS', 'CAPPA', 'CAPTA', 'CAPTE', 'CAPTO', 'CAPUZ', 'CAQUI', 'CARAO', 'CARAS', 'CARAU',
+  'CARAY', 'CARBA', 'CARCA', 'CARDA', 'CARDE', 'CARDO', 'CAREA', 'CAREE', 'CAREL', 'CAREO',
+  'CARES', 'CAREY', 'CARGA', 'CARGO', 'CARIA', 'CARIE', 'CARIO', 'CARIS', 'CARIZ', 'CARLA',
+  'CARLO', 'CARME', 'CARNE', 'CARON', 'CAROS', 'CARPA', 'CARPE', 'CARPI', 'CARPO', 'CARRA',
+  'CARRO', 'CARTA', 'CARVI', 'CASAD', 'CASAL', 'CASAN', 'CASAR', 'CASAS', 'CASCA', 'CASCO',
+  'CASEA', 'CASEN', 'CASEO', 'CASES', 'CASIA', 'CASIS', 'CASON', 'CASOS', 'CASPA', 'CASTA',
+  'CASTO', 'CATAD', 'CATAN', 'CATAR', 'CATAS', 'CATEA', 'CATEE', 'CATEN', 'CATEO', 'CATES',
+  'CATEY', 'CATIN', 'CATON', 'CATOS', 'CATRE', 'CAUBA', 'CAUCA', 'CAUCE', 'CAUDA', 'CAUJE',
+  'CAULA', 'CAUNO', 'CAURI', 'CAURO', 'CAUSA', 'CAUSE', 'CAUSO', 'CAUTA', 'CAUTO', 'CAUZA',
+  'CAVAD', 'CAVAN', 'CAVAR', 'CAVAS', 'CAVEA', 'CAVEN', 'CAVES', 'CAVIA', 'CAVIO', 'CAVIS',
+  'CAVON', 'CAVOS', 'CAYAN', 'CAYAS', 'CAYOS', 'CAZAD', 'CAZAN', 'CAZAR', 'CAZAS', 'CAZON',
+  'CAZOS', 'CAZUZ', 'CAÑAD', 'CAÑAL', 'CAÑAN', 'CAÑAR', 'CAÑAS', 'CAÑEA', 'CAÑEE', 'CAÑEN',
+  'CAÑEO', 'CAÑES', 'CAÑIS', 'CAÑON', 'CAÑOS', 'CEAJA', 'CEAJO', 'CEBAD', 'CEBAN', 'CEBAR',
+  'CEBAS', 'CEBEN', 'CEBES', 'CEBIL', 'CEBON', 'CEBOS', 'CEBRA', 'CEBRO', 'CEBTI', 'CEBUS',
+  'CECAL', 'CECAS', 'CECEA', 'CECEE', 'CECEO', 'CEDAN', 'CEDAS', 'CEDED', 'CEDEN', 'CEDER',
+  'CEDES', 'CEDIA', 'CEDIO', 'CEDRO', 'CEFEA', 'CEFEE', 'CEFEO', 'CEFOS', 'CEGAD', 'CEGAR',
+  'CEGAS', 'CEGUA', 'CEGUE', 'CEIBA', 'CEIBO', 'CEJAD', 'CEJAN', 'CEJAR', 'CEJAS', 'CEJEN',
+  'CEJES', 'CEJOS', 'CELAD', 'CELAN', 'CELAR', 'CELAS', 'CELDA', 'CELEN', 'CELES', 'CELFO',
+  'CELIA', 'CELLA', 'CELLO', 'CELOS', 'CELTA', 'CEMAS', 'CEMBO', 'CENAD', 'CENAL', 'CENAN',
+  'CENAR', 'CENAS', 'CENCA', 'CENCO', 'CENEN', 'CENES', 'CENIA', 'CENIS', 'CENIT', 'CENSA',
+  'CENSE', 'CENSO', 'CENTS', 'CEPAS', 'CEPOS', 'CEPTI', 'CEQUI', 'CERAS', 'CERCA', 'CERCO',
+  'CERDA', 'CERDO', 'CEREA', 'CEREO', 'CERIO', 'CERNA', 'CERNE', 'CERNI', 'CERNO', 'CERON',
+  'CEROS', 'CERPA', 'CERRA', 'CERRE', 'CERRO', 'CESAD', 'CESAN', 'CESAR', 'CESAS', 'CESEN',
+  'CESES', 'CESIO', 'CESTA', 'CESTO', 'CETIL', 'CETIS', 'CETME', 'CETRA', 'CETRE', 'CETRO',
+  'CEUTI', 'CEÑAD', 'CEÑAN', 'CEÑAR', 'CEÑAS', 'CEÑEN', 'CEÑES', 'CEÑIA', 'CEÑID', 'CEÑIR',
+  'CEÑIS', 'CEÑOS', 'CHACA', 'CHACE', 'CHACO', 'CHAFA', 'CHAFE', 'CHAFO', 'CHAIS', 'CHAJA',
+  'CHALA', 'CHALE', 'CHALO', 'CHAMA', 'CHAME', 'CHAMO', 'CHANA', 'CHANE', 'CHANO', 'CHAPA',
+  'CHAPE', 'CHAPO', 'CHATA', 'CHATO', 'CHAUL', 'CHAUZ', 'CHAVA', 'CHAVE', 'CHAVO', 'CHAYA',
+  'CHAYE', 'CHAYO', 'CHAZA', 'CHAZO', 'CHECA', 'CHECO', 'CHEFS', 'CHEJE', 'CHELA', 'CHELE',
+  'CHELI', 'CHELO', 'CHEPA', 'CHEPE', 'CHEPO', 'CHERA', 'CHERO', 'CHESA', 'CHESO', 'CHETA',
+  'CHETO', 'CHIAD', 'CHIAN', 'CHIAR', 'CHIAS', 'CHICA', 'CHICO', 'CHICS', 'CHIDA', 'CHIDO',
+  'CHIEN', 'CHIES', 'CHIFA', 'CHIIS', 'CHILE', 'CHIMA', 'CHIME', 'CHIMO', 'CHIMU', 'CHINA',
+  'CHINE', 'CHINO', 'CHIPA', 'CHIPE', 'CHIPS', 'CHIRA', 'CHIRI', 'CHISA', 'CHIST', 'CHITA',
+  'CHITE', 'CHITO', 'CHIVA', 'CHIVE', 'CHIVO', 'CHIZA', 'CHOBA', 'CHOCA', 'CHOCO', 'CHOFE',
+  'CHOLA', 'CHOLO', 'CHONA', 'CHONO', 'CHOPA', 'CHOPE', 'CHOPO', 'CHORA', 'CHORE', 'CHORI',
+  'CHORO', 'CHOTA', 'CHOTE', 'CHOTO', 'CHOVA', 'CHOYA', 'CHOYE', 'CHOYO', 'CHOZA', 'CHOZO',
+  'CHUAS', 'CHUCA', 'CHUCE', 'CHUCO', 'CHUFA', 'CHUFE', 'CHUFO', 'CHULA', 'CHULE', 'CHULO',
+  'CHUNA', 'CHUPA', 'CHUPE', 'CHUPO', 'CHURA', 'CHURO', 'CHURU', 'CHUTA', 'CHUTE', 'CHUTO',
+  'CHUTS', 'CHUVA', 'CHUYA', 'CHUYO', 'CHUZA', 'CHUZO', 'CHUÑA', 'CHUÑO', 'CIABA', 'CIADO',
+  'CIAIS', 'CIANI', 'CIARA', 'CIARE', 'CIASE', 'CIATO', 'CIBAL', 'CIBIS', 'CICAS', 'CICCA',
+  'CICLA', 'CICLE', 'CICLO', 'CIDES', 'CIDRA', 'CIDRO', 'CIECA', 'CIEGA', 'CIEGO', 'CIEIS',
+  'CIELO', 'CIEMO', 'CIENO', 'CIFRA', 'CIFRE', 'CIFRO', 'CIGUA', 'CIJAS', 'CILIO', 'CILLA',
+  'CIMAR', 'CIMAS', 'CIMBA', 'CIMIA', 'CIMPA', 'CINAS', 'CINCA', 'CINCO', 'CINCS', 'CINES',
+  'CINIA', 'CINTA', 'CINTE', 'CINTO', 'CIPES', 'CIPOS', 'CIRCA', 'CIRCE', 'CIRCO', 'CIRIO',
+  'CIRRO', 'CISCA', 'CISCO', 'CISMA', 'CISME', 'CISMO', 'CISNE', 'CISTA', 'CITAD', 'CITAN',
+  'CITAR', 'CITAS', 'CITEN', 'CITES', 'CITRA', 'CIVIL', 'CIÑAN', 'CIÑAS', 'CIÑEN', 'CIÑES',
+  'CLACO', 'CLACS', 'CLAMA', 'CLAME', 'CLAMO', 'CLAPA', 'CLARA', 'CLARO', 'CLASE', 'CLAVA',
+  'CLAVE', 'CLAVO', 'CLEMA', 'CLERO', 'CLICA', 'CLICS', 'CLIMA', 'CLIPS', 'CLISA', 'CLISE',
+  'CLISO', 'CLOCA', 'CLOCO', 'CLONA', 'CLONE', 'CLONO', 'CLORA', 'CLORE', 'CLORO', 'CLOTA',
+  'CLUBE', 'CLUBS', 'COANA', 'COATI', 'COBAS', 'COBEA', 'COBEZ', 'COBIL', 'COBLA', 'COBOS',
+  'COBRA', 'COBRE', 'COBRO', 'COCAD', 'COCAL', 'COCAN', 'COCAR', 'COCAS', 'COCEA', 'COCED',
+  'COCEE', 'COCEO', 'COCER', 'COCES', 'COCHA', 'COCHE', 'COCHI', 'COCHO', 'COCIA', 'COCIO',
+  'COCOL', 'COCOS', 'COCUI', 'COCUY', 'CODAL', 'CODAS', 'CODEA', 'CODEE', 'CODEO', 'CODEZ',
+  'CODIN', 'CODON', 'CODOS', 'COEVA', 'COEVO', 'COFAN', 'COFAS', 'COFIA', 'COFIN', 'COFRE',
+  'COGED', 'COGEN', 'COGER', 'COGES', 'COGIA', 'COGIO', 'COGON', 'COIMA', 'COIME', 'COINE',
+  'COIPO', 'COITA', 'COITE', 'COITO', 'COJAL', 'COJAN', 'COJAS', 'COJEA', 'COJEE', 'COJEO',
+  'COJIN', 'COJON', 'COJOS', 'COLAD', 'COLAN', 'COLAR', 'COLAS', 'COLEA', 'COLEE', 'COLEN',
+  'COLEO', 'COLES', 'COLGA', 'COLGO', 'COLIN', 'COLLA', 'COLMA', 'COLME', 'COLMO', 'COLON',
+  'COLOR', 'COLOS', 'COLPA', 'COLPE', 'COLZA', 'COMAL', 'COMAN', 'COMAS', 'COMBA', 'COMBE',
+  'COMBO', 'COMED', 'COMEN', 'COMER', 'COMES', 'COMIA', 'COMIC', 'COMIO', 'COMIS', 'COMTA',
+  'COMTO', 'COMUN', 'CONCA', 'CONDE', 'CONGA', 'CONGO', 'CONOS', 'CONTA', 'CONTE', 'CONTO',
+  'COONA', 'COPAD', 'COPAL', 'COPAN', 'COPAR', 'COPAS', 'COPEA', 'COPEC', 'COPEE', 'COPEN',
+  'COPEO', 'COPES', 'COPEY', 'COPIA', 'COPIE', 'COPIN', 'COPIO', 'COPLA', 'COPON', 'COPOS',
+  'COPRA', 'COPTA', 'COPTO', 'COQUE', 'COQUI', 'CORAD', 'CORAL', 'CORAN', 'CORAR', 'CORAS',
+  'CORBE', 'CORCA', 'CORCO', 'CORDA', 'COREA', 'COREE', 'COREN', 'COREO', 'CORES', 'CORIO',
+  'CORIS', 'CORLA', 'CORLE', 'CORLO', 'CORMA', 'CORNO', 'COROS', 'CORPA', 'CORPS', 'CORRA',
+  'CORRE', 'CORRI', 'CORRO', 'CORSA', 'CORSE', 'CORSO', 'CORTA', 'CORTE', 'CORTO', 'CORUA',
+  'CORVA', 'CORVE', 'CORVO', 'CORZA', 'CORZO', 'COSAN', 'COSAS', 'COSCA', 'COSCO', 'COSED',
+  'COSEN', 'COSER', 'COSES', 'COSIA', 'COSIO', 'COSOS', 'COSPE', 'COSTA', 'COSTE', 'COSTO',
+  'COTAD', 'COTAN', 'COTAR', 'COTAS', 'COTEN', 'COTES', 'COTIN', 'COTIS', 'COTON', 'COTOS',
+  'COTUA', 'COVAD', 'COVAN', 'COVAR', 'COVAS', 'COVEN', 'COVES', 'COXAL', 'COXAS', 'COXIS',
+  'COYAN', 'COYAS', 'COYES', 'COYOL', 'COÑAC', 'COÑAS', 'COÑEA', 'COÑEE', 'COÑEO', 'COÑON',
+  'COÑOS', 'CRACS', 'CRASA', 'CRASO', 'CRAZA', 'CREAD', 'CREAN', 'CREAR', 'CREAS', 'CRECE',
+  'CRECI', 'CREDO', 'CREED', 'CREEN', 'CREER', 'CREES', 'CREIA', 'CREMA', 'CREME', 'CREMO',
+  'CREPE', 'CREPS', 'CRESA', 'CRESO', 'CRETA', 'CREYO', 'CRIAD', 'CRIAN', 'CRIAR', 'CRIAS',
+  'CRIBA', 'CRIBE', 'CRIBO', 'CRICA', 'CRICS', 'CRIDA', 'CRIEN', 'CRIES', 'CRINA', 'CRINE',
+  'CRINO', 'CRIOS', 'CROAD', 'CROAN', 'CROAR', 'CROAS', 'CROCO', 'CROEN', 'CROES', 'CROMA',
+  'CROME', 'CROMO', 'CRONO', 'CROSS', 'CROTO', 'CROZA', 'CRUCE', 'CRUDA', 'CRUDO', 'CRUEL',
+  'CRUJA', 'CRUJE', 'CRUJI', 'CRUJO', 'CRUOR', 'CRUPS', 'CRUZA', 'CRUZO', 'CUABA', 'CUACO',
+  'CUADA', 'CUADO', 'CUAJA', 'CUAJE', 'CUAJO', 'CUAPE', 'CUASI', 'CUATA', 'CUATE', 'CUATI',
+  'CUBAS', 'CUBIL', 'CUBOS', 'CUBRA', 'CUBRE', 'CUBRI', 'CUBRO', 'CUCAD', 'CUCAN', 'CUCAR',
+  'CUCAS', 'CUCHA', 'CUCHE', 'CUCHI', 'CUCHO', 'CUCOS', 'CUCUS', 'CUCUY', 'CUECA', 'CUECE',
+  'CUECO', 'CUELA', 'CUELE', 'CUELO', 'CUERA', 'CUERO', 'CUETE', 'CUETO', 'CUEVA', 'CUEZA',
+  'CUEZO', 'CUICA', 'CUICO', 'CUIDA', 'CUIDE', 'CUIDO', 'CUIJA', 'CUILO', 'CUINA', 'CUINO',
+  'CUITA', 'CUJAS', 'CUJES', 'CUJIN', 'CUJIS', 'CUJON', 'CULAR', 'CULAS', 'CULEA', 'CULEE',
+  'CULEN', 'CULEO', 'CULIA', 'CULIO', 'CULIS', 'CULLE', 'CULON', 'CULOS', 'CULPA', 'CULPE',
+  'CULPO', 'CULTA', 'CULTO', 'CUMAS', 'CUMBA', 'CUMBE', 'CUMBO', 'CUMEL', 'CUMPA', 'CUNAD',
+  'CUNAN', 'CUNAR', 'CUNAS', 'CUNDA', 'CUNDE', 'CUNDI', 'CUNDO', 'CUNEA', 'CUNEE', 'CUNEN',
+  'CUNEO', 'CUNES', 'CUOTA', 'CUPES', 'CUPLE', 'CUPON', 'CUPOS', 'CUQUE', 'CURAD', 'CURAL',
+  'CURAN', 'CURAR', 'CURAS', 'CURCA', 'CURCO', 'CURDA', 'CURDO', 'CUREN', 'CURES', 'CURIA',
+  'CURIE', 'CURIL', 'CURIO', 'CURIS', 'CUROS', 'CURRA', 'CURRE', 'CURRO', 'CURRY', 'CURSA',
+  'CURSE', 'CURSI', 'CURSO', 'CURTA', 'CURTE', 'CURTI', 'CURTO', 'CURUL', 'CURVA', 'CURVE',
+  'CURVO', 'CUSAN', 'CUSAS', 'CUSCA', 'CUSCO', 'CUSCU', 'CUSEN', 'CUSES', 'CUSIA', 'CUSID',
+  'CUSIO', 'CUSIR', 'CUSIS', 'CUSMA', 'CUSPA', 'CUSUL', 'CUTAS', 'CUTER', 'CUTES', 'CUTIO',
+  'CUTIR', 'CUTIS', 'CUTOS', 'CUTRA', 'CUTRE', 'CUYAS', 'CUYEO', 'CUYES', 'CUYOS', 'CUZAS',
+  'CUZCO', 'CUZMA', 'CUZOS', 'CUZUL', 'CUÑAD', 'CUÑAL', 'CUÑAN', 'CUÑAR', 'CUÑAS', 'CUÑEN',
+  'CUÑES', 'CUÑOS', 'DABAN', 'DABAS', 'DABLE', 'DACHA', 'DACIA', 'DACIO', 'DADAS', 'DADOR',
+  'DADOS', 'DAGAS', 'DAHIR', 'DAIFA', 'DAJAO', 'DALAS', 'DALGO', 'DALIA', 'DALLA', 'DALLE',
+  'DALLO', 'DAMAS', 'DAMIL', 'DAMOS', 'DANCE', 'DANDI', 'DANDO', 'DANES', 'DANGO', 'DANTA',
+  'DANTE', 'DANTO', 'DANZA', 'DANZO', 'DAQUI', 'DARAN', 'DARAS', 'DARDO', 'DARES', 'DARGA',
+  'DARIA', 'DATAD', 'DATAN', 'DATAR', 'DATAS', 'DATEA', 'DATEE', 'DATEN', 'DATEO', 'DATES',
+  'DATIL', 'DATOS', 'DAUCO', 'DAUDA', 'DAZAS', 'DAÑAD', 'DAÑAN', 'DAÑAR', 'DAÑAS', 'DAÑEN',
+  'DAÑES', 'DAÑOS', 'DEBAN', 'DEBAS', 'DEBDA', 'DEBDO', 'DEBED', 'DEBEN', 'DEBER', 'DEBES',
+  'DEBIA', 'DEBIL', 'DEBIO', 'DEBLA', 'DEBOS', 'DEBUT', 'DECAE', 'DECAI', 'DECIA', 'DECID',
+  'DECIR', 'DECIS', 'DECOR', 'DEDAL', 'DEDEO', 'DEDIL', 'DEDOS', 'DEESA', 'DEJAD', 'DEJAN',
+  'DEJAR', 'DEJAS', 'DEJEN', 'DEJES', 'DEJOS', 'DELCO', 'DELES', 'DELGA', 'DELIA', 'DELIO',
+  'DELLA', 'DELLO', 'DELTA', 'DEMAS', 'DEMOS', 'DENDE', 'DENSA', 'DENSO', 'DENTA', 'DENTE',
+  'DENTO', 'DEPON', 'DEQUE', 'DERBI', 'DESCA', 'DESDA', 'DESDE', 'DESDI', 'DESEA', 'DESEE',
+  'DESEO', 'DESES', 'DESGA', 'DESOI', 'DESTA', 'DESTE', 'DESTO', 'DESUS', 'DETAL', 'DETEN',
+  'DEUDA', 'DEUDO', 'DEVEN', 'DEYES', 'DEZMA', 'DEZME', 'DEZMO', 'DEÑAR', 'DIADA', 'DIADO',
+  'DIANA', 'DIAÑO', 'DICAZ', 'DICEN', 'DICES', 'DICHA', 'DICHO', 'DICTA', 'DICTE', 'DICTO',
+  'DIEGO', 'DIERA', 'DIERE', 'DIESE', 'DIESI', 'DIETA', 'DIETE', 'DIETO', 'DIGAN', 'DIGAS',
+  'DIGNA', 'DIGNE', 'DIGNO', 'DIJES', 'DILUI', 'DIMAN', 'DIMAS', 'DIMEN', 'DIMES', 'DIMIA',
+  'DIMID', 'DIMIO', 'DIMIR', 'DIMIS', 'DIMOS', 'DINAR', 'DINAS', 'DINES', 'DINOS', 'DIODO',
+  'DIOSA', 'DIOSO', 'DIQUE', 'DIRAN', 'DIRAS', 'DIRIA', 'DISCA', 'DISCO', 'DISON', 'DISTA',
+  'DISTE', 'DISTO', 'DITAS', 'DIUCA', 'DIVAN', 'DIVAS', 'DIVOS', 'DIÑAD', 'DIÑAN', 'DIÑAR',
+  'DIÑAS', 'DIÑEN', 'DIÑES', 'DOBLA', 'DOBLE', 'DOBLO', 'DOCAS', 'DOCES', 'DOCIL', 'DOCTA',
+  'DOCTO', 'DODOS', 'DOGAL', 'DOGAS', 'DOGMA', 'DOGOS', 'DOGRE', 'DOLAD', 'DOLAR', 'DOLAS',
+  'DOLED', 'DOLER', 'DOLES', 'DOLIA', 'DOLIO', 'DOLOR', 'DOLOS', 'DOMAD', 'DOMAN', 'DOMAR',
+  'DOMAS', 'DOMBO', 'DOMEN', 'DOMES', 'DOMOS', 'DONAD', 'DONAN', 'DONAR', 'DONAS', 'DONDE',
+  'DONEN', 'DONEO', 'DONES', 'DOPAD', 'DOPAN', 'DOPAR', 'DOPAS', 'DOPEN', 'DOPES', 'DORAD',
+  'DORAL', 'DORAN', 'DORAR', 'DORAS', 'DOREN', 'DORES', 'DORIA', 'DORIO', 'DORMI', 'DORNA',
+  'DORSO', 'DOSEL', 'DOSES', 'DOSIS', 'DOTAD', 'DOTAL', 'DOTAN', 'DOTAR', 'DOTAS', 'DOTEN',
+  'DOTES', 'DOTOR', 'DOÑAS', 'DOÑEA', 'DOÑEE', 'DOÑEO', 'DRABA', 'DRAGA', 'DRAGO', 'DRAMA',
+  'DREAS', 'DRENA', 'DRENE', 'DRENO', 'DRIAS', 'DRINO', 'DRIZA', 'DROGA', 'DROGO', 'DROPE',
+  'DRUPA', 'DRUSA', 'DRUSO', 'DSEDA', 'DUBAS', 'DUBDA', 'DUBIO', 'DUCAL', 'DUCAS', 'DUCES',
+  'DUCHA', 'DUCHE', 'DUCHO', 'DUCOS', 'DUCTO', 'DUDAD', 'DUDAN', 'DUDAR', 'DUDAS', 'DUDEN',
+  'DUDES', 'DUELA', 'DUELE', 'DUELO', 'DUETO', 'DUEÑA', 'DUEÑO', 'DUGOS', 'DUJOS', 'DULAR',
+  'DULAS', 'DULCE', 'DULIA', 'DUMAN', 'DUMAS', 'DUMEN', 'DUMES', 'DUMIA', 'DUMID', 'DUMIO',
+  'DUMIR', 'DUMIS', 'DUNAS', 'DUNDA', 'DUNDO', 'DUPLA', 'DUPLO', 'DUQUE', 'DURAD', 'DURAN',
+  'DURAR', 'DURAS', 'DUREN', 'DURES', 'DUROS', 'EBANO', 'EBRIA', 'EBRIO', 'ECHAD', 'ECHAN',
+  'ECHAR', 'ECHAS', 'ECHEN', 'ECHES', 'ECUAS', 'ECUOS', 'EDEMA', 'EDILA', 'EDITA', 'EDITE',
+  'EDITO', 'EDRAD', 'EDRAN', 'EDRAR', 'EDRAS', 'EDREN', 'EDRES', 'EDUCA', 'EDUCE', 'EDUCI',
+  'EDUCO', 'EDUJE', 'EDUJO', 'EFEBO', 'EFETA', 'EFETO', 'EFLUI', 'EFORO', 'EGENA', 'EGENO',
+  'EGIDA', 'EGUAR', 'EIRAS', 'EJIDO', 'EJION', 'EJOTE', 'ELAMI', 'ELATA', 'ELATO', 'ELCHE',
+  'ELEGA', 'ELEGI', 'ELEGO', 'ELEMI', 'ELEPE', 'ELETA', 'ELETO', 'ELEVA', 'ELEVE', 'ELEVO',
+  'ELFOS', 'ELIDA', 'ELIDE', 'ELIDI', 'ELIDO', 'ELIGE', 'ELIJA', 'ELIJE', 'ELIJO', 'ELITE',
+  'ELLAS', 'ELLES', 'ELLOS', 'ELOTE', 'ELUDA', 'ELUDE', 'ELUDI', 'ELUDO', 'EMANA', 'EMANE',
+  'EMANO', 'EMBAI', 'EMITA', 'EMITE', 'EMITI', 'EMITO', 'EMPOS', 'EMPRA', 'EMPRE', 'EMPRO',
+  'EMUES', 'EMULA', 'EMULE', 'EMULO', 'ENANA', 'ENANO', 'ENCIA', 'ENEAL', 'ENEAS', 'ENEJA',
+  'ENEJE', 'ENEJO', 'ENEMA', 'ENEOS', 'ENERO', 'ENOJA', 'ENOJE', 'ENOJO', 'ENRIA', 'ENRIE',
+  'ENRIO', 'ENSAY', 'ENTEO', 'ENTES', 'ENTRA', 'ENTRE', 'ENTRO', 'ENULA', 'ENVES', 'ENVIA',
+  'ENVIE', 'ENVIO', 'ENZAS', 'EOLIA', 'EOLIO', 'EONES', 'EPALE', 'EPATA', 'EPATE', 'EPATO',
+  'EPICA', 'EPICO', 'EPOCA', 'EPODA', 'EPODO', 'EPOTA', 'EPOTO', 'EPOXI', 'EQUIS', 'ERABA',
+  'ERADA', 'ERADO', 'ERAIS', 'ERAJE', 'ERALA', 'ERARA', 'ERARE', 'ERASE', 'ERBIO', 'ERCER',
+  'EREBO', 'EREIS', 'ERGIO', 'ERGUI', 'ERIAL', 'ERIAS', 'ERICE', 'ERIGE', 'ERIGI', 'ERIJA',
+  'ERIJO', 'ERINA', 'ERIOS', 'ERIZA', 'ERIZO', 'ERMAR', 'EROGA', 'EROGO', 'ERRAD', 'ERRAJ',
+  'ERRAN', 'ERRAR', 'ERRAS', 'ERREN', 'ERRES', 'ERROR', 'ERROS', 'ERUTA', 'ERUTE', 'ERUTO',
+  'ESCAS', 'ESCAY', 'ESCOA', 'ESMUI', 'ESNOB', 'ESPAY', 'ESPIA', 'ESPIE', 'ESPIN', 'ESPIO',
+  'ESQUI', 'ESTAD', 'ESTAN', 'ESTAR', 'ESTAS', 'ESTAY', 'ESTEN', 'ESTER', 'ESTES', 'ESTIL',
+  'ESTIO', 'ESTOL', 'ESTOR', 'ESTOS', 'ESTOY', 'ESTRO', 'ESULA', 'ETANO', 'ETAPA', 'ETICA',
+  'ETICO', 'ETILO', 'ETIMO', 'ETNEA', 'ETNEO', 'ETNIA', 'ETOLA', 'ETOLO', 'ETUSA', 'EUBEA',
+  'EUBEO', 'EUROS', 'EVADA', 'EVADE', 'EVADI', 'EVADO', 'EVITA', 'EVITE', 'EVITO', 'EVOCA',
+  'EVOCO', 'EVOHE', 'EXIDA', 'EXIGE', 'EXIGI', 'EXIJA', 'EXIJO', 'EXILA', 'EXILE', 'EXILO',
+  'EXIMA', 'EXIME', 'EXIMI', 'EXIMO', 'EXITO', 'EXODO', 'EXORA', 'EXORE', 'EXORO', 'EXPIA',
+  'EXPIE', 'EXPIO', 'EXPON', 'EXTRA', 'EXUDA', 'EXUDE', 'EXUDO', 'FABAS', 'FABLA', 'FABOS',
+  'FABRO', 'FACAS', 'FACER', 'FACES', 'FACHA', 'FACHE', 'FACHO', 'FACIL', 'FACON', 'FACTO',
+  'FADAS', 'FADOS', 'FAENA', 'FAENE', 'FAENO', 'FAGOS', 'FAGOT', 'FAINA', 'FAINO', 'FAJAD',
+  'FAJAN', 'FAJAR', 'FAJAS', 'FAJEA', 'FAJEE', 'FAJEN', 'FAJEO', 'FAJES', 'FAJIN', 'FAJOL',
+  'FAJON', 'FAJOS', 'FALAZ', 'FALCA', 'FALCE', 'FALCO', 'FALDA', 'FALLA', 'FALLE', 'FALLO',
+  'FALOS', 'FALSA', 'FALSE', 'FALSO', 'FALTA', 'FALTE', 'FALTO', 'FALUA', 'FAMAS', 'FANAL',
+  'FANES', 'FANGO', 'FAQUI', 'FARAD', 'FARAS', 'FARDA', 'FARDE', 'FARDO', 'FARIA', 'FARIO',
+  'FAROL', 'FARON', 'FAROS', 'FARPA', 'FARRA', 'FARRO', 'FARSA', 'FARTE', 'FASES', 'FASOL',
+  'FASOS', 'FASTA', 'FASTO', 'FATAL', 'FATAS', 'FATOR', 'FATOS', 'FATUA', 'FATUO', 'FAUNA',
+  'FAUNO', 'FAVOR', 'FAVOS', 'FAXEA', 'FAXEE', 'FAXEO', 'FAXES', 'FAYAS', 'FAÑAD', 'FAÑAN',
+  'FAÑAR', 'FAÑAS', 'FAÑEN', 'FAÑES', 'FEBEA', 'FEBEO', 'FEBLE', 'FECAL', 'FECES', 'FECHA',
+  'FECHE', 'FECHO', 'FEEZA', 'FEJES', 'FELIZ', 'FELON', 'FELPA', 'FELPE', 'FELPO', 'FELUS',
+  'FEMAD', 'FEMAN', 'FEMAR', 'FEMAS', 'FEMEN', 'FEMES', 'FEMUR', 'FENAL', 'FENDA', 'FENDI',
+  'FENIX', 'FENOL', 'FERAL', 'FERAZ', 'FERIA', 'FERIE', 'FERIO', 'FERIR', 'FERMI', 'FEROZ',
+  'FERRA', 'FERRE', 'FERRO', 'FERRY', 'FESTA', 'FETAL', 'FETAS', 'FETEN', 'FETOR', 'FETOS',
+  'FETUA', 'FEUCA', 'FEUCO', 'FEUDA', 'FEUDE', 'FEUDO', 'FEURA', 'FIABA', 'FIACA', 'FIADA',
+  'FIADO', 'FIAIS', 'FIANA', 'FIARA', 'FIARE', 'FIASE', 'FIATS', 'FIBRA', 'FICAR', 'FICEN',
+  'FICES', 'FICHA', 'FICHE', 'FICHO', 'FICUS', 'FIDEO', 'FIEIS', 'FIEMO', 'FIERA', 'FIERO',
+  'FIFAD', 'FIFAN', 'FIFAR', 'FIFAS', 'FIFEN', 'FIFES', 'FIFIS', 'FIGLE', 'FIGON', 'FIJAD',
+  'FIJAN', 'FIJAR', 'FIJAS', 'FIJEN', 'FIJES', 'FIJON', 'FIJOS', 'FILAD', 'FILAN', 'FILAR',
+  'FILAS', 'FILEN', 'FILES', 'FILFA', 'FILIA', 'FILIE', 'FILIN', 'FILIO', 'FILIS', 'FILLO',
+  'FILMA', 'FILME', 'FILMO', 'FILMS', 'FILON', 'FILOS', 'FIMOS', 'FINAD', 'FINAL', 'FINAN',
+  'FINAR', 'FINAS', 'FINCA', 'FINCO', 'FINEN', 'FINES', 'FINGE', 'FINGI', 'FINIA', 'FINID',
+  'FINIO', 'FINIR', 'FINIS', 'FINJA', 'FINJO', 'FINOS', 'FINTA', 'FINTE', 'FINTO', 'FIQUE',
+  'FIRMA', 'FIRME', 'FIRMO', 'FISAN', 'FISCO', 'FISGA', 'FISGO', 'FISTA', 'FISTO', 'FIZAD',
+  'FIZAN', 'FIZAR', 'FIZAS', 'FIZON', 'FIÑES', 'FLACA', 'FLACO', 'FLAMA', 'FLAON', 'FLASH',
+  'FLATO', 'FLAVA', 'FLAVO', 'FLECO', 'FLEJA', 'FLEJE', 'FLEJO', 'FLEMA', 'FLEME', 'FLEOS',
+  'FLETA', 'FLETE', 'FLETO', 'FLEXO', 'FLIPA', 'FLIPE', 'FLIPO', 'FLOJA', 'FLOJO', 'FLORA',
+  'FLORE', 'FLORO', 'FLOTA', 'FLOTE', 'FLOTO', 'FLUIA', 'FLUID', 'FLUIR', 'FLUIS', 'FLUJO',
+  'FLUOR', 'FLUYA', 'FLUYE', 'FLUYO', 'FOBIA', 'FOCAL', 'FOCAS', 'FOCHA', 'FOCIA', 'FOCIO',
+  'FOCOS', 'FOFAS', 'FOFOS', 'FOGON', 'FOISA', 'FOISO', 'FOJAS', 'FOLGA', 'FOLGO', 'FOLIA',
+  'FOLIE', 'FOLIO', 'FOLLA', 'FOLLE', 'FOLLO', 'FOLUZ', 'FOMES', 'FONDA', 'FONDO', 'FONES',
+  'FONIL', 'FONIO', 'FONJE', 'FONOS', 'FOQUE', 'FORAL', 'FORAS', 'FORCA', 'FORCE', 'FORJA',
+  'FORJE', 'FORJO', 'FORMA', 'FORME', 'FORMO', 'FORNO', 'FOROS', 'FORRA', 'FORRE', 'FORRO',
+  'FORTE', 'FORUM', 'FORZA', 'FORZO', 'FOSAD', 'FOSAL', 'FOSAN', 'FOSAR', 'FOSAS', 'FOSCA',
+  'FOSCO', 'FOSEN', 'FOSES', 'FOSIL', 'FOSOR', 'FOSOS', 'FOTON', 'FOTOS', 'FOVEA', 'FRACS',
+  'FRADA', 'FRADE', 'FRADO', 'FRAGA', 'FRASE', 'FRAÑA', 'FRAÑE', 'FRAÑI', 'FRAÑO', 'FRECE',
+  'FREDO', 'FREGA', 'FREGO', 'FREIA', 'FREID', 'FREIR', 'FREIS', 'FRENA', 'FRENE', 'FRENO',
+  'FREON', 'FREOS', 'FRESA', 'FRESE', 'FRESO', 'FRETA', 'FRETE', 'FRETO', 'FREZA', 'FREZO',
+  'FRIAN', 'FRIAS', 'FRICA', 'FRICO', 'FRIEN', 'FRIES', 'FRIOR', 'FRIOS', 'FRISA', 'FRISE',
+  'FRISO', 'FRITA', 'FRITE', 'FRITO', 'FROGA', 'FROGO', 'FROTA', 'FROTE', 'FROTO', 'FRUIA',
+  'FRUID', 'FRUIR', 'FRUIS', 'FRUTA', 'FRUTE', 'FRUTO', 'FRUYA', 'FRUYE', 'FRUYO', 'FUCAR',
+  'FUCHI', 'FUCIA', 'FUCOS', 'FUDRE', 'FUEGO', 'FUERA', 'FUERE', 'FUERO', 'FUESA', 'FUESE',
+  'FUETS', 'FUFAD', 'FUFAN', 'FUFAR', 'FUFAS', 'FUFEN', 'FUFES', 'FUFOS', 'FUFUS', 'FUGAN',
+  'FUGAR', 'FUGAS', 'FUGAZ', 'FUGIR', 'FUGUE', 'FUINA', 'FULAR', 'FULAS', 'FULGE', 'FULGI',
+  'FULJA', 'FULJO', 'FULLA', 'FUMAD', 'FUMAN', 'FUMAR', 'FUMAS', 'FUMEN', 'FUMES', 'FUMON',
+  'FUNCA', 'FUNCO', 'FUNDA', 'FUNDE', 'FUNDI', 'FUNDO', 'FUNGE', 'FUNGI', 'FUNJA', 'FUNJO',
+  'FURAS', 'FURIA', 'FUROR', 'FUROS', 'FURTO', 'FUSAS', 'FUSCA', 'FUSCO', 'FUSIL', 'FUSOR',
+  'FUSOS', 'FUSTA', 'FUSTE', 'FUSTO', 'FUTIL', 'FUTON', 'FUTRE', 'FUÑAR', 'GABAN', 'GABAR',
+  'GACEL', 'GACHA', 'GACHE', 'GACHI', 'GACHO', 'GAFAD', 'GAFAN', 'GAFAR', 'GAFAS', 'GAFEA',
+  'GAFEE', 'GAFEN', 'GAFEO', 'GAFES', 'GAFOS', 'GAGAS', 'GAGOS', 'GAITA', 'GAJES', 'GAJOS',
+  'GALAN', 'GALAS', 'GALCE', 'GALEA', 'GALEO', 'GALES', 'GALGA', 'GALGO', 'GALIO', 'GALLA',
+  'GALLE', 'GALLO', 'GALON', 'GALOP', 'GALOS', 'GALUA', 'GAMAS', 'GAMBA', 'GAMMA', 'GAMON',
+  'GAMOS', 'GANAD', 'GANAN', 'GANAR', 'GANAS', 'GANEN', 'GANES', 'GANGA', 'GANSA', 'GANSO',
+  'GANTA', 'GANTE', 'GARAS', 'GARAY', 'GARBA', 'GARBE', 'GARBO', 'GARFA', 'GARIA', 'GARIO',
+  'GARLA', 'GARLE', 'GARLO', 'GARMA', 'GAROS', 'GARPA', 'GARPE', 'GARPO', 'GARRA', 'GARRE',
+  'GARRI', 'GARRO', 'GARUA', 'GARUE', 'GARUO', 'GARZA', 'GARZO', 'GASAS', 'GASEA', 'GASEE',
+  'GASEO', 'GASES', 'GASON', 'GASTA', 'GASTE', 'GASTO', 'GATAS', 'GATEA', 'GATEE', 'GATEO',
+  'GATOS', 'GAUSS', 'GAVIA', 'GAYAD', 'GAYAN', 'GAYAR', 'GAYAS', 'GAYEN', 'GAYES', 'GAYOS',
+  'GAZAS', 'GAZNA', 'GAZNE', 'GAZNO', 'GAÑAN', 'GAÑAS', 'GAÑEN', 'GAÑES', 'GAÑIA', 'GAÑID',
+  'GAÑIL', 'GAÑIN', 'GAÑIR', 'GAÑIS', 'GAÑON', 'GELAN', 'GELAR', 'GELAS', 'GELEN', 'GELES',
+  'GELFE', 'GEMAS', 'GEMIA', 'GEMID', 'GEMIR', 'GEMIS', 'GENES', 'GENIO', 'GENOL', 'GENTE',
+  'GEODA', 'GERBO', 'GESTA', 'GESTE', 'GESTO', 'GETAS', 'GIBAD', 'GIBAN', 'GIBAO', 'GIBAR',
+  'GIBAS', 'GIBEN', 'GIBES', 'GIBON', 'GIGAS', 'GILAS', 'GILES', 'GILIS', 'GILVA', 'GILVO',
+  'GIMAN', 'GIMAS', 'GIMEN', 'GIMES', 'GIMIO', 'GINEA', 'GIRAD', 'GIRAN', 'GIRAR', 'GIRAS',
+  'GIREN', 'GIRES', 'GIROS', 'GISES', 'GISTE', 'GLASE', 'GLAYO', 'GLEBA', 'GLERA', 'GLIAL',
+  'GLIAS', 'GLIDE', 'GLIFO', 'GLOBO', 'GLOSA', 'GLOSE', 'GLOSO', 'GLUMA', 'GNEIS', 'GNOMO',
+  'GOBEN', 'GOBIO', 'GOCEN', 'GOCES', 'GOCHA', 'GOCHO', 'GODAS', 'GODEO', 'GODOS', 'GOFAS',
+  'GOFIO', 'GOFOS', 'GOFRA', 'GOFRE', 'GOFRO', 'GOLAS', 'GOLEA', 'GOLEE', 'GOLEO', 'GOLES',
+  'GOLFA', 'GOLFO', 'GOLFS', 'GOLPE', 'GOMAR', 'GOMAS', 'GOMEL', 'GOMER', 'GOMIA', 'GONCE',
+  'GONGO', 'GORDA', 'GORDO', 'GORGA', 'GORJA', 'GORMA', 'GORME', 'GORMO', 'GORRA', 'GORRO',
+  'GOTAS', 'GOTEA', 'GOTEE', 'GOTEO', 'GOTON', 'GOYAS', 'GOYOS', 'GOZAD', 'GOZAN', 'GOZAR',
+  'GOZAS', 'GOZNE', 'GOZON', 'GOZOS', 'GRABA', 'GRABE', 'GRABO', 'GRADA', 'GRADE', 'GRADO',
+  'GRAFO', 'GRAIS', 'GRAJA', 'GRAJO', 'GRAMA', 'GRAME', 'GRAMO', 'GRANA', 'GRAND', 'GRANE',
+  'GRANO', 'GRANT', 'GRAOS', 'GRAPA', 'GRAPE', 'GRAPO', 'GRASA', 'GRASO', 'GRATA', 'GRATE',
+  'GRATO', 'GRAVA', 'GRAVE', 'GRAVO', 'GREBA', 'GRECA', 'GRECO', 'GREDA', 'GREEN', 'GRELO',
+  'GRENO', 'GREÑA', 'GRIAL', 'GRIDA', 'GRIFA', 'GRIFE', 'GRIFO', 'GRIJA', 'GRILL', 'GRIMA',
+  'GRIPA', 'GRIPE', 'GRIPO', 'GRISA', 'GRISU', 'GRITA', 'GRITE', 'GRITO', 'GROAD', 'GROAN',
+  'GROAR', 'GROAS', 'GROEN', 'GROES', 'GROGS', 'GROJO', 'GROMO', 'GROSA', 'GROSO', 'GRUAS',
+  'GRUIA', 'GRUID', 'GRUIR', 'GRUIS', 'GRUJA', 'GRUJE', 'GRUJI', 'GRUJO', 'GRUMO', 'GRUPA',
+  'GRUPI', 'GRUPO', 'GRUTA', 'GRUYA', 'GRUYE', 'GRUYO', 'GRUÑA', 'GRUÑE', 'GRUÑI', 'GRUÑO',
+  'GUABA', 'GUABO', 'GUACA', 'GUACO', 'GUADO', 'GUAIS', 'GUAJA', 'GUAJE', 'GUALA', 'GUAMA',
+  'GUAME', 'GUAMO', 'GUANO', 'GUAOS', 'GUAPA', 'GUAPE', 'GUAPO', 'GUARA', 'GUARE', 'GUARI',
+  'GUARO', 'GUASA', 'GUASO', 'GUATA', 'GUATE', 'GUATO', 'GUAYA', 'GUAYE', 'GUAYO', 'GUBIA',
+  'GUERA', 'GUERO', 'GUETO', 'GUEÑA', 'GUIAD', 'GUIAN', 'GUIAR', 'GUIAS', 'GUIDA', 'GUIDO',
+  'GUIEN', 'GUIES', 'GUIFA', 'GUIJA', 'GUIJO', 'GUILA', 'GUILO', 'GUINA', 'GUINO', 'GUION',
+  'GUIPA', 'GUIPE', 'GUIPO', 'GUIRA', 'GUIRE', 'GUIRI', 'GUIRO', 'GUISA', 'GUISE', 'GUISO',
+  'GUITA', 'GUITE', 'GUITO', 'GUIYE', 'GUIÑA', 'GUIÑE', 'GUIÑO', 'GUJAS', 'GULAG', 'GULAR',
+  'GULAS', 'GULAY', 'GULES', 'GUMIA', 'GURDA', 'GURDO', 'GURIS', 'GURUS', 'GUSTA', 'GUSTE',
+  'GUSTO', 'GUZGA', 'GUZGO', 'GUZLA', 'HABAR', 'HABAS', 'HABER', 'HABIA', 'HABIL', 'HABIZ',
+  'HABLA', 'HABLE', 'HABLO', 'HABON', 'HABRA', 'HABRE', 'HABUS', 'HACAN', 'HACED', 'HACEN',
+  'HACER', 'HACES', 'HACHA', 'HACHE', 'HACHO', 'HACIA', 'HADAR', 'HADAS', 'HADOS', 'HAFIZ',
+  'HAGAN', 'HAGAS', 'HAIGA', 'HALAD', 'HALAN', 'HALAR', 'HALAS', 'HALDA', 'HALEN', 'HALES',
+  'HALLA', 'HALLE', 'HALLO', 'HALON', 'HALOS', 'HAMEZ', 'HAMPA', 'HAMPO', 'HANZO', 'HAPAX',
+  'HARAN', 'HARAS', 'HARBA', 'HARBE', 'HARBO', 'HARCA', 'HARDA', 'HAREM', 'HAREN', 'HARIA',
+  'HARMA', 'HARON', 'HARPA', 'HARRE', 'HARTA', 'HARTE', 'HARTO', 'HASTA', 'HATEA', 'HATEE',
+  'HATEO', 'HATOS', 'HAUTE', 'HAVAR', 'HAVOS', 'HAYAL', 'HAYAN', 'HAYAS', 'HAYOS', 'HAZAS',
+  'HEBEN', 'HEBRA', 'HECES', 'HECHA', 'HECHO', 'HEDED', 'HEDER', 'HEDES', 'HEDIA', 'HEDIO',
+  'HEDOR', 'HELAD', 'HELAR', 'HELAS', 'HELEA', 'HELEE', 'HELEO', 'HELIO', 'HELOR', 'HEMOS',
+  'HENAL', 'HENAR', 'HENDE', 'HENDI', 'HENIL', 'HENOS', 'HENRY', 'HERBA', 'HERBE', 'HERBO',
+  'HERIA', 'HERID', 'HERIL', 'HERIR', 'HERIS', 'HERMA', 'HEROE', 'HERPE', 'HERRA', 'HERRE',
+  'HERRO', 'HERTZ', 'HERVE', 'HERVI', 'HESPA', 'HESPE', 'HESPI', 'HESPO', 'HETEA', 'HETEO',
+  'HEVEA', 'HEÑIA', 'HEÑID', 'HEÑIR', 'HEÑIS', 'HIATO', 'HICOS', 'HIDRA', 'HIEDA', 'HIEDE',
+  'HIEDO', 'HIELA', 'HIELE', 'HIELO', 'HIENA', 'HIERA', 'HIERE', 'HIERO', 'HIGAS', 'HIGOS',
+  'HIGUI', 'HIJAS', 'HIJEA', 'HIJEE', 'HIJEO', 'HIJOS', 'HILAD', 'HILAN', 'HILAR', 'HILAS',
+  'HILEN', 'HILES', 'HILIO', 'HILOS', 'HIMEN', 'HIMNO', 'HIMPA', 'HIMPE', 'HIMPO', 'HINCA',
+  'HINCO', 'HINDI', 'HINDU', 'HIPAD', 'HIPAN', 'HIPAR', 'HIPAS', 'HIPEN', 'HIPER', 'HIPES',
+  'HIPOS', 'HIPPY', 'HIRCO', 'HIRIO', 'HIRMA', 'HIRME', 'HIRMO', 'HISCA', 'HISPA', 'HISPE',
+  'HISPI', 'HISPO', 'HITAD', 'HITAN', 'HITAR', 'HITAS', 'HITEN', 'HITES', 'HITON', 'HITOS',
+  'HIÑAN', 'HIÑAS', 'HIÑEN', 'HIÑES', 'HIÑIA', 'HIÑID', 'HIÑIR', 'HIÑIS', 'HOBBY', 'HOBOS',
+  'HOCEN', 'HOCES', 'HOGAR', 'HOGOS', 'HOJAS', 'HOJEA', 'HOJEE', 'HOJEO', 'HOLAN', 'HOLCO',
+  'HOLEA', 'HOLEE', 'HOLEO', 'HOLGA', 'HOLGO', 'HOLLA', 'HOLLE', 'HOLLO', 'HOMES', 'HONDA',
+  'HONDO', 'HONGO', 'HONOR', 'HONRA', 'HONRE', 'HONRO', 'HOPAN', 'HOPAR', 'HOPAS', 'HOPEA',
+  'HOPEE', 'HOPEN', 'HOPEO', 'HOPES', 'HOPOS', 'HOQUE', 'HORAS', 'HORCA', 'HORCO', 'HORDA',
+  'HORMA', 'HORNA', 'HORNE', 'HORNO', 'HORRA', 'HORRE', 'HORRO', 'HOSCA', 'HOSCO', 'HOSPA',
+  'HOSTE', 'HOTEL', 'HOTOS', 'HOVES', 'HOYAD', 'HOYAN', 'HOYAR', 'HOYAS', 'HOYEN', 'HOYES',
+  'HOYOS', 'HOZAD', 'HOZAN', 'HOZAR', 'HOZAS', 'HUACA', 'HUACO', 'HUAJE', 'HUAOS', 'HUCHA',
+  'HUCHO', 'HUCIA', 'HUECA', 'HUECO', 'HUEGO', 'HUELA', 'HUELE', 'HUELO', 'HUERA', 'HUERO',
+  'HUESA', 'HUESO', 'HUEVA', 'HUEVE', 'HUEVO', 'HUIAN', 'HUIAS', 'HUICH', 'HUIDA', 'HUIDO',
+  'HUIFA', 'HUILA', 'HUILO', 'HUIRA', 'HUIRE', 'HUIRO', 'HULAD', 'HULAN', 'HULAR', 'HULAS',
+  'HULEA', 'HULEE', 'HULEN', 'HULEO', 'HULES', 'HULLA', 'HULTE', 'HUMAD', 'HUMAN', 'HUMAR',
+  'HUMAS', 'HUMEA', 'HUMEE', 'HUMEN', 'HUMEO', 'HUMES', 'HUMIL', 'HUMOR', 'HUMOS', 'HUMUS',
+  'HUNAS', 'HUNDA', 'HUNDE', 'HUNDI', 'HUNDO', 'HUNOS', 'HUPES', 'HURAS', 'HURGA', 'HURGO',
+  'HURIS', 'HURON', 'HURRA', 'HURTA', 'HURTE', 'HURTO', 'HUSAR', 'HUSMA', 'HUSME', 'HUSMO',
+  'HUSOS', 'HUTAS', 'HUTIA', 'HUYAN', 'HUYAS', 'HUYEN', 'HUYES', 'IBAIS', 'IBERA', 'IBERO',
+  'IBICE', 'ICACO', 'ICEIS', 'ICHAL', 'ICHOS', 'ICHUS', 'ICONO', 'ICTUS', 'IDEAD', 'IDEAL',
+  'IDEAN', 'IDEAR', 'IDEAS', 'IDEAY', 'IDEEN', 'IDEES', 'IDEOS', 'IDOLO', 'IGLUS', 'IGNEA',
+  'IGNEO', 'IGUAL', 'IGUAR', 'IJADA', 'IJIYO', 'IJUJU', 'ILEON', 'ILEOS', 'ILESA', 'ILESO',
+  'ILION', 'ILOTA', 'ILUDA', 'ILUDE', 'ILUDI', 'ILUDO', 'ILUSA', 'ILUSO', 'IMADA', 'IMANA',
+  'IMANE', 'IMANO', 'IMBUI', 'IMELA', 'IMITA', 'IMITE', 'IMITO', 'IMPAR', 'IMPIA', 'IMPIO',
+  'IMPLA', 'IMPLE', 'IMPLO', 'IMPON', 'INANE', 'INCAS', 'INCOA', 'INCOE', 'INCOO', 'INDAS',
+  'INDEX', 'INDIA', 'INDIO', 'INDOS', 'INFLA', 'INFLE', 'INFLO', 'INGAS', 'INGLE', 'INGON',
+  'INGRE', 'INOPE', 'INPUT', 'INRIS', 'INSTA', 'INSTE', 'INSTO', 'INTER', 'INTIS', 'INTUI',
+  'INVAR', 'IONES', 'IOTAS', 'IPSIS', 'IRADA', 'IRADO', 'IRANI', 'IREIS', 'IRGAN', 'IRGAS',
+  'IRGUE', 'IRIAN', 'IRIAS', 'IRIDE', 'IRISA', 'IRISE', 'IRISO', 'IRRUI', 'IRUPE', 'ISBAS',
+  'ISLAM', 'ISLAN', 'ISLAS', 'ISLEO', 'ISOCA', 'ISTMO', 'ITALA', 'ITALO', 'ITEMS', 'ITERA',
+  'ITERE', 'ITERO', 'ITRIA', 'ITRIO', 'ITZAJ', 'IZABA', 'IZADA', 'IZADO', 'IZAIS', 'IZARA',
+  'IZARE', 'IZASE', 'IZOTE', 'JABAS', 'JABIS', 'JABLE', 'JABON', 'JABRA', 'JABRE', 'JABRI',
+  'JABRO', 'JACAL', 'JACAS', 'JACER', 'JACHA', 'JACOS', 'JACTA', 'JACTE', 'JACTO', 'JADAS',
+  'JADEA', 'JADEE', 'JADEO', 'JADES', 'JADIA', 'JADIE', 'JADIO', 'JAECE', 'JAEZA', 'JAEZO',
+  'JAGUA', 'JAIBA', 'JAIMA', 'JAJAY', 'JALAD', 'JALAN', 'JALAR', 'JALAS', 'JALDA', 'JALDE',
+  'JALDO', 'JALEA', 'JALEE', 'JALEN', 'JALEO', 'JALES', 'JALMA', 'JALON', 'JAMAD', 'JAMAN',
+  'JAMAR', 'JAMAS', 'JAMBA', 'JAMBE', 'JAMBO', 'JAMEN', 'JAMES', 'JAMON', 'JANES', 'JAPON',
+  'JAQUE', 'JARAL', 'JARAS', 'JARBA', 'JARBE', 'JARBO', 'JARCA', 'JARDA', 'JAROS', 'JARRA',
+  'JARRE', 'JARRO', 'JASAD', 'JASAN', 'JASAR', 'JASAS', 'JASEN', 'JASES', 'JASPE', 'JATAS',
+  'JATEO', 'JATES', 'JATIB', 'JATOS', 'JAUDA', 'JAUDO', 'JAUJA', 'JAULA', 'JAUTA', 'JAUTO',
+  'JAVAS', 'JAVOS', 'JAYAN', 'JAÑAS', 'JAÑOS', 'JEBES', 'JEDAD', 'JEDAN', 'JEDAR', 'JEDAS',
+  'JEDEN', 'JEDES', 'JEFAS', 'JEFES', 'JEITO', 'JEJEN', 'JELIZ', 'JEMAL', 'JEMES', 'JEQUE',
+  'JERAS', 'JERBO', 'JEREZ', 'JERGA', 'JERPA', 'JETAD', 'JETAN', 'JETAR', 'JETAS', 'JETEA',
+  'JETEE', 'JETEN', 'JETEO', 'JETES', 'JETON', 'JETOS', 'JIBES', 'JIBIA', 'JICOS', 'JIFAS',
+  'JIFIA', 'JIGAS', 'JIGUE', 'JIJAS', 'JIJEA', 'JIJEE', 'JIJEO', 'JIMAD', 'JIMAN', 'JIMAR',
+  'JIMAS', 'JIMEN', 'JIMES', 'JIMIA', 'JIMIO', 'JINDA', 'JINES', 'JIOTE', 'JIPAS', 'JIPIA',
+  'JIPIE', 'JIPIO', 'JIPIS', 'JIRAS', 'JIREL', 'JIRON', 'JISCA', 'JITAD', 'JITAN', 'JITAR',
+  'JITAS', 'JITEN', 'JITES', 'JIÑAD', 'JIÑAN', 'JIÑAR', 'JIÑAS', 'JIÑEN', 'JIÑES', 'JOBAR',
+  'JOBOS', 'JOCHA', 'JOCHE', 'JOCHO', 'JOCON', 'JOCOS', 'JODAN', 'JODAS', 'JODED', 'JODEN',
+  'JODER', 'JODES', 'JODIA', 'JODIO', 'JODON', 'JOFOR', 'JOLIN', 'JONDO', 'JONIA', 'JONIO',
+  'JOPAN', 'JOPAR', 'JOPAS', 'JOPEA', 'JOPEE', 'JOPEN', 'JOPEO', 'JOPES', 'JOPOS', 'JORAS',
+  'JORCO', 'JORFE', 'JORGA', 'JORGE', 'JORRO', 'JOSAS', 'JOTAS', 'JOTES', 'JOTOS', 'JOULE',
+  'JOVEN', 'JOYAS', 'JOYEL', 'JOYON', 'JOYOS', 'JUANA', 'JUBAS', 'JUBON', 'JUBOS', 'JUCAS',
+  'JUCOS', 'JUDAS', 'JUDIA', 'JUDIO', 'JUDOS', 'JUEGA', 'JUEGO', 'JUERA', 'JUEZA', 'JUGAD',
+  'JUGAR', 'JUGAS', 'JUGOS', 'JUGUE', 'JUJEA', 'JUJEE', 'JUJEO', 'JULIA', 'JULIO', 'JULOS',
+  'JUMAN', 'JUMAR', 'JUMAS', 'JUMEA', 'JUMEE', 'JUMEN', 'JUMEO', 'JUMES', 'JUMIL', 'JUMOS',
+  'JUNCE', 'JUNCI', 'JUNCO', 'JUNIO', 'JUNTA', 'JUNTE', 'JUNTO', 'JUNZA', 'JUNZO', 'JUPAS',
+  'JUPEA', 'JUPEE', 'JUPEO', 'JUPON', 'JURAD', 'JURAN', 'JURAR', 'JURAS', 'JURCO', 'JUREL',
+  'JUREN', 'JURES', 'JUROS', 'JUSIS', 'JUSTA', 'JUSTE', 'JUSTO', 'JUTAS', 'JUTIA', 'JUVIA',
+  'JUZGA', 'JUZGO', 'JUÑAN', 'JUÑAS', 'JUÑEN', 'JUÑES', 'JUÑIA', 'JUÑID', 'JUÑIR', 'JUÑIS',
+  'LABEO', 'LABES', 'LABIA', 'LABIL', 'LABIO', 'LABOR', 'LABRA', 'LABRE', 'LABRO', 'LACAD',
+  'LACAN', 'LACAR', 'LACAS', 'LACEA', 'LACEE', 'LACEN', 'LACEO', 'LACES', 'LACHA', 'LACHO',
+  'LACIA', 'LACIO', 'LACON', 'LACRA', 'LACRE', 'LACRO', 'LACTA', 'LACTE', 'LACTO', 'LADAS',
+  'LADEA', 'LADEE', 'LADEO', 'LADON', 'LADOS', 'LADRA', 'LADRE', 'LADRO', 'LAGAR', 'LAGOS',
+  'LAGUA', 'LAICA', 'LAICO', 'LAIDA', 'LAIDO', 'LAJAS', 'LAMAN', 'LAMAS', 'LAMBA', 'LAMBE',
+  'LAMBI', 'LAMBO', 'LAMED', 'LAMEN', 'LAMER', 'LAMES', 'LAMIA', 'LAMIN', 'LAMIO', 'LAMPA',
+  'LAMPE', 'LAMPO', 'LANAR', 'LANAS', 'LANCE', 'LANDA', 'LANDE', 'LANDO', 'LANGA', 'LANIA',
+  'LANIO', 'LANZA', 'LANZO', 'LAPAS', 'LAPIZ', 'LAPON', 'LAPOS', 'LAPSA', 'LAPSO', 'LAQUE',
+  'LARDA', 'LARDE', 'LARDO', 'LARES', 'LARGA', 'LARGO', 'LARRA', 'LARVA', 'LASAR', 'LASAS',
+  'LASCA', 'LASCO', 'LASER', 'LASOS', 'LASTA', 'LASTE', 'LASTO', 'LASUN', 'LATAN', 'LATAS',
+  'LATAZ', 'LATEA', 'LATEE', 'LATEN', 'LATEO', 'LATES', 'LATEX', 'LATIA', 'LATID', 'LATIN',
+  'LATIO', 'LATIR', 'LATIS', 'LATON', 'LATOS', 'LAUDA', 'LAUDE', 'LAUDO', 'LAUNA', 'LAURO',
+  'LAUTA', 'LAUTO', 'LAVAD', 'LAVAN', 'LAVAR', 'LAVAS', 'LAVEN', 'LAVES', 'LAXAD', 'LAXAN',
+  'LAXAR', 'LAXAS', 'LAXEN', 'LAXES', 'LAXOS', 'LAYAD', 'LAYAN', 'LAYAR', 'LAYAS', 'LAYEN',
+  'LAYES', 'LAZAD', 'LAZAN', 'LAZAR', 'LAZAS', 'LAZOS', 'LAÑAD', 'LAÑAN', 'LAÑAR', 'LAÑAS',
+  'LAÑEN', 'LAÑES', 'LEAIS', 'LECHA', 'LECHE', 'LECHO', 'LECOS', 'LEDAS', 'LEDON', 'LEDOS',
+  'LEEIS', 'LEERA', 'LEERE', 'LEGAD', 'LEGAL', 'LEGAN', 'LEGAR', 'LEGAS', 'LEGON', 'LEGOS',
+  'LEGRA', 'LEGRE', 'LEGRO', 'LEGUA', 'LEGUE', 'LEGUI', 'LEIAN', 'LEIAS', 'LEIDA', 'LEIDO',
+  'LEILA', 'LEIMA', 'LEJAS', 'LEJIA', 'LEJIO', 'LEJOS', 'LELAS', 'LELOS', 'LEMAN', 'LEMAS',
+  'LEMBO', 'LEMPO', 'LEMUR', 'LENAS', 'LENCA', 'LENES', 'LENON', 'LENTA', 'LENTE', 'LENTO',
+  'LEONA', 'LEPRA', 'LERAS', 'LERDA', 'LERDO', 'LESAS', 'LESEA', 'LESEE', 'LESEO', 'LESNA',
+  'LESOS', 'LESTE', 'LETAL', 'LETEA', 'LETEO', 'LETON', 'LETRA', 'LEUCO', 'LEUDA', 'LEUDE',
+  'LEUDO', 'LEVAD', 'LEVAN', 'LEVAR', 'LEVAS', 'LEVEN', 'LEVES', 'LEYES', 'LEZDA', 'LEZNA',
+  'LEZNE', 'LEÑAD', 'LEÑAN', 'LEÑAR', 'LEÑAS', 'LEÑEN', 'LEÑES', 'LEÑOS', 'LIABA', 'LIADA',
+  'LIADO', 'LIAIS', 'LIANA', 'LIARA', 'LIARE', 'LIASE', 'LIAZA', 'LIBAD', 'LIBAN', 'LIBAR',
+  'LIBAS', 'LIBEN', 'LIBER', 'LIBES', 'LIBIA', 'LIBIO', 'LIBON', 'LIBRA', 'LIBRE', 'LIBRO',
+  'LICEO', 'LICIA', 'LICIO', 'LICOR', 'LICUA', 'LICUE', 'LICUO', 'LIDER', 'LIDES', 'LIDIA',
+  'LIDIE', 'LIDIO', 'LIDON', 'LIEGA', 'LIEGO', 'LIEIS', 'LIEVA', 'LIEVE', 'LIGAD', 'LIGAN',
+  'LIGAR', 'LIGAS', 'LIGHT', 'LIGIO', 'LIGON', 'LIGUE', 'LIGUR', 'LIJAD', 'LIJAN', 'LIJAR',
+  'LIJAS', 'LIJEN', 'LIJES', 'LILAC', 'LILAO', 'LILAS', 'LILIO', 'LILOS', 'LIMAD', 'LIMAN',
+  'LIMAR', 'LIMAS', 'LIMBO', 'LIMEN', 'LIMES', 'LIMON', 'LIMOS', 'LINAO', 'LINAR', 'LINCE',
+  'LINDA', 'LINDE', 'LINDO', 'LINEA', 'LINEE', 'LINEO', 'LINFA', 'LINIO', 'LINON', 'LINOS',
+  'LIOSA', 'LIOSO', 'LIPAS', 'LIPES', 'LIPIS', 'LIPON', 'LIRAS', 'LIRIA', 'LIRIO', 'LIRON',
+  'LISAS', 'LISES', 'LISIA', 'LISIE', 'LISIO', 'LISIS', 'LISOL', 'LISOS', 'LISTA', 'LISTE',
+  'LISTO', 'LITAD', 'LITAN', 'LITAR', 'LITAS', 'LITEN', 'LITES', 'LITIO', 'LITIS', 'LITRE',
+  'LITRO', 'LITUO', 'LIUDA', 'LIUDE', 'LIUDO', 'LIVOR', 'LIZAS', 'LIZOS', 'LIÑOS', 'LLACA',
+  'LLAGA', 'LLAGO', 'LLAMA', 'LLAME', 'LLAMO', 'LLANA', 'LLANO', 'LLAPA', 'LLAPE', 'LLAPO',
+  'LLAVE', 'LLECA', 'LLECO', 'LLEGA', 'LLEGO', 'LLENA', 'LLENE', 'LLENO', 'LLERA', 'LLEVA',
+  'LLEVE', 'LLEVO', 'LLORA', 'LLORE', 'LLORO', 'LLOSA', 'LLOVE', 'LLOVI', 'LOABA', 'LOADA',
+  'LOADO', 'LOAIS', 'LOARA', 'LOARE', 'LOASE', 'LOBAS', 'LOBBY', 'LOBEA', 'LOBEE', 'LOBEO',
+  'LOBOS', 'LOCAL', 'LOCAS', 'LOCEA', 'LOCEE', 'LOCEO', 'LOCHA', 'LOCHE', 'LOCOS', 'LOCRO',
+  'LODON', 'LODOS', 'LODRA', 'LOEIS', 'LOGAR', 'LOGIA', 'LOGIS', 'LOGOS', 'LOGRA', 'LOGRE',
+  'LOGRO', 'LOICA', 'LOINA', 'LOINO', 'LOLAS', 'LOLEA', 'LOLEE', 'LOLEO', 'LOLIO', 'LOLIS',
+  'LOLOS', 'LOMAS', 'LOMBA', 'LOMBO', 'LOMEA', 'LOMEE', 'LOMEO', 'LOMOS', 'LONAS', 'LONCO',
+  'LONGA', 'LONGO', 'LONJA', 'LORAS', 'LOREA', 'LOREE', 'LOREO', 'LORES', 'LOROS', 'LORZA',
+  'LOSAD', 'LOSAN', 'LOSAR', 'LOSAS', 'LOSEN', 'LOSES', 'LOTAS', 'LOTEA', 'LOTEE', 'LOTEO',
+  'LOTES', 'LOTIN', 'LOTOS', 'LOZAS', 'LUCAS', 'LUCEN', 'LUCES', 'LUCHA', 'LUCHE', 'LUCHO',
+  'LUCIA', 'LUCID', 'LUCIO', 'LUCIR', 'LUCIS', 'LUCRA', 'LUCRE', 'LUCRO', 'LUDAN', 'LUDAS',
+  'LUDEN', 'LUDES', 'LUDIA', 'LUDID', 'LUDIE', 'LUDIO', 'LUDIR', 'LUDIS', 'LUDOS', 'LUEGO',
+  'LUEÑE', 'LUGAR', 'LUGRE', 'LUIAN', 'LUIAS', 'LUIDA', 'LUIDO', 'LUIRA', 'LUIRE', 'LUISA',
+  'LUJAD', 'LUJAN', 'LUJAR', 'LUJAS', 'LUJEN', 'LUJES', 'LUJOS', 'LULOS', 'LULUS', 'LUMAS',
+  'LUMBO', 'LUMEN', 'LUMIA', 'LUNAR', 'LUNAS', 'LUNCH', 'LUNEA', 'LUNEE', 'LUNEL', 'LUNEO',
+  'LUNES', 'LUNFA', 'LUPAS', 'LUPIA', 'LUPUS', 'LURTE', 'LUSAS', 'LUSCA', 'LUSCO', 'LUSOS',
+  'LUTEA', 'LUTEO', 'LUTOS', 'LUVIA', 'LUXAD', 'LUXAN', 'LUXAR', 'LUXAS', 'LUXEN', 'LUXES',
+  'LUYAN', 'LUYAS', 'LUYEN', 'LUYES', 'LUZCA', 'LUZCO', 'LYCRA', 'MABIS', 'MABLE', 'MACAL',
+  'MACAN', 'MACAR', 'MACAS', 'MACEA', 'MACEE', 'MACEN', 'MACEO', 'MACES', 'MACHA', 'MACHE',
+  'MACHI', 'MACHO', 'MACIA', 'MACIO', 'MACIS', 'MACLA', 'MACON', 'MACRO', 'MACUA', 'MADOR',
+  'MADRE', 'MAESA', 'MAESE', 'MAESO', 'MAEÑA', 'MAEÑO', 'MAFIA', 'MAGAS', 'MAGIA', 'MAGIE',
+  'MAGIN', 'MAGIO', 'MAGMA', 'MAGNA', 'MAGNO', 'MAGOS', 'MAGRA', 'MAGRO', 'MAGUE', 'MAHON',
+  'MAIDO', 'MAJAD', 'MAJAL', 'MAJAN', 'MAJAR', 'MAJAS', 'MAJEA', 'MAJEE', 'MAJEN', 'MAJEO',
+  'MAJES', 'MAJOS', 'MALAR', 'MALAS', 'MALEA', 'MALEE', 'MALEO', 'MALES', 'MALIS', 'MALLA',
+  'MALLE', 'MALLO', 'MALON', 'MALOS', 'MALTA', 'MALVA', 'MALVE', 'MALVO', 'MAMAD', 'MAMAN',
+  'MAMAR', 'MAMAS', 'MAMBI', 'MAMBO', 'MAMEN', 'MAMES', 'MAMEY', 'MAMIA', 'MAMON', 'MAMUA',
+  'MAMUT', 'MANAD', 'MANAL', 'MANAN', 'MANAR', 'MANAS', 'MANCA', 'MANCO', 'MANDA', 'MANDE',
+  'MANDI', 'MANDO', 'MANEA', 'MANEE', 'MANEN', 'MANEO', 'MANES', 'MANGA', 'MANGO', 'MANIA',
+  'MANID', 'MANIO', 'MANIR', 'MANIS', 'MANOS', 'MANSA', 'MANSO', 'MANTA', 'MANTO', 'MANUS',
+  'MAOMA', 'MAORI', 'MAPAS', 'MAPEA', 'MAPEE', 'MAPEO', 'MAPOS', 'MAQUE', 'MAQUI', 'MARAS',
+  'MARCA', 'MARCE', 'MARCI', 'MARCO', 'MAREA', 'MAREE', 'MAREO', 'MARES', 'MARGA', 'MARGO',
+  'MARIA', 'MARLO', 'MARON', 'MAROS', 'MARRA', 'MARRE', 'MARRO', 'MARSA', 'MARSO', 'MARTA',
+  'MARTE', 'MARZA', 'MARZO', 'MASAD', 'MASAN', 'MASAR', 'MASAS', 'MASCA', 'MASCO', 'MASEA',
+  'MASEE', 'MASEN', 'MASEO', 'MASES', 'MASIA', 'MASLO', 'MASON', 'MASTE', 'MASTO', 'MATAD',
+  'MATAN', 'MATAR', 'MATAS', 'MATEA', 'MATEE', 'MATEN', 'MATEO', 'MATES', 'MATIZ', 'MATON',
+  'MATOS', 'MATUL', 'MAULA', 'MAULE', 'MAULO', 'MAURA', 'MAURE', 'MAURO', 'MAYAD', 'MAYAL',
+  'MAYAN', 'MAYAR', 'MAYAS', 'MAYEA', 'MAYEE', 'MAYEN', 'MAYEO', 'MAYES', 'MAYOR', 'MAYOS',
+  'MAZAD', 'MAZAN', 'MAZAR', 'MAZAS', 'MAZNA', 'MAZNE', 'MAZNO', 'MAZOS', 'MAÑAS', 'MAÑEA',
+  'MAÑEE', 'MAÑEO', 'MAÑIO', 'MAÑOS', 'MBAYA', 'MEABA', 'MEADA', 'MEADO', 'MEAIS', 'MEAJA',
+  'MEANO', 'MEARA', 'MEARE', 'MEASE', 'MEATO', 'MECAS', 'MECED', 'MECEN', 'MECER', 'MECES',
+  'MECHA', 'MECHE', 'MECHO', 'MECIA', 'MECIO', 'MECOS', 'MEDAS', 'MEDIA', 'MEDID', 'MEDIE',
+  'MEDIO', 'MEDIR', 'MEDIS', 'MEDOS', 'MEDRA', 'MEDRE', 'MEDRO', 'MEEIS', 'MEGAS', 'MEGOS',
+  'MEIGA', 'MEIGO', 'MEJAN', 'MEJAS', 'MEJED', 'MEJEN', 'MEJER', 'MEJES', 'MEJIA', 'MEJIO',
+  'MEJOR', 'MELAD', 'MELAR', 'MELAS', 'MELCA', 'MELGA', 'MELGO', 'MELIS', 'MELLA', 'MELLE',
+  'MELLO', 'MELON', 'MELSA', 'MELVA', 'MEMAS', 'MEMEZ', 'MEMOS', 'MENAD', 'MENAN', 'MENAR',
+  'MENAS', 'MENDA', 'MENEA', 'MENEE', 'MENEN', 'MENEO', 'MENES', 'MENGE', 'MENOR', 'MENOS',
+  'MENSA', 'MENSO', 'MENSU', 'MENTA', 'MENTE', 'MENTI', 'MENTO', 'MENUS', 'MEONA', 'MERAD',
+  'MERAN', 'MERAR', 'MERAS', 'MERCA', 'MERCO', 'MEREN', 'MERES', 'MEREY', 'MERGO', 'MERLA',
+  'MERLO', 'MERMA', 'MERME', 'MERMO', 'MEROL', 'MEROS', 'MERSA', 'MESAD', 'MESAN', 'MESAR',
+  'MESAS', 'MESEN', 'MESES', 'MESMA', 'MESMO', 'MESON', 'MESTA', 'MESTO', 'METAD', 'METAL',
+  'METAN', 'METAS', 'METED', 'METEN', 'METER', 'METES', 'METIA', 'METIO', 'METRA', 'METRO',
+  'MEYAS', 'MEYOR', 'MEZAN', 'MEZAS', 'MIABA', 'MIADO', 'MIAGA', 'MIAGO', 'MIAIS', 'MIAJA',
+  'MIARA', 'MIARE', 'MIASE', 'MIAUS', 'MIAÑA', 'MIAÑE', 'MIAÑO', 'MICAS', 'MICER', 'MICES',
+  'MICHA', 'MICHE', 'MICHO', 'MICOS', 'MICRA', 'MICRO', 'MIDAN', 'MIDAS', 'MIDEN', 'MIDES',
+  'MIDIO', 'MIEDO', 'MIEIS', 'MIELA', 'MIELE', 'MIELO', 'MIERA', 'MIGAD', 'MIGAN', 'MIGAR',
+  'MIGAS', 'MIGRA', 'MIGRE', 'MIGRO', 'MIGUE', 'MIJOS', 'MILAN', 'MILES', 'MILIS', 'MILLA',
+  'MILLO', 'MILPA', 'MIMAD', 'MIMAN', 'MIMAR', 'MIMAS', 'MIMEN', 'MIMES', 'MIMOS', 'MINAD',
+  'MINAL', 'MINAN', 'MINAR', 'MINAS', 'MINAZ', 'MINEN', 'MINES', 'MINGA', 'MINGO', 'MINIA',
+  'MINIE', 'MINIO', 'MINUE', 'MIOMA', 'MIONA', 'MIOPE', 'MIRAD', 'MIRAN', 'MIRAR', 'MIRAS',
+  'MIREN', 'MIRES', 'MIRLA', 'MIRLE', 'MIRLO', 'MIRON', 'MIRRA', 'MIRTO', 'MIRZA', 'MISAD',
+  'MISAL', 'MISAN', 'MISAR', 'MISAS', 'MISEN', 'MISES', 'MISIA', 'MISIL', 'MISIO', 'MISMA',
+  'MISMO', 'MISTA', 'MISTE', 'MISTO', 'MITAD', 'MITAN', 'MITAS', 'MITIN', 'MITON', 'MITOS',
+  'MITRA', 'MITRE', 'MITRO', 'MIURA', 'MIXTA', 'MIXTO', 'MIZAS', 'MIZOS', 'MIÑON', 'MOAIS',
+  'MOARE', 'MOBLE', 'MOCAD', 'MOCAN', 'MOCAR', 'MOCAS', 'MOCEA', 'MOCEE', 'MOCEO', 'MOCHA',
+  'MOCHE', 'MOCHO', 'MOCIL', 'MOCOS', 'MODAL', 'MODAS', 'MODEM', 'MODIO', 'MODOS', 'MOFAD',
+  'MOFAN', 'MOFAR', 'MOFAS', 'MOFEN', 'MOFES', 'MOGAS', 'MOGOL', 'MOGON', 'MOGOS', 'MOHIN',
+  'MOHOS', 'MOHUR', 'MOJAD', 'MOJAN', 'MOJAR', 'MOJAS', 'MOJEL', 'MOJEN', 'MOJES', 'MOJIL',
+  'MOJIS', 'MOJON', 'MOJOS', 'MOLAD', 'MOLAN', 'MOLAR', 'MOLAS', 'MOLDA', 'MOLDE', 'MOLDO',
+  'MOLED', 'MOLEN', 'MOLER', 'MOLES', 'MOLIA', 'MOLIO', 'MOLLA', 'MOLLE', 'MOLON', 'MOLOS',
+  'MOLSA', 'MOLSO', 'MOMEA', 'MOMEE', 'MOMEO', 'MOMIA', 'MOMIO', 'MOMOS', 'MONAS', 'MONDA',
+  'MONDE', 'MONDO', 'MONEA', 'MONEE', 'MONEO', 'MONFI', 'MONGA', 'MONGO', 'MONIS', 'MONJA',
+  'MONJE', 'MONOS', 'MONRA', 'MONSE', 'MONTA', 'MONTE', 'MONTO', 'MOPAN', 'MOPAS', 'MOQUE',
+  'MORAD', 'MORAL', 'MORAN', 'MORAR', 'MORAS', 'MORBO', 'MORCA', 'MORCO', 'MORDE', 'MORDI',
+  'MOREA', 'MOREN', 'MOREO', 'MORES', 'MORFA', 'MORFE', 'MORFO', 'MORGA', 'MORIA', 'MORID',
+  'MORIR', 'MORIS', 'MORMA', 'MORME', 'MORMO', 'MORON', 'MOROS', 'MORRA', 'MORRO', 'MORSA',
+  'MORSE', 'MOSCA', 'MOSCO', 'MOSEN', 'MOSTE', 'MOSTO', 'MOTAS', 'MOTEA', 'MOTEE', 'MOTEL',
+  'MOTEO', 'MOTES', 'MOTIL', 'MOTIN', 'MOTON', 'MOTOR', 'MOTOS', 'MOVED', 'MOVER', 'MOVES',
+  'MOVIA', 'MOVIL', 'MOVIO', 'MOXAS', 'MOXTE', 'MOYAS', 'MOYOS', 'MOZAS', 'MOZOS', 'MOÑAS',
+  'MOÑON', 'MOÑOS', 'MUARE', 'MUBLE', 'MUCAS', 'MUCHA', 'MUCHO', 'MUCOS', 'MUDAD', 'MUDAN',
+  'MUDAR', 'MUDAS', 'MUDEN', 'MUDES', 'MUDEZ', 'MUDOS', 'MUECA', 'MUELA', 'MUELE', 'MUELO',
+  'MUERA', 'MUERE', 'MUERO', 'MUESO', 'MUEVA', 'MUEVE', 'MUEVO', 'MUFAS', 'MUFLA', 'MUFTI',
+  'MUGAD', 'MUGAN', 'MUGAR', 'MUGAS', 'MUGEN', 'MUGES', 'MUGIA', 'MUGID', 'MUGIL', 'MUGIO',
+  'MUGIR', 'MUGIS', 'MUGLE', 'MUGOR', 'MUGRE', 'MUGUE', 'MUIAN', 'MUIAS', 'MUIDA', 'MUIDO',
+  'MUIRA', 'MUIRE', 'MUJAN', 'MUJAS', 'MUJER', 'MUJOL', 'MULAR', 'MULAS', 'MULEO', 'MULES',
+  'MULLA', 'MULLE', 'MULLI', 'MULLO', 'MULOS', 'MULSA', 'MULSO', 'MULTA', 'MULTE', 'MULTO',
+  'MUNAS', 'MUNDO', 'MURAD', 'MURAL', 'MURAN', 'MURAR', 'MURAS', 'MUREN', 'MURES', 'MURGA',
+  'MURIA', 'MURIO', 'MUROS', 'MURTA', 'MURTO', 'MUSAN', 'MUSAR', 'MUSAS', 'MUSCA', 'MUSCO',
+  'MUSEN', 'MUSEO', 'MUSES', 'MUSGA', 'MUSGO', 'MUSIA', 'MUSIO', 'MUSIR', 'MUSIS', 'MUSLO',
+  'MUSOS', 'MUTAD', 'MUTAN', 'MUTAR', 'MUTAS', 'MUTEN', 'MUTES', 'MUTIS', 'MUTRA', 'MUTRO',
+  'MUTUA', 'MUTUO', 'MUYAN', 'MUYAS', 'MUYEN', 'MUYES', 'MUÑAN', 'MUÑAS', 'MUÑEN', 'MUÑES',
+  'MUÑIA', 'MUÑID', 'MUÑIR', 'MUÑIS', 'MUÑON', 'NABAB', 'NABAL', 'NABAR', 'NABAS', 'NABIS',
+  'NABLA', 'NABOS', 'NACAR', 'NACAS', 'NACED', 'NACEN', 'NACER', 'NACES', 'NACHA', 'NACHO',
+  'NACIA', 'NACIO', 'NACOS', 'NACRE', 'NADAD', 'NADAL', 'NADAN', 'NADAR', 'NADAS', 'NADEN',
+  'NADES', 'NADGA', 'NADIE', 'NADIR', 'NAFRA', 'NAFRE', 'NAFRO', 'NAFTA', 'NAGUA', 'NAHOA',
+  'NAHUA', 'NAIFE', 'NAIFS', 'NAIPE', 'NAIRE', 'NAJAS', 'NALCA', 'NALGA', 'NANAS', 'NANAY',
+  'NANCE', 'NANEA', 'NANEE', 'NANEO', 'NANSA', 'NANSU', 'NANTA', 'NANTE', 'NANTO', 'NAPAS',
+  'NAPEA', 'NAPEO', 'NAQUE', 'NARCO', 'NARDO', 'NARES', 'NARIZ', 'NARRA', 'NARRE', 'NARRO',
+  'NASAL', 'NASAS', 'NASON', 'NASOS', 'NATAL', 'NATAS', 'NATIA', 'NATIO', 'NATOS', 'NATRI',
+  'NAUTA', 'NAVAL', 'NAVAS', 'NAVES', 'NAVIO', 'NAZCA', 'NAZCO', 'NAZIS', 'NEBEL', 'NEBIS',
+  'NEBLI', 'NEBRO', 'NECEA', 'NECEE', 'NECEO', 'NECIA', 'NECIO', 'NEGAD', 'NEGAR', 'NEGAS',
+  'NEGRA', 'NEGRO', 'NEGUE', 'NEGUS', 'NEJAS', 'NEJOS', 'NELDO', 'NELES', 'NEMAS', 'NEMEA',
+  'NEMEO', 'NEMES', 'NEMON', 'NENAS', 'NENES', 'NENIA', 'NEPES', 'NERON', 'NESGA', 'NESGO',
+  'NETAS', 'NETOS', 'NEUMA', 'NEVAD', 'NEVAR', 'NEVAS', 'NEVOS', 'NEVUS', 'NEXOS', 'NIARA',
+  'NIAZO', 'NICHE', 'NICHO', 'NICLE', 'NICOL', 'NIDAL', 'NIDIA', 'NIDIO', 'NIDOS', 'NIEGA',
+  'NIEGO', 'NIELA', 'NIELE', 'NIELO', 'NIETA', 'NIETO', 'NIEVA', 'NIEVE', 'NIEVO', 'NIGUA',
+  'NILAD', 'NILON', 'NIMBA', 'NIMBE', 'NIMBO', 'NIMIA', 'NIMIO', 'NINFA', 'NINFO', 'NINOT',
+  'NIOTO', 'NIPAS', 'NIPIS', 'NIPON', 'NIPOS', 'NIQUI', 'NISTE', 'NITOR', 'NITOS', 'NITRA',
+  'NITRE', 'NITRO', 'NIVEA', 'NIVEL', 'NIVEO', 'NIXTE', 'NIÑAS', 'NIÑEA', 'NIÑEE', 'NIÑEO',
+  'NIÑEZ', 'NIÑOS', 'NOBEL', 'NOBLE', 'NOCAS', 'NOCHE', 'NOCIR', 'NOCLA', 'NODAL', 'NODOS',
+  'NOEMA', 'NOGAL', 'NOLIS', 'NOLIT', 'NOMAS', 'NOMON', 'NOMOS', 'NONAS', 'NONES', 'NONIO',
+  'NONOS', 'NOPAL', 'NOQUE', 'NORAY', 'NORIA', 'NORMA', 'NORME', 'NORMO', 'NORTE', 'NOTAD',
+  'NOTAN', 'NOTAR', 'NOTAS', 'NOTEN', 'NOTES', 'NOTOS', 'NOTRO', 'NOVAD', 'NOVAL', 'NOVAN',
+  'NOVAR', 'NOVAS', 'NOVEL', 'NOVEN', 'NOVES', 'NOVIA', 'NOVIE', 'NOVIO', 'NOYOS', 'NUBES',
+  'NUBIA', 'NUBIL', 'NUBIO', 'NUBLA', 'NUBLE', 'NUBLO', 'NUCAS', 'NUCHE', 'NUCIR', 'NUCOS',
+  'NUDAS', 'NUDOS', 'NUERA', 'NUESA', 'NUESO', 'NUEVA', 'NUEVE', 'NUEVO', 'NUEZA', 'NULAS',
+  'NULOS', 'NUMEN', 'NUMOS', 'NUNCA', 'NUTRA', 'NUTRE', 'NUTRI', 'NUTRO', 'NUÑOS', 'OASIS',
+  'OBELO', 'OBESA', 'OBESO', 'OBICE', 'OBITO', 'OBLEA', 'OBOES', 'OBOLO', 'OBRAD', 'OBRAN',
+  'OBRAR', 'OBRAS', 'OBREN', 'OBRES', 'OBSTA', 'OBSTE', 'OBSTO', 'OBTEN', 'OBUES', 'OBVIA',
+  'OBVIE', 'OBVIO', 'OCAPI', 'OCASO', 'OCELO', 'OCENA', 'OCHOS', 'OCIAD', 'OCIAN', 'OCIAR',
+  'OCIAS', 'OCIEN', 'OCIES', 'OCIOS', 'OCLES', 'OCLUI', 'OCOTE', 'OCRAS', 'OCRES', 'OCREY',
+  'OCUJE', 'OCUME', 'OCUMO', 'OCUPA', 'OCUPE', 'OCUPO', 'ODEON', 'ODIAD', 'ODIAN', 'ODIAR',
+  'ODIAS', 'ODIEN', 'ODIES', 'ODIOS', 'ODRES', 'OESTE', 'OFITA', 'OGAÑO', 'OGROS', 'OHMIO',
+  'OIAIS', 'OIBLE', 'OIDAS', 'OIDIO', 'OIDOR', 'OIDOS', 'OIGAN', 'OIGAS', 'OIMOS', 'OIRAN',
+  'OIRAS', 'OIRIA', 'OISLO', 'OISTE', 'OJALA', 'OJALE', 'OJALO', 'OJEAD', 'OJEAN', 'OJEAR',
+  'OJEAS', 'OJEEN', 'OJEES', 'OJEOS', 'OJERA', 'OJETE', 'OJITO', 'OJIVA', 'OJOSA', 'OJOSO',
+  'OJOTA', 'OJUDA', 'OJUDO', 'OLAIS', 'OLAJE', 'OLEAD', 'OLEAN', 'OLEAR', 'OLEAS', 'OLEEN',
+  'OLEES', 'OLEIS', 'OLEOS', 'OLERA', 'OLERE', 'OLIAN', 'OLIAS', 'OLIDA', 'OLIDO', 'OLIOS',
+  'OLIVA', 'OLIVE', 'OLIVO', 'OLLAO', 'OLLAR', 'OLLAS', 'OLMAS', 'OLMOS', 'OLOTE', 'OLURA',
+  'OMANI', 'OMASO', 'OMBUS', 'OMEGA', 'OMERO', 'OMEYA', 'OMINA', 'OMINE', 'OMINO', 'OMISA',
+  'OMISO', 'OMITA', 'OMITE', 'OMITI', 'OMITO', 'OMOTO', 'ONCEA', 'ONCEE', 'ONCEO', 'ONCES',
+  'ONDAS', 'ONDEA', 'ONDEE', 'ONDEO', 'ONDRA', 'ONECE', 'ONECI', 'ONICE', 'ONOTO', 'ONZAS',
+  'OPACA', 'OPACO', 'OPADA', 'OPADO', 'OPALO', 'OPERA', 'OPERE', 'OPERO', 'OPILA', 'OPILE',
+  'OPILO', 'OPIMA', 'OPIMO', 'OPINA', 'OPINE', 'OPINO', 'OPIOS', 'OPONE', 'OPTAD', 'OPTAN',
+  'OPTAR', 'OPTAS', 'OPTEN', 'OPTES', 'OPUSE', 'OPUSO', 'ORABA', 'ORADA', 'ORADO', 'ORAIS',
+  'ORAJE', 'ORALE', 'ORARA', 'ORARE', 'ORASE', 'ORATE', 'ORBES', 'ORCAS', 'ORCEN', 'ORCES',
+  'ORCOS', 'ORDEN', 'OREAD', 'OREAN', 'OREAR', 'OREAS', 'OREEN', 'OREES', 'OREIS', 'OREJA',
+  'OREOS', 'ORERO', 'ORFOS', 'ORFRE', 'ORGIA', 'ORIBE', 'ORIES', 'ORINA', 'ORINE', 'ORINO',
+  'ORIOL', 'ORIVE', 'ORLAD', 'ORLAN', 'ORLAR', 'ORLAS', 'ORLEN', 'ORLES', 'ORLOS', 'ORNAD',
+  'ORNAN', 'ORNAR', 'ORNAS', 'ORNEA', 'ORNEE', 'ORNEN', 'ORNEO', 'ORNES', 'OROYA', 'ORTOS',
+  'ORUGA', 'ORUJO', 'ORZAD', 'ORZAN', 'ORZAR', 'ORZAS', 'OSABA', 'OSADA', 'OSADO', 'OSAIS',
+  'OSARA', 'OSARE', 'OSASE', 'OSCAS', 'OSCOS', 'OSEAD', 'OSEAN', 'OSEAR', 'OSEAS', 'OSEEN',
+  'OSEES', 'OSEIS', 'OSEOS', 'OSERA', 'OSERO', 'OSETA', 'OSMIO', 'OSOSA', 'OSOSO', 'OSTAS',
+  'OSTIA', 'OSTRA', 'OSTRO', 'OSUDA', 'OSUDO', 'OSUNA', 'OSUNO', 'OTATE', 'OTEAD', 'OTEAN',
+  'OTEAR', 'OTEAS', 'OTEEN', 'OTEES', 'OTERO', 'OTILA', 'OTILE', 'OTILO', 'OTOBA', 'OTOÑA',
+  'OTOÑE', 'OTOÑO', 'OTRAS', 'OTRES', 'OTRIS', 'OTROS', 'OVABA', 'OVADA', 'OVADO', 'OVAIS',
+  'OVALA', 'OVALE', 'OVALO', 'OVARA', 'OVARE', 'OVASE', 'OVEIS', 'OVEJA', 'OVERA', 'OVERO',
+  'OVIDO', 'OVINA', 'OVINO', 'OVNIS', 'OVOLO', 'OVOSA', 'OVOSO', 'OVULA', 'OVULE', 'OVULO',
+  'OXEAD', 'OXEAN', 'OXEAR', 'OXEAS', 'OXEEN', 'OXEES', 'OXIDA', 'OXIDE', 'OXIDO', 'OYERA',
+  'OYERE', 'OYESE', 'OZENA', 'OZONA', 'OZONO', 'PACAE', 'PACAS', 'PACAY', 'PACED', 'PACEN',
+  'PACER', 'PACES', 'PACHA', 'PACHO', 'PACIA', 'PACIO', 'PACON', 'PACOS', 'PACTA', 'PACTE',
+  'PACTO', 'PACUS', 'PADRE', 'PAFIA', 'PAFIO', 'PAGAD', 'PAGAN', 'PAGAR', 'PAGAS', 'PAGEL',
+  'PAGOS', 'PAGRO', 'PAGUA', 'PAGUE', 'PAHUA', 'PAICO', 'PAILA', 'PAINA', 'PAIRA', 'PAIRE',
+  'PAIRO', 'PAJAR', 'PAJAS', 'PAJEA', 'PAJEE', 'PAJEL', 'PAJEO', 'PAJES', 'PAJIL', 'PAJLA',
+  'PAJON', 'PAJOS', 'PAJUZ', 'PALAS', 'PALAY', 'PALCA', 'PALCO', 'PALEA', 'PALEE', 'PALEO',
+  'PALES', 'PALIA', 'PALIE', 'PALIO', 'PALIS', 'PALLA', 'PALLE', 'PALLO', 'PALMA', 'PALME',
+  'PALMO', 'PALON', 'PALOR', 'PALOS', 'PALPA', 'PALPE', 'PALPI', 'PALPO', 'PALTA', 'PALTO',
+  'PAMBA', 'PAMPA', 'PAMUE', 'PANAL', 'PANAS', 'PANCA', 'PANCO', 'PANDA', 'PANDO', 'PANEL',
+  'PANES', 'PANGA', 'PANJI', 'PANOS', 'PANSA', 'PANTY', 'PANUL', 'PANZA', 'PAPAD', 'PAPAL',
+  'PAPAN', 'PAPAR', 'PAPAS', 'PAPAZ', 'PAPEA', 'PAPEE', 'PAPEL', 'PAPEN', 'PAPEO', 'PAPES',
+  'PAPIN', 'PAPON', 'PAPOS', 'PAPUA', 'PAPUS', 'PARAD', 'PARAL', 'PARAN', 'PARAO', 'PARAR',
+  'PARAS', 'PARCA', 'PARCE', 'PARCO', 'PARDA', 'PARDO', 'PAREA', 'PARED', 'PAREE', 'PAREL',
+  'PAREN', 'PAREO', 'PARES', 'PARGO', 'PARIA', 'PARID', 'PARIO', 'PARIR', 'PARIS', 'PARLA',
+  'PARLE', 'PARLO', 'PARNE', 'PAROS', 'PARPA', 'PARPE', 'PARPO', 'PARRA', 'PARRE', 'PARRO',
+  'PARSI', 'PARTA', 'PARTE', 'PARTI', 'PARTO', 'PARVA', 'PARVO', 'PASAD', 'PASAN', 'PASAR',
+  'PASAS', 'PASCO', 'PASEA', 'PASEE', 'PASEN', 'PASEO', 'PASES', 'PASIL', 'PASMA', 'PASME',
+  'PASMO', 'PASOS', 'PASPA', 'PASPE', 'PASPO', 'PASTA', 'PASTE', 'PASTO', 'PATAN', 'PATAO',
+  'PATAS', 'PATAX', 'PATAY', 'PATEA', 'PATEE', 'PATEO', 'PATER', 'PATES', 'PATIN', 'PATIO',
+  'PATIS', 'PATON', 'PATOS', 'PAUJI', 'PAULA', 'PAULE', 'PAULO', 'PAUSA', 'PAUSE', 'PAUSO',
+  'PAUTA', 'PAUTE', 'PAUTO', 'PAVAS', 'PAVES', 'PAVIA', 'PAVON', 'PAVOR', 'PAVOS', 'PAXTE',
+  'PAYAD', 'PAYAN', 'PAYAR', 'PAYAS', 'PAYEN', 'PAYES', 'PAYOS', 'PAZCA', 'PAZCO', 'PAZOS',
+  'PAÑAL', 'PAÑIL', 'PAÑOL', 'PAÑOS', 'PEAIS', 'PEAJE', 'PEALA', 'PEALE', 'PEALO', 'PEANA',
+  'PEAÑA', 'PEBRE', 'PECAD', 'PECAN', 'PECAR', 'PECAS', 'PECES', 'PECHA', 'PECHE', 'PECHO',
+  'PECIO', 'PECTA', 'PECTE', 'PECTO', 'PEDAL', 'PEDIA', 'PEDID', 'PEDIO', 'PEDIR', 'PEDIS',
+  'PEDOS', 'PEDRO', 'PEEIS', 'PEERA', 'PEERE', 'PEGAD', 'PEGAN', 'PEGAR', 'PEGAS', 'PEGON',
+  'PEGOS', 'PEGUE', 'PEIAN', 'PEIAS', 'PEIDO', 'PEINA', 'PEINE', 'PEINO', 'PEJES', 'PEJIN',
+  'PELAD', 'PELAN', 'PELAR', 'PELAS', 'PELDE', 'PELEA', 'PELEE', 'PELEN', 'PELEO', 'PELES',
+  'PELIS', 'PELLA', 'PELLO', 'PELMA', 'PELON', 'PELOS', 'PELTA', 'PELUS', 'PELVI', 'PEMON',
+  'PENAD', 'PENAL', 'PENAN', 'PENAR', 'PENAS', 'PENCA', 'PENCO', 'PENDA', 'PENDE', 'PENDI',
+  'PENDO', 'PENEN', 'PENES', 'PENIS', 'PENOL', 'PENOS', 'PENSA', 'PENSE', 'PENSO', 'PEORA',
+  'PEPAS', 'PEPES', 'PEPLA', 'PEPLO', 'PEPON', 'PEPUS', 'PEQUE', 'PERAL', 'PERAS', 'PERCA',
+  'PERDE', 'PERDI', 'PERIS', 'PERLA', 'PERLE', 'PERLO', 'PERNA', 'PERNO', 'PEROL', 'PEROS',
+  'PERRA', 'PERRO', 'PERSA', 'PERTA', 'PERUS', 'PESAD', 'PESAN', 'PESAR', 'PESAS', 'PESCA',
+  'PESCE', 'PESCO', 'PESEN', 'PESES', 'PESGA', 'PESGO', 'PESIA', 'PESOL', 'PESOR', 'PESOS',
+  'PESTE', 'PETAD', 'PETAN', 'PETAR', 'PETAS', 'PETEN', 'PETES', 'PETOS', 'PETRA', 'PEUCO',
+  'PEUMO', 'PEZON', 'PEÑAS', 'PEÑOL', 'PEÑON', 'PEÑOS', 'PIABA', 'PIADA', 'PIADO', 'PIAFA',
+  'PIAFE', 'PIAFO', 'PIAIS', 'PIALA', 'PIALE', 'PIALO', 'PIANO', 'PIARA', 'PIARE', 'PIASE',
+  'PIBAS', 'PIBES', 'PIBIL', 'PICAD', 'PICAL', 'PICAN', 'PICAR', 'PICAS', 'PICEA', 'PICEO',
+  'PICHA', 'PICHE', 'PICHI', 'PICHO', 'PICON', 'PICOR', 'PICOS', 'PICUY', 'PIDAN', 'PIDAS',
+  'PIDEN', 'PIDES', 'PIDIO', 'PIDON', 'PIEIS', 'PIEJO', 'PIEZA', 'PIFAS', 'PIFIA', 'PIFIE',
+  'PIFIO', 'PIGRA', 'PIGRE', 'PIGRO', 'PIGUA', 'PIHUA', 'PIJAS', 'PIJES', 'PIJIN', 'PIJOS',
+  'PIJUL', 'PIJUY', 'PILAD', 'PILAN', 'PILAR', 'PILAS', 'PILCA', 'PILEN', 'PILEO', 'PILES',
+  'PILLA', 'PILLE', 'PILLO', 'PILME', 'PILON', 'PILOS', 'PINAL', 'PINAR', 'PINAS', 'PINCE',
+  'PINES', 'PINGA', 'PINGO', 'PINNA', 'PINOL', 'PINOS', 'PINTA', 'PINTE', 'PINTO', 'PINZA',
+  'PINZO', 'PIOJO', 'PIOLA', 'PIOLE', 'PIOLO', 'PIONA', 'PIPAD', 'PIPAN', 'PIPAR', 'PIPAS',
+  'PIPEN', 'PIPES', 'PIPIA', 'PIPIE', 'PIPIL', 'PIPIO', 'PIPIS', 'PIPON', 'PIPOS', 'PIQUE',
+  'PIRAD', 'PIRAL', 'PIRAN', 'PIRAR', 'PIRAS', 'PIRCA', 'PIRCO', 'PIREN', 'PIRES', 'PIRLA',
+  'PIRON', 'PIROS', 'PIRRA', 'PIRRE', 'PIRRI', 'PIRRO', 'PIRUL', 'PIRUS', 'PISAD', 'PISAN',
+  'PISAR', 'PISAS', 'PISCA', 'PISCO', 'PISEN', 'PISES', 'PISON', 'PISOS', 'PISPA', 'PISPE',
+  'PISPO', 'PISTA', 'PISTE', 'PISTO', 'PITAD', 'PITAL', 'PITAN', 'PITAO', 'PITAR', 'PITAS',
+  'PITEA', 'PITEE', 'PITEN', 'PITEO', 'PITES', 'PITIA', 'PITIO', 'PITIS', 'PITON', 'PITOS',
+  'PIULA', 'PIULE', 'PIULO', 'PIUNE', 'PIURE', 'PIVOT', 'PIXEL', 'PIZCA', 'PIZCO', 'PIZZA',
+  'PIÑAL', 'PIÑAS', 'PIÑEN', 'PIÑON', 'PIÑOS', 'PLACA', 'PLACE', 'PLACI', 'PLACO', 'PLAGA',
+  'PLAGO', 'PLANA', 'PLANO', 'PLATA', 'PLATO', 'PLAYA', 'PLAYE', 'PLAYO', 'PLAZA', 'PLAZO',
+  'PLAÑA', 'PLAÑE', 'PLAÑI', 'PLAÑO', 'PLEBE', 'PLECA', 'PLEGA', 'PLEGO', 'PLENA', 'PLENO',
+  'PLEON', 'PLEPA', 'PLEXO', 'PLICA', 'PLISA', 'PLISE', 'PLISO', 'PLOMA', 'PLOME', 'PLOMO',
+  'PLUGO', 'PLUMA', 'POBLA', 'POBLE', 'POBLO', 'POBOS', 'POBRA', 'POBRE', 'POCAS', 'POCHA',
+  'POCHO', 'POCOS', 'PODAD', 'PODAL', 'PODAN', 'PODAR', 'PODAS', 'PODED', 'PODEN', 'PODER',
+  'PODES', 'PODIA', 'PODIO', 'PODON', 'PODRA', 'PODRE', 'POEMA', 'POETA', 'POINO', 'POISA',
+  'POISE', 'POLAR', 'POLCA', 'POLCO', 'POLEA', 'POLEN', 'POLEO', 'POLEX', 'POLIN', 'POLIO',
+  'POLIR', 'POLIS', 'POLLA', 'POLLO', 'POLOS', 'POLVO', 'POMAR', 'POMAS', 'POMEZ', 'POMOS',
+  'POMPA', 'POMPO', 'PONCI', 'PONED', 'PONEN', 'PONER', 'PONES', 'PONEY', 'PONGA', 'PONGO',
+  'PONIA', 'PONIS', 'PONTO', 'POPAD', 'POPAN', 'POPAR', 'POPAS', 'POPEL', 'POPEN', 'POPES',
+  'POPOS', 'POPTI', 'PORCO', 'PORGA', 'PORGO', 'PORNO', 'POROS', 'PORRA', 'PORRO', 'PORTA',
+  'PORTE', 'PORTO', 'POSAD', 'POSAN', 'POSAR', 'POSAS', 'POSCA', 'POSEA', 'POSEE', 'POSEI',
+  'POSEN', 'POSEO', 'POSES', 'POSMA', 'POSMO', 'POSON', 'POSOS', 'POSTA', 'POSTE', 'POTAD',
+  'POTAN', 'POTAR', 'POTAS', 'POTEA', 'POTEE', 'POTEN', 'POTEO', 'POTES', 'POTOS', 'POTRA',
+  'POTRO', 'POYAD', 'POYAL', 'POYAN', 'POYAR', 'POYAS', 'POYEN', 'POYES', 'POYOS', 'POZAL',
+  'POZAS', 'POZOL', 'POZOS', 'PRADO', 'PRAOS', 'PRAVA', 'PRAVO', 'PRAZA', 'PREAR', 'PREAS',
+  'PREDA', 'PRESA', 'PRESO', 'PREST', 'PREVE', 'PREVI', 'PREÑA', 'PREÑE', 'PREÑO', 'PRIMA',
+  'PRIME', 'PRIMO', 'PRION', 'PRIOR', 'PRISA', 'PRIVA', 'PRIVE', 'PRIVO', 'PROAL', 'PROAS',
+  'PROBA', 'PROBE', 'PROBO', 'PROCO', 'PROEL', 'PROFA', 'PROFE', 'PROIS', 'PROIZ', 'PROLE',
+  'PRONA', 'PRONO', 'PRORA', 'PROSA', 'PRUNA', 'PRUNO', 'PSIES', 'PUABA', 'PUADA', 'PUADO',
+  'PUAIS', 'PUARA', 'PUARE', 'PUASE', 'PUBER', 'PUBES', 'PUBIS', 'PUCHA', 'PUCHO', 'PUCIA',
+  'PUDIN', 'PUDIO', 'PUDIR', 'PUDOR', 'PUDRA', 'PUDRE', 'PUDRI', 'PUDRO', 'PUDUS', 'PUEDA',
+  'PUEDE', 'PUEDO', 'PUEIS', 'PUFOS', 'PUGAS', 'PUGIL', 'PUGNA', 'PUGNE', 'PUGNO', 'PUJAD',
+  'PUJAN', 'PUJAR', 'PUJAS', 'PUJEN', 'PUJES', 'PUJOS', 'PULAN', 'PULAS', 'PULEN', 'PULES',
+  'PULGA', 'PULIA', 'PULID', 'PULIO', 'PULIR', 'PULIS', 'PULLA', 'PULLE', 'PULLO', 'PULPA',
+  'PULPO', 'PULSA', 'PULSE', 'PULSO', 'PUMAS', 'PUMBA', 'PUNAN', 'PUNAR', 'PUNAS', 'PUNCE',
+  'PUNEN', 'PUNES', 'PUNGA', 'PUNGE', 'PUNGI', 'PUNIA', 'PUNID', 'PUNIO', 'PUNIR', 'PUNIS',
+  'PUNJA', 'PUNJO', 'PUNTA', 'PUNTE', 'PUNTO', 'PUNZA', 'PUNZO', 'PUPAD', 'PUPAN', 'PUPAR',
+  'PUPAS', 'PUPEN', 'PUPES', 'PUPOS', 'PUPUS', 'PURAS', 'PUREA', 'PUREE', 'PUREO', 'PURES',
+  'PURGA', 'PURGO', 'PURIN', 'PUROS', 'PURRA', 'PURRE', 'PURRI', 'PURRO', 'PUSES', 'PUSPA',
+  'PUSPO', 'PUTAL', 'PUTAS', 'PUTEA', 'PUTEE', 'PUTEO', 'PUTON', 'PUTOS', 'PUYAD', 'PUYAN',
+  'PUYAR', 'PUYAS', 'PUYEN', 'PUYES', 'PUYON', 'PUYOS', 'PUZLE', 'PUZOL', 'PUÑAL', 'PUÑAR',
+  'PUÑIR', 'PUÑOS', 'PYMES', 'QUECO', 'QUEDA', 'QUEDE', 'QUEDO', 'QUEJA', 'QUEJE', 'QUEJO',
+  'QUEMA', 'QUEME', 'QUEMI', 'QUEMO', 'QUENA', 'QUEPA', 'QUEPI', 'QUEPO', 'QUERA', 'QUERE',
+  'QUERO', 'QUESO', 'QUIAS', 'QUIEN', 'QUIER', 'QUIFS', 'QUIJO', 'QUILA', 'QUILO', 'QUIMA',
+  'QUIMO', 'QUINA', 'QUINO', 'QUIOS', 'QUIPA', 'QUIPU', 'QUISA', 'QUISE', 'QUISO', 'QUITA',
+  'QUITE', 'QUITO', 'QUITU', 'QUIVI', 'QUIZA', 'QUIÑA', 'QUIÑE', 'QUIÑO', 'RABAL', 'RABAS',
+  'RABEA', 'RABEE', 'RABEL', 'RABEO', 'RABIA', 'RABIE', 'RABIL', 'RABIO', 'RABIS', 'RABON',
+  'RABOS', 'RACEA', 'RACEE', 'RACEL', 'RACEO', 'RACHA', 'RACHE', 'RACHO', 'RACOR', 'RACOS',
+  'RADAL', 'RADAR', 'RADAS', 'RADES', 'RADIA', 'RADIE', 'RADIO', 'RADON', 'RAEIS', 'RAERA',
+  'RAERE', 'RAFAL', 'RAFAS', 'RAFEA', 'RAFEE', 'RAFEO', 'RAFES', 'RAFEZ', 'RAFIA', 'RAGUA',
+  'RAGUS', 'RAHEZ', 'RAIAN', 'RAIAS', 'RAICE', 'RAIDA', 'RAIDO', 'RAIGA', 'RAIGO', 'RAIJO',
+  'RAIZA', 'RAIZO', 'RAJAD', 'RAJAN', 'RAJAR', 'RAJAS', 'RAJEN', 'RAJES', 'RAJON', 'RALAS',
+  'RALBA', 'RALBE', 'RALBO', 'RALEA', 'RALEE', 'RALEO', 'RALLA', 'RALLE', 'RALLO', 'RALLY',
+  'RALOS', 'RALVA', 'RALVE', 'RALVO', 'RAMAL', 'RAMAS', 'RAMEA', 'RAMEE', 'RAMEO', 'RAMIO',
+  'RAMON', 'RAMOS', 'RAMPA', 'RAMPE', 'RAMPO', 'RANAS', 'RANDA', 'RANDS', 'RANGO', 'RANOS',
+  'RAPAD', 'RAPAN', 'RAPAR', 'RAPAS', 'RAPAZ', 'RAPEN', 'RAPES', 'RAPOS', 'RAPTA', 'RAPTE',
+  'RAPTO', 'RAQUE', 'RARAS', 'RAREA', 'RAREE', 'RAREO', 'RAROS', 'RASAD', 'RASAN', 'RASAR',
+  'RASAS', 'RASCA', 'RASCO', 'RASEL', 'RASEN', 'RASES', 'RASGA', 'RASGO', 'RASIS', 'RASOS',
+  'RASPA', 'RASPE', 'RASPO', 'RATAS', 'RATEA', 'RATEE', 'RATEO', 'RATIO', 'RATON', 'RATOS',
+  'RAUCA', 'RAUCO', 'RAUDA', 'RAUDO', 'RAULI', 'RAUTA', 'RAYAD', 'RAYAN', 'RAYAR', 'RAYAS',
+  'RAYEN', 'RAYES', 'RAYON', 'RAYOS', 'RAZAR', 'RAZAS', 'RAZIA', 'RAZON', 'RAÑAS', 'RAÑOS',
+  'REAJE', 'REALA', 'REAMA', 'REAME', 'REAMO', 'REARA', 'REARE', 'REARO', 'REATA', 'REATE',
+  'REATO', 'REBLA', 'REBLE', 'REBLO', 'REBOL', 'REBUS', 'RECAE', 'RECAI', 'RECEL', 'RECEN',
+  'RECES', 'RECIA', 'RECIO', 'RECLE', 'RECRE', 'RECTA', 'RECTE', 'RECTO', 'RECUA', 'REDAD',
+  'REDAN', 'REDAR', 'REDAS', 'REDEL', 'REDEN', 'REDES', 'REDIL', 'REDOL', 'REDOR', 'REDRO',
+  'REFEZ', 'REGAD', 'REGAR', 'REGAS', 'REGIA', 'REGID', 'REGIO', 'REGIR', 'REGIS', 'REGLA',
+  'REGLE', 'REGLO', 'REGUE', 'REHAZ', 'REHEN', 'REHUI', 'REHUS', 'REIAN', 'REIAS', 'REIDA',
+  'REIDO', 'REILA', 'REILE', 'REILO', 'REINA', 'REINE', 'REINO', 'REIRA', 'REIRE', 'REJAL',
+  'REJAS', 'REJIN', 'REJON', 'REJOS', 'REJUS', 'RELAX', 'RELEA', 'RELEE', 'RELEI', 'RELEJ',
+  'RELEO', 'RELES', 'RELOJ', 'RELSA', 'RELSO', 'RELVA', 'RELVE', 'RELVO', 'REMAD', 'REMAN',
+  'REMAR', 'REMAS', 'REMEN', 'REMES', 'REMOS', 'RENAL', 'RENCA', 'RENCO', 'RENDA', 'RENDE',
+  'RENDI', 'RENDO', 'RENES', 'RENGA', 'RENGO', 'RENIL', 'RENIO', 'RENOS', 'RENTA', 'RENTE',
+  'RENTO', 'REOCA', 'REOJO', 'REPON', 'REPOS', 'REPTA', 'REPTE', 'REPTO', 'RESAL', 'RESES',
+  'RESMA', 'RESOL', 'RESPE', 'RESTA', 'RESTE', 'RESTO', 'RETAD', 'RETAL', 'RETAN', 'RETAR',
+  'RETAS', 'RETEL', 'RETEN', 'RETES', 'RETIN', 'RETOR', 'RETOS', 'RETRO', 'REUMA', 'REUNA',
+  'REUNE', 'REUNI', 'REUNO', 'REVEA', 'REVED', 'REVEN', 'REVEO', 'REVER', 'REVES', 'REVIO',
+  'REYAD', 'REYAN', 'REYAR', 'REYAS', 'REYEN', 'REYES', 'REZAD', 'REZAN', 'REZAR', 'REZAS',
+  'REZNO', 'REZON', 'REZOS', 'REÑIA', 'REÑID', 'REÑIR', 'REÑIS', 'RIADA', 'RIAIS', 'RIATA',
+  'RIBAS', 'RICAS', 'RICEN', 'RICES', 'RICIA', 'RICIO', 'RICOS', 'RIEGA', 'RIEGO', 'RIELA',
+  'RIELE', 'RIELO', 'RIERA', 'RIERE', 'RIESE', 'RIFAD', 'RIFAN', 'RIFAR', 'RIFAS', 'RIFEN',
+  'RIFES', 'RIFLE', 'RIGEN', 'RIGES', 'RIGIL', 'RIGIO', 'RIGOR', 'RIGUA', 'RIGUE', 'RIJAN',
+  'RIJAS', 'RIJOS', 'RILAD', 'RILAN', 'RILAR', 'RILAS', 'RILEN', 'RILES', 'RIMAD', 'RIMAN',
+  'RIMAR', 'RIMAS', 'RIMEL', 'RIMEN', 'RIMES', 'RIMUS', 'RINDA', 'RINDE', 'RINDO', 'RINGA',
+  'RINGO', 'RIOJA', 'RIPIA', 'RIPIE', 'RIPIO', 'RISAS', 'RISCA', 'RISCO', 'RISOS', 'RISPA',
+  'RISPE', 'RISPO', 'RITMA', 'RITME', 'RITMO', 'RITON', 'RITOS', 'RIVAL', 'RIZAD', 'RIZAL',
+  'RIZAN', 'RIZAR', 'RIZAS', 'RIZON', 'RIZOS', 'RIÑAN', 'RIÑAS', 'RIÑEN', 'RIÑES', 'RIÑON',
+  'ROAIS', 'ROANA', 'ROANO', 'ROBAD', 'ROBAN', 'ROBAR', 'ROBAS', 'ROBDA', 'ROBEN', 'ROBES',
+  'ROBIN', 'ROBLA', 'ROBLE', 'ROBLO', 'ROBOS', 'ROBOT', 'ROBRA', 'ROBRE', 'ROCAS', 'ROCEA',
+  'ROCEE', 'ROCEN', 'ROCEO', 'ROCES', 'ROCHA', 'ROCHE', 'ROCHO', 'ROCIA', 'ROCIE', 'ROCIN',
+  'ROCIO', 'ROCOS', 'RODAD', 'RODAL', 'RODAO', 'RODAR', 'RODAS', 'RODEA', 'RODEE', 'RODEO',
+  'RODIA', 'RODIL', 'RODIO', 'RODOS', 'ROEIS', 'ROELA', 'ROERA', 'ROERE', 'ROETE', 'ROGAD',
+  'ROGAR', 'ROGAS', 'ROGOS', 'ROGUE', 'ROIAN', 'ROIAS', 'ROIDA', 'ROIDO', 'ROIGA', 'ROIGO',
+  'ROJAL', 'ROJAS', 'ROJEA', 'ROJEE', 'ROJEO', 'ROJEZ', 'ROJOS', 'ROLAD', 'ROLAN', 'ROLAR',
+  'ROLAS', 'ROLDA', 'ROLDE', 'ROLDO', 'ROLEN', 'ROLEO', 'ROLES', 'ROLLA', 'ROLLE', 'ROLLO',
+  'ROLOS', 'ROMAN', 'ROMAS', 'ROMBO', 'ROMEA', 'ROMEO', 'ROMIN', 'ROMIS', 'ROMOS', 'ROMPA',
+  'ROMPE', 'ROMPI', 'ROMPO', 'RONCA', 'RONCE', 'RONCO', 'RONDA', 'RONDE', 'RONDO', 'RONES',
+  'RONZA', 'RONZO', 'ROPAS', 'ROPON', 'ROQUE', 'RORAD', 'RORAN', 'RORAR', 'RORAS', 'ROREN',
+  'RORES', 'RORRO', 'ROSAL', 'ROSAN', 'ROSAR', 'ROSAS', 'ROSCA', 'ROSCO', 'ROSEA', 'ROSEE',
+  'ROSEN', 'ROSEO', 'ROSES', 'ROSJO', 'ROSON', 'ROSOS', 'ROSTA', 'ROSTE', 'ROSTI', 'ROSTO',
+  'ROTAD', 'ROTAL', 'ROTAN', 'ROTAR', 'ROTAS', 'ROTEN', 'ROTES', 'ROTOR', 'ROTOS', 'ROUGE',
+  'ROYAN', 'ROYAS', 'ROYOS', 'ROZAD', 'ROZAN', 'ROZAR', 'ROZAS', 'ROZNA', 'ROZNE', 'ROZNO',
+  'ROZON', 'ROZOS', 'ROÑAD', 'ROÑAL', 'ROÑAN', 'ROÑAR', 'ROÑAS', 'ROÑEN', 'ROÑES', 'ROÑIA',
+  'RUABA', 'RUADA', 'RUADO', 'RUAIS', 'RUANA', 'RUANO', 'RUARA', 'RUARE', 'RUASE', 'RUBEA',
+  'RUBEO', 'RUBIA', 'RUBIN', 'RUBIO', 'RUBIS', 'RUBLO', 'RUBOR', 'RUBRA', 'RUBRO', 'RUCAD',
+  'RUCAN', 'RUCAR', 'RUCAS', 'RUCHA', 'RUCHE', 'RUCHO', 'RUCIA', 'RUCIO', 'RUCOS', 'RUDAS',
+  'RUDOS', 'RUECA', 'RUEDA', 'RUEDE', 'RUEDO', 'RUEGA', 'RUEGO', 'RUEIS', 'RUEJO', 'RUEÑO',
+  'RUFAS', 'RUFON', 'RUFOS', 'RUGAD', 'RUGAN', 'RUGAR', 'RUGAS', 'RUGBY', 'RUGEN', 'RUGES',
+  'RUGIA', 'RUGID', 'RUGIO', 'RUGIR', 'RUGIS', 'RUGUE', 'RUIDO', 'RUINA', 'RUINE', 'RUINO',
+  'RUJAN', 'RUJAS', 'RUJIA', 'RUJIE', 'RUJIO', 'RULAD', 'RULAN', 'RULAR', 'RULAS', 'RULEN',
+  'RULES', 'RULOS', 'RUMBA', 'RUMBE', 'RUMBO', 'RUMIA', 'RUMIE', 'RUMIO', 'RUMIS', 'RUMOR',
+  'RUMOS', 'RUNAS', 'RUNES', 'RUNGA', 'RUNGO', 'RUNOS', 'RUPIA', 'RUQUE', 'RURAL', 'RURRU',
+  'RUSAS', 'RUSCO', 'RUSEL', 'RUSES', 'RUSIA', 'RUSOS', 'RUSTA', 'RUSTE', 'RUSTI', 'RUSTO',
+  'RUTAD', 'RUTAN', 'RUTAR', 'RUTAS', 'RUTEL', 'RUTEN', 'RUTES', 'RUÑAD', 'RUÑAN', 'RUÑAR',
+  'RUÑAS', 'RUÑEN', 'RUÑES', 'RUÑIA', 'RUÑID', 'RUÑIR', 'RUÑIS', 'SABEA', 'SABED', 'SABEN',
+  'SABEO', 'SABER', 'SABES', 'SABIA', 'SABIO', 'SABIR', 'SABLE', 'SABOR', 'SABRA', 'SABRE',
+  'SACAD', 'SACAN', 'SACAR', 'SACAS', 'SACES', 'SACHA', 'SACHE', 'SACHO', 'SACIA', 'SACIE',
+  'SACIO', 'SACON', 'SACOS', 'SACRA', 'SACRE', 'SACRO', 'SAETA', 'SAETE', 'SAETI', 'SAETO',
+  'SAFIR', 'SAGAS', 'SAGAZ', 'SAGUS', 'SAINA', 'SAINE', 'SAINO', 'SAJAD', 'SAJAN', 'SAJAR',
+  'SAJAS', 'SAJEN', 'SAJES', 'SAJIA', 'SAJON', 'SALAD', 'SALAN', 'SALAR', 'SALAS', 'SALAZ',
+  'SALCE', 'SALDA', 'SALDE', 'SALDO', 'SALEA', 'SALEE', 'SALEN', 'SALEO', 'SALEP', 'SALES',
+  'SALGA', 'SALGO', 'SALIA', 'SALID', 'SALIN', 'SALIO', 'SALIR', 'SALIS', 'SALLA', 'SALLE',
+  'SALLO', 'SALMA', 'SALME', 'SALMO', 'SALOL', 'SALON', 'SALPA', 'SALSA', 'SALSO', 'SALTA',
+  'SALTE', 'SALTO', 'SALUD', 'SALVA', 'SALVE', 'SALVO', 'SAMAN', 'SAMAS', 'SAMBA', 'SAMBO',
+  'SAMIA', 'SAMIO', 'SAMPA', 'SANAD', 'SANAN', 'SANAR', 'SANAS', 'SANCO', 'SANEA', 'SANEE',
+  'SANEN', 'SANEO', 'SANES', 'SANGO', 'SANIE', 'SANJA', 'SANJE', 'SANJO', 'SANOS', 'SANSA',
+  'SANSO', 'SANTA', 'SANTO', 'SAPAS', 'SAPEA', 'SAPEE', 'SAPEO', 'SAPOS', 'SAQUE', 'SARAN',
+  'SARAO', 'SARDA', 'SARDE', 'SARDO', 'SARGA', 'SARGO', 'SARIA', 'SARIS', 'SARNA', 'SARRO',
+  'SARTA', 'SARZA', 'SARZO', 'SASAL', 'SATAN', 'SATAS', 'SATEN', 'SATIN', 'SATIS', 'SATOS',
+  'SAUCE', 'SAUCO', 'SAUDI', 'SAUNA', 'SAVIA', 'SAXEA', 'SAXEO', 'SAXOS', 'SAYAL', 'SAYAS',
+  'SAYON', 'SAYOS', 'SAZON', 'SAÑAS', 'SEAIS', 'SEBES', 'SEBOS', 'SECAD', 'SECAN', 'SECAR',
+  'SECAS', 'SECON', 'SECOS', 'SECTA', 'SECUA', 'SEDAD', 'SEDAL', 'SEDAN', 'SEDAR', 'SEDAS',
+  'SEDEA', 'SEDEE', 'SEDEN', 'SEDEO', 'SEDES', 'SEGAD', 'SEGAR', 'SEGAS', 'SEGRI', 'SEGUE',
+  'SEGUI', 'SEGUN', 'SEGUR', 'SEIBO', 'SEICO', 'SEISE', 'SEJES', 'SELES', 'SELLA', 'SELLE',
+  'SELLO', 'SELVA', 'SEMAS', 'SEMEN', 'SEMIS', 'SENAS', 'SENDA', 'SENES', 'SENIL', 'SENOS',
+  'SENTA', 'SENTE', 'SENTI', 'SENTO', 'SEORA', 'SEPAN', 'SEPAS', 'SEPES', 'SEPIA', 'SEPTO',
+  'SEQUE', 'SERAN', 'SERAS', 'SERBA', 'SERBO', 'SERES', 'SERIA', 'SERIE', 'SERIO', 'SERNA',
+  'SERON', 'SERPA', 'SERRA', 'SERRE', 'SERRO', 'SERVI', 'SERVO', 'SESEA', 'SESEE', 'SESEN',
+  'SESEO', 'SESES', 'SESGA', 'SESGO', 'SESIL', 'SESIS', 'SESMA', 'SESMO', 'SESOS', 'SETAL',
+  'SETAS', 'SETOS', 'SEXAD', 'SEXAN', 'SEXAR', 'SEXAS', 'SEXEN', 'SEXES', 'SEXMA', 'SEXMO',
+  'SEXOS', 'SEXTA', 'SEXTO', 'SEÑAL', 'SEÑAS', 'SEÑOR', 'SHORT', 'SHUAR', 'SIBIL', 'SICLO',
+  'SICUS', 'SIDAS', 'SIDRA', 'SIEGA', 'SIEGO', 'SIENA', 'SIESO', 'SIETE', 'SIFON', 'SIFUE',
+  'SIGAN', 'SIGAS', 'SIGLA', 'SIGLO', 'SIGMA', 'SIGNA', 'SIGNE', 'SIGNO', 'SIGUA', 'SIGUE',
+  'SIJES', 'SIJUS', 'SILBA', 'SILBE', 'SILBO', 'SILES', 'SILEX', 'SILFO', 'SILGA', 'SILGO',
+  'SILLA', 'SILOS', 'SILVA', 'SIMAS', 'SIMIA', 'SIMIL', 'SIMIO', 'SIMON', 'SIMPA', 'SIMUN',
+  'SINGA', 'SINGO', 'SINOS', 'SIOUX', 'SIPES', 'SIQUE', 'SIRAS', 'SIRGA', 'SIRGO', 'SIRIA',
+  'SIRIN', 'SIRIO', 'SIRLE', 'SIROS', 'SIRTE', 'SIRVA', 'SIRVE', 'SIRVO', 'SISAD', 'SISAL',
+  'SISAN', 'SISAR', 'SISAS', 'SISCA', 'SISEA', 'SISEE', 'SISEN', 'SISEO', 'SISES', 'SISMO',
+  'SISON', 'SITAS', 'SITIA', 'SITIE', 'SITIO', 'SITOS', 'SITUA', 'SITUE', 'SITUO', 'SOASA',
+  'SOASE', 'SOASO', 'SOBAD', 'SOBAN', 'SOBAR', 'SOBAS', 'SOBEN', 'SOBEO', 'SOBES', 'SOBON',
+  'SOBOS', 'SOBRA', 'SOBRE', 'SOBRO', 'SOCAS', 'SOCAZ', 'SOCHE', 'SOCIA', 'SOCIO', 'SOCOL',
+  'SODAS', 'SODIO', 'SOEZA', 'SOFAS', 'SOFIS', 'SOGAS', 'SOGUN', 'SOJAS', 'SOLAD', 'SOLAR',
+  'SOLAS', 'SOLAZ', 'SOLDA', 'SOLDE', 'SOLDO', 'SOLEA', 'SOLEE', 'SOLEN', 'SOLEO', 'SOLER',
+  'SOLES', 'SOLFA', 'SOLIA', 'SOLIO', 'SOLLA', 'SOLLO', 'SOLOS', 'SOLTA', 'SOLTE', 'SOLTO',
+  'SOMAS', 'SOMOS', 'SONAD', 'SONAR', 'SONAS', 'SONDA', 'SONDE', 'SONDO', 'SONES', 'SONIO',
+  'SONSA', 'SONSO', 'SONTA', 'SONTO', 'SOPAD', 'SOPAN', 'SOPAR', 'SOPAS', 'SOPEA', 'SOPEE',
+  'SOPEN', 'SOPEO', 'SOPES', 'SOPIE', 'SOPLA', 'SOPLE', 'SOPLO', 'SOPON', 'SOPOR', 'SORBA',
+  'SORBE', 'SORBI', 'SORBO', 'SORCE', 'SORDA', 'SORDO', 'SORES', 'SORGO', 'SORNA', 'SORNE',
+  'SORNO', 'SOROR', 'SOROS', 'SORRA', 'SOSAL', 'SOSAR', 'SOSAS', 'SOSIA', 'SOSOS', 'SOTAD',
+  'SOTAN', 'SOTAR', 'SOTAS', 'SOTEN', 'SOTES', 'SOTIL', 'SOTOL', 'SOTOS', 'SOVOZ', 'SOYAS',
+  'SOÑAD', 'SOÑAR', 'SOÑAS', 'SPORT', 'SPRAY', 'STAND', 'SUABA', 'SUABO', 'SUATA', 'SUATO',
+  'SUAVE', 'SUAZI', 'SUBAN', 'SUBAS', 'SUBEN', 'SUBEO', 'SUBES', 'SUBIA', 'SUBID', 'SUBIO',
+  'SUBIR', 'SUBIS', 'SUBTE', 'SUCHE', 'SUCIA', 'SUCIO', 'SUCOS', 'SUCRE', 'SUCUS', 'SUDAD',
+  'SUDAN', 'SUDAR', 'SUDAS', 'SUDEN', 'SUDES', 'SUDOR', 'SUECA', 'SUECO', 'SUELA', 'SUELE',
+  'SUELO', 'SUENA', 'SUENE', 'SUENO', 'SUERO', 'SUEVA', 'SUEVO', 'SUEÑA', 'SUEÑE', 'SUEÑO',
+  'SUFIS', 'SUFRA', 'SUFRE', 'SUFRI', 'SUFRO', 'SUIDO', 'SUITA', 'SUITE', 'SUIZA', 'SUIZO',
+  'SULAS', 'SULCO', 'SULLA', 'SUMAD', 'SUMAN', 'SUMAR', 'SUMAS', 'SUMEN', 'SUMES', 'SUMIA',
+  'SUMID', 'SUMIO', 'SUMIR', 'SUMIS', 'SUMOS', 'SUMUS', 'SUNCA', 'SUNCO', 'SUPER', 'SUPLA',
+  'SUPLE', 'SUPLI', 'SUPLO', 'SUPON', 'SUPRA', 'SURAL', 'SURAS', 'SURCA', 'SURCO', 'SURDA',
+  'SURDE', 'SURDI', 'SURDO', 'SURES', 'SURFS', 'SURGE', 'SURGI', 'SURIS', 'SURJA', 'SURJO',
+  'SURTA', 'SURTE', 'SURTI', 'SURTO', 'SUSES', 'SUSTO', 'SUTAS', 'SUTES', 'SUTIL', 'SUYAS',
+  'SUYOS', 'SUZON', 'TABAL', 'TABAS', 'TABEA', 'TABES', 'TABIS', 'TABLA', 'TABLE', 'TABLO',
+  'TABON', 'TABOR', 'TABOS', 'TABUS', 'TACAR', 'TACAS', 'TACEN', 'TACES', 'TACET', 'TACHA',
+  'TACHE', 'TACHO', 'TACON', 'TACOS', 'TACTO', 'TAFIA', 'TAFON', 'TAFOS', 'TAFUR', 'TAGUA',
+  'TAHAS', 'TAHUR', 'TAIFA', 'TAIGA', 'TAIMA', 'TAIME', 'TAIMO', 'TAINA', 'TAINO', 'TAIPA',
+  'TAIRA', 'TAIRE', 'TAITA', 'TAJAD', 'TAJAN', 'TAJAR', 'TAJAS', 'TAJEA', 'TAJEE', 'TAJEN',
+  'TAJEO', 'TAJES', 'TAJIN', 'TAJON', 'TAJOS', 'TAJUS', 'TALAD', 'TALAN', 'TALAR', 'TALAS',
+  'TALCO', 'TALEA', 'TALED', 'TALEN', 'TALES', 'TALGO', 'TALIN', 'TALIO', 'TALLA', 'TALLE',
+  'TALLO', 'TALMA', 'TALON', 'TALOS', 'TALPA', 'TALUD', 'TAMAL', 'TAMBA', 'TAMBO', 'TAMIL',
+  'TAMIZ', 'TAMOS', 'TAMUL', 'TANAS', 'TANCA', 'TANCO', 'TANDA', 'TANES', 'TANGA', 'TANGE',
+  'TANGI', 'TANGO', 'TANJA', 'TANJO', 'TANOR', 'TANOS', 'TANTA', 'TANTO', 'TANZA', 'TAPAD',
+  'TAPAN', 'TAPAR', 'TAPAS', 'TAPEA', 'TAPEE', 'TAPEN', 'TAPEO', 'TAPES', 'TAPIA', 'TAPIE',
+  'TAPIN', 'TAPIO', 'TAPIR', 'TAPIS', 'TAPIZ', 'TAPON', 'TAQUE', 'TARAD', 'TARAN', 'TARAR',
+  'TARAS', 'TARAY', 'TARCA', 'TARCO', 'TARDA', 'TARDE', 'TARDO', 'TAREA', 'TAREN', 'TARES',
+  'TARIN', 'TARJA', 'TARJE', 'TARJO', 'TARMA', 'TAROT', 'TARRA', 'TARRO', 'TARSO', 'TARTA',
+  'TASAD', 'TASAN', 'TASAR', 'TASAS', 'TASCA', 'TASCO', 'TASEN', 'TASES', 'TASIA', 'TASIO',
+  'TASIS', 'TASTO', 'TATAS', 'TATAY', 'TATOS', 'TATUA', 'TATUE', 'TATUO', 'TATUS', 'TAUCA',
+  'TAUCO', 'TAULA', 'TAURO', 'TAXIS', 'TAXON', 'TAYOS', 'TAYUL', 'TAZAD', 'TAZAN', 'TAZAR',
+  'TAZAS', 'TAZON', 'TAÑAD', 'TAÑAN', 'TAÑAR', 'TAÑAS', 'TAÑED', 'TAÑEN', 'TAÑER', 'TAÑES',
+  'TAÑIA', 'TAÑOS', 'TEAME', 'TEBEA', 'TEBEO', 'TECAS', 'TECES', 'TECHA', 'TECHE', 'TECHO',
+  'TECLA', 'TECLE', 'TECLO', 'TECOL', 'TEDAS', 'TEDIO', 'TEFES', 'TEGEA', 'TEGEO', 'TEGUA',
+  'TEGUE', 'TEHUL', 'TEINA', 'TEJAD', 'TEJAN', 'TEJAR', 'TEJAS', 'TEJED', 'TEJEN', 'TEJER',
+  'TEJES', 'TEJIA', 'TEJIO', 'TEJON', 'TEJOS', 'TELAR', 'TELAS', 'TELES', 'TELEX', 'TELON',
+  'TEMAD', 'TEMAN', 'TEMAR', 'TEMAS', 'TEMED', 'TEMEN', 'TEMER', 'TEMES', 'TEMIA', 'TEMIO',
+  'TEMOR', 'TEMPO', 'TEMUS', 'TENAS', 'TENAZ', 'TENCA', 'TENDE', 'TENDI', 'TENED', 'TENER',
+  'TENES', 'TENGA', 'TENGO', 'TENIA', 'TENIO', 'TENIS', 'TENOR', 'TENSA', 'TENSE', 'TENSO',
+  'TENTA', 'TENTE', 'TENTO', 'TENUE', 'TEOSA', 'TEOSO', 'TEPES', 'TEPUS', 'TEPUY', 'TEQUE',
+  'TERCA', 'TERCO', 'TERMA', 'TERMO', 'TERNA', 'TERNE', 'TERNO', 'TEROS', 'TERSA', 'TERSE',
+  'TERSO', 'TESAD', 'TESAN', 'TESAR', 'TESAS', 'TESEN', 'TESES', 'TESIS', 'TESLA', 'TESON',
+  'TESOS', 'TESTA', 'TESTE', 'TESTO', 'TETAD', 'TETAN', 'TETAR', 'TETAS', 'TETEN', 'TETES',
+  'TETON', 'TETRA', 'TETRO', 'TEXES', 'TEXTO', 'TEYAS', 'TEYOS', 'TEYUS', 'TEÑAS', 'TEÑIA',
+  'TEÑID', 'TEÑIR', 'TEÑIS', 'TIACA', 'TIARA', 'TIBAR', 'TIBES', 'TIBIA', 'TIBIE', 'TIBIO',
+  'TIBOR', 'TICAS', 'TICOS', 'TIENE', 'TIESA', 'TIESO', 'TIFAS', 'TIFON', 'TIFOS', 'TIFUS',
+  'TIGRA', 'TIGRE', 'TIGUA', 'TIGUE', 'TIJAS', 'TIJOS', 'TIJUL', 'TILAS', 'TILDA', 'TILDE',
+  'TILDO', 'TILES', 'TILIA', 'TILIN', 'TILLA', 'TILLE', 'TILLO', 'TILMA', 'TILOS', 'TIMAD',
+  'TIMAN', 'TIMAR', 'TIMAS', 'TIMBA', 'TIMBO', 'TIMEN', 'TIMES', 'TIMOL', 'TIMON', 'TIMOS',
+  'TIMPA', 'TINAS', 'TINCA', 'TINCO', 'TINEA', 'TINEO', 'TINGE', 'TINOS', 'TINTA', 'TINTE',
+  'TINTO', 'TIPAS', 'TIPIS', 'TIPLE', 'TIPOI', 'TIPOS', 'TIPOY', 'TIQUE', 'TIQUI', 'TIRAD',
+  'TIRAN', 'TIRAR', 'TIRAS', 'TIREN', 'TIRES', 'TIRIA', 'TIRIO', 'TIRON', 'TIROS', 'TIRRO',
+  'TIRSO', 'TIRTE', 'TISIS', 'TISTE', 'TISUS', 'TITAD', 'TITAN', 'TITAR', 'TITAS', 'TITEA',
+  'TITEE', 'TITEN', 'TITEO', 'TITES', 'TITIL', 'TITIS', 'TITOS', 'TIZAS', 'TIZNA', 'TIZNE',
+  'TIZNO', 'TIZON', 'TIZOS', 'TIÑAN', 'TIÑAS', 'TIÑEN', 'TIÑES', 'TLACO', 'TOABA', 'TOADA',
+  'TOADO', 'TOAIS', 'TOARA', 'TOARE', 'TOASE', 'TOBAR', 'TOBAS', 'TOCAD', 'TOCAN', 'TOCAR',
+  'TOCAS', 'TOCEN', 'TOCES', 'TOCHA', 'TOCHE', 'TOCHO', 'TOCIA', 'TOCIO', 'TOCON', 'TOCOS',
+  'TOCTE', 'TODAS', 'TODIA', 'TODOS', 'TOEIS', 'TOESA', 'TOFOS', 'TOGAN', 'TOGAR', 'TOGAS',
+  'TOGUE', 'TOJAL', 'TOJOS', 'TOLAS', 'TOLDA', 'TOLDE', 'TOLDO', 'TOLES', 'TOLLA', 'TOLLO',
+  'TOLMO', 'TOLON', 'TOLVA', 'TOMAD', 'TOMAN', 'TOMAR', 'TOMAS', 'TOMEN', 'TOMES', 'TOMIN',
+  'TOMON', 'TOMOS', 'TONAD', 'TONAL', 'TONAN', 'TONAR', 'TONAS', 'TONCA', 'TONDO', 'TONEL',
+  'TONEN', 'TONER', 'TONES', 'TONGA', 'TONGO', 'TONOS', 'TONTA', 'TONTO', 'TOPAD', 'TOPAN',
+  'TOPAR', 'TOPAS', 'TOPEA', 'TOPEE', 'TOPEN', 'TOPEO', 'TOPES', 'TOPIA', 'TOPIL', 'TOPON',
+  'TOPOS', 'TOQUE', 'TOQUI', 'TORAL', 'TORAS', 'TORAX', 'TORCA', 'TORCE', 'TORCI', 'TORCO',
+  'TORDA', 'TORDO', 'TOREA', 'TOREE', 'TOREO', 'TORES', 'TORGA', 'TORGO', 'TORIL', 'TORIO',
+  'TORMO', 'TORNA', 'TORNE', 'TORNO', 'TORON', 'TOROS', 'TORPE', 'TORRA', 'TORRE', 'TORRO',
+  'TORSO', 'TORTA', 'TORVA', 'TORVO', 'TOSAN', 'TOSAS', 'TOSCA', 'TOSCO', 'TOSED', 'TOSEN',
+  'TOSER', 'TOSES', 'TOSIA', 'TOSIO', 'TOSTA', 'TOSTE', 'TOSTO', 'TOTAL', 'TOTEM', 'TOTES',
+  'TOTIS', 'TOTOL', 'TOVAS', 'TOZAD', 'TOZAL', 'TOZAN', 'TOZAR', 'TOZAS', 'TOZOS', 'TOÑAS',
+  'TOÑIL', 'TRABA', 'TRABE', 'TRABO', 'TRACA', 'TRACE', 'TRAED', 'TRAEN', 'TRAER', 'TRAES',
+  'TRAFA', 'TRAGA', 'TRAGO', 'TRAIA', 'TRAJE', 'TRAJO', 'TRAMA', 'TRAME', 'TRAMO', 'TRAPA',
+  'TRAPE', 'TRAPO', 'TRARO', 'TRATA', 'TRATE', 'TRATO', 'TRAVO', 'TRAZA', 'TRAZO', 'TREBO',
+  'TRECE', 'TREFE', 'TREJA', 'TREMA', 'TREME', 'TREMI', 'TREMO', 'TRENA', 'TRENO', 'TREOS',
+  'TREPA', 'TREPE', 'TREPO', 'TRETA', 'TRIAD', 'TRIAL', 'TRIAN', 'TRIAR', 'TRIAS', 'TRIBU',
+  'TRICE', 'TRIEN', 'TRIES', 'TRIGA', 'TRIGO', 'TRILE', 'TRINA', 'TRINE', 'TRINO', 'TRIOS',
+  'TRIPA', 'TRIPE', 'TRISA', 'TRISE', 'TRISO', 'TRIZA', 'TRIZO', 'TROCA', 'TROCE', 'TROCO',
+  'TROJA', 'TROJE', 'TROLA', 'TROLE', 'TRONA', 'TRONE', 'TRONO', 'TROPA', 'TROPO', 'TROTA',
+  'TROTE', 'TROTO', 'TROVA', 'TROVE', 'TROVO', 'TROZA', 'TROZO', 'TRUCA', 'TRUCO', 'TRUES',
+  'TRUFA', 'TRUFE', 'TRUFO', 'TRUJA', 'TRUSA', 'TRUST', 'TUANI', 'TUBAS', 'TUBOS', 'TUCAN',
+  'TUCAS', 'TUCIA', 'TUCOS', 'TUCUN', 'TUDAS', 'TUDEL', 'TUECA', 'TUECO', 'TUERA', 'TUERO',
+  'TUFEA', 'TUFEE', 'TUFEO', 'TUFOS', 'TUINA', 'TULAR', 'TULES', 'TULIO', 'TULLA', 'TULLE',
+  'TULLI', 'TULLO', 'TULPA', 'TUMBA', 'TUMBE', 'TUMBO', 'TUMOR', 'TUMOS', 'TUNAD', 'TUNAL',
+  'TUNAN', 'TUNAR', 'TUNAS', 'TUNCA', 'TUNCO', 'TUNDA', 'TUNDE', 'TUNDI', 'TUNDO', 'TUNEA',
+  'TUNEE', 'TUNEL', 'TUNEN', 'TUNEO', 'TUNES', 'TUNJO', 'TUNOS', 'TUNTA', 'TUPAN', 'TUPAS',
+  'TUPEN', 'TUPES', 'TUPIA', 'TUPID', 'TUPIN', 'TUPIO', 'TUPIR', 'TUPIS', 'TUPOS', 'TURAR',
+  'TURBA', 'TURBE', 'TURBO', 'TURCA', 'TURCO', 'TURMA', 'TURNA', 'TURNE', 'TURNO', 'TURON',
+  'TURRA', 'TURRE', 'TURRO', 'TUSAD', 'TUSAN', 'TUSAR', 'TUSAS', 'TUSCA', 'TUSCO', 'TUSEN',
+  'TUSES', 'TUSON', 'TUSOS', 'TUTAS', 'TUTEA', 'TUTEE', 'TUTEO', 'TUTES', 'TUTIA', 'TUTOR',
+  'TUTOS', 'TUTUS', 'TUYAS', 'TUYOS', 'TUZAS', 'UBICA', 'UBICO', 'UBIES', 'UBIOS', 'UBRES',
+  'UCASE', 'UCHUS', 'UEBOS', 'UFANA', 'UFANE', 'UFANO', 'UGRES', 'UJIER', 'UJULE', 'ULAGA',
+  'ULALA', 'ULANO', 'ULEMA', 'ULPOS', 'ULTRA', 'ULUAS', 'ULULA', 'ULULE', 'ULULO', 'UMBRA',
+  'UMBRO', 'UMERO', 'UNAIS', 'UNCEN', 'UNCES', 'UNCIA', 'UNCID', 'UNCIO', 'UNCIR', 'UNCIS',
+  'UNGEN', 'UNGES', 'UNGIA', 'UNGID', 'UNGIO', 'UNGIR', 'UNGIS', 'UNIAN', 'UNIAS', 'UNICA',
+  'UNICO', 'UNIDA', 'UNIDO', 'UNION', 'UNIRA', 'UNIRE', 'UNJAN', 'UNJAS', 'UNTAD', 'UNTAN',
+  'UNTAR', 'UNTAS', 'UNTEN', 'UNTES', 'UNTOS', 'UNZAN', 'UNZAS', 'UPABA', 'UPADA', 'UPADO',
+  'UPAIS', 'UPARA', 'UPARE', 'UPASE', 'UPEIS', 'UPUPA', 'URAOS', 'URAPE', 'URATO', 'URBES',
+  'URCAS', 'URCES', 'URDAN', 'URDAS', 'URDEN', 'URDES', 'URDIA', 'URDID', 'URDIO', 'URDIR',
+  'URDIS', 'URDUS', 'UREAS', 'URGEN', 'URGES', 'URGIA', 'URGID', 'URGIO', 'URGIR', 'URGIS',
+  'URICA', 'URICO', 'URJAN', 'URJAS', 'URNAS', 'URTAS', 'URUBU', 'URUCU', 'URUGA', 'USABA',
+  'USADA', 'USADO', 'USAIS', 'USAJE', 'USARA', 'USARE', 'USASE', 'USEIS', 'USGOS', 'USIAS',
+  'USIER', 'USINA', 'USTED', 'USUAL', 'USURA', 'USURE', 'USURO', 'UTERO', 'UVADA', 'UVATE',
+  'UVEAS', 'UVERA', 'UVERO', 'UVIAR', 'UVULA', 'UÑADA', 'UÑADO', 'UÑAIS', 'UÑATE', 'UÑERA',
+  'UÑERE', 'UÑERO', 'UÑESE', 'UÑETA', 'UÑIAN', 'UÑIAS', 'UÑIDA', 'UÑIDO', 'UÑIRA', 'UÑIRE',
+  'UÑOSA', 'UÑOSO', 'UÑUDO', 'VACAD', 'VACAN', 'VACAR', 'VACAS', 'VACIA', 'VACIE', 'VACIO',
+  'VACOS', 'VACUA', 'VACUO', 'VADEA', 'VADEE', 'VADEO', 'VADES', 'VADOS', 'VAFEA', 'VAFEE',
+  'VAFEO', 'VAGAD', 'VAGAN', 'VAGAR', 'VAGAS', 'VAGON', 'VAGOS', 'VAGUE', 'VAHAD', 'VAHAN',
+  'VAHAR', 'VAHAS', 'VAHEA', 'VAHEE', 'VAHEN', 'VAHEO', 'VAHES', 'VAHOS', 'VAIDA', 'VAINA',
+  'VAJEA', 'VAJEE', 'VAJEO', 'VALAR', 'VALED', 'VALEN', 'VALER', 'VALES', 'VALET', 'VALGA',
+  'VALGO', 'VALIA', 'VALIO', 'VALIS', 'VALLA', 'VALLE', 'VALLO', 'VALON', 'VALOR', 'VALSA',
+  'VALSE', 'VALSO', 'VALUA', 'VALUE', 'VALUO', 'VALVA', 'VAMOS', 'VANAS', 'VANEA', 'VANEE',
+  'VANEO', 'VANOS', 'VAPOR', 'VAQUE', 'VARAD', 'VARAL', 'VARAN', 'VARAR', 'VARAS', 'VAREA',
+  'VAREE', 'VAREN', 'VAREO', 'VARES', 'VARGA', 'VARIA', 'VARIE', 'VARIO', 'VARIS', 'VARIZ',
+  'VARON', 'VASAR', 'VASAS', 'VASCA', 'VASCO', 'VASOS', 'VASTA', 'VASTO', 'VATER', 'VATES',
+  'VATIO', 'VAYAN', 'VAYAS', 'VEAIS', 'VECEN', 'VECES', 'VEDAD', 'VEDAN', 'VEDAR', 'VEDAS',
+  'VEDEN', 'VEDES', 'VEGAS', 'VEIAN', 'VEIAS', 'VEJAD', 'VEJAN', 'VEJAR', 'VEJAS', 'VEJEN',
+  'VEJES', 'VEJEZ', 'VELAD', 'VELAN', 'VELAR', 'VELAS', 'VELAY', 'VELEN', 'VELES', 'VELIS',
+  'VELIZ', 'VELLO', 'VELON', 'VELOS', 'VELOZ', 'VEMOS', 'VENAL', 'VENAS', 'VENCE', 'VENCI',
+  'VENDA', 'VENDE', 'VENDI', 'VENDO', 'VENGA', 'VENGO', 'VENIA', 'VENID', 'VENIR', 'VENIS',
+  'VENTA', 'VENTE', 'VENTO', 'VENUS', 'VENZA', 'VENZO', 'VERAN', 'VERAS', 'VERAZ', 'VERBA',
+  'VERBO', 'VERDE', 'VERES', 'VERGA', 'VERGE', 'VERIA', 'VERIL', 'VERJA', 'VERME', 'VERMU',
+  'VEROS', 'VERSA', 'VERSE', 'VERSO', 'VERTE', 'VERTI', 'VESTE', 'VESTI', 'VETAD', 'VETAN',
+  'VETAR', 'VETAS', 'VETEA', 'VETEE', 'VETEN', 'VETEO', 'VETES', 'VETON', 'VETOS', 'VEZAD',
+  'VEZAN', 'VEZAR', 'VEZAS', 'VIADA', 'VIAJA', 'VIAJE', 'VIAJO', 'VIBRA', 'VIBRE', 'VIBRO',
+  'VICHA', 'VICHE', 'VICHO', 'VICHY', 'VICIA', 'VICIE', 'VICIO', 'VICOS', 'VICTO', 'VIDAS',
+  'VIDEO', 'VIDES', 'VIDON', 'VIDRO', 'VIEJA', 'VIEJO', 'VIENE', 'VIERA', 'VIERE', 'VIESA',
+  'VIESE', 'VIGAS', 'VIGIA', 'VIGIE', 'VIGIO', 'VIGOR', 'VILES', 'VILLA', 'VILOS', 'VIMOS',
+  'VINAL', 'VINAR', 'VINCA', 'VINCO', 'VINOS', 'VINTA', 'VIOLA', 'VIOLE', 'VIOLO', 'VIRAD',
+  'VIRAL', 'VIRAN', 'VIRAR', 'VIRAS', 'VIREN', 'VIREO', 'VIRES', 'VIRGO', 'VIRIL', 'VIRIO',
+  'VIROL', 'VIRON', 'VIRUS', 'VISAD', 'VISAN', 'VISAR', 'VISAS', 'VISCO', 'VISEA', 'VISEE',
+  'VISEN', 'VISEO', 'VISES', 'VISIR', 'VISON', 'VISOR', 'VISOS', 'VISTA', 'VISTE', 'VISTO',
+  'VITAD', 'VITAL', 'VITAN', 'VITAR', 'VITAS', 'VITEN', 'VITES', 'VITOR', 'VITOS', 'VITRE',
+  'VIUDA', 'VIUDO', 'VIVAC', 'VIVAD', 'VIVAN', 'VIVAR', 'VIVAS', 'VIVAZ', 'VIVEN', 'VIVES',
+  'VIVEZ', 'VIVIA', 'VIVID', 'VIVIO', 'VIVIR', 'VIVIS', 'VIVON', 'VIVOS', 'VIÑAS', 'VOACE',
+  'VOCAL', 'VOCEA', 'VOCEE', 'VOCEO', 'VOCES', 'VODCA', 'VODUS', 'VOILA', 'VOLAD', 'VOLAR',
+  'VOLAS', 'VOLCA', 'VOLCO', 'VOLEA', 'VOLEE', 'VOLEO', 'VOLON', 'VOLTS', 'VOLVE', 'VOLVI',
+  'VOLVO', 'VOMER', 'VORAZ', 'VOSEA', 'VOSEE', 'VOSEO', 'VOTAD', 'VOTAN', 'VOTAR', 'VOTAS',
+  'VOTEN', 'VOTES', 'VOTOS', 'VOTRI', 'VOZNA', 'VOZNE', 'VOZNO', 'VUDUS', 'VUELA', 'VUELE',
+  'VUELO', 'VUESA', 'VUESO', 'VULGO', 'VULTO', 'VULVA', 'VUSCO', 'XECAS', 'XENON', 'XINCA',
+  'XIOTE', 'XOLAS', 'XOLOS', 'YABAS', 'YACAL', 'YACAS', 'YACED', 'YACEN', 'YACER', 'YACES',
+  'YACIA', 'YACIO', 'YACON', 'YAGAN', 'YAGAS', 'YAGUA', 'YAITI', 'YALES', 'YAMAO', 'YAMBO',
+  'YAMPA', 'YANAS', 'YANTA', 'YANTE', 'YANTO', 'YAPAD', 'YAPAN', 'YAPAR', 'YAPAS', 'YAPEN',
+  'YAPES', 'YAPUS', 'YAQUE', 'YAQUI', 'YARDA', 'YARES', 'YAREY', 'YAROS', 'YATAI', 'YATAY',
+  'YATES', 'YAYAS', 'YAYOS', 'YAZCA', 'YAZCO', 'YAZGA', 'YAZGO', 'YEBOS', 'YECOS', 'YEDGO',
+  'YEDRA', 'YEGUA', 'YELGO', 'YELMO', 'YEMAS', 'YENDO', 'YENES', 'YENTE', 'YERAL', 'YERBA',
+  'YERGA', 'YERGO', 'YERMA', 'YERME', 'YERMO', 'YERNA', 'YERNO', 'YEROS', 'YERRA', 'YERRE',
+  'YERRO', 'YERSI', 'YERTA', 'YERTO', 'YERVO', 'YESAL', 'YESAR', 'YESCA', 'YESON', 'YESOS',
+  'YETIS', 'YEYES', 'YEYOS', 'YEZGO', 'YINAS', 'YINES', 'YIRAS', 'YIROS', 'YODAD', 'YODAN',
+  'YODAR', 'YODAS', 'YODEN', 'YODES', 'YODOS', 'YOGAR', 'YOGAS', 'YOGOS', 'YOGUI', 'YOGUR',
+  'YOLAS', 'YOQUI', 'YORIS', 'YOSES', 'YOYOS', 'YUCAL', 'YUCAS', 'YUCPA', 'YUDOS', 'YUGOS',
+  'YUMBA', 'YUMBO', 'YUNGA', 'YUNTA', 'YUNTO', 'YURAS', 'YURES', 'YUTAS', 'YUTES', 'YUYAL',
+  'YUYOS', 'ZABRA', 'ZABRO', 'ZACAS', 'ZACEA', 'ZACEE', 'ZACEO', 'ZADES', 'ZAFAD', 'ZAFAN',
+  'ZAFAR', 'ZAFAS', 'ZAFEN', 'ZAFES', 'ZAFIA', 'ZAFIO', 'ZAFIR', 'ZAFON', 'ZAFOS', 'ZAFRA',
+  'ZAFRE', 'ZAGAL', 'ZAGAS', 'ZAGUA', 'ZAHEN', 'ZAHON', 'ZAIDA', 'ZAINA', 'ZAINO', 'ZAJON',
+  'ZALAS', 'ZALBA', 'ZALBO', 'ZALEA', 'ZALEE', 'ZALEO', 'ZALLA', 'ZALLE', 'ZALLO', 'ZAMBA',
+  'ZAMBO', 'ZAMPA', 'ZAMPE', 'ZAMPO', 'ZANAS', 'ZANCA', 'ZANCO', 'ZANGA', 'ZANJA', 'ZANJE',
+  'ZANJO', 'ZAPAD', 'ZAPAN', 'ZAPAR', 'ZAPAS', 'ZAPEA', 'ZAPEE', 'ZAPEN', 'ZAPEO', 'ZAPES',
+  'ZAQUE', 'ZARBO', 'ZARCA', 'ZARCO', 'ZARES', 'ZARJA', 'ZARPA', 'ZARPE', 'ZARPO', 'ZARZA',
+  'ZARZO', 'ZATAS', 'ZAYAS', 'ZAZAS', 'ZAZOS', 'ZEBRA', 'ZEDAS', 'ZEGRI', 'ZEINA', 'ZEJEL',
+  'ZENDA', 'ZENDO', 'ZENES', 'ZENIT', 'ZETAS', 'ZINCS', 'ZOCAD', 'ZOCAN', 'ZOCAR', 'ZOCAS',
+  'ZOCLO', 'ZOCOS', 'ZOFRA', 'ZOILO', 'ZOIZO', 'ZOLLE', 'ZOMAS', 'ZOMBI', 'ZOMOS', 'ZOMPA',
+  'ZOMPO', 'ZONAL', 'ZONAS', 'ZONDA', 'ZONTA', 'ZONTO', 'ZONZA', 'ZONZO', 'ZOPAS', 'ZOPES',
+  'ZOPOS', 'ZOQUE', 'ZORRA', 'ZORRO', 'ZOTAL', 'ZOTES', 'ZOTOL', 'ZUAVO', 'ZUBIA', 'ZUDAS',
+  'ZUECA', 'ZUECO', 'ZUELA', 'ZUIZA', 'ZULLA', 'ZULLE', 'ZULLO', 'ZULUS', 'ZUMAS', 'ZUMBA',
+  'ZUMBE', 'ZUMBO', 'ZUMOS', 'ZUNAS', 'ZUNZA', 'ZUPIA', 'ZURAS', 'ZURBA', 'ZURCE', 'ZURCI',
+  'ZURDA', 'ZURDE', 'ZURDI', 'ZURDO', 'ZUREA', 'ZUREE', 'ZUREO', 'ZUROS', 'ZURRA', 'ZURRE',
+  'ZURRI', 'ZURRO', 'ZURZA', 'ZURZO', 'ZUZAR', 'ZUZON', 'ZUÑAN', 'ZUÑAS', 'ZUÑEN', 'ZUÑES',
+  'ZUÑIA', 'ZUÑID', 'ZUÑIR', 'ZUÑIS', 'ZUÑOS', 'ÑAJAS', 'ÑAJOS', 'ÑAMES', 'ÑAMPI', 'ÑANDU',
+  'ÑANGA', 'ÑANGO', 'ÑAPAS', 'ÑAQUE', 'ÑATAS', 'ÑATEA', 'ÑATEE', 'ÑATEO', 'ÑATOS', 'ÑAÑAS',
+  'ÑAÑOS', 'ÑECAS', 'ÑECLA', 'ÑECOS', 'ÑENGA', 'ÑENGO', 'ÑEQUE', 'ÑINGA', 'ÑIPES', 'ÑIQUE',
+  'ÑIRES', 'ÑISCA', 'ÑIZCA', 'ÑOCAS', 'ÑOCHA', 'ÑOCLO', 'ÑOCOS', 'ÑOLAS', 'ÑONGA', 'ÑONGO',
+  'ÑOQUI', 'ÑORAS', 'ÑORBO', 'ÑORES', 'ÑOÑAS', 'ÑOÑEZ', 'ÑOÑOS', 'ÑUBLO', 'ÑUCAS', 'ÑUCOS',
+  'ÑUDOS', 'ÑURDA', 'ÑURDO', 'ÑUTAS', 'ÑUTOS', 'ÑUZCO'
+];
@@ -0,0 +1,41 @@
+// American spellings and their British forms for Word Up
+// Used to point players at the British spelling when an American one is rejected
+
+export const BRITISH_SPELLINGS = {
+  // -or / -our
+  ARBOR: 'ARBOUR', ARDOR: 'ARDOUR', ARMOR: 'ARMOUR', CANDOR: 'CANDOUR', CLAMOR: 'CLAMOUR',
+  COLOR: 'COLOUR', COLORS: 'COLOURS', COLORED: 'COLOURED', FAVOR: 'FAVOUR', FAVORS: 'FAVOURS',
+  FAVORED: 'FAVOURED', FERVOR: 'FERVOUR', FLAVOR: 'FLAVOUR', FLAVORS: 'FLAVOURS', HARBOR: 'HARBOUR',
+  HARBORS: 'HARBOURS', HONOR: 'HONOUR', HONORS: 'HONOURS', HONORED: 'HONOURED', HUMOR: 'HUMOUR',
+  HUMORS: 'HUMOURS', LABOR: 'LABOUR', LABORS: 'LABOURS', LABORED: 'LABOURED', ODOR: 'ODOUR',
+  ODORS: 'ODOURS', PARLOR: 'PARLOUR', PARLORS: 'PARLOURS', RANCOR: 'RANCOUR', RIGOR: 'RIGOUR',
+  RUMOR: 'RUMOUR', RUMORS: 'RUMOURS', RUMORED: 'RUMOURED', SAVOR: 'SAVOUR', SAVORS: 'SAVOURS',
+  SAVORY: 'SAVOURY', TUMOR: 'TUMOUR', TUMORS: 'TUMOURS', VALOR: 'VALOUR', VAPOR: 'VAPOUR',
+  VAPORS: 'VAPOURS', VIGOR: 'VIGOUR', ARMORED: 'ARMOURED', ARMORY: 'ARMOURY',
+
+  // -er / -re
+  CENTER: 'CENTRE', CENTERS: 'CENTRES', FIBER: 'FIBRE', FIBERS: 'FIBRES', LITER: 'LITRE',
+  LITERS: 'LITRES', LUSTER: 'LUSTRE', MEAGER: 'MEAGRE', METERS: 'METRES', MITER: 'MITRE',
+  NITER: 'NITRE', OCHER: 'OCHRE', SABER: 'SABRE', SABERS: 'SABRES', SOMBER: 'SOMBRE',
+  SPECTER: 'SPECTRE', SCEPTER: 'SCEPTRE', THEATER: 'THEATRE', TITER: 'TITRE', CALIBER: 'CALIBRE',
+
+  // -ense / -ence
+  DEFENSE: 'DEFENCE', OFFENSE: 'OFFENCE',
+
+  // -og / -ogue
+  ANALOG: 'ANALOGUE', CATALOG: 'CATALOGUE', DIALOG: 'DIALOGUE',
+
+  // Doubled consonants
+  DIALED: 'DIALLED', DUELED: 'DUELLED', FUELED: 'FUELLED', LABELED: 'LABELLED', LEVELED: 'LEVELLED',
+  MODELED: 'MODELLED', RIVALED: 'RIVALLED', TOTALED: 'TOTALLED',
+
+  // ae / oe
+  ANEMIA: 'ANAEMIA', ANEMIC: 'ANAEMIC', APNEA: 'APNOEA', EDEMA: 'OEDEMA', FECES: 'FAECES',
+
+  // Other spellings
+  AGING: 'AGEING', CHILI: 'CHILLI', COZY: 'COSY', DONUT: 'DOUGHNUT', GRAY: 'GREY',
+  GRAYS: 'GREYS', GRAYER: 'GREYER', JEWELRY: 'JEWELLERY', MOLD: 'MOULD', MOLDS: 'MOULDS',
+  MOLDY: 'MOULDY', MOLDED: 'MOULDED', MOLT: 'MOULT', MOLTS: 'MOULTS', OMELET: 'OMELETTE',
+  PAJAMAS: 'PYJAMAS', PHONY: 'PHONEY', PLOW: 'PLOUGH', PLOWS: 'PLOUGHS', PLOWED: 'PLOUGHED',
+  RUBLE: 'ROUBLE', SMOLDER: 'SMOULDER', SULFUR: 'SULPHUR', VISE: 'VICE', YOGURT: 'YOGHURT'
+};
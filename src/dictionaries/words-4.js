@@ -0,0 +1,94 @@
+// Four-letter British English words for Word Up game
+// Answers are common words; valid guesses add less common words players may try
+
+export const ANSWERS_4 = [
+  'ABLE', 'ACHE', 'ACID', 'ACRE', 'AGED', 'AIDE', 'AIRY', 'ALSO', 'AMID', 'ARCH', 'AREA', 'ARMY',
+  'AUNT', 'AWAY', 'AXIS', 'BABY', 'BACK', 'BAKE', 'BALD', 'BALL', 'BAND', 'BANK', 'BARE', 'BARK',
+  'BARN', 'BASE', 'BATH', 'BEAD', 'BEAK', 'BEAM', 'BEAN', 'BEAR', 'BEAT', 'BEEF', 'BELL', 'BELT',
+  'BEND', 'BEST', 'BIKE', 'BILL', 'BIND', 'BIRD', 'BITE', 'BLOW', 'BLUE', 'BLUR', 'BOAT', 'BODY',
+  'BOIL', 'BOLD', 'BOLT', 'BOMB', 'BOND', 'BONE', 'BOOK', 'BOOT', 'BORN', 'BOSS', 'BOTH', 'BOWL',
+  'BULB', 'BULK', 'BULL', 'BURN', 'BUSH', 'BUSY', 'CAFE', 'CAGE', 'CAKE', 'CALF', 'CALL', 'CALM',
+  'CAME', 'CAMP', 'CARD', 'CARE', 'CART', 'CASE', 'CASH', 'CAST', 'CAVE', 'CHAT', 'CHEF', 'CHIN',
+  'CHIP', 'CITY', 'CLAM', 'CLAP', 'CLAY', 'CLUB', 'CLUE', 'COAL', 'COAT', 'CODE', 'COIN', 'COLD',
+  'COMB', 'COME', 'CONE', 'COOK', 'COOL', 'COPE', 'COPY', 'CORD', 'CORE', 'CORN', 'COST', 'COSY',
+  'CREW', 'CROP', 'CUBE', 'CURE', 'CURL', 'CUTE', 'DAMP', 'DARE', 'DARK', 'DART', 'DASH', 'DATA',
+  'DATE', 'DAWN', 'DEAL', 'DEAR', 'DEBT', 'DECK', 'DEED', 'DEEP', 'DEER', 'DESK', 'DIAL', 'DICE',
+  'DIET', 'DISH', 'DIVE', 'DOCK', 'DOLL', 'DOME', 'DOOR', 'DOSE', 'DOVE', 'DOWN', 'DRAW', 'DRUM',
+  'DUCK', 'DULL', 'DUSK', 'DUST', 'DUTY', 'EACH', 'EARN', 'EASE', 'EAST', 'EASY', 'ECHO', 'EDGE',
+  'EPIC', 'EVEN', 'EVER', 'EXAM', 'EXIT', 'FACE', 'FACT', 'FADE', 'FAIL', 'FAIR', 'FAKE', 'FALL',
+  'FAME', 'FARM', 'FAST', 'FATE', 'FEAR', 'FEED', 'FEEL', 'FILM', 'FIND', 'FINE', 'FIRE', 'FIRM',
+  'FISH', 'FIST', 'FLAG', 'FLAT', 'FLEW', 'FLIP', 'FLOW', 'FOAM', 'FOLD', 'FOLK', 'FOOD', 'FOOT',
+  'FORK', 'FORM', 'FORT', 'FOUR', 'FREE', 'FROG', 'FROM', 'FUEL', 'FULL', 'FUSS', 'GAIN', 'GAME',
+  'GATE', 'GAVE', 'GEAR', 'GIFT', 'GIRL', 'GIVE', 'GLAD', 'GLOW', 'GLUE', 'GOAL', 'GOAT', 'GOLD',
+  'GOLF', 'GONE', 'GOOD', 'GOWN', 'GRAB', 'GREY', 'GRID', 'GRIN', 'GRIP', 'GROW', 'GULF', 'HAIL',
+  'HAIR', 'HALF', 'HALL', 'HAND', 'HANG', 'HARD', 'HARM', 'HARP', 'HATE', 'HAVE', 'HAWK', 'HEAD',
+  'HEAL', 'HEAP', 'HEAR', 'HEAT', 'HELD', 'HELP', 'HERB', 'HERD', 'HERO', 'HIDE', 'HIGH', 'HIKE',
+  'HILL', 'HINT', 'HIRE', 'HOLD', 'HOLE', 'HOME', 'HOOK', 'HOPE', 'HORN', 'HOSE', 'HOST', 'HOUR',
+  'HUGE', 'HUNT', 'HURT', 'ICON', 'IDEA', 'INCH', 'INTO', 'IRON', 'ISLE', 'ITEM', 'JAZZ', 'JOIN',
+  'JOKE', 'JUMP', 'JURY', 'JUST', 'KEEN', 'KEEP', 'KICK', 'KIND', 'KING', 'KISS', 'KITE', 'KNEE',
+  'KNIT', 'KNOT', 'KNOW', 'LACE', 'LACK', 'LADY', 'LAKE', 'LAMB', 'LAMP', 'LAND', 'LANE', 'LAST',
+  'LATE', 'LAWN', 'LAZY', 'LEAD', 'LEAF', 'LEAN', 'LEAP', 'LEFT', 'LEND', 'LENS', 'LESS', 'LIFE',
+  'LIFT', 'LIKE', 'LIME', 'LINE', 'LINK', 'LION', 'LIST', 'LIVE', 'LOAD', 'LOAF', 'LOAN', 'LOCK',
+  'LOFT', 'LONG', 'LOOK', 'LOOP', 'LORD', 'LOSE', 'LOSS', 'LOST', 'LOUD', 'LOVE', 'LUCK', 'LUNG',
+  'MADE', 'MAIL', 'MAIN', 'MAKE', 'MALE', 'MALL', 'MANY', 'MARK', 'MASK', 'MAST', 'MATE', 'MAZE',
+  'MEAL', 'MEAN', 'MEAT', 'MEET', 'MELT', 'MENU', 'MILD', 'MILE', 'MILK', 'MILL', 'MIND', 'MINE',
+  'MINT', 'MISS', 'MIST', 'MOAT', 'MOCK', 'MODE', 'MOLE', 'MOOD', 'MOON', 'MORE', 'MOSS', 'MOST',
+  'MOTH', 'MOVE', 'MUCH', 'MULE', 'MUST', 'MYTH', 'NAIL', 'NAME', 'NAVY', 'NEAR', 'NEAT', 'NECK',
+  'NEED', 'NEST', 'NEWS', 'NEXT', 'NICE', 'NINE', 'NODE', 'NONE', 'NOON', 'NOSE', 'NOTE', 'NOUN',
+  'OATH', 'OBEY', 'ODDS', 'OKAY', 'ONCE', 'ONLY', 'ONTO', 'OPEN', 'ORAL', 'OVAL', 'OVEN', 'OVER',
+  'PACE', 'PACK', 'PAGE', 'PAID', 'PAIN', 'PAIR', 'PALE', 'PALM', 'PARK', 'PART', 'PASS', 'PAST',
+  'PATH', 'PEAK', 'PEAR', 'PEEL', 'PEER', 'PILE', 'PINE', 'PINK', 'PIPE', 'PLAN', 'PLAY', 'PLOT',
+  'PLUG', 'PLUM', 'POEM', 'POET', 'POLE', 'POLL', 'POND', 'POOL', 'POOR', 'PORK', 'PORT', 'POSE',
+  'POST', 'POUR', 'PRAY', 'PULL', 'PUMP', 'PURE', 'PUSH', 'QUIT', 'QUIZ', 'RACE', 'RACK', 'RAFT',
+  'RAGE', 'RAID', 'RAIL', 'RAIN', 'RANK', 'RARE', 'RATE', 'READ', 'REAL', 'REAR', 'REED', 'REEF',
+  'RELY', 'RENT', 'REST', 'RICE', 'RICH', 'RIDE', 'RING', 'RIPE', 'RISE', 'RISK', 'ROAD', 'ROAR',
+  'ROBE', 'ROCK', 'RODE', 'ROLE', 'ROLL', 'ROOF', 'ROOM', 'ROOT', 'ROPE', 'ROSE', 'RUBY', 'RUDE',
+  'RUIN', 'RULE', 'RUSH', 'RUST', 'SAFE', 'SAGE', 'SAID', 'SAIL', 'SALE', 'SALT', 'SAME', 'SAND',
+  'SANE', 'SAVE', 'SCAN', 'SEAL', 'SEAM', 'SEAT', 'SEED', 'SEEK', 'SEEM', 'SELF', 'SELL', 'SEND',
+  'SHED', 'SHIP', 'SHOE', 'SHOP', 'SHOT', 'SHOW', 'SHUT', 'SICK', 'SIDE', 'SIGH', 'SIGN', 'SILK',
+  'SING', 'SINK', 'SITE', 'SIZE', 'SKIN', 'SKIP', 'SLAB', 'SLID', 'SLIM', 'SLIP', 'SLOT', 'SLOW',
+  'SNOW', 'SOAP', 'SOCK', 'SOFA', 'SOFT', 'SOIL', 'SOLD', 'SOLE', 'SOME', 'SONG', 'SOON', 'SORE',
+  'SORT', 'SOUL', 'SOUP', 'SOUR', 'SPIN', 'SPOT', 'STAR', 'STAY', 'STEM', 'STEP', 'STIR', 'STOP',
+  'SUCH', 'SUIT', 'SURE', 'SWAN', 'SWIM', 'TAIL', 'TAKE', 'TALE', 'TALK', 'TALL', 'TAME', 'TANK',
+  'TAPE', 'TASK', 'TEAM', 'TEAR', 'TELL', 'TEND', 'TENT', 'TERM', 'TEST', 'TEXT', 'THAN', 'THAT',
+  'THEM', 'THEN', 'THEY', 'THIN', 'THIS', 'TIDE', 'TIDY', 'TIED', 'TILE', 'TIME', 'TINY', 'TIRE',
+  'TOAD', 'TOLD', 'TOLL', 'TOMB', 'TONE', 'TOOK', 'TOOL', 'TOUR', 'TOWN', 'TRAP', 'TRAY', 'TREE',
+  'TRIM', 'TRIO', 'TRIP', 'TRUE', 'TUBE', 'TUNE', 'TURN', 'TWIN', 'TYPE', 'UGLY', 'UNDO', 'UNIT',
+  'UPON', 'URGE', 'USED', 'USER', 'VARY', 'VASE', 'VAST', 'VERB', 'VERY', 'VEST', 'VIEW', 'VINE',
+  'VOID', 'VOTE', 'WAGE', 'WAIT', 'WAKE', 'WALK', 'WALL', 'WAND', 'WANT', 'WARD', 'WARM', 'WARN',
+  'WASH', 'WAVE', 'WEAK', 'WEAR', 'WEED', 'WEEK', 'WELL', 'WENT', 'WERE', 'WEST', 'WHAT', 'WHEN',
+  'WHIP', 'WIDE', 'WIFE', 'WILD', 'WILL', 'WIND', 'WINE', 'WING', 'WIPE', 'WIRE', 'WISE', 'WISH',
+  'WITH', 'WOLF', 'WOOD', 'WOOL', 'WORD', 'WORE', 'WORK', 'WORM', 'WRAP', 'YARD', 'YARN', 'YEAR',
+  'YELL', 'YOGA', 'YOUR', 'ZERO', 'ZONE', 'ZOOM'
+];
+
+export const VALID_GUESSES_4 = [
+  'ABET', 'ACES', 'ACNE', 'ADDS', 'AFAR', 'AGES', 'AHOY', 'AIDS', 'AIMS', 'AJAR', 'ALES', 'ALLY',
+  'ALMS', 'ALOE', 'ALTO', 'AMPS', 'ANEW', 'ANTS', 'APEX', 'ARCS', 'ARID', 'ARMS', 'ARTS', 'ATOM',
+  'ATOP', 'AURA', 'AVID', 'AWRY', 'BAIT', 'BALE', 'BALM', 'BANE', 'BARD', 'BASK', 'BEDS', 'BEES',
+  'BEGS', 'BIAS', 'BIDS', 'BLOB', 'BLOC', 'BLOT', 'BOAR', 'BOGS', 'BRAN', 'BRAT', 'BREW', 'BROW',
+  'BUDS', 'BUGS', 'BUMP', 'BUNK', 'BUOY', 'BURY', 'BUZZ', 'CHAR', 'CHOP', 'CLOG', 'CLOT', 'COIL',
+  'COLA', 'CORK', 'COVE', 'COWL', 'CRAB', 'CRAM', 'CRIB', 'CROW', 'CUFF', 'CULT', 'CUPS', 'CURB',
+  'DAFT', 'DAMN', 'DEFT', 'DENT', 'DIME', 'DINE', 'DIRE', 'DIRT', 'DOLE', 'DOTE', 'DRAB', 'DRAG',
+  'DRIP', 'DROP', 'DUAL', 'DUEL', 'DUET', 'DUMB', 'DUNE', 'DUNK', 'EARL', 'EDDY', 'ELSE', 'ENVY',
+  'EVIL', 'EYED', 'FANG', 'FARE', 'FAWN', 'FEAT', 'FERN', 'FEUD', 'FIBS', 'FIGS', 'FIZZ', 'FLAW',
+  'FLEA', 'FLED', 'FLEE', 'FLOG', 'FOAL', 'FOES', 'FOWL', 'FRAY', 'FUME', 'FUND', 'FURY', 'FUSE',
+  'GALE', 'GASP', 'GAZE', 'GERM', 'GLEE', 'GLEN', 'GLUM', 'GNAT', 'GNAW', 'GORE', 'GOSH', 'GRIM',
+  'GRIT', 'GUST', 'HALO', 'HALT', 'HAZE', 'HAZY', 'HEIR', 'HELM', 'HEMP', 'HOAX', 'HOOD', 'HOOF',
+  'HOOP', 'HOWL', 'HUSH', 'HYMN', 'IDLE', 'IDOL', 'INKY', 'ITCH', 'JADE', 'JAIL', 'JAMS', 'JAWS',
+  'JEST', 'JINX', 'JOLT', 'JUDO', 'KEGS', 'KELP', 'KILN', 'KILT', 'KNOB', 'LAIR', 'LARK', 'LASH',
+  'LEEK', 'LEER', 'LIAR', 'LICK', 'LIMB', 'LIMP', 'LOBE', 'LOOM', 'LOOT', 'LUMP', 'LURE', 'LURK',
+  'LUSH', 'LUTE', 'MANE', 'MASH', 'MATT', 'MEEK', 'MEND', 'MESH', 'MINK', 'MITE', 'MOAN', 'MOPE',
+  'MUCK', 'MUFF', 'MUSE', 'MUSK', 'NAPE', 'NOOK', 'NUMB', 'OARS', 'OBOE', 'OGRE', 'OMEN', 'OOZE',
+  'OPAL', 'OUST', 'OWLS', 'PANE', 'PANG', 'PAWN', 'PEAT', 'PECK', 'PELT', 'PERK', 'PEST', 'PIER',
+  'PITY', 'PLEA', 'PLOD', 'PLOY', 'PORE', 'POSH', 'PREY', 'PROD', 'PROM', 'PUCK', 'PUFF', 'PUNK',
+  'PUNT', 'PURR', 'RAKE', 'RAMP', 'RANT', 'RASH', 'RAVE', 'REAP', 'REIN', 'RIFT', 'RIND', 'RINK',
+  'RIOT', 'ROAM', 'ROMP', 'ROSY', 'RUNG', 'RUSE', 'SASH', 'SCAR', 'SEWN', 'SHAM', 'SHIN', 'SHOD',
+  'SILO', 'SILT', 'SKID', 'SLAG', 'SLAM', 'SLAP', 'SLED', 'SLUG', 'SLUR', 'SMUG', 'SNAG', 'SNAP',
+  'SNUG', 'SOAK', 'SOAR', 'SOOT', 'SPAN', 'SPAT', 'SPUD', 'SPUR', 'STAB', 'STAG', 'STUB', 'STUD',
+  'SULK', 'SUMO', 'SWAP', 'SWAY', 'TACK', 'TACT', 'TANG', 'TAUT', 'TEAL', 'TEEM', 'THAW', 'THUD',
+  'TIER', 'TOFU', 'TOGA', 'TOIL', 'TOME', 'TOPS', 'TORN', 'TOSS', 'TOTE', 'TUFT', 'TUSK', 'UNTO',
+  'VAIN', 'VEIL', 'VEIN', 'VETO', 'VIAL', 'VICE', 'WADE', 'WAIF', 'WANE', 'WARP', 'WART', 'WARY',
+  'WAVY', 'WEAN', 'WELD', 'WHIM', 'WICK', 'WILT', 'WILY', 'WINK', 'WISP', 'WOKE', 'WRIT', 'YAWN',
+  'YELP', 'YOLK', 'ZEAL', 'ZEST', 'ZINC'
+];
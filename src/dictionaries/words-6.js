@@ -0,0 +1,86 @@
+// Six-letter British English words for Word Up game
+// Answers are common words; valid guesses add less common words players may try
+
+export const ANSWERS_6 = [
+  'ABROAD', 'ABSENT', 'ACCEPT', 'ACCESS', 'ACROSS', 'ACTION', 'ACTIVE', 'ACTUAL', 'ADVICE',
+  'ADVISE', 'AFFECT', 'AFFORD', 'AFRAID', 'AGENCY', 'AGENDA', 'ALMOST', 'ALWAYS', 'AMOUNT',
+  'ANIMAL', 'ANNUAL', 'ANSWER', 'ANYONE', 'ANYWAY', 'APPEAL', 'APPEAR', 'ARRIVE', 'ARTIST',
+  'ASLEEP', 'ASPECT', 'ASSIST', 'ATTACK', 'ATTEND', 'AUTUMN', 'AVENUE', 'BACKED', 'BARELY',
+  'BATTLE', 'BEAUTY', 'BECAME', 'BECOME', 'BEFORE', 'BEHALF', 'BEHAVE', 'BEHIND', 'BELONG',
+  'BESIDE', 'BETTER', 'BEYOND', 'BISHOP', 'BORDER', 'BORROW', 'BOTTLE', 'BOTTOM', 'BOUGHT',
+  'BRANCH', 'BREATH', 'BREEZE', 'BRIDGE', 'BRIGHT', 'BROKEN', 'BUCKET', 'BUDGET', 'BUNDLE',
+  'BURDEN', 'BUTTER', 'BUTTON', 'CAMERA', 'CANDLE', 'CANNOT', 'CARBON', 'CAREER', 'CARPET',
+  'CASTLE', 'CASUAL', 'CAUGHT', 'CENTRE', 'CHANCE', 'CHANGE', 'CHARGE', 'CHEESE', 'CHOICE',
+  'CHOOSE', 'CHOSEN', 'CHURCH', 'CINEMA', 'CIRCLE', 'CLEVER', 'CLIENT', 'CLOSED', 'CLOSET',
+  'COFFEE', 'COLOUR', 'COLUMN', 'COMEDY', 'COMMON', 'COOKIE', 'COPPER', 'CORNER', 'COTTON',
+  'COUPLE', 'COURSE', 'COUSIN', 'CREDIT', 'CRISIS', 'CUSTOM', 'DAMAGE', 'DANGER', 'DEALER',
+  'DEBATE', 'DECADE', 'DECIDE', 'DEFEAT', 'DEFEND', 'DEGREE', 'DEMAND', 'DEPEND', 'DESERT',
+  'DESIGN', 'DESIRE', 'DETAIL', 'DEVICE', 'DIFFER', 'DINNER', 'DIRECT', 'DIVIDE', 'DOCTOR',
+  'DOLLAR', 'DOUBLE', 'DRAGON', 'DRAWER', 'DRIVER', 'DURING', 'EASILY', 'EATING', 'EFFECT',
+  'EFFORT', 'EIGHTY', 'EITHER', 'ELEVEN', 'EMPIRE', 'EMPLOY', 'ENERGY', 'ENGINE', 'ENOUGH',
+  'ENSURE', 'ENTIRE', 'ESCAPE', 'ESTATE', 'EVENTS', 'EXCEPT', 'EXPECT', 'EXPERT', 'EXPORT',
+  'EXTEND', 'EXTENT', 'FABRIC', 'FACTOR', 'FAIRLY', 'FALLEN', 'FAMILY', 'FAMOUS', 'FARMER',
+  'FATHER', 'FELLOW', 'FEMALE', 'FIGURE', 'FINGER', 'FINISH', 'FLIGHT', 'FLOWER', 'FOLLOW',
+  'FOREST', 'FORGET', 'FORMAL', 'FORMER', 'FOURTH', 'FREEZE', 'FRIDGE', 'FRIEND', 'FROZEN',
+  'FUTURE', 'GALAXY', 'GARAGE', 'GARDEN', 'GARLIC', 'GATHER', 'GENTLE', 'GINGER', 'GLOBAL',
+  'GOLDEN', 'GROUND', 'GROWTH', 'GUITAR', 'HANDLE', 'HAPPEN', 'HARDLY', 'HEALTH', 'HEAVEN',
+  'HEIGHT', 'HELMET', 'HIDDEN', 'HOLDER', 'HONEST', 'HOPING', 'HORROR', 'HUNGRY', 'HUNTER',
+  'ISLAND', 'ITSELF', 'JACKET', 'JERSEY', 'JUNGLE', 'JUNIOR', 'KETTLE', 'KIDNEY', 'KNIGHT',
+  'LADDER', 'LAPTOP', 'LATELY', 'LATTER', 'LAUNCH', 'LAWYER', 'LEADER', 'LEAGUE', 'LEGEND',
+  'LENGTH', 'LESSON', 'LETTER', 'LIKELY', 'LIQUID', 'LISTEN', 'LITTLE', 'LIVING', 'LOCATE',
+  'LOVELY', 'LUXURY', 'MAKING', 'MANAGE', 'MANNER', 'MARBLE', 'MARGIN', 'MARKET', 'MASTER',
+  'MATTER', 'MEADOW', 'MEMBER', 'MEMORY', 'MENTAL', 'MERELY', 'METHOD', 'MIDDLE', 'MINUTE',
+  'MIRROR', 'MOBILE', 'MODERN', 'MOMENT', 'MONKEY', 'MOTHER', 'MOTION', 'MUSCLE', 'MUSEUM',
+  'MYSELF', 'NARROW', 'NATION', 'NATURE', 'NEARBY', 'NEARLY', 'NEPHEW', 'NICKEL', 'NOBODY',
+  'NORMAL', 'NOTICE', 'NUMBER', 'OBJECT', 'OBTAIN', 'OFFICE', 'ONIONS', 'OPTION', 'ORANGE',
+  'ORIGIN', 'OUTPUT', 'OXYGEN', 'PALACE', 'PARENT', 'PARROT', 'PATROL', 'PEANUT', 'PENCIL',
+  'PEOPLE', 'PEPPER', 'PERIOD', 'PERSON', 'PHRASE', 'PICNIC', 'PILLOW', 'PLANET', 'PLAYER',
+  'PLEASE', 'PLENTY', 'POCKET', 'POETRY', 'POLICE', 'POLICY', 'POTATO', 'POWDER', 'PRAISE',
+  'PREFER', 'PRETTY', 'PRINCE', 'PRISON', 'PROFIT', 'PROPER', 'PUBLIC', 'PURPLE', 'PUZZLE',
+  'RABBIT', 'RACING', 'RATHER', 'READER', 'REASON', 'RECENT', 'RECORD', 'REDUCE', 'REGION',
+  'REMAIN', 'REMOTE', 'REMOVE', 'REPAIR', 'REPEAT', 'REPORT', 'RESCUE', 'RESULT', 'RETAIL',
+  'RETURN', 'REVEAL', 'REVIEW', 'REWARD', 'RHYTHM', 'RIBBON', 'RIDDLE', 'RUBBER', 'SADDLE',
+  'SAFETY', 'SALMON', 'SAMPLE', 'SCHEME', 'SCHOOL', 'SCREEN', 'SCRIPT', 'SEARCH', 'SEASON',
+  'SECOND', 'SECRET', 'SECTOR', 'SELECT', 'SENIOR', 'SERIES', 'SETTLE', 'SHADOW', 'SHOWER',
+  'SHRIMP', 'SIGNAL', 'SILVER', 'SIMPLE', 'SINGER', 'SINGLE', 'SISTER', 'SKETCH', 'SLIGHT',
+  'SMOOTH', 'SOCCER', 'SOCIAL', 'SOURCE', 'SPIRIT', 'SPREAD', 'SPRING', 'SQUARE', 'STABLE',
+  'STATUE', 'STEADY', 'STREAM', 'STREET', 'STRESS', 'STRICT', 'STRIKE', 'STRING', 'STRONG',
+  'STUDIO', 'SUBTLE', 'SUDDEN', 'SUMMER', 'SUMMIT', 'SUNSET', 'SUPPLY', 'SURELY', 'SURVEY',
+  'SWITCH', 'SYMBOL', 'SYSTEM', 'TABLET', 'TALENT', 'TARGET', 'TEMPLE', 'TENNIS', 'THEORY',
+  'THIRTY', 'THOUGH', 'THREAD', 'THRILL', 'THRONE', 'TICKET', 'TIMBER', 'TOMATO', 'TONGUE',
+  'TRAVEL', 'TREATY', 'TUNNEL', 'TURTLE', 'TWELVE', 'TWENTY', 'UNIQUE', 'UNLESS', 'UNLIKE',
+  'UPDATE', 'USEFUL', 'VALLEY', 'VELVET', 'VESSEL', 'VICTIM', 'VISION', 'VISUAL', 'VOLUME',
+  'VOYAGE', 'WALNUT', 'WANDER', 'WARMTH', 'WEALTH', 'WEAPON', 'WEEKLY', 'WEIGHT', 'WINDOW',
+  'WINNER', 'WINTER', 'WITHIN', 'WONDER', 'WOODEN', 'WORKER', 'WRITER', 'YELLOW'
+];
+
+export const VALID_GUESSES_6 = [
+  'ABACUS', 'ABRUPT', 'ABSORB', 'ACCENT', 'ADHERE', 'ADMIRE', 'ADRIFT', 'AFFAIR', 'AGEING',
+  'AGHAST', 'ALBEIT', 'ALLEGE', 'ALPACA', 'AMAZED', 'AMPLER', 'ANCHOR', 'ANKLES', 'ANTLER',
+  'APNOEA', 'ARBOUR', 'ARCADE', 'ARDOUR', 'ARMOUR', 'ARRANT', 'ASTRAL', 'ATTIRE', 'AUBURN',
+  'AWAKEN', 'BABBLE', 'BADGER', 'BAFFLE', 'BAKERY', 'BALLET', 'BANANA', 'BANTER', 'BARREL',
+  'BASKET', 'BEACON', 'BEAGLE', 'BECKON', 'BEETLE', 'BEMOAN', 'BICKER', 'BISTRO', 'BLAZER',
+  'BONNET', 'BOUNCE', 'BREACH', 'BRONZE', 'BRUISE', 'BUBBLE', 'BUCKLE', 'BUNKER', 'BURROW',
+  'CACTUS', 'CANOPY', 'CANVAS', 'CARAFE', 'CARROT', 'CATTLE', 'CELERY', 'CHALET', 'CHERRY',
+  'CHILLI', 'CHISEL', 'CITRUS', 'CLOVER', 'COBALT', 'COCOON', 'COGENT', 'CONVEX', 'CRAYON',
+  'CROUCH', 'CRUMBS', 'CUDDLE', 'CURFEW', 'DAGGER', 'DAINTY', 'DAZZLE', 'DEFUSE', 'DIMPLE',
+  'DINGHY', 'DONKEY', 'DOODLE', 'EMBLEM', 'ENDURE', 'ENGULF', 'ENIGMA', 'ERRAND', 'FAECES',
+  'FALCON', 'FATHOM', 'FAVOUR', 'FERRET', 'FIBRES', 'FIDDLE', 'FOSSIL', 'FRINGE', 'FUNGUS',
+  'FURROW', 'GADGET', 'GARISH', 'GERBIL', 'GIGGLE', 'GOBLIN', 'GOSSIP', 'GRAVEL', 'GREYER',
+  'GRUMPY', 'GUSSET', 'HAGGLE', 'HAMLET', 'HAMMER', 'HAZARD', 'HERMIT', 'HICCUP', 'HOLLOW',
+  'HONOUR', 'HUDDLE', 'HUMOUR', 'IGUANA', 'IMPISH', 'INDIGO', 'INFANT', 'INLAND', 'JIGSAW',
+  'JOCKEY', 'JOSTLE', 'JUGGLE', 'KERNEL', 'KITTEN', 'LABOUR', 'LAGOON', 'LANCER', 'LEEWAY',
+  'LITRES', 'LIZARD', 'LOCKET', 'LUSTRE', 'MAGNET', 'MANTLE', 'MAPLES', 'MARVEL', 'MEAGRE',
+  'MEDLEY', 'MELLOW', 'METRES', 'MINNOW', 'MITTEN', 'MORSEL', 'MOULDS', 'MOULDY', 'MOULTS',
+  'MUFFIN', 'MUZZLE', 'NAPKIN', 'NESTLE', 'NIBBLE', 'NOODLE', 'NOUGAT', 'NUZZLE', 'OBLONG',
+  'ODOURS', 'OEDEMA', 'OYSTER', 'PADDLE', 'PARCEL', 'PASTRY', 'PEBBLE', 'PELLET', 'PHONEY',
+  'PIGEON', 'PIGLET', 'PIRATE', 'PLAQUE', 'PLOUGH', 'PONDER', 'POODLE', 'POPLAR', 'PUDDLE',
+  'PUFFIN', 'PURSUE', 'QUARRY', 'QUIVER', 'RAFFLE', 'RAISIN', 'RATTLE', 'RAVINE', 'RECKON',
+  'RELISH', 'RIGOUR', 'RIPPLE', 'ROCKET', 'ROUBLE', 'RUFFLE', 'RUMBLE', 'RUMOUR', 'SABRES',
+  'SAVOUR', 'SCARAB', 'SCONES', 'SCYTHE', 'SEQUIN', 'SHIVER', 'SHOVEL', 'SICKLE', 'SIZZLE',
+  'SLEDGE', 'SOMBRE', 'SPONGE', 'SQUIRM', 'STAPLE', 'STUBBY', 'SUNDAE', 'SWIVEL', 'TAMPER',
+  'TASSEL', 'TATTER', 'TICKLE', 'TINKER', 'TOFFEE', 'TOUCAN', 'TRIFLE', 'TUMBLE', 'TUMOUR',
+  'TWITCH', 'UMPIRE', 'UNEVEN', 'UNVEIL', 'URCHIN', 'VALOUR', 'VANISH', 'VAPOUR', 'VELCRO',
+  'VERMIN', 'VIGOUR', 'VORTEX', 'WADDLE', 'WAFFLE', 'WALRUS', 'WATTLE', 'WEASEL', 'WHEEZE',
+  'WHISKY', 'WIGGLE', 'WOBBLE', 'WOMBAT', 'ZEALOT', 'ZENITH', 'ZIGZAG', 'ZIPPER'
+];
@@ -0,0 +1,90 @@
+// Seven-letter British English words for Word Up game
+// Answers are common words; valid guesses add less common words players may try
+
+export const ANSWERS_7 = [
+  'ABILITY', 'ABSENCE', 'ACADEMY', 'ACCOUNT', 'ACHIEVE', 'ACQUIRE', 'ADDRESS', 'ADVANCE',
+  'AGAINST', 'ANCIENT', 'ANOTHER', 'ANXIETY', 'ANXIOUS', 'ANYBODY', 'ARRANGE', 'ARRIVAL',
+  'ARTICLE', 'ATTEMPT', 'ATTRACT', 'AVERAGE', 'AWKWARD', 'BALANCE', 'BANKING', 'BARGAIN',
+  'BEARING', 'BECAUSE', 'BEDROOM', 'BELIEVE', 'BENEATH', 'BENEFIT', 'BETWEEN', 'BICYCLE',
+  'BILLION', 'BLANKET', 'BROTHER', 'BUILDER', 'BURNING', 'CABINET', 'CALIBRE', 'CAPABLE',
+  'CAPITAL', 'CAPTAIN', 'CAPTURE', 'CAREFUL', 'CARRIER', 'CEILING', 'CENTURY', 'CERTAIN',
+  'CHAPTER', 'CHARITY', 'CHARTER', 'CHICKEN', 'CIRCUIT', 'CITIZEN', 'CLASSIC', 'CLIMATE',
+  'CLOTHES', 'COLLECT', 'COLLEGE', 'COMBINE', 'COMFORT', 'COMMAND', 'COMMENT', 'COMPANY',
+  'COMPARE', 'COMPETE', 'COMPLEX', 'CONCEPT', 'CONCERN', 'CONCERT', 'CONDUCT', 'CONFIRM',
+  'CONNECT', 'CONSIST', 'CONTACT', 'CONTAIN', 'CONTENT', 'CONTEST', 'CONTEXT', 'CONTROL',
+  'CONVERT', 'CORRECT', 'COUNCIL', 'COUNTER', 'COUNTRY', 'COURAGE', 'CRYSTAL', 'CULTURE',
+  'CURIOUS', 'CURRENT', 'CUSHION', 'CUSTOMS', 'DEFENCE', 'DELIGHT', 'DELIVER', 'DENSITY',
+  'DEPOSIT', 'DESERVE', 'DESKTOP', 'DIAMOND', 'DIGITAL', 'DISCUSS', 'DISEASE', 'DISPLAY',
+  'DISTANT', 'DOLPHIN', 'DRAWING', 'DYNAMIC', 'EARNEST', 'EASTERN', 'ECONOMY', 'EDITION',
+  'ELEGANT', 'ELEMENT', 'EMOTION', 'ENHANCE', 'ENTITLE', 'EPISODE', 'EQUALLY', 'EVENING',
+  'EXACTLY', 'EXAMINE', 'EXAMPLE', 'EXCITED', 'EXCLUDE', 'EXHIBIT', 'EXPENSE', 'EXPLAIN',
+  'EXPLORE', 'EXPRESS', 'EXTREME', 'FACTORY', 'FAILURE', 'FANTASY', 'FASHION', 'FEATURE',
+  'FEDERAL', 'FEELING', 'FICTION', 'FIFTEEN', 'FINANCE', 'FISHING', 'FITNESS', 'FOREIGN',
+  'FOREVER', 'FORMULA', 'FORTUNE', 'FORWARD', 'FREEDOM', 'FURTHER', 'GALLERY', 'GATEWAY',
+  'GENERAL', 'GENUINE', 'GESTURE', 'GIRAFFE', 'GLIMPSE', 'GRAVITY', 'GREATER', 'GROCERY',
+  'HABITAT', 'HARBOUR', 'HARMONY', 'HEADING', 'HEALTHY', 'HEARING', 'HEAVILY', 'HELPFUL',
+  'HIGHWAY', 'HIMSELF', 'HISTORY', 'HOLIDAY', 'HOUSING', 'HOWEVER', 'HUNDRED', 'HUSBAND',
+  'ILLEGAL', 'IMAGINE', 'IMPROVE', 'INCLUDE', 'INITIAL', 'INQUIRY', 'INSIGHT', 'INSTALL',
+  'INSTANT', 'INSTEAD', 'INTENSE', 'INTERIM', 'INVOLVE', 'ISSUING', 'JOURNAL', 'JOURNEY',
+  'JUSTICE', 'JUSTIFY', 'KINGDOM', 'KITCHEN', 'KNOWING', 'LANDING', 'LARGELY', 'LEADING',
+  'LEARNED', 'LEATHER', 'LECTURE', 'LIBRARY', 'LICENCE', 'LIMITED', 'LOCALLY', 'LOYALTY',
+  'MACHINE', 'MANAGER', 'MASSIVE', 'MAXIMUM', 'MEANING', 'MEASURE', 'MEDICAL', 'MEETING',
+  'MENTION', 'MESSAGE', 'MILLION', 'MINERAL', 'MINIMUM', 'MISSING', 'MISSION', 'MIXTURE',
+  'MONSTER', 'MORNING', 'MUSICAL', 'MYSTERY', 'NATURAL', 'NEITHER', 'NERVOUS', 'NETWORK',
+  'NEUTRAL', 'NOTABLY', 'NOTHING', 'NOWHERE', 'NUCLEAR', 'OBVIOUS', 'OCTOPUS', 'OFFENCE',
+  'OFFICER', 'OPINION', 'ORGANIC', 'OUTCOME', 'OUTSIDE', 'OVERALL', 'PACKAGE', 'PAINTER',
+  'PARKING', 'PARTNER', 'PASSAGE', 'PASSION', 'PATIENT', 'PATTERN', 'PAYMENT', 'PENGUIN',
+  'PENSION', 'PERFECT', 'PERHAPS', 'PICTURE', 'PILGRIM', 'PIONEER', 'PLASTIC', 'POPULAR',
+  'PORTION', 'POVERTY', 'PRECISE', 'PREDICT', 'PREMIER', 'PREPARE', 'PRESENT', 'PREVENT',
+  'PRIMARY', 'PRINTER', 'PRIVACY', 'PRIVATE', 'PROBLEM', 'PROCESS', 'PRODUCE', 'PRODUCT',
+  'PROFILE', 'PROJECT', 'PROMISE', 'PROMOTE', 'PROTECT', 'PROTEIN', 'PROTEST', 'PROVIDE',
+  'PUBLISH', 'PURPOSE', 'PYRAMID', 'QUALIFY', 'QUALITY', 'QUARTER', 'RAINBOW', 'RAPIDLY',
+  'READILY', 'REALITY', 'RECEIPT', 'RECEIVE', 'RECOVER', 'REFLECT', 'REGULAR', 'RELATED',
+  'RELEASE', 'REMAINS', 'REMOVAL', 'REPLACE', 'REQUEST', 'REQUIRE', 'RESERVE', 'RESOLVE',
+  'RESPECT', 'RESPOND', 'RESTORE', 'REVENUE', 'REVERSE', 'ROUTINE', 'SATISFY', 'SCIENCE',
+  'SECTION', 'SEGMENT', 'SERIOUS', 'SERVICE', 'SESSION', 'SETTING', 'SEVERAL', 'SHELTER',
+  'SILENCE', 'SIMILAR', 'SOCIETY', 'SOLDIER', 'SOMEHOW', 'SPEAKER', 'SPECIAL', 'SPONSOR',
+  'STATION', 'STOMACH', 'STORAGE', 'STRANGE', 'STRETCH', 'STUDENT', 'SUBJECT', 'SUCCEED',
+  'SUCCESS', 'SUGGEST', 'SUMMARY', 'SUPPORT', 'SUPPOSE', 'SUPREME', 'SURFACE', 'SURGERY',
+  'SURPLUS', 'SURVIVE', 'SUSPECT', 'SUSTAIN', 'TEACHER', 'TEENAGE', 'TENSION', 'THEATRE',
+  'THERAPY', 'THEREBY', 'THOUGHT', 'THROUGH', 'TONIGHT', 'TOURISM', 'TOURIST', 'TOWARDS',
+  'TRAFFIC', 'TRAGEDY', 'TRAINER', 'TRIUMPH', 'TROUBLE', 'TUESDAY', 'TYPICAL', 'UNIFORM',
+  'UNKNOWN', 'UNUSUAL', 'UPGRADE', 'VARIETY', 'VARIOUS', 'VEHICLE', 'VENTURE', 'VERSION',
+  'VETERAN', 'VILLAGE', 'VIOLENT', 'VIRTUAL', 'VISIBLE', 'VOLCANO', 'WARNING', 'WEALTHY',
+  'WEATHER', 'WEBSITE', 'WEDDING', 'WEEKEND', 'WELCOME', 'WELFARE', 'WESTERN', 'WHISPER',
+  'WILLING', 'WITNESS', 'WORKING', 'WORKOUT', 'WRITING'
+];
+
+export const VALID_GUESSES_7 = [
+  'ABANDON', 'ABOLISH', 'ACRONYM', 'ADAMANT', 'ADJOURN', 'AIRLINE', 'ALCHEMY', 'ALLERGY',
+  'AMAZING', 'AMBIENT', 'ANAEMIA', 'ANAEMIC', 'ANALYST', 'ANTIQUE', 'ANTLERS', 'APOLOGY',
+  'APRICOT', 'AQUATIC', 'ARCHIVE', 'ARMOURY', 'ARTISAN', 'ASTOUND', 'AVOCADO', 'BAGGAGE',
+  'BALCONY', 'BANDAGE', 'BANQUET', 'BAPTISM', 'BARRIER', 'BATHTUB', 'BEDTIME', 'BISCUIT',
+  'BLOSSOM', 'BOOKLET', 'BOUQUET', 'BRACKET', 'BRISKET', 'BUFFALO', 'BULLION', 'BURGLAR',
+  'BUTCHER', 'CALORIE', 'CANDOUR', 'CANTEEN', 'CARAMEL', 'CARAVAN', 'CASCADE', 'CASHIER',
+  'CATCALL', 'CAUSTIC', 'CAVALRY', 'CENSORS', 'CENTRES', 'CHAMBER', 'CHARIOT', 'CHEETAH',
+  'CHIMNEY', 'CHORTLE', 'CITADEL', 'CLAMOUR', 'COCONUT', 'COLOURS', 'COMPASS', 'CONCISE',
+  'COWBOYS', 'CRACKER', 'CRUMPET', 'CUSTARD', 'CYCLIST', 'DAWDLED', 'DECIBEL', 'DESPAIR',
+  'DIAGRAM', 'DIALLED', 'DILEMMA', 'DORMANT', 'DRIZZLE', 'DUELLED', 'DUNGEON', 'EMBRACE',
+  'ENDLESS', 'ENIGMAS', 'ENVELOP', 'EPITOME', 'ESTUARY', 'EXOTICA', 'FALAFEL', 'FANFARE',
+  'FAVOURS', 'FERVENT', 'FERVOUR', 'FIREFLY', 'FLANNEL', 'FLAVOUR', 'FLOTSAM', 'FRECKLE',
+  'FUELLED', 'FURNACE', 'GALLANT', 'GARLAND', 'GAZELLE', 'GIBBERS', 'GLACIER', 'GLITTER',
+  'GOBBLER', 'GODSEND', 'GRANITE', 'GRAPPLE', 'GRIDDLE', 'GRIMACE', 'GUMBOOT', 'HAMSTER',
+  'HANDBAG', 'HATCHET', 'HAYWIRE', 'HEIRESS', 'HERRING', 'HOLSTER', 'HONOURS', 'HORIZON',
+  'HOTCAKE', 'HUMOURS', 'IMPASSE', 'INFERNO', 'INKWELL', 'ISOTOPE', 'JACKDAW', 'JAVELIN',
+  'JOLLITY', 'JUGGLER', 'KESTREL', 'KEYNOTE', 'KNUCKLE', 'LABOURS', 'LAMPOON', 'LANTERN',
+  'LATTICE', 'LAUNDRY', 'LOBSTER', 'LOCKJAW', 'LULLABY', 'MAGENTA', 'MALLARD', 'MANDATE',
+  'MANSION', 'MASCARA', 'MEERKAT', 'MIGRANT', 'MOLLUSC', 'MONSOON', 'MOULDED', 'MUSTARD',
+  'NARWHAL', 'NOSTRIL', 'OATCAKE', 'OBSCURE', 'OCTAGON', 'OMNIBUS', 'ORCHARD', 'ORCHIDS',
+  'OSTRICH', 'OUTLOOK', 'OVATION', 'PADLOCK', 'PANCAKE', 'PAPRIKA', 'PARLOUR', 'PARSNIP',
+  'PEASANT', 'PELICAN', 'PHANTOM', 'PLANTER', 'PLOUGHS', 'POULTRY', 'PUDDING', 'PUMPKIN',
+  'PYJAMAS', 'QUILTED', 'RAGWORT', 'RAMBLER', 'RANCOUR', 'RATCHET', 'RAVIOLI', 'REGATTA',
+  'RHUBARB', 'RIBBONS', 'ROOSTER', 'RUMMAGE', 'RUMOURS', 'SARDINE', 'SAUSAGE', 'SAVOURS',
+  'SAVOURY', 'SCALLOP', 'SCARLET', 'SCEPTRE', 'SEAGULL', 'SEAWEED', 'SHAMPOO', 'SHERBET',
+  'SHINGLE', 'SKITTLE', 'SPANIEL', 'SPARROW', 'SPECTRE', 'SPINACH', 'SQUALOR', 'SQUEEZE',
+  'STAPLER', 'STATUTE', 'STRUDEL', 'SULPHUR', 'SULTANA', 'SUNBEAM', 'SWALLOW', 'TADPOLE',
+  'TAMBOUR', 'TAPIOCA', 'TEACAKE', 'THUNDER', 'TRACTOR', 'TRELLIS', 'TRINKET', 'TRUMPET',
+  'TUMOURS', 'TURBINE', 'UKULELE', 'UNICORN', 'VAGRANT', 'VANILLA', 'VAPOURS', 'VERANDA',
+  'VINEGAR', 'VOLTAGE', 'WARBLER', 'WARTHOG', 'WHIPPET', 'WHISKER', 'WILDCAT', 'WRANGLE',
+  'YOGHURT'
+];
@@ -0,0 +1,77 @@
+// Dictionary loading for Word Up
+// Normalises word lists and reports entries that can't be played
+
+const ENGLISH_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+export class DictionaryLoader {
+  constructor() {
+    // Report for every list loaded so far, keyed by list name
+    this.reports = new Map();
+  }
+
+  // Normalise one word list: trim, uppercase and drop duplicates
+  // Entries with letters outside the alphabet or the wrong length are rejected
+  load(name, words, wordLength, alphabet = ENGLISH_ALPHABET) {
+    const entries = Array.isArray(words) ? words : [];
+    const letters = new Set(alphabet);
+    const seen = new Set();
+    const accepted = [];
+    const rejected = [];
+    let normalised = 0;
+    let duplicates = 0;
+
+    entries.forEach(entry => {
+      const word = typeof entry === 'string' ? entry.trim().toUpperCase() : '';
+
+      if (!word || ![...word].every(letter => letters.has(letter))) {
+        rejected.push({ word: String(entry), reason: 'non-alphabetic' });
+        return;
+      }
+      if ([...word].length !== wordLength) {
+        rejected.push({ word, reason: 'wrong-length' });
+        return;
+      }
+      if (word !== entry) {
+        normalised++;
+      }
+      if (seen.has(word)) {
+        duplicates++;
+        return;
+      }
+
+      seen.add(word);
+      accepted.push(word);
+    });
+
+    const report = {
+      name,
+      wordLength,
+      total: entries.length,
+      accepted: accepted.length,
+      normalised,
+      duplicates,
+      rejected
+    };
+    this.reports.set(name, report);
+
+    return { words: accepted, report };
+  }
+
+  // Combined report for every loaded list
+  getReport() {
+    const lists = [...this.reports.values()];
+    const rejected = lists.flatMap(list => list.rejected.map(entry => ({ list: list.name, ...entry })));
+
+    return {
+      lists,
+      accepted: lists.reduce((sum, list) => sum + list.accepted, 0),
+      normalised: lists.reduce((sum, list) => sum + list.normalised, 0),
+      duplicates: lists.reduce((sum, list) => sum + list.duplicates, 0),
+      rejected,
+      hasRejections: rejected.length > 0
+    };
+  }
+}
+
+// Create global dictionary loader instance
+export const dictionaryLoader = new DictionaryLoader();
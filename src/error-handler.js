@@ -53,6 +53,12 @@ export class ErrorHandler {
     return errorInfo;
   }
 
+  // Log a problem that doesn't need the player's attention
+  logWarning(type, details = {}) {
+    console.warn(`[Error Handler] ${type}`, details);
+    return { type, details, timestamp: new Date().toISOString() };
+  }
+
   // Convert technical errors to user-friendly messages
   getUserFriendlyMessage(type, error) {
     const message = error?.message?.toLowerCase() || '';
@@ -1,28 +1,90 @@
 // Core game logic for Word Up
 // Handles game state, word validation, and scoring
 
-import { ANSWERS } from './dictionaries/answers.js';
-import { VALID_GUESSES } from './dictionaries/valid-guesses.js';
 import { DailyWordGenerator } from './daily-word.js';
 import { GameStatistics } from './statistics.js';
 import { errorHandler } from './error-handler.js';
+import { appStorage } from './storage.js';
+import { SchemaMigrator } from './schema-migrator.js';
+import { dictionaryLoader } from './dictionary-loader.js';
+import { getGuessDictionary } from './guess-dictionary.js';
+import {
+  DEFAULT_LANGUAGE,
+  getLanguagePack,
+  getLanguageStorageKey,
+  isSupportedLanguage
+} from './language-packs.js';
+import { dayClock } from './clock.js';
+import { resultSharer } from './share.js';
+import { GameSolver } from './solver.js';
+import { Lexicon } from './lexicon.js';
+import {
+  DEFAULT_WORD_LENGTH,
+  MULTI_BOARDS,
+  getBoardSize,
+  getBritishSpelling,
+  getLexicons,
+  isSupportedBoardCount,
+  isSupportedWordLength,
+  isValidRowCount
+} from './board-sizes.js';
+
+// Saved game schema migrations, in order (see schema-migrator.js)
+// Add a step here whenever saveGameState changes shape
+export const GAME_STATE_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Fill in the mode, board size and hint fields of early saved games',
+    migrate: state => {
+      // Games saved before these fields existed were classic 5x6 single-board games
+      const defaults = {
+        gameMode: 'daily',
+        hardMode: false,
+        hintsUsed: [],
+        dayNumber: null,
+        wordLength: DEFAULT_WORD_LENGTH,
+        maxRows: 6,
+        boardCount: 1,
+        targetWords: [state.targetWord],
+        boardLetterStates: [state.letterStates || {}]
+      };
+      return { ...defaults, ...state };
+    }
+  }
+];
+
+const gameStateMigrator = new SchemaMigrator('game state', GAME_STATE_MIGRATIONS);
 
 export class GameLogic {
   constructor() {
     this.targetWord = '';
+    this.targetWords = []; // One target per board in multi-board games
+    this.boardCount = 1;
     this.currentRow = 0;
     this.currentCol = 0;
     this.gameState = 'playing'; // 'playing', 'won', 'lost'
+    this.dayNumber = null; // Puzzle number for daily and archive games
     this.guesses = [];
-    this.maxRows = 6;
-    this.maxCols = 5;
+    this.hintsUsed = []; // Hints revealed during the current game
+    this.spellingVariants = new Set(); // American spellings already counted this game
+    this.maxRows = 6; // Guesses allowed (configurable per word length in practice)
+    this.maxCols = 5; // Word length
     this.initialized = false;
     
     // Letter frequency tracking for keyboard hints
     this.letterStates = new Map(); // 'unused', 'absent', 'present', 'correct'
+    this.boardLetterStates = []; // Same, per board (for the split-colour keyboard)
     
-    // Game state persistence
+    // Game state persistence (practice games are kept apart from the daily puzzle)
+    // Other language packs suffix these keys with the language, see applyLanguage
     this.gameStateKey = 'wordUp_gameState';
+    this.practiceStateKey = 'wordUp_practiceState';
+    this.archiveStateKey = 'wordUp_archiveState';
+    this.multiStateKey = 'wordUp_multiState'; // Suffixed with the board count
+    
+    // Player preferences (hard mode, language etc.)
+    this.settingsKey = 'wordUp_settings';
+    this.hardMode = false;
     
     // Initialize components with error handling
     this.initializeGame();
@@ -31,24 +93,18 @@ export class GameLogic {
   // Initialize game components with error handling
   initializeGame() {
     try {
-      // Single British English word dictionary
-      this.answers = ANSWERS;
-      this.validGuesses = VALID_GUESSES;
-      if (!this.answers || !Array.isArray(this.answers) || this.answers.length === 0) {
-        throw new Error('Answer dictionary is empty or invalid');
-      }
-      if (!this.validGuesses || !Array.isArray(this.validGuesses) || this.validGuesses.length === 0) {
-        throw new Error('Valid guesses dictionary is empty or invalid');
-      }
-      
-      // Daily word generator
-      this.dailyWordGenerator = new DailyWordGenerator(this.answers);
+      // Game mode: 'daily', 'practice', 'archive' or 'multi'
+      this.gameMode = 'daily';
       
-      // Statistics tracking
-      this.statistics = new GameStatistics();
+      // Player preferences
+      this.settings = this.loadSettings();
+      this.hardMode = this.settings.hardMode;
+
+      // Dictionary, daily schedule and statistics for the chosen language
+      this.applyLanguage(this.settings.language);
       
-      // Game mode: 'daily' only
-      this.gameMode = 'daily';
+      // Report any dictionary entries that had to be dropped
+      this.logDictionaryReport();
       
       this.initialized = true;
       
@@ -64,37 +120,190 @@ export class GameLogic {
     }
   }
 
+  // Use a language pack's dictionary, daily schedule, statistics and saved games
+  applyLanguage(language) {
+    this.language = isSupportedLanguage(language) ? language : DEFAULT_LANGUAGE;
+    this.pack = getLanguagePack(this.language);
+
+    // Word dictionary, normalised by the dictionary loader
+    const { answers, validGuesses } = getBoardSize(DEFAULT_WORD_LENGTH, this.language);
+    this.answers = answers;
+    this.validGuesses = validGuesses;
+    if (!this.answers || !Array.isArray(this.answers) || this.answers.length === 0) {
+      throw new Error('Answer dictionary is empty or invalid');
+    }
+    // Extra guesses may be empty when a pack relies on its full guess list
+    if (!this.validGuesses || !Array.isArray(this.validGuesses)) {
+      throw new Error('Valid guesses dictionary is empty or invalid');
+    }
+
+    // Daily word generator (past en-GB puzzles keep indexing the answer list as it shipped)
+    this.dailyWordGenerator = new DailyWordGenerator(
+      this.answers,
+      this.pack.legacyAnswers || this.answers,
+      this.pack.curation,
+      this.pack.schedule
+    );
+
+    // Statistics and saved games are kept apart for each language
+    this.statistics = new GameStatistics(getLanguageStorageKey('wordUp_statistics', this.language), this.language);
+    this.gameStateKey = getLanguageStorageKey('wordUp_gameState', this.language);
+    this.practiceStateKey = getLanguageStorageKey('wordUp_practiceState', this.language);
+    this.archiveStateKey = getLanguageStorageKey('wordUp_archiveState', this.language);
+    this.multiStateKey = getLanguageStorageKey('wordUp_multiState', this.language);
+  }
+
+  // Switch to another language pack and load its daily puzzle
+  setLanguage(language) {
+    if (!isSupportedLanguage(language)) {
+      return { success: false, reason: `Unsupported language: ${language}` };
+    }
+
+    this.settings.language = language;
+    this.saveSettings();
+
+    const changed = language !== this.language;
+    if (changed) {
+      this.applyLanguage(language);
+      this.initializeDailyGame();
+    }
+
+    return { success: true, language, changed };
+  }
+
+  // Current language pack id, e.g. 'en-GB'
+  getLanguage() {
+    return this.language;
+  }
+
+  // On-screen keyboard rows for the current language
+  getKeyboardLayout() {
+    return this.pack.keyboard;
+  }
+
+  // Check if the current language has definitions for its answers
+  hasDefinitions() {
+    return this.pack.definitions === true;
+  }
+
+  // Log the dictionary report when entries were rejected
+  logDictionaryReport() {
+    const report = dictionaryLoader.getReport();
+    if (report.hasRejections) {
+      errorHandler.logWarning('Dictionary Validation', {
+        accepted: report.accepted,
+        normalised: report.normalised,
+        duplicates: report.duplicates,
+        rejected: report.rejected
+      });
+    }
+    return report;
+  }
+
   // Initialize a new game
-  startNewGame(targetWord = null, mode = 'daily') {
-    this.gameMode = 'daily'; // Only daily mode supported
+  // Multi-board games take a list of target words and use the current board count
+  startNewGame(targetWord = null, mode = 'daily', dayNumber = null) {
+    this.gameMode = ['practice', 'archive', 'multi'].includes(mode) ? mode : 'daily';
+    this.dayNumber = dayNumber;
+    if (this.gameMode !== 'multi') {
+      this.boardCount = 1;
+    }
+
+    // Daily and archive puzzles are always the classic size so everyone plays the same word
+    // and streaks and share grids compare; practice uses the player's choice
+    if (this.gameMode === 'practice') {
+      const { wordLength, rows } = this.getPracticeSize();
+      this.applyBoardSize(wordLength, rows);
+    } else if (this.gameMode === 'multi') {
+      this.applyBoardSize(DEFAULT_WORD_LENGTH, MULTI_BOARDS[this.boardCount].rows);
+    } else {
+      this.applyBoardSize(DEFAULT_WORD_LENGTH);
+    }
     
-    if (targetWord) {
+    if (this.gameMode === 'multi') {
+      const dailyWords = targetWord
+        ? { words: targetWord, dayNumber }
+        : this.dailyWordGenerator.getTodaysWords(this.boardCount);
+      this.targetWords = [...dailyWords.words];
+      this.targetWord = this.targetWords[0];
+      this.dayNumber = dailyWords.dayNumber ?? null;
+    } else if (targetWord) {
       this.targetWord = targetWord;
+    } else if (this.gameMode === 'practice') {
+      this.targetWord = this.getRandomWord();
     } else {
-      const dailyWord = this.dailyWordGenerator.getTodaysWord();
+      const dailyWord = this.gameMode === 'archive'
+        ? this.dailyWordGenerator.getWordForDay(dayNumber)
+        : this.dailyWordGenerator.getTodaysWord();
       this.targetWord = dailyWord.word;
+      this.dayNumber = dailyWord.dayNumber ?? null;
     }
     
     this.currentRow = 0;
     this.currentCol = 0;
     this.gameState = 'playing';
     this.guesses = [];
-    this.letterStates.clear();
-    
-    // Initialize all letters as unused
-    for (let i = 65; i <= 90; i++) {
-      this.letterStates.set(String.fromCharCode(i), 'unused');
+    this.hintsUsed = [];
+    this.spellingVariants = new Set();
+    // Hard mode rules only make sense with a single board
+    this.hardMode = this.gameMode !== 'multi' && this.settings.hardMode;
+    if (this.gameMode !== 'multi') {
+      this.targetWords = [this.targetWord];
     }
+    this.letterStates = this.createLetterStates();
+    this.boardLetterStates = this.targetWords.map(() => this.createLetterStates());
     
     return this.targetWord;
   }
 
+  // All letters of the language's alphabet start out unused
+  createLetterStates() {
+    const states = new Map();
+    for (const letter of this.pack.alphabet) {
+      states.set(letter, 'unused');
+    }
+    return states;
+  }
+
+  // Target words for every board (the single target unless this is a multi-board game)
+  getTargets() {
+    return this.boardCount > 1 ? this.targetWords : [this.targetWord];
+  }
+
+  // Check whether a board was solved by an earlier guess
+  isBoardSolved(board) {
+    return this.guesses.some(guess => {
+      const states = guess.boards ? guess.boards[board] : guess.result;
+      return Array.isArray(states) && states.every(state => state === 'correct');
+    });
+  }
+
+  // Pick a random answer for practice games
+  getRandomWord() {
+    const index = Math.floor(Math.random() * this.answers.length);
+    return this.answers[index];
+  }
+
+  // Switch the board to a word length and row count, along with its dictionary
+  applyBoardSize(wordLength = DEFAULT_WORD_LENGTH, rows = null) {
+    const size = getBoardSize(wordLength, this.language);
+    this.maxCols = size.wordLength;
+    this.maxRows = isValidRowCount(rows) ? rows : size.defaultRows;
+    this.answers = size.answers;
+    this.validGuesses = size.validGuesses;
+    this.lexicons = getLexicons(size.wordLength, this.language);
+  }
 
   // Check if a word is valid for guessing
   isValidWord(word) {
-    if (word.length !== 5) return false;
-    const upperWord = word.toUpperCase();
-    return this.answers.includes(upperWord) || this.validGuesses.includes(upperWord);
+    if (word.length !== this.maxCols) return false;
+    // Past puzzles can have answers no longer in the lists (e.g. American spellings)
+    return this.lexicons.guesses.has(word) || this.getTargets().includes(word.toUpperCase());
+  }
+
+  // Resolves once the full guess list has loaded (or failed to load)
+  whenDictionaryReady() {
+    return getGuessDictionary(this.language).load();
   }
 
   // Process a key press
@@ -111,7 +320,7 @@ export class GameLogic {
       return this.submitGuess();
     } else if (key === 'BACKSPACE') {
       return this.deleteLetter();
-    } else if (key.match(/^[A-Z]$/)) {
+    } else if (key.length === 1 && this.pack.alphabet.includes(key)) {
       return this.addLetter(key);
     }
 
@@ -163,6 +372,39 @@ export class GameLogic {
     const guess = this.getCurrentGuess();
     
     if (!this.isValidWord(guess)) {
+      // Point American spellings at the British form (en-GB only)
+      const britishSpelling = this.pack.britishSpellings ? getBritishSpelling(guess) : null;
+      if (britishSpelling) {
+        // Count each spelling once per game, however often ENTER is pressed
+        const variant = guess.toUpperCase();
+        if (!this.spellingVariants.has(variant)) {
+          this.spellingVariants.add(variant);
+          this.statistics.recordSpellingVariant(variant);
+        }
+        return {
+          success: false,
+          reason: britishSpelling.length === this.maxCols
+            ? `Try the British spelling: ${britishSpelling}`
+            : `Not in word list (British spelling: ${britishSpelling})`,
+          action: 'shake_row',
+          row: this.currentRow,
+          britishSpelling
+        };
+      }
+
+      // The full guess list may still be on its way; judge the word once it arrives
+      const guessDictionary = getGuessDictionary(this.language);
+      if (guessDictionary.isPending(this.maxCols)) {
+        guessDictionary.load();
+        return {
+          success: false,
+          reason: 'Checking…',
+          action: 'checking',
+          row: this.currentRow,
+          guess
+        };
+      }
+
       return {
         success: false,
         reason: 'Not in word list',
@@ -171,23 +413,48 @@ export class GameLogic {
       };
     }
 
-    // Validate the guess and get feedback
+    // In hard mode every revealed hint must be reused
+    if (this.hardMode) {
+      const violation = this.checkHardModeConstraints(guess);
+      if (violation) {
+        return {
+          success: false,
+          reason: violation,
+          action: 'shake_row',
+          row: this.currentRow
+        };
+      }
+    }
+
+    // Validate the guess on every board that is still being played
     const result = this.validateGuess(guess);
-    this.guesses.push({ word: guess, result: result.states });
+    const boards = result.boards.map((states, board) => (this.isBoardSolved(board) ? null : states));
+    const guessRecord = { word: guess, result: result.states };
+    if (this.boardCount > 1) {
+      guessRecord.boards = boards;
+    }
+    this.guesses.push(guessRecord);
 
     // Update letter states for keyboard
-    this.updateLetterStates(guess, result.states);
+    this.updateLetterStates(guess, boards);
 
-    // Check win condition
-    if (result.states.every(state => state === 'correct')) {
+    // Check win condition (every board solved)
+    if (boards.every((_, board) => this.isBoardSolved(board))) {
       this.gameState = 'won';
       
       // Record win in statistics
       this.statistics.recordGame({
         won: true,
         guessCount: this.currentRow + 1,
-        targetWord: this.targetWord,
-        gameMode: this.gameMode
+        targetWord: this.getTargets().join(', '),
+        gameMode: this.gameMode,
+        hardMode: this.hardMode,
+        hintsUsed: this.hintsUsed.length,
+        dayNumber: this.dayNumber,
+        wordLength: this.maxCols,
+        maxRows: this.maxRows,
+        boardCount: this.boardCount,
+        guesses: this.guesses
       });
       
       // Save game state after win
@@ -199,6 +466,7 @@ export class GameLogic {
         row: this.currentRow,
         letters: guess.split(''),
         states: result.states,
+        boards,
         guessCount: this.currentRow + 1
       };
     }
@@ -215,8 +483,15 @@ export class GameLogic {
       this.statistics.recordGame({
         won: false,
         guessCount: this.maxRows,
-        targetWord: this.targetWord,
-        gameMode: this.gameMode
+        targetWord: this.getTargets().join(', '),
+        gameMode: this.gameMode,
+        hardMode: this.hardMode,
+        hintsUsed: this.hintsUsed.length,
+        dayNumber: this.dayNumber,
+        wordLength: this.maxCols,
+        maxRows: this.maxRows,
+        boardCount: this.boardCount,
+        guesses: this.guesses
       });
       
       // Save game state after loss
@@ -228,7 +503,8 @@ export class GameLogic {
         row: this.currentRow - 1,
         letters: guess.split(''),
         states: result.states,
-        targetWord: this.targetWord
+        boards,
+        targetWord: this.getTargets().join(', ')
       };
     }
 
@@ -240,16 +516,29 @@ export class GameLogic {
       action: 'continue_game',
       row: this.currentRow - 1,
       letters: guess.split(''),
-      states: result.states
+      states: result.states,
+      boards
     };
   }
 
-  // Validate a guess against the target word
-  validateGuess(guess) {
-    const target = this.targetWord.toUpperCase();
+  // Validate a guess against the target word (or any other target, for the solver)
+  // Given a list of targets, the guess is scored on each board: states are for the first
+  // board, boards holds every board's states and isWin means all of them are solved
+  validateGuess(guess, targetWord = this.getTargets()) {
+    if (Array.isArray(targetWord)) {
+      const boards = targetWord.map(target => this.validateGuess(guess, target).states);
+      return {
+        word: guess,
+        states: boards[0],
+        boards,
+        isWin: boards.every(states => states.every(state => state === 'correct'))
+      };
+    }
+
+    const target = targetWord.toUpperCase();
     const guessArray = guess.toUpperCase().split('');
     const targetArray = target.split('');
-    const states = new Array(5).fill('absent');
+    const states = new Array(guessArray.length).fill('absent');
     
     // Track letter counts in target word
     const targetCounts = {};
@@ -280,19 +569,78 @@ export class GameLogic {
     };
   }
 
+  // Check a guess against the hints revealed so far (hard mode)
+  // Returns a reason string for the first broken rule, or null if compliant
+  checkHardModeConstraints(guess) {
+    if (this.guesses.length === 0) return null;
+
+    // Hard mode only asks for greens in place and yellows reused, not for greys to be avoided
+    const { pattern, minCounts } = Lexicon.rulesFromGuesses(this.guesses);
+    if (this.lexicons.guesses.matches(guess, { pattern, minCounts })) return null;
+
+    const guessArray = guess.toUpperCase().split('');
+
+    // Green letters must stay in place
+    for (let i = 0; i < pattern.length; i++) {
+      if (pattern[i] && guessArray[i] !== pattern[i]) {
+        return `${this.getOrdinal(i + 1)} letter must be ${pattern[i]}`;
+      }
+    }
+
+    // Yellow letters must appear at least as often as they were revealed
+    for (const [letter, count] of Object.entries(minCounts)) {
+      const used = guessArray.filter(l => l === letter).length;
+      if (used < count) {
+        return `Guess must contain ${letter}`;
+      }
+    }
+
+    return null;
+  }
+
+  // Format a 1-based position as an ordinal (1st, 2nd, 3rd...)
+  getOrdinal(n) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    const lastTwo = n % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) return `${n}th`;
+    return `${n}${suffixes[n % 10] || 'th'}`;
+  }
+
   // Update letter states for keyboard display
+  // Takes one states array, or a list with one per board (null for boards already solved)
   updateLetterStates(guess, states) {
-    guess.split('').forEach((letter, i) => {
-      const currentState = this.letterStates.get(letter);
-      const newState = states[i];
-      
-      // Priority: correct > present > absent > unused
-      const statePriority = { unused: 0, absent: 1, present: 2, correct: 3 };
-      
-      if (statePriority[newState] > statePriority[currentState]) {
-        this.letterStates.set(letter, newState);
+    const boardStates = Array.isArray(states[0]) || states[0] === null ? states : [states];
+
+    // Priority: correct > present > absent > unused
+    const statePriority = { unused: 0, absent: 1, present: 2, correct: 3 };
+    const upgrade = (letterStates, letter, newState) => {
+      if (statePriority[newState] > statePriority[letterStates.get(letter)]) {
+        letterStates.set(letter, newState);
+      }
+    };
+
+    boardStates.forEach((boardResult, board) => {
+      if (!boardResult) return;
+      if (!this.boardLetterStates[board]) {
+        this.boardLetterStates[board] = this.createLetterStates();
       }
+
+      guess.split('').forEach((letter, i) => {
+        upgrade(this.letterStates, letter, boardResult[i]);
+        upgrade(this.boardLetterStates[board], letter, boardResult[i]);
+      });
+    });
+  }
+
+  // Keyboard colours for every board, e.g. { A: ['correct', 'absent'] }
+  getBoardLetterStates() {
+    const keyboard = {};
+    this.letterStates.forEach((_, letter) => {
+      keyboard[letter] = this.getTargets().map((__, board) => (
+        this.boardLetterStates[board]?.get(letter) || 'unused'
+      ));
     });
+    return keyboard;
   }
 
   // Get current guess (overridden by UI integration)
@@ -308,13 +656,18 @@ export class GameLogic {
       currentCol: this.currentCol,
       targetWord: this.targetWord,
       guesses: this.guesses,
-      letterStates: Object.fromEntries(this.letterStates)
+      letterStates: Object.fromEntries(this.letterStates),
+      hardMode: this.hardMode,
+      wordLength: this.maxCols,
+      maxRows: this.maxRows,
+      boardCount: this.boardCount,
+      targetWords: [...this.getTargets()]
     };
   }
 
   // Reset game state
   reset() {
-    this.startNewGame();
+    this.startNewGame(null, this.gameMode);
   }
 
 
@@ -333,17 +686,382 @@ export class GameLogic {
     return this.gameMode === 'daily';
   }
 
+  // Check if game is in practice mode
+  isPracticeMode() {
+    return this.gameMode === 'practice';
+  }
+
 
   // Start today's daily game
   startDailyGame() {
     return this.startNewGame(null, 'daily');
   }
 
+  // Start a fresh practice game with a random word
+  startPracticeGame() {
+    this.clearGameState('practice');
+    this.startNewGame(null, 'practice');
+    this.saveGameState();
+    return this.targetWord;
+  }
+
+  // Start (or resume) a past daily puzzle by its day number
+  startArchiveGame(dayNumber) {
+    const todayNumber = this.dailyWordGenerator.getCurrentDayNumber();
+    if (!Number.isInteger(dayNumber) || dayNumber < 0 || dayNumber >= todayNumber) {
+      return { success: false, reason: 'Puzzle not available' };
+    }
+
+    const savedState = this.loadGameState('archive');
+    if (savedState && savedState.dayNumber === dayNumber && savedState.gameState === 'playing') {
+      this.restoreGameState(savedState);
+    } else {
+      this.clearGameState('archive');
+      this.startNewGame(null, 'archive', dayNumber);
+    }
+
+    return { success: true, dayNumber };
+  }
+
+  // Check if game is in archive mode
+  isArchiveMode() {
+    return this.gameMode === 'archive';
+  }
+
+  // List past daily puzzles with the player's result for each
+  getArchiveDays() {
+    const archiveResults = this.statistics.getArchiveResults();
+    const dailyResults = this.statistics.getDailyResults();
+
+    return this.dailyWordGenerator.getArchiveDays().map(day => ({
+      ...day,
+      result: archiveResults[day.dayNumber] || dailyResults[day.isoDate] || null
+    }));
+  }
+
+  // Switch between daily, practice and multi-board play, resuming any unfinished game
+  switchMode(mode, boardCount = 2) {
+    if (mode === 'multi') {
+      this.startMultiBoardGame(boardCount);
+    } else if (mode === 'practice') {
+      const savedState = this.loadGameState('practice');
+      if (savedState && savedState.gameState === 'playing') {
+        this.restoreGameState(savedState);
+      } else {
+        this.startPracticeGame();
+      }
+    } else {
+      this.initializeDailyGame();
+    }
+
+    return this.gameMode;
+  }
+
+  // Start (or resume) today's multi-board puzzle with 2 or 4 boards
+  startMultiBoardGame(boardCount) {
+    if (!isSupportedBoardCount(boardCount)) {
+      return { success: false, reason: `Unsupported number of boards: ${boardCount}` };
+    }
+
+    this.boardCount = boardCount;
+    const savedState = this.loadGameState('multi');
+    if (savedState && savedState.date === dayClock.getTodayKey() && savedState.boardCount === boardCount) {
+      this.restoreGameState(savedState);
+    } else {
+      this.clearGameState('multi');
+      this.startNewGame(null, 'multi');
+      this.saveGameState();
+    }
+
+    return { success: true, boardCount, dayNumber: this.dayNumber };
+  }
+
+  // Check if game is in multi-board mode
+  isMultiBoardMode() {
+    return this.gameMode === 'multi';
+  }
+
   // Get word for a specific date (for testing/admin)
   getWordForDate(dateString) {
     return this.dailyWordGenerator.getWordForDate(dateString);
   }
 
+  // Enable or disable hard mode
+  // Hard mode can only be switched on before the first guess of a round
+  setHardMode(enabled) {
+    if (enabled && !this.hardMode && this.gameState === 'playing' && this.guesses.length > 0) {
+      return { success: false, reason: 'Hard mode can only be enabled at the start of a round' };
+    }
+
+    this.settings.hardMode = enabled;
+    this.saveSettings();
+
+    // Only change the current game if it is still open (multi-board games never use hard mode)
+    if (this.gameState === 'playing' && !this.isMultiBoardMode()) {
+      this.hardMode = enabled;
+      if (this.guesses.length > 0) {
+        this.saveGameState();
+      }
+    }
+
+    return { success: true, hardMode: enabled };
+  }
+
+  // Check if hard mode is enabled
+  isHardMode() {
+    return this.hardMode;
+  }
+
+  // Get a copy of the player settings
+  getSettings() {
+    return { ...this.settings, practiceRows: { ...this.settings.practiceRows } };
+  }
+
+  // Word length and guess count for practice games
+  // Languages without the chosen length fall back to the classic five letters
+  getPracticeSize() {
+    const wordLength = isSupportedWordLength(this.settings.practiceWordLength, this.language)
+      ? this.settings.practiceWordLength
+      : DEFAULT_WORD_LENGTH;
+    const rows = this.settings.practiceRows[wordLength] ?? getBoardSize(wordLength, this.language).defaultRows;
+    return { wordLength, rows };
+  }
+
+  // Choose the practice word length and (optionally) its number of guesses
+  // An untouched practice game is restarted at the new size straight away
+  setPracticeSize(wordLength, rows = null) {
+    if (!isSupportedWordLength(wordLength, this.language)) {
+      return { success: false, reason: `Unsupported word length: ${wordLength}` };
+    }
+    if (rows !== null && !isValidRowCount(rows)) {
+      return { success: false, reason: `Invalid number of guesses: ${rows}` };
+    }
+
+    this.settings.practiceWordLength = wordLength;
+    if (rows !== null) {
+      this.settings.practiceRows[wordLength] = rows;
+    }
+    this.saveSettings();
+
+    const restarted = this.isPracticeMode() && this.guesses.length === 0 && this.hintsUsed.length === 0;
+    if (restarted) {
+      this.startPracticeGame();
+    }
+
+    return { success: true, ...this.getPracticeSize(), restarted };
+  }
+
+  // Get default player settings
+  getDefaultSettings() {
+    return {
+      hardMode: false,
+      highContrast: false,
+      shareIncludeDate: true,
+      showCandidates: false,
+      enableHints: false,
+      practiceWordLength: DEFAULT_WORD_LENGTH,
+      practiceRows: {}, // Guess count overrides keyed by word length
+      language: DEFAULT_LANGUAGE
+    };
+  }
+
+  // Load player settings from storage
+  loadSettings() {
+    const saved = appStorage.get(this.settingsKey);
+    const defaults = this.getDefaultSettings();
+    if (!saved || typeof saved !== 'object') {
+      return defaults;
+    }
+    // Only keep known settings with the expected type
+    const settings = { ...defaults };
+    Object.keys(defaults).forEach(key => {
+      if (typeof saved[key] === typeof defaults[key]) {
+        settings[key] = saved[key];
+      }
+    });
+
+    // Board size preferences must name a supported length and a sensible row count
+    if (!isSupportedWordLength(settings.practiceWordLength)) {
+      settings.practiceWordLength = defaults.practiceWordLength;
+    }
+    const practiceRows = {};
+    if (settings.practiceRows && !Array.isArray(settings.practiceRows)) {
+      Object.entries(settings.practiceRows).forEach(([wordLength, rows]) => {
+        if (isSupportedWordLength(wordLength) && isValidRowCount(rows)) {
+          practiceRows[wordLength] = rows;
+        }
+      });
+    }
+    settings.practiceRows = practiceRows;
+
+    if (!isSupportedLanguage(settings.language)) {
+      settings.language = defaults.language;
+    }
+
+    return settings;
+  }
+
+  // Update a display/share preference
+  // Hard mode, board size and language have their own rules, see setHardMode, setPracticeSize and setLanguage
+  updateSetting(key, value) {
+    const defaults = this.getDefaultSettings();
+    const managed = ['hardMode', 'practiceWordLength', 'practiceRows', 'language'];
+    if (managed.includes(key) || !(key in defaults) || typeof value !== typeof defaults[key]) {
+      return { success: false, reason: `Unknown setting: ${key}` };
+    }
+
+    this.settings[key] = value;
+    this.saveSettings();
+    return { success: true, key, value };
+  }
+
+  // Save player settings to storage
+  saveSettings() {
+    return appStorage.set(this.settingsKey, this.settings);
+  }
+
+  // Build the emoji result text for a finished game
+  getShareText() {
+    if (this.gameState === 'playing') {
+      return null;
+    }
+
+    return resultSharer.buildShareText({
+      gameName: this.pack.shareName,
+      gameMode: this.gameMode,
+      dayNumber: this.dayNumber,
+      won: this.gameState === 'won',
+      guesses: this.guesses,
+      maxRows: this.maxRows,
+      wordLength: this.maxCols,
+      hardMode: this.hardMode,
+      hintsUsed: this.hintsUsed.length,
+      boardCount: this.boardCount
+    }, {
+      highContrast: this.settings.highContrast,
+      includeDate: this.settings.shareIncludeDate
+    });
+  }
+
+  // Replay the finished game through the solver, row by row (single board only)
+  getGameAnalysis() {
+    if (this.gameState === 'playing' || this.guesses.length === 0 || this.boardCount > 1) {
+      return null;
+    }
+
+    return {
+      targetWord: this.targetWord,
+      rows: this.getSolver().analyseGame(this.guesses)
+    };
+  }
+
+  // Solver for the current language and word length (reused so its cached opener survives between games)
+  getSolver() {
+    if (!this.solvers) {
+      this.solvers = new Map();
+    }
+    const key = `${this.language}:${this.maxCols}`;
+    if (!this.solvers.has(key)) {
+      this.solvers.set(key, new GameSolver(this.lexicons.answers, (guess, target) => this.validateGuess(guess, target).states));
+    }
+    return this.solvers.get(key);
+  }
+
+  // Answers still consistent with the feedback and hints so far
+  getRemainingCandidates() {
+    const rules = Lexicon.rulesFromGuesses(this.guesses);
+    const pattern = rules.pattern || new Array(this.maxCols).fill(null);
+    const maxCounts = { ...rules.maxCounts };
+
+    this.hintsUsed.forEach(hint => {
+      if (hint.type === 'position') {
+        pattern[hint.index] = hint.letter;
+      } else if (hint.type === 'absent') {
+        maxCounts[hint.letter] = 0;
+      }
+    });
+
+    return this.lexicons.answers.query({ ...rules, pattern, maxCounts });
+  }
+
+  // Use a hint: 'position' reveals where one letter goes,
+  // 'absent' removes one letter that isn't in the word from the keyboard
+  useHint(type) {
+    if (!this.initialized || this.gameState !== 'playing') {
+      return { success: false, reason: 'Game is over' };
+    }
+    if (this.boardCount > 1) {
+      return { success: false, reason: 'Hints are not available with multiple boards' };
+    }
+
+    const target = this.targetWord.toUpperCase();
+    let hint;
+
+    if (type === 'position') {
+      // Skip positions already solved by a green tile or an earlier hint
+      const known = new Set();
+      this.guesses.forEach(guess => {
+        guess.result.forEach((state, i) => {
+          if (state === 'correct') known.add(i);
+        });
+      });
+      this.hintsUsed.forEach(previous => {
+        if (previous.type === 'position') known.add(previous.index);
+      });
+
+      const index = target.split('').findIndex((_, i) => !known.has(i));
+      if (index === -1) {
+        return { success: false, reason: 'No letters left to reveal' };
+      }
+      hint = { type: 'position', index, letter: target[index] };
+    } else if (type === 'absent') {
+      const candidates = [...this.letterStates.keys()].filter(letter => (
+        this.letterStates.get(letter) === 'unused' && !target.includes(letter)
+      ));
+      if (candidates.length === 0) {
+        return { success: false, reason: 'No letters left to remove' };
+      }
+      const letter = candidates[Math.floor(Math.random() * candidates.length)];
+      this.letterStates.set(letter, 'absent');
+      hint = { type: 'absent', letter };
+    } else {
+      return { success: false, reason: 'Unknown hint type' };
+    }
+
+    this.hintsUsed.push(hint);
+    this.saveGameState();
+
+    return {
+      success: true,
+      action: 'hint',
+      hint,
+      message: this.describeHint(hint)
+    };
+  }
+
+  // Everything the assist panel needs: candidate count and hints used so far
+  // Assists are single-board only
+  getAssistInfo() {
+    const singleBoard = this.boardCount === 1;
+    const showCandidates = this.settings.showCandidates && singleBoard;
+    const enableHints = this.settings.enableHints && singleBoard;
+    return {
+      showCandidates,
+      enableHints,
+      playing: this.gameState === 'playing',
+      candidates: showCandidates ? this.getRemainingCandidates().length : null,
+      hints: this.hintsUsed.map(hint => this.describeHint(hint))
+    };
+  }
+
+  // Human-readable text for a hint
+  describeHint(hint) {
+    if (hint.type === 'position') {
+      return `${this.getOrdinal(hint.index + 1)} letter is ${hint.letter}`;
+    }
+    return `${hint.letter} is not in the word`;
+  }
+
   // Validate the daily word system
   validateDailySystem() {
     return this.dailyWordGenerator.validateSystem();
@@ -370,9 +1088,19 @@ export class GameLogic {
     return this.statistics.exportStats();
   }
 
-  // Import statistics
-  importStatistics(data) {
-    return this.statistics.importStats(data);
+  // Import statistics ('replace' or 'merge')
+  importStatistics(data, mode = 'replace') {
+    return this.statistics.importStats(data, mode);
+  }
+
+  // Work statistics out again from the game history (when they have drifted)
+  rebuildStatistics() {
+    return this.statistics.rebuildFromHistory();
+  }
+
+  // Preview what importing statistics would change
+  previewStatisticsImport(data) {
+    return this.statistics.previewImport(data);
   }
 
   // Reset statistics
@@ -382,7 +1110,7 @@ export class GameLogic {
 
   // Initialize daily game with state restoration
   initializeDailyGame() {
-    const today = new Date().toISOString().split('T')[0];
+    const today = dayClock.getTodayKey();
     const savedState = this.loadGameState();
     
     // Check if we have a saved state for today
@@ -396,10 +1124,19 @@ export class GameLogic {
     }
   }
 
-  // Save current game state to localStorage
+  // Get the storage key for a game mode's saved state
+  getStateKey(mode = this.gameMode) {
+    if (mode === 'practice') return this.practiceStateKey;
+    if (mode === 'archive') return this.archiveStateKey;
+    if (mode === 'multi') return `${this.multiStateKey}_${this.boardCount}`;
+    return this.gameStateKey;
+  }
+
+  // Save current game state to storage
   saveGameState() {
-    const today = new Date().toISOString().split('T')[0];
+    const today = dayClock.getTodayKey();
     const gameState = {
+      schemaVersion: gameStateMigrator.latestVersion,
       date: today,
       targetWord: this.targetWord,
       currentRow: this.currentRow,
@@ -407,15 +1144,25 @@ export class GameLogic {
       gameState: this.gameState,
       guesses: [...this.guesses],
       letterStates: Object.fromEntries(this.letterStates),
-      gameMode: this.gameMode
+      gameMode: this.gameMode,
+      hardMode: this.hardMode,
+      hintsUsed: [...this.hintsUsed],
+      spellingVariants: [...this.spellingVariants],
+      dayNumber: this.dayNumber,
+      wordLength: this.maxCols,
+      maxRows: this.maxRows,
+      boardCount: this.boardCount,
+      targetWords: [...this.getTargets()],
+      boardLetterStates: this.boardLetterStates.map(states => Object.fromEntries(states))
     };
     
-    return errorHandler.safeStorage.set(this.gameStateKey, gameState);
+    return appStorage.set(this.getStateKey(), gameState);
   }
 
-  // Load game state from localStorage
-  loadGameState() {
-    return errorHandler.safeStorage.get(this.gameStateKey);
+  // Load game state from storage
+  // Older schemas are backed up and migrated first
+  loadGameState(mode = 'daily') {
+    return gameStateMigrator.load(appStorage, this.getStateKey(mode));
   }
 
   // Restore game state from saved data
@@ -426,29 +1173,42 @@ export class GameLogic {
     this.gameState = savedState.gameState;
     this.guesses = [...savedState.guesses];
     this.gameMode = savedState.gameMode || 'daily';
+    this.hardMode = savedState.hardMode === true;
+    this.dayNumber = savedState.dayNumber ?? null;
+    this.hintsUsed = Array.isArray(savedState.hintsUsed) ? [...savedState.hintsUsed] : [];
+    this.spellingVariants = new Set(Array.isArray(savedState.spellingVariants) ? savedState.spellingVariants : []);
+    this.boardCount = isSupportedBoardCount(savedState.boardCount) ? savedState.boardCount : 1;
+    this.targetWords = this.boardCount > 1 && Array.isArray(savedState.targetWords)
+      ? [...savedState.targetWords]
+      : [this.targetWord];
+
+    // Games saved before board sizes existed are classic 5x6 games
+    const wordLength = isSupportedWordLength(savedState.wordLength, this.language) ? savedState.wordLength : DEFAULT_WORD_LENGTH;
+    this.applyBoardSize(wordLength, savedState.maxRows);
     
-    // Restore letter states
-    this.letterStates.clear();
+    // Restore letter states (all letters unused if none were saved)
+    this.letterStates = this.createLetterStates();
     if (savedState.letterStates) {
       Object.entries(savedState.letterStates).forEach(([letter, state]) => {
         this.letterStates.set(letter, state);
       });
-    } else {
-      // Initialize all letters as unused if no saved states
-      for (let i = 65; i <= 90; i++) {
-        this.letterStates.set(String.fromCharCode(i), 'unused');
-      }
     }
+    this.boardLetterStates = this.targetWords.map((_, board) => {
+      const states = this.createLetterStates();
+      const saved = savedState.boardLetterStates?.[board] || (board === 0 ? savedState.letterStates : null);
+      Object.entries(saved || {}).forEach(([letter, state]) => states.set(letter, state));
+      return states;
+    });
   }
 
   // Clear saved game state
-  clearGameState() {
-    errorHandler.safeStorage.remove(this.gameStateKey);
+  clearGameState(mode = 'daily') {
+    appStorage.remove(this.getStateKey(mode));
   }
 
   // Check if today's daily word has been completed
   isDailyWordCompleted() {
-    const today = new Date().toISOString().split('T')[0];
+    const today = dayClock.getTodayKey();
     const savedState = this.loadGameState();
     
     return savedState && 
@@ -0,0 +1,104 @@
+// Full guess dictionary for Word Up
+// Each language pack's complete 5-letter list lives in its own chunk and is merged
+// into the pack's five-letter lexicon once it has loaded, so it never delays first paint
+
+import { DEFAULT_WORD_LENGTH, getLexicons } from './board-sizes.js';
+import { DEFAULT_LANGUAGE, getLanguagePack } from './language-packs.js';
+import { dictionaryLoader } from './dictionary-loader.js';
+import { errorHandler } from './error-handler.js';
+
+export class GuessDictionary {
+  // importList returns a promise for the dictionary module (swappable in tests);
+  // null means the pack has no full list, so nothing is ever pending
+  constructor(importList = getLanguagePack(DEFAULT_LANGUAGE).fullGuessList.load, language = DEFAULT_LANGUAGE) {
+    const { fullGuessList } = getLanguagePack(language);
+    this.importList = importList;
+    this.language = language;
+    this.listName = fullGuessList?.name;
+    this.exportName = fullGuessList?.exportName;
+    this.status = importList ? 'idle' : 'loaded'; // 'idle', 'loading', 'loaded' or 'failed'
+    this.loading = null;
+    this.wordCount = 0;
+  }
+
+  // Load the full list (only once); resolves to true when the words are available
+  load() {
+    if (this.status === 'loaded') {
+      return Promise.resolve(true);
+    }
+    if (this.loading) {
+      return this.loading;
+    }
+
+    this.status = 'loading';
+    this.loading = this.importList()
+      .then(module => {
+        const prefix = this.language === DEFAULT_LANGUAGE ? '' : `${this.language}/`;
+        const { words, report } = dictionaryLoader.load(
+          `${prefix}${this.listName}-${DEFAULT_WORD_LENGTH}`,
+          module[this.exportName],
+          DEFAULT_WORD_LENGTH,
+          getLanguagePack(this.language).alphabet
+        );
+        if (report.rejected.length > 0) {
+          errorHandler.logWarning('Dictionary Validation', { list: report.name, rejected: report.rejected });
+        }
+
+        // Same filter as the built-in guesses, so en-GB keeps rejecting American spellings
+        const keepGuess = getLanguagePack(this.language).keepGuess || (() => true);
+        const kept = words.filter(keepGuess);
+        const lexicon = getLexicons(DEFAULT_WORD_LENGTH, this.language).guesses;
+        kept.forEach(word => lexicon.add(word));
+
+        this.wordCount = kept.length;
+        this.status = 'loaded';
+        return true;
+      })
+      .catch(error => {
+        // Guesses fall back to the built-in list; a later load can try again
+        this.status = 'failed';
+        errorHandler.logWarning('Dictionary Load Error', { message: error?.message });
+        return false;
+      })
+      .finally(() => {
+        this.loading = null;
+      });
+
+    return this.loading;
+  }
+
+  // Load once the browser has painted and is idle
+  loadAfterFirstPaint() {
+    const start = () => this.load();
+    if (typeof window.requestIdleCallback === 'function') {
+      requestAnimationFrame(() => window.requestIdleCallback(start, { timeout: 2000 }));
+    } else {
+      requestAnimationFrame(() => setTimeout(start, 0));
+    }
+  }
+
+  // Check if a word can only be judged once the full list has arrived
+  // (five-letter words while the list is still missing)
+  isPending(wordLength = DEFAULT_WORD_LENGTH) {
+    return wordLength === DEFAULT_WORD_LENGTH && (this.status === 'idle' || this.status === 'loading');
+  }
+
+  // Check if the full list is available
+  isLoaded() {
+    return this.status === 'loaded';
+  }
+}
+
+// Full guess dictionary for each language, created on first use
+const dictionaries = new Map();
+
+export function getGuessDictionary(language = DEFAULT_LANGUAGE) {
+  if (!dictionaries.has(language)) {
+    const { fullGuessList } = getLanguagePack(language);
+    dictionaries.set(language, new GuessDictionary(fullGuessList ? fullGuessList.load : null, language));
+  }
+  return dictionaries.get(language);
+}
+
+// Create global guess dictionary instance (the default pack's list)
+export const guessDictionary = getGuessDictionary(DEFAULT_LANGUAGE);
@@ -0,0 +1,8 @@
+// HTML helpers for Word Up
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Escape text for use in markup and attribute values (saved and imported data can hold anything)
+export function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, character => ENTITIES[character]);
+}
@@ -0,0 +1,167 @@
+// Language packs for Word Up
+// Each pack brings its own word lists, keyboard, daily schedule and statistics
+
+import { ANSWERS } from './dictionaries/answers.js';
+import { VALID_GUESSES } from './dictionaries/valid-guesses.js';
+import { ANSWERS_4, VALID_GUESSES_4 } from './dictionaries/words-4.js';
+import { ANSWERS_6, VALID_GUESSES_6 } from './dictionaries/words-6.js';
+import { ANSWERS_7, VALID_GUESSES_7 } from './dictionaries/words-7.js';
+import { ANSWERS_ES } from './dictionaries/es/answers.js';
+import { BRITISH_SPELLINGS } from './dictionaries/spelling-variants.js';
+import { BLOCKED_WORDS } from './dictionaries/curation/blocklist.js';
+import { RETIRED_WORDS } from './dictionaries/curation/retired.js';
+import { WORD_OVERRIDES } from './dictionaries/curation/overrides.js';
+
+export const DEFAULT_LANGUAGE = 'en-GB';
+
+// The first en-GB schedule indexes the answer list as it shipped, so entries the
+// loader rejects are swapped for a five-letter word in the same position
+const LEGACY_ANSWER_FIXES = { AFAR: 'ALOFT' };
+const LEGACY_ANSWERS = ANSWERS.map(word => LEGACY_ANSWER_FIXES[word] || word);
+
+const ENGLISH_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const SPANISH_ALPHABET = 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ';
+
+const QWERTY = [
+  ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+  ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
+  ['BACKSPACE', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'ENTER']
+];
+
+const QWERTY_ES = [
+  ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
+  ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L', 'Ñ'],
+  ['BACKSPACE', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'ENTER']
+];
+
+// British forms that have an American spelling, e.g. COLOUR (spelt COLOR in en-US)
+const BRITISH_FORMS = new Set(Object.values(BRITISH_SPELLINGS));
+const isAmericanSpelling = word => Object.prototype.hasOwnProperty.call(BRITISH_SPELLINGS, word);
+
+// Both spellings of one length, added to the en-US guess lists
+// (British forms are dropped from en-US answers, so they'd otherwise stop being guesses)
+const bothSpellings = wordLength => Object.entries(BRITISH_SPELLINGS)
+  .flat()
+  .filter(word => word.length === wordLength);
+
+// Word lists for each length, shared by the English packs
+// Rows is the default number of guesses for that length
+const ENGLISH_WORD_LISTS = {
+  4: { defaultRows: 6, answers: ANSWERS_4, validGuesses: VALID_GUESSES_4 },
+  5: { defaultRows: 6, answers: ANSWERS, validGuesses: VALID_GUESSES },
+  6: { defaultRows: 6, answers: ANSWERS_6, validGuesses: VALID_GUESSES_6 },
+  7: { defaultRows: 7, answers: ANSWERS_7, validGuesses: VALID_GUESSES_7 }
+};
+
+// Pack fields:
+// - alphabet / keyboard: letters the pack plays with and the on-screen layout
+// - wordLists: raw answers and guesses per word length (cleaned in board-sizes.js)
+// - keepAnswer / keepGuess: optional filters applied to those lists
+// - fullGuessList: the large guess list loaded after first paint (see guess-dictionary.js)
+// - schedule: salts for the daily words; each pack has its own so schedules don't match
+// - legacyAnswers: the answer list the first schedule indexes (en-GB only)
+// - curation: blocked and retired words and per-day overrides (see daily-word.js)
+// - britishSpellings: point American spellings at the British form
+// - definitions: whether answers have entries in dictionary-metadata.js
+export const LANGUAGE_PACKS = {
+  'en-GB': {
+    id: 'en-GB',
+    name: 'English (UK)',
+    shareName: 'Word Up',
+    alphabet: ENGLISH_ALPHABET,
+    keyboard: QWERTY,
+    wordLists: ENGLISH_WORD_LISTS,
+    // American spellings are left out so players are pointed at the British form instead
+    keepAnswer: word => !isAmericanSpelling(word),
+    keepGuess: word => !isAmericanSpelling(word),
+    fullGuessList: {
+      name: 'british-guesses',
+      exportName: 'BRITISH_GUESSES',
+      load: () => import('./dictionaries/british-guesses.js')
+    },
+    schedule: {
+      seedSalt: 'WORDUP_DAILY_2024',
+      multiBoardSalt: 'WORDUP_MULTI',
+      versions: [
+        { version: 1, startDay: 0, salt: 'WORDUP_DAILY_2024', type: 'hash' },
+        { version: 2, startDay: 1023, salt: 'WORDUP_SCHEDULE_V2', type: 'permutation' } // 2026-10-20
+      ]
+    },
+    legacyAnswers: LEGACY_ANSWERS,
+    curation: { blocked: BLOCKED_WORDS, retired: RETIRED_WORDS, overrides: WORD_OVERRIDES },
+    britishSpellings: true,
+    definitions: true
+  },
+  'en-US': {
+    id: 'en-US',
+    name: 'English (US)',
+    shareName: 'Word Up US',
+    alphabet: ENGLISH_ALPHABET,
+    keyboard: QWERTY,
+    wordLists: Object.fromEntries(Object.entries(ENGLISH_WORD_LISTS).map(([wordLength, list]) => [
+      wordLength,
+      { ...list, validGuesses: [...list.validGuesses, ...bothSpellings(Number(wordLength))] }
+    ])),
+    // Both spellings are accepted as guesses, but answers use the American one
+    keepAnswer: word => !BRITISH_FORMS.has(word),
+    fullGuessList: {
+      name: 'british-guesses',
+      exportName: 'BRITISH_GUESSES',
+      load: () => import('./dictionaries/british-guesses.js')
+    },
+    schedule: {
+      seedSalt: 'WORDUP_DAILY_EN_US',
+      multiBoardSalt: 'WORDUP_MULTI_EN_US',
+      versions: [{ version: 1, startDay: 0, salt: 'WORDUP_SCHEDULE_EN_US', type: 'permutation' }]
+    },
+    // Day overrides are picked for the en-GB schedule, so only the word lists carry over
+    curation: { blocked: BLOCKED_WORDS, retired: RETIRED_WORDS, overrides: {} },
+    britishSpellings: false,
+    definitions: true
+  },
+  es: {
+    id: 'es',
+    name: 'Español',
+    shareName: 'Word Up ES',
+    alphabet: SPANISH_ALPHABET,
+    keyboard: QWERTY_ES,
+    wordLists: {
+      5: { defaultRows: 6, answers: ANSWERS_ES, validGuesses: [] }
+    },
+    fullGuessList: {
+      name: 'spanish-guesses',
+      exportName: 'SPANISH_GUESSES',
+      load: () => import('./dictionaries/es/guesses.js')
+    },
+    schedule: {
+      seedSalt: 'WORDUP_DAILY_ES',
+      multiBoardSalt: 'WORDUP_MULTI_ES',
+      versions: [{ version: 1, startDay: 0, salt: 'WORDUP_SCHEDULE_ES', type: 'permutation' }]
+    },
+    curation: { blocked: [], retired: [], overrides: {} },
+    britishSpellings: false,
+    definitions: false
+  }
+};
+
+// Languages players can choose from
+export const LANGUAGES = Object.keys(LANGUAGE_PACKS);
+
+// Check a language pack exists
+export function isSupportedLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(LANGUAGE_PACKS, language);
+}
+
+// Get a language pack (throws for unknown languages)
+export function getLanguagePack(language = DEFAULT_LANGUAGE) {
+  if (!isSupportedLanguage(language)) {
+    throw new Error(`Unsupported language: ${language}`);
+  }
+  return LANGUAGE_PACKS[language];
+}
+
+// Storage key for per-language data such as statistics and saved games
+// The default pack keeps the original keys so existing players lose nothing
+export function getLanguageStorageKey(baseKey, language = DEFAULT_LANGUAGE) {
+  return language === DEFAULT_LANGUAGE ? baseKey : `${baseKey}_${language}`;
+}
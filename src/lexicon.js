@@ -0,0 +1,194 @@
+// Indexed word lookup for Word Up
+// A set for membership checks and a letter trie for pattern queries
+
+const WILDCARDS = new Set(['?', '.', '_', '*']);
+
+export class Lexicon {
+  constructor(words = []) {
+    this.words = [];
+    this.wordSet = new Set();
+    this.root = { children: new Map(), word: null };
+
+    words.forEach(word => this.add(word));
+  }
+
+  // Add one word (stored uppercase)
+  add(word) {
+    const upperWord = String(word).toUpperCase();
+    if (this.wordSet.has(upperWord)) return;
+
+    this.wordSet.add(upperWord);
+    this.words.push(upperWord);
+
+    let node = this.root;
+    for (const letter of upperWord) {
+      if (!node.children.has(letter)) {
+        node.children.set(letter, { children: new Map(), word: null });
+      }
+      node = node.children.get(letter);
+    }
+    node.word = upperWord;
+  }
+
+  // Number of words
+  get size() {
+    return this.wordSet.size;
+  }
+
+  // Check if a word is in the lexicon
+  has(word) {
+    return typeof word === 'string' && this.wordSet.has(word.toUpperCase());
+  }
+
+  // Find words matching a pattern and letter rules
+  // Accepts a pattern string such as "C?A?E" ('?', '.', '_' or '*' match any letter)
+  // or an object: { pattern, exclude, include, notAt, minCounts, maxCounts }
+  // - exclude: letters that can't appear, e.g. ['X', 'Y']
+  // - include: letters that must appear somewhere
+  // - notAt: letters that can't be at a position, as an array of letter lists or { letter: [positions] }
+  // - minCounts / maxCounts: how often a letter must / may appear, e.g. { L: 2 }
+  query(rules) {
+    const constraints = this.compileRules(typeof rules === 'string' ? { pattern: rules } : rules || {});
+    const matches = [];
+    this.collectMatches(this.root, 0, constraints, matches);
+    return matches;
+  }
+
+  // Check one word against the same rules as query
+  matches(word, rules) {
+    return this.filter([word], rules).length === 1;
+  }
+
+  // Keep the words from a list (in or out of the lexicon) that match the rules
+  filter(words, rules) {
+    const constraints = this.compileRules(typeof rules === 'string' ? { pattern: rules } : rules || {});
+    return words.filter(word => this.matchesConstraints(String(word).toUpperCase(), constraints));
+  }
+
+  // Check one uppercase word against compiled rules
+  matchesConstraints(word, constraints) {
+    if (constraints.length !== null && word.length !== constraints.length) return false;
+
+    for (let i = 0; i < word.length; i++) {
+      if (!this.isAllowedAt(word[i], i, constraints)) return false;
+    }
+    return this.hasAllowedCounts(word, constraints);
+  }
+
+  // Turn query rules into per-position and per-letter lookups
+  compileRules({ pattern = null, exclude = [], include = [], notAt = [], minCounts = {}, maxCounts = {} }) {
+    const positions = pattern === null
+      ? null
+      : [...(Array.isArray(pattern) ? pattern : String(pattern))]
+        .map(letter => (!letter || WILDCARDS.has(letter) ? null : letter.toUpperCase()));
+
+    const min = {};
+    const max = {};
+    Object.entries(minCounts).forEach(([letter, count]) => { min[letter.toUpperCase()] = count; });
+    Object.entries(maxCounts).forEach(([letter, count]) => { max[letter.toUpperCase()] = count; });
+    include.forEach(letter => {
+      const upper = letter.toUpperCase();
+      min[upper] = Math.max(min[upper] || 0, 1);
+    });
+    exclude.forEach(letter => { max[letter.toUpperCase()] = 0; });
+
+    const blocked = [];
+    const block = (letter, index) => {
+      blocked[index] = blocked[index] || new Set();
+      blocked[index].add(letter.toUpperCase());
+    };
+    if (Array.isArray(notAt)) {
+      notAt.forEach((letters, index) => [...(letters || [])].forEach(letter => block(letter, index)));
+    } else {
+      Object.entries(notAt).forEach(([letter, indexes]) => indexes.forEach(index => block(letter, index)));
+    }
+
+    return { positions, length: positions ? positions.length : null, min, max, blocked };
+  }
+
+  // Check a letter may sit at a position
+  isAllowedAt(letter, index, constraints) {
+    const fixed = constraints.positions?.[index];
+    if (fixed) return letter === fixed;
+    if (constraints.max[letter] === 0) return false;
+    return !constraints.blocked[index]?.has(letter);
+  }
+
+  // Check letter counts against the minimum and maximum rules
+  hasAllowedCounts(word, constraints) {
+    const counts = {};
+    for (const letter of word) {
+      counts[letter] = (counts[letter] || 0) + 1;
+    }
+    for (const [letter, count] of Object.entries(constraints.min)) {
+      if ((counts[letter] || 0) < count) return false;
+    }
+    for (const [letter, count] of Object.entries(constraints.max)) {
+      if ((counts[letter] || 0) > count) return false;
+    }
+    return true;
+  }
+
+  // Walk the trie, skipping branches the rules rule out
+  collectMatches(node, depth, constraints, matches) {
+    if (constraints.length !== null && depth > constraints.length) return;
+
+    if (node.word && (constraints.length === null || depth === constraints.length)
+      && this.hasAllowedCounts(node.word, constraints)) {
+      matches.push(node.word);
+    }
+
+    node.children.forEach((child, letter) => {
+      if (this.isAllowedAt(letter, depth, constraints)) {
+        this.collectMatches(child, depth + 1, constraints, matches);
+      }
+    });
+  }
+
+  // Rules for words that could still be the answer after some scored guesses
+  // Each guess is { word, result } with 'correct', 'present' or 'absent' states
+  static rulesFromGuesses(guesses) {
+    const pattern = [];
+    const notAt = [];
+    const minCounts = {};
+    const maxCounts = {};
+
+    guesses.forEach(({ word, result }) => {
+      const letters = word.toUpperCase().split('');
+      const found = {};
+      const missed = new Set();
+
+      letters.forEach((letter, i) => {
+        notAt[i] = notAt[i] || [];
+        if (result[i] === 'correct') {
+          pattern[i] = letter;
+          found[letter] = (found[letter] || 0) + 1;
+        } else {
+          notAt[i].push(letter);
+          if (result[i] === 'present') {
+            found[letter] = (found[letter] || 0) + 1;
+          } else {
+            missed.add(letter);
+          }
+        }
+      });
+
+      Object.entries(found).forEach(([letter, count]) => {
+        minCounts[letter] = Math.max(minCounts[letter] || 0, count);
+      });
+      // A grey tile means the word has no more of that letter than were coloured
+      missed.forEach(letter => {
+        maxCounts[letter] = found[letter] || 0;
+      });
+    });
+
+    return {
+      pattern: guesses.length > 0
+        ? Array.from({ length: guesses[0].word.length }, (_, i) => pattern[i] || null)
+        : null,
+      notAt,
+      minCounts,
+      maxCounts
+    };
+  }
+}
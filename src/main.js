@@ -3,41 +3,61 @@ import { GameUI } from './ui.js'
 import { GameLogic } from './game.js'
 import { PWAManager } from './pwa-manager.js'
 import { errorHandler } from './error-handler.js'
+import { dayClock } from './clock.js'
+import { resultSharer } from './share.js'
+import { getGuessDictionary } from './guess-dictionary.js'
+import { getWordLengths } from './board-sizes.js'
+import { wordInfo } from './word-info.js'
+import { appStorage } from './storage.js'
+import { createGamesCsv, createGuessesCsv, createSummaryCsv } from './csv-export.js'
+
+// Show a scored guess on the board(s) and keyboard
+function showGuessRow(gameUI, gameLogic, row, letters, states, boards, animate) {
+  if (gameLogic.boardCount > 1) {
+    gameUI.updateBoardRows(row, letters, boards, animate);
+    gameUI.updateKeyboardBoards(gameLogic.getBoardLetterStates());
+    return;
+  }
+
+  gameUI.updateRow(row, letters, states, animate);
+  letters.forEach((letter, i) => {
+    gameUI.updateKeyState(letter, states[i]);
+  });
+}
+
+// Add definitions of the answer(s) to the game status panel once they have loaded
+function showDefinitions(gameUI, gameLogic) {
+  if (!gameLogic.hasDefinitions()) return;
+  const targets = gameLogic.getTargets();
+  wordInfo.getInfoForWords(targets).then(entries => {
+    // Skip if the player has moved on to another game meanwhile
+    if (gameLogic.getTargets().join(',') === targets.join(',')) {
+      gameUI.showWordInfo(entries);
+    }
+  });
+}
 
 // Restore UI state from saved game data
 function restoreUIState(gameUI, gameLogic) {
   // If game is completed, show the completion status
   if (gameLogic.gameState === 'won' || gameLogic.gameState === 'lost') {
     // Restore all previous guesses to the UI
-    gameLogic.guesses.forEach((guess, rowIndex) => {
-      const letters = guess.word.split('');
-      const states = guess.result;
-      gameUI.updateRow(rowIndex, letters, states, false); // No animation on restore
-    });
-    
-    // Restore keyboard states
-    gameLogic.letterStates.forEach((state, letter) => {
-      if (state !== 'unused') {
-        gameUI.updateKeyState(letter, state);
-      }
-    });
+    restoreGuesses(gameUI, gameLogic);
     
     // Show the completion status
+    const targetWords = gameLogic.getTargets().join(', ');
     if (gameLogic.gameState === 'won') {
       const guessCount = gameLogic.guesses.length;
-      gameUI.showGameStatus(true, gameLogic.targetWord, guessCount);
+      gameUI.showGameStatus(true, targetWords, guessCount);
     } else {
-      gameUI.showGameStatus(false, gameLogic.targetWord);
+      gameUI.showGameStatus(false, targetWords);
     }
-  } else if (gameLogic.currentRow > 0 || gameLogic.currentCol > 0) {
+    showDefinitions(gameUI, gameLogic);
+  } else if (gameLogic.currentRow > 0 || gameLogic.currentCol > 0 || gameLogic.hintsUsed.length > 0) {
     // Game is in progress, restore the current state
     
     // Restore completed rows
-    gameLogic.guesses.forEach((guess, rowIndex) => {
-      const letters = guess.word.split('');
-      const states = guess.result;
-      gameUI.updateRow(rowIndex, letters, states, false); // No animation on restore
-    });
+    restoreGuesses(gameUI, gameLogic);
     
     // Restore current row if there are letters typed
     if (gameLogic.currentCol > 0) {
@@ -45,8 +65,20 @@ function restoreUIState(gameUI, gameLogic) {
       // This would require the UI to also save its tile state, but for now
       // we'll accept that partial rows are lost on refresh
     }
-    
-    // Restore keyboard states
+  }
+
+  gameUI.updateAssistPanel(gameLogic.getAssistInfo());
+}
+
+// Replay saved guesses and keyboard states without animation
+function restoreGuesses(gameUI, gameLogic) {
+  gameLogic.guesses.forEach((guess, rowIndex) => {
+    const letters = guess.word.split('');
+    showGuessRow(gameUI, gameLogic, rowIndex, letters, guess.result, guess.boards, false);
+  });
+  
+  // Restore keyboard states (hints can grey out letters that were never guessed)
+  if (gameLogic.boardCount === 1) {
     gameLogic.letterStates.forEach((state, letter) => {
       if (state !== 'unused') {
         gameUI.updateKeyState(letter, state);
@@ -56,12 +88,19 @@ function restoreUIState(gameUI, gameLogic) {
 }
 
 // Initialize the game when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
   // Check system health before initialization
   const systemHealth = errorHandler.checkSystemHealth();
+
+  // Draw the board straight away; the saved game fills it in once storage has opened
+  const gameUI = errorHandler.safeSync(() => new GameUI(), null, { operation: 'GameUI initialization' });
+  gameUI?.init();
+
+  // Open storage (IndexedDB where available) before anything reads saved data
+  // If it fails, saved data keeps coming straight from localStorage
+  await errorHandler.safeAsync(() => appStorage.init(), null, { operation: 'storage initialization' });
   
   // Initialize game components with error handling
-  const gameUI = errorHandler.safeSync(() => new GameUI(), null, { operation: 'GameUI initialization' });
   const gameLogic = errorHandler.safeSync(() => new GameLogic(), null, { operation: 'GameLogic initialization' });
   const pwaManager = errorHandler.safeSync(() => new PWAManager(), null, { operation: 'PWAManager initialization' });
 
@@ -75,7 +114,8 @@ document.addEventListener('DOMContentLoaded', () => {
     return;
   }
   
-  gameUI.init();
+  gameUI.setKeyboardLayout(gameLogic.getKeyboardLayout());
+  gameUI.applySettings(gameLogic.getSettings());
   
   // Game has already been initialized in GameLogic constructor
   // Check if we need to restore UI state for an ongoing game
@@ -84,17 +124,182 @@ document.addEventListener('DOMContentLoaded', () => {
   // Start the daily timer
   gameUI.startDailyTimer(gameLogic);
 
+  // Fetch the full guess list once the board is on screen
+  getGuessDictionary(gameLogic.getLanguage()).loadAfterFirstPaint();
+
   // Override stats button click to pass gameLogic
   const statsBtn = errorHandler.safeDom.querySelector('#stats-btn');
   if (statsBtn) {
     errorHandler.safeDom.addEventListener(statsBtn, 'click', () => {
       errorHandler.safeSync(() => {
         gameUI.showStats(gameLogic);
+        if (gameLogic.hasDefinitions()) {
+          wordInfo.load().then(() => gameUI.showRecentGameDefinitions(word => wordInfo.lookup(word)));
+        }
       }, null, { operation: 'showStats' });
     });
   }
 
+  // Switch between the daily puzzle and practice games
+  const loadCurrentGame = () => {
+    gameUI.resetBoard(gameLogic.maxRows, gameLogic.maxCols, gameLogic.boardCount);
+    gameUI.setActiveMode(gameLogic.gameMode, gameLogic.dayNumber, gameLogic.boardCount);
+    gameUI.updateDailyInfo(gameLogic.getDailyStats());
+    restoreUIState(gameUI, gameLogic);
+  };
+
+  document.addEventListener('switchMode', (e) => {
+    errorHandler.safeSync(() => {
+      gameLogic.switchMode(e.detail.mode, e.detail.boards);
+      loadCurrentGame();
+    }, null, { operation: 'switchMode', mode: e.detail?.mode });
+  });
+
+  document.addEventListener('newPracticeGame', () => {
+    errorHandler.safeSync(() => {
+      gameLogic.startPracticeGame();
+      loadCurrentGame();
+    }, null, { operation: 'newPracticeGame' });
+  });
+
+  document.addEventListener('showArchive', () => {
+    errorHandler.safeSync(() => {
+      gameUI.showArchiveModal(gameLogic.getArchiveDays());
+    }, null, { operation: 'showArchive' });
+  });
+
+  document.addEventListener('playArchiveDay', (e) => {
+    errorHandler.safeSync(() => {
+      const result = gameLogic.startArchiveGame(e.detail.dayNumber);
+      if (!result.success) {
+        gameUI.showMessage(result.reason, 'error');
+        return;
+      }
+      loadCurrentGame();
+    }, null, { operation: 'playArchiveDay', dayNumber: e.detail?.dayNumber });
+  });
+
+  // Settings button opens the settings modal
+  const settingsBtn = errorHandler.safeDom.querySelector('#settings-btn');
+  if (settingsBtn) {
+    errorHandler.safeDom.addEventListener(settingsBtn, 'click', () => {
+      errorHandler.safeSync(() => {
+        gameUI.showSettings(gameLogic);
+      }, null, { operation: 'showSettings' });
+    });
+  }
+
+  document.addEventListener('toggleHardMode', (e) => {
+    errorHandler.safeSync(() => {
+      const result = gameLogic.setHardMode(e.detail.enabled);
+      if (!result.success) {
+        gameUI.setHardModeToggle(gameLogic.isHardMode());
+        gameUI.showMessage(result.reason, 'error');
+      }
+    }, null, { operation: 'toggleHardMode' });
+  });
+
+  document.addEventListener('updateSetting', (e) => {
+    errorHandler.safeSync(() => {
+      const { key, value } = e.detail;
+      const result = gameLogic.updateSetting(key, value);
+      if (!result.success) {
+        throw new Error(result.reason);
+      }
+      gameUI.applySettings(gameLogic.getSettings());
+      gameUI.updateAssistPanel(gameLogic.getAssistInfo());
+    }, null, { operation: 'updateSetting', key: e.detail?.key });
+  });
+
+  // Practice word length and number of guesses
+  document.addEventListener('setPracticeSize', (e) => {
+    errorHandler.safeSync(() => {
+      const { wordLength, rows } = e.detail;
+      const result = gameLogic.setPracticeSize(wordLength, rows);
+      if (!result.success) {
+        throw new Error(result.reason);
+      }
+      gameUI.setPracticeSizeControls(result);
+      if (result.restarted) {
+        loadCurrentGame();
+      } else if (gameLogic.isPracticeMode()) {
+        gameUI.showMessage('New size applies from the next practice word', 'success');
+      }
+    }, null, { operation: 'setPracticeSize', wordLength: e.detail?.wordLength });
+  });
+
+  // Language pack: its own keyboard, word list, daily word and statistics
+  document.addEventListener('setLanguage', (e) => {
+    errorHandler.safeSync(() => {
+      const result = gameLogic.setLanguage(e.detail.language);
+      if (!result.success) {
+        throw new Error(result.reason);
+      }
+      if (!result.changed) return;
+
+      gameUI.setKeyboardLayout(gameLogic.getKeyboardLayout());
+      gameUI.setPracticeSizeControls({ ...gameLogic.getPracticeSize(), wordLengths: getWordLengths(result.language) });
+      loadCurrentGame();
+      getGuessDictionary(result.language).loadAfterFirstPaint();
+    }, null, { operation: 'setLanguage', language: e.detail?.language });
+  });
+
+  // Hints reveal a letter's position or grey out an absent letter
+  document.addEventListener('useHint', (e) => {
+    errorHandler.safeSync(() => {
+      const result = gameLogic.useHint(e.detail.type);
+      if (!result.success) {
+        gameUI.showMessage(result.reason, 'error');
+        return;
+      }
+
+      if (result.hint.type === 'absent') {
+        gameUI.updateKeyState(result.hint.letter, 'absent');
+      }
+      gameUI.showMessage(result.message, 'success');
+      gameUI.updateAssistPanel(gameLogic.getAssistInfo());
+    }, null, { operation: 'useHint', type: e.detail?.type });
+  });
+
+  // Share the result grid (Web Share API with clipboard fallback)
+  document.addEventListener('shareResult', () => {
+    errorHandler.safeAsync(async () => {
+      const text = gameLogic.getShareText();
+      if (!text) {
+        return;
+      }
+
+      const outcome = await resultSharer.share(text);
+      if (outcome === 'copied') {
+        gameUI.showMessage('Results copied to clipboard', 'success');
+      }
+    }, null, { operation: 'shareResult' });
+  });
+
+  document.addEventListener('showAnalysis', () => {
+    errorHandler.safeSync(() => {
+      const analysis = gameLogic.getGameAnalysis();
+      if (analysis) {
+        gameUI.showAnalysisModal(analysis);
+      }
+    }, null, { operation: 'showAnalysis' });
+  });
+
   // Add statistics event listeners
+  // Save text as a file through a temporary download link
+  const downloadFile = (contents, type, filename) => {
+    const dataBlob = new Blob([contents], { type });
+    const url = URL.createObjectURL(dataBlob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  };
+
   document.addEventListener('exportStats', () => {
     errorHandler.safeSync(() => {
       const statsData = gameLogic.exportStatistics();
@@ -103,21 +308,84 @@ document.addEventListener('DOMContentLoaded', () => {
       }
       
       const dataStr = JSON.stringify(statsData, null, 2);
-      const dataBlob = new Blob([dataStr], { type: 'application/json' });
-      const url = URL.createObjectURL(dataBlob);
-      
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `word-up-statistics-${new Date().toISOString().split('T')[0]}.json`;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(url);
+      downloadFile(dataStr, 'application/json', `word-up-statistics-${dayClock.getTodayKey()}.json`);
       
       gameUI.showMessage('Statistics exported successfully!', 'success');
     }, null, { operation: 'exportStats' });
   });
 
+  // Game history as CSV for spreadsheets, with an optional summary sheet as a second file
+  document.addEventListener('exportStatsCsv', (e) => {
+    errorHandler.safeSync(() => {
+      const statsData = gameLogic.exportStatistics();
+      if (!statsData) {
+        throw new Error('No statistics data available for export');
+      }
+      
+      const { perGuess, summary } = e.detail;
+      const { statistics, exportDate } = statsData;
+      const today = dayClock.getTodayKey();
+      downloadFile(
+        perGuess ? createGuessesCsv(statistics.gameHistory) : createGamesCsv(statistics.gameHistory),
+        'text/csv',
+        `word-up-${perGuess ? 'guesses' : 'games'}-${today}.csv`
+      );
+      if (summary) {
+        downloadFile(createSummaryCsv(statistics, exportDate), 'text/csv', `word-up-summary-${today}.csv`);
+      }
+      
+      gameUI.showMessage('Statistics exported successfully!', 'success');
+    }, null, { operation: 'exportStatsCsv' });
+  });
+
+  // Imported statistics wait here while their preview is on screen
+  let pendingImport = null;
+
+  document.addEventListener('previewImport', (e) => {
+    errorHandler.safeSync(() => {
+      const result = gameLogic.previewStatisticsImport(e.detail.data);
+      if (!result.success) {
+        pendingImport = null;
+        gameUI.showMessage(`Import failed: ${result.reason}`, 'error');
+        return;
+      }
+
+      pendingImport = e.detail.data;
+      gameUI.showImportPreviewModal(result.preview);
+    }, null, { operation: 'previewImport' });
+  });
+
+  document.addEventListener('importStats', (e) => {
+    errorHandler.safeSync(() => {
+      if (!pendingImport) {
+        return;
+      }
+
+      const imported = gameLogic.importStatistics(pendingImport, e.detail.mode);
+      pendingImport = null;
+      if (!imported) {
+        gameUI.showMessage('Import failed', 'error');
+        return;
+      }
+
+      gameUI.showStats(gameLogic);
+      gameUI.showMessage(e.detail.mode === 'merge' ? 'Statistics merged' : 'Statistics imported', 'success');
+    }, null, { operation: 'importStats' });
+  });
+
+  document.addEventListener('rebuildStats', () => {
+    errorHandler.safeSync(() => {
+      const result = gameLogic.rebuildStatistics();
+      if (!result.success) {
+        gameUI.showMessage(result.reason, 'error');
+        return;
+      }
+
+      gameUI.showStats(gameLogic);
+      gameUI.showMessage('Statistics recalculated from your game history', 'success');
+    }, null, { operation: 'rebuildStats' });
+  });
+
   document.addEventListener('resetStats', () => {
     gameLogic.resetStatistics();
   });
@@ -143,12 +411,22 @@ document.addEventListener('DOMContentLoaded', () => {
       }
 
       if (!result.success) {
-        // Handle errors
-        if (result.reason === 'Not enough letters' || result.reason === 'Not in word list') {
+        // Handle rejected guesses (too short, unknown word, hard mode rule)
+        if (result.action === 'shake_row') {
           gameUI.showMessage(result.reason, 'error');
-          if (result.action === 'shake_row') {
-            gameUI.shakeRow(result.row);
-          }
+          gameUI.shakeRow(result.row);
+        }
+
+        // Word not in the built-in list yet: submit again once the full list is in
+        if (result.action === 'checking') {
+          gameUI.showMessage(result.reason, 'warning');
+          gameUI.setRowChecking(result.row, true);
+          gameLogic.whenDictionaryReady().then(() => {
+            gameUI.setRowChecking(result.row, false);
+            if (gameLogic.currentRow === result.row && gameLogic.getCurrentGuess() === result.guess) {
+              document.dispatchEvent(new CustomEvent('keypress', { detail: { key: 'ENTER' } }));
+            }
+          });
         }
         return;
       }
@@ -164,42 +442,34 @@ document.addEventListener('DOMContentLoaded', () => {
           break;
 
         case 'continue_game':
-          // Update the completed row with results
-          gameUI.updateRow(result.row, result.letters, result.states, true);
-          
-          // Update keyboard states
-          result.letters.forEach((letter, i) => {
-            gameUI.updateKeyState(letter, result.states[i]);
-          });
+          // Update the completed row and keyboard with results
+          showGuessRow(gameUI, gameLogic, result.row, result.letters, result.states, result.boards, true);
+          gameUI.updateAssistPanel(gameLogic.getAssistInfo());
           break;
 
         case 'win_game':
-          // Update the winning row
-          gameUI.updateRow(result.row, result.letters, result.states, true);
-          
-          // Update keyboard states
-          result.letters.forEach((letter, i) => {
-            gameUI.updateKeyState(letter, result.states[i]);
-          });
+          // Update the winning row and keyboard
+          showGuessRow(gameUI, gameLogic, result.row, result.letters, result.states, result.boards, true);
           
+          gameUI.updateAssistPanel(gameLogic.getAssistInfo());
+
           // Show win message after animation
           setTimeout(() => {
-            gameUI.showGameStatus(true, gameLogic.targetWord, result.guessCount);
+            gameUI.showGameStatus(true, gameLogic.getTargets().join(', '), result.guessCount);
+            showDefinitions(gameUI, gameLogic);
           }, 700);
           break;
 
         case 'lose_game':
-          // Update the final row
-          gameUI.updateRow(result.row, result.letters, result.states, true);
-          
-          // Update keyboard states
-          result.letters.forEach((letter, i) => {
-            gameUI.updateKeyState(letter, result.states[i]);
-          });
+          // Update the final row and keyboard
+          showGuessRow(gameUI, gameLogic, result.row, result.letters, result.states, result.boards, true);
           
+          gameUI.updateAssistPanel(gameLogic.getAssistInfo());
+
           // Show lose message after animation
           setTimeout(() => {
             gameUI.showGameStatus(false, result.targetWord);
+            showDefinitions(gameUI, gameLogic);
           }, 700);
           break;
       }
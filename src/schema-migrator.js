@@ -0,0 +1,86 @@
+// Schema migrations for Word Up's stored data
+// Each stored object carries a schemaVersion. Migrations are numbered steps that each
+// move data from the previous version to their own, and run in order. Data from before
+// schemaVersion existed counts as version 1
+
+// Every migration run against stored data, oldest first
+export const MIGRATION_LOG_KEY = 'wordUp_migrationLog';
+
+export class SchemaMigrator {
+  // migrations: [{ version, description, migrate(data) }], one per version from 2 upwards
+  constructor(name, migrations) {
+    this.name = name;
+    this.migrations = [...migrations].sort((a, b) => a.version - b.version);
+    this.migrations.forEach((migration, index) => {
+      if (migration.version !== index + 2) {
+        throw new Error(`${name} migrations must be numbered 2, 3, 4…; found ${migration.version}`);
+      }
+    });
+  }
+
+  // Version the data will have once every migration has run
+  get latestVersion() {
+    return this.migrations.length + 1;
+  }
+
+  // Version of a stored object
+  getVersion(data) {
+    return Number.isInteger(data?.schemaVersion) && data.schemaVersion >= 1 ? data.schemaVersion : 1;
+  }
+
+  // Check a stored object is older than the latest version
+  needsMigration(data) {
+    return Boolean(data) && typeof data === 'object' && this.getVersion(data) < this.latestVersion;
+  }
+
+  // Run every migration the data hasn't had yet, on a copy
+  // Each step that runs is added to data.migrations; data from a newer version is left alone
+  migrate(data, date = new Date().toISOString()) {
+    const from = this.getVersion(data);
+    let migrated = JSON.parse(JSON.stringify(data));
+    const applied = [];
+
+    this.migrations
+      .filter(migration => migration.version > from)
+      .forEach(({ version, description, migrate }) => {
+        migrated = migrate(migrated);
+        migrated.schemaVersion = version;
+        applied.push({ version, description, date });
+      });
+
+    if (applied.length > 0) {
+      const history = Array.isArray(migrated.migrations) ? migrated.migrations : [];
+      migrated.migrations = [...history, ...applied];
+    }
+
+    return { data: migrated, from, to: this.getVersion(migrated), applied };
+  }
+
+  // Keep the stored copy as it was before migrating, one backup per starting version
+  backup(storage, key, data, date = new Date().toISOString()) {
+    const backupKey = `${key}_backup_v${this.getVersion(data)}`;
+    storage.set(backupKey, { backedUpAt: date, schema: this.name, data });
+    return backupKey;
+  }
+
+  // Read a stored object and bring it up to date: back it up, migrate it, save the
+  // result and add the run to the migration log
+  load(storage, key) {
+    const saved = storage.get(key);
+    if (!this.needsMigration(saved)) {
+      return saved;
+    }
+
+    const date = new Date().toISOString();
+    const backupKey = this.backup(storage, key, saved, date);
+    const { data, from, to, applied } = this.migrate(saved, date);
+    storage.set(key, data);
+
+    const log = storage.get(MIGRATION_LOG_KEY);
+    storage.set(MIGRATION_LOG_KEY, [
+      ...(Array.isArray(log) ? log : []),
+      { schema: this.name, key, from, to, versions: applied.map(step => step.version), backupKey, date }
+    ]);
+    return data;
+  }
+}
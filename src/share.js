@@ -0,0 +1,151 @@
+// Result sharing for Word Up
+// Builds the emoji result grid and hands it to the Web Share API or clipboard
+
+import { dayClock } from './clock.js';
+import { MULTI_BOARDS } from './board-sizes.js';
+
+// Keycap digits for per-board scores in multi-board results
+const KEYCAP_DIGITS = ['0️⃣', '1️⃣', '2️⃣', '3️⃣', '4️⃣', '5️⃣', '6️⃣', '7️⃣', '8️⃣', '9️⃣', '🔟'];
+
+export class ResultSharer {
+  constructor() {
+    this.tiles = {
+      standard: { correct: '🟩', present: '🟨', absent: '⬛' },
+      highContrast: { correct: '🟧', present: '🟦', absent: '⬛' }
+    };
+    this.emptyTile = '⬜';
+    this.unsolvedBoard = '🟥';
+  }
+
+  // Build the title line, e.g. "Word Up #123 4/6*" (* hard mode, 💡 hints used)
+  // Multi-board games are named by board count, e.g. "Word Up Quad #123 8/9"
+  // Boards other than the classic five letters add the length, e.g. "Word Up Practice (6 letters) 3/7"
+  // Other language packs use their own name, e.g. "Word Up ES #123 3/6"
+  buildTitle({ gameName = 'Word Up', gameMode, dayNumber, won, guesses, maxRows, wordLength = 5, hardMode, hintsUsed = 0, boardCount = 1 }) {
+    const modeName = boardCount > 1 ? `${gameName} ${MULTI_BOARDS[boardCount].label}` : gameName;
+    const baseName = gameMode === 'practice' || dayNumber === null || dayNumber === undefined
+      ? `${modeName} Practice`
+      : `${modeName} #${dayNumber}`;
+    const name = wordLength === 5 ? baseName : `${baseName} (${wordLength} letters)`;
+    const score = won ? guesses.length : 'X';
+    const hardModeMarker = hardMode ? '*' : '';
+    const hintMarker = hintsUsed > 0 ? ' 💡' : '';
+
+    return `${name} ${score}/${maxRows}${hardModeMarker}${hintMarker}`;
+  }
+
+  // Build the date line for the puzzle day
+  buildDateLine({ gameMode, dayNumber }) {
+    const dayKey = gameMode === 'practice' || dayNumber === null || dayNumber === undefined
+      ? dayClock.getTodayKey()
+      : dayClock.getDayKeyForNumber(dayNumber);
+
+    return dayClock.getDisplayDate(dayKey).toLocaleDateString('en-GB', {
+      weekday: 'short',
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  }
+
+  // Build one emoji row per guess
+  buildGrid(guesses, highContrast = false) {
+    const palette = highContrast ? this.tiles.highContrast : this.tiles.standard;
+    return guesses
+      .map(guess => guess.result.map(state => palette[state] || palette.absent).join(''))
+      .join('\n');
+  }
+
+  // Guess number each board was solved on, as keycaps (🟥 for unsolved boards)
+  buildBoardScores(guesses, boardCount) {
+    const scores = [];
+    for (let board = 0; board < boardCount; board++) {
+      const solvedIndex = guesses.findIndex(guess => (
+        guess.boards?.[board]?.every(state => state === 'correct')
+      ));
+      scores.push(solvedIndex === -1 ? this.unsolvedBoard : KEYCAP_DIGITS[solvedIndex + 1] || `${solvedIndex + 1}`);
+    }
+    return scores.join('');
+  }
+
+  // Build multi-board grids, two boards side by side
+  // Boards stop at the row they were solved on; shorter boards are padded with blank rows
+  buildMultiGrid(guesses, boardCount, highContrast = false) {
+    const palette = highContrast ? this.tiles.highContrast : this.tiles.standard;
+    const wordLength = guesses[0]?.word.length || 5;
+    const blankRow = this.emptyTile.repeat(wordLength);
+
+    const boardRows = [];
+    for (let board = 0; board < boardCount; board++) {
+      boardRows.push(guesses
+        .map(guess => guess.boards?.[board])
+        .filter(Boolean)
+        .map(states => states.map(state => palette[state] || palette.absent).join('')));
+    }
+
+    const blocks = [];
+    for (let board = 0; board < boardCount; board += 2) {
+      const left = boardRows[board];
+      const right = boardRows[board + 1] || [];
+      const height = Math.max(left.length, right.length);
+      const lines = [];
+      for (let row = 0; row < height; row++) {
+        const pair = [left[row] || blankRow];
+        if (board + 1 < boardCount) {
+          pair.push(right[row] || blankRow);
+        }
+        lines.push(pair.join(' '));
+      }
+      blocks.push(lines.join('\n'));
+    }
+
+    return blocks.join('\n\n');
+  }
+
+  // Build the full share text
+  // Options: highContrast swaps the tile colours, includeDate adds the date line
+  buildShareText(game, { highContrast = false, includeDate = true } = {}) {
+    const boardCount = game.boardCount || 1;
+    const lines = [this.buildTitle(game)];
+    if (includeDate) {
+      lines.push(this.buildDateLine(game));
+    }
+    if (boardCount > 1) {
+      lines.push(this.buildBoardScores(game.guesses, boardCount));
+      lines.push('');
+      lines.push(this.buildMultiGrid(game.guesses, boardCount, highContrast));
+    } else {
+      lines.push('');
+      lines.push(this.buildGrid(game.guesses, highContrast));
+    }
+
+    return lines.join('\n');
+  }
+
+  // Share via the Web Share API when available, otherwise copy to the clipboard
+  // Resolves to 'shared', 'copied' or 'cancelled'
+  async share(text) {
+    if (navigator.share) {
+      try {
+        await navigator.share({ text });
+        return 'shared';
+      } catch (error) {
+        // The player closed the share sheet
+        if (error?.name === 'AbortError') {
+          return 'cancelled';
+        }
+        // Otherwise fall through to the clipboard
+      }
+    }
+
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      await navigator.clipboard.writeText(text);
+      return 'copied';
+    }
+
+    throw new Error('Sharing is not supported in this browser');
+  }
+}
+
+// Create global result sharer instance
+export const resultSharer = new ResultSharer();
\ No newline at end of file
@@ -0,0 +1,124 @@
+// Post-game solver for Word Up
+// Replays finished games to show how much each guess narrowed down the answer
+
+import { Lexicon } from './lexicon.js';
+
+// Above this many candidates only the most promising guesses are scored in full
+const MAX_SCORED_GUESSES = 100;
+
+export class GameSolver {
+  // answers can be a word list or a shared Lexicon
+  // scoreGuess(guess, target) must return the colour states array for a guess
+  constructor(answers, scoreGuess) {
+    this.lexicon = answers instanceof Lexicon ? answers : new Lexicon(answers);
+    this.answers = this.lexicon.words;
+    this.scoreGuess = scoreGuess;
+
+    // The best opener is the same for every game, so it is only worked out once
+    this.openingBestGuess = null;
+  }
+
+  // Feedback pattern as a string key, e.g. "correct,absent,present,absent,absent"
+  getPattern(guess, target) {
+    return this.scoreGuess(guess, target).join(',');
+  }
+
+  // Keep only candidates that would have produced the same feedback
+  filterCandidates(candidates, guess, states) {
+    return this.lexicon.filter(candidates, Lexicon.rulesFromGuesses([{ word: guess, result: states }]));
+  }
+
+  // Expected information (in bits) a guess gives against a candidate list
+  getExpectedInformation(guess, candidates) {
+    if (candidates.length <= 1) return 0;
+
+    const buckets = new Map();
+    candidates.forEach(candidate => {
+      const pattern = this.getPattern(guess, candidate);
+      buckets.set(pattern, (buckets.get(pattern) || 0) + 1);
+    });
+
+    let entropy = 0;
+    buckets.forEach(count => {
+      const probability = count / candidates.length;
+      entropy -= probability * Math.log2(probability);
+    });
+    return entropy;
+  }
+
+  // Cheap letter-frequency score used to shortlist guesses on large candidate lists
+  rankByLetterFrequency(candidates) {
+    const frequency = {};
+    candidates.forEach(word => {
+      new Set(word).forEach(letter => {
+        frequency[letter] = (frequency[letter] || 0) + 1;
+      });
+    });
+
+    const score = word => [...new Set(word)].reduce((sum, letter) => sum + (frequency[letter] || 0), 0);
+    return [...candidates].sort((a, b) => score(b) - score(a));
+  }
+
+  // Best guess from the remaining candidates by expected information
+  findBestGuess(candidates) {
+    if (candidates.length === 0) return null;
+    if (candidates.length === 1) {
+      return { word: candidates[0], expectedBits: 0 };
+    }
+
+    const shortlist = candidates.length > MAX_SCORED_GUESSES
+      ? this.rankByLetterFrequency(candidates).slice(0, MAX_SCORED_GUESSES)
+      : candidates;
+
+    let best = null;
+    shortlist.forEach(word => {
+      const expectedBits = this.getExpectedInformation(word, candidates);
+      if (!best || expectedBits > best.expectedBits) {
+        best = { word, expectedBits };
+      }
+    });
+    return best;
+  }
+
+  // Round bit values for display
+  roundBits(bits) {
+    return Math.round(bits * 100) / 100;
+  }
+
+  // Analyse every row of a finished game
+  analyseGame(guesses) {
+    let candidates = [...this.answers];
+
+    return guesses.map((guess, index) => {
+      const candidatesBefore = candidates.length;
+      const expectedBits = this.getExpectedInformation(guess.word, candidates);
+      let bestGuess;
+      if (index === 0) {
+        this.openingBestGuess = this.openingBestGuess || this.findBestGuess(candidates);
+        bestGuess = this.openingBestGuess;
+      } else {
+        bestGuess = this.findBestGuess(candidates);
+      }
+
+      candidates = this.filterCandidates(candidates, guess.word, guess.result);
+      const candidatesAfter = candidates.length;
+
+      // Information actually gained from the feedback
+      const bitsGained = candidatesAfter > 0 ? Math.log2(candidatesBefore / candidatesAfter) : 0;
+
+      return {
+        row: index,
+        word: guess.word,
+        states: guess.result,
+        candidatesBefore,
+        candidatesAfter,
+        bitsGained: this.roundBits(bitsGained),
+        expectedBits: this.roundBits(expectedBits),
+        bestGuess: bestGuess
+          ? { word: bestGuess.word, expectedBits: this.roundBits(bestGuess.expectedBits) }
+          : null,
+        solved: guess.result.every(state => state === 'correct')
+      };
+    });
+  }
+}
\ No newline at end of file
@@ -2,18 +2,106 @@
 // Handles game statistics, streaks, and performance metrics
 
 import { errorHandler } from './error-handler.js';
+import { dayClock } from './clock.js';
+import { appStorage } from './storage.js';
+import { SchemaMigrator } from './schema-migrator.js';
+import { DEFAULT_LANGUAGE, getLanguagePack } from './language-packs.js';
+
+// Turn a distribution keyed by guess count ({ 1: 0, 2: 3, ... }) into an array
+function toDistributionArray(distribution) {
+  if (!distribution || typeof distribution !== 'object' || Array.isArray(distribution)) {
+    return distribution;
+  }
+  const guessCounts = Object.keys(distribution).map(Number).filter(count => Number.isInteger(count) && count >= 1);
+  const array = new Array(Math.max(6, ...guessCounts)).fill(0);
+  guessCounts.forEach(count => {
+    array[count - 1] = Number(distribution[count]) || 0;
+  });
+  return array;
+}
+
+// Statistics schema migrations, in order (see schema-migrator.js)
+// Add a step here whenever the stored shape changes
+export const STATS_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Rename the first counters and store distributions as arrays',
+    migrate: stats => {
+      // The first release counted games and wins
+      if (stats.totalGames === undefined && typeof stats.games === 'number') {
+        stats.totalGames = stats.games;
+      }
+      if (stats.totalWins === undefined && typeof stats.wins === 'number') {
+        stats.totalWins = stats.wins;
+      }
+      delete stats.games;
+      delete stats.wins;
+
+      // Copies taken from getStats() key distributions by guess count
+      stats.guessDistribution = toDistributionArray(stats.guessDistribution);
+      if (stats.practiceStats && typeof stats.practiceStats === 'object') {
+        stats.practiceStats.guessDistribution = toDistributionArray(stats.practiceStats.guessDistribution);
+      }
+      return stats;
+    }
+  },
+  {
+    version: 3,
+    description: 'Give every history entry its mode, board size and day key',
+    migrate: stats => {
+      if (!Array.isArray(stats.gameHistory)) {
+        return stats;
+      }
+      stats.gameHistory = stats.gameHistory.map(game => {
+        if (!game || typeof game !== 'object') {
+          return game;
+        }
+        const date = typeof game.date === 'string' && !isNaN(Date.parse(game.date))
+          ? dayClock.toDayKey(game.date)
+          : game.date;
+        return {
+          gameMode: 'daily',
+          hardMode: false,
+          hintsUsed: 0,
+          dayNumber: null,
+          wordLength: 5,
+          maxRows: 6,
+          boardCount: 1,
+          ...game,
+          date
+        };
+      });
+      return stats;
+    }
+  }
+];
+
+const statsMigrator = new SchemaMigrator('statistics', STATS_MIGRATIONS);
+
+const GAME_MODES = ['daily', 'practice', 'archive', 'multi'];
+
+// Fields worked out from the game history; everything else is stored as it is
+const AGGREGATE_FIELDS = [
+  'totalGames', 'totalWins', 'currentStreak', 'maxStreak', 'guessDistribution', 'averageGuesses',
+  'hardModeWins', 'hintedWins', 'lastPlayedDate', 'lastCompletedWord',
+  'dailyStats', 'practiceStats', 'archiveStats', 'multiStats'
+];
 
 export class GameStatistics {
-  constructor() {
-    this.storageKey = 'wordUp_statistics';
+  // Each language pack keeps its statistics under its own key
+  // (the pack's alphabet is used to check words in saved and imported games)
+  constructor(storageKey = 'wordUp_statistics', language = DEFAULT_LANGUAGE) {
+    this.storageKey = storageKey;
+    this.alphabet = new Set(getLanguagePack(language).alphabet);
     this.fallbackMode = false;
     this.stats = this.loadStats();
   }
 
-  // Load statistics from localStorage
+  // Load statistics from storage
   loadStats() {
     return errorHandler.safeSync(() => {
-      const saved = errorHandler.safeStorage.get(this.storageKey);
+      // Older schemas are backed up and migrated first
+      const saved = statsMigrator.load(appStorage, this.storageKey);
       if (saved) {
         return this.validateAndMigrateStats(saved);
       }
@@ -25,26 +113,40 @@ export class GameStatistics {
   getDefaultStats() {
     return {
       version: '1.0.0',
+      schemaVersion: statsMigrator.latestVersion,
+      migrations: [], // Schema migrations that have run: [{ version, description, date }]
       totalGames: 0,
       totalWins: 0,
       currentStreak: 0,
       maxStreak: 0,
       guessDistribution: [0, 0, 0, 0, 0, 0], // Index 0-5 for guesses 1-6
       averageGuesses: 0,
+      hardModeWins: 0,
+      hintedWins: 0,
+      spellingVariants: { total: 0, words: {} }, // American spellings typed, e.g. { COLOR: 2 }
       lastPlayedDate: null,
       lastCompletedWord: null,
-      gameHistory: [], // Last 100 games for detailed tracking
+      gameHistory: [], // Every finished game, newest first (never trimmed)
       dailyStats: {
         played: 0,
         won: 0,
         currentStreak: 0,
         maxStreak: 0,
         lastPlayedDate: null
-      }
+      },
+      practiceStats: {
+        played: 0,
+        won: 0,
+        currentStreak: 0,
+        maxStreak: 0,
+        guessDistribution: [0, 0, 0, 0, 0, 0]
+      },
+      archiveStats: {}, // Past daily puzzles keyed by day number
+      multiStats: {} // Multi-board puzzles keyed by board count
     };
   }
 
-  // Validate and migrate stats from older versions
+  // Run the schema migrations stats haven't had yet, then repair invalid values
   validateAndMigrateStats(stats) {
     const defaultStats = this.getDefaultStats();
     
@@ -54,52 +156,145 @@ export class GameStatistics {
     }
     
     // Ensure all required properties exist
-    const migrated = { ...defaultStats, ...stats };
+    const migrated = { ...defaultStats, ...statsMigrator.migrate(stats).data };
+    if (!Array.isArray(migrated.migrations)) {
+      migrated.migrations = [];
+    }
     
-    // Convert old version format to string
-    if (typeof migrated.version === 'number') {
-      migrated.version = '1.0.0';
-    } else if (!migrated.version) {
-      migrated.version = '1.0.0';
+    // Convert old version format to string (schemaVersion tracks the stored shape)
+    if (typeof migrated.version !== 'string' || !migrated.version) {
+      migrated.version = defaultStats.version;
     }
     
     // Validate and fix numeric fields
-    const numericFields = ['totalGames', 'totalWins', 'currentStreak', 'maxStreak', 'averageGuesses'];
+    const numericFields = ['totalGames', 'totalWins', 'currentStreak', 'maxStreak', 'averageGuesses', 'hardModeWins', 'hintedWins'];
     numericFields.forEach(field => {
       if (typeof migrated[field] !== 'number' || isNaN(migrated[field])) {
         migrated[field] = defaultStats[field];
       }
     });
     
-    // Ensure arrays have correct length
-    if (!Array.isArray(migrated.guessDistribution) || migrated.guessDistribution.length !== 6) {
+    // Ensure distributions cover at least six guesses (longer boards can add more)
+    if (!this.isValidDistribution(migrated.guessDistribution)) {
       migrated.guessDistribution = defaultStats.guessDistribution;
     }
     
     if (!Array.isArray(migrated.gameHistory)) {
       migrated.gameHistory = [];
     }
+    // Replays need every guess intact; games saved before guesses were kept have none
+    migrated.gameHistory = migrated.gameHistory
+      .filter(game => this.isValidGameRecord(game))
+      .map(game => {
+        if (game.guesses === undefined || this.isValidGuessList(game.guesses)) {
+          return game;
+        }
+        const { guesses, ...rest } = game;
+        return rest;
+      });
     
     // Ensure nested objects exist
     migrated.dailyStats = { ...defaultStats.dailyStats, ...(migrated.dailyStats || {}) };
+    migrated.practiceStats = { ...defaultStats.practiceStats, ...(migrated.practiceStats || {}) };
+    if (!this.isValidDistribution(migrated.practiceStats.guessDistribution)) {
+      migrated.practiceStats.guessDistribution = defaultStats.practiceStats.guessDistribution;
+    }
+    if (!migrated.archiveStats || typeof migrated.archiveStats !== 'object' || Array.isArray(migrated.archiveStats)) {
+      migrated.archiveStats = {};
+    }
+    if (!migrated.multiStats || typeof migrated.multiStats !== 'object' || Array.isArray(migrated.multiStats)) {
+      migrated.multiStats = {};
+    }
+    const variants = migrated.spellingVariants;
+    if (!variants || typeof variants.total !== 'number' || !variants.words || typeof variants.words !== 'object') {
+      migrated.spellingVariants = { total: 0, words: {} };
+    }
     
     return migrated;
   }
 
-  // Save statistics to localStorage
+  // Check a guess distribution array
+  isValidDistribution(distribution) {
+    return Array.isArray(distribution) &&
+      distribution.length >= 6 &&
+      distribution.every(count => typeof count === 'number' && !isNaN(count));
+  }
+
+  // Check a word is made of the language pack's letters
+  isValidWord(word, wordLength) {
+    return typeof word === 'string' &&
+      (wordLength === undefined || [...word].length === wordLength) &&
+      [...word].length > 0 &&
+      [...word].every(letter => this.alphabet.has(letter));
+  }
+
+  // Check a history entry before it is kept: imported files can hold anything, and the
+  // stats modal shows these values. Needs a day key, a known mode, whole numbers and
+  // answers (joined with ', ' for multi-board games) of the pack's letters
+  isValidGameRecord(game) {
+    if (!game || typeof game !== 'object') {
+      return false;
+    }
+    const wordLength = game.wordLength ?? 5;
+    const isCount = value => value === null || value === undefined || Number.isInteger(value);
+
+    return dayClock.isDayKey(game.date) &&
+      typeof game.won === 'boolean' &&
+      GAME_MODES.includes(game.gameMode ?? 'daily') &&
+      Number.isInteger(wordLength) &&
+      [game.guessCount, game.dayNumber, game.maxRows, game.boardCount, game.hintsUsed].every(isCount) &&
+      typeof game.targetWord === 'string' &&
+      game.targetWord.split(', ').every(word => this.isValidWord(word, wordLength));
+  }
+
+  // Check a list of guesses: [{ word, result, boards? }] with one state per letter
+  isValidGuessList(guesses) {
+    const isStateList = (states, word) => Array.isArray(states) &&
+      states.length === [...word].length &&
+      states.every(state => ['correct', 'present', 'absent'].includes(state));
+
+    return Array.isArray(guesses) && guesses.every(guess => (
+      guess && this.isValidWord(guess.word) &&
+      isStateList(guess.result, guess.word) &&
+      (guess.boards === undefined || (Array.isArray(guess.boards) &&
+        guess.boards.every(states => states === null || isStateList(states, guess.word))))
+    ));
+  }
+
+  // Count a win in a guess distribution, growing it for boards with more than six rows
+  addToDistribution(distribution, guessCount) {
+    while (distribution.length < guessCount) {
+      distribution.push(0);
+    }
+    distribution[guessCount - 1]++;
+  }
+
+  // Statistics could not be saved persistently: keep them in memory for this visit
+  handleSaveFailure() {
+    this.fallbackMode = true;
+    errorHandler.handleError('Statistics Save Failed', new Error('Unable to save statistics'), {
+      operation: 'saveStats',
+      storageKey: this.storageKey,
+      statsSize: JSON.stringify(this.stats).length
+    });
+  }
+
+  // Save statistics to storage
   saveStats() {
-    const success = errorHandler.safeStorage.set(this.storageKey, this.stats);
+    const success = appStorage.set(this.storageKey, this.stats);
     
     if (!success) {
-      this.fallbackMode = true;
-      errorHandler.handleError('Statistics Save Failed', new Error('Unable to save statistics'), {
-        operation: 'saveStats',
-        storageKey: this.storageKey,
-        statsSize: JSON.stringify(this.stats).length
-      });
+      this.handleSaveFailure();
       return false;
     }
 
+    // The write itself finishes in the background and can still fail (quota, eviction)
+    appStorage.flush().then(saved => {
+      if (!saved) {
+        this.handleSaveFailure();
+      }
+    });
+
     // Request background sync if available
     errorHandler.safeAsync(async () => {
       if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
@@ -120,41 +315,251 @@ export class GameStatistics {
       guessCount,
       targetWord,
       gameMode = 'daily',
-      date = new Date().toISOString().split('T')[0]
+      hardMode = false,
+      hintsUsed = 0,
+      dayNumber = null,
+      wordLength = 5,
+      maxRows = 6,
+      boardCount = 1,
+      guesses = [],
+      date = dayClock.getTodayKey()
     } = gameResult;
 
-    // Update total stats
-    this.stats.totalGames++;
-    if (won) {
-      this.stats.totalWins++;
-      this.stats.guessDistribution[guessCount - 1]++;
-      this.updateCurrentStreak(true, date);
-    } else {
-      this.updateCurrentStreak(false, date);
-    }
+    this.applyGameResult({ won, guessCount, targetWord, gameMode, hardMode, hintsUsed, dayNumber, boardCount, date });
 
-    // Update daily stats (only mode supported)
-    this.updateDailyStats(won, guessCount, date);
-
-    // Add to game history (keep last 100 games)
+    // Add to game history (kept in full so the calendar covers every day played)
     const gameRecord = {
       date,
       won,
       guessCount: won ? guessCount : null,
       targetWord,
-      gameMode
+      gameMode,
+      hardMode,
+      hintsUsed,
+      dayNumber,
+      wordLength,
+      maxRows,
+      boardCount,
+      // Every guess with its colours, for replays (boards holds each board's states in multi-board games)
+      guesses: guesses.map(({ word, result, boards }) => (boards
+        ? { word, result: [...result], boards: boards.map(states => (states ? [...states] : null)) }
+        : { word, result: [...result] }))
     };
     
     this.stats.gameHistory.unshift(gameRecord);
-    if (this.stats.gameHistory.length > 100) {
-      this.stats.gameHistory = this.stats.gameHistory.slice(0, 100);
+    this.saveStats();
+  }
+
+  // Add one finished game to the totals, streaks and distributions (not the history)
+  // Also used to rebuild those figures by replaying a history oldest first
+  applyGameResult({ won, guessCount, targetWord, gameMode = 'daily', hardMode = false, hintsUsed = 0, dayNumber = null, boardCount = 1, date }) {
+    if (gameMode === 'practice') {
+      // Practice games have their own bucket and never touch daily totals or streaks
+      this.updatePracticeStats(won, guessCount);
+    } else if (gameMode === 'multi') {
+      // Multi-board puzzles are tracked per board count, away from the classic daily streak
+      this.updateMultiStats(boardCount, won, guessCount);
+    } else if (gameMode === 'archive') {
+      // Replayed past puzzles are kept per day so they can't affect the daily streak
+      this.updateArchiveStats(dayNumber, won, guessCount, date);
+    } else {
+      // Update total stats
+      this.stats.totalGames++;
+      if (won) {
+        this.stats.totalWins++;
+        if (hardMode) {
+          this.stats.hardModeWins++;
+        }
+        if (hintsUsed > 0) {
+          this.stats.hintedWins++;
+        }
+        this.addToDistribution(this.stats.guessDistribution, guessCount);
+        this.updateCurrentStreak(true, date);
+      } else {
+        this.updateCurrentStreak(false, date);
+      }
+
+      // Update daily stats
+      this.updateDailyStats(won, guessCount, date);
     }
 
     // Update derived stats
-    this.updateAverageGuesses();
-    this.stats.lastPlayedDate = date;
-    this.stats.lastCompletedWord = targetWord;
+    if (!['practice', 'archive', 'multi'].includes(gameMode)) {
+      this.updateAverageGuesses();
+      this.stats.lastPlayedDate = date;
+      this.stats.lastCompletedWord = targetWord;
+    }
+  }
+
+  // Update practice game statistics
+  updatePracticeStats(won, guessCount) {
+    const practice = this.stats.practiceStats;
+    practice.played++;
+
+    if (won) {
+      practice.won++;
+      this.addToDistribution(practice.guessDistribution, guessCount);
+      practice.currentStreak++;
+    } else {
+      practice.currentStreak = 0;
+    }
+
+    if (practice.currentStreak > practice.maxStreak) {
+      practice.maxStreak = practice.currentStreak;
+    }
+  }
+
+  // Update multi-board statistics for one board count
+  updateMultiStats(boardCount, won, guessCount) {
+    if (!this.stats.multiStats[boardCount]) {
+      this.stats.multiStats[boardCount] = {
+        played: 0,
+        won: 0,
+        currentStreak: 0,
+        maxStreak: 0,
+        guessDistribution: []
+      };
+    }
+    const multi = this.stats.multiStats[boardCount];
+    multi.played++;
+
+    if (won) {
+      multi.won++;
+      this.addToDistribution(multi.guessDistribution, guessCount);
+      multi.currentStreak++;
+    } else {
+      multi.currentStreak = 0;
+    }
+
+    if (multi.currentStreak > multi.maxStreak) {
+      multi.maxStreak = multi.currentStreak;
+    }
+  }
+
+  // Update the result for a replayed past puzzle
+  // The best result is kept: a solve is never overwritten by a failed replay or one
+  // that takes more guesses
+  updateArchiveStats(dayNumber, won, guessCount, date) {
+    if (dayNumber === null || dayNumber === undefined) return;
+
+    const existing = this.stats.archiveStats[dayNumber];
+    if (existing && existing.won && !won) return;
+    if (existing && existing.won && won && existing.guessCount <= guessCount) return;
+
+    this.stats.archiveStats[dayNumber] = {
+      won,
+      guessCount: won ? guessCount : null,
+      date
+    };
+  }
+
+  // Get archive results keyed by day number
+  getArchiveResults() {
+    return { ...this.stats.archiveStats };
+  }
+
+  // Get daily game results keyed by date (YYYY-MM-DD)
+  getDailyResults() {
+    const results = {};
+    this.stats.gameHistory.forEach(game => {
+      if ((game.gameMode || 'daily') === 'daily' && !results[game.date]) {
+        results[game.date] = { won: game.won, guessCount: game.guessCount, date: game.date };
+      }
+    });
+    return results;
+  }
 
+  // Daily results for every day from the first daily game to today (for the calendar heatmap)
+  // Days without a daily game have played: false. Histories used to be trimmed to 100 games,
+  // so untracked counts daily games dailyStats knows about that the history no longer has
+  getCalendar(today = dayClock.getTodayKey()) {
+    const dailyGames = this.stats.gameHistory.filter(game => (game.gameMode || 'daily') === 'daily');
+    const results = {};
+    Object.values(this.getDailyResults()).forEach(result => {
+      results[dayClock.toDayKey(result.date)] = result;
+    });
+
+    const dates = Object.keys(results).sort();
+    const start = dates.length > 0 && dates[0] < today ? dates[0] : today;
+    const days = [];
+    if (dates.length > 0) {
+      for (let date = start; date <= today; date = dayClock.addDays(date, 1)) {
+        const result = results[date];
+        days.push(result
+          ? { date, played: true, won: result.won, guessCount: result.guessCount }
+          : { date, played: false, won: false, guessCount: null });
+      }
+    }
+
+    return {
+      start: dates.length > 0 ? start : null,
+      end: today,
+      days,
+      played: days.filter(day => day.played).length,
+      won: days.filter(day => day.won).length,
+      untracked: Math.max(0, this.stats.dailyStats.played - dailyGames.length)
+    };
+  }
+
+  // How the player plays, from the guesses kept with each game:
+  // - openers: most-used first guesses with their win rate
+  // - rows: average greens and yellows on each guess row
+  // - letters: how often each guessed letter came back correct, present or absent
+  // Colours are only counted on single-board games, where each row has one result
+  getInsights(openerLimit = 5) {
+    const games = this.stats.gameHistory.filter(game => Array.isArray(game.guesses) && game.guesses.length > 0);
+    const openers = new Map();
+    const rows = [];
+    const letters = new Map();
+
+    games.forEach(game => {
+      const opener = game.guesses[0].word;
+      const entry = openers.get(opener) || { word: opener, played: 0, won: 0 };
+      entry.played++;
+      if (game.won) {
+        entry.won++;
+      }
+      openers.set(opener, entry);
+
+      if ((game.boardCount || 1) > 1) return;
+
+      game.guesses.forEach(({ word, result }, index) => {
+        rows[index] = rows[index] || { row: index + 1, guesses: 0, greens: 0, yellows: 0 };
+        rows[index].guesses++;
+        [...word].forEach((letter, position) => {
+          const counts = letters.get(letter) || { letter, total: 0, correct: 0, present: 0, absent: 0 };
+          counts.total++;
+          counts[result[position]]++;
+          letters.set(letter, counts);
+        });
+        rows[index].greens += result.filter(state => state === 'correct').length;
+        rows[index].yellows += result.filter(state => state === 'present').length;
+      });
+    });
+
+    const average = (count, guesses) => Math.round((count / guesses) * 10) / 10;
+
+    return {
+      gamesAnalysed: games.length,
+      openers: [...openers.values()]
+        .map(entry => ({ ...entry, winRate: Math.round((entry.won / entry.played) * 100) }))
+        .sort((a, b) => b.played - a.played || b.winRate - a.winRate || a.word.localeCompare(b.word))
+        .slice(0, openerLimit),
+      rows: rows.filter(Boolean).map(({ row, guesses, greens, yellows }) => ({
+        row,
+        guesses,
+        greens: average(greens, guesses),
+        yellows: average(yellows, guesses)
+      })),
+      letters: [...letters.values()].sort((a, b) => b.total - a.total || a.letter.localeCompare(b.letter))
+    };
+  }
+
+  // Count an American spelling the player typed
+  recordSpellingVariant(word) {
+    const variants = this.stats.spellingVariants;
+    variants.total++;
+    variants.words[word] = (variants.words[word] || 0) + 1;
     this.saveStats();
   }
 
@@ -227,10 +632,7 @@ export class GameStatistics {
 
   // Get difference in days between two date strings
   getDaysDifference(date1, date2) {
-    const d1 = new Date(date1);
-    const d2 = new Date(date2);
-    const timeDiff = d2.getTime() - d1.getTime();
-    return Math.floor(timeDiff / (1000 * 3600 * 24));
+    return dayClock.daysBetween(dayClock.toDayKey(date1), dayClock.toDayKey(date2));
   }
 
   // Get formatted statistics for display
@@ -243,6 +645,9 @@ export class GameStatistics {
       ? Math.round((this.stats.dailyStats.won / this.stats.dailyStats.played) * 100)
       : 0;
     
+    const practiceWinRate = this.stats.practiceStats.played > 0
+      ? Math.round((this.stats.practiceStats.won / this.stats.practiceStats.played) * 100)
+      : 0;
 
     return {
       overall: {
@@ -250,7 +655,10 @@ export class GameStatistics {
         winRate,
         currentStreak: this.stats.currentStreak,
         maxStreak: this.stats.maxStreak,
-        averageGuesses: this.stats.averageGuesses
+        averageGuesses: this.stats.averageGuesses,
+        hardModeWins: this.stats.hardModeWins,
+        hintedWins: this.stats.hintedWins,
+        spellingVariants: this.stats.spellingVariants.total
       },
       daily: {
         played: this.stats.dailyStats.played,
@@ -259,14 +667,42 @@ export class GameStatistics {
         currentStreak: this.stats.dailyStats.currentStreak,
         maxStreak: this.stats.dailyStats.maxStreak
       },
+      practice: {
+        played: this.stats.practiceStats.played,
+        won: this.stats.practiceStats.won,
+        winRate: practiceWinRate,
+        currentStreak: this.stats.practiceStats.currentStreak,
+        maxStreak: this.stats.practiceStats.maxStreak,
+        guessDistribution: [...this.stats.practiceStats.guessDistribution]
+      },
+      multi: this.getMultiDisplayStats(),
       guessDistribution: [...this.stats.guessDistribution],
+      calendar: this.getCalendar(),
+      // Stored totals that don't match the game history (the modal offers a rebuild)
+      aggregateDrift: this.checkAggregates().drift.map(({ field }) => field),
+      insights: this.getInsights(),
       recentGames: this.stats.gameHistory.slice(0, 10)
     };
   }
 
+  // Multi-board summary keyed by board count
+  getMultiDisplayStats() {
+    const multi = {};
+    Object.entries(this.stats.multiStats).forEach(([boardCount, stats]) => {
+      multi[boardCount] = {
+        played: stats.played,
+        won: stats.won,
+        winRate: stats.played > 0 ? Math.round((stats.won / stats.played) * 100) : 0,
+        currentStreak: stats.currentStreak,
+        maxStreak: stats.maxStreak
+      };
+    });
+    return multi;
+  }
+
   // Check if player has played today
   hasPlayedToday(gameMode = 'daily') {
-    const today = new Date().toISOString().split('T')[0];
+    const today = dayClock.getTodayKey();
     
     if (gameMode === 'daily') {
       return this.stats.dailyStats.lastPlayedDate === today;
@@ -277,9 +713,7 @@ export class GameStatistics {
 
   // Get statistics for a specific time period
   getStatsForPeriod(days = 30) {
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - days);
-    const cutoffString = cutoffDate.toISOString().split('T')[0];
+    const cutoffString = dayClock.addDays(dayClock.getTodayKey(), -days);
     
     const recentGames = this.stats.gameHistory.filter(game => game.date >= cutoffString);
     
@@ -306,18 +740,11 @@ export class GameStatistics {
   }
 
   // Import statistics data
-  importStats(importedData) {
+  // mode 'replace' swaps these statistics for the imported ones; 'merge' combines both histories
+  importStats(importedData, mode = 'replace') {
     return errorHandler.safeSync(() => {
-      if (!importedData || typeof importedData !== 'object') {
-        throw new Error('Invalid import data format');
-      }
-      
-      if (!importedData.statistics) {
-        throw new Error('No statistics data found in import');
-      }
-      
-      const validatedStats = this.validateAndMigrateStats(importedData.statistics);
-      this.stats = validatedStats;
+      const validatedStats = this.readImport(importedData);
+      this.stats = mode === 'merge' ? this.mergeStats(validatedStats).stats : validatedStats;
       
       if (!this.saveStats()) {
         throw new Error('Failed to save imported statistics');
@@ -330,6 +757,224 @@ export class GameStatistics {
     });
   }
 
+  // Check an export file and bring its statistics up to date (throws when unusable)
+  readImport(importedData) {
+    if (!importedData || typeof importedData !== 'object') {
+      throw new Error('Invalid import data format');
+    }
+    
+    if (!importedData.statistics) {
+      throw new Error('No statistics data found in import');
+    }
+    
+    return this.validateAndMigrateStats(importedData.statistics);
+  }
+
+  // What identifies one game when two histories are merged: a day's daily game, an
+  // archive puzzle or a board count's multi-board game is only played once per date;
+  // practice games have no puzzle, so their word and guesses tell them apart
+  getHistoryKey(game) {
+    const date = dayClock.toDayKey(game.date);
+    switch (game.gameMode) {
+      case 'practice':
+        return `${date}|practice|${game.targetWord}|${(game.guesses || []).map(guess => guess.word).join(',')}|${game.guessCount}`;
+      case 'archive':
+        return `${date}|archive|${game.dayNumber}`;
+      case 'multi':
+        return `${date}|multi|${game.boardCount}`;
+      default:
+        return `${date}|${game.gameMode || 'daily'}`;
+    }
+  }
+
+  // Union of two histories, newest first, with each game kept once
+  // When both copies of a game exist the one with its guesses wins (then the current one)
+  mergeHistories(current, imported) {
+    const games = new Map();
+    current.forEach(game => {
+      const key = this.getHistoryKey(game);
+      if (!games.has(key)) {
+        games.set(key, game);
+      }
+    });
+
+    let added = 0;
+    let duplicates = 0;
+    imported.forEach(game => {
+      const key = this.getHistoryKey(game);
+      const existing = games.get(key);
+      if (!existing) {
+        games.set(key, game);
+        added++;
+        return;
+      }
+      duplicates++;
+      if (!existing.guesses?.length && game.guesses?.length) {
+        games.set(key, game);
+      }
+    });
+
+    // Sort is stable, so games on the same day keep the order they were recorded in
+    const history = [...games.values()].sort((a, b) => this.getDaysDifference(a.date, b.date));
+    return { history, added, duplicates };
+  }
+
+  // Totals, streaks and distributions worked out from a history alone (newest first)
+  buildStatsFromHistory(history) {
+    const current = this.stats;
+    this.stats = this.getDefaultStats();
+    try {
+      [...history].reverse().forEach(game => this.applyGameResult(game));
+      this.stats.gameHistory = history.map(game => ({ ...game }));
+      return this.stats;
+    } finally {
+      this.stats = current;
+    }
+  }
+
+  // Aggregates the history gives (each game counted once), with the number of games of
+  // each kind it holds; worked out again only when the history changes
+  getExpectedAggregates() {
+    const history = this.stats.gameHistory;
+    const cached = this.expectedAggregates;
+    if (cached && cached.history === history && cached.length === history.length && cached.newest === history[0]) {
+      return cached;
+    }
+
+    const counts = this.countHistoryGames(history);
+    const unique = this.mergeHistories(history, []).history;
+
+    this.expectedAggregates = {
+      history,
+      length: history.length,
+      newest: history[0],
+      counts,
+      unique,
+      stats: this.buildStatsFromHistory(unique)
+    };
+    return this.expectedAggregates;
+  }
+
+  // Number of daily, practice and multi-board games in a history
+  countHistoryGames(history) {
+    const counts = { daily: 0, practice: 0, multi: 0 };
+    history.forEach(game => {
+      const mode = game.gameMode || 'daily';
+      if (mode in counts) {
+        counts[mode]++;
+      }
+    });
+    return counts;
+  }
+
+  // Games the totals count that the history doesn't have: histories were trimmed to 100
+  // games before they were kept in full, and the oldest saves have none (see getCalendar)
+  getUntrackedGames(stats = this.stats) {
+    const counts = stats === this.stats ? this.getExpectedAggregates().counts : this.countHistoryGames(stats.gameHistory);
+    const multiPlayed = Object.values(stats.multiStats).reduce((sum, multi) => sum + multi.played, 0);
+    return Math.max(0, stats.totalGames - counts.daily, stats.dailyStats.played - counts.daily)
+      + Math.max(0, stats.practiceStats.played - counts.practice)
+      + Math.max(0, multiPlayed - counts.multi);
+  }
+
+  // Compare the stored totals, streaks and distributions with the ones the history gives
+  // A game recorded twice counts as drift in gameHistory (stored and expected are lengths).
+  // When the history is missing games the totals include, the two can't be compared:
+  // complete is false and nothing is reported as drift
+  // Returns { consistent, complete, untracked, drift: [{ field, stored, expected }] }
+  checkAggregates() {
+    const untracked = this.getUntrackedGames();
+    if (untracked > 0) {
+      return { consistent: true, complete: false, untracked, drift: [] };
+    }
+
+    const { unique, stats: expected } = this.getExpectedAggregates();
+    const drift = AGGREGATE_FIELDS
+      .filter(field => JSON.stringify(this.stats[field]) !== JSON.stringify(expected[field]))
+      .map(field => ({ field, stored: this.stats[field], expected: expected[field] }));
+
+    if (unique.length !== this.stats.gameHistory.length) {
+      drift.unshift({ field: 'gameHistory', stored: this.stats.gameHistory.length, expected: unique.length });
+    }
+    return { consistent: drift.length === 0, complete: true, untracked: 0, drift };
+  }
+
+  // Work out every total, streak and distribution again from the stored game records,
+  // keeping each game once. Refused while the history is missing games the totals
+  // include, since rebuilding would drop them
+  // Returns { success, reason } or { success, changed: [field names] }
+  rebuildFromHistory() {
+    const { complete, untracked, drift } = this.checkAggregates();
+    if (!complete) {
+      return {
+        success: false,
+        reason: `${untracked} ${untracked === 1 ? 'game is' : 'games are'} counted in the totals but missing from the history`
+      };
+    }
+
+    const { unique, stats: rebuilt } = this.getExpectedAggregates();
+    this.stats.gameHistory = unique.map(game => ({ ...game }));
+    AGGREGATE_FIELDS.forEach(field => {
+      this.stats[field] = JSON.parse(JSON.stringify(rebuilt[field]));
+    });
+    this.saveStats();
+    return { success: true, changed: drift.map(({ field }) => field) };
+  }
+
+  // Combine imported statistics with these: games are merged and every total rebuilt
+  // from the merged history; returns the merged stats and what the merge changed
+  mergeStats(importedStats) {
+    const { history, added, duplicates } = this.mergeHistories(this.stats.gameHistory, importedStats.gameHistory);
+    const merged = this.buildStatsFromHistory(history);
+
+    // Spelling variants aren't part of the history, so both devices' counts are added up
+    const words = { ...this.stats.spellingVariants.words };
+    Object.entries(importedStats.spellingVariants?.words || {}).forEach(([word, count]) => {
+      words[word] = (words[word] || 0) + count;
+    });
+    merged.spellingVariants = { total: Object.values(words).reduce((sum, count) => sum + count, 0), words };
+    merged.migrations = [...this.stats.migrations];
+
+    return { stats: merged, added, duplicates };
+  }
+
+  // Headline figures compared by the import preview
+  summariseStats(stats) {
+    return {
+      games: stats.gameHistory.length,
+      played: stats.totalGames,
+      wins: stats.totalWins,
+      winRate: stats.totalGames > 0 ? Math.round((stats.totalWins / stats.totalGames) * 100) : 0,
+      currentStreak: stats.currentStreak,
+      maxStreak: stats.maxStreak,
+      averageGuesses: stats.averageGuesses,
+      guessDistribution: [...stats.guessDistribution]
+    };
+  }
+
+  // Show what importing would change, without changing anything
+  // untracked counts games either side's totals include but its history lacks: a merge leaves them out
+  // Returns { success, reason } or { success, preview: { added, duplicates, untracked, current, merge, replace } }
+  previewImport(importedData) {
+    try {
+      const importedStats = this.readImport(importedData);
+      const { stats, added, duplicates } = this.mergeStats(importedStats);
+      return {
+        success: true,
+        preview: {
+          added,
+          duplicates,
+          untracked: this.getUntrackedGames() + this.getUntrackedGames(importedStats),
+          current: this.summariseStats(this.stats),
+          merge: this.summariseStats(stats),
+          replace: this.summariseStats(importedStats)
+        }
+      };
+    } catch (error) {
+      return { success: false, reason: error?.message || 'Invalid import data format' };
+    }
+  }
+
   // Reset all statistics
   resetStats() {
     this.stats = this.getDefaultStats();
@@ -355,15 +1000,22 @@ export class GameStatistics {
     rawStats.recentGames = rawStats.gameHistory.slice(0, 10);
     
     // Map practiceStats field names for test compatibility
+    // (on copies, so the aliases never reach the stored stats)
     if (rawStats.practiceStats) {
-      rawStats.practiceStats.totalGames = rawStats.practiceStats.played;
-      rawStats.practiceStats.totalWins = rawStats.practiceStats.won;
+      rawStats.practiceStats = {
+        ...rawStats.practiceStats,
+        totalGames: rawStats.practiceStats.played,
+        totalWins: rawStats.practiceStats.won
+      };
     }
     
     // Map dailyStats field names for test compatibility
     if (rawStats.dailyStats) {
-      rawStats.dailyStats.totalGames = rawStats.dailyStats.played;
-      rawStats.dailyStats.totalWins = rawStats.dailyStats.won;
+      rawStats.dailyStats = {
+        ...rawStats.dailyStats,
+        totalGames: rawStats.dailyStats.played,
+        totalWins: rawStats.dailyStats.won
+      };
     }
     
     return rawStats;
@@ -388,6 +1040,8 @@ export class GameStatistics {
       currentStreak: this.stats.currentStreak,
       maxStreak: this.stats.maxStreak,
       averageGuesses: this.stats.averageGuesses,
+      hardModeWins: this.stats.hardModeWins,
+      hintedWins: this.stats.hintedWins,
       guessDistribution: distributionObj,
       recentGames: this.stats.gameHistory.slice(0, 10),
       dailyStats: this.stats.dailyStats
@@ -408,6 +1062,19 @@ export class GameStatistics {
         maxStreak: this.stats.dailyStats.maxStreak
       };
     }
+    if (mode === 'practice') {
+      const practice = this.stats.practiceStats;
+      const winRate = practice.played > 0
+        ? Math.round((practice.won / practice.played) * 100)
+        : 0;
+      return {
+        totalGames: practice.played,
+        totalWins: practice.won,
+        winRate,
+        currentStreak: practice.currentStreak,
+        maxStreak: practice.maxStreak
+      };
+    }
     return this.getStats();
   }
 
@@ -418,9 +1085,18 @@ export class GameStatistics {
 
   // Get system health status
   getSystemHealth() {
+    const { consistent, complete, untracked, drift } = this.checkAggregates();
     return {
       storageWorking: !this.fallbackMode,
       storageAvailable: errorHandler.isStorageAvailable(),
+      storageDriver: appStorage.getDriverName(),
+      schemaVersion: this.stats.schemaVersion,
+      // Stored aggregates that no longer match the game history (fixed by rebuildFromHistory);
+      // the history side is cached, so this only rebuilds after the history changes
+      aggregatesConsistent: consistent,
+      aggregateDrift: drift.map(({ field }) => field),
+      historyComplete: complete,
+      untrackedGames: untracked,
       lastSaveSuccess: !this.fallbackMode,
       statsCount: this.stats.totalGames
     };
@@ -0,0 +1,339 @@
+// Persistent storage for Word Up
+// Statistics, saved games and settings live behind one key-value store. Drivers are
+// tried in order (IndexedDB, then localStorage, then memory) and the values are held
+// in a cache, so reads and writes stay synchronous while drivers save in the background
+
+import { errorHandler } from './error-handler.js';
+
+const KEY_PREFIX = 'wordUp_';
+const MIGRATION_KEY = 'wordUp_storageMigration';
+// Left in localStorage when a driver fails and everything moves there, so the next
+// visit knows localStorage holds the newest copy
+const FALLBACK_KEY = 'wordUp_storageFallback';
+
+// Copy a value the way storing it would (values are plain JSON data)
+const snapshot = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Keeps values for this page load only (nothing else works, e.g. private browsing)
+export class MemoryDriver {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    this.values = new Map();
+  }
+
+  async open() {
+    return true;
+  }
+
+  async get(key) {
+    return this.values.has(key) ? snapshot(this.values.get(key)) : null;
+  }
+
+  async set(key, value) {
+    this.values.set(key, snapshot(value));
+  }
+
+  async remove(key) {
+    this.values.delete(key);
+  }
+
+  // Every stored [key, value] pair
+  async entries() {
+    return [...this.values.entries()].map(([key, value]) => [key, snapshot(value)]);
+  }
+}
+
+// The original storage: synchronous and limited to about 5MB
+export class LocalStorageDriver {
+  constructor(storage = () => window.localStorage) {
+    this.name = 'localStorage';
+    this.persistent = true;
+    this.getStorage = storage;
+  }
+
+  async open() {
+    const storage = this.getStorage();
+    const test = '__storage_test__';
+    storage.setItem(test, test);
+    storage.removeItem(test);
+    return true;
+  }
+
+  async get(key) {
+    const item = this.getStorage().getItem(key);
+    return item ? JSON.parse(item) : null;
+  }
+
+  async set(key, value) {
+    this.getStorage().setItem(key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    this.getStorage().removeItem(key);
+  }
+
+  // Word Up's [key, value] pairs (other sites' keys on the same origin are left alone)
+  async entries() {
+    const storage = this.getStorage();
+    const keys = [];
+    for (let i = 0; i < storage.length; i++) {
+      const key = storage.key(i);
+      if (key && key.startsWith(KEY_PREFIX)) {
+        keys.push(key);
+      }
+    }
+    return keys.map(key => {
+      try {
+        return [key, JSON.parse(storage.getItem(key))];
+      } catch {
+        return null;
+      }
+    }).filter(entry => entry && entry[1] !== null);
+  }
+}
+
+// Asynchronous and much larger; one object store of key-value pairs
+export class IndexedDBDriver {
+  constructor(databaseName = 'word-up', factory = () => globalThis.indexedDB) {
+    this.name = 'indexedDB';
+    this.persistent = true;
+    this.databaseName = databaseName;
+    this.getFactory = factory;
+    this.storeName = 'keyval';
+    this.db = null;
+  }
+
+  // Resolves to false when IndexedDB is missing or blocked
+  open() {
+    const factory = this.getFactory();
+    if (!factory) {
+      return Promise.resolve(false);
+    }
+
+    return new Promise((resolve) => {
+      const request = factory.open(this.databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName);
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(true);
+      };
+      request.onerror = () => resolve(false);
+      request.onblocked = () => resolve(false);
+    });
+  }
+
+  // Run one request in its own transaction
+  request(mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, mode);
+      const request = makeRequest(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  async get(key) {
+    const value = await this.request('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async set(key, value) {
+    await this.request('readwrite', store => store.put(snapshot(value), key));
+  }
+
+  async remove(key) {
+    await this.request('readwrite', store => store.delete(key));
+  }
+
+  // Every stored [key, value] pair, read with one cursor so keys and values match
+  async entries() {
+    const entries = [];
+    await this.request('readonly', store => {
+      const cursor = store.openCursor();
+      cursor.onsuccess = () => {
+        if (cursor.result) {
+          entries.push([cursor.result.key, cursor.result.value]);
+          cursor.result.continue();
+        }
+      };
+      return cursor;
+    });
+    return entries;
+  }
+}
+
+export class AppStorage {
+  // createDrivers returns the drivers to try, best first (swappable in tests)
+  constructor(createDrivers = () => [new IndexedDBDriver(), new LocalStorageDriver(), new MemoryDriver()]) {
+    this.createDrivers = createDrivers;
+    this.drivers = [];
+    this.driver = null;
+    this.cache = null; // Filled by init; until then reads and writes go straight to localStorage
+    this.writes = Promise.resolve(true); // Last queued write: resolves to whether it was saved persistently
+    this.initializing = null;
+  }
+
+  // Pick a driver, move localStorage data across once and load every value
+  // Resolves to the driver's name; safe to call more than once
+  init() {
+    if (!this.initializing) {
+      this.initializing = this.openDriver().then(async () => {
+        if (this.driver.name !== 'localStorage') {
+          await this.migrateFromLocalStorage().catch(async (error) => {
+            // Stay on localStorage until the move succeeds on a later visit
+            errorHandler.logWarning('Storage Migration Failed', { driver: this.driver.name, message: error?.message });
+            await this.openDriver(this.drivers.indexOf(this.driver) + 1);
+          });
+        }
+        this.cache = new Map(await this.driver.entries());
+        return this.driver.name;
+      });
+    }
+    return this.initializing;
+  }
+
+  // Open the first driver that works
+  async openDriver(startIndex = 0) {
+    if (this.drivers.length === 0) {
+      this.drivers = this.createDrivers();
+    }
+
+    for (let i = startIndex; i < this.drivers.length; i++) {
+      const opened = await this.drivers[i].open().catch(() => false);
+      if (opened) {
+        this.driver = this.drivers[i];
+        return this.driver;
+      }
+    }
+
+    // Memory always works
+    this.driver = new MemoryDriver();
+    return this.driver;
+  }
+
+  // Copy Word Up's localStorage keys into the new driver, once; the localStorage copies are removed
+  // Values already in the driver are newer and win, unless a failed driver moved everything
+  // to localStorage on an earlier visit: then localStorage holds the newest copy and is moved back
+  async migrateFromLocalStorage() {
+    if (!this.driver.persistent) {
+      return null;
+    }
+
+    const legacy = new LocalStorageDriver();
+    const fallback = await legacy.open().then(() => legacy.get(FALLBACK_KEY)).catch(() => null);
+    if (!fallback && await this.driver.get(MIGRATION_KEY)) {
+      return null;
+    }
+
+    const entries = await legacy.entries().catch(() => []);
+    const migrated = [];
+
+    for (const [key, value] of entries) {
+      if (key === FALLBACK_KEY || key === MIGRATION_KEY) {
+        continue;
+      }
+      if (fallback || await this.driver.get(key) === null) {
+        await this.driver.set(key, value);
+      }
+      migrated.push(key);
+    }
+
+    const record = { from: 'localStorage', to: this.driver.name, date: new Date().toISOString(), keys: migrated };
+    if (fallback) {
+      record.afterFallback = fallback;
+    }
+    await this.driver.set(MIGRATION_KEY, record);
+    await Promise.all([...migrated, FALLBACK_KEY, MIGRATION_KEY].map(key => legacy.remove(key)));
+    return record;
+  }
+
+  // Read a value (null if missing)
+  get(key, defaultValue = null) {
+    if (!this.cache) {
+      return errorHandler.safeStorage.get(key, defaultValue);
+    }
+    return this.cache.has(key) ? snapshot(this.cache.get(key)) : defaultValue;
+  }
+
+  // Store a value; false once storage has fallen back to memory
+  // The value is saved in the background: flush() tells whether that worked
+  set(key, value) {
+    if (!this.cache) {
+      return errorHandler.safeStorage.set(key, value);
+    }
+
+    const stored = snapshot(value);
+    this.cache.set(key, stored);
+    this.queueWrite(driver => driver.set(key, stored));
+    return this.driver.persistent;
+  }
+
+  // Delete a value
+  remove(key) {
+    if (!this.cache) {
+      return errorHandler.safeStorage.remove(key);
+    }
+
+    this.cache.delete(key);
+    this.queueWrite(driver => driver.remove(key));
+    return true;
+  }
+
+  // Save in the background, one write after another
+  // Resolves to whether the write ended up in persistent storage
+  queueWrite(write) {
+    this.writes = this.writes
+      .then(() => write(this.driver))
+      .then(() => this.driver.persistent, error => this.handleWriteFailure(error));
+    return this.writes;
+  }
+
+  // A driver stopped working (quota, eviction): move everything to the next one
+  // Resolves to whether every value was saved persistently there
+  async handleWriteFailure(error) {
+    const failed = this.driver;
+    errorHandler.logWarning('Storage Driver Failed', { driver: failed.name, message: error?.message });
+
+    const index = this.drivers.indexOf(failed);
+    const next = await this.openDriver(index + 1);
+    let saved = next.persistent;
+    for (const [key, value] of this.cache) {
+      await next.set(key, value).catch(() => {
+        saved = false;
+      });
+    }
+
+    // The failed driver is tried first again next visit, so note where the newest data is
+    if (next.name === 'localStorage' && saved) {
+      await next.set(FALLBACK_KEY, { from: failed.name, date: new Date().toISOString() }).catch(() => {});
+    }
+    return saved;
+  }
+
+  // Resolves once every queued write is done: true if the last one was saved persistently
+  flush() {
+    return this.writes;
+  }
+
+  // Name of the driver in use ('indexedDB', 'localStorage', 'memory', or 'pending' before init)
+  getDriverName() {
+    return this.driver ? this.driver.name : 'pending';
+  }
+
+  // Check values survive a reload
+  isPersistent() {
+    return this.driver ? this.driver.persistent : errorHandler.isStorageAvailable();
+  }
+
+  // Record of the one-time move from localStorage, if it has happened
+  getMigrationRecord() {
+    return this.get(MIGRATION_KEY);
+  }
+}
+
+// Create global storage instance
+export const appStorage = new AppStorage();
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import {
+  BOARD_SIZES,
+  WORD_LENGTHS,
+  getBoardSize,
+  getBritishSpelling,
+  getLexicons,
+  getWordLengths,
+  isSupportedWordLength,
+  isValidRowCount
+} from '../board-sizes.js'
+
+describe('board sizes', () => {
+  it('should offer 4 to 7 letter boards', () => {
+    expect(WORD_LENGTHS).toEqual([4, 5, 6, 7])
+  })
+
+  it.each([4, 6, 7])('should have a clean %i-letter dictionary', (wordLength) => {
+    const { answers, validGuesses } = BOARD_SIZES[wordLength]
+    const words = [...answers, ...validGuesses]
+
+    expect(answers.length).toBeGreaterThan(300)
+    expect(words.every(word => word.length === wordLength && /^[A-Z]+$/.test(word))).toBe(true)
+    expect(new Set(words).size).toBe(words.length)
+  })
+
+  it('should normalise the five-letter guess list', () => {
+    const { answers, validGuesses } = BOARD_SIZES[5]
+
+    expect(validGuesses).toContain('WHICH')
+    expect(new Set(validGuesses).size).toBe(validGuesses.length)
+    expect(answers.every(word => word.length === 5)).toBe(true)
+    expect(answers).not.toContain('AFAR')
+  })
+
+  it('should leave American spellings out of every list', () => {
+    Object.values(BOARD_SIZES).forEach(({ answers, validGuesses }) => {
+      expect([...answers, ...validGuesses].filter(word => getBritishSpelling(word))).toEqual([])
+    })
+    expect(getBritishSpelling('color')).toBe('COLOUR')
+    expect(getBritishSpelling('COLOUR')).toBeNull()
+  })
+
+  it('should use American spellings for en-US answers and accept both as guesses', () => {
+    const { answers } = getBoardSize(5, 'en-US')
+    const { guesses } = getLexicons(5, 'en-US')
+
+    expect(answers).toContain('SABER')
+    expect(answers).not.toContain('SABRE')
+    expect(guesses.has('SABER')).toBe(true)
+    expect(guesses.has('SABRE')).toBe(true)
+    expect(getWordLengths('en-US')).toEqual([4, 5, 6, 7])
+  })
+
+  it('should have a five-letter Spanish dictionary with Ñ', () => {
+    const { answers } = getBoardSize(5, 'es')
+
+    expect(getWordLengths('es')).toEqual([5])
+    expect(isSupportedWordLength(6, 'es')).toBe(false)
+    expect(answers.length).toBeGreaterThan(300)
+    expect(answers).toContain('NIÑOS')
+    expect(answers.every(word => /^[A-ZÑ]{5}$/.test(word))).toBe(true)
+    expect(getLexicons(5, 'es').guesses.has('HELLO')).toBe(false)
+  })
+
+  it('should reject unsupported lengths', () => {
+    expect(() => getBoardSize(3)).toThrow('Unsupported word length: 3')
+    expect(() => getBoardSize(6, 'es')).toThrow('Unsupported word length: 6')
+  })
+
+  it('should bound the number of guesses', () => {
+    expect(isValidRowCount(6)).toBe(true)
+    expect(isValidRowCount(3)).toBe(false)
+    expect(isValidRowCount(11)).toBe(false)
+    expect(isValidRowCount(6.5)).toBe(false)
+  })
+})
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest'
+import { createBarChart, createChartLegend, createColumnChart } from '../charts.js'
+
+// Parse chart markup so bars can be measured
+function render(markup) {
+  document.body.innerHTML = markup
+  return document.body
+}
+
+describe('charts', () => {
+  it('should draw one bar per item, scaled to the largest value', () => {
+    const chart = render(createBarChart([
+      { label: 'CRANE', value: 4, detail: '75% won' },
+      { label: 'SLATE', value: 2 }
+    ]))
+
+    const bars = chart.querySelectorAll('rect')
+    expect(bars).toHaveLength(2)
+    expect(Number(bars[1].getAttribute('width'))).toBeCloseTo(Number(bars[0].getAttribute('width')) / 2)
+    expect(chart.textContent).toContain('4 · 75% won')
+  })
+
+  it('should place series side by side in grouped columns', () => {
+    const chart = render(createColumnChart([1, 2], [
+      { name: 'Greens', className: 'chart-correct', values: [1.5, 3] },
+      { name: 'Yellows', className: 'chart-present', values: [1, 0] }
+    ], { height: 116 }))
+
+    const greens = chart.querySelectorAll('.chart-correct')
+    expect(greens).toHaveLength(2)
+    // Plot area is 100 high once the labels are taken off
+    expect(Number(greens[1].getAttribute('height'))).toBe(100)
+    expect(Number(greens[0].getAttribute('height'))).toBe(50)
+    expect(greens[0].querySelector('title').textContent).toBe('1 Greens: 1.5')
+  })
+
+  it('should stack series as shares of each column', () => {
+    const chart = render(createColumnChart(['E'], [
+      { name: 'Correct', className: 'chart-correct', values: [1] },
+      { name: 'Absent', className: 'chart-absent', values: [3] }
+    ], { stacked: true, height: 116 }))
+
+    const [correct, absent] = chart.querySelectorAll('rect')
+    expect(Number(correct.getAttribute('height'))).toBe(25)
+    expect(Number(absent.getAttribute('height'))).toBe(75)
+    expect(Number(absent.getAttribute('y'))).toBe(0)
+    expect(absent.querySelector('title').textContent).toBe('E Absent: 3 (75%)')
+  })
+
+  it('should list each series in the legend', () => {
+    const legend = render(createChartLegend([{ name: 'Greens', className: 'chart-correct' }]))
+    expect(legend.textContent).toBe('Greens')
+    expect(legend.querySelector('rect.chart-correct')).toBeTruthy()
+  })
+
+  it('should show labels as text, never markup', () => {
+    const chart = render(createBarChart([{ label: '<img src=x onerror=alert(1)>', value: 1 }]))
+
+    expect(chart.querySelector('img')).toBeNull()
+    expect(chart.querySelector('.chart-label').textContent).toBe('<img src=x onerror=alert(1)>')
+  })
+})
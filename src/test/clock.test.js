@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest'
+import { DayClock, dayClock } from '../clock.js'
+
+describe('DayClock', () => {
+  const originalTZ = process.env.TZ
+  let clock
+
+  beforeAll(() => {
+    process.env.TZ = 'Europe/London'
+  })
+
+  afterAll(() => {
+    process.env.TZ = originalTZ
+  })
+
+  beforeEach(() => {
+    clock = new DayClock()
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  describe('policy', () => {
+    it('should default to local midnight', () => {
+      expect(clock.getPolicy()).toEqual({ type: 'local-midnight' })
+      expect(dayClock.getPolicy().type).toBe('local-midnight')
+    })
+
+    it('should accept a fixed global reset time', () => {
+      clock.setPolicy({ type: 'fixed-utc', hour: 5, minute: 30 })
+
+      expect(clock.getPolicy()).toEqual({ type: 'fixed-utc', hour: 5, minute: 30 })
+    })
+
+    it('should reject invalid policies', () => {
+      expect(() => clock.setPolicy({ type: 'fixed-utc', hour: 24 })).toThrow('Invalid reset time')
+      expect(() => clock.setPolicy({ type: 'sometimes' })).toThrow('Unknown day reset policy')
+    })
+  })
+
+  describe('day keys', () => {
+    it('should use the local date under local midnight', () => {
+      // 23:30 UTC on 30 June is 00:30 BST on 1 July
+      expect(clock.getDayKey(new Date('2024-06-30T23:30:00Z'))).toBe('2024-07-01')
+    })
+
+    it('should use the reset time under a fixed global policy', () => {
+      clock.setPolicy({ type: 'fixed-utc', hour: 5, minute: 0 })
+
+      expect(clock.getDayKey(new Date('2024-07-01T04:59:00Z'))).toBe('2024-06-30')
+      expect(clock.getDayKey(new Date('2024-07-01T05:00:00Z'))).toBe('2024-07-01')
+    })
+
+    it('should count day numbers from the epoch', () => {
+      expect(clock.getDayNumber(new Date(2024, 0, 1, 0, 0))).toBe(0)
+      expect(clock.getDayNumber(new Date(2024, 0, 31, 23, 59))).toBe(30)
+      expect(clock.getDayKeyForNumber(30)).toBe('2024-01-31')
+    })
+
+    it('should do calendar arithmetic on day keys', () => {
+      expect(clock.daysBetween('2024-02-28', '2024-03-01')).toBe(2)
+      expect(clock.addDays('2024-12-31', 1)).toBe('2025-01-01')
+      expect(clock.addDays('2024-03-01', -1)).toBe('2024-02-29')
+    })
+
+    it('should pass day keys through toDayKey unchanged', () => {
+      expect(clock.toDayKey('2024-01-15')).toBe('2024-01-15')
+      expect(() => clock.parseDayKey('15/01/2024')).toThrow('Invalid day key')
+    })
+  })
+
+  describe('daylight saving changes', () => {
+    it('should advance exactly one day across the spring change', () => {
+      // Clocks go forward at 01:00 UTC on 31 March 2024 (a 23 hour day)
+      const before = new Date(2024, 2, 30, 23, 30)
+      const after = new Date(2024, 2, 31, 23, 30)
+
+      expect(clock.getDayNumber(after) - clock.getDayNumber(before)).toBe(1)
+      expect(clock.daysBetween(clock.getDayKey(before), clock.getDayKey(after))).toBe(1)
+    })
+
+    it('should advance exactly one day across the autumn change', () => {
+      // Clocks go back at 01:00 UTC on 27 October 2024 (a 25 hour day)
+      const start = new Date(2024, 9, 27, 0, 30)
+      const end = new Date(2024, 9, 27, 23, 30)
+
+      expect(clock.getDayKey(start)).toBe('2024-10-27')
+      expect(clock.getDayKey(end)).toBe('2024-10-27')
+      expect(clock.getDayNumber(new Date(2024, 9, 28, 0, 0)) - clock.getDayNumber(start)).toBe(1)
+    })
+
+    it('should count down to local midnight on a short day', () => {
+      const now = new Date(2024, 2, 31, 0, 0)
+      const remaining = clock.getTimeUntilNextReset(now)
+
+      expect(clock.getNextReset(now).getTime()).toBe(new Date(2024, 3, 1, 0, 0).getTime())
+      expect(remaining.hours).toBe(23)
+      expect(remaining.minutes).toBe(0)
+    })
+
+    it('should count down to local midnight on a long day', () => {
+      const remaining = clock.getTimeUntilNextReset(new Date(2024, 9, 27, 0, 0))
+
+      expect(remaining.hours).toBe(25)
+    })
+
+    it('should keep a fixed global reset unaffected by local DST', () => {
+      clock.setPolicy({ type: 'fixed-utc', hour: 0, minute: 0 })
+      const remaining = clock.getTimeUntilNextReset(new Date('2024-03-31T00:00:00Z'))
+
+      expect(remaining.hours).toBe(24)
+    })
+
+    it('should hit zero when the day number changes', () => {
+      vi.setSystemTime(new Date(2024, 9, 27, 23, 59, 30))
+      const dayBefore = clock.getDayNumber()
+      const { milliseconds } = clock.getTimeUntilNextReset()
+
+      vi.setSystemTime(new Date(Date.now() + milliseconds))
+
+      expect(clock.getDayNumber()).toBe(dayBefore + 1)
+      expect(clock.getTimeUntilNextReset().hours).toBe(24)
+    })
+  })
+})
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import { toCsv, createGamesCsv, createGuessesCsv, createSummaryCsv } from '../csv-export.js'
+
+// Split CSV text into lines without the byte order mark
+function lines(csv) {
+  return csv.replace(/^\uFEFF/, '').trimEnd().split('\r\n')
+}
+
+const history = [
+  {
+    date: '2024-01-15',
+    won: false,
+    guessCount: null,
+    targetWord: 'LIGHT, GAMES',
+    gameMode: 'multi',
+    dayNumber: 5,
+    boardCount: 2,
+    wordLength: 5,
+    maxRows: 7,
+    guesses: []
+  },
+  {
+    date: '2024-01-14',
+    won: true,
+    guessCount: 2,
+    targetWord: 'HELLO',
+    gameMode: 'daily',
+    hardMode: true,
+    hintsUsed: 1,
+    dayNumber: 3,
+    boardCount: 1,
+    wordLength: 5,
+    maxRows: 6,
+    guesses: [
+      { word: 'WORLD', result: ['absent', 'present', 'absent', 'correct', 'absent'] },
+      { word: 'HELLO', result: ['correct', 'correct', 'correct', 'correct', 'correct'] }
+    ]
+  }
+]
+
+describe('CSV export', () => {
+  it('should quote cells with separators, quotes or line breaks', () => {
+    const csv = toCsv([['plain', 'a,b', 'say "hi"', 'two\nlines', 3, null]])
+
+    expect(csv.startsWith('\uFEFF')).toBe(true)
+    expect(csv.endsWith('\r\n')).toBe(true)
+    expect(lines(csv)).toEqual(['plain,"a,b","say ""hi""","two\nlines",3,'])
+  })
+
+  it('should stop text from being read as a formula', () => {
+    expect(lines(toCsv([['=SUM(A1)', '-A', '@x', -2]]))).toEqual(["'=SUM(A1),'-A,'@x,-2"])
+  })
+
+  it('should write one row per game, oldest first', () => {
+    const rows = lines(createGamesCsv(history))
+
+    expect(rows[0]).toBe('Date,Mode,Day,Boards,Word length,Max rows,Answer,Won,Guesses,Hard mode,Hints used,Guess words')
+    expect(rows[1]).toBe('2024-01-14,daily,3,1,5,6,HELLO,TRUE,2,TRUE,1,WORLD HELLO')
+    expect(rows[2]).toBe('2024-01-15,multi,5,2,5,7,"LIGHT, GAMES",FALSE,,FALSE,0,')
+    expect(rows).toHaveLength(3)
+  })
+
+  it('should write one row per guess with its colour pattern', () => {
+    const rows = lines(createGuessesCsv(history))
+
+    expect(rows[0]).toBe('Date,Mode,Day,Boards,Word length,Max rows,Answer,Won,Guess number,Guess,Pattern,Correct,Present,Absent')
+    expect(rows.slice(1)).toEqual([
+      '2024-01-14,daily,3,1,5,6,HELLO,TRUE,1,WORLD,APACA,1,1,3',
+      '2024-01-14,daily,3,1,5,6,HELLO,TRUE,2,HELLO,CCCCC,5,0,0'
+    ])
+  })
+
+  it('should use the first open board for multi-board guesses', () => {
+    const multi = [{
+      date: '2024-01-16',
+      won: true,
+      guessCount: 2,
+      targetWord: 'HELLO, WORLD',
+      gameMode: 'multi',
+      dayNumber: 6,
+      boardCount: 2,
+      wordLength: 5,
+      maxRows: 7,
+      guesses: [
+        {
+          word: 'HELLO',
+          result: ['correct', 'correct', 'correct', 'correct', 'correct'],
+          boards: [
+            ['correct', 'correct', 'correct', 'correct', 'correct'],
+            ['absent', 'absent', 'correct', 'present', 'present']
+          ]
+        },
+        {
+          word: 'WORLD',
+          result: ['absent', 'present', 'absent', 'correct', 'absent'],
+          boards: [null, ['correct', 'correct', 'correct', 'correct', 'correct']]
+        }
+      ]
+    }]
+
+    expect(lines(createGuessesCsv(multi)).slice(1)).toEqual([
+      '2024-01-16,multi,6,2,5,7,"HELLO, WORLD",TRUE,1,HELLO,CCCCC,5,0,0',
+      '2024-01-16,multi,6,2,5,7,"HELLO, WORLD",TRUE,2,WORLD,CCCCC,5,0,0'
+    ])
+  })
+
+  it('should summarise the headline figures', () => {
+    const csv = createSummaryCsv({
+      gameHistory: history,
+      totalGames: 4,
+      totalWins: 3,
+      currentStreak: 2,
+      maxStreak: 3,
+      averageGuesses: 3.5,
+      hardModeWins: 1,
+      hintedWins: 0,
+      guessDistribution: [0, 1, 0, 2, 0, 0],
+      practiceStats: { played: 2, won: 1, maxStreak: 1 },
+      multiStats: { 2: { played: 1, won: 0 } },
+      archiveStats: { 3: { won: true }, 4: { won: false } }
+    }, '2024-01-16T10:00:00.000Z')
+    const rows = lines(csv)
+
+    expect(rows[0]).toBe('Metric,Value')
+    expect(rows).toContain('Exported,2024-01-16T10:00:00.000Z')
+    expect(rows).toContain('Games recorded,2')
+    expect(rows).toContain('Win %,75')
+    expect(rows).toContain('Won in 4,2')
+    expect(rows).toContain('2 boards played,1')
+    expect(rows).toContain('Archive puzzles won,1')
+  })
+})
@@ -38,21 +38,21 @@ describe('DailyWordGenerator', () => {
 
   describe('getCurrentDayNumber', () => {
     it('should calculate days correctly from epoch', () => {
-      vi.setSystemTime(new Date('2024-01-02T12:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 2, 12, 0))
       
       const days = generator.getCurrentDayNumber()
       expect(days).toBe(1)
     })
 
     it('should calculate days correctly for future dates', () => {
-      vi.setSystemTime(new Date('2024-01-31T12:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 31, 12, 0))
       
       const days = generator.getCurrentDayNumber()
       expect(days).toBe(30)
     })
 
     it('should return 0 for epoch date', () => {
-      vi.setSystemTime(new Date('2024-01-01T12:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 1, 12, 0))
       
       const days = generator.getCurrentDayNumber()
       expect(days).toBe(0)
@@ -85,7 +85,7 @@ describe('DailyWordGenerator', () => {
 
   describe('getTodaysWord', () => {
     it('should return a valid word from the dictionary', () => {
-      vi.setSystemTime(new Date('2024-01-02T12:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 2, 12, 0))
       
       const result = generator.getTodaysWord()
       
@@ -97,20 +97,20 @@ describe('DailyWordGenerator', () => {
     })
 
     it('should return the same word for the same date', () => {
-      vi.setSystemTime(new Date('2024-01-02T08:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 2, 8, 0))
       const result1 = generator.getTodaysWord()
       
-      vi.setSystemTime(new Date('2024-01-02T20:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 2, 20, 0))
       const result2 = generator.getTodaysWord()
       
       expect(result1.word).toBe(result2.word)
     })
 
     it('should return different words for different dates', () => {
-      vi.setSystemTime(new Date('2024-01-02T12:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 2, 12, 0))
       const result1 = generator.getTodaysWord()
       
-      vi.setSystemTime(new Date('2024-01-03T12:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 3, 12, 0))
       const result2 = generator.getTodaysWord()
       
       expect(result1.word).not.toBe(result2.word)
@@ -134,6 +134,203 @@ describe('DailyWordGenerator', () => {
     })
   })
 
+  describe('versioned schedule', () => {
+    const getPermutationSchedule = () =>
+      generator.SCHEDULE_VERSIONS.find(schedule => schedule.type === 'permutation')
+
+    it('should keep days before the cutover on the legacy hash schedule', () => {
+      const seed = generator.createSeed(100)
+      const legacyWord = mockAnswers[Math.floor(generator.seededRandom(seed) * mockAnswers.length)]
+
+      const result = generator.getWordForDay(100)
+
+      expect(result.word).toBe(legacyWord)
+      expect(result.scheduleVersion).toBe(1)
+    })
+
+    it('should use every answer once per cycle after the cutover', () => {
+      const { startDay, version } = getPermutationSchedule()
+
+      const words = []
+      for (let day = startDay; day < startDay + mockAnswers.length; day++) {
+        words.push(generator.getWordForDay(day).word)
+      }
+
+      expect(new Set(words).size).toBe(mockAnswers.length)
+      expect(generator.getWordForDay(startDay).scheduleVersion).toBe(version)
+    })
+
+    it('should never repeat a word on consecutive days', () => {
+      const { startDay } = getPermutationSchedule()
+
+      for (let day = startDay; day < startDay + mockAnswers.length * 5; day++) {
+        expect(generator.getWordForDay(day).word).not.toBe(generator.getWordForDay(day + 1).word)
+      }
+    })
+
+    it('should reshuffle each cycle deterministically', () => {
+      const { startDay } = getPermutationSchedule()
+      const otherGenerator = new DailyWordGenerator(mockAnswers)
+      const day = startDay + mockAnswers.length * 3 + 4
+
+      expect(generator.getWordForDay(day).word).toBe(otherGenerator.getWordForDay(day).word)
+    })
+
+    it('should follow a different schedule for each salt', () => {
+      const schedule = {
+        seedSalt: 'TEST_DAILY',
+        multiBoardSalt: 'TEST_MULTI',
+        versions: [{ version: 1, startDay: 0, salt: 'TEST_SCHEDULE', type: 'permutation' }]
+      }
+      const other = new DailyWordGenerator(mockAnswers, mockAnswers, {}, schedule)
+
+      const words = day => [0, 1, 2, 3, 4, 5].map(offset => day(offset).word)
+      expect(other.SEED_SALT).toBe('TEST_DAILY')
+      expect(other.getWordForDay(5).scheduleVersion).toBe(1)
+      expect(words(offset => other.getWordForDay(1100 + offset)))
+        .not.toEqual(words(offset => generator.getWordForDay(1100 + offset)))
+    })
+
+    it('should report repeats in the schedule cycle check', () => {
+      const duplicated = new DailyWordGenerator([...mockAnswers, 'HELLO'])
+
+      expect(generator.validateScheduleCycle().passed).toBe(true)
+      expect(duplicated.validateScheduleCycle().passed).toBe(false)
+    })
+  })
+
+  describe('curation', () => {
+    const startDay = 1023
+    const dayKey = dayNumber => {
+      const date = new Date(Date.UTC(2024, 0, 1 + dayNumber))
+      return date.toISOString().slice(0, 10)
+    }
+    const withCuration = curation => new DailyWordGenerator(mockAnswers, mockAnswers, curation)
+
+    it('should replace a blocked word only from its start day', () => {
+      const plain = withCuration({})
+      const blockedWord = plain.getWordForDay(startDay + 5).word
+      const curated = withCuration({ blocked: [{ word: blockedWord, from: dayKey(startDay + 3) }] })
+
+      for (let day = startDay; day < startDay + 3; day++) {
+        expect(curated.getWordForDay(day).word).toBe(plain.getWordForDay(day).word)
+      }
+      expect(curated.getWordForDay(startDay + 5).word).not.toBe(blockedWord)
+
+      const cycle = []
+      for (let day = startDay; day < startDay + mockAnswers.length; day++) {
+        cycle.push(curated.getWordForDay(day).word)
+      }
+      expect(cycle).not.toContain(blockedWord)
+      // One fewer word means only the last day of the cycle repeats
+      expect(new Set(cycle.slice(0, -1)).size).toBe(mockAnswers.length - 1)
+      expect(curated.validateScheduleCycle().passed).toBe(true)
+    })
+
+    it('should keep a word blocked before its first scheduled day out of the cycle', () => {
+      const plain = withCuration({})
+      const lastWord = plain.getWordForDay(startDay + mockAnswers.length - 1).word
+      const curated = withCuration({ retired: [{ word: lastWord, from: dayKey(startDay) }] })
+
+      expect(curated.getWordForDay(startDay).word).toBe(plain.getWordForDay(startDay).word)
+      expect(curated.getWordForDay(startDay + mockAnswers.length - 1).word).not.toBe(lastWord)
+    })
+
+    it('should skip excluded words on the legacy schedule', () => {
+      const plain = withCuration({})
+      const word = plain.getWordForDay(100).word
+      const curated = withCuration({ blocked: [{ word, from: dayKey(100) }] })
+
+      expect(curated.getWordForDay(99).word).toBe(plain.getWordForDay(99).word)
+      expect(curated.getWordForDay(100).word).not.toBe(word)
+    })
+
+    it('should keep excluded words off multi-board puzzles', () => {
+      const plain = withCuration({})
+      const [word] = plain.getWordsForDay(200, 2).words
+      const curated = withCuration({ blocked: [{ word, from: dayKey(200) }] })
+
+      expect(curated.getWordsForDay(200, 2).words).not.toContain(word)
+      expect(curated.getWordsForDay(199, 2).words).toEqual(plain.getWordsForDay(199, 2).words)
+    })
+
+    it('should use an override for its day only', () => {
+      const curated = withCuration({ overrides: { [startDay + 2]: 'dream' } })
+
+      expect(curated.getWordForDay(startDay + 2)).toMatchObject({ word: 'DREAM', overridden: true })
+      expect(curated.getWordForDay(startDay + 3).overridden).toBe(false)
+    })
+
+    it('should report mistakes in the curation files', () => {
+      const added = dayKey(startDay - 1)
+      const curated = withCuration({
+        blocked: [{ word: 'HELLO', from: '2026-13-01', added }, { word: 'ZEBRA', from: dayKey(startDay), added }],
+        retired: [{ word: 'HELLO', from: dayKey(startDay), added }, { word: 'N0PE', from: dayKey(startDay), added }],
+        overrides: { [startDay + 1]: 'hello', soon: 'WORLD' }
+      })
+
+      const result = curated.validateCuration()
+
+      expect(result.passed).toBe(false)
+      expect(result.issues).toEqual([
+        'blocklist[0]: HELLO has an invalid start day "2026-13-01"',
+        'blocklist[1]: ZEBRA is not in the answer list',
+        'retired[0]: HELLO is already listed in blocklist',
+        'retired[1]: "N0PE" is not a word',
+        `overrides: day ${startDay + 1} uses HELLO, which is blocked or retired`,
+        'overrides: "soon" is not a day number'
+      ])
+      expect(curated.validateSystem().tests.map(test => test.name)).toContain('Curation test')
+    })
+
+    it('should report exclusions that start on or before the day they were added', () => {
+      const curated = withCuration({
+        blocked: [{ word: 'HELLO', from: dayKey(startDay), added: dayKey(startDay) }],
+        retired: [
+          { word: 'WORLD', from: dayKey(startDay - 10), added: dayKey(startDay) },
+          { word: 'DREAM', from: dayKey(startDay + 1), added: dayKey(startDay) },
+          { word: 'MUSIC', from: dayKey(startDay + 1) }
+        ]
+      })
+
+      expect(curated.validateCuration().issues).toEqual([
+        `blocklist[0]: HELLO starts on ${dayKey(startDay)}, which had already begun when it was added on ${dayKey(startDay)}`,
+        `retired[0]: WORLD starts on ${dayKey(startDay - 10)}, which had already begun when it was added on ${dayKey(startDay)}`,
+        'retired[2]: MUSIC has an invalid added day "undefined"'
+      ])
+    })
+
+    it('should warn about repeats in the upcoming schedule', () => {
+      const plain = withCuration({})
+      const repeated = plain.getWordForDay(startDay).word
+      const curated = withCuration({ overrides: { [startDay + 4]: repeated } })
+
+      const { days, curation } = curated.getScheduleReport(startDay, 6)
+
+      expect(days).toHaveLength(6)
+      expect(days[0]).toMatchObject({ dayNumber: startDay, dayKey: '2026-10-20', word: repeated, warnings: [] })
+      expect(days[4].warnings).toEqual([`repeats day ${startDay}`])
+      expect(curation.passed).toBe(true)
+    })
+  })
+
+  describe('multi-board words', () => {
+    it('should pick distinct words for every board', () => {
+      const { words } = generator.getWordsForDay(100, 4)
+
+      expect(words).toHaveLength(4)
+      expect(new Set(words).size).toBe(4)
+      expect(words).not.toContain(generator.getWordForDay(100).word)
+    })
+
+    it('should give every board its own deterministic seed', () => {
+      const otherGenerator = new DailyWordGenerator(mockAnswers)
+
+      expect(generator.getWordsForDay(200, 2).words).toEqual(otherGenerator.getWordsForDay(200, 2).words)
+      expect(generator.getWordsForDay(200, 4).words).not.toEqual(generator.getWordsForDay(201, 4).words)
+    })
+  })
+
   describe('createSeed', () => {
     it('should create consistent seed for same day', () => {
       const seed1 = generator.createSeed(100)
@@ -159,12 +356,13 @@ describe('DailyWordGenerator', () => {
       expect(validation.tests).toBeDefined()
       expect(Array.isArray(validation.tests)).toBe(true)
       expect(validation.tests.length).toBeGreaterThan(0)
+      expect(validation.tests.map(test => test.name)).toContain('Schedule cycle test')
     })
   })
 
   describe('utility methods', () => {
     it('should get yesterdays word', () => {
-      vi.setSystemTime(new Date('2024-01-02T12:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 2, 12, 0))
       
       const result = generator.getYesterdaysWord()
       
@@ -173,7 +371,7 @@ describe('DailyWordGenerator', () => {
     })
 
     it('should get tomorrows word', () => {
-      vi.setSystemTime(new Date('2024-01-02T12:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 2, 12, 0))
       
       const result = generator.getTomorrowsWord()
       
@@ -182,14 +380,33 @@ describe('DailyWordGenerator', () => {
     })
 
     it('should check if date is today', () => {
-      vi.setSystemTime(new Date('2024-01-02T12:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 2, 12, 0))
       
       expect(generator.isToday('2024-01-02')).toBe(true)
       expect(generator.isToday('2024-01-01')).toBe(false)
     })
 
+    it('should list past days for the archive', () => {
+      vi.setSystemTime(new Date(2024, 0, 4, 12, 0))
+
+      const days = generator.getArchiveDays()
+
+      expect(days.map(day => day.dayNumber)).toEqual([2, 1, 0])
+      expect(days[2].isoDate).toBe('2024-01-01')
+      expect(days[0]).not.toHaveProperty('word')
+    })
+
+    it('should roll over to the next word when the timer reaches zero', () => {
+      vi.setSystemTime(new Date(2024, 0, 2, 18, 45))
+      const { dayNumber, timeUntilNext } = generator.getDayStats()
+
+      vi.setSystemTime(new Date(Date.now() + timeUntilNext.milliseconds))
+
+      expect(generator.getCurrentDayNumber()).toBe(dayNumber + 1)
+    })
+
     it('should get day stats', () => {
-      vi.setSystemTime(new Date('2024-01-02T12:00:00Z'))
+      vi.setSystemTime(new Date(2024, 0, 2, 12, 0))
       
       const stats = generator.getDayStats()
       
@@ -0,0 +1,54 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { DictionaryLoader } from '../dictionary-loader.js'
+
+describe('DictionaryLoader', () => {
+  let loader
+
+  beforeEach(() => {
+    loader = new DictionaryLoader()
+  })
+
+  it('should uppercase words and drop duplicates', () => {
+    const { words, report } = loader.load('guesses-5', ['which', 'WHICH', ' there ', 'Which'], 5)
+
+    expect(words).toEqual(['WHICH', 'THERE'])
+    expect(report).toEqual(expect.objectContaining({ total: 4, accepted: 2, normalised: 3, duplicates: 2 }))
+  })
+
+  it('should reject wrong-length and non-alphabetic entries', () => {
+    const { words, report } = loader.load('answers-5', ['AFAR', 'HELLO', "CAN'T", 'T3STS', null], 5)
+
+    expect(words).toEqual(['HELLO'])
+    expect(report.rejected).toEqual([
+      { word: 'AFAR', reason: 'wrong-length' },
+      { word: "CAN'T", reason: 'non-alphabetic' },
+      { word: 'T3STS', reason: 'non-alphabetic' },
+      { word: 'null', reason: 'non-alphabetic' }
+    ])
+  })
+
+  it('should accept letters from the given alphabet', () => {
+    const { words, report } = loader.load('es/answers-5', ['niños', 'AÑADE', 'CAFÉS'], 5, 'ABCDEFGHIJKLMNÑOPQRSTUVWXYZ')
+
+    expect(words).toEqual(['NIÑOS', 'AÑADE'])
+    expect(report.rejected).toEqual([{ word: 'CAFÉS', reason: 'non-alphabetic' }])
+    expect(loader.load('answers-5', ['AÑADE'], 5).words).toEqual([])
+  })
+
+  it('should combine the reports for every list', () => {
+    loader.load('answers-5', ['HELLO', 'AFAR'], 5)
+    loader.load('guesses-5', ['world', 'world'], 5)
+
+    const report = loader.getReport()
+    expect(report.lists).toHaveLength(2)
+    expect(report.accepted).toBe(2)
+    expect(report.duplicates).toBe(1)
+    expect(report.rejected).toEqual([{ list: 'answers-5', word: 'AFAR', reason: 'wrong-length' }])
+    expect(report.hasRejections).toBe(true)
+  })
+
+  it('should treat a missing list as empty', () => {
+    expect(loader.load('answers-6', undefined, 6).words).toEqual([])
+    expect(loader.getReport().hasRejections).toBe(false)
+  })
+})
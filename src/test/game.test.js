@@ -1,6 +1,9 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { GameLogic } from '../game.js'
 import { errorHandler } from '../error-handler.js'
+import { dayClock } from '../clock.js'
+import { dictionaryLoader } from '../dictionary-loader.js'
+import { guessDictionary } from '../guess-dictionary.js'
 
 // Mock dependencies
 vi.mock('../dictionaries/answers.js', () => ({
@@ -19,22 +22,55 @@ vi.mock('../daily-word.js', () => ({
     getDaysFromEpoch() {
       return 100
     }
+    getCurrentDayNumber() {
+      return 100
+    }
+    getWordForDay(dayNumber) {
+      return { word: 'WORLD', dayNumber }
+    }
+    getTodaysWords(boardCount) {
+      return { words: ['GAMES', 'LIGHT', 'BRAVE', 'QUICK'].slice(0, boardCount), dayNumber: 100, boardCount }
+    }
+    getArchiveDays() {
+      return [
+        { dayNumber: 99, isoDate: '2024-04-09' },
+        { dayNumber: 98, isoDate: '2024-04-08' },
+        { dayNumber: 97, isoDate: '2024-04-07' }
+      ]
+    }
   }
 }))
 
+// Full guess list is treated as already loaded unless a test says otherwise
+vi.mock('../guess-dictionary.js', () => {
+  const guessDictionary = {
+    isPending: vi.fn(() => false),
+    load: vi.fn(() => Promise.resolve(true))
+  }
+  return { guessDictionary, getGuessDictionary: vi.fn(() => guessDictionary) }
+})
+
 vi.mock('../statistics.js', () => ({
   GameStatistics: class {
     recordGame() {}
+    recordSpellingVariant() {}
     updateStreak() {}
     getStats() {
       return { totalGames: 0, winRate: 0 }
     }
+    getArchiveResults() {
+      return { 98: { won: false, guessCount: null } }
+    }
+    getDailyResults() {
+      return { '2024-04-09': { won: true, guessCount: 3 } }
+    }
   }
 }))
 
 vi.mock('../error-handler.js', () => ({
   errorHandler: {
     handleError: vi.fn(),
+    logWarning: vi.fn(),
     safeSync: vi.fn((fn, fallback) => {
       try {
         return fn()
@@ -75,6 +111,19 @@ describe('GameLogic', () => {
       expect(game.targetWord.length).toBe(5)
     })
 
+    it('should only log the dictionary report when words were rejected', () => {
+      expect(game.logDictionaryReport().hasRejections).toBe(false)
+      expect(errorHandler.logWarning).not.toHaveBeenCalled()
+
+      const rejected = [{ list: 'answers-5', word: 'AFAR', reason: 'wrong-length' }]
+      vi.spyOn(dictionaryLoader, 'getReport').mockReturnValueOnce({
+        lists: [], accepted: 8, normalised: 0, duplicates: 0, rejected, hasRejections: true
+      })
+      game.logDictionaryReport()
+
+      expect(errorHandler.logWarning).toHaveBeenCalledWith('Dictionary Validation', expect.objectContaining({ rejected }))
+    })
+
     it('should initialize letter states map', () => {
       expect(game.letterStates).toBeInstanceOf(Map)
       expect(game.letterStates.size).toBe(26)
@@ -99,6 +148,281 @@ describe('GameLogic', () => {
       expect(game.letterStates.size).toBe(26)
     })
 
+
+    it('should start a practice game with a random answer', () => {
+      game.startNewGame(null, 'practice')
+
+      expect(game.gameMode).toBe('practice')
+      expect(game.isPracticeMode()).toBe(true)
+      expect(['HELLO', 'WORLD', 'GAMES', 'LIGHT', 'BRAVE', 'QUICK', 'BROWN', 'FOXES']).toContain(game.targetWord)
+    })
+  })
+
+  describe('practice mode', () => {
+    beforeEach(() => {
+      errorHandler.safeStorage.set.mockClear()
+      errorHandler.safeStorage.remove.mockClear()
+    })
+
+    it('should save practice games apart from the daily state', () => {
+      game.startPracticeGame()
+      game.targetWord = 'HELLO'
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'WORLD')
+
+      game.processKeyPress('ENTER')
+
+      const savedKeys = errorHandler.safeStorage.set.mock.calls.map(call => call[0])
+      expect(savedKeys).toContain(game.practiceStateKey)
+      expect(savedKeys).not.toContain(game.gameStateKey)
+      expect(errorHandler.safeStorage.remove).not.toHaveBeenCalledWith(game.gameStateKey)
+    })
+
+    it('should record practice results with the practice game mode', () => {
+      const recordSpy = vi.spyOn(game.statistics, 'recordGame')
+      game.startPracticeGame()
+      game.targetWord = 'HELLO'
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'HELLO')
+
+      game.processKeyPress('ENTER')
+
+      expect(recordSpy).toHaveBeenCalledWith(expect.objectContaining({ gameMode: 'practice', won: true }))
+      expect(recordSpy.mock.lastCall[0].guesses).toEqual([
+        { word: 'HELLO', result: ['correct', 'correct', 'correct', 'correct', 'correct'] }
+      ])
+    })
+
+    it('should switch back to the daily game', () => {
+      game.switchMode('practice')
+      expect(game.gameMode).toBe('practice')
+
+      game.switchMode('daily')
+      expect(game.gameMode).toBe('daily')
+      expect(game.targetWord).toBe('HELLO')
+    })
+  })
+
+  describe('board sizes', () => {
+    it('should keep daily games at the classic size', () => {
+      game.setPracticeSize(6, 8)
+      game.startNewGame(null, 'daily')
+
+      expect(game.maxCols).toBe(5)
+      expect(game.maxRows).toBe(6)
+    })
+
+    it('should start practice games at the chosen size with its own dictionary', () => {
+      game.setPracticeSize(6)
+      game.startPracticeGame()
+
+      expect(game.maxCols).toBe(6)
+      expect(game.maxRows).toBe(6)
+      expect(game.targetWord).toHaveLength(6)
+      expect(game.isValidWord('GARDEN')).toBe(true)
+      expect(game.isValidWord('HELLO')).toBe(false)
+    })
+
+    it('should remember a guess count for each word length', () => {
+      game.setPracticeSize(7, 9)
+      game.setPracticeSize(4)
+
+      expect(game.getPracticeSize()).toEqual({ wordLength: 4, rows: 6 })
+
+      game.setPracticeSize(7)
+      expect(game.getPracticeSize()).toEqual({ wordLength: 7, rows: 9 })
+    })
+
+    it('should reject unsupported sizes', () => {
+      expect(game.setPracticeSize(3).success).toBe(false)
+      expect(game.setPracticeSize(6, 20).success).toBe(false)
+      expect(game.updateSetting('practiceWordLength', 6).success).toBe(false)
+    })
+
+    it('should restart an untouched practice game at the new size', () => {
+      game.switchMode('practice')
+
+      const result = game.setPracticeSize(4, 5)
+
+      expect(result.restarted).toBe(true)
+      expect(game.targetWord).toHaveLength(4)
+      expect(game.maxRows).toBe(5)
+    })
+
+    it('should lose after the configured number of guesses', () => {
+      const recordSpy = vi.spyOn(game.statistics, 'recordGame')
+      game.setPracticeSize(4, 4)
+      game.startPracticeGame()
+      game.targetWord = 'BEAR'
+      game.getCurrentGuess = vi.fn(() => 'BOAT')
+
+      let result
+      for (let i = 0; i < 4; i++) {
+        game.currentCol = 4
+        result = game.processKeyPress('ENTER')
+      }
+
+      expect(result.action).toBe('lose_game')
+      expect(recordSpy).toHaveBeenCalledWith(expect.objectContaining({ wordLength: 4, maxRows: 4, guessCount: 4 }))
+    })
+
+    it('should restore the board size from a saved game', () => {
+      game.restoreGameState({
+        targetWord: 'GARDEN',
+        currentRow: 1,
+        currentCol: 0,
+        gameState: 'playing',
+        guesses: [],
+        gameMode: 'practice',
+        wordLength: 6,
+        maxRows: 8
+      })
+
+      expect(game.maxCols).toBe(6)
+      expect(game.maxRows).toBe(8)
+      expect(game.isValidWord('GARDEN')).toBe(true)
+    })
+  })
+
+  describe('multi-board mode', () => {
+    beforeEach(() => {
+      errorHandler.safeStorage.get.mockReturnValue(null)
+    })
+
+    it('should score a guess against a list of targets', () => {
+      const result = game.validateGuess('GAMES', ['GAMES', 'LIGHT'])
+
+      expect(result.boards).toHaveLength(2)
+      expect(result.boards[0].every(state => state === 'correct')).toBe(true)
+      expect(result.boards[1]).toEqual(['present', 'absent', 'absent', 'absent', 'absent'])
+      expect(result.isWin).toBe(false)
+    })
+
+    it("should start today's multi-board puzzle with one word per board", () => {
+      const result = game.switchMode('multi', 4)
+
+      expect(result).toBe('multi')
+      expect(game.boardCount).toBe(4)
+      expect(game.getTargets()).toEqual(['GAMES', 'LIGHT', 'BRAVE', 'QUICK'])
+      expect(game.maxRows).toBe(9)
+      expect(game.hardMode).toBe(false)
+    })
+
+    it('should stop scoring boards once they are solved', () => {
+      game.switchMode('multi', 2)
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'GAMES')
+
+      const first = game.processKeyPress('ENTER')
+      expect(first.action).toBe('continue_game')
+      expect(first.boards[0].every(state => state === 'correct')).toBe(true)
+
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'MIGHT')
+      const second = game.processKeyPress('ENTER')
+      expect(second.boards[0]).toBeNull()
+      expect(second.boards[1]).toEqual(['absent', 'correct', 'correct', 'correct', 'correct'])
+    })
+
+    it('should win once every board is solved and record the board count', () => {
+      const recordSpy = vi.spyOn(game.statistics, 'recordGame')
+      game.switchMode('multi', 2)
+
+      let result
+      ;['LIGHT', 'GAMES'].forEach(word => {
+        game.currentCol = 5
+        game.getCurrentGuess = vi.fn(() => word)
+        result = game.processKeyPress('ENTER')
+      })
+
+      expect(result.action).toBe('win_game')
+      expect(recordSpy).toHaveBeenCalledWith(expect.objectContaining({
+        won: true,
+        gameMode: 'multi',
+        boardCount: 2,
+        guessCount: 2,
+        targetWord: 'GAMES, LIGHT'
+      }))
+    })
+
+    it('should keep split keyboard states per board', () => {
+      game.switchMode('multi', 2)
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'LIGHT')
+      game.processKeyPress('ENTER')
+
+      const keyboard = game.getBoardLetterStates()
+      expect(keyboard.L).toEqual(['absent', 'correct'])
+      expect(keyboard.G).toEqual(['present', 'correct'])
+      expect(keyboard.Z).toEqual(['unused', 'unused'])
+      expect(game.letterStates.get('L')).toBe('correct')
+    })
+
+    it('should save multi-board games per board count and restore them', () => {
+      game.switchMode('multi', 2)
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'GAMES')
+      game.processKeyPress('ENTER')
+
+      const [key, saved] = errorHandler.safeStorage.set.mock.lastCall
+      expect(key).toBe('wordUp_multiState_2')
+      expect(saved.targetWords).toEqual(['GAMES', 'LIGHT'])
+
+      const restored = new GameLogic()
+      restored.restoreGameState(saved)
+      expect(restored.boardCount).toBe(2)
+      expect(restored.isBoardSolved(0)).toBe(true)
+      expect(restored.getBoardLetterStates().S).toEqual(['correct', 'absent'])
+    })
+
+    it('should not offer hints or analysis with several boards', () => {
+      game.switchMode('multi', 2)
+
+      expect(game.useHint('position').success).toBe(false)
+      expect(game.getAssistInfo().enableHints).toBe(false)
+    })
+  })
+
+  describe('archive mode', () => {
+    it('should load a past puzzle by day number', () => {
+      const result = game.startArchiveGame(42)
+
+      expect(result.success).toBe(true)
+      expect(game.gameMode).toBe('archive')
+      expect(game.isArchiveMode()).toBe(true)
+      expect(game.dayNumber).toBe(42)
+      expect(game.targetWord).toBe('WORLD')
+    })
+
+    it('should reject today and future puzzles', () => {
+      expect(game.startArchiveGame(100).success).toBe(false)
+      expect(game.startArchiveGame(-1).success).toBe(false)
+      expect(game.gameMode).toBe('daily')
+    })
+
+    it('should record archive results with their day number', () => {
+      const recordSpy = vi.spyOn(game.statistics, 'recordGame')
+      errorHandler.safeStorage.set.mockClear()
+      game.startArchiveGame(42)
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'WORLD')
+
+      game.processKeyPress('ENTER')
+
+      expect(recordSpy).toHaveBeenCalledWith(expect.objectContaining({ gameMode: 'archive', dayNumber: 42, won: true }))
+      const savedKeys = errorHandler.safeStorage.set.mock.calls.map(call => call[0])
+      expect(savedKeys).toContain(game.archiveStateKey)
+      expect(savedKeys).not.toContain(game.gameStateKey)
+    })
+
+    it('should list past days with archive and daily results', () => {
+      const days = game.getArchiveDays()
+
+      expect(days).toHaveLength(3)
+      expect(days[0].result).toEqual({ won: true, guessCount: 3 })
+      expect(days[1].result).toEqual({ won: false, guessCount: null })
+      expect(days[2].result).toBeNull()
+    })
   })
 
   describe('processKeyPress', () => {
@@ -186,6 +510,71 @@ describe('GameLogic', () => {
         expect(result.action).toBe('shake_row')
       })
 
+      it('should suggest the British spelling for American spellings', () => {
+        const recordSpy = vi.spyOn(game.statistics, 'recordSpellingVariant')
+        game.currentCol = 5
+        game.getCurrentGuess = vi.fn(() => 'GRAYS')
+
+        const result = game.processKeyPress('ENTER')
+
+        expect(result.success).toBe(false)
+        expect(result.reason).toBe('Try the British spelling: GREYS')
+        expect(result.britishSpelling).toBe('GREYS')
+        expect(recordSpy).toHaveBeenCalledWith('GRAYS')
+      })
+
+      it('should count an American spelling once per game', () => {
+        const recordSpy = vi.spyOn(game.statistics, 'recordSpellingVariant')
+        game.currentCol = 5
+        game.getCurrentGuess = vi.fn(() => 'GRAYS')
+
+        game.processKeyPress('ENTER')
+        game.processKeyPress('ENTER')
+        game.processKeyPress('ENTER')
+
+        expect(recordSpy).toHaveBeenCalledTimes(1)
+
+        game.saveGameState()
+        const restored = new GameLogic()
+        restored.restoreGameState({ ...errorHandler.safeStorage.set.mock.lastCall[1] })
+        expect(restored.spellingVariants.has('GRAYS')).toBe(true)
+
+        game.startNewGame('HELLO', 'practice')
+        game.currentCol = 5
+        game.processKeyPress('ENTER')
+
+        expect(recordSpy).toHaveBeenCalledTimes(2)
+      })
+
+      it('should name British spellings that need a different length', () => {
+        game.currentCol = 5
+        game.getCurrentGuess = vi.fn(() => 'COLOR')
+
+        const result = game.processKeyPress('ENTER')
+
+        expect(result.reason).toBe('Not in word list (British spelling: COLOUR)')
+        expect(result.action).toBe('shake_row')
+      })
+
+      it('should still accept a past answer that is no longer in the lists', () => {
+        game.startNewGame('COLOR', 'archive', 188)
+
+        expect(game.isValidWord('COLOR')).toBe(true)
+      })
+
+      it('should hold unknown words until the full guess list has loaded', async () => {
+        guessDictionary.isPending.mockReturnValueOnce(true)
+        game.currentCol = 5
+        game.getCurrentGuess = vi.fn(() => 'ZZZZZ')
+
+        const result = game.processKeyPress('ENTER')
+
+        expect(result).toEqual(expect.objectContaining({ success: false, action: 'checking', guess: 'ZZZZZ', row: 0 }))
+        expect(guessDictionary.load).toHaveBeenCalled()
+        expect(game.currentRow).toBe(0)
+        await expect(game.whenDictionaryReady()).resolves.toBe(true)
+      })
+
       it('should handle winning guess', () => {
         game.targetWord = 'HELLO'
         game.currentCol = 5
@@ -339,6 +728,290 @@ describe('GameLogic', () => {
     })
   })
 
+  describe('hard mode', () => {
+    beforeEach(() => {
+      game.startNewGame('HELLO')
+      game.setHardMode(true)
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'WORLD')
+      game.processKeyPress('ENTER')
+      game.currentCol = 5
+    })
+
+    it('should require green letters to stay in place', () => {
+      game.getCurrentGuess = vi.fn(() => 'LIGHT')
+
+      const result = game.processKeyPress('ENTER')
+
+      expect(result.success).toBe(false)
+      expect(result.reason).toBe('4th letter must be L')
+      expect(result.action).toBe('shake_row')
+      expect(result.row).toBe(1)
+    })
+
+    it('should require yellow letters to be reused', () => {
+      game.getCurrentGuess = vi.fn(() => 'SILLY')
+
+      const result = game.processKeyPress('ENTER')
+
+      expect(result.success).toBe(false)
+      expect(result.reason).toBe('Guess must contain O')
+    })
+
+    it('should accept guesses that use every hint', () => {
+      game.getCurrentGuess = vi.fn(() => 'HELLO')
+
+      const result = game.processKeyPress('ENTER')
+
+      expect(result.success).toBe(true)
+      expect(result.action).toBe('win_game')
+    })
+
+    it('should not enforce hints when hard mode is off', () => {
+      game.hardMode = false
+      game.getCurrentGuess = vi.fn(() => 'LIGHT')
+
+      const result = game.processKeyPress('ENTER')
+
+      expect(result.success).toBe(true)
+    })
+
+    it('should not allow enabling hard mode mid-round', () => {
+      game.setHardMode(false)
+
+      const result = game.setHardMode(true)
+
+      expect(result.success).toBe(false)
+      expect(game.isHardMode()).toBe(false)
+    })
+
+    it('should flag hard mode in saved state and recorded games', () => {
+      const recordSpy = vi.spyOn(game.statistics, 'recordGame')
+      errorHandler.safeStorage.set.mockClear()
+      game.getCurrentGuess = vi.fn(() => 'HELLO')
+
+      game.processKeyPress('ENTER')
+
+      expect(recordSpy).toHaveBeenCalledWith(expect.objectContaining({ won: true, hardMode: true }))
+      expect(errorHandler.safeStorage.set).toHaveBeenCalledWith(
+        game.gameStateKey,
+        expect.objectContaining({ hardMode: true })
+      )
+    })
+  })
+
+  describe('post-game analysis', () => {
+    it('should not analyse a game in progress', () => {
+      game.startNewGame('HELLO')
+
+      expect(game.getGameAnalysis()).toBeNull()
+    })
+
+    it('should replay the guesses through validateGuess', () => {
+      game.startNewGame('HELLO')
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'WORLD')
+      game.processKeyPress('ENTER')
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'HELLO')
+      game.processKeyPress('ENTER')
+
+      const analysis = game.getGameAnalysis()
+
+      expect(analysis.targetWord).toBe('HELLO')
+      expect(analysis.rows).toHaveLength(2)
+      expect(analysis.rows[0].candidatesBefore).toBe(8)
+      expect(analysis.rows[0].candidatesAfter).toBe(1)
+      expect(analysis.rows[1].solved).toBe(true)
+    })
+
+    it('should score against an explicit target', () => {
+      game.targetWord = 'HELLO'
+
+      expect(game.validateGuess('WORLD', 'WORLD').isWin).toBe(true)
+    })
+  })
+
+  describe('remaining words and hints', () => {
+    it('should count answers consistent with the feedback so far', () => {
+      game.startNewGame('HELLO')
+      expect(game.getRemainingCandidates()).toHaveLength(8)
+
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'WORLD')
+      game.processKeyPress('ENTER')
+
+      expect(game.getRemainingCandidates()).toEqual(['HELLO'])
+    })
+
+    it('should narrow the remaining words with revealed hints', () => {
+      game.startNewGame('BRAVE')
+
+      game.useHint('position')
+
+      expect(game.getRemainingCandidates().sort()).toEqual(['BRAVE', 'BROWN'])
+    })
+
+    it('should reveal positions not already known', () => {
+      game.startNewGame('HELLO')
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'WORLD')
+      game.processKeyPress('ENTER')
+
+      const first = game.useHint('position')
+      expect(first.success).toBe(true)
+      expect(first.hint).toEqual({ type: 'position', index: 0, letter: 'H' })
+      expect(first.message).toBe('1st letter is H')
+
+      // The green L in 4th place is skipped
+      const revealed = [1, 2, 3].map(() => game.useHint('position').hint.index)
+      expect(revealed).toEqual([1, 2, 4])
+      expect(game.useHint('position').success).toBe(false)
+    })
+
+    it('should remove a letter that is not in the word from the keyboard', () => {
+      game.startNewGame('HELLO')
+
+      const result = game.useHint('absent')
+
+      expect(result.success).toBe(true)
+      expect('HELO').not.toContain(result.hint.letter)
+      expect(game.letterStates.get(result.hint.letter)).toBe('absent')
+      expect(result.message).toBe(`${result.hint.letter} is not in the word`)
+    })
+
+    it('should refuse hints once the game is over', () => {
+      game.startNewGame('HELLO')
+      game.gameState = 'won'
+
+      expect(game.useHint('position').success).toBe(false)
+    })
+
+    it('should record hints with the game and mark the share text', () => {
+      const recordSpy = vi.spyOn(game.statistics, 'recordGame')
+      game.startNewGame('HELLO')
+      game.useHint('position')
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'HELLO')
+      game.processKeyPress('ENTER')
+
+      expect(recordSpy).toHaveBeenCalledWith(expect.objectContaining({ won: true, hintsUsed: 1 }))
+      expect(game.getShareText().split('\n')[0]).toContain('💡')
+    })
+
+    it('should save and restore hints with the game state', () => {
+      game.startNewGame('HELLO')
+      game.useHint('position')
+
+      expect(errorHandler.safeStorage.set).toHaveBeenCalledWith(
+        game.gameStateKey,
+        expect.objectContaining({ hintsUsed: [{ type: 'position', index: 0, letter: 'H' }] })
+      )
+
+      game.restoreGameState({ ...errorHandler.safeStorage.set.mock.lastCall[1] })
+      expect(game.getAssistInfo().hints).toEqual(['1st letter is H'])
+    })
+  })
+
+  describe('sharing and settings', () => {
+    it('should only build share text for finished games', () => {
+      game.startNewGame('HELLO')
+      expect(game.getShareText()).toBeNull()
+
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'HELLO')
+      game.processKeyPress('ENTER')
+
+      expect(game.getShareText()).toContain('🟩🟩🟩🟩🟩')
+    })
+
+    it('should apply share preferences from settings', () => {
+      game.startNewGame('HELLO')
+      game.currentCol = 5
+      game.getCurrentGuess = vi.fn(() => 'HELLO')
+      game.processKeyPress('ENTER')
+
+      game.updateSetting('highContrast', true)
+      game.updateSetting('shareIncludeDate', false)
+
+      const lines = game.getShareText().split('\n')
+      expect(lines[1]).toBe('')
+      expect(lines[2]).toBe('🟧🟧🟧🟧🟧')
+    })
+
+    it('should reject unknown settings and hard mode updates', () => {
+      expect(game.updateSetting('colourScheme', 'pink').success).toBe(false)
+      expect(game.updateSetting('hardMode', true).success).toBe(false)
+      expect(game.updateSetting('highContrast', 'yes').success).toBe(false)
+    })
+  })
+
+  describe('language packs', () => {
+    it('should switch to the Spanish pack with its own keyboard and storage', () => {
+      const result = game.setLanguage('es')
+
+      expect(result).toEqual({ success: true, language: 'es', changed: true })
+      expect(game.getLanguage()).toBe('es')
+      expect(game.gameStateKey).toBe('wordUp_gameState_es')
+      expect(game.getKeyboardLayout().flat()).toContain('Ñ')
+      expect(game.hasDefinitions()).toBe(false)
+      expect(game.getSettings().language).toBe('es')
+    })
+
+    it('should accept Ñ only in packs that have it', () => {
+      game.startNewGame('HELLO')
+      game.processKeyPress('Ñ')
+      expect(game.currentCol).toBe(0)
+
+      game.setLanguage('es')
+      game.startNewGame('NIÑOS')
+      game.processKeyPress('Ñ')
+      expect(game.currentCol).toBe(1)
+    })
+
+    it('should reject unknown languages', () => {
+      expect(game.setLanguage('cy').success).toBe(false)
+      expect(game.getLanguage()).toBe('en-GB')
+      expect(game.setLanguage('en-GB')).toEqual({ success: true, language: 'en-GB', changed: false })
+    })
+  })
+
+  describe('game state migrations', () => {
+    it('should fill in the fields early saved games lack and keep a backup', () => {
+      const saved = {
+        date: '2024-04-10',
+        targetWord: 'HELLO',
+        currentRow: 1,
+        currentCol: 0,
+        gameState: 'playing',
+        guesses: [{ word: 'WORLD', result: ['absent', 'present', 'absent', 'correct', 'absent'] }],
+        letterStates: { W: 'absent' }
+      }
+      errorHandler.safeStorage.get.mockImplementationOnce(() => saved)
+
+      const state = game.loadGameState()
+
+      expect(state).toEqual(expect.objectContaining({
+        schemaVersion: 2,
+        gameMode: 'daily',
+        wordLength: 5,
+        maxRows: 6,
+        boardCount: 1,
+        targetWords: ['HELLO'],
+        boardLetterStates: [{ W: 'absent' }]
+      }))
+      expect(errorHandler.safeStorage.set).toHaveBeenCalledWith('wordUp_gameState_backup_v1', expect.objectContaining({ data: saved }))
+      expect(errorHandler.safeStorage.set).toHaveBeenCalledWith('wordUp_gameState', state)
+    })
+
+    it('should save the current schema version', () => {
+      game.startNewGame('HELLO')
+      game.saveGameState()
+
+      expect(errorHandler.safeStorage.set.mock.lastCall[1].schemaVersion).toBe(2)
+    })
+  })
+
   describe('game state persistence', () => {
     it('should save game state after each guess', () => {
       game.startNewGame(null, 'daily')
@@ -359,7 +1032,7 @@ describe('GameLogic', () => {
     })
 
     it('should check if daily word is completed', () => {
-      const today = new Date().toISOString().split('T')[0]
+      const today = dayClock.getTodayKey()
       
       // Mock a completed game state
       errorHandler.safeStorage.get.mockReturnValue({
@@ -372,7 +1045,7 @@ describe('GameLogic', () => {
     })
 
     it('should return false for non-completed daily word', () => {
-      const today = new Date().toISOString().split('T')[0]
+      const today = dayClock.getTodayKey()
       
       // Mock an in-progress game state
       errorHandler.safeStorage.get.mockReturnValue({
@@ -385,7 +1058,7 @@ describe('GameLogic', () => {
     })
 
     it('should clear old game state from previous days', () => {
-      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0]
+      const yesterday = dayClock.addDays(dayClock.getTodayKey(), -1)
       
       // Mock old game state
       errorHandler.safeStorage.get.mockReturnValue({
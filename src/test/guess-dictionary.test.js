@@ -0,0 +1,78 @@
+import { describe, it, expect, vi } from 'vitest'
+import { GuessDictionary, getGuessDictionary, guessDictionary } from '../guess-dictionary.js'
+import { getLexicons } from '../board-sizes.js'
+
+describe('GuessDictionary', () => {
+  it('should merge the full list into the five-letter lexicon', async () => {
+    const importList = vi.fn(() => Promise.resolve({ BRITISH_GUESSES: ['zowie', 'QUAFF', 'QUAFF', 'AB'] }))
+    const dictionary = new GuessDictionary(importList)
+
+    expect(dictionary.isPending()).toBe(true)
+    expect(getLexicons(5).guesses.has('ZOWIE')).toBe(false)
+
+    await expect(dictionary.load()).resolves.toBe(true)
+
+    expect(getLexicons(5).guesses.has('ZOWIE')).toBe(true)
+    expect(dictionary.wordCount).toBe(2)
+    expect(dictionary.isLoaded()).toBe(true)
+    expect(dictionary.isPending()).toBe(false)
+  })
+
+  it('should leave American spellings out of the en-GB list', async () => {
+    const dictionary = new GuessDictionary(() => Promise.resolve({ BRITISH_GUESSES: ['DONUT', 'GRAYS', 'DOUGH'] }))
+
+    await dictionary.load()
+
+    expect(getLexicons(5).guesses.has('DONUT')).toBe(false)
+    expect(getLexicons(5).guesses.has('GRAYS')).toBe(false)
+    expect(getLexicons(5).guesses.has('DOUGH')).toBe(true)
+    expect(dictionary.wordCount).toBe(1)
+  })
+
+  it('should keep American spellings in the en-US list', async () => {
+    const dictionary = new GuessDictionary(() => Promise.resolve({ BRITISH_GUESSES: ['DONUT'] }), 'en-US')
+
+    await dictionary.load()
+
+    expect(getLexicons(5, 'en-US').guesses.has('DONUT')).toBe(true)
+  })
+
+  it('should only import the chunk once', async () => {
+    const importList = vi.fn(() => Promise.resolve({ BRITISH_GUESSES: ['QUERY'] }))
+    const dictionary = new GuessDictionary(importList)
+
+    await Promise.all([dictionary.load(), dictionary.load()])
+    await dictionary.load()
+
+    expect(importList).toHaveBeenCalledTimes(1)
+  })
+
+  it('should stop waiting when the chunk fails to load', async () => {
+    const dictionary = new GuessDictionary(() => Promise.reject(new Error('Network error')))
+
+    await expect(dictionary.load()).resolves.toBe(false)
+
+    expect(dictionary.status).toBe('failed')
+    expect(dictionary.isPending()).toBe(false)
+  })
+
+  it('should merge each language\'s list into its own lexicon', async () => {
+    const importList = vi.fn(() => Promise.resolve({ SPANISH_GUESSES: ['añejo', 'QUAFF'] }))
+    const dictionary = new GuessDictionary(importList, 'es')
+
+    await dictionary.load()
+
+    expect(getLexicons(5, 'es').guesses.has('AÑEJO')).toBe(true)
+    expect(getLexicons(5).guesses.has('AÑEJO')).toBe(false)
+  })
+
+  it('should keep one dictionary per language', () => {
+    expect(getGuessDictionary('en-GB')).toBe(guessDictionary)
+    expect(getGuessDictionary('es')).toBe(getGuessDictionary('es'))
+    expect(getGuessDictionary('es')).not.toBe(guessDictionary)
+  })
+
+  it('should never hold back other word lengths', () => {
+    expect(new GuessDictionary().isPending(6)).toBe(false)
+  })
+})
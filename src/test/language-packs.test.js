@@ -0,0 +1,91 @@
+import { describe, it, expect, afterEach, vi } from 'vitest'
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  LANGUAGE_PACKS,
+  getLanguagePack,
+  getLanguageStorageKey,
+  isSupportedLanguage
+} from '../language-packs.js'
+import { DEFAULT_WORD_LENGTH, getBoardSize } from '../board-sizes.js'
+import { DailyWordGenerator } from '../daily-word.js'
+import { dayClock } from '../clock.js'
+
+describe('language packs', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should offer British, American and Spanish packs', () => {
+    expect(DEFAULT_LANGUAGE).toBe('en-GB')
+    expect(LANGUAGES).toEqual(['en-GB', 'en-US', 'es'])
+    expect(isSupportedLanguage('es')).toBe(true)
+    expect(isSupportedLanguage('cy')).toBe(false)
+    expect(() => getLanguagePack('cy')).toThrow('Unsupported language: cy')
+  })
+
+  it.each(LANGUAGES)('should have a key for every %s letter', (language) => {
+    const { alphabet, keyboard } = getLanguagePack(language)
+    const keys = keyboard.flat()
+
+    expect(keys.filter(key => key.length === 1).sort()).toEqual([...alphabet].sort())
+    expect(keys).toContain('ENTER')
+    expect(keys).toContain('BACKSPACE')
+  })
+
+  it('should give the Spanish keyboard an Ñ key', () => {
+    expect(getLanguagePack('es').keyboard[1]).toContain('Ñ')
+  })
+
+  it('should give every pack its own schedule salts', () => {
+    const salts = Object.values(LANGUAGE_PACKS).flatMap(({ schedule }) => [
+      schedule.seedSalt,
+      schedule.multiBoardSalt,
+      ...schedule.versions.map(version => version.salt)
+    ])
+
+    // en-GB's first schedule reuses its seed salt; every other salt is unique
+    expect(new Set(salts).size).toBe(salts.length - 1)
+  })
+
+  // Same generator the game and the schedule script build for a pack
+  const createGenerator = (language) => {
+    const pack = getLanguagePack(language)
+    const { answers } = getBoardSize(DEFAULT_WORD_LENGTH, language)
+    return new DailyWordGenerator(answers, pack.legacyAnswers || answers, pack.curation, pack.schedule)
+  }
+
+  it.each(LANGUAGES)('should keep the %s curation check passing once its exclusions are active', (language) => {
+    const { blocked, retired } = getLanguagePack(language).curation
+    const generator = createGenerator(language)
+    const starts = [...blocked, ...retired].map(entry => generator.getDayNumberForDate(entry.from))
+    vi.spyOn(dayClock, 'now').mockReturnValue(new Date(Date.UTC(2024, 0, 2 + Math.max(0, ...starts), 12)))
+
+    expect(generator.getCurrentDayNumber()).toBeGreaterThan(Math.max(0, ...starts))
+    expect(generator.validateCuration().issues).toEqual([])
+    expect(generator.validateSystem().allPassed).toBe(true)
+  })
+
+  it('should only serve five-letter words on the legacy en-GB schedule', () => {
+    const { legacyAnswers, schedule } = getLanguagePack('en-GB')
+    const generator = createGenerator('en-GB')
+    const wrongLength = []
+    for (let dayNumber = 0; dayNumber < schedule.versions[1].startDay; dayNumber++) {
+      const { word } = generator.getWordForDay(dayNumber)
+      if (!/^[A-Z]{5}$/.test(word)) {
+        wrongLength.push(`${dayNumber}: ${word}`)
+      }
+    }
+
+    expect(wrongLength).toEqual([])
+    expect(legacyAnswers.every(word => /^[A-Z]{5}$/.test(word))).toBe(true)
+    // Same positions as the shipped list, so past days keep their words
+    expect(legacyAnswers[legacyAnswers.indexOf('ALOFT') + 1]).toBe('AFTER')
+  })
+
+  it('should keep the original storage keys for the default pack', () => {
+    expect(getLanguageStorageKey('wordUp_statistics')).toBe('wordUp_statistics')
+    expect(getLanguageStorageKey('wordUp_statistics', 'en-GB')).toBe('wordUp_statistics')
+    expect(getLanguageStorageKey('wordUp_statistics', 'es')).toBe('wordUp_statistics_es')
+  })
+})
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { Lexicon } from '../lexicon.js'
+
+describe('Lexicon', () => {
+  const words = ['CRANE', 'CRATE', 'CHASE', 'CEASE', 'GRACE', 'TRACE', 'HELLO', 'LLAMA']
+  let lexicon
+
+  beforeEach(() => {
+    lexicon = new Lexicon(words)
+  })
+
+  describe('lookup', () => {
+    it('should find words regardless of case', () => {
+      expect(lexicon.has('crane')).toBe(true)
+      expect(lexicon.has('CRANE')).toBe(true)
+      expect(lexicon.has('CRANK')).toBe(false)
+      expect(lexicon.has(null)).toBe(false)
+    })
+
+    it('should ignore duplicates and grow with new words', () => {
+      lexicon.add('crane')
+      lexicon.add('brave')
+
+      expect(lexicon.size).toBe(9)
+      expect(lexicon.has('BRAVE')).toBe(true)
+    })
+  })
+
+  describe('query', () => {
+    it('should match a pattern with wildcards', () => {
+      expect(lexicon.query('C?A?E').sort()).toEqual(['CEASE', 'CHASE', 'CRANE', 'CRATE'])
+    })
+
+    it('should exclude letters', () => {
+      expect(lexicon.query({ pattern: 'C?A?E', exclude: ['N', 'H', 'S'] })).toEqual(['CRATE'])
+    })
+
+    it('should require letters and keep them out of known positions', () => {
+      const result = lexicon.query({ include: ['R', 'C'], notAt: { C: [0] } })
+
+      expect(result.sort()).toEqual(['GRACE', 'TRACE'])
+    })
+
+    it('should respect letter counts', () => {
+      expect(lexicon.query({ minCounts: { L: 2 } }).sort()).toEqual(['HELLO', 'LLAMA'])
+      expect(lexicon.query({ pattern: '?????', maxCounts: { E: 1 }, include: ['E'] })).not.toContain('CEASE')
+    })
+
+    it('should only return words of the pattern length', () => {
+      lexicon.add('CRATES')
+
+      expect(lexicon.query('CRATE?')).toEqual(['CRATES'])
+      expect(lexicon.query('CRATE')).toEqual(['CRATE'])
+    })
+  })
+
+  describe('rulesFromGuesses', () => {
+    it('should keep only words consistent with the feedback', () => {
+      const rules = Lexicon.rulesFromGuesses([
+        { word: 'CEASE', result: ['correct', 'absent', 'correct', 'absent', 'correct'] }
+      ])
+
+      expect(lexicon.query(rules).sort()).toEqual(['CRANE', 'CRATE'])
+    })
+
+    it('should cap letters that were marked absent after a match', () => {
+      const rules = Lexicon.rulesFromGuesses([
+        { word: 'LLAMA', result: ['present', 'absent', 'absent', 'absent', 'absent'] }
+      ])
+
+      expect(rules.minCounts.L).toBe(1)
+      expect(rules.maxCounts.L).toBe(1)
+      expect(lexicon.filter(['HELLO', 'CLEAN'], rules)).toEqual([])
+    })
+
+    it('should match every word before any guesses', () => {
+      expect(lexicon.query(Lexicon.rulesFromGuesses([]))).toHaveLength(words.length)
+    })
+  })
+})
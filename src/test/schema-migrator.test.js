@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest'
+import { MIGRATION_LOG_KEY, SchemaMigrator } from '../schema-migrator.js'
+
+const MIGRATIONS = [
+  { version: 3, description: 'Double the score', migrate: data => ({ ...data, score: data.score * 2 }) },
+  { version: 2, description: 'Add a score', migrate: data => ({ ...data, score: data.points ?? 1 }) }
+]
+
+// Minimal storage with the same get/set shape as appStorage
+function createStorage(values = {}) {
+  const store = new Map(Object.entries(values))
+  return {
+    get: key => (store.has(key) ? JSON.parse(JSON.stringify(store.get(key))) : null),
+    set: (key, value) => store.set(key, JSON.parse(JSON.stringify(value)))
+  }
+}
+
+describe('SchemaMigrator', () => {
+  const migrator = new SchemaMigrator('test', MIGRATIONS)
+
+  it('should run each missing step in order and record it', () => {
+    const original = { points: 4 }
+    const { data, from, to, applied } = migrator.migrate(original, '2026-10-19T00:00:00.000Z')
+
+    expect(from).toBe(1)
+    expect(to).toBe(3)
+    expect(data).toEqual(expect.objectContaining({ points: 4, score: 8, schemaVersion: 3 }))
+    expect(applied.map(step => step.version)).toEqual([2, 3])
+    expect(data.migrations).toEqual([
+      { version: 2, description: 'Add a score', date: '2026-10-19T00:00:00.000Z' },
+      { version: 3, description: 'Double the score', date: '2026-10-19T00:00:00.000Z' }
+    ])
+    expect(original).toEqual({ points: 4 })
+  })
+
+  it('should only run the steps after the stored version', () => {
+    const { data, applied } = migrator.migrate({ schemaVersion: 2, score: 5, migrations: [{ version: 2 }] })
+
+    expect(data.score).toBe(10)
+    expect(applied).toHaveLength(1)
+    expect(data.migrations.map(step => step.version)).toEqual([2, 3])
+  })
+
+  it('should leave current and newer data alone', () => {
+    expect(migrator.needsMigration({ schemaVersion: 3 })).toBe(false)
+    expect(migrator.needsMigration({ schemaVersion: 4 })).toBe(false)
+    expect(migrator.needsMigration(null)).toBe(false)
+    expect(migrator.migrate({ schemaVersion: 4, score: 1 }).data).toEqual({ schemaVersion: 4, score: 1 })
+  })
+
+  it('should reject gaps in the numbering', () => {
+    expect(() => new SchemaMigrator('broken', [{ version: 3, migrate: data => data }]))
+      .toThrow('broken migrations must be numbered 2, 3, 4…; found 3')
+  })
+
+  it('should back up, migrate, save and log stored data', () => {
+    const storage = createStorage({ wordUp_test: { points: 2 } })
+
+    expect(migrator.load(storage, 'wordUp_test')).toEqual(expect.objectContaining({ score: 4, schemaVersion: 3 }))
+    expect(storage.get('wordUp_test').score).toBe(4)
+    expect(storage.get('wordUp_test_backup_v1')).toEqual(expect.objectContaining({ schema: 'test', data: { points: 2 } }))
+    expect(storage.get(MIGRATION_LOG_KEY)).toEqual([
+      expect.objectContaining({ schema: 'test', key: 'wordUp_test', from: 1, to: 3, versions: [2, 3], backupKey: 'wordUp_test_backup_v1' })
+    ])
+
+    // Already up to date: nothing more is written
+    migrator.load(storage, 'wordUp_test')
+    expect(storage.get(MIGRATION_LOG_KEY)).toHaveLength(1)
+  })
+})
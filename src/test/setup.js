@@ -8,7 +8,9 @@ const localStorageMock = (() => {
     getItem: (key) => store[key] || null,
     setItem: (key, value) => { store[key] = value.toString(); },
     removeItem: (key) => { delete store[key]; },
-    clear: () => { store = {}; }
+    clear: () => { store = {}; },
+    key: (index) => Object.keys(store)[index] ?? null,
+    get length() { return Object.keys(store).length; }
   };
 })();
 
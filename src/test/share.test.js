@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { ResultSharer } from '../share.js'
+
+describe('ResultSharer', () => {
+  let sharer
+  const guesses = [
+    { word: 'WORLD', result: ['absent', 'present', 'absent', 'correct', 'absent'] },
+    { word: 'HELLO', result: ['correct', 'correct', 'correct', 'correct', 'correct'] }
+  ]
+  const dailyGame = {
+    gameMode: 'daily',
+    dayNumber: 123,
+    won: true,
+    guesses,
+    maxRows: 6,
+    hardMode: false
+  }
+
+  beforeEach(() => {
+    sharer = new ResultSharer()
+  })
+
+  afterEach(() => {
+    delete navigator.share
+    delete navigator.clipboard
+  })
+
+  describe('buildShareText', () => {
+    it('should build the standard result text', () => {
+      const text = sharer.buildShareText(dailyGame, { includeDate: false })
+
+      expect(text).toBe('Word Up #123 2/6\n\n⬛🟨⬛🟩⬛\n🟩🟩🟩🟩🟩')
+    })
+
+    it('should mark hard mode games and losses', () => {
+      const text = sharer.buildShareText({ ...dailyGame, won: false, hardMode: true }, { includeDate: false })
+
+      expect(text.split('\n')[0]).toBe('Word Up #123 X/6*')
+    })
+
+    it('should mark games where hints were used', () => {
+      const text = sharer.buildShareText({ ...dailyGame, hardMode: true, hintsUsed: 1 }, { includeDate: false })
+
+      expect(text.split('\n')[0]).toBe('Word Up #123 2/6* 💡')
+    })
+
+    it('should name the word length for non-classic boards', () => {
+      const game = { ...dailyGame, gameMode: 'practice', dayNumber: null, wordLength: 6, maxRows: 7 }
+
+      expect(sharer.buildTitle(game)).toBe('Word Up Practice (6 letters) 2/7')
+    })
+
+    it('should use the language pack\'s name', () => {
+      expect(sharer.buildTitle({ ...dailyGame, gameName: 'Word Up ES' })).toBe('Word Up ES #123 2/6')
+    })
+
+    it('should show each board side by side for multi-board games', () => {
+      const solved = ['correct', 'correct', 'correct', 'correct', 'correct']
+      const miss = ['absent', 'absent', 'absent', 'absent', 'absent']
+      const game = {
+        gameMode: 'multi',
+        dayNumber: 123,
+        won: false,
+        boardCount: 2,
+        maxRows: 7,
+        guesses: [
+          { word: 'GAMES', result: solved, boards: [solved, miss] },
+          { word: 'LIGHT', result: miss, boards: [null, miss] }
+        ]
+      }
+
+      const text = sharer.buildShareText(game, { includeDate: false })
+
+      expect(text).toBe('Word Up Duo #123 X/7\n1️⃣🟥\n\n🟩🟩🟩🟩🟩 ⬛⬛⬛⬛⬛\n⬜⬜⬜⬜⬜ ⬛⬛⬛⬛⬛')
+    })
+
+    it('should use high contrast tiles', () => {
+      const text = sharer.buildShareText(dailyGame, { includeDate: false, highContrast: true })
+
+      expect(text).toContain('⬛🟦⬛🟧⬛')
+      expect(text).not.toContain('🟩')
+    })
+
+    it('should include the puzzle date line unless turned off', () => {
+      const withDate = sharer.buildShareText(dailyGame).split('\n')
+      const withoutDate = sharer.buildShareText(dailyGame, { includeDate: false }).split('\n')
+
+      // Day 123 is 3 May 2024
+      expect(withDate[1]).toContain('2024')
+      expect(withDate[1]).toContain('May')
+      expect(withDate).toHaveLength(withoutDate.length + 1)
+    })
+
+    it('should label practice games without a puzzle number', () => {
+      const text = sharer.buildShareText({ ...dailyGame, gameMode: 'practice', dayNumber: null }, { includeDate: false })
+
+      expect(text.split('\n')[0]).toBe('Word Up Practice 2/6')
+    })
+  })
+
+  describe('share', () => {
+    it('should use the Web Share API when available', async () => {
+      navigator.share = vi.fn().mockResolvedValue()
+
+      const outcome = await sharer.share('result')
+
+      expect(navigator.share).toHaveBeenCalledWith({ text: 'result' })
+      expect(outcome).toBe('shared')
+    })
+
+    it('should treat a closed share sheet as cancelled', async () => {
+      const abort = new Error('Share cancelled')
+      abort.name = 'AbortError'
+      navigator.share = vi.fn().mockRejectedValue(abort)
+
+      expect(await sharer.share('result')).toBe('cancelled')
+    })
+
+    it('should fall back to the clipboard', async () => {
+      navigator.clipboard = { writeText: vi.fn().mockResolvedValue() }
+
+      const outcome = await sharer.share('result')
+
+      expect(navigator.clipboard.writeText).toHaveBeenCalledWith('result')
+      expect(outcome).toBe('copied')
+    })
+
+    it('should reject when neither option is available', async () => {
+      await expect(sharer.share('result')).rejects.toThrow('Sharing is not supported')
+    })
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { GameSolver } from '../solver.js'
+
+// Standard two-pass colouring, same rules as GameLogic.validateGuess
+const scoreGuess = (guess, target) => {
+  const states = new Array(guess.length).fill('absent')
+  const counts = {}
+  target.split('').forEach(letter => { counts[letter] = (counts[letter] || 0) + 1 })
+  guess.split('').forEach((letter, i) => {
+    if (letter === target[i]) {
+      states[i] = 'correct'
+      counts[letter]--
+    }
+  })
+  guess.split('').forEach((letter, i) => {
+    if (states[i] === 'absent' && counts[letter] > 0) {
+      states[i] = 'present'
+      counts[letter]--
+    }
+  })
+  return states
+}
+
+describe('GameSolver', () => {
+  const answers = ['HELLO', 'WORLD', 'GAMES', 'LIGHT', 'BRAVE', 'QUICK', 'BROWN', 'FOXES']
+  let solver
+
+  beforeEach(() => {
+    solver = new GameSolver(answers, scoreGuess)
+  })
+
+  describe('filterCandidates', () => {
+    it('should keep only words consistent with the feedback', () => {
+      const states = scoreGuess('WORLD', 'HELLO')
+
+      expect(solver.filterCandidates(answers, 'WORLD', states)).toEqual(['HELLO'])
+    })
+  })
+
+  describe('getExpectedInformation', () => {
+    it('should be zero for a single candidate', () => {
+      expect(solver.getExpectedInformation('HELLO', ['HELLO'])).toBe(0)
+    })
+
+    it('should be log2(n) when every candidate gives a different pattern', () => {
+      expect(solver.getExpectedInformation('HELLO', ['HELLO', 'QUICK'])).toBe(1)
+    })
+  })
+
+  describe('findBestGuess', () => {
+    it('should pick the guess with the most expected information', () => {
+      const best = solver.findBestGuess(answers)
+
+      answers.forEach(word => {
+        expect(best.expectedBits).toBeGreaterThanOrEqual(solver.getExpectedInformation(word, answers))
+      })
+    })
+
+    it('should return the only remaining candidate', () => {
+      expect(solver.findBestGuess(['LIGHT'])).toEqual({ word: 'LIGHT', expectedBits: 0 })
+    })
+  })
+
+  describe('analyseGame', () => {
+    it('should report candidates and information for each row', () => {
+      const guesses = [
+        { word: 'WORLD', result: scoreGuess('WORLD', 'HELLO') },
+        { word: 'HELLO', result: scoreGuess('HELLO', 'HELLO') }
+      ]
+
+      const rows = solver.analyseGame(guesses)
+
+      expect(rows).toHaveLength(2)
+      expect(rows[0].candidatesBefore).toBe(8)
+      expect(rows[0].candidatesAfter).toBe(1)
+      expect(rows[0].bitsGained).toBe(3)
+      expect(rows[0].bestGuess.word).toBeDefined()
+      expect(rows[1].candidatesBefore).toBe(1)
+      expect(rows[1].solved).toBe(true)
+    })
+  })
+})
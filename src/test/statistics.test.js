@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest'
 import { GameStatistics } from '../statistics.js'
 import { errorHandler } from '../error-handler.js'
+import { appStorage } from '../storage.js'
 
 // Mock error handler
 vi.mock('../error-handler.js', () => ({
@@ -155,6 +156,248 @@ describe('GameStatistics', () => {
       expect(result.maxStreak).toBe(2)
     })
 
+    it('should count hard mode wins separately', () => {
+      const winData = {
+        won: true,
+        guessCount: 4,
+        targetWord: 'HELLO',
+        gameMode: 'daily',
+        date: '2024-01-15'
+      }
+
+      stats.recordGame({ ...winData, hardMode: true })
+      stats.recordGame({ ...winData, date: '2024-01-16' })
+      stats.recordGame({ ...winData, won: false, hardMode: true, date: '2024-01-17' })
+
+      const result = stats.getRawStats()
+      expect(result.hardModeWins).toBe(1)
+      expect(result.totalWins).toBe(2)
+      expect(result.recentGames[2].hardMode).toBe(true)
+      expect(result.recentGames[1].hardMode).toBe(false)
+    })
+
+    it('should record hints and count hinted wins', () => {
+      const winData = {
+        won: true,
+        guessCount: 4,
+        targetWord: 'HELLO',
+        gameMode: 'daily',
+        date: '2024-01-15'
+      }
+
+      stats.recordGame({ ...winData, hintsUsed: 2 })
+      stats.recordGame({ ...winData, date: '2024-01-16' })
+
+      const result = stats.getRawStats()
+      expect(result.hintedWins).toBe(1)
+      expect(result.recentGames[1].hintsUsed).toBe(2)
+      expect(result.recentGames[0].hintsUsed).toBe(0)
+      expect(stats.getDisplayStats().overall.hintedWins).toBe(1)
+    })
+
+    it('should grow the guess distribution for boards with extra rows', () => {
+      stats.recordGame({
+        won: true,
+        guessCount: 8,
+        targetWord: 'TRUMPET',
+        gameMode: 'practice',
+        wordLength: 7,
+        maxRows: 8,
+        date: '2024-01-15'
+      })
+
+      const practice = stats.getDisplayStats().practice
+      expect(practice.guessDistribution).toEqual([0, 0, 0, 0, 0, 0, 0, 1])
+      expect(stats.getRawStats().recentGames[0]).toMatchObject({ wordLength: 7, maxRows: 8 })
+    })
+
+    it('should keep practice results in a separate bucket', () => {
+      stats.recordGame({
+        won: true,
+        guessCount: 4,
+        targetWord: 'HELLO',
+        gameMode: 'daily',
+        date: '2024-01-15'
+      })
+      stats.recordGame({
+        won: true,
+        guessCount: 2,
+        targetWord: 'WORLD',
+        gameMode: 'practice',
+        date: '2024-01-15'
+      })
+      stats.recordGame({
+        won: false,
+        guessCount: 6,
+        targetWord: 'GAMES',
+        gameMode: 'practice',
+        date: '2024-01-15'
+      })
+
+      const result = stats.getRawStats()
+      expect(result.totalGames).toBe(1)
+      expect(result.currentStreak).toBe(1)
+      expect(result.dailyStats.totalGames).toBe(1)
+      expect(result.practiceStats.totalGames).toBe(2)
+      expect(result.practiceStats.totalWins).toBe(1)
+      expect(result.practiceStats.guessDistribution[1]).toBe(1)
+      expect(result.recentGames).toHaveLength(3)
+
+      const practice = stats.getModeStats('practice')
+      expect(practice.winRate).toBe(50)
+      expect(practice.maxStreak).toBe(1)
+    })
+
+    it('should keep archive results per day without touching the daily streak', () => {
+      stats.recordGame({
+        won: true,
+        guessCount: 3,
+        targetWord: 'HELLO',
+        gameMode: 'daily',
+        date: '2024-01-15'
+      })
+      stats.recordGame({
+        won: false,
+        guessCount: 6,
+        targetWord: 'WORLD',
+        gameMode: 'archive',
+        dayNumber: 5,
+        date: '2024-01-16'
+      })
+      stats.recordGame({
+        won: true,
+        guessCount: 3,
+        targetWord: 'GAMES',
+        gameMode: 'daily',
+        date: '2024-01-16'
+      })
+
+      const result = stats.getRawStats()
+      expect(result.dailyStats.currentStreak).toBe(2)
+      expect(result.totalGames).toBe(2)
+      expect(stats.getArchiveResults()[5]).toEqual({ won: false, guessCount: null, date: '2024-01-16' })
+      expect(stats.getDailyResults()['2024-01-15'].won).toBe(true)
+    })
+
+    it('should not overwrite a solved archive day with a failed replay', () => {
+      const archiveGame = { targetWord: 'WORLD', gameMode: 'archive', dayNumber: 5, date: '2024-01-16' }
+
+      stats.recordGame({ ...archiveGame, won: true, guessCount: 4 })
+      stats.recordGame({ ...archiveGame, won: false, guessCount: 6 })
+
+      expect(stats.getArchiveResults()[5].won).toBe(true)
+    })
+
+    it('should keep the archive solve with the fewest guesses', () => {
+      const archiveGame = { targetWord: 'WORLD', gameMode: 'archive', dayNumber: 5 }
+
+      stats.recordGame({ ...archiveGame, won: true, guessCount: 4, date: '2024-01-16' })
+      stats.recordGame({ ...archiveGame, won: true, guessCount: 5, date: '2024-01-17' })
+
+      expect(stats.getArchiveResults()[5]).toEqual({ won: true, guessCount: 4, date: '2024-01-16' })
+
+      stats.recordGame({ ...archiveGame, won: true, guessCount: 3, date: '2024-01-18' })
+
+      expect(stats.getArchiveResults()[5]).toEqual({ won: true, guessCount: 3, date: '2024-01-18' })
+    })
+
+    it('should keep multi-board results apart from the daily streak', () => {
+      stats.recordGame({
+        won: true,
+        guessCount: 6,
+        targetWord: 'GAMES, LIGHT',
+        gameMode: 'multi',
+        boardCount: 2,
+        dayNumber: 100,
+        date: '2024-01-16'
+      })
+
+      const result = stats.getRawStats()
+      expect(result.multiStats[2].won).toBe(1)
+      expect(result.multiStats[2].guessDistribution[5]).toBe(1)
+      expect(result.dailyStats.currentStreak).toBe(0)
+      expect(result.recentGames[0].boardCount).toBe(2)
+      expect(stats.getDisplayStats().multi[2]).toEqual(expect.objectContaining({ played: 1, winRate: 100 }))
+    })
+
+    it('should keep every guess and its colours for replays', () => {
+      const guesses = [
+        { word: 'GAMES', result: ['absent', 'absent', 'absent', 'correct', 'absent'], boards: [['absent', 'absent', 'absent', 'correct', 'absent'], ['correct', 'correct', 'correct', 'correct', 'correct']] },
+        { word: 'LIGHT', result: ['correct', 'correct', 'correct', 'correct', 'correct'], boards: [['correct', 'correct', 'correct', 'correct', 'correct'], null] }
+      ]
+      stats.recordGame({ won: true, guessCount: 2, targetWord: 'LIGHT, GAMES', gameMode: 'multi', boardCount: 2, guesses })
+      guesses[0].result[0] = 'present'
+
+      const [game] = stats.getRawStats().recentGames
+      expect(game.guesses).toHaveLength(2)
+      expect(game.guesses[0].result[0]).toBe('absent')
+      expect(game.guesses[1].boards[1]).toBeNull()
+    })
+
+    it('should keep the whole game history', () => {
+      for (let i = 0; i < 120; i++) {
+        stats.recordGame({ won: true, guessCount: 3, targetWord: 'HELLO', gameMode: 'practice' })
+      }
+
+      expect(stats.getRawStats().gameHistory).toHaveLength(120)
+    })
+
+    it('should build a calendar of daily results since the first game', () => {
+      stats.recordGame({ won: true, guessCount: 2, targetWord: 'HELLO', date: '2024-01-01' })
+      stats.recordGame({ won: false, guessCount: 6, targetWord: 'WORLD', date: '2024-01-03' })
+      stats.recordGame({ won: true, guessCount: 4, targetWord: 'GAMES', gameMode: 'practice', date: '2024-01-04' })
+
+      const calendar = stats.getCalendar('2024-01-05')
+      expect(calendar.start).toBe('2024-01-01')
+      expect(calendar.days.map(day => day.date)).toEqual(['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-04', '2024-01-05'])
+      expect(calendar.days[0]).toEqual({ date: '2024-01-01', played: true, won: true, guessCount: 2 })
+      expect(calendar.days[1].played).toBe(false)
+      expect(calendar.days[2]).toEqual(expect.objectContaining({ played: true, won: false }))
+      expect(calendar.days[3].played).toBe(false)
+      expect(calendar).toEqual(expect.objectContaining({ played: 2, won: 1, untracked: 0 }))
+    })
+
+    it('should count daily games lost to the old history limit', () => {
+      stats.stats.dailyStats.played = 150
+      stats.recordGame({ won: true, guessCount: 3, targetWord: 'HELLO', date: '2024-01-01' })
+
+      expect(stats.getCalendar('2024-01-01').untracked).toBe(150)
+
+      stats.resetStats()
+      expect(stats.getCalendar()).toEqual(expect.objectContaining({ start: null, days: [], untracked: 0 }))
+    })
+
+    it('should report openers, colours per row and letter results', () => {
+      const row = (word, states) => ({ word, result: [...states].map(state => ({ c: 'correct', p: 'present', a: 'absent' })[state]) })
+      stats.recordGame({ won: true, guessCount: 2, targetWord: 'HELLO', guesses: [row('CRANE', 'aaaap'), row('HELLO', 'ccccc')] })
+      stats.recordGame({ won: false, guessCount: 6, targetWord: 'WORLD', guesses: [row('CRANE', 'aapaa')] })
+      stats.recordGame({ won: true, guessCount: 1, targetWord: 'SLATE', gameMode: 'practice', guesses: [row('SLATE', 'ccccc')] })
+      stats.recordGame({ won: true, guessCount: 1, targetWord: 'HELLO, WORLD', gameMode: 'multi', boardCount: 2, guesses: [row('HELLO', 'ccccc')] })
+      stats.recordGame({ won: true, guessCount: 3, targetWord: 'GAMES' })
+
+      const insights = stats.getInsights()
+      expect(insights.gamesAnalysed).toBe(4)
+      expect(insights.openers).toEqual([
+        { word: 'CRANE', played: 2, won: 1, winRate: 50 },
+        { word: 'HELLO', played: 1, won: 1, winRate: 100 },
+        { word: 'SLATE', played: 1, won: 1, winRate: 100 }
+      ])
+      expect(insights.rows).toEqual([
+        { row: 1, guesses: 3, greens: 1.7, yellows: 0.7 },
+        { row: 2, guesses: 1, greens: 5, yellows: 0 }
+      ])
+      expect(insights.letters[0]).toEqual({ letter: 'E', total: 4, correct: 2, present: 1, absent: 1 })
+    })
+
+    it('should count American spellings typed', () => {
+      stats.recordSpellingVariant('COLOR')
+      stats.recordSpellingVariant('COLOR')
+      stats.recordSpellingVariant('FAVOR')
+
+      expect(stats.getRawStats().spellingVariants).toEqual({ total: 3, words: { COLOR: 2, FAVOR: 1 } })
+      expect(stats.getDisplayStats().overall.spellingVariants).toBe(3)
+    })
+
     it('should maintain recent games list with max 10 entries', () => {
       for (let i = 0; i < 15; i++) {
         stats.recordGame({
@@ -304,6 +547,160 @@ describe('GameStatistics', () => {
     })
   })
 
+  describe('merging imports', () => {
+    const exportOf = (games) => {
+      const other = new GameStatistics()
+      other.resetStats()
+      games.forEach(game => other.recordGame(game))
+      return other.exportStats()
+    }
+
+    beforeEach(() => {
+      stats.recordGame({ won: true, guessCount: 3, targetWord: 'HELLO', date: '2024-01-14' })
+      stats.recordGame({ won: true, guessCount: 4, targetWord: 'WORLD', date: '2024-01-15' })
+    })
+
+    it('should add games from the other history and skip days already recorded', () => {
+      const data = exportOf([
+        { won: true, guessCount: 5, targetWord: 'WORLD', date: '2024-01-15' },
+        { won: true, guessCount: 2, targetWord: 'CRANE', date: '2024-01-16' },
+        { won: false, guessCount: 6, targetWord: 'PIANO', gameMode: 'practice', date: '2024-01-16' }
+      ])
+
+      expect(stats.importStats(data, 'merge')).toBe(true)
+
+      const merged = stats.getRawStats()
+      expect(merged.gameHistory.map(game => game.date)).toEqual(['2024-01-16', '2024-01-16', '2024-01-15', '2024-01-14'])
+      // The day already recorded keeps this device's game
+      expect(merged.gameHistory.find(game => game.date === '2024-01-15').guessCount).toBe(4)
+      expect(merged.totalGames).toBe(3)
+      expect(merged.totalWins).toBe(3)
+      expect(merged.currentStreak).toBe(3)
+      expect(merged.maxStreak).toBe(3)
+      expect(merged.guessDistribution).toEqual({ 1: 0, 2: 1, 3: 1, 4: 1, 5: 0, 6: 0 })
+      expect(merged.averageGuesses).toBe(3)
+      expect(merged.dailyStats.played).toBe(3)
+      expect(merged.practiceStats.played).toBe(1)
+      expect(merged.lastCompletedWord).toBe('CRANE')
+    })
+
+    it('should rebuild streaks across gaps in the merged history', () => {
+      const data = exportOf([
+        { won: true, guessCount: 2, targetWord: 'CRANE', date: '2024-01-10' },
+        { won: false, guessCount: 6, targetWord: 'PIANO', date: '2024-01-13' }
+      ])
+
+      stats.importStats(data, 'merge')
+
+      const merged = stats.getRawStats()
+      expect(merged.totalGames).toBe(4)
+      expect(merged.currentStreak).toBe(2)
+      expect(merged.maxStreak).toBe(2)
+      expect(merged.guessDistribution).toEqual({ 1: 0, 2: 1, 3: 1, 4: 1, 5: 0, 6: 0 })
+    })
+
+    it('should keep the copy of a duplicate game that has its guesses', () => {
+      const withGuesses = new GameStatistics()
+      withGuesses.resetStats()
+      withGuesses.recordGame({
+        won: true,
+        guessCount: 1,
+        targetWord: 'ROBOT',
+        date: '2024-01-20',
+        guesses: [{ word: 'ROBOT', result: ['correct', 'correct', 'correct', 'correct', 'correct'] }]
+      })
+      const data = withGuesses.exportStats()
+      withGuesses.resetStats()
+      withGuesses.recordGame({ won: true, guessCount: 1, targetWord: 'ROBOT', date: '2024-01-20' })
+
+      withGuesses.importStats(data, 'merge')
+
+      const history = withGuesses.getRawStats().gameHistory
+      expect(history).toHaveLength(1)
+      expect(history[0].guesses).toHaveLength(1)
+    })
+
+    it('should add up spelling variants from both devices', () => {
+      stats.recordSpellingVariant('COLOR')
+      const other = new GameStatistics()
+      const data = other.exportStats()
+      data.statistics.spellingVariants = { total: 2, words: { COLOR: 1, GRAY: 1 } }
+
+      stats.importStats(data, 'merge')
+
+      expect(stats.getRawStats().spellingVariants).toEqual({ total: 3, words: { COLOR: 2, GRAY: 1 } })
+    })
+
+    it('should preview a merge without changing anything', () => {
+      const data = exportOf([
+        { won: true, guessCount: 4, targetWord: 'WORLD', date: '2024-01-15' },
+        { won: false, guessCount: 6, targetWord: 'CRANE', date: '2024-01-16' }
+      ])
+      const before = JSON.stringify(stats.getRawStats())
+
+      const { success, preview } = stats.previewImport(data)
+
+      expect(success).toBe(true)
+      expect(preview.added).toBe(1)
+      expect(preview.duplicates).toBe(1)
+      expect(preview.current).toMatchObject({ games: 2, played: 2, wins: 2, winRate: 100, currentStreak: 2 })
+      expect(preview.merge).toMatchObject({ games: 3, played: 3, wins: 2, winRate: 67, currentStreak: 0, maxStreak: 2 })
+      expect(preview.replace).toMatchObject({ games: 2, played: 2, wins: 1 })
+      expect(JSON.stringify(stats.getRawStats())).toBe(before)
+    })
+
+    it('should warn about games the totals count but the histories lack', () => {
+      const data = exportOf([{ won: true, guessCount: 2, targetWord: 'CRANE', date: '2024-01-16' }])
+      data.statistics.totalGames = 4
+      data.statistics.dailyStats.played = 4
+      stats.stats.dailyStats.played = 3
+
+      const { preview } = stats.previewImport(data)
+
+      // 3 missing from the imported history, 1 from this one
+      expect(preview.untracked).toBe(4)
+    })
+
+    it('should drop imported games that are not real games', () => {
+      const data = exportOf([{ won: true, guessCount: 2, targetWord: 'CRANE', date: '2024-01-16' }])
+      const valid = data.statistics.gameHistory[0]
+      data.statistics.gameHistory.push(
+        { ...valid, targetWord: '<img src=x onerror=alert(1)>' },
+        { ...valid, date: '16 January 2024' },
+        { ...valid, gameMode: 'bonus' },
+        { ...valid, dayNumber: '1<script>' },
+        { ...valid, targetWord: 'CRANE, <b>x' }
+      )
+      data.statistics.gameHistory.push({
+        ...valid,
+        date: '2024-01-17',
+        guesses: [{ word: '<svg/>', result: ['absent', 'absent', 'absent', 'absent', 'absent', 'absent'] }]
+      })
+
+      expect(stats.importStats(data)).toBe(true)
+
+      const history = stats.getRawStats().gameHistory
+      expect(history.map(game => game.targetWord)).toEqual(['CRANE', 'CRANE'])
+      expect(history[1].guesses).toBeUndefined()
+    })
+
+    it('should accept words with the language pack\'s own letters', () => {
+      const spanish = new GameStatistics('wordUp_statistics_es', 'es')
+      spanish.resetStats()
+      spanish.recordGame({ won: true, guessCount: 1, targetWord: 'NIÑOS', date: '2024-01-16' })
+
+      expect(spanish.validateAndMigrateStats(spanish.getRawStats()).gameHistory).toHaveLength(1)
+      expect(stats.validateAndMigrateStats(spanish.getRawStats()).gameHistory).toHaveLength(0)
+    })
+
+    it('should explain why an import cannot be previewed', () => {
+      expect(stats.previewImport({ invalid: 'data' })).toEqual({
+        success: false,
+        reason: 'No statistics data found in import'
+      })
+    })
+  })
+
   describe('statistics reset', () => {
     beforeEach(() => {
       stats.recordGame({
@@ -339,6 +736,17 @@ describe('GameStatistics', () => {
       expect(health.statsCount).toBe(0)
     })
 
+    it('should report fallback mode when a background write fails', async () => {
+      const flush = vi.spyOn(appStorage, 'flush').mockResolvedValue(false)
+
+      expect(stats.saveStats()).toBe(true)
+      await flush.mock.results[0].value
+
+      expect(stats.getSystemHealth().storageWorking).toBe(false)
+      expect(errorHandler.handleError).toHaveBeenCalledWith('Statistics Save Failed', expect.any(Error), expect.any(Object))
+      flush.mockRestore()
+    })
+
     it('should report fallback mode when storage fails', () => {
       stats.fallbackMode = true
 
@@ -346,6 +754,128 @@ describe('GameStatistics', () => {
       expect(health.storageWorking).toBe(false)
       expect(health.lastSaveSuccess).toBe(false)
     })
+
+    it('should flag stored totals that no longer match the game history', () => {
+      stats.recordGame({ won: true, guessCount: 3, targetWord: 'HELLO', date: '2024-01-14' })
+      stats.recordGame({ won: true, guessCount: 4, targetWord: 'WORLD', date: '2024-01-15' })
+      expect(stats.getSystemHealth().aggregatesConsistent).toBe(true)
+      expect(stats.getSystemHealth().aggregateDrift).toEqual([])
+
+      stats.stats.totalGames = 1
+      stats.stats.currentStreak = 0
+
+      const health = stats.getSystemHealth()
+      expect(health.aggregatesConsistent).toBe(false)
+      expect(health.aggregateDrift).toEqual(['totalGames', 'currentStreak'])
+      expect(health.historyComplete).toBe(true)
+      expect(stats.checkAggregates().drift[0]).toEqual({ field: 'totalGames', stored: 1, expected: 2 })
+    })
+
+    it('should not count games missing from a trimmed history as drift', () => {
+      stats.recordGame({ won: true, guessCount: 3, targetWord: 'HELLO', date: '2024-01-14' })
+      stats.recordGame({ won: true, guessCount: 4, targetWord: 'WORLD', date: '2024-01-15' })
+      // Older saves kept only the newest games
+      stats.stats.totalGames = 5
+      stats.stats.dailyStats.played = 5
+
+      const health = stats.getSystemHealth()
+      expect(health.aggregatesConsistent).toBe(true)
+      expect(health.aggregateDrift).toEqual([])
+      expect(health.historyComplete).toBe(false)
+      expect(health.untrackedGames).toBe(3)
+    })
+  })
+
+  describe('rebuilding from history', () => {
+    beforeEach(() => {
+      stats.recordGame({ won: true, guessCount: 3, targetWord: 'HELLO', date: '2024-01-13' })
+      stats.recordGame({ won: false, guessCount: 6, targetWord: 'CRANE', date: '2024-01-14' })
+      stats.recordGame({ won: true, guessCount: 2, targetWord: 'WORLD', hardMode: true, date: '2024-01-15' })
+      stats.recordGame({ won: true, guessCount: 5, targetWord: 'PIANO', gameMode: 'practice', date: '2024-01-15' })
+    })
+
+    it('should leave consistent statistics as they are', () => {
+      const before = JSON.stringify(stats.getRawStats())
+
+      expect(stats.rebuildFromHistory()).toEqual({ success: true, changed: [] })
+      expect(JSON.stringify(stats.getRawStats())).toBe(before)
+    })
+
+    it('should derive every aggregate from the game records', () => {
+      Object.assign(stats.stats, {
+        totalGames: 2,
+        totalWins: 1,
+        maxStreak: 9,
+        guessDistribution: [4, 0, 0, 0, 0, 0],
+        averageGuesses: 1,
+        hardModeWins: 0
+      })
+      stats.stats.dailyStats.won = 0
+      stats.stats.practiceStats.won = 0
+
+      const { changed } = stats.rebuildFromHistory()
+
+      expect(changed).toEqual([
+        'totalGames', 'totalWins', 'maxStreak', 'guessDistribution', 'averageGuesses',
+        'hardModeWins', 'dailyStats', 'practiceStats'
+      ])
+      const rebuilt = stats.getRawStats()
+      expect(rebuilt.totalGames).toBe(3)
+      expect(rebuilt.totalWins).toBe(2)
+      expect(rebuilt.currentStreak).toBe(1)
+      expect(rebuilt.maxStreak).toBe(1)
+      expect(rebuilt.guessDistribution).toEqual({ 1: 0, 2: 1, 3: 1, 4: 0, 5: 0, 6: 0 })
+      expect(rebuilt.averageGuesses).toBe(2.5)
+      expect(rebuilt.hardModeWins).toBe(1)
+      expect(rebuilt.dailyStats.played).toBe(3)
+      expect(rebuilt.practiceStats.won).toBe(1)
+      expect(stats.checkAggregates().consistent).toBe(true)
+    })
+
+    it('should count a game recorded twice once', () => {
+      stats.recordGame({ won: true, guessCount: 2, targetWord: 'WORLD', date: '2024-01-15' })
+      expect(stats.getRawStats().totalGames).toBe(4)
+      expect(stats.getSystemHealth().aggregateDrift[0]).toBe('gameHistory')
+
+      stats.rebuildFromHistory()
+
+      const rebuilt = stats.getRawStats()
+      expect(rebuilt.gameHistory).toHaveLength(4)
+      expect(rebuilt.totalGames).toBe(3)
+      expect(rebuilt.totalWins).toBe(2)
+    })
+
+    it('should refuse to rebuild while the history is missing games', () => {
+      stats.stats.totalGames = 5
+      stats.stats.dailyStats.played = 5
+
+      expect(stats.rebuildFromHistory()).toEqual({
+        success: false,
+        reason: '2 games are counted in the totals but missing from the history'
+      })
+      expect(stats.getRawStats().totalGames).toBe(5)
+      expect(stats.getRawStats().dailyStats.played).toBe(5)
+    })
+
+    it('should only work the history out again once it changes', () => {
+      const build = vi.spyOn(stats, 'buildStatsFromHistory')
+
+      stats.getSystemHealth()
+      stats.getSystemHealth()
+      expect(build).toHaveBeenCalledTimes(1)
+
+      stats.recordGame({ won: true, guessCount: 4, targetWord: 'GAMES', date: '2024-01-16' })
+      stats.getSystemHealth()
+      expect(build).toHaveBeenCalledTimes(2)
+    })
+
+    it('should save the rebuilt statistics', () => {
+      stats.stats.totalGames = 1
+
+      stats.rebuildFromHistory()
+
+      expect(new GameStatistics().getRawStats().totalGames).toBe(3)
+    })
   })
 
   describe('data validation and migration', () => {
@@ -364,6 +894,59 @@ describe('GameStatistics', () => {
       expect(migrated.version).toBe('1.0.0')
     })
 
+    it('should convert a numeric version from old saves to a string', () => {
+      const migrated = stats.validateAndMigrateStats({ totalGames: 2, totalWins: 1, version: 1 })
+
+      expect(migrated.version).toBe('1.0.0')
+      expect(migrated.schemaVersion).toBe(3)
+      expect(migrated.totalGames).toBe(2)
+    })
+
+    it('should drop malformed guesses but keep the game', () => {
+      const migrated = stats.validateAndMigrateStats({
+        gameHistory: [
+          { date: '2024-01-02', won: true, guessCount: 1, targetWord: 'HELLO', guesses: [{ word: 'HELLO', result: ['correct'] }] },
+          { date: '2024-01-01', won: true, guessCount: 1, targetWord: 'WORLD', guesses: [{ word: 'WORLD', result: Array(5).fill('correct') }] },
+          null
+        ]
+      })
+
+      expect(migrated.gameHistory).toHaveLength(2)
+      expect(migrated.gameHistory[0]).not.toHaveProperty('guesses')
+      expect(migrated.gameHistory[0].targetWord).toBe('HELLO')
+      expect(migrated.gameHistory[1].guesses).toHaveLength(1)
+    })
+
+    it('should migrate first-release stats step by step', () => {
+      const migrated = stats.validateAndMigrateStats({
+        games: 5,
+        wins: 3,
+        guessDistribution: { 1: 0, 2: 1, 3: 2, 7: 1 },
+        gameHistory: [{ date: '2024-01-02T10:00:00.000Z', won: true, guessCount: 3, targetWord: 'HELLO' }]
+      })
+
+      expect(migrated.schemaVersion).toBe(3)
+      expect(migrated.totalGames).toBe(5)
+      expect(migrated.totalWins).toBe(3)
+      expect(migrated).not.toHaveProperty('games')
+      expect(migrated.guessDistribution).toEqual([0, 1, 2, 0, 0, 0, 1])
+      expect(migrated.gameHistory[0]).toEqual(expect.objectContaining({ gameMode: 'daily', wordLength: 5, boardCount: 1 }))
+      expect(migrated.gameHistory[0].date).toMatch(/^2024-01-0[12]$/)
+      expect(migrated.migrations.map(step => step.version)).toEqual([2, 3])
+    })
+
+    it('should back up stored stats before migrating them', () => {
+      localStorage.setItem('wordUp_statistics', JSON.stringify({ totalGames: 2, totalWins: 1, version: '1.0.0' }))
+
+      const loaded = new GameStatistics()
+
+      expect(loaded.getRawStats().schemaVersion).toBe(3)
+      expect(JSON.parse(localStorage.getItem('wordUp_statistics_backup_v1')).data.totalGames).toBe(2)
+      expect(JSON.parse(localStorage.getItem('wordUp_statistics')).schemaVersion).toBe(3)
+      expect(JSON.parse(localStorage.getItem('wordUp_migrationLog'))[0]).toEqual(expect.objectContaining({ schema: 'statistics', from: 1, to: 3 }))
+      expect(new GameStatistics().getRawStats().migrations).toHaveLength(2)
+    })
+
     it('should handle corrupt data gracefully', () => {
       const corruptData = {
         totalGames: 'invalid',
@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { IDBFactory } from 'fake-indexeddb'
+import { AppStorage, IndexedDBDriver, LocalStorageDriver, MemoryDriver } from '../storage.js'
+
+// Stands in for IndexedDB: persistent, but kept in memory
+class FakeDatabase extends MemoryDriver {
+  constructor() {
+    super()
+    this.name = 'indexedDB'
+    this.persistent = true
+  }
+}
+
+class UnavailableDriver extends MemoryDriver {
+  async open() {
+    return false
+  }
+}
+
+describe('AppStorage', () => {
+  beforeEach(() => {
+    localStorage.clear()
+  })
+
+  it('should use localStorage directly until initialised', () => {
+    const storage = new AppStorage(() => [new FakeDatabase()])
+
+    expect(storage.set('wordUp_settings', { hardMode: true })).toBe(true)
+    expect(JSON.parse(localStorage.getItem('wordUp_settings'))).toEqual({ hardMode: true })
+    expect(storage.get('wordUp_settings')).toEqual({ hardMode: true })
+    expect(storage.getDriverName()).toBe('pending')
+  })
+
+  it('should fall back to localStorage when IndexedDB is unavailable', async () => {
+    localStorage.setItem('wordUp_statistics', JSON.stringify({ totalGames: 3 }))
+    const storage = new AppStorage(() => [new UnavailableDriver(), new LocalStorageDriver()])
+
+    expect(await storage.init()).toBe('localStorage')
+    expect(storage.get('wordUp_statistics')).toEqual({ totalGames: 3 })
+    expect(storage.getMigrationRecord()).toBeNull()
+
+    storage.set('wordUp_gameState', { currentRow: 2 })
+    await storage.flush()
+    expect(JSON.parse(localStorage.getItem('wordUp_gameState'))).toEqual({ currentRow: 2 })
+  })
+
+  it('should move localStorage data into IndexedDB once', async () => {
+    localStorage.setItem('wordUp_statistics', JSON.stringify({ totalGames: 3 }))
+    localStorage.setItem('wordUp_gameState', JSON.stringify({ currentRow: 1 }))
+    localStorage.setItem('otherApp', JSON.stringify('kept'))
+    const database = new FakeDatabase()
+    const storage = new AppStorage(() => [database, new LocalStorageDriver()])
+
+    expect(await storage.init()).toBe('indexedDB')
+    expect(storage.get('wordUp_statistics')).toEqual({ totalGames: 3 })
+    expect(storage.get('wordUp_gameState')).toEqual({ currentRow: 1 })
+    expect(storage.getMigrationRecord().keys.sort()).toEqual(['wordUp_gameState', 'wordUp_statistics'])
+    expect(localStorage.getItem('wordUp_statistics')).toBeNull()
+    expect(localStorage.getItem('otherApp')).toBe('"kept"')
+
+    // Later visits never copy again
+    localStorage.setItem('wordUp_statistics', JSON.stringify({ totalGames: 0 }))
+    const reopened = new AppStorage(() => [database])
+    await reopened.init()
+    expect(reopened.get('wordUp_statistics')).toEqual({ totalGames: 3 })
+  })
+
+  it('should keep values already in IndexedDB over older localStorage copies', async () => {
+    const database = new FakeDatabase()
+    await database.set('wordUp_statistics', { totalGames: 9 })
+    localStorage.setItem('wordUp_statistics', JSON.stringify({ totalGames: 3 }))
+
+    const storage = new AppStorage(() => [database])
+    await storage.init()
+
+    expect(storage.get('wordUp_statistics')).toEqual({ totalGames: 9 })
+  })
+
+  it('should store a snapshot and save it in the background', async () => {
+    const database = new FakeDatabase()
+    const storage = new AppStorage(() => [database])
+    await storage.init()
+
+    const stats = { totalGames: 1 }
+    expect(storage.set('wordUp_statistics', stats)).toBe(true)
+    stats.totalGames = 2
+
+    expect(storage.get('wordUp_statistics')).toEqual({ totalGames: 1 })
+    await storage.flush()
+    expect(await database.get('wordUp_statistics')).toEqual({ totalGames: 1 })
+
+    storage.remove('wordUp_statistics')
+    await storage.flush()
+    expect(await database.get('wordUp_statistics')).toBeNull()
+  })
+
+  it('should move everything to the next driver when writes fail', async () => {
+    const database = new FakeDatabase()
+    const storage = new AppStorage(() => [database, new LocalStorageDriver()])
+    await storage.init()
+    storage.set('wordUp_settings', { hardMode: true })
+    await storage.flush()
+
+    database.set = () => Promise.reject(new Error('QuotaExceededError'))
+    storage.set('wordUp_statistics', { totalGames: 4 })
+    await storage.flush()
+
+    expect(storage.getDriverName()).toBe('localStorage')
+    expect(JSON.parse(localStorage.getItem('wordUp_settings'))).toEqual({ hardMode: true })
+    expect(JSON.parse(localStorage.getItem('wordUp_statistics'))).toEqual({ totalGames: 4 })
+  })
+
+  it('should keep data written after a fallback when the page reloads', async () => {
+    const database = new FakeDatabase()
+    const storage = new AppStorage(() => [database, new LocalStorageDriver()])
+    await storage.init()
+    storage.set('wordUp_statistics', { totalGames: 3 })
+    storage.set('wordUp_settings', { hardMode: true })
+    await storage.flush()
+
+    const set = database.set
+    database.set = () => Promise.reject(new Error('QuotaExceededError'))
+    storage.set('wordUp_statistics', { totalGames: 4 })
+    await storage.flush()
+    storage.set('wordUp_statistics', { totalGames: 5 })
+    await storage.flush()
+
+    // Next visit: IndexedDB works again but still holds the old copy
+    database.set = set
+    const reloaded = new AppStorage(() => [database, new LocalStorageDriver()])
+
+    expect(await reloaded.init()).toBe('indexedDB')
+    expect(reloaded.get('wordUp_statistics')).toEqual({ totalGames: 5 })
+    expect(reloaded.get('wordUp_settings')).toEqual({ hardMode: true })
+    expect(await database.get('wordUp_statistics')).toEqual({ totalGames: 5 })
+    expect(reloaded.getMigrationRecord().afterFallback.from).toBe('indexedDB')
+    expect(localStorage.getItem('wordUp_statistics')).toBeNull()
+    expect(localStorage.getItem('wordUp_storageFallback')).toBeNull()
+  })
+
+  it('should tell when a background write could not be saved', async () => {
+    const database = new FakeDatabase()
+    const storage = new AppStorage(() => [database, new UnavailableDriver()])
+    await storage.init()
+
+    expect(storage.set('wordUp_statistics', { totalGames: 1 })).toBe(true)
+    expect(await storage.flush()).toBe(true)
+
+    database.set = () => Promise.reject(new Error('QuotaExceededError'))
+    expect(storage.set('wordUp_statistics', { totalGames: 2 })).toBe(true)
+    expect(await storage.flush()).toBe(false)
+    expect(storage.getDriverName()).toBe('memory')
+    expect(storage.set('wordUp_statistics', { totalGames: 3 })).toBe(false)
+  })
+
+  it('should report memory storage as not persistent', async () => {
+    const storage = new AppStorage(() => [new UnavailableDriver()])
+
+    expect(await storage.init()).toBe('memory')
+    expect(storage.set('wordUp_statistics', { totalGames: 1 })).toBe(false)
+    expect(storage.isPersistent()).toBe(false)
+    expect(storage.get('wordUp_statistics')).toEqual({ totalGames: 1 })
+  })
+
+  it('should not open IndexedDB where the browser has none', async () => {
+    expect(await new IndexedDBDriver('word-up', () => undefined).open()).toBe(false)
+  })
+})
+
+describe('IndexedDBDriver', () => {
+  let driver
+
+  beforeEach(async () => {
+    localStorage.clear()
+    driver = new IndexedDBDriver('word-up-test', () => new IDBFactory())
+    expect(await driver.open()).toBe(true)
+  })
+
+  it('should store, read and remove values', async () => {
+    await driver.set('wordUp_statistics', { totalGames: 2 })
+
+    expect(await driver.get('wordUp_statistics')).toEqual({ totalGames: 2 })
+    expect(await driver.get('wordUp_missing')).toBeNull()
+
+    await driver.remove('wordUp_statistics')
+    expect(await driver.get('wordUp_statistics')).toBeNull()
+  })
+
+  it('should list every key with its own value', async () => {
+    await driver.set('wordUp_b', { value: 2 })
+    await driver.set('wordUp_a', { value: 1 })
+    await driver.set('wordUp_c', { value: 3 })
+
+    expect(await driver.entries()).toEqual([
+      ['wordUp_a', { value: 1 }],
+      ['wordUp_b', { value: 2 }],
+      ['wordUp_c', { value: 3 }]
+    ])
+  })
+
+  it('should back AppStorage, including the move from localStorage', async () => {
+    localStorage.setItem('wordUp_statistics', JSON.stringify({ totalGames: 3 }))
+    const storage = new AppStorage(() => [driver, new LocalStorageDriver()])
+
+    expect(await storage.init()).toBe('indexedDB')
+    expect(storage.get('wordUp_statistics')).toEqual({ totalGames: 3 })
+
+    storage.set('wordUp_gameState', { currentRow: 1 })
+    expect(await storage.flush()).toBe(true)
+    expect(await driver.get('wordUp_gameState')).toEqual({ currentRow: 1 })
+    expect(localStorage.getItem('wordUp_statistics')).toBeNull()
+  })
+})
@@ -93,6 +93,45 @@ describe('GameUI', () => {
       }).not.toThrow()
     })
 
+    it('should build a board of any size', () => {
+      gameUI.resetBoard(8, 7)
+
+      expect(gameUI.tiles).toHaveLength(8)
+      expect(gameUI.tiles[0]).toHaveLength(7)
+      expect(document.getElementById('game-board').getAttribute('data-cols')).toBe('7')
+      expect(gameUI.getCurrentRow()).toBe(0)
+    })
+
+    it('should build one mini board per target in multi-board games', () => {
+      gameUI.resetBoard(7, 5, 2)
+
+      const miniBoards = document.querySelectorAll('.mini-board')
+      expect(miniBoards).toHaveLength(2)
+      expect(miniBoards[1].querySelectorAll('.game-tile')).toHaveLength(35)
+      expect(document.getElementById('game-board').classList.contains('multi')).toBe(true)
+    })
+
+    it('should stop filling a board once it is solved', () => {
+      gameUI.resetBoard(7, 5, 2)
+      const solved = ['correct', 'correct', 'correct', 'correct', 'correct']
+      const partial = ['absent', 'present', 'absent', 'absent', 'absent']
+
+      gameUI.updateBoardRows(0, ['G', 'A', 'M', 'E', 'S'], [solved, partial], false)
+      gameUI.updateTile(1, 0, 'L', 'filled')
+
+      expect(document.querySelector('.mini-board[data-board="0"]').classList.contains('solved')).toBe(true)
+      expect(gameUI.boardTiles[0][1][0].textContent).toBe('')
+      expect(gameUI.boardTiles[1][1][0].textContent).toBe('L')
+    })
+
+    it('should mark a row while its word is checked', () => {
+      gameUI.setRowChecking(0, true)
+      expect(gameUI.tiles[0].every(tile => tile.classList.contains('checking'))).toBe(true)
+
+      gameUI.setRowChecking(0, false)
+      expect(gameUI.tiles[0].some(tile => tile.classList.contains('checking'))).toBe(false)
+    })
+
     it('should shake row for invalid input', () => {
       expect(() => {
         gameUI.shakeRow(0)
@@ -111,6 +150,15 @@ describe('GameUI', () => {
       }).not.toThrow()
     })
 
+    it('should split key colours across boards', () => {
+      gameUI.updateKeyboardBoards({ A: ['correct', 'absent'], B: ['unused', 'unused'] })
+
+      const key = document.querySelector('[data-key="A"]')
+      expect(key.classList.contains('split')).toBe(true)
+      expect(key.style.background).toContain('linear-gradient')
+      expect(document.querySelector('[data-key="B"]').classList.contains('split')).toBe(false)
+    })
+
     it('should handle key press events', () => {
       const mockDispatchEvent = vi.fn()
       document.dispatchEvent = mockDispatchEvent
@@ -124,6 +172,27 @@ describe('GameUI', () => {
         })
       )
     })
+
+    it('should switch to another keyboard layout', () => {
+      const layout = [['Q', 'W'], ['L', 'Ñ'], ['BACKSPACE', 'ENTER']]
+
+      gameUI.setKeyboardLayout(layout)
+
+      expect(gameUI.keyboardLayout).toBe(layout)
+      expect(document.querySelector('[data-key="Ñ"]')).toBeTruthy()
+      expect(document.querySelector('[data-key="A"]')).toBeNull()
+    })
+
+    it('should type accented letters as their plain letter but keep Ñ', () => {
+      const mockDispatchEvent = vi.fn()
+      document.dispatchEvent = mockDispatchEvent
+
+      document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'é', bubbles: true }))
+      expect(mockDispatchEvent.mock.lastCall[0].detail).toEqual({ key: 'E' })
+
+      document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'ñ', bubbles: true }))
+      expect(mockDispatchEvent.mock.lastCall[0].detail).toEqual({ key: 'Ñ' })
+    })
   })
 
   describe('message display', () => {
@@ -142,6 +211,48 @@ describe('GameUI', () => {
         gameUI.showGameStatus(true, 'HELLO', 4)
       }).not.toThrow()
     })
+
+    it('should offer a share button when the game ends', () => {
+      gameUI.showGameStatus(true, 'HELLO', 4)
+      gameUI.showGameStatus(true, 'HELLO', 4)
+
+      expect(document.querySelectorAll('#share-btn')).toHaveLength(1)
+    })
+
+    it('should show definitions under the game status', () => {
+      gameUI.showGameStatus(true, 'HELLO', 4)
+      gameUI.showWordInfo([
+        { word: 'HELLO', pos: 'noun', definition: 'an expression of greeting', example: 'every morning they said hello' }
+      ])
+
+      const info = document.querySelector('#game-status .word-info')
+      expect(info.textContent).toContain('hello noun')
+      expect(info.querySelector('.word-info-definition').textContent).toBe('an expression of greeting')
+      expect(info.querySelector('.word-info-example').textContent).toBe('“every morning they said hello”')
+
+      gameUI.showGameStatus(false, 'WORLD')
+      expect(document.querySelector('.word-info-list')).toBeNull()
+    })
+
+    it('should offer a new word after a practice game', () => {
+      gameUI.setActiveMode('practice')
+      gameUI.showGameStatus(false, 'HELLO')
+
+      expect(document.getElementById('new-practice-btn')).toBeTruthy()
+      expect(document.getElementById('daily-text').textContent).toBe('Practice')
+    })
+
+    it('should reset the board for a new game', () => {
+      gameUI.updateTile(0, 0, 'A', 'correct')
+      gameUI.updateKeyState('A', 'correct')
+      gameUI.showGameStatus(false, 'HELLO')
+
+      gameUI.resetBoard()
+
+      expect(gameUI.tiles[0][0].getAttribute('data-state')).toBe('empty')
+      expect(gameUI.keys.A.getAttribute('data-state')).toBe('unused')
+      expect(document.getElementById('game-status').style.display).toBe('none')
+    })
   })
 
   describe('statistics modal', () => {
@@ -180,6 +291,224 @@ describe('GameUI', () => {
       }).not.toThrow()
     })
 
+    it('should add definitions to recent games', () => {
+      document.body.innerHTML = gameUI.createRecentGamesList([
+        { date: '2024-01-02', won: true, guessCount: 3, targetWord: 'HELLO', gameMode: 'daily' },
+        { date: '2024-01-01', won: false, targetWord: 'GAMES, LIGHT', gameMode: 'multi', boardCount: 2, dayNumber: 1 }
+      ])
+      const lookup = word => (word === 'ZZZZZ' ? null : { word, pos: 'noun', definition: `meaning of ${word}` })
+
+      gameUI.showRecentGameDefinitions(lookup)
+      gameUI.showRecentGameDefinitions(lookup)
+
+      const rows = document.querySelectorAll('.recent-game')
+      expect(rows[0].querySelectorAll('.word-info')).toHaveLength(1)
+      expect([...rows[1].querySelectorAll('.word-info-definition')].map(el => el.textContent))
+        .toEqual(['meaning of GAMES', 'meaning of LIGHT'])
+    })
+
+    it('should name the language pack in the title', () => {
+      const stats = {
+        overall: { played: 0, winRate: 0, averageGuesses: 0 },
+        daily: { played: 0, winRate: 0, currentStreak: 0, maxStreak: 0, averageGuesses: 0 },
+        guessDistribution: [0, 0, 0, 0, 0, 0],
+        recentGames: []
+      }
+
+      gameUI.showStatsModal(stats, 'es')
+      expect(document.querySelector('#stats-modal h2').textContent).toBe('Statistics · Español')
+
+      gameUI.showStatsModal(stats, 'en-GB')
+      expect(document.querySelector('#stats-modal h2').textContent).toBe('Statistics')
+    })
+
+    it('should open an animated replay from a recent game', () => {
+      vi.useFakeTimers()
+      const guesses = [
+        { word: 'WORLD', result: ['absent', 'present', 'absent', 'correct', 'absent'] },
+        { word: 'HELLO', result: ['correct', 'correct', 'correct', 'correct', 'correct'] }
+      ]
+      gameUI.showStatsModal({
+        overall: { played: 2, winRate: 100, averageGuesses: 2 },
+        daily: { played: 2, winRate: 100, currentStreak: 2, maxStreak: 2, averageGuesses: 2 },
+        guessDistribution: [0, 1, 0, 0, 0, 0],
+        recentGames: [
+          { date: '2024-01-02', won: true, guessCount: 2, targetWord: 'HELLO', gameMode: 'daily', guesses },
+          { date: '2024-01-01', won: true, guessCount: 3, targetWord: 'GAMES', gameMode: 'daily' }
+        ]
+      })
+
+      const rows = document.querySelectorAll('#stats-modal .recent-game')
+      expect(rows[1].classList.contains('replayable')).toBe(false)
+      rows[0].click()
+
+      const tiles = document.querySelectorAll('#replay-modal .game-tile')
+      expect(tiles).toHaveLength(30)
+      expect(tiles[0].textContent).toBe('')
+
+      vi.advanceTimersByTime(2000)
+      expect([...tiles].slice(0, 10).map(tile => tile.textContent).join('')).toBe('WORLDHELLO')
+      expect(tiles[3].classList.contains('correct')).toBe(true)
+      expect(tiles[10].getAttribute('data-state')).toBe('empty')
+
+      document.getElementById('replay-close').click()
+      vi.useRealTimers()
+    })
+
+    it('should replay each open board of a multi-board game', () => {
+      vi.useFakeTimers()
+      const correct = ['correct', 'correct', 'correct', 'correct', 'correct']
+      gameUI.showReplayModal({
+        date: '2024-01-01',
+        won: true,
+        guessCount: 2,
+        targetWord: 'LIGHT, GAMES',
+        gameMode: 'multi',
+        dayNumber: 5,
+        boardCount: 2,
+        maxRows: 7,
+        guesses: [
+          { word: 'GAMES', result: ['absent', 'absent', 'absent', 'absent', 'absent'], boards: [['absent', 'absent', 'absent', 'absent', 'absent'], correct] },
+          { word: 'LIGHT', result: correct, boards: [correct, null] }
+        ]
+      })
+
+      vi.runAllTimers()
+      const boards = document.querySelectorAll('#replay-modal .mini-board')
+      expect(boards).toHaveLength(2)
+      expect(document.querySelector('#replay-modal .replay-summary').textContent).toContain('Duo #5')
+      expect(boards[0].querySelectorAll('.game-tile.correct')).toHaveLength(5)
+      expect(boards[1].querySelectorAll('.game-tile.correct')).toHaveLength(5)
+      expect(boards[1].querySelectorAll('.game-tile')[5].textContent).toBe('')
+      vi.useRealTimers()
+    })
+
+    it('should draw the daily calendar heatmap from Monday', () => {
+      const html = gameUI.createCalendarHeatmap({
+        start: '2024-01-03',
+        end: '2024-01-05',
+        days: [
+          { date: '2024-01-03', played: true, won: true, guessCount: 2 },
+          { date: '2024-01-04', played: false, won: false, guessCount: null },
+          { date: '2024-01-05', played: true, won: false, guessCount: null }
+        ],
+        played: 2,
+        won: 1,
+        untracked: 3
+      })
+      document.body.innerHTML = html
+
+      const results = [...document.querySelectorAll('.heatmap-grid .heatmap-day')].map(day => day.getAttribute('data-result'))
+      // 3 January 2024 was a Wednesday
+      expect(results).toEqual(['padding', 'padding', '2', 'none', 'failed'])
+      expect(document.body.textContent).toContain('2 of 3 days played')
+      expect(document.body.textContent).toContain('3 earlier daily games')
+      expect(gameUI.createCalendarHeatmap({ days: [] })).toBe('')
+    })
+
+    it('should chart insights once games with guesses exist', () => {
+      expect(gameUI.createInsightsSection({ gamesAnalysed: 0, openers: [], rows: [], letters: [] })).toBe('')
+
+      document.body.innerHTML = gameUI.createInsightsSection({
+        gamesAnalysed: 2,
+        openers: [{ word: 'CRANE', played: 2, won: 1, winRate: 50 }],
+        rows: [{ row: 1, guesses: 2, greens: 1, yellows: 0.5 }],
+        letters: [{ letter: 'E', total: 2, correct: 1, present: 1, absent: 0 }]
+      })
+
+      expect(document.querySelectorAll('.insights svg.chart')).toHaveLength(3)
+      expect(document.querySelector('.chart-opener title').textContent).toBe('CRANE: 2 · 50% won')
+      expect(document.body.textContent).toContain('From 2 games with saved guesses')
+    })
+
+    it('should read an import file and ask for a preview', async () => {
+      const data = { statistics: { totalGames: 1 } }
+
+      await gameUI.readImportFile({ text: async () => JSON.stringify(data) })
+      const event = document.dispatchEvent.mock.lastCall[0]
+      expect(event.type).toBe('previewImport')
+      expect(event.detail.data).toEqual(data)
+
+      const showMessage = vi.spyOn(gameUI, 'showMessage')
+      await gameUI.readImportFile({ text: async () => 'not json' })
+      expect(showMessage).toHaveBeenCalledWith('That file is not a Word Up statistics export', 'error')
+    })
+
+    it('should preview an import and apply the chosen mode', () => {
+      const summary = (games, played, winRate) => ({
+        games, played, wins: 0, winRate, currentStreak: 0, maxStreak: 1, averageGuesses: 3
+      })
+      gameUI.showImportPreviewModal({
+        added: 3,
+        duplicates: 2,
+        current: summary(5, 5, 80),
+        merge: summary(8, 8, 75),
+        replace: summary(5, 5, 60)
+      })
+
+      const modal = document.getElementById('import-modal')
+      expect(modal.querySelector('.import-summary').textContent).toContain('adds 3 new games')
+      expect(modal.querySelector('.import-summary').textContent).toContain('skips 2 already recorded')
+      const played = [...modal.querySelectorAll('tr[data-field="played"] td')]
+      expect(played.map(cell => cell.textContent)).toEqual(['5', '8', '5'])
+      expect(played.map(cell => cell.classList.contains('changed'))).toEqual([false, true, false])
+
+      modal.querySelector('#import-merge').click()
+      const event = document.dispatchEvent.mock.lastCall[0]
+      expect(event.type).toBe('importStats')
+      expect(event.detail).toEqual({ mode: 'merge' })
+    })
+
+    it('should offer to recalculate totals that drifted from the history', () => {
+      const stats = {
+        overall: { played: 1, winRate: 100, averageGuesses: 3 },
+        daily: { played: 1, winRate: 100, currentStreak: 1, maxStreak: 1, averageGuesses: 3 },
+        guessDistribution: [0, 0, 1, 0, 0, 0],
+        recentGames: []
+      }
+
+      gameUI.showStatsModal(stats)
+      expect(document.getElementById('rebuild-stats')).toBeNull()
+
+      gameUI.showStatsModal({ ...stats, aggregateDrift: ['totalGames'] })
+      document.getElementById('rebuild-stats').click()
+      expect(document.dispatchEvent.mock.lastCall[0].type).toBe('rebuildStats')
+    })
+
+    it('should ask which CSV sheets to export', () => {
+      gameUI.showCsvExportModal()
+
+      const modal = document.getElementById('csv-export-modal')
+      expect(modal.querySelector('#csv-per-guess').checked).toBe(false)
+      expect(modal.querySelector('#csv-summary').checked).toBe(true)
+
+      modal.querySelector('#csv-per-guess').checked = true
+      modal.querySelector('#csv-export-download').click()
+      const event = document.dispatchEvent.mock.lastCall[0]
+      expect(event.type).toBe('exportStatsCsv')
+      expect(event.detail).toEqual({ perGuess: true, summary: true })
+    })
+
+    it('should warn that a merge leaves out untracked games', () => {
+      const summary = { games: 2, played: 5, wins: 2, winRate: 40, currentStreak: 0, maxStreak: 1, averageGuesses: 3 }
+      gameUI.showImportPreviewModal({ added: 0, duplicates: 2, untracked: 3, current: summary, merge: summary, replace: summary })
+
+      expect(document.querySelector('#import-modal .import-warning').textContent).toContain('3 games are counted in the totals')
+
+      gameUI.showImportPreviewModal({ added: 0, duplicates: 2, untracked: 0, current: summary, merge: summary, replace: summary })
+      expect(document.querySelector('#import-modal .import-warning')).toBeNull()
+    })
+
+    it('should show saved words as text, never markup', () => {
+      document.body.innerHTML = gameUI.createRecentGamesList([
+        { date: '2024-01-02', won: true, guessCount: 3, targetWord: '<img src=x onerror="alert(1)">', gameMode: 'daily' }
+      ])
+
+      expect(document.querySelector('.recent-game img')).toBeNull()
+      expect(document.querySelector('.game-word').textContent).toBe('<img src=x onerror="alert(1)">')
+      expect(document.querySelector('.recent-game').getAttribute('data-words')).toBe('<img src=x onerror="alert(1)">')
+    })
+
     it('should hide statistics modal without errors', () => {
       expect(() => {
         gameUI.hideStats()
@@ -187,6 +516,208 @@ describe('GameUI', () => {
     })
   })
 
+  describe('analysis modal', () => {
+    beforeEach(() => {
+      gameUI.init()
+    })
+
+    it('should show a row for every guess', () => {
+      gameUI.showAnalysisModal({
+        targetWord: 'HELLO',
+        rows: [
+          {
+            word: 'WORLD',
+            states: ['absent', 'present', 'absent', 'correct', 'absent'],
+            candidatesBefore: 8,
+            candidatesAfter: 1,
+            bitsGained: 3,
+            expectedBits: 2.5,
+            bestGuess: { word: 'BRAVE', expectedBits: 2.75 },
+            solved: false
+          },
+          {
+            word: 'HELLO',
+            states: ['correct', 'correct', 'correct', 'correct', 'correct'],
+            candidatesBefore: 1,
+            candidatesAfter: 1,
+            bitsGained: 0,
+            expectedBits: 0,
+            bestGuess: { word: 'HELLO', expectedBits: 0 },
+            solved: true
+          }
+        ]
+      })
+
+      const rows = document.querySelectorAll('.analysis-row')
+      expect(rows).toHaveLength(2)
+      expect(rows[0].textContent).toContain('8 → 1 words left')
+      expect(rows[0].textContent).toContain('Best: BRAVE')
+      expect(rows[1].textContent).toContain('Solved!')
+    })
+
+    it('should offer analysis from the game status area', () => {
+      gameUI.showGameStatus(false, 'HELLO')
+
+      expect(document.getElementById('analysis-btn')).toBeTruthy()
+    })
+  })
+
+  describe('archive modal', () => {
+    beforeEach(() => {
+      gameUI.init()
+    })
+
+    it('should list past days with their results', () => {
+      gameUI.showArchiveModal([
+        { dayNumber: 2, date: 'Wed Jan 03 2024', result: { won: true, guessCount: 4 } },
+        { dayNumber: 1, date: 'Tue Jan 02 2024', result: null }
+      ])
+
+      const days = document.querySelectorAll('.archive-day')
+      expect(days).toHaveLength(2)
+      expect(days[0].classList.contains('won')).toBe(true)
+      expect(days[0].textContent).toContain('4/6')
+      expect(days[1].classList.contains('unplayed')).toBe(true)
+    })
+
+    it('should dispatch playArchiveDay when a day is picked', () => {
+      const mockDispatchEvent = vi.fn()
+      document.dispatchEvent = mockDispatchEvent
+      gameUI.showArchiveModal([{ dayNumber: 7, date: 'Mon Jan 08 2024', result: null }])
+
+      document.querySelector('.archive-day').click()
+
+      expect(mockDispatchEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'playArchiveDay',
+          detail: { dayNumber: 7 }
+        })
+      )
+    })
+
+    it('should label the info bar with the archive day', () => {
+      gameUI.setActiveMode('archive', 12)
+
+      expect(document.getElementById('daily-text').textContent).toBe('Archive #12')
+    })
+  })
+
+  describe('settings modal', () => {
+    beforeEach(() => {
+      gameUI.init()
+    })
+
+    it('should show settings modal with hard mode state', () => {
+      gameUI.showSettings({ getSettings: () => ({ hardMode: true }) })
+
+      const toggle = document.getElementById('hard-mode-toggle')
+      expect(toggle).toBeTruthy()
+      expect(toggle.checked).toBe(true)
+    })
+
+    it('should apply the high contrast preference to the page', () => {
+      gameUI.applySettings({ highContrast: true })
+      expect(document.body.classList.contains('high-contrast')).toBe(true)
+
+      gameUI.applySettings({ highContrast: false })
+      expect(document.body.classList.contains('high-contrast')).toBe(false)
+    })
+
+    it('should dispatch setPracticeSize when the guess count changes', () => {
+      const mockDispatchEvent = vi.fn()
+      document.dispatchEvent = mockDispatchEvent
+      gameUI.showSettingsModal({ practiceWordLength: 6, practiceRows: { 6: 7 } })
+
+      const rowsSelect = document.getElementById('practice-rows-select')
+      expect(rowsSelect.value).toBe('7')
+      expect(document.querySelector('.modal').textContent).toContain('Daily and archive puzzles always have 5 letters')
+      rowsSelect.value = '8'
+      rowsSelect.dispatchEvent(new Event('change'))
+
+      expect(mockDispatchEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'setPracticeSize',
+          detail: { wordLength: 6, rows: 8 }
+        })
+      )
+    })
+
+    it('should dispatch setLanguage when the language changes', () => {
+      const mockDispatchEvent = vi.fn()
+      document.dispatchEvent = mockDispatchEvent
+      gameUI.showSettingsModal({ language: 'en-US' })
+
+      const languageSelect = document.getElementById('language-select')
+      expect(languageSelect.value).toBe('en-US')
+      languageSelect.value = 'es'
+      languageSelect.dispatchEvent(new Event('change'))
+
+      expect(mockDispatchEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'setLanguage',
+          detail: { language: 'es' }
+        })
+      )
+    })
+
+    it('should dispatch toggleHardMode when the toggle changes', () => {
+      const mockDispatchEvent = vi.fn()
+      document.dispatchEvent = mockDispatchEvent
+      gameUI.showSettingsModal({ hardMode: false })
+
+      const toggle = document.getElementById('hard-mode-toggle')
+      toggle.checked = true
+      toggle.dispatchEvent(new Event('change'))
+
+      expect(mockDispatchEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'toggleHardMode',
+          detail: { enabled: true }
+        })
+      )
+    })
+  })
+
+  describe('assist panel', () => {
+    beforeEach(() => {
+      gameUI.init()
+    })
+
+    it('should stay hidden unless an assist setting is on', () => {
+      gameUI.updateAssistPanel({ showCandidates: false, enableHints: false, playing: true, candidates: null, hints: [] })
+
+      expect(document.getElementById('assist-panel').style.display).toBe('none')
+    })
+
+    it('should show the remaining word count and hints used', () => {
+      gameUI.updateAssistPanel({ showCandidates: true, enableHints: true, playing: true, candidates: 1, hints: ['1st letter is H'] })
+
+      expect(document.getElementById('assist-candidates').textContent).toBe('1 possible word left')
+      expect(document.getElementById('assist-hint-list').textContent).toContain('1st letter is H')
+      expect(document.getElementById('assist-hints').style.display).toBe('')
+    })
+
+    it('should hide hint buttons once the game is over', () => {
+      gameUI.updateAssistPanel({ showCandidates: false, enableHints: true, playing: false, candidates: null, hints: [] })
+
+      expect(document.getElementById('assist-hints').style.display).toBe('none')
+    })
+
+    it('should dispatch useHint from the hint buttons', () => {
+      const mockDispatchEvent = vi.fn()
+      document.dispatchEvent = mockDispatchEvent
+
+      document.getElementById('hint-absent-btn').click()
+
+      expect(mockDispatchEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'useHint',
+          detail: { type: 'absent' }
+        })
+      )
+    })
+  })
+
   describe('timer functionality', () => {
     beforeEach(() => {
       gameUI.init()
@@ -255,6 +786,20 @@ describe('GameUI', () => {
       document.dispatchEvent = originalDispatchEvent
     })
 
+    it('should request a multi-board game from the Quad button', () => {
+      const mockDispatchEvent = vi.fn()
+      document.dispatchEvent = mockDispatchEvent
+
+      document.querySelector('.mode-button[data-boards="4"]').click()
+
+      expect(mockDispatchEvent).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: 'switchMode',
+          detail: { mode: 'multi', boards: 4 }
+        })
+      )
+    })
+
     it('should handle virtual keyboard clicks', () => {
       const mockDispatchEvent = vi.fn()
       document.dispatchEvent = mockDispatchEvent
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi } from 'vitest'
+import { WordInfo } from '../word-info.js'
+import { WORD_METADATA } from '../dictionaries/dictionary-metadata.js'
+import { ANSWERS } from '../dictionaries/answers.js'
+
+vi.mock('../error-handler.js', () => ({
+  errorHandler: {
+    logWarning: vi.fn()
+  }
+}))
+
+const metadata = {
+  CRANE: { pos: 'noun', definition: 'a tall wading bird', example: 'a crane stood in the shallows' },
+  TAKEN: { pos: 'verb', definition: 'past participle of take', base: 'TAKE' }
+}
+
+describe('WordInfo', () => {
+  it('should load the metadata only once', async () => {
+    const importMetadata = vi.fn(() => Promise.resolve({ WORD_METADATA: metadata }))
+    const info = new WordInfo(importMetadata)
+
+    await Promise.all([info.load(), info.load()])
+    await info.load()
+
+    expect(importMetadata).toHaveBeenCalledTimes(1)
+  })
+
+  it('should look up definitions in any case', async () => {
+    const info = new WordInfo(() => Promise.resolve({ WORD_METADATA: metadata }))
+    expect(info.lookup('crane')).toBeNull()
+
+    await info.load()
+
+    expect(info.lookup('crane')).toEqual({
+      word: 'CRANE',
+      pos: 'noun',
+      definition: 'a tall wading bird',
+      example: 'a crane stood in the shallows'
+    })
+    expect(info.lookup('TAKEN').base).toBe('TAKE')
+    expect(info.lookup('CONSTRUCTOR')).toBeNull()
+  })
+
+  it('should skip words without a definition', async () => {
+    const info = new WordInfo(() => Promise.resolve({ WORD_METADATA: metadata }))
+
+    const entries = await info.getInfoForWords(['CRANE', 'ZZZZZ'])
+
+    expect(entries.map(entry => entry.word)).toEqual(['CRANE'])
+  })
+
+  it('should resolve false and retry later when loading fails', async () => {
+    const importMetadata = vi.fn()
+      .mockRejectedValueOnce(new Error('offline'))
+      .mockResolvedValueOnce({ WORD_METADATA: metadata })
+    const info = new WordInfo(importMetadata)
+
+    expect(await info.load()).toBe(false)
+    expect(await info.getInfoForWords(['CRANE'])).toHaveLength(1)
+  })
+
+  it('should define every answer', () => {
+    const missing = ANSWERS.filter(word => !WORD_METADATA[word.toUpperCase()]?.definition)
+
+    expect(missing).toEqual([])
+  })
+})
@@ -1,6 +1,15 @@
 // UI module for Word Up game
 // Handles DOM manipulation and rendering
 
+import { dayClock } from './clock.js';
+import { DEFAULT_WORD_LENGTH, MIN_ROWS, MAX_ROWS, MULTI_BOARDS, getBoardSize, getWordLengths, isSupportedWordLength } from './board-sizes.js';
+import { DEFAULT_LANGUAGE, LANGUAGE_PACKS, getLanguagePack } from './language-packs.js';
+import { createBarChart, createChartLegend, createColumnChart } from './charts.js';
+import { escapeHtml } from './html.js';
+
+// Pause between rows in a replay (ms)
+const REPLAY_ROW_DELAY = 800;
+
 export class GameUI {
   constructor() {
     this.app = document.querySelector('#app');
@@ -8,6 +17,17 @@ export class GameUI {
     this.keyboard = null;
     this.tiles = [];
     this.keys = {};
+    this.rows = 6; // Board size follows the current game
+    this.cols = 5;
+    this.boardCount = 1;
+    this.boardTiles = []; // Tiles per board; this.tiles is the first board
+    this.solvedBoards = []; // Row each board was solved on (multi-board games)
+    this.gameMode = 'daily';
+    this.dayNumber = null;
+    this.activeBoardCount = 1;
+    this.keyboardLayout = getLanguagePack(DEFAULT_LANGUAGE).keyboard;
+    this.recentGames = []; // Games listed in the stats modal (for replays)
+    this.replayTimers = [];
   }
 
   // Initialize the complete UI
@@ -32,15 +52,33 @@ export class GameUI {
           <h1>Word Up</h1>
           <div class="header-right">
             <span class="online-status online" id="online-status" title="Online">🌐</span>
+            <button class="settings-button" id="settings-btn" title="Settings">⚙️</button>
             <button class="help-button" id="help-btn" title="Help">?</button>
           </div>
         </header>
         
+        <div class="mode-switch" id="mode-switch">
+          <button class="mode-button active" data-mode="daily">Daily</button>
+          <button class="mode-button" data-mode="practice">Practice</button>
+          <button class="mode-button" data-mode="archive">Archive</button>
+          <button class="mode-button" data-mode="multi" data-boards="2">Duo</button>
+          <button class="mode-button" data-mode="multi" data-boards="4">Quad</button>
+        </div>
+        
         <div class="daily-info" id="daily-info">
           <span id="daily-text">Daily Word</span>
           <span id="daily-timer"></span>
         </div>
         
+        <div class="assist-panel" id="assist-panel" style="display: none;">
+          <span class="assist-candidates" id="assist-candidates"></span>
+          <div class="assist-hints" id="assist-hints">
+            <button class="btn-secondary" id="hint-position-btn">Reveal letter</button>
+            <button class="btn-secondary" id="hint-absent-btn">Remove letter</button>
+          </div>
+          <div class="assist-hint-list" id="assist-hint-list"></div>
+        </div>
+        
         <main class="main">
           <div class="game-container">
             <div class="game-board" id="game-board"></div>
@@ -59,37 +97,73 @@ export class GameUI {
     this.keyboard = document.getElementById('keyboard');
   }
 
-  // Create the 6x5 game board grid
-  createGameBoard() {
+  // Create the game board grid (6x5 unless a different size is given)
+  // Multi-board games get one mini board per target word
+  createGameBoard(rows = this.rows, cols = this.cols, boards = this.boardCount) {
+    this.rows = rows;
+    this.cols = cols;
+    this.boardCount = boards;
+    this.boardTiles = [];
+    this.solvedBoards = new Array(boards).fill(null);
+
     // Clear existing tiles
     this.gameBoard.innerHTML = '';
-    this.tiles = [];
+    this.gameBoard.classList.toggle('multi', boards > 1);
+    this.gameBoard.setAttribute('data-boards', boards);
+
+    if (boards === 1) {
+      this.boardTiles.push(this.createBoardTiles(this.gameBoard, rows, cols));
+    } else {
+      // Sizing lives on each mini board instead
+      this.gameBoard.removeAttribute('data-cols');
+      this.gameBoard.classList.remove('tall');
+      for (let board = 0; board < boards; board++) {
+        const miniBoard = document.createElement('div');
+        miniBoard.className = 'mini-board';
+        miniBoard.setAttribute('data-board', board);
+        this.gameBoard.appendChild(miniBoard);
+        this.boardTiles.push(this.createBoardTiles(miniBoard, rows, cols));
+      }
+    }
+
+    this.tiles = this.boardTiles[0];
+  }
+
+  // Fill one board element with rows x cols tiles
+  createBoardTiles(boardElement, rows, cols) {
+    boardElement.style.setProperty('--board-rows', rows);
+    boardElement.style.setProperty('--board-cols', cols);
+    boardElement.setAttribute('data-cols', cols);
+    boardElement.classList.toggle('tall', rows > 6);
 
-    // Create 6 rows of 5 tiles each
-    for (let row = 0; row < 6; row++) {
+    // Create one row of tiles per guess
+    const tiles = [];
+    for (let row = 0; row < rows; row++) {
       const rowTiles = [];
-      for (let col = 0; col < 5; col++) {
+      for (let col = 0; col < cols; col++) {
         const tile = document.createElement('div');
         tile.className = 'game-tile';
         tile.setAttribute('data-row', row);
         tile.setAttribute('data-col', col);
         tile.setAttribute('data-state', 'empty');
         
-        this.gameBoard.appendChild(tile);
+        boardElement.appendChild(tile);
         rowTiles.push(tile);
       }
-      this.tiles.push(rowTiles);
+      tiles.push(rowTiles);
     }
+    return tiles;
   }
 
-  // Create the virtual keyboard
-  createKeyboard() {
-    const keyboardLayout = [
-      ['Q', 'W', 'E', 'R', 'T', 'Y', 'U', 'I', 'O', 'P'],
-      ['A', 'S', 'D', 'F', 'G', 'H', 'J', 'K', 'L'],
-      ['BACKSPACE', 'Z', 'X', 'C', 'V', 'B', 'N', 'M', 'ENTER']
-    ];
+  // Boards still taking letters on a row (solved boards stop filling in)
+  getOpenBoards(row) {
+    return this.boardTiles
+      .map((_, board) => board)
+      .filter(board => this.solvedBoards[board] === null || this.solvedBoards[board] === undefined || row <= this.solvedBoards[board]);
+  }
 
+  // Create the virtual keyboard (rows of keys from the language pack)
+  createKeyboard(keyboardLayout = this.keyboardLayout) {
     this.keyboard.innerHTML = '';
     this.keys = {};
 
@@ -118,6 +192,14 @@ export class GameUI {
     });
   }
 
+  // Switch to another language's keyboard
+  setKeyboardLayout(keyboardLayout) {
+    this.keyboardLayout = keyboardLayout;
+    if (this.keyboard) {
+      this.createKeyboard();
+    }
+  }
+
   // Add event listeners for keyboard and touch interactions
   addEventListeners() {
     // Virtual keyboard clicks
@@ -140,9 +222,10 @@ export class GameUI {
       } else if (key === 'BACKSPACE') {
         e.preventDefault();
         this.handleKeyPress('BACKSPACE');
-      } else if (key.match(/^[A-Z]$/)) {
+      } else if (key.length === 1 && /\p{L}/u.test(key)) {
         e.preventDefault();
-        this.handleKeyPress(key);
+        // Accented letters type their plain letter (Ñ is a letter of its own)
+        this.handleKeyPress(key === 'Ñ' ? key : key.normalize('NFD').charAt(0));
       }
     });
 
@@ -151,6 +234,32 @@ export class GameUI {
       this.showHelp();
     });
 
+    // Daily/practice mode switch
+    document.getElementById('mode-switch').addEventListener('click', (e) => {
+      if (e.target.matches('.mode-button')) {
+        const mode = e.target.getAttribute('data-mode');
+        if (mode === 'archive') {
+          // Archive always opens the day picker, even while playing a past puzzle
+          document.dispatchEvent(new CustomEvent('showArchive'));
+        } else if (mode === 'multi') {
+          const boards = Number(e.target.getAttribute('data-boards'));
+          if (this.gameMode !== 'multi' || boards !== this.activeBoardCount) {
+            document.dispatchEvent(new CustomEvent('switchMode', { detail: { mode, boards } }));
+          }
+        } else if (mode !== this.gameMode) {
+          document.dispatchEvent(new CustomEvent('switchMode', { detail: { mode } }));
+        }
+      }
+    });
+
+    // Hint buttons in the assist panel
+    document.getElementById('hint-position-btn').addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('useHint', { detail: { type: 'position' } }));
+    });
+    document.getElementById('hint-absent-btn').addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('useHint', { detail: { type: 'absent' } }));
+    });
+
   }
 
   // Handle key press events (to be connected to game logic)
@@ -161,12 +270,22 @@ export class GameUI {
     }));
   }
 
-  // Update a tile with a letter and animation
+  // Update a tile with a letter and animation (typing fills every open board)
   updateTile(row, col, letter, state = 'filled') {
-    if (!this.tiles || !this.tiles[row] || !this.tiles[row][col]) {
+    if (this.boardCount > 1 && (state === 'filled' || state === 'empty')) {
+      this.getOpenBoards(row).forEach(board => this.updateBoardTile(board, row, col, letter, state));
       return;
     }
-    const tile = this.tiles[row][col];
+    this.updateBoardTile(0, row, col, letter, state);
+  }
+
+  // Update a single tile on one board
+  updateBoardTile(board, row, col, letter, state = 'filled') {
+    const tiles = this.boardTiles[board] || this.tiles;
+    if (!tiles || !tiles[row] || !tiles[row][col]) {
+      return;
+    }
+    const tile = tiles[row][col];
     if (!tile) return;
 
     tile.textContent = letter.toUpperCase();
@@ -183,16 +302,17 @@ export class GameUI {
   }
 
   // Update an entire row with results (correct, present, absent)
-  updateRow(row, letters, states, animate = true) {
+  updateRow(row, letters, states, animate = true, board = 0) {
+    const tiles = this.boardTiles[board] || this.tiles;
     if (animate) {
       // Add flip animation to the row
-      const rowElement = this.tiles[row][0].parentElement;
+      const rowElement = tiles[row][0].parentElement;
       rowElement.classList.add('animate-flip-row');
       
       // Update each tile with staggered timing
       states.forEach((state, col) => {
         setTimeout(() => {
-          this.updateTile(row, col, letters[col], state);
+          this.updateBoardTile(board, row, col, letters[col], state);
         }, col * 100);
       });
 
@@ -203,11 +323,24 @@ export class GameUI {
     } else {
       // Update without animation
       states.forEach((state, col) => {
-        this.updateTile(row, col, letters[col], state);
+        this.updateBoardTile(board, row, col, letters[col], state);
       });
     }
   }
 
+  // Update a row on every board (null states mean the board was already solved)
+  updateBoardRows(row, letters, boards, animate = true) {
+    boards.forEach((states, board) => {
+      if (!states) return;
+      this.updateRow(row, letters, states, animate, board);
+
+      if (states.every(state => state === 'correct')) {
+        this.solvedBoards[board] = row;
+        this.gameBoard.querySelector(`.mini-board[data-board="${board}"]`)?.classList.add('solved');
+      }
+    });
+  }
+
   // Update keyboard key state based on letter feedback
   updateKeyState(letter, state) {
     const key = this.keys[letter.toUpperCase()];
@@ -223,32 +356,215 @@ export class GameUI {
     }
   }
 
+  // Split-colour keyboard for multi-board games
+  // letterStates maps each letter to one state per board, e.g. { A: ['correct', 'absent'] }
+  updateKeyboardBoards(letterStates) {
+    const colours = {
+      unused: 'var(--color-key-bg)',
+      absent: 'var(--color-absent)',
+      present: 'var(--color-present)',
+      correct: 'var(--color-correct)'
+    };
+
+    Object.entries(letterStates).forEach(([letter, states]) => {
+      const key = this.keys[letter];
+      if (!key) return;
+
+      const segments = states.map(state => colours[state] || colours.unused);
+      if (states.every(state => state === 'unused')) {
+        key.style.background = '';
+        key.classList.remove('split');
+        return;
+      }
+
+      key.classList.add('split');
+      if (segments.length === 2) {
+        key.style.background = `linear-gradient(to right, ${segments[0]} 50%, ${segments[1]} 50%)`;
+      } else {
+        // Quadrants match the board layout: top-left, top-right, bottom-left, bottom-right
+        key.style.background = `conic-gradient(${segments[1]} 0 25%, ${segments[3]} 0 50%, ${segments[2]} 0 75%, ${segments[0]} 0)`;
+      }
+    });
+  }
+
   // Show game status (win/lose)
   showGameStatus(isWin, correctWord, guessCount = 0) {
     const statusElement = document.getElementById('game-status');
     const titleElement = document.getElementById('status-title');
     const messageElement = document.getElementById('status-message');
-    const correctWordElement = document.getElementById('correct-word');
 
     if (isWin) {
       statusElement.className = 'game-status win';
       titleElement.textContent = 'Excellent!';
-      messageElement.innerHTML = `You solved it in ${guessCount} guess${guessCount !== 1 ? 'es' : ''}!`;
+      const solvedText = this.boardCount > 1 ? `all ${this.boardCount} words` : 'it';
+      messageElement.innerHTML = `You solved ${solvedText} in ${guessCount} guess${guessCount !== 1 ? 'es' : ''}!`;
       
       // Add victory animation to the winning row
-      const winningRow = this.tiles[guessCount - 1];
-      winningRow[0].parentElement.classList.add('animate-victory');
+      if (this.boardCount === 1) {
+        const winningRow = this.tiles[guessCount - 1];
+        winningRow[0].parentElement.classList.add('animate-victory');
+      }
     } else {
       statusElement.className = 'game-status lose';
       titleElement.textContent = 'Game Over';
-      messageElement.innerHTML = `The word was: <strong id="correct-word">${correctWord}</strong>`;
-      correctWordElement.textContent = correctWord;
+      const wordLabel = this.boardCount > 1 ? 'The words were' : 'The word was';
+      messageElement.innerHTML = `${wordLabel}: <strong id="correct-word"></strong>`;
+      document.getElementById('correct-word').textContent = correctWord;
+    }
+
+    // Action buttons and definitions (rebuilt each time the status is shown)
+    const existingActions = statusElement.querySelector('.status-actions');
+    if (existingActions) {
+      existingActions.remove();
+    }
+    statusElement.querySelector('.word-info-list')?.remove();
+    const actions = document.createElement('div');
+    actions.className = 'status-actions';
+
+    const shareBtn = document.createElement('button');
+    shareBtn.className = 'btn-secondary';
+    shareBtn.id = 'share-btn';
+    shareBtn.textContent = 'Share';
+    shareBtn.addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('shareResult'));
+    });
+    actions.appendChild(shareBtn);
+
+    const analysisBtn = document.createElement('button');
+    analysisBtn.className = 'btn-secondary';
+    analysisBtn.id = 'analysis-btn';
+    analysisBtn.textContent = 'Analysis';
+    analysisBtn.addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('showAnalysis'));
+    });
+    // The solver only analyses single-board games
+    if (this.boardCount === 1) {
+      actions.appendChild(analysisBtn);
     }
 
+    // Practice games can be replayed straight away
+    if (this.gameMode === 'practice') {
+      const newWordBtn = document.createElement('button');
+      newWordBtn.className = 'btn-secondary';
+      newWordBtn.id = 'new-practice-btn';
+      newWordBtn.textContent = 'New Word';
+      newWordBtn.addEventListener('click', () => {
+        document.dispatchEvent(new CustomEvent('newPracticeGame'));
+      });
+      actions.appendChild(newWordBtn);
+    }
+
+    statusElement.appendChild(actions);
+
     statusElement.style.display = 'block';
     statusElement.classList.add('animate-fade-in');
   }
 
+  // Show definitions for the answer(s) under the game status message
+  showWordInfo(entries) {
+    const statusElement = document.getElementById('game-status');
+    if (!statusElement || entries.length === 0) return;
+
+    statusElement.querySelector('.word-info-list')?.remove();
+    const list = document.createElement('div');
+    list.className = 'word-info-list';
+    entries.forEach(info => list.appendChild(this.createWordInfo(info)));
+
+    statusElement.insertBefore(list, statusElement.querySelector('.status-actions'));
+  }
+
+  // Build one definition block: word, part of speech, definition and example
+  createWordInfo(info, compact = false) {
+    const block = document.createElement('div');
+    block.className = compact ? 'word-info compact' : 'word-info';
+
+    const heading = document.createElement('div');
+    heading.className = 'word-info-heading';
+    const word = document.createElement('strong');
+    word.textContent = info.word.toLowerCase();
+    const pos = document.createElement('em');
+    pos.textContent = info.base ? `${info.pos}, from ${info.base.toLowerCase()}` : info.pos;
+    heading.append(word, ' ', pos);
+    block.appendChild(heading);
+
+    const definition = document.createElement('p');
+    definition.className = 'word-info-definition';
+    definition.textContent = info.definition;
+    block.appendChild(definition);
+
+    if (info.example && !compact) {
+      const example = document.createElement('p');
+      example.className = 'word-info-example';
+      example.textContent = `“${info.example}”`;
+      block.appendChild(example);
+    }
+
+    return block;
+  }
+
+  // Add definitions to the recent games in an open stats modal
+  // lookup(word) returns a definition or null
+  showRecentGameDefinitions(lookup) {
+    document.querySelectorAll('.recent-game[data-words]').forEach(row => {
+      if (row.querySelector('.word-info')) return;
+      row.getAttribute('data-words').split(',').forEach(word => {
+        const info = lookup(word.trim());
+        if (info) {
+          row.appendChild(this.createWordInfo(info, true));
+        }
+      });
+    });
+  }
+
+  // Hide the game status panel
+  hideGameStatus() {
+    const statusElement = document.getElementById('game-status');
+    if (statusElement) {
+      statusElement.style.display = 'none';
+      statusElement.className = 'game-status';
+    }
+  }
+
+  // Highlight the active game mode and remember it for status/timer display
+  setActiveMode(mode, dayNumber = null, boardCount = 1) {
+    this.gameMode = mode;
+    this.dayNumber = dayNumber;
+    this.activeBoardCount = boardCount;
+    document.querySelectorAll('.mode-button').forEach(button => {
+      const boards = button.getAttribute('data-boards');
+      const matches = button.getAttribute('data-mode') === mode && (!boards || Number(boards) === boardCount);
+      button.classList.toggle('active', matches);
+    });
+
+    const dailyText = document.getElementById('daily-text');
+    if (dailyText && mode !== 'daily') {
+      dailyText.textContent = this.getModeLabel();
+    }
+  }
+
+  // Label shown in the daily info bar for non-daily games
+  getModeLabel() {
+    if (this.gameMode === 'archive') {
+      return `Archive #${this.dayNumber}`;
+    }
+    if (this.gameMode === 'multi') {
+      return `${MULTI_BOARDS[this.activeBoardCount]?.label || 'Multi'} #${this.dayNumber}`;
+    }
+    return 'Practice';
+  }
+
+  // Clear the board, keyboard and status ready for a new game
+  resetBoard(rows = this.rows, cols = this.cols, boards = 1) {
+    this.createGameBoard(rows, cols, boards);
+    this.gameBoard.classList.remove('animate-victory', 'animate-flip-row');
+    Object.values(this.keys).forEach(key => {
+      key.setAttribute('data-state', 'unused');
+      key.className = key.classList.contains('wide') ? 'key wide' : 'key';
+      key.style.background = '';
+    });
+    this.hideGameStatus();
+  }
+
   // Show error message
   showMessage(text, type = 'error') {
     // Remove existing messages
@@ -271,9 +587,18 @@ export class GameUI {
     }, 3000);
   }
 
+  // Pulse a row while its word is being checked
+  setRowChecking(row, checking) {
+    this.getOpenBoards(row).forEach(board => {
+      (this.boardTiles[board][row] || []).forEach(tile => {
+        tile.classList.toggle('checking', checking);
+      });
+    });
+  }
+
   // Shake animation for invalid words
   shakeRow(row) {
-    const rowTiles = this.tiles[row];
+    const rowTiles = this.getOpenBoards(row).flatMap(board => this.boardTiles[board][row] || []);
     rowTiles.forEach(tile => {
       tile.classList.add('animate-shake');
     });
@@ -287,17 +612,22 @@ export class GameUI {
 
   // Show help modal
   showHelp() {
-    this.showMessage('Help: Guess the word in 6 tries! Green = correct, Yellow = wrong position, Gray = not in word', 'success');
+    this.showMessage(`Help: Guess the word in ${this.rows} tries! Green = correct, Yellow = wrong position, Gray = not in word`, 'success');
   }
 
   // Show stats modal
   showStats(gameLogic) {
     const stats = gameLogic.getStatistics();
-    this.showStatsModal(stats);
+    this.showStatsModal(stats, gameLogic.getLanguage?.());
   }
 
   // Create and show statistics modal
-  showStatsModal(stats) {
+  // Statistics are kept per language, so other languages are named in the title
+  showStatsModal(stats, language = DEFAULT_LANGUAGE) {
+    const title = language && language !== DEFAULT_LANGUAGE
+      ? `Statistics · ${getLanguagePack(language).name}`
+      : 'Statistics';
+    this.recentGames = stats.recentGames || [];
     // Remove existing modal if present
     const existingModal = document.getElementById('stats-modal');
     if (existingModal) {
@@ -310,7 +640,7 @@ export class GameUI {
     modal.innerHTML = `
       <div class="modal-content">
         <div class="modal-header">
-          <h2>Statistics</h2>
+          <h2>${title}</h2>
           <button class="modal-close" id="stats-close">&times;</button>
         </div>
         
@@ -338,6 +668,18 @@ export class GameUI {
                 <div class="stat-number">${stats.overall.averageGuesses}</div>
                 <div class="stat-label">Avg Guesses</div>
               </div>
+              <div class="stat-item">
+                <div class="stat-number">${stats.overall.hardModeWins || 0}</div>
+                <div class="stat-label">Hard Mode Wins</div>
+              </div>
+              <div class="stat-item">
+                <div class="stat-number">${stats.overall.hintedWins || 0}</div>
+                <div class="stat-label">💡 Hinted Wins</div>
+              </div>
+              <div class="stat-item">
+                <div class="stat-number">${stats.overall.spellingVariants || 0}</div>
+                <div class="stat-label">American Spellings</div>
+              </div>
             </div>
           </div>
 
@@ -363,6 +705,30 @@ export class GameUI {
             </div>
           </div>
 
+          ${this.createCalendarHeatmap(stats.calendar)}
+
+
+          <div class="stats-section">
+            <h3>Practice</h3>
+            <div class="stats-grid">
+              <div class="stat-item">
+                <div class="stat-number">${stats.practice?.played || 0}</div>
+                <div class="stat-label">Played</div>
+              </div>
+              <div class="stat-item">
+                <div class="stat-number">${stats.practice?.winRate || 0}%</div>
+                <div class="stat-label">Win Rate</div>
+              </div>
+              <div class="stat-item">
+                <div class="stat-number">${stats.practice?.currentStreak || 0}</div>
+                <div class="stat-label">Current Streak</div>
+              </div>
+              <div class="stat-item">
+                <div class="stat-number">${stats.practice?.maxStreak || 0}</div>
+                <div class="stat-label">Max Streak</div>
+              </div>
+            </div>
+          </div>
 
           <div class="stats-section">
             <h3>Guess Distribution</h3>
@@ -371,6 +737,26 @@ export class GameUI {
             </div>
           </div>
 
+          ${this.createInsightsSection(stats.insights)}
+
+          ${this.createMultiBoardStats(stats.multi)}
+
+          ${stats.practice?.played > 0 ? `
+          <div class="stats-section">
+            <h3>Practice Distribution</h3>
+            <div class="distribution-chart">
+              ${this.createDistributionChart(stats.practice.guessDistribution, stats.practice.played)}
+            </div>
+          </div>
+          ` : ''}
+
+          ${stats.aggregateDrift?.length > 0 ? `
+          <div class="stats-section stats-drift">
+            <p>Some totals don't match your game history.</p>
+            <button class="btn-secondary" id="rebuild-stats">Recalculate</button>
+          </div>
+          ` : ''}
+
           <div class="stats-section">
             <h3>Recent Games</h3>
             <div class="recent-games">
@@ -381,6 +767,9 @@ export class GameUI {
 
         <div class="modal-footer">
           <button class="btn-secondary" id="export-stats">Export Data</button>
+          <button class="btn-secondary" id="export-stats-csv">Export CSV</button>
+          <button class="btn-secondary" id="import-stats">Import Data</button>
+          <input type="file" id="import-stats-file" accept=".json,application/json" hidden>
           <button class="btn-secondary" id="reset-stats">Reset Stats</button>
         </div>
       </div>
@@ -395,6 +784,121 @@ export class GameUI {
     setTimeout(() => modal.classList.add('show'), 10);
   }
 
+  // Create the calendar heatmap of daily results, one column per week (Monday first)
+  createCalendarHeatmap(calendar) {
+    if (!calendar || calendar.days.length === 0) {
+      return '';
+    }
+
+    const firstDay = dayClock.getDisplayDate(calendar.days[0].date).getDay();
+    const padding = '<span class="heatmap-day" data-result="padding"></span>'.repeat((firstDay + 6) % 7);
+    const cells = calendar.days.map(day => {
+      let result = 'none';
+      let label = 'Not played';
+      if (day.won) {
+        result = String(Math.min(day.guessCount, 6));
+        label = `Solved in ${day.guessCount}`;
+      } else if (day.played) {
+        result = 'failed';
+        label = 'Failed';
+      }
+      const date = dayClock.getDisplayDate(day.date).toLocaleDateString();
+      return `<span class="heatmap-day" data-result="${result}" data-date="${day.date}" title="${date}: ${label}"></span>`;
+    }).join('');
+    const untracked = calendar.untracked > 0
+      ? `<p class="heatmap-note">${calendar.untracked} earlier daily game${calendar.untracked === 1 ? ' was' : 's were'} played before full history was kept</p>`
+      : '';
+
+    return `
+          <div class="stats-section">
+            <h3>Daily Calendar</h3>
+            <div class="heatmap">
+              <div class="heatmap-grid">${padding}${cells}</div>
+            </div>
+            <div class="heatmap-legend">
+              <span><span class="heatmap-day" data-result="1"></span>1</span>
+              <span><span class="heatmap-day" data-result="6"></span>6</span>
+              <span><span class="heatmap-day" data-result="failed"></span>Failed</span>
+              <span><span class="heatmap-day" data-result="none"></span>Not played</span>
+            </div>
+            <p class="heatmap-note">${calendar.played} of ${calendar.days.length} days played since ${dayClock.getDisplayDate(calendar.start).toLocaleDateString()}</p>
+            ${untracked}
+          </div>`;
+  }
+
+  // Create the insights section: openers, colours per row and letter results
+  createInsightsSection(insights) {
+    if (!insights || insights.gamesAnalysed === 0) {
+      return '';
+    }
+
+    const openers = createBarChart(insights.openers.map(opener => ({
+      label: opener.word,
+      value: opener.played,
+      detail: `${opener.winRate}% won`
+    })), { className: 'chart-opener' });
+
+    const rowSeries = [
+      { name: 'Greens', className: 'chart-correct', values: insights.rows.map(row => row.greens) },
+      { name: 'Yellows', className: 'chart-present', values: insights.rows.map(row => row.yellows) }
+    ];
+    const letterSeries = [
+      { name: 'Correct', className: 'chart-correct', values: insights.letters.map(letter => letter.correct) },
+      { name: 'Present', className: 'chart-present', values: insights.letters.map(letter => letter.present) },
+      { name: 'Absent', className: 'chart-absent', values: insights.letters.map(letter => letter.absent) }
+    ];
+    const rowsChart = insights.rows.length > 0
+      ? `
+            <h4>Greens and yellows per row</h4>
+            ${createColumnChart(insights.rows.map(row => row.row), rowSeries)}
+            ${createChartLegend(rowSeries)}`
+      : '';
+    const lettersChart = insights.letters.length > 0
+      ? `
+            <h4>Letter results</h4>
+            <div class="chart-scroll">${createColumnChart(insights.letters.map(letter => letter.letter), letterSeries, { stacked: true })}</div>
+            ${createChartLegend(letterSeries)}`
+      : '';
+
+    return `
+          <div class="stats-section insights">
+            <h3>Insights</h3>
+            <h4>Favourite openers</h4>
+            ${openers}
+            ${rowsChart}
+            ${lettersChart}
+            <p class="heatmap-note">From ${insights.gamesAnalysed} game${insights.gamesAnalysed === 1 ? '' : 's'} with saved guesses</p>
+          </div>`;
+  }
+
+  // Create the multi-board stats section (only once a multi-board game has been played)
+  createMultiBoardStats(multi = {}) {
+    const played = Object.keys(MULTI_BOARDS).filter(boardCount => multi[boardCount]?.played > 0);
+    if (played.length === 0) {
+      return '';
+    }
+
+    const items = played.map(boardCount => {
+      const { label } = MULTI_BOARDS[boardCount];
+      return `
+              <div class="stat-item">
+                <div class="stat-number">${multi[boardCount].played}</div>
+                <div class="stat-label">${label} Played</div>
+              </div>
+              <div class="stat-item">
+                <div class="stat-number">${multi[boardCount].winRate}%</div>
+                <div class="stat-label">${label} Win Rate</div>
+              </div>`;
+    }).join('');
+
+    return `
+          <div class="stats-section">
+            <h3>Multi-Board</h3>
+            <div class="stats-grid">${items}
+            </div>
+          </div>`;
+  }
+
   // Create distribution chart HTML
   createDistributionChart(distribution, totalGames) {
     const maxCount = Math.max(...distribution);
@@ -422,28 +926,47 @@ export class GameUI {
       return '<div class="no-games">No games played yet</div>';
     }
 
-    return recentGames.slice(0, 5).map(game => {
+    return recentGames.slice(0, 5).map((game, index) => {
       const resultIcon = game.won ? '✅' : '❌';
-      const guessText = game.won ? `${game.guessCount}/6` : 'X/6';
-      const modeText = 'Daily';
-      const date = new Date(game.date).toLocaleDateString();
+      const { guessText, modeText, date } = this.describeRecentGame(game);
+      // Games saved with their guesses can be replayed
+      const replayAttributes = game.guesses?.length > 0
+        ? ` data-index="${index}" role="button" tabindex="0" title="Watch replay"`
+        : '';
       
       return `
-        <div class="recent-game">
+        <div class="recent-game${replayAttributes ? ' replayable' : ''}" data-words="${escapeHtml(game.targetWord)}"${replayAttributes}>
           <span class="game-result">${resultIcon}</span>
-          <span class="game-word">${game.targetWord}</span>
-          <span class="game-guesses">${guessText}</span>
-          <span class="game-mode">${modeText}</span>
+          <span class="game-word">${escapeHtml(game.targetWord)}</span>
+          <span class="game-guesses">${escapeHtml(guessText)}</span>
+          <span class="game-mode">${escapeHtml(modeText)}</span>
           <span class="game-date">${date}</span>
         </div>
       `;
     }).join('');
   }
 
+  // Result, mode and date text for a finished game
+  describeRecentGame(game) {
+    const hardModeMarker = game.hardMode ? '*' : '';
+    const hintMarker = game.hintsUsed > 0 ? ' 💡' : '';
+    const guessText = `${game.won ? game.guessCount : 'X'}/${game.maxRows || 6}${hardModeMarker}${hintMarker}`;
+    const multiLabel = MULTI_BOARDS[game.boardCount]?.label || 'Multi';
+    const modeLabels = { practice: 'Practice', archive: `#${game.dayNumber}`, multi: `${multiLabel} #${game.dayNumber}` };
+    const lengthText = game.wordLength && game.wordLength !== 5 ? ` · ${game.wordLength} letters` : '';
+    const modeText = `${modeLabels[game.gameMode] || 'Daily'}${lengthText}`;
+    const date = dayClock.getDisplayDate(dayClock.toDayKey(game.date)).toLocaleDateString();
+
+    return { guessText, modeText, date };
+  }
+
   // Add event listeners for stats modal
   addStatsModalListeners(modal) {
     const closeBtn = modal.querySelector('#stats-close');
     const exportBtn = modal.querySelector('#export-stats');
+    const exportCsvBtn = modal.querySelector('#export-stats-csv');
+    const importBtn = modal.querySelector('#import-stats');
+    const importFile = modal.querySelector('#import-stats-file');
     const resetBtn = modal.querySelector('#reset-stats');
 
     // Close modal
@@ -457,11 +980,47 @@ export class GameUI {
       if (e.target === modal) closeModal();
     });
 
+    // Open a replay from the recent games list
+    const openReplay = (target) => {
+      const row = target.closest('.recent-game.replayable');
+      const game = row ? this.recentGames[Number(row.getAttribute('data-index'))] : null;
+      if (game) {
+        this.showReplayModal(game);
+      }
+    };
+    modal.querySelector('.recent-games')?.addEventListener('click', (e) => openReplay(e.target));
+    modal.querySelector('.recent-games')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        openReplay(e.target);
+      }
+    });
+
     // Export statistics
     exportBtn.addEventListener('click', () => {
       this.exportStatistics();
     });
 
+    // Work drifted totals out again from the game history
+    modal.querySelector('#rebuild-stats')?.addEventListener('click', () => {
+      document.dispatchEvent(new CustomEvent('rebuildStats'));
+    });
+
+    // Export game history for spreadsheets (choose the sheets first)
+    exportCsvBtn.addEventListener('click', () => {
+      this.showCsvExportModal();
+    });
+
+    // Import statistics from an exported file (previewed before anything changes)
+    importBtn.addEventListener('click', () => importFile.click());
+    importFile.addEventListener('change', () => {
+      const [file] = importFile.files;
+      importFile.value = '';
+      if (file) {
+        this.readImportFile(file);
+      }
+    });
+
     // Reset statistics (with confirmation)
     resetBtn.addEventListener('click', () => {
       if (confirm('Are you sure you want to reset all statistics? This cannot be undone.')) {
@@ -481,6 +1040,709 @@ export class GameUI {
     document.addEventListener('keydown', handleEscape);
   }
 
+  // Ask which CSV sheets to export: games or guesses, and whether to add a summary
+  showCsvExportModal() {
+    // Remove existing modal if present
+    const existingModal = document.getElementById('csv-export-modal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    const modal = document.createElement('div');
+    modal.id = 'csv-export-modal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Export CSV</h2>
+          <button class="modal-close" id="csv-export-close">&times;</button>
+        </div>
+
+        <div class="settings-list">
+          <label class="setting-item">
+            <div class="setting-text">
+              <span class="setting-name">One Row per Guess</span>
+              <span class="setting-description">Each guess with its colour pattern, instead of one row per game</span>
+            </div>
+            <input type="checkbox" class="setting-toggle" id="csv-per-guess">
+          </label>
+          <label class="setting-item">
+            <div class="setting-text">
+              <span class="setting-name">Summary Sheet</span>
+              <span class="setting-description">A second file with totals, streaks and the guess distribution</span>
+            </div>
+            <input type="checkbox" class="setting-toggle" id="csv-summary" checked>
+          </label>
+        </div>
+
+        <div class="modal-footer">
+          <button class="btn-secondary" id="csv-export-download">Download</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Add event listeners for modal
+    const closeModal = () => {
+      modal.classList.remove('show');
+      setTimeout(() => modal.remove(), 300);
+      document.removeEventListener('keydown', handleEscape, true);
+    };
+    // Escape closes this first, leaving the stats modal open underneath
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        e.stopImmediatePropagation();
+        closeModal();
+      }
+    };
+    modal.querySelector('#csv-export-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+    modal.querySelector('#csv-export-download').addEventListener('click', () => {
+      const perGuess = modal.querySelector('#csv-per-guess').checked;
+      const summary = modal.querySelector('#csv-summary').checked;
+      closeModal();
+      document.dispatchEvent(new CustomEvent('exportStatsCsv', { detail: { perGuess, summary } }));
+    });
+    document.addEventListener('keydown', handleEscape, true);
+
+    // Show modal with animation
+    setTimeout(() => modal.classList.add('show'), 10);
+  }
+
+  // Read an exported statistics file and ask for a preview of importing it
+  async readImportFile(file) {
+    try {
+      const data = JSON.parse(await file.text());
+      document.dispatchEvent(new CustomEvent('previewImport', { detail: { data } }));
+    } catch {
+      this.showMessage('That file is not a Word Up statistics export', 'error');
+    }
+  }
+
+  // Show what importing statistics would change, with the choice to merge or replace
+  // preview: { added, duplicates, current, merge, replace } from GameStatistics.previewImport
+  showImportPreviewModal(preview) {
+    // Remove existing modal if present
+    const existingModal = document.getElementById('import-modal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    const { added, duplicates, untracked = 0, current, merge, replace } = preview;
+    const rows = [
+      ['Games recorded', 'games'],
+      ['Played', 'played'],
+      ['Win %', 'winRate'],
+      ['Current streak', 'currentStreak'],
+      ['Max streak', 'maxStreak'],
+      ['Average guesses', 'averageGuesses']
+    ];
+    const cell = (summary, field) => {
+      const changed = summary[field] !== current[field];
+      return `<td${changed ? ' class="changed"' : ''}>${summary[field]}</td>`;
+    };
+
+    const modal = document.createElement('div');
+    modal.id = 'import-modal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Import Statistics</h2>
+          <button class="modal-close" id="import-close">&times;</button>
+        </div>
+
+        <p class="import-summary">
+          Merging adds ${added} new ${added === 1 ? 'game' : 'games'}
+          and skips ${duplicates} already recorded; totals and streaks are rebuilt from the merged history.
+        </p>
+        ${untracked > 0 ? `
+        <p class="import-warning" role="alert">
+          ${untracked} ${untracked === 1 ? 'game is' : 'games are'} counted in the totals but missing from the game history
+          (older versions kept only the last 100 games). Merging leaves ${untracked === 1 ? 'it' : 'them'} out,
+          so the merged totals and streaks are lower than they should be.
+        </p>
+        ` : ''}
+        <table class="import-preview">
+          <thead>
+            <tr><th></th><th>Now</th><th>Merge</th><th>Replace</th></tr>
+          </thead>
+          <tbody>
+            ${rows.map(([label, field]) => `
+            <tr data-field="${field}">
+              <th scope="row">${label}</th>
+              <td>${current[field]}</td>
+              ${cell(merge, field)}
+              ${cell(replace, field)}
+            </tr>`).join('')}
+          </tbody>
+        </table>
+
+        <div class="modal-footer">
+          <button class="btn-secondary" id="import-merge">Merge</button>
+          <button class="btn-secondary" id="import-replace">Replace</button>
+          <button class="btn-secondary" id="import-cancel">Cancel</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Add event listeners for modal
+    const closeModal = () => {
+      modal.classList.remove('show');
+      setTimeout(() => modal.remove(), 300);
+      document.removeEventListener('keydown', handleEscape, true);
+    };
+    // Escape closes the preview first, leaving the stats modal open underneath
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        e.stopImmediatePropagation();
+        closeModal();
+      }
+    };
+    const apply = (mode) => {
+      closeModal();
+      document.dispatchEvent(new CustomEvent('importStats', { detail: { mode } }));
+    };
+    modal.querySelector('#import-close').addEventListener('click', closeModal);
+    modal.querySelector('#import-cancel').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+    modal.querySelector('#import-merge').addEventListener('click', () => apply('merge'));
+    modal.querySelector('#import-replace').addEventListener('click', () => apply('replace'));
+    document.addEventListener('keydown', handleEscape, true);
+
+    // Show modal with animation
+    setTimeout(() => modal.classList.add('show'), 10);
+  }
+
+  // Create and show an animated replay of a finished game
+  showReplayModal(game) {
+    // Remove existing modal if present
+    const existingModal = document.getElementById('replay-modal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    const { guessText, modeText, date } = this.describeRecentGame(game);
+    const modal = document.createElement('div');
+    modal.id = 'replay-modal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Replay</h2>
+          <button class="modal-close" id="replay-close">&times;</button>
+        </div>
+
+        <p class="replay-summary">${escapeHtml(`${modeText} · ${date} · ${guessText}`)}</p>
+        <div class="replay-board-container"></div>
+        <p class="replay-word">${game.won ? '✅' : '❌'} ${escapeHtml(game.targetWord)}</p>
+
+        <div class="modal-footer">
+          <button class="btn-secondary" id="replay-again">Replay</button>
+        </div>
+      </div>
+    `;
+
+    const { element, tiles } = this.createReplayBoard(game);
+    modal.querySelector('.replay-board-container').appendChild(element);
+    document.body.appendChild(modal);
+
+    // Add event listeners for modal
+    const closeModal = () => {
+      this.stopReplay();
+      modal.classList.remove('show');
+      setTimeout(() => modal.remove(), 300);
+      document.removeEventListener('keydown', handleEscape, true);
+    };
+    // Escape closes the replay first, leaving the stats modal open underneath
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        e.stopImmediatePropagation();
+        closeModal();
+      }
+    };
+    modal.querySelector('#replay-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+    modal.querySelector('#replay-again').addEventListener('click', () => this.playReplay(tiles, game.guesses));
+    document.addEventListener('keydown', handleEscape, true);
+
+    // Show modal with animation, then play the guesses back
+    setTimeout(() => modal.classList.add('show'), 10);
+    this.playReplay(tiles, game.guesses);
+  }
+
+  // Build a read-only board for a replay (mini boards for multi-board games)
+  createReplayBoard(game) {
+    const boardCount = game.boardCount || 1;
+    const rows = game.maxRows || 6;
+    const cols = game.wordLength || 5;
+    const element = document.createElement('div');
+    element.className = 'game-board replay-board';
+    element.setAttribute('data-boards', boardCount);
+
+    if (boardCount === 1) {
+      return { element, tiles: [this.createBoardTiles(element, rows, cols)] };
+    }
+
+    element.classList.add('multi');
+    const tiles = [];
+    for (let board = 0; board < boardCount; board++) {
+      const miniBoard = document.createElement('div');
+      miniBoard.className = 'mini-board';
+      element.appendChild(miniBoard);
+      tiles.push(this.createBoardTiles(miniBoard, rows, cols));
+    }
+    return { element, tiles };
+  }
+
+  // Reveal each guess row by row, as it was played
+  // Multi-board guesses only fill the boards that were still open
+  playReplay(boardTiles, guesses) {
+    this.stopReplay();
+    boardTiles.flat(2).forEach(tile => {
+      tile.textContent = '';
+      tile.className = 'game-tile';
+      tile.setAttribute('data-state', 'empty');
+    });
+
+    guesses.forEach((guess, row) => {
+      const letters = [...guess.word];
+      const boards = guess.boards || [guess.result];
+      boards.forEach((states, board) => {
+        if (!states || !boardTiles[board]?.[row]) return;
+        states.forEach((state, col) => {
+          const tile = boardTiles[board][row][col];
+          this.replayTimers.push(setTimeout(() => {
+            tile.textContent = letters[col];
+            tile.setAttribute('data-state', state);
+            tile.className = `game-tile ${state} animate-flip`;
+          }, row * REPLAY_ROW_DELAY + col * 100));
+        });
+      });
+    });
+  }
+
+  // Cancel a replay that is still playing
+  stopReplay() {
+    this.replayTimers.forEach(timer => clearTimeout(timer));
+    this.replayTimers = [];
+  }
+
+  // Create and show the archive of past daily puzzles
+  showArchiveModal(days) {
+    // Remove existing modal if present
+    const existingModal = document.getElementById('archive-modal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    const modal = document.createElement('div');
+    modal.id = 'archive-modal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Archive</h2>
+          <button class="modal-close" id="archive-close">&times;</button>
+        </div>
+
+        <div class="archive-list" id="archive-list">
+          ${this.createArchiveList(days)}
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Add event listeners for modal
+    this.addArchiveModalListeners(modal);
+
+    // Show modal with animation
+    setTimeout(() => modal.classList.add('show'), 10);
+  }
+
+  // Create archive day list HTML
+  createArchiveList(days) {
+    if (days.length === 0) {
+      return '<div class="no-games">No past puzzles yet</div>';
+    }
+
+    return days.map(day => {
+      let resultIcon = '';
+      let resultText = 'Not played';
+      if (day.result) {
+        resultIcon = day.result.won ? '✅' : '❌';
+        resultText = day.result.won ? `${day.result.guessCount}/6` : 'X/6';
+      }
+      const state = day.result ? (day.result.won ? 'won' : 'lost') : 'unplayed';
+
+      return `
+        <button class="archive-day ${state}" data-day="${day.dayNumber}">
+          <span class="archive-number">#${day.dayNumber}</span>
+          <span class="archive-date">${new Date(day.date).toLocaleDateString()}</span>
+          <span class="archive-result">${resultIcon} ${resultText}</span>
+        </button>
+      `;
+    }).join('');
+  }
+
+  // Add event listeners for archive modal
+  addArchiveModalListeners(modal) {
+    const closeBtn = modal.querySelector('#archive-close');
+    const list = modal.querySelector('#archive-list');
+
+    // Close modal
+    const closeModal = () => {
+      modal.classList.remove('show');
+      setTimeout(() => modal.remove(), 300);
+    };
+
+    closeBtn.addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+
+    // Pick a day to play
+    list.addEventListener('click', (e) => {
+      const dayButton = e.target.closest('.archive-day');
+      if (dayButton) {
+        const dayNumber = parseInt(dayButton.getAttribute('data-day'), 10);
+        document.dispatchEvent(new CustomEvent('playArchiveDay', { detail: { dayNumber } }));
+        closeModal();
+      }
+    });
+
+    // Close on escape key
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        closeModal();
+        document.removeEventListener('keydown', handleEscape);
+      }
+    };
+    document.addEventListener('keydown', handleEscape);
+  }
+
+  // Create and show the post-game solver analysis
+  showAnalysisModal(analysis) {
+    // Remove existing modal if present
+    const existingModal = document.getElementById('analysis-modal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    const modal = document.createElement('div');
+    modal.id = 'analysis-modal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Analysis</h2>
+          <button class="modal-close" id="analysis-close">&times;</button>
+        </div>
+
+        <div class="analysis-list">
+          ${this.createAnalysisRows(analysis.rows)}
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Add event listeners for modal
+    const closeModal = () => {
+      modal.classList.remove('show');
+      setTimeout(() => modal.remove(), 300);
+    };
+    modal.querySelector('#analysis-close').addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+
+    // Show modal with animation
+    setTimeout(() => modal.classList.add('show'), 10);
+  }
+
+  // Create analysis rows HTML
+  createAnalysisRows(rows) {
+    return rows.map(row => {
+      const tiles = row.word.split('').map((letter, i) => (
+        `<span class="mini-tile ${row.states[i]}">${letter}</span>`
+      )).join('');
+
+      let bestText = '';
+      if (row.solved) {
+        bestText = 'Solved!';
+      } else if (row.bestGuess) {
+        bestText = `Best: ${row.bestGuess.word} (${row.bestGuess.expectedBits} bits)`;
+      }
+
+      return `
+        <div class="analysis-row">
+          <div class="analysis-word">${tiles}</div>
+          <div class="analysis-details">
+            <span class="analysis-candidates">${row.candidatesBefore} → ${row.candidatesAfter} words left</span>
+            <span class="analysis-bits">${row.bitsGained} bits gained (expected ${row.expectedBits})</span>
+            <span class="analysis-best">${bestText}</span>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  // Show settings modal
+  showSettings(gameLogic) {
+    const settings = gameLogic.getSettings();
+    this.showSettingsModal(settings);
+  }
+
+  // Create and show settings modal
+  showSettingsModal(settings) {
+    const practiceSize = this.getPracticeSize(settings);
+    // Remove existing modal if present
+    const existingModal = document.getElementById('settings-modal');
+    if (existingModal) {
+      existingModal.remove();
+    }
+
+    const modal = document.createElement('div');
+    modal.id = 'settings-modal';
+    modal.className = 'modal';
+    modal.innerHTML = `
+      <div class="modal-content">
+        <div class="modal-header">
+          <h2>Settings</h2>
+          <button class="modal-close" id="settings-close">&times;</button>
+        </div>
+
+        <div class="settings-list">
+          <label class="setting-item">
+            <div class="setting-text">
+              <span class="setting-name">Language</span>
+              <span class="setting-description">Word list and keyboard (each language has its own daily word and statistics)</span>
+            </div>
+            <select class="setting-select" id="language-select">
+              ${this.createLanguageOptions(settings.language)}
+            </select>
+          </label>
+          <label class="setting-item">
+            <div class="setting-text">
+              <span class="setting-name">Hard Mode</span>
+              <span class="setting-description">Any revealed hints must be used in subsequent guesses</span>
+            </div>
+            <input type="checkbox" class="setting-toggle" id="hard-mode-toggle" ${settings.hardMode ? 'checked' : ''}>
+          </label>
+          <label class="setting-item">
+            <div class="setting-text">
+              <span class="setting-name">High Contrast</span>
+              <span class="setting-description">Orange and blue colours for the board and shared results</span>
+            </div>
+            <input type="checkbox" class="setting-toggle" data-setting="highContrast" ${settings.highContrast ? 'checked' : ''}>
+          </label>
+          <label class="setting-item">
+            <div class="setting-text">
+              <span class="setting-name">Share Date</span>
+              <span class="setting-description">Include the puzzle date when sharing results</span>
+            </div>
+            <input type="checkbox" class="setting-toggle" data-setting="shareIncludeDate" ${settings.shareIncludeDate ? 'checked' : ''}>
+          </label>
+          <label class="setting-item">
+            <div class="setting-text">
+              <span class="setting-name">Remaining Words</span>
+              <span class="setting-description">Show how many answers still fit the clues so far</span>
+            </div>
+            <input type="checkbox" class="setting-toggle" data-setting="showCandidates" ${settings.showCandidates ? 'checked' : ''}>
+          </label>
+          <label class="setting-item">
+            <div class="setting-text">
+              <span class="setting-name">Hints</span>
+              <span class="setting-description">Reveal a letter or remove one from the keyboard (marked with 💡)</span>
+            </div>
+            <input type="checkbox" class="setting-toggle" data-setting="enableHints" ${settings.enableHints ? 'checked' : ''}>
+          </label>
+          <label class="setting-item">
+            <div class="setting-text">
+              <span class="setting-name">Practice Word Length</span>
+              <span class="setting-description">Letters per word in practice games. Daily and archive puzzles always have ${DEFAULT_WORD_LENGTH} letters, so everyone plays the same word</span>
+            </div>
+            <select class="setting-select" id="practice-length-select">
+              ${this.createNumberOptions(getWordLengths(practiceSize.language), practiceSize.wordLength)}
+            </select>
+          </label>
+          <label class="setting-item">
+            <div class="setting-text">
+              <span class="setting-name">Practice Guesses</span>
+              <span class="setting-description">Number of guesses for this word length</span>
+            </div>
+            <select class="setting-select" id="practice-rows-select">
+              ${this.createNumberOptions(this.getRowOptions(), practiceSize.rows)}
+            </select>
+          </label>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    // Add event listeners for modal
+    this.addSettingsModalListeners(modal);
+
+    // Show modal with animation
+    setTimeout(() => modal.classList.add('show'), 10);
+  }
+
+  // Add event listeners for settings modal
+  addSettingsModalListeners(modal) {
+    const closeBtn = modal.querySelector('#settings-close');
+    const hardModeToggle = modal.querySelector('#hard-mode-toggle');
+
+    // Close modal
+    const closeModal = () => {
+      modal.classList.remove('show');
+      setTimeout(() => modal.remove(), 300);
+    };
+
+    closeBtn.addEventListener('click', closeModal);
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) closeModal();
+    });
+
+    // Hard mode toggle
+    hardModeToggle.addEventListener('change', () => {
+      document.dispatchEvent(new CustomEvent('toggleHardMode', {
+        detail: { enabled: hardModeToggle.checked }
+      }));
+    });
+
+    // Language pack
+    const languageSelect = modal.querySelector('#language-select');
+    languageSelect.addEventListener('change', () => {
+      document.dispatchEvent(new CustomEvent('setLanguage', {
+        detail: { language: languageSelect.value }
+      }));
+    });
+
+    // Practice board size (changing the length picks up that length's guess count)
+    const lengthSelect = modal.querySelector('#practice-length-select');
+    const rowsSelect = modal.querySelector('#practice-rows-select');
+    lengthSelect.addEventListener('change', () => {
+      document.dispatchEvent(new CustomEvent('setPracticeSize', {
+        detail: { wordLength: Number(lengthSelect.value), rows: null }
+      }));
+    });
+    rowsSelect.addEventListener('change', () => {
+      document.dispatchEvent(new CustomEvent('setPracticeSize', {
+        detail: { wordLength: Number(lengthSelect.value), rows: Number(rowsSelect.value) }
+      }));
+    });
+
+    // Other on/off preferences
+    modal.querySelectorAll('[data-setting]').forEach(toggle => {
+      toggle.addEventListener('change', () => {
+        document.dispatchEvent(new CustomEvent('updateSetting', {
+          detail: { key: toggle.getAttribute('data-setting'), value: toggle.checked }
+        }));
+      });
+    });
+
+    // Close on escape key
+    const handleEscape = (e) => {
+      if (e.key === 'Escape') {
+        closeModal();
+        document.removeEventListener('keydown', handleEscape);
+      }
+    };
+    document.addEventListener('keydown', handleEscape);
+  }
+
+  // Practice word length and guess count from the settings
+  // Languages without the chosen length fall back to five letters
+  getPracticeSize(settings) {
+    const language = settings.language || DEFAULT_LANGUAGE;
+    const wordLength = isSupportedWordLength(settings.practiceWordLength, language) ? settings.practiceWordLength : 5;
+    const rows = settings.practiceRows?.[wordLength] ?? getBoardSize(wordLength, language).defaultRows;
+    return { wordLength, rows, language };
+  }
+
+  // Create <option> elements for the language packs
+  createLanguageOptions(selected = DEFAULT_LANGUAGE) {
+    return Object.values(LANGUAGE_PACKS)
+      .map(pack => `<option value="${pack.id}" ${pack.id === selected ? 'selected' : ''}>${pack.name}</option>`)
+      .join('');
+  }
+
+  // Allowed guess counts
+  getRowOptions() {
+    const options = [];
+    for (let rows = MIN_ROWS; rows <= MAX_ROWS; rows++) {
+      options.push(rows);
+    }
+    return options;
+  }
+
+  // Create <option> elements for a list of numbers
+  createNumberOptions(values, selected) {
+    return values
+      .map(value => `<option value="${value}" ${value === selected ? 'selected' : ''}>${value}</option>`)
+      .join('');
+  }
+
+  // Sync the practice size controls after a change
+  // Word lengths are given when the language changes, as each language offers its own
+  setPracticeSizeControls({ wordLength, rows, wordLengths = null }) {
+    const lengthSelect = document.getElementById('practice-length-select');
+    const rowsSelect = document.getElementById('practice-rows-select');
+    if (lengthSelect && wordLengths) lengthSelect.innerHTML = this.createNumberOptions(wordLengths, wordLength);
+    if (lengthSelect) lengthSelect.value = String(wordLength);
+    if (rowsSelect) rowsSelect.value = String(rows);
+  }
+
+  // Apply display preferences to the page
+  applySettings(settings) {
+    document.body.classList.toggle('high-contrast', settings.highContrast === true);
+  }
+
+  // Show or hide the assist panel (remaining words counter and hints)
+  updateAssistPanel(assist) {
+    const panel = document.getElementById('assist-panel');
+    if (!panel) return;
+
+    const visible = assist.showCandidates || assist.enableHints;
+    panel.style.display = visible ? 'flex' : 'none';
+    if (!visible) return;
+
+    const candidatesElement = document.getElementById('assist-candidates');
+    candidatesElement.style.display = assist.showCandidates ? '' : 'none';
+    if (assist.showCandidates) {
+      const count = assist.candidates;
+      candidatesElement.textContent = `${count} possible word${count !== 1 ? 's' : ''} left`;
+    }
+
+    const hintButtons = document.getElementById('assist-hints');
+    hintButtons.style.display = assist.enableHints && assist.playing ? '' : 'none';
+
+    const hintList = document.getElementById('assist-hint-list');
+    hintList.innerHTML = assist.hints
+      .map(text => `<span class="assist-hint">💡 ${text}</span>`)
+      .join('');
+  }
+
+  // Set the hard mode toggle state (used when a change is rejected)
+  setHardModeToggle(enabled) {
+    const toggle = document.getElementById('hard-mode-toggle');
+    if (toggle) {
+      toggle.checked = enabled;
+    }
+  }
+
   // Export statistics as downloadable file
   exportStatistics() {
     document.dispatchEvent(new CustomEvent('exportStats'));
@@ -488,8 +1750,9 @@ export class GameUI {
 
   // Get current row state
   getCurrentRow() {
-    for (let row = 0; row < 6; row++) {
-      const rowTiles = this.tiles[row];
+    for (let row = 0; row < this.rows; row++) {
+      const board = this.boardCount > 1 ? this.getOpenBoards(row)[0] : 0;
+      const rowTiles = (this.boardTiles[board] || this.tiles)[row];
       const isEmpty = rowTiles.every(tile => tile.getAttribute('data-state') === 'empty');
       const isComplete = rowTiles.every(tile => tile.getAttribute('data-state') !== 'empty' && tile.getAttribute('data-state') !== 'filled');
       
@@ -504,10 +1767,13 @@ export class GameUI {
 
   // Get letters in current row
   getRowLetters(row) {
-    if (!this.tiles || !this.tiles[row]) {
+    // Read from a board that is still open on this row (solved boards stop filling in)
+    const board = this.boardCount > 1 ? this.getOpenBoards(row)[0] : 0;
+    const tiles = this.boardTiles[board] || this.tiles;
+    if (!tiles || !tiles[row]) {
       return [];
     }
-    return this.tiles[row].map(tile => tile.textContent || '');
+    return tiles[row].map(tile => tile.textContent || '');
   }
 
   // Clear a tile
@@ -521,7 +1787,7 @@ export class GameUI {
     const dailyTimer = document.getElementById('daily-timer');
     
     if (dailyText && dailyTimer) {
-      dailyText.textContent = `Word #${dailyStats.dayNumber}`;
+      dailyText.textContent = this.gameMode === 'daily' ? `Word #${dailyStats.dayNumber}` : this.getModeLabel();
       
       const { hours, minutes } = dailyStats.timeUntilNext;
       if (hours > 0) {
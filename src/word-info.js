@@ -0,0 +1,57 @@
+// Word definitions for Word Up
+// Loads the answer metadata chunk on demand and looks up definitions once it is in
+
+import { errorHandler } from './error-handler.js';
+
+export class WordInfo {
+  // importMetadata returns a promise for the metadata module (swappable in tests)
+  constructor(importMetadata = () => import('./dictionaries/dictionary-metadata.js')) {
+    this.importMetadata = importMetadata;
+    this.metadata = null;
+    this.loading = null;
+  }
+
+  // Load the metadata (only once); resolves to true when definitions are available
+  load() {
+    if (this.metadata) {
+      return Promise.resolve(true);
+    }
+    if (this.loading) {
+      return this.loading;
+    }
+
+    this.loading = this.importMetadata()
+      .then(module => {
+        this.metadata = module.WORD_METADATA;
+        return true;
+      })
+      .catch(error => {
+        // Definitions are optional; the game carries on without them
+        errorHandler.logWarning('Definitions Load Error', { message: error?.message });
+        return false;
+      })
+      .finally(() => {
+        this.loading = null;
+      });
+
+    return this.loading;
+  }
+
+  // Definition for a word once loaded: { word, pos, definition, example, base } or null
+  lookup(word) {
+    const upperWord = String(word || '').toUpperCase();
+    const entry = this.metadata && Object.prototype.hasOwnProperty.call(this.metadata, upperWord)
+      ? this.metadata[upperWord]
+      : null;
+    return entry ? { word: upperWord, ...entry } : null;
+  }
+
+  // Load if needed, then look up each word (words without a definition are skipped)
+  async getInfoForWords(words) {
+    await this.load();
+    return words.map(word => this.lookup(word)).filter(Boolean);
+  }
+}
+
+// Create global word info instance
+export const wordInfo = new WordInfo();
@@ -13,6 +13,7 @@ export default defineConfig({
       injectRegister: 'script',
       strategies: 'generateSW',
       workbox: {
+        // Includes lazily loaded chunks such as the full guess dictionary, so it works offline
         globPatterns: ['**/*.{js,css,html,ico,png,svg,webmanifest}'],
         cleanupOutdatedCaches: true,
         skipWaiting: true,